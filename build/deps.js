@@ -1291,6 +1291,17 @@ deps = {
                     "des": "DECK.GL 图层",
                     "des_en": "DECK.GL layer"
                 }]
+            },
+            "Turf": {
+                "name": "Turf 图层",
+                "src": [
+                    "./src/mapboxgl/overlay/TurfLayer.js"
+                ],
+                "modules": [{
+                    "name": "mapboxgl.supermap.TurfLayer",
+                    "des": "Turf 图层",
+                    "des_en": "Turf layer"
+                }]
             }
         },
         "Control": {
@@ -20,6 +20,7 @@ module.exports = {
 
     externals: Object.assign({}, configBase.externals, {
         'mapbox-gl': 'mapboxgl',
+        '@turf/turf': "function(){try{return turf}catch(e){return {}}}()",
         'three': 'function(){try{return THREE}catch(e){return {}}}()',
         'deck.gl': '(function(){try{return DeckGL}catch(e){return {}}})()',
         'luma.gl': '(function(){try{return luma}catch(e){return {}}})()',
@@ -32,7 +32,13 @@ export {
     NavTabsPage,
     PaginationContainer,
     widgetsUtil,
-    FileReaderUtil} from '@supermap/iclient-common/widgets';
+    FileReaderUtil,
+    ZipUtil,
+    ShapefileParser,
+    KMLParser,
+    GPXParser,
+    FlatGeobufParser,
+    GeoPackageParser} from '@supermap/iclient-common/widgets';
 export * from './overlay';
 export * from './services';
 export {SuperMap} from './SuperMap';
\ No newline at end of file
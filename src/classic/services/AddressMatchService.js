@@ -25,6 +25,7 @@ export class AddressMatchService extends CommonServiceBase {
      * @description 正向匹配。
      * @param {SuperMap.GeoCodingParameter} params - 正向匹配参数。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     code(params, callback) {
         var me = this;
@@ -38,7 +39,7 @@ export class AddressMatchService extends CommonServiceBase {
                 processFailed: callback
             }
         });
-        addressMatchService.code(me.url + '/geocoding', params);
+        return addressMatchService.code(me.url + '/geocoding', params);
     }
 
     /**
@@ -46,6 +47,7 @@ export class AddressMatchService extends CommonServiceBase {
      * @description 反向匹配。
      * @param {SuperMap.GeoDecodingParameter} params - 反向匹配参数。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     decode(params, callback) {
         var me = this;
@@ -59,7 +61,7 @@ export class AddressMatchService extends CommonServiceBase {
                 processFailed: callback
             }
         });
-        addressMatchService.decode(me.url + '/geodecoding', params);
+        return addressMatchService.decode(me.url + '/geodecoding', params);
     }
 }
 
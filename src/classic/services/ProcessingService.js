@@ -48,6 +48,7 @@ export class ProcessingService extends CommonServiceBase {
      * @description 获取密度分析的列表。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getKernelDensityJobs(callback, resultFormat) {
         var me = this,
@@ -63,7 +64,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        kernelDensityJobsService.getKernelDensityJobs();
+        return kernelDensityJobsService.getKernelDensityJobs();
     }
 
     /**
@@ -72,6 +73,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {string} id - 空间分析的 id。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getKernelDensityJob(id, callback, resultFormat) {
         var me = this,
@@ -87,7 +89,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        kernelDensityJobsService.getKernelDensityJob(id);
+        return kernelDensityJobsService.getKernelDensityJob(id);
     }
 
     /**
@@ -97,6 +99,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {function} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addKernelDensityJob(params, callback, seconds, resultFormat) {
         var me = this, format = me._processFormat(resultFormat);
@@ -113,7 +116,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        kernelDensityJobsService.addKernelDensityJob(params, seconds);
+        return kernelDensityJobsService.addKernelDensityJob(params, seconds);
     }
 
     /**
@@ -131,6 +134,7 @@ export class ProcessingService extends CommonServiceBase {
      * @description 获取点聚合分析的列表。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryMeshJobs(callback, resultFormat) {
         var me = this,
@@ -146,7 +150,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        summaryMeshJobsService.getSummaryMeshJobs();
+        return summaryMeshJobsService.getSummaryMeshJobs();
     }
 
     /**
@@ -155,6 +159,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {string} id - 空间分析的 id。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryMeshJob(id, callback, resultFormat) {
         var me = this,
@@ -170,7 +175,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        summaryMeshJobsService.getSummaryMeshJob(id);
+        return summaryMeshJobsService.getSummaryMeshJob(id);
     }
 
     /**
@@ -180,6 +185,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {function} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+* @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
 */
     addSummaryMeshJob(params, callback, seconds, resultFormat) {
         var me = this, format = me._processFormat(resultFormat);
@@ -196,7 +202,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        summaryMeshJobsService.addSummaryMeshJob(params, seconds);
+        return summaryMeshJobsService.addSummaryMeshJob(params, seconds);
     }
 
     /**
@@ -214,6 +220,7 @@ export class ProcessingService extends CommonServiceBase {
      * @description 获取单对象查询分析的列表。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getQueryJobs(callback, resultFormat) {
         var me = this,
@@ -229,7 +236,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        singleObjectQueryJobsService.getQueryJobs();
+        return singleObjectQueryJobsService.getQueryJobs();
     }
 
     /**
@@ -238,6 +245,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {string} id - 空间分析的 id。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getQueryJob(id, callback, resultFormat) {
         var me = this,
@@ -253,7 +261,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        singleObjectQueryJobsService.getQueryJob(id);
+        return singleObjectQueryJobsService.getQueryJob(id);
     }
 
     /**
@@ -263,6 +271,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {function} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addQueryJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -281,7 +290,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        singleObjectQueryJobsService.addQueryJob(param, seconds);
+        return singleObjectQueryJobsService.addQueryJob(param, seconds);
     }
 
     /**
@@ -299,6 +308,7 @@ export class ProcessingService extends CommonServiceBase {
      * @description 获取区域汇总分析的列表。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryRegionJobs(callback, resultFormat) {
         var me = this,
@@ -314,7 +324,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        summaryRegionJobsService.getSummaryRegionJobs();
+        return summaryRegionJobsService.getSummaryRegionJobs();
     }
 
     /**
@@ -323,6 +333,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {string} id - 区域汇总分析的 id。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryRegionJob(id, callback, resultFormat) {
         var me = this,
@@ -338,7 +349,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        summaryRegionJobsService.getSummaryRegionJob(id);
+        return summaryRegionJobsService.getSummaryRegionJob(id);
     }
 
     /**
@@ -348,6 +359,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {function} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addSummaryRegionJob(params, callback, seconds, resultFormat) {
         var me = this, format = me._processFormat(resultFormat);
@@ -364,7 +376,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        summaryRegionJobsService.addSummaryRegionJob(params, seconds);
+        return summaryRegionJobsService.addSummaryRegionJob(params, seconds);
     }
 
     /**
@@ -382,6 +394,7 @@ export class ProcessingService extends CommonServiceBase {
      * @description 获取矢量裁剪分析的列表。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getVectorClipJobs(callback, resultFormat) {
         var me = this,
@@ -397,7 +410,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        vectorClipJobsService.getVectorClipJobs();
+        return vectorClipJobsService.getVectorClipJobs();
     }
 
     /**
@@ -406,6 +419,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {string} id - 空间分析的 id。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getVectorClipJob(id, callback, resultFormat) {
         var me = this,
@@ -421,7 +435,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        vectorClipJobsService.getVectorClipJob(id);
+        return vectorClipJobsService.getVectorClipJob(id);
     }
 
     /**
@@ -431,6 +445,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {function} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addVectorClipJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -450,7 +465,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        vectorClipJobsService.addVectorClipJob(param, seconds);
+        return vectorClipJobsService.addVectorClipJob(param, seconds);
     }
 
     /**
@@ -468,6 +483,7 @@ export class ProcessingService extends CommonServiceBase {
      * @description 获取叠加分析的列表。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getOverlayGeoJobs(callback, resultFormat) {
         var me = this,
@@ -483,7 +499,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        overlayGeoJobsService.getOverlayGeoJobs();
+        return overlayGeoJobsService.getOverlayGeoJobs();
     }
 
     /**
@@ -492,6 +508,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {string} id - 空间分析的 id。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getOverlayGeoJob(id, callback, resultFormat) {
         var me = this,
@@ -507,7 +524,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        overlayGeoJobsService.getOverlayGeoJob(id);
+        return overlayGeoJobsService.getOverlayGeoJob(id);
     }
 
     /**
@@ -517,6 +534,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {function} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addOverlayGeoJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -535,7 +553,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        overlayGeoJobsService.addOverlayGeoJob(params, seconds);
+        return overlayGeoJobsService.addOverlayGeoJob(params, seconds);
     }
 
     /**
@@ -553,6 +571,7 @@ export class ProcessingService extends CommonServiceBase {
      * @description 获取缓冲区分析的列表。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getBuffersJobs(callback, resultFormat) {
         var me = this,
@@ -568,7 +587,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        buffersAnalystJobsService.getBuffersJobs();
+        return buffersAnalystJobsService.getBuffersJobs();
     }
 
     /**
@@ -577,6 +596,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {string} id - 空间分析的 id。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getBuffersJob(id, callback, resultFormat) {
         var me = this,
@@ -592,7 +612,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        buffersAnalystJobsService.getBuffersJob(id);
+        return buffersAnalystJobsService.getBuffersJob(id);
     }
 
     /**
@@ -602,6 +622,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {function} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addBuffersJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -620,7 +641,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        buffersAnalystJobsService.addBuffersJob(params, seconds);
+        return buffersAnalystJobsService.addBuffersJob(params, seconds);
     }
 
     /**
@@ -638,6 +659,7 @@ export class ProcessingService extends CommonServiceBase {
      * @description 获取拓扑检查分析的列表。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getTopologyValidatorJobs(callback, resultFormat) {
         var me = this,
@@ -653,7 +675,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        topologyValidatorJobsService.getTopologyValidatorJobs();
+        return topologyValidatorJobsService.getTopologyValidatorJobs();
     }
 
     /**
@@ -662,6 +684,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {string} id - 空间分析的 id。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getTopologyValidatorJob(id, callback, resultFormat) {
         var me = this,
@@ -677,7 +700,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        topologyValidatorJobsService.getTopologyValidatorJob(id);
+        return topologyValidatorJobsService.getTopologyValidatorJob(id);
     }
 
     /**
@@ -687,6 +710,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {function} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addTopologyValidatorJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -705,7 +729,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        topologyValidatorJobsService.addTopologyValidatorJob(params, seconds);
+        return topologyValidatorJobsService.addTopologyValidatorJob(params, seconds);
     }
 
     /**
@@ -723,6 +747,7 @@ export class ProcessingService extends CommonServiceBase {
      * @description 获取属性汇总分析的列表。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryAttributesJobs(callback, resultFormat) {
         var me = this,
@@ -738,7 +763,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        summaryAttributesJobsService.getSummaryAttributesJobs();
+        return summaryAttributesJobsService.getSummaryAttributesJobs();
     }
 
     /**
@@ -747,6 +772,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {string} id - 空间分析的 id。
      * @param {function} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryAttributesJob(id, callback, resultFormat) {
         var me = this,
@@ -762,7 +788,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        summaryAttributesJobsService.getSummaryAttributesJob(id);
+        return summaryAttributesJobsService.getSummaryAttributesJob(id);
     }
 
     /**
@@ -772,6 +798,7 @@ export class ProcessingService extends CommonServiceBase {
      * @param {function} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addSummaryAttributesJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -790,7 +817,7 @@ export class ProcessingService extends CommonServiceBase {
             },
             format: format
         });
-        summaryAttributesJobsService.addSummaryAttributesJob(params, seconds);
+        return summaryAttributesJobsService.addSummaryAttributesJob(params, seconds);
     }
 
     /**
@@ -1300,4 +1300,24 @@ var GetFeatureMode = SuperMap.GetFeatureMode = {
 }
 export {
     GetFeatureMode
-}
\ No newline at end of file
+}
+
+/**
+ * @enum ExportFormat
+ * @memberOf SuperMap
+ * @description 要素导出的文件格式。
+ * @type {string}
+ */
+var ExportFormat = SuperMap.ExportFormat = {
+    /** GeoJSON 文件。 */
+    GEOJSON: "GEOJSON",
+    /** CSV 文件，几何对象保存为 WKT 或者 X、Y 坐标列。 */
+    CSV: "CSV",
+    /** KML 文件。 */
+    KML: "KML",
+    /** zip 压缩的 Shapefile 文件。 */
+    SHP: "SHP"
+};
+export {
+    ExportFormat
+};
\ No newline at end of file
@@ -0,0 +1,211 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {SuperMap} from '../SuperMap';
+
+//Babel 6 转换后的 class 继承 Error 时无法保留原型链（instanceof 失效），因此错误类型使用构造函数实现。
+function inherit(ErrorType, Parent, name) {
+    ErrorType.prototype = Object.create(Parent.prototype);
+    ErrorType.prototype.constructor = ErrorType;
+    ErrorType.prototype.name = name;
+    ErrorType.prototype.CLASS_NAME = "SuperMap." + name;
+}
+
+/**
+ * @class SuperMap.ServiceError
+ * @category BaseTypes Util
+ * @classdesc 服务请求失败时返回的错误对象。服务类 processAsync 等方法返回的 Promise 失败时，以该类型的实例拒绝。
+ *              根据失败原因，实际返回的是其子类 {@link SuperMap.NetworkError}、{@link SuperMap.TimeoutError}、{@link SuperMap.ServerError}、
+ *              {@link SuperMap.AuthError} 或 {@link SuperMap.ParseError} 的实例。
+ * @extends {Error}
+ * @param {string} [message] - 错误信息。
+ * @param {Object} [error] - 服务返回的原始错误信息，例如 iServer 返回的 {code, errorMsg} 对象或请求抛出的异常。
+ * @example
+ * new SuperMap.QueryBySQLService(url).processAsync(params).catch(function (e) {
+ *     if (e instanceof SuperMap.AuthError) {
+ *         //token 失效，提示用户重新登录
+ *     } else if (e instanceof SuperMap.ServiceError) {
+ *         console.log(e.message, e.error);
+ *     }
+ * });
+ */
+export var ServiceError = SuperMap.ServiceError = function (message, error) {
+    var instance = new Error(message);
+
+    /**
+     * @member {string} SuperMap.ServiceError.prototype.message
+     * @description 错误信息。
+     */
+    this.message = message || '';
+
+    /**
+     * @member {Object} SuperMap.ServiceError.prototype.error
+     * @description 服务返回的原始错误信息。
+     */
+    this.error = error;
+
+    this.stack = instance.stack;
+};
+
+/**
+ * @member {string} SuperMap.ServiceError.prototype.name
+ * @description 错误类型名称，如 "ServerError"、"AuthError"。
+ */
+inherit(ServiceError, Error, 'ServiceError');
+
+/**
+ * @function SuperMap.ServiceError.fromEvent
+ * @description 将服务 processFailed 事件中的错误信息转换为 SuperMap.ServiceError 对象。
+ * @param {Object} error - processFailed 事件对象的 error 属性。
+ * @returns {SuperMap.ServiceError} 错误对象。
+ */
+ServiceError.fromEvent = function (error) {
+    if (error instanceof ServiceError) {
+        return error;
+    }
+    var message;
+    if (typeof error === 'string') {
+        message = error;
+    } else if (error) {
+        message = error.errorMsg || error.message;
+    }
+    return new ServiceError(message || 'Service request failed.', error);
+};
+
+/**
+ * @class SuperMap.NetworkError
+ * @category BaseTypes Util
+ * @classdesc 网络错误。请求未能到达服务器或未收到响应时（如断网、跨域被拒绝、DNS 解析失败）返回该错误。
+ * @extends {SuperMap.ServiceError}
+ * @param {string} [message] - 错误信息。
+ * @param {Error} [error] - 请求抛出的原始异常。
+ */
+export var NetworkError = SuperMap.NetworkError = function (message, error) {
+    ServiceError.call(this, message || 'Network request failed.', error);
+};
+inherit(NetworkError, ServiceError, 'NetworkError');
+
+/**
+ * @class SuperMap.TimeoutError
+ * @category BaseTypes Util
+ * @classdesc 请求超时错误。
+ * @extends {SuperMap.NetworkError}
+ * @param {string} [message] - 错误信息。
+ * @param {number} [timeout] - 请求的超时时间，单位毫秒。
+ */
+export var TimeoutError = SuperMap.TimeoutError = function (message, timeout) {
+    NetworkError.call(this, message || 'timeout');
+
+    /**
+     * @member {number} SuperMap.TimeoutError.prototype.timeout
+     * @description 请求的超时时间，单位毫秒。
+     */
+    this.timeout = timeout;
+};
+inherit(TimeoutError, NetworkError, 'TimeoutError');
+
+/**
+ * @class SuperMap.ServerError
+ * @category BaseTypes Util
+ * @classdesc 服务端错误。服务器返回失败的 HTTP 状态码，或返回 iServer 错误信息（如 {succeed: false, error: {code, errorMsg}}）时返回该错误。
+ * @extends {SuperMap.ServiceError}
+ * @param {string} [errorMsg] - 服务端返回的错误信息。
+ * @param {number} [code] - 错误码，优先使用服务端返回的错误码，否则为 HTTP 状态码。
+ * @param {Object} [error] - 服务端返回的原始错误信息。
+ */
+export var ServerError = SuperMap.ServerError = function (errorMsg, code, error) {
+    ServiceError.call(this, errorMsg || (code ? 'Service request failed with code ' + code + '.' : 'Service request failed.'), error);
+
+    /**
+     * @member {number} SuperMap.ServerError.prototype.code
+     * @description 错误码。
+     */
+    this.code = code;
+
+    /**
+     * @member {string} SuperMap.ServerError.prototype.errorMsg
+     * @description 服务端返回的错误信息。
+     */
+    this.errorMsg = errorMsg;
+};
+inherit(ServerError, ServiceError, 'ServerError');
+
+/**
+ * @function SuperMap.ServerError.isErrorResult
+ * @description 判断服务返回的结果是否表示请求失败。
+ * @param {Object} result - 解析后的服务结果。
+ * @returns {boolean} 是否表示请求失败。
+ */
+ServerError.isErrorResult = function (result) {
+    return !result || !!result.error || result.code >= 300 && result.code !== 304;
+};
+
+/**
+ * @function SuperMap.ServerError.fromResult
+ * @description 根据服务返回的结果和 HTTP 状态码创建错误对象。身份认证失败时返回 {@link SuperMap.AuthError}，否则返回 {@link SuperMap.ServerError}。
+ * @param {Object} [result] - 解析后的服务结果。
+ * @param {number} [status] - HTTP 状态码。
+ * @returns {SuperMap.ServerError} 错误对象。
+ */
+ServerError.fromResult = function (result, status) {
+    var error = result && result.error ? result.error : result;
+    var code, errorMsg;
+    if (error && typeof error === 'object') {
+        code = error.code;
+        errorMsg = error.errorMsg;
+    } else if (typeof error === 'string') {
+        errorMsg = error;
+    }
+    code = code || (status >= 300 ? status : undefined);
+    if (AuthError.isAuthFailure(code, errorMsg)) {
+        return new AuthError(errorMsg, code, error);
+    }
+    return new ServerError(errorMsg, code, error);
+};
+
+/**
+ * @class SuperMap.AuthError
+ * @category BaseTypes Util
+ * @classdesc 身份认证错误。服务返回 401 或者 token 失效时返回该错误，可用于提示用户重新登录。
+ * @extends {SuperMap.ServerError}
+ * @param {string} [errorMsg] - 服务端返回的错误信息。
+ * @param {number} [code] - 错误码。
+ * @param {Object} [error] - 服务端返回的原始错误信息。
+ */
+export var AuthError = SuperMap.AuthError = function (errorMsg, code, error) {
+    ServerError.call(this, errorMsg, code, error);
+};
+inherit(AuthError, ServerError, 'AuthError');
+
+/**
+ * @function SuperMap.AuthError.isAuthFailure
+ * @description 判断错误码和错误信息是否表示身份认证失败。
+ * @param {number} [code] - 错误码。
+ * @param {string} [errorMsg] - 错误信息。
+ * @returns {boolean} 是否表示身份认证失败。
+ */
+AuthError.isAuthFailure = function (code, errorMsg) {
+    if (code === 401) {
+        return true;
+    }
+    return typeof errorMsg === 'string' && /token/i.test(errorMsg) && /expire|invalid|过期|失效|无效/i.test(errorMsg);
+};
+
+/**
+ * @class SuperMap.ParseError
+ * @category BaseTypes Util
+ * @classdesc 响应解析错误。服务返回的内容无法解析为 JSON 时返回该错误。
+ * @extends {SuperMap.ServiceError}
+ * @param {string} [message] - 错误信息。
+ * @param {string} [text] - 服务返回的原始文本。
+ */
+export var ParseError = SuperMap.ParseError = function (message, text) {
+    ServiceError.call(this, message || 'Failed to parse the response.');
+
+    /**
+     * @member {string} SuperMap.ParseError.prototype.text
+     * @description 服务返回的原始文本。
+     */
+    this.text = text;
+};
+inherit(ParseError, ServiceError, 'ParseError');
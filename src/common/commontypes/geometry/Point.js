@@ -41,6 +41,16 @@ export class Point extends Geometry {
          */
         this.tag = (tag || tag == 0) ? parseFloat(tag) : null;
 
+        /**
+         * @member {float} [SuperMap.Geometry.Point.prototype.z]
+         * @description Z 坐标，读取带 Z 值的 WKT、WKB 数据时设置，写出时保留。
+         */
+
+        /**
+         * @member {float} [SuperMap.Geometry.Point.prototype.m]
+         * @description M 坐标（度量值），读取带 M 值的 WKT、WKB 数据时设置，写出时保留。{@link SuperMap.PointWithMeasure} 的 measure 也作为 M 值写出。
+         */
+
         /**
          * @member {string} SuperMap.Geometry.Point.prototype.tag
          * @description  用来存储点的类型
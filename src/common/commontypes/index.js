@@ -23,6 +23,14 @@ import {
 import {Bounds} from './Bounds' ;
 import {Credential} from './Credential' ;
 import {DateExt} from './Date' ;
+import {
+    ServiceError,
+    NetworkError,
+    TimeoutError,
+    ServerError,
+    AuthError,
+    ParseError
+} from './Errors' ;
 import {Event} from './Event' ;
 import {Events} from './Events' ;
 import {Feature} from './Feature' ;
@@ -55,6 +63,14 @@ export {
 export {Bounds};
 export {Credential};
 export {DateExt}
+export {
+    ServiceError,
+    NetworkError,
+    TimeoutError,
+    ServerError,
+    AuthError,
+    ParseError
+};
 export {Event}
 export {Events};
 export {Feature};
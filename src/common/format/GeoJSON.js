@@ -43,6 +43,9 @@ import {
 import {
     ServerGeometry
 } from '../iServer/ServerGeometry';
+import {
+    Geometry
+} from '../commontypes/Geometry';
 
 /**
  * @class SuperMap.Format.GeoJSON
@@ -249,7 +252,7 @@ export class GeoJSON extends JSONFormat {
             /**
              * @function SuperMap.Format.GeoJSON.extract.geometry
              * @description 返回一个表示单个几何对象的 GeoJSON 的一部分。
-             * @param {Object} geometry - iServer 几何对象。
+             * @param {(Object|SuperMap.Geometry)} geometry - iServer 几何对象或者客户端几何对象。
              * @returns {Object} 一个表示几何体的对象。
              */
             'geometry': function (geometry) {
@@ -259,7 +262,8 @@ export class GeoJSON extends JSONFormat {
                 if (!geometry.parts && geometry.points) {
                     geometry.parts = [geometry.points.length];
                 }
-                var geo = new ServerGeometry(geometry).toGeometry() || geometry;
+                //客户端几何对象（例如专题图层要素的几何对象）不需要转换
+                var geo = geometry instanceof Geometry ? geometry : new ServerGeometry(geometry).toGeometry() || geometry;
                 var geometryType = geo.geometryType || geo.type;
                 var data;
                 if (geometryType === "LinearRing") {
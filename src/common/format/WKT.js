@@ -12,10 +12,14 @@ import {MultiLineString} from '../commontypes/geometry/MultiLineString';
 import {LinearRing} from '../commontypes/geometry/LinearRing';
 import {Polygon} from '../commontypes/geometry/Polygon';
 import {MultiPolygon} from '../commontypes/geometry/MultiPolygon';
+import {Collection} from '../commontypes/geometry/Collection';
 
 /**
  * @class SuperMap.Format.WKT
  * @classdesc 用于读写常见文本的类。通过 {@link SuperMap.Format.WKT} 构造器来创建一个新的实例。
+ *            支持 EWKT（"SRID=4326;" 前缀）、Z/M 坐标（"POINT Z"、"POINTM" 等）、EMPTY 几何对象，
+ *            以及 WKB、PostGIS EWKB 二进制格式（十六进制字符串或 ArrayBuffer）的读写。
+ *            Z、M 坐标保存在点对象的 z、m 属性中，SRID 保存在几何对象的 srid 属性中。
  * @category BaseTypes Format
  * @extends {SuperMap.Format}
  * @param {Object} options - 可选的选项对象，其属性将被设置到实例。option 具体配置项继承自 {@link SuperMap.Format}。
@@ -25,7 +29,8 @@ export class WKT extends Format {
     constructor(options) {
         super(options);
         this.regExes = {
-            'typeStr': /^\s*(\w+)\s*\(\s*(.*)\s*\)\s*$/,
+            'typeStr': /^\s*(\w+?)\s*(ZM|Z|M)?\s*(?:\(\s*(.*)\s*\)|(EMPTY))\s*$/i,
+            'srid': /^\s*SRID\s*=\s*(-?\d+)\s*;/i,
             'spaces': /\s+/,
             'parenComma': /\)\s*,\s*\(/,
             'doubleParenComma': /\)\s*\)\s*,\s*\(\s*\(/,  // can't use {2} here
@@ -40,10 +45,11 @@ export class WKT extends Format {
             /**
              * @description Return a space delimited string of point coordinates.
              * @param {SuperMap.Geometry.Point} point
+             * @param {string} [dimension] - Coordinate dimension, one of '', 'Z', 'M' or 'ZM'.
              * @returns  {string} A string of coordinates representing the point
              */
-            'point': function (point) {
-                return point.x + ' ' + point.y;
+            'point': function (point, dimension) {
+                return getCoordinates(point, dimension).join(' ');
             },
 
             /**
@@ -52,11 +58,11 @@ export class WKT extends Format {
              * @returns  {string} A string of point coordinate strings representing
              *                  the multipoint
              */
-            'multipoint'(multipoint) {
+            'multipoint'(multipoint, dimension) {
                 var array = [];
                 for (var i = 0, len = multipoint.components.length; i < len; ++i) {
                     array.push('(' +
-                        this.extract.point.apply(this, [multipoint.components[i]]) +
+                        this.extract.point.apply(this, [multipoint.components[i], dimension]) +
                         ')');
                 }
                 return array.join(',');
@@ -68,10 +74,10 @@ export class WKT extends Format {
              * @returns  {string} A string of point coordinate strings representing
              *                  the linestring
              */
-            'linestring'(linestring) {
+            'linestring'(linestring, dimension) {
                 var array = [];
                 for (var i = 0, len = linestring.components.length; i < len; ++i) {
-                    array.push(this.extract.point.apply(this, [linestring.components[i]]));
+                    array.push(this.extract.point.apply(this, [linestring.components[i], dimension]));
                 }
                 return array.join(',');
             },
@@ -82,11 +88,11 @@ export class WKT extends Format {
              * @returns  {string} A string of of linestring strings representing
              *                  the multilinestring
              */
-            'multilinestring'(multilinestring) {
+            'multilinestring'(multilinestring, dimension) {
                 var array = [];
                 for (var i = 0, len = multilinestring.components.length; i < len; ++i) {
                     array.push('(' +
-                        this.extract.linestring.apply(this, [multilinestring.components[i]]) +
+                        this.extract.linestring.apply(this, [multilinestring.components[i], dimension]) +
                         ')');
                 }
                 return array.join(',');
@@ -97,11 +103,11 @@ export class WKT extends Format {
              * @param {SuperMap.Geometry.Polygon} polygon
              * @returns  {string} An array of linear ring arrays representing the polygon
              */
-            'polygon'(polygon) {
+            'polygon'(polygon, dimension) {
                 var array = [];
                 for (var i = 0, len = polygon.components.length; i < len; ++i) {
                     array.push('(' +
-                        this.extract.linestring.apply(this, [polygon.components[i]]) +
+                        this.extract.linestring.apply(this, [polygon.components[i], dimension]) +
                         ')');
                 }
                 return array.join(',');
@@ -113,11 +119,11 @@ export class WKT extends Format {
              * @returns  {string} An array of polygon arrays representing
              *                  the multipolygon
              */
-            'multipolygon'(multipolygon) {
+            'multipolygon'(multipolygon, dimension) {
                 var array = [];
                 for (var i = 0, len = multipolygon.components.length; i < len; ++i) {
                     array.push('(' +
-                        this.extract.polygon.apply(this, [multipolygon.components[i]]) +
+                        this.extract.polygon.apply(this, [multipolygon.components[i], dimension]) +
                         ')');
                 }
                 return array.join(',');
@@ -126,12 +132,14 @@ export class WKT extends Format {
             /**
              * @description  Return the WKT portion between 'GEOMETRYCOLLECTION(' and ')' for an <SuperMap.Geometry.Collection>
              * @param {SuperMap.Geometry.Collection} collection
+             * @param {string} [dimension] - Coordinate dimension of the components.
+             * @param {boolean} [ewkt] - Whether to write the component types in EWKT style.
              * @returns  {string} internal WKT representation of the collection
              */
-            'collection'(collection) {
+            'collection'(collection, dimension, ewkt) {
                 var array = [];
                 for (var i = 0, len = collection.components.length; i < len; ++i) {
-                    array.push(this.extractGeometry.apply(this, [collection.components[i]]));
+                    array.push(this.extractGeometry.apply(this, [collection.components[i], ewkt, dimension]));
                 }
                 return array.join(',');
             }
@@ -148,13 +156,13 @@ export class WKT extends Format {
              * @private
              * @description  Return point feature given a point WKT fragment.
              * @param {string} str A WKT fragment representing the point
+             * @param {string} [dimension] Coordinate dimension ('Z', 'M' or 'ZM'), inferred from the number of coordinates if absent
              * @returns  {SuperMap.Feature.Vector} A point feature
              *
              */
-            'point': function (str) {
+            'point': function (str, dimension) {
                 var coords = StringExt.trim(str).split(this.regExes.spaces);
-                return new Vector(new Point(coords[0], coords[1])
-                );
+                return new Vector(createPoint(coords, dimension));
             },
 
             /**
@@ -163,13 +171,13 @@ export class WKT extends Format {
              * @returns  {SuperMap.Feature.Vector} A multipoint feature
              * @private
              */
-            'multipoint': function (str) {
+            'multipoint': function (str, dimension) {
                 var point;
                 var points = StringExt.trim(str).split(',');
                 var components = [];
                 for (var i = 0, len = points.length; i < len; ++i) {
                     point = points[i].replace(this.regExes.trimParens, '$1');
-                    components.push(this.parse.point.apply(this, [point]).geometry);
+                    components.push(this.parse.point.apply(this, [point, dimension]).geometry);
                 }
                 return new Vector(
                     new MultiPoint(components)
@@ -182,11 +190,11 @@ export class WKT extends Format {
              * @returns  {SuperMap.Feature.Vector} A linestring feature
              * @private
              */
-            'linestring': function (str) {
+            'linestring': function (str, dimension) {
                 var points = StringExt.trim(str).split(',');
                 var components = [];
                 for (var i = 0, len = points.length; i < len; ++i) {
-                    components.push(this.parse.point.apply(this, [points[i]]).geometry);
+                    components.push(this.parse.point.apply(this, [points[i], dimension]).geometry);
                 }
                 return new Vector(
                     new LineString(components)
@@ -199,13 +207,13 @@ export class WKT extends Format {
              * @returns  {SuperMap.Feature.Vector} A multilinestring feature
              * @private
              */
-            'multilinestring': function (str) {
+            'multilinestring': function (str, dimension) {
                 var line;
                 var lines = StringExt.trim(str).split(this.regExes.parenComma);
                 var components = [];
                 for (var i = 0, len = lines.length; i < len; ++i) {
                     line = lines[i].replace(this.regExes.trimParens, '$1');
-                    components.push(this.parse.linestring.apply(this, [line]).geometry);
+                    components.push(this.parse.linestring.apply(this, [line, dimension]).geometry);
                 }
                 return new Vector(
                     new MultiLineString(components)
@@ -218,13 +226,13 @@ export class WKT extends Format {
              * @returns  {SuperMap.Feature.Vector} A polygon feature
              * @private
              */
-            'polygon': function (str) {
+            'polygon': function (str, dimension) {
                 var ring, linestring, linearring;
                 var rings = StringExt.trim(str).split(this.regExes.parenComma);
                 var components = [];
                 for (var i = 0, len = rings.length; i < len; ++i) {
                     ring = rings[i].replace(this.regExes.trimParens, '$1');
-                    linestring = this.parse.linestring.apply(this, [ring]).geometry;
+                    linestring = this.parse.linestring.apply(this, [ring, dimension]).geometry;
                     linearring = new LinearRing(linestring.components);
                     components.push(linearring);
                 }
@@ -240,13 +248,13 @@ export class WKT extends Format {
              * @returns  {SuperMap.Feature.Vector} A multipolygon feature
              *
              */
-            'multipolygon': function (str) {
+            'multipolygon': function (str, dimension) {
                 var polygon;
                 var polygons = StringExt.trim(str).split(this.regExes.doubleParenComma);
                 var components = [];
                 for (var i = 0, len = polygons.length; i < len; ++i) {
                     polygon = polygons[i].replace(this.regExes.trimParens, '$1');
-                    components.push(this.parse.polygon.apply(this, [polygon]).geometry);
+                    components.push(this.parse.polygon.apply(this, [polygon, dimension]).geometry);
                 }
                 return new Vector(
                     new MultiPolygon(components)
@@ -281,22 +289,34 @@ export class WKT extends Format {
      * @description Deserialize a WKT string and return a vector feature or an
      * array of vector features.  Supports WKT for POINT, MULTIPOINT,
      * LINESTRING, MULTILINESTRING, POLYGON, MULTIPOLYGON, and
-     * GEOMETRYCOLLECTION.
-     * @param {string} wkt - A WKT string
+     * GEOMETRYCOLLECTION, including Z/M coordinates ("POINT Z (1 2 3)",
+     * "POINTM(1 2 3)"), EMPTY geometries and the EWKT "SRID=4326;" prefix.
+     * Z and M values are set as the z and m properties of the points, the SRID
+     * as the srid property of the geometries. An EMPTY point has NaN coordinates.
+     * @param {string} wkt - A WKT or EWKT string
      * @returns {SuperMap.Feature.Vector|Array} A feature or array of features for
      * GEOMETRYCOLLECTION WKT.
      */
     read(wkt) {
-        var features, type, str;
+        var features, type, str, dimension, srid;
         wkt = wkt.replace(/[\n\r]/g, " ");
+        var sridMatches = this.regExes.srid.exec(wkt);
+        if (sridMatches) {
+            srid = parseInt(sridMatches[1], 10);
+            wkt = wkt.substring(sridMatches[0].length);
+        }
         var matches = this.regExes.typeStr.exec(wkt);
         if (matches) {
             type = matches[1].toLowerCase();
-            str = matches[2];
+            dimension = matches[2] && matches[2].toUpperCase();
+            str = matches[3];
             if (this.parse[type]) {
-                features = this.parse[type].apply(this, [str]);
+                features = matches[4] ? createEmpty(type) : this.parse[type].apply(this, [str, dimension]);
             }
         }
+        if (features && srid !== undefined) {
+            setSrid(features, srid);
+        }
         return features;
     }
 
@@ -304,10 +324,14 @@ export class WKT extends Format {
     /**
      * @function SuperMap.Format.WKT.prototype.write
      * @description Serialize a feature or array of features into a WKT string.
+     * Points with z or m values are written with Z/M coordinates. If a SRID is
+     * given (or the geometry has a srid property) EWKT is written.
      * @param {(SuperMap.Feature.Vector|Array)} features - A feature or array of features
+     * @param {Object} [options] - Write options.
+     * @param {number} [options.srid] - The SRID to write as the EWKT prefix, defaults to the srid of the geometry.
      * @returns {string} The WKT string representation of the input geometries
      */
-    write(features) {
+    write(features, options) {
         var collection, geometry, isCollection;
         if (features.constructor === Array) {
             collection = features;
@@ -316,16 +340,30 @@ export class WKT extends Format {
             collection = [features];
             isCollection = false;
         }
+        var geometries = [];
+        for (var i = 0, len = collection.length; i < len; ++i) {
+            geometries.push(collection[i].geometry);
+        }
+        var srid = getSrid(geometries, options);
+        var ewkt = srid !== null;
+        var dimension = getDimension(geometries);
         var pieces = [];
+        if (ewkt) {
+            pieces.push('SRID=' + srid + ';');
+        }
         if (isCollection) {
-            pieces.push('GEOMETRYCOLLECTION(');
+            if (!geometries.length) {
+                pieces.push(getTypeTag('GEOMETRYCOLLECTION', dimension, ewkt, true));
+                return pieces.join('');
+            }
+            pieces.push(getTypeTag('GEOMETRYCOLLECTION', dimension, ewkt));
         }
-        for (var i = 0, len = collection.length; i < len; ++i) {
-            if (isCollection && i > 0) {
+        for (var j = 0; j < geometries.length; ++j) {
+            if (isCollection && j > 0) {
                 pieces.push(',');
             }
-            geometry = collection[i].geometry;
-            pieces.push(this.extractGeometry(geometry));
+            geometry = geometries[j];
+            pieces.push(this.extractGeometry(geometry, ewkt, dimension));
         }
         if (isCollection) {
             pieces.push(')');
@@ -337,17 +375,382 @@ export class WKT extends Format {
      * @function SuperMap.Format.WKT.prototype.extractGeometry
      * @description Entry point to construct the WKT for a single Geometry object.
      * @param {SuperMap.Geometry} geometry 
+     * @param {boolean} [ewkt=false] - Whether to write the geometry type in EWKT style ("POINTM" instead of "POINT M").
+     * @param {string} [dimension] - Coordinate dimension ('', 'Z', 'M' or 'ZM'), defaults to the dimension of the geometry.
      * @returns {string} A WKT string of representing the geometry
      */
-    extractGeometry(geometry) {
-        var type = geometry.CLASS_NAME.split('.')[2].toLowerCase();
+    extractGeometry(geometry, ewkt, dimension) {
+        var type = getGeometryType(geometry);
         if (!this.extract[type]) {
             return null;
         }
+        if (dimension === undefined) {
+            dimension = getDimension([geometry]);
+        }
         var wktType = type === 'collection' ? 'GEOMETRYCOLLECTION' : type.toUpperCase();
-        var data = wktType + '(' + this.extract[type].apply(this, [geometry]) + ')';
+        if (isEmpty(geometry)) {
+            return getTypeTag(wktType, dimension, ewkt, true);
+        }
+        var data = getTypeTag(wktType, dimension, ewkt) + this.extract[type].apply(this, [geometry, dimension, ewkt]) + ')';
         return data;
     }
+
+    /**
+     * @function SuperMap.Format.WKT.prototype.readWKB
+     * @description 读取 WKB 数据。支持 OGC WKB（包括 ISO 的 Z/M 类型编码）和 PostGIS 的 EWKB，大端、小端字节序均可。
+     *              Z、M 坐标设置为点对象的 z、m 属性，EWKB 中的 SRID 设置为几何对象的 srid 属性。
+     * @param {(string|ArrayBuffer|Uint8Array)} wkb - 十六进制字符串（可以带 "\x" 或者 "0x" 前缀）或者二进制数据。
+     * @returns {(SuperMap.Feature.Vector|Array.<SuperMap.Feature.Vector>)} 矢量要素，GEOMETRYCOLLECTION 返回要素数组。
+     */
+    readWKB(wkb) {
+        var geometry = readWKBGeometry({
+            view: toDataView(wkb),
+            offset: 0
+        });
+        if (geometry.CLASS_NAME !== 'SuperMap.Geometry.Collection') {
+            return new Vector(geometry);
+        }
+        var features = [];
+        for (var i = 0, len = geometry.components.length; i < len; ++i) {
+            features.push(new Vector(geometry.components[i]));
+        }
+        if (geometry.srid !== undefined) {
+            setSrid(features, geometry.srid);
+        }
+        return features;
+    }
+
+    /**
+     * @function SuperMap.Format.WKT.prototype.writeWKB
+     * @description 将要素写为 WKB 数据。带 z、m 属性的点写出 Z/M 坐标。
+     * @param {(SuperMap.Feature.Vector|Array.<SuperMap.Feature.Vector>)} features - 矢量要素，要素数组写为 GEOMETRYCOLLECTION。
+     * @param {Object} [options] - 参数。
+     * @param {boolean} [options.hex=true] - 是否返回十六进制字符串，否则返回 ArrayBuffer。
+     * @param {boolean} [options.littleEndian=true] - 是否使用小端字节序。
+     * @param {number} [options.srid] - 写出的 SRID，默认为几何对象的 srid 属性。仅 EWKB 可以保存 SRID。
+     * @param {boolean} [options.ewkb] - 是否写为 PostGIS 的 EWKB，否则写为 ISO WKB。有 SRID 时默认为 true。
+     * @returns {(string|ArrayBuffer)} WKB 数据。
+     */
+    writeWKB(features, options) {
+        options = options || {};
+        var isCollection = features.constructor === Array;
+        var collection = isCollection ? features : [features];
+        var geometries = [];
+        for (var i = 0, len = collection.length; i < len; ++i) {
+            geometries.push(collection[i].geometry);
+        }
+        var srid = getSrid(geometries, options);
+        var writer = {
+            bytes: [],
+            view: new DataView(new ArrayBuffer(8)),
+            littleEndian: options.littleEndian !== false,
+            ewkb: options.ewkb !== undefined ? !!options.ewkb : srid !== null,
+            dimension: getDimension(geometries)
+        };
+        if (isCollection) {
+            writeWKBGeometry(writer, {components: geometries}, 'collection', srid);
+        } else {
+            writeWKBGeometry(writer, geometries[0], getGeometryType(geometries[0]), srid);
+        }
+        var bytes = new Uint8Array(writer.bytes);
+        if (options.hex === false) {
+            return bytes.buffer;
+        }
+        var hex = [];
+        for (var j = 0; j < bytes.length; j++) {
+            hex.push((bytes[j] < 16 ? '0' : '') + bytes[j].toString(16));
+        }
+        return hex.join('').toUpperCase();
+    }
+}
+
+var WKB_TYPES = {
+    'point': 1,
+    'linestring': 2,
+    'polygon': 3,
+    'multipoint': 4,
+    'multilinestring': 5,
+    'multipolygon': 6,
+    'collection': 7
+};
+
+var EWKB_Z = 0x80000000;
+var EWKB_M = 0x40000000;
+var EWKB_SRID = 0x20000000;
+
+function getGeometryType(geometry) {
+    var type = geometry.CLASS_NAME.split('.').pop().toLowerCase();
+    if (type === 'linearring' || type === 'curve') {
+        return 'linestring';
+    }
+    return type === 'pointwithmeasure' ? 'point' : type;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && !isNaN(value);
+}
+
+function getMeasure(point) {
+    return isNumber(point.m) ? point.m : point.measure;
+}
+
+function isEmpty(geometry) {
+    return geometry.components ? geometry.components.length === 0 : isNaN(geometry.x) && isNaN(geometry.y);
+}
+
+//点坐标数组，缺少的 Z、M 值为 NaN
+function getCoordinates(point, dimension) {
+    var coordinates = [point.x, point.y];
+    dimension = dimension || '';
+    if (dimension.indexOf('Z') > -1) {
+        coordinates.push(isNumber(point.z) ? point.z : NaN);
+    }
+    if (dimension.indexOf('M') > -1) {
+        var measure = getMeasure(point);
+        coordinates.push(isNumber(measure) ? measure : NaN);
+    }
+    return coordinates;
+}
+
+//没有指定维度时按坐标个数判断：三个为 XYZ，四个为 XYZM
+function createPoint(coords, dimension) {
+    var point = new Point(coords[0], coords[1]);
+    var values = coords.slice(2);
+    var index = 0;
+    dimension = dimension || (values.length > 1 ? 'ZM' : (values.length ? 'Z' : ''));
+    if (dimension.indexOf('Z') > -1 && index < values.length) {
+        point.z = parseFloat(values[index++]);
+    }
+    if (dimension.indexOf('M') > -1 && index < values.length) {
+        point.m = parseFloat(values[index]);
+    }
+    return point;
+}
+
+function createEmpty(type) {
+    switch (type) {
+        case 'point':
+            return new Vector(new Point(NaN, NaN));
+        case 'multipoint':
+            return new Vector(new MultiPoint([]));
+        case 'linestring':
+            return new Vector(new LineString([]));
+        case 'multilinestring':
+            return new Vector(new MultiLineString([]));
+        case 'polygon':
+            return new Vector(new Polygon([]));
+        case 'multipolygon':
+            return new Vector(new MultiPolygon([]));
+        default:
+            return [];
+    }
+}
+
+function setSrid(features, srid) {
+    features = features.constructor === Array ? features : [features];
+    for (var i = 0; i < features.length; i++) {
+        features[i].geometry.srid = srid;
+    }
+}
+
+function getSrid(geometries, options) {
+    if (options && options.srid !== undefined && options.srid !== null) {
+        return options.srid;
+    }
+    var geometry = geometries[0];
+    return geometry && geometry.srid !== undefined && geometry.srid !== null ? geometry.srid : null;
+}
+
+//坐标维度：''、'Z'、'M' 或 'ZM'，任一点有 Z（M）值即带 Z（M）坐标
+function getDimension(geometries) {
+    var hasZ = false;
+    var hasM = false;
+    var stack = geometries.slice();
+    while (stack.length) {
+        var geometry = stack.pop();
+        if (!geometry) {
+            continue;
+        }
+        if (geometry.components) {
+            stack = stack.concat(geometry.components);
+            continue;
+        }
+        hasZ = hasZ || isNumber(geometry.z);
+        hasM = hasM || isNumber(getMeasure(geometry));
+    }
+    return (hasZ ? 'Z' : '') + (hasM ? 'M' : '');
+}
+
+//WKT 的类型部分，例如 "POINT Z ("、"POINTM("、"POINT EMPTY"。EWKT 中 Z 坐标由坐标个数表示，只标明 M
+function getTypeTag(wktType, dimension, ewkt, empty) {
+    var tag = wktType;
+    if (ewkt) {
+        tag += dimension === 'M' ? 'M' : '';
+    } else if (dimension) {
+        tag += ' ' + dimension;
+    }
+    if (empty) {
+        return tag + ' EMPTY';
+    }
+    return tag + (dimension && !ewkt ? ' (' : '(');
+}
+
+function toDataView(wkb) {
+    if (typeof wkb === 'string') {
+        var hex = wkb.replace(/^\s*(\\x|0x)/i, '').replace(/\s+/g, '');
+        var bytes = new Uint8Array(Math.floor(hex.length / 2));
+        for (var i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return new DataView(bytes.buffer);
+    }
+    if (wkb instanceof ArrayBuffer) {
+        return new DataView(wkb);
+    }
+    return new DataView(wkb.buffer, wkb.byteOffset, wkb.byteLength);
+}
+
+function readUint32(reader, littleEndian) {
+    var value = reader.view.getUint32(reader.offset, littleEndian);
+    reader.offset += 4;
+    return value;
+}
+
+function readPoint(reader, littleEndian, dimension) {
+    var coords = [];
+    for (var i = 0, len = 2 + dimension.length; i < len; i++) {
+        coords.push(reader.view.getFloat64(reader.offset, littleEndian));
+        reader.offset += 8;
+    }
+    return createPoint(coords, dimension);
+}
+
+function readPoints(reader, littleEndian, dimension) {
+    var points = [];
+    for (var i = 0, len = readUint32(reader, littleEndian); i < len; i++) {
+        points.push(readPoint(reader, littleEndian, dimension));
+    }
+    return points;
+}
+
+function readWKBGeometry(reader) {
+    var littleEndian = reader.view.getUint8(reader.offset) === 1;
+    reader.offset += 1;
+    var typeCode = readUint32(reader, littleEndian);
+    var hasZ = (typeCode & EWKB_Z) !== 0;
+    var hasM = (typeCode & EWKB_M) !== 0;
+    var srid;
+    if ((typeCode & EWKB_SRID) !== 0) {
+        srid = reader.view.getInt32(reader.offset, littleEndian);
+        reader.offset += 4;
+    }
+    typeCode = typeCode & 0x0fffffff;
+    //ISO WKB：1000 + 类型为 Z，2000 + 类型为 M，3000 + 类型为 ZM
+    if (typeCode > 1000) {
+        var flag = Math.floor(typeCode / 1000);
+        hasZ = hasZ || flag === 1 || flag === 3;
+        hasM = hasM || flag === 2 || flag === 3;
+        typeCode = typeCode % 1000;
+    }
+    var dimension = (hasZ ? 'Z' : '') + (hasM ? 'M' : '');
+    var geometry, count, components = [];
+    switch (typeCode) {
+        case 1:
+            geometry = readPoint(reader, littleEndian, dimension);
+            break;
+        case 2:
+            geometry = new LineString(readPoints(reader, littleEndian, dimension));
+            break;
+        case 3:
+            count = readUint32(reader, littleEndian);
+            for (var i = 0; i < count; i++) {
+                components.push(new LinearRing(readPoints(reader, littleEndian, dimension)));
+            }
+            geometry = new Polygon(components);
+            break;
+        case 4:
+        case 5:
+        case 6:
+        case 7:
+            count = readUint32(reader, littleEndian);
+            for (var j = 0; j < count; j++) {
+                components.push(readWKBGeometry(reader));
+            }
+            geometry = typeCode === 4 ? new MultiPoint(components) :
+                typeCode === 5 ? new MultiLineString(components) :
+                    typeCode === 6 ? new MultiPolygon(components) : new Collection(components);
+            break;
+        default:
+            throw new Error('Unsupported WKB geometry type: ' + typeCode);
+    }
+    if (srid !== undefined) {
+        geometry.srid = srid;
+    }
+    return geometry;
+}
+
+function writeUint32(writer, value) {
+    writer.view.setUint32(0, value >>> 0, writer.littleEndian);
+    for (var i = 0; i < 4; i++) {
+        writer.bytes.push(writer.view.getUint8(i));
+    }
+}
+
+function writePoint(writer, point) {
+    var coordinates = getCoordinates(point, writer.dimension);
+    for (var i = 0; i < coordinates.length; i++) {
+        writer.view.setFloat64(0, coordinates[i], writer.littleEndian);
+        for (var j = 0; j < 8; j++) {
+            writer.bytes.push(writer.view.getUint8(j));
+        }
+    }
+}
+
+function writePoints(writer, points) {
+    writeUint32(writer, points.length);
+    for (var i = 0; i < points.length; i++) {
+        writePoint(writer, points[i]);
+    }
+}
+
+//EWKB 用标志位表示 Z、M 和 SRID，ISO WKB 用类型编码加 1000、2000、3000 表示 Z、M、ZM，只有最外层几何对象写出 SRID
+function writeWKBGeometry(writer, geometry, type, srid) {
+    var typeCode = WKB_TYPES[type];
+    if (!typeCode) {
+        throw new Error('Unsupported geometry type: ' + type);
+    }
+    var dimension = writer.dimension;
+    if (writer.ewkb) {
+        typeCode = typeCode | (dimension.indexOf('Z') > -1 ? EWKB_Z : 0) | (dimension.indexOf('M') > -1 ? EWKB_M : 0) |
+            (srid !== null ? EWKB_SRID : 0);
+    } else {
+        typeCode += ({'Z': 1000, 'M': 2000, 'ZM': 3000})[dimension] || 0;
+    }
+    writer.bytes.push(writer.littleEndian ? 1 : 0);
+    writeUint32(writer, typeCode);
+    if (writer.ewkb && srid !== null) {
+        writeUint32(writer, srid);
+    }
+    var components = geometry.components;
+    switch (type) {
+        case 'point':
+            writePoint(writer, geometry);
+            break;
+        case 'linestring':
+            writePoints(writer, components);
+            break;
+        case 'polygon':
+            writeUint32(writer, components.length);
+            for (var i = 0; i < components.length; i++) {
+                writePoints(writer, components[i].components);
+            }
+            break;
+        default:
+            writeUint32(writer, components.length);
+            for (var j = 0; j < components.length; j++) {
+                writeWKBGeometry(writer, components[j], getGeometryType(components[j]), null);
+            }
+    }
 }
 
-SuperMap.Format.WKT = WKT;
\ No newline at end of file
+SuperMap.Format.WKT = WKT;
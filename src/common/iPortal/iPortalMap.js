@@ -56,7 +56,9 @@ export class IPortalMap extends IPortalServiceBase {
      */
     load() {
         var me = this;
-        return me.request("GET", me.mapUrl + ".json")
+        return me.request("GET", me.mapUrl + ".json", null, {
+            cache: true
+        })
             .then(function (mapInfo) {
                 if (mapInfo.error) {
                     return mapInfo;
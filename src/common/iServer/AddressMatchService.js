@@ -33,24 +33,26 @@ export class AddressMatchService extends CommonServiceBase {
      * @function SuperMap.AddressMatchService.prototype.code
      * @param {string} url - 正向地址匹配服务地址。
      * @param {SuperMap.GeoCodingParameter} params - 正向地址匹配服务参数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     code(url, params) {
         if (!(params instanceof GeoCodingParameter)) {
-            return;
+            return this._rejectInvalidParams();
         }
-        this.processAsync(url, params);
+        return this.processAsync(url, params);
     }
 
     /**
      * @function SuperMap.AddressMatchService.prototype.decode
      * @param {string} url - 反向地址匹配服务地址。
      * @param {SuperMap.GeoDecodingParameter} params - 反向地址匹配服务参数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     decode(url, params) {
         if (!(params instanceof GeoDecodingParameter)) {
-            return;
+            return this._rejectInvalidParams();
         }
-        this.processAsync(url, params);
+        return this.processAsync(url, params);
     }
 
     /**
@@ -58,21 +60,33 @@ export class AddressMatchService extends CommonServiceBase {
      * @description 负责将客户端的动态分段服务参数传递到服务端。
      * @param {string} url - 服务地址。
      * @param {Object} params - 参数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
 
     processAsync(url, params) {
         var me = this;
-        FetchRequest.get(url, params,{proxy: me.proxy}).then(function (response) {
-            return response.json();
+        var process = me._createProcess();
+        FetchRequest.get(url, params, {
+            proxy: me.proxy,
+            signal: me.signal,
+            retry: me.retry,
+            interceptors: me.interceptors
+        }).then(function (response) {
+            return FetchRequest.parseJSON(response);
         }).then(function (result) {
-            if (result) {
-                me.serviceProcessCompleted(result);
-            } else {
-                me.serviceProcessFailed(result);
-            }
+            me._runInProcess(process, me.serviceProcessCompleted, [result]);
         }).catch(function (e) {
-            me.eventListeners.processFailed({error: e});
+            if (FetchRequest.isAbortError(e)) {
+                process.reject(e);
+                return;
+            }
+            me._runInProcess(process, function () {
+                me.events.triggerEvent("processFailed", {
+                    error: e
+                });
+            });
         });
+        return process.promise;
     }
 
     /**
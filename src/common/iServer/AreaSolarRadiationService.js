@@ -44,10 +44,11 @@ export class AreaSolarRadiationService extends SpatialAnalystBase {
      * @function SuperMap.AreaSolarRadiationService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.AreaSolarRadiationParameters} parameter - 地区太阳辐射参数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(parameter) {
         if (!(parameter instanceof AreaSolarRadiationParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this;
 
@@ -66,7 +67,7 @@ export class AreaSolarRadiationService extends SpatialAnalystBase {
         var jsonParameters = Util.toJSON(parameterObject);
         me.url += '.json?returnContent=true';
 
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
@@ -60,6 +60,7 @@ export class BufferAnalystService extends SpatialAnalystBase {
      * @method SuperMap.BufferAnalystService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.BufferAnalystParameters} parameter - 缓冲区分析参数
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(parameter) {
         var parameterObject = {};
@@ -82,7 +83,7 @@ export class BufferAnalystService extends SpatialAnalystBase {
 
         var jsonParameters = Util.toJSON(parameterObject);
         me.url += '.json?returnContent=true';
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
@@ -30,18 +30,20 @@ export class BuffersAnalystJobsService extends ProcessingServiceBase {
     /**
      * @function SuperMap.BuffersAnalystJobsService.prototype.getBufferJobs
      * @description 获取缓冲区分析所有任务
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getBuffersJobs() {
-        super.getJobs(this.url);
+        return super.getJobs(this.url);
     }
 
     /**
      * @function SuperMap.BuffersAnalystJobsService.prototype.getBufferJob
      * @description 获取指定id的缓冲区分析服务
      * @param {string} id - 指定要获取数据的id。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getBuffersJob(id) {
-        super.getJobs(this.url + '/' + id);
+        return super.getJobs(this.url + '/' + id);
     }
 
     /**
@@ -49,9 +51,10 @@ export class BuffersAnalystJobsService extends ProcessingServiceBase {
      * @description 新建缓冲区分析服务
      * @param {SuperMap.BuffersAnalystJobsParameter} params - 创建一个空间分析的请求参数。
      * @param {number} seconds - 开始创建后，获取创建成功结果的时间间隔。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addBuffersJob(params, seconds) {
-        super.addJob(this.url, params, BuffersAnalystJobsParameter, seconds);
+        return super.addJob(this.url, params, BuffersAnalystJobsParameter, seconds);
     }
 }
 
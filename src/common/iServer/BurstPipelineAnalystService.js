@@ -35,6 +35,7 @@ export class BurstPipelineAnalystService extends NetworkAnalystServiceBase {
      * @function SuperMap.BurstPipelineAnalystService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @params {SuperMap.BurstPipelineAnalystParameters} params - 爆管分析参数类
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof BurstPipelineAnalystParameters)) {
@@ -62,7 +63,7 @@ export class BurstPipelineAnalystService extends NetworkAnalystServiceBase {
             jsonObject.nodeID = params.nodeID;
         }
 
-        me.request({
+        return me.request({
             method: "GET",
             params: jsonObject,
             scope: me,
@@ -44,6 +44,7 @@ export class ChartFeatureInfoSpecsService extends CommonServiceBase {
      *              事件。用可以通过户两种方式获取图层信息:
      *              1. 通过 AsyncResponder 类获取（推荐使用）；
      *              2. 通过监听 ChartFeatureInfoSpecsEvent.PROCESS_COMPLETE 事件获取。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync() {
         var me = this, method = "GET",
@@ -54,7 +55,7 @@ export class ChartFeatureInfoSpecsService extends CommonServiceBase {
         } else {
             me.url += ".json?";
         }
-        me.request({
+        return me.request({
             method: method,
             params: null,
             scope: me,
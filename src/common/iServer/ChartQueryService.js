@@ -107,11 +107,12 @@ export class ChartQueryService extends CommonServiceBase {
      * @function SuperMap.ChartQueryService.prototype.processAsync
      * @description 使用服务地址 URL 实例化 ChartQueryService 对象。
      * @param {SuperMap.ChartQueryParameters} params - 查询参数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         //todo重点需要添加代码的地方
         if (!(params instanceof ChartQueryParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this, jsonParameters;
         me.returnContent = params.returnContent;
@@ -119,7 +120,7 @@ export class ChartQueryService extends CommonServiceBase {
         if (me.returnContent) {
             me.url += "returnContent=" + me.returnContent;
         }
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
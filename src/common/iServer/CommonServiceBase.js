@@ -28,6 +28,11 @@ import {
 import {
     FunctionExt
 } from '../commontypes/BaseTypes';
+import {
+    ServiceError,
+    ServerError,
+    ParseError
+} from '../commontypes/Errors';
 
 /**
  * @class SuperMap.CommonServiceBase
@@ -36,9 +41,14 @@ import {
  * @param {string} url - 服务地址。
  * @param {Object} options - 参数。
  * @param {Object} options.eventListeners - 事件监听器对象。有 processCompleted 属性可传入处理完成后的回调函数。processFailed 属性传入处理失败后的回调函数。
+ *        processFailed 事件对象的 error 属性为 {@link SuperMap.ServiceError} 子类的实例，可据此区分网络错误、超时、服务端错误、身份认证失败和解析错误。
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务器类型，iServer|iPortal|Online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止，且不再触发 processCompleted 和 processFailed 事件。
+ * @param {Object} [options.retry] - GET 请求的重试策略，默认使用 {@link SuperMap.getRequestRetry} 的返回值。参数说明参考 {@link SuperMap.setRequestRetry}。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，在全局拦截器之后执行。拦截器说明参考 {@link SuperMap.FetchRequest.addInterceptor}。
+ * @param {(boolean|SuperMap.ResponseCache)} [options.cache] - 请求的响应缓存。为 true 时使用 {@link SuperMap.getRequestCache} 返回的全局缓存，也可以传入单独的 {@link SuperMap.ResponseCache} 对象。
  */
 export class CommonServiceBase {
 
@@ -73,10 +83,20 @@ export class CommonServiceBase {
 
         this._processFailed = null;
 
+        this._activeProcess = null;
+
         this.isInTheSameDomain = null;
 
         this.withCredentials = false;
 
+        this.signal = null;
+
+        this.retry = null;
+
+        this.interceptors = null;
+
+        this.cache = null;
+
         if (Util.isArray(url)) {
             me.urls = url;
             me.length = url.length;
@@ -109,6 +129,9 @@ export class CommonServiceBase {
         if (me.eventListeners instanceof Object) {
             me.events.on(me.eventListeners);
         }
+        //优先注册，避免用户回调返回 false 中断事件链后 Promise 无法结束
+        me.events.register("processCompleted", me, me._settleActiveProcess, true);
+        me.events.register("processFailed", me, me._settleActiveProcess, true);
 
         this.CLASS_NAME = "SuperMap.CommonServiceBase";
     }
@@ -129,7 +152,12 @@ export class CommonServiceBase {
         me.options = null;
         me._processSuccess = null;
         me._processFailed = null;
+        me._activeProcess = null;
         me.isInTheSameDomain = null;
+        me.signal = null;
+        me.retry = null;
+        me.interceptors = null;
+        me.cache = null;
 
         me.EVENT_TYPES = null;
         if (me.events) {
@@ -154,12 +182,21 @@ export class CommonServiceBase {
      * @param {Object} [options.scope] - 如果回调函数是对象的一个公共方法，设定该对象的范围。
      * @param {boolean} [options.isInTheSameDomain] - 请求是否在当前域中。
      * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+     * @param {AbortSignal} [options.signal] - 取消请求的信号，默认使用服务的 signal 参数。
+     * @param {Object} [options.retry] - GET 请求的重试策略，默认使用服务的 retry 参数。
+     * @param {Array.<Object>} [options.interceptors] - 拦截器，默认使用服务的 interceptors 参数。
+     * @param {(boolean|SuperMap.ResponseCache)} [options.cache] - 响应缓存，默认使用服务的 cache 参数。
+     * @returns {Promise} Promise 对象。该请求触发 processCompleted 事件时返回事件中的服务结果，触发 processFailed 事件时以 {@link SuperMap.ServiceError} 拒绝，请求被取消时以 AbortError 拒绝。
      */
     request(options) {
         let me = this;
         options.url = options.url || me.url;
         options.proxy = options.proxy || me.proxy;
         options.withCredentials = options.withCredentials != undefined ? options.withCredentials : me.withCredentials;
+        options.signal = options.signal || me.signal;
+        options.retry = options.retry || me.retry;
+        options.interceptors = options.interceptors || me.interceptors;
+        options.cache = options.cache != undefined ? options.cache : me.cache;
         options.isInTheSameDomain = me.isInTheSameDomain;
         //为url添加安全认证信息片段
         let credential = this.getCredential(options.url);
@@ -178,13 +215,96 @@ export class CommonServiceBase {
         }
 
         me.calculatePollingTimes();
-        me._processSuccess = options.success;
-        me._processFailed = options.failure;
+        //在请求的回调中发送的后续请求（如先查询数据集信息再查询数据）属于同一处理过程
+        let activeProcess = me._activeProcess;
+        let process = activeProcess && !activeProcess.settled ? activeProcess : me._createProcess(),
+            success = options.success,
+            failure = options.failure;
+        //同一服务对象的多个请求可能同时进行，回调时恢复该请求的状态
+        let callback = function (handler) {
+            return function (result) {
+                me._processSuccess = success;
+                me._processFailed = failure;
+                me.options = options;
+                me._runInProcess(process, handler, [result]);
+            };
+        };
+        me._processSuccess = success;
+        me._processFailed = failure;
         options.scope = me;
-        options.success = me.getUrlCompleted;
-        options.failure = me.getUrlFailed;
+        options.success = callback(me.getUrlCompleted);
+        options.failure = callback(me.getUrlFailed);
+        options.abort = process.reject;
         me.options = options;
         me._commit(me.options);
+        return process.promise;
+    }
+
+    /**
+     * @function SuperMap.CommonServiceBase.prototype._createProcess
+     * @description 创建一次请求的处理过程，包含该请求的 Promise 对象及其 resolve 和 reject 方法。
+     * @returns {Object} 处理过程对象。
+     * @private
+     */
+    _createProcess() {
+        let process = {};
+        process.promise = new Promise(function (resolve, reject) {
+            process.resolve = resolve;
+            process.reject = reject;
+        });
+        //只使用回调方式时，不产生未处理的 Promise 拒绝
+        process.promise.catch(function () {});
+        return process;
+    }
+
+    /**
+     * @function SuperMap.CommonServiceBase.prototype._runInProcess
+     * @description 在请求的处理过程中执行函数，执行期间触发的 processCompleted 或 processFailed 事件结束该请求的 Promise。
+     * @param {Object} process - 处理过程对象。
+     * @param {function} func - 执行的函数，上下文为当前服务对象。
+     * @param {Array} [args] - 函数参数。
+     * @private
+     */
+    _runInProcess(process, func, args) {
+        let me = this,
+            previous = me._activeProcess;
+        me._activeProcess = process;
+        try {
+            return func.apply(me, args || []);
+        } finally {
+            me._activeProcess = previous;
+        }
+    }
+
+    /**
+     * @function SuperMap.CommonServiceBase.prototype._settleActiveProcess
+     * @description processCompleted 和 processFailed 事件的监听，结束当前请求的 Promise。
+     * @param {Object} serviceResult - 事件对象。
+     * @private
+     */
+    _settleActiveProcess(serviceResult) {
+        let process = this._activeProcess;
+        if (!process || process.settled) {
+            return;
+        }
+        process.settled = true;
+        if (serviceResult.type === "processCompleted") {
+            process.resolve(serviceResult.result);
+        } else {
+            process.reject(ServiceError.fromEvent(serviceResult.error));
+        }
+    }
+
+    /**
+     * @function SuperMap.CommonServiceBase.prototype._rejectInvalidParams
+     * @description 参数无效、未发送请求时返回以 {@link SuperMap.ServiceError} 拒绝的 Promise 对象，不触发 processFailed 事件。
+     * @returns {Promise} Promise 对象。
+     * @private
+     */
+    _rejectInvalidParams() {
+        let promise = Promise.reject(new ServiceError("Invalid parameters."));
+        promise.catch(function () {});
+        return promise;
     }
 
     /**
@@ -335,12 +455,18 @@ export class CommonServiceBase {
             }
             options.params = options.data;
         }
+        var status;
         FetchRequest.commit(options.method, options.url, options.params, {
             headers: options.headers,
             withCredentials: options.withCredentials,
             timeout: options.async ? 0 : null,
-            proxy: options.proxy
+            proxy: options.proxy,
+            signal: options.signal,
+            retry: options.retry,
+            interceptors: options.interceptors,
+            cache: options.cache
         }).then(function (response) {
+            status = response.status;
             if (response.text) {
                 return response.text();
             }
@@ -352,18 +478,18 @@ export class CommonServiceBase {
             var result = text;
             if (typeof text === "string") {
                 result = new JSON().read(text);
-            }
-            if (!result || result.error || result.code >= 300 && result.code !== 304) {
-                if (result && result.error) {
-                    result = {
-                        error: result.error
-                    };
-                } else {
-                    result = {
-                        error: result
-                    };
+                if (result === undefined) {
+                    //状态码表示失败时，响应内容通常是服务器的错误页面，按服务端错误处理
+                    throw status >= 400 ? ServerError.fromResult(null, status) : new ParseError(null, text);
                 }
             }
+            return FetchRequest.interceptResult(result, options);
+        }).then(function (result) {
+            if (ServerError.isErrorResult(result)) {
+                result = {
+                    error: ServerError.fromResult(result, status)
+                };
+            }
             if (result.error) {
                 var failure = (options.scope) ? FunctionExt.bind(options.failure, options.scope) : options.failure;
                 failure(result);
@@ -373,8 +499,15 @@ export class CommonServiceBase {
                 success(result);
             }
         }).catch(function (e) {
+            //请求被取消时不再回调，以免过期的结果覆盖新请求的结果
+            if (FetchRequest.isAbortError(e)) {
+                options.abort && options.abort(e);
+                return;
+            }
             var failure = (options.scope) ? FunctionExt.bind(options.failure, options.scope) : options.failure;
-            failure(e);
+            failure({
+                error: e
+            });
         })
     }
 }
@@ -48,10 +48,11 @@ export class ComputeWeightMatrixService extends NetworkAnalystServiceBase {
      * @function SuperMap.ComputeWeightMatrixService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.ComputeWeightMatrixParameters} params - 耗费矩阵分析参数类
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof ComputeWeightMatrixParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this, jsonObject,
             end = me.url.substr(me.url.length - 1, 1);
@@ -60,7 +61,7 @@ export class ComputeWeightMatrixService extends NetworkAnalystServiceBase {
             parameter: Util.toJSON(params.parameter),
             nodes: me.getJson(params.isAnalyzeById, params.nodes)
         };
-        me.request({
+        return me.request({
             method: "GET",
             params: jsonObject,
             scope: me,
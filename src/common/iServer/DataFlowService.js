@@ -5,11 +5,12 @@ import {SuperMap} from '../SuperMap';
 import {CommonServiceBase} from './CommonServiceBase';
 import {Util} from '../commontypes/Util';
 import {SecurityManager} from '../security/SecurityManager';
+import {AttributeFilter} from '../util/AttributeFilter';
 
 /**
  * @class SuperMap.DataFlowService
  * @category iServer DataFlow
- * @classdesc 数据流服务类
+ * @classdesc 数据流服务类。连接意外断开后会按指数退避自动重连，重连成功后重新发送过滤参数；断开期间的广播数据会暂存在队列中，连接恢复后依次发送。
  * @extends {SuperMap.CommonServiceBase}
  * @param {string} url - 数据流服务地址
  * @param {Object} options - 参数。
@@ -17,6 +18,18 @@ import {SecurityManager} from '../security/SecurityManager';
  * @param {function} options.onEachFeature - 设置每个数据加载popup等。
  * @param {Array.<Object>} options.geometry - 设置增添的几何要素对象数组。
  * @param {Object} options.excludeField - -排除字段。
+ * @param {(Object|boolean)} [options.reconnect] - 自动重连策略，设为 false 时不自动重连。
+ * @param {number} [options.reconnect.times=10] - 连续重连的最大次数，连接成功后重新计数。
+ * @param {number} [options.reconnect.delay=1000] - 首次重连前的等待时间，单位毫秒。之后每次重连等待时间加倍。
+ * @param {number} [options.reconnect.maxDelay=30000] - 重连等待时间的上限，单位毫秒。
+ * @param {number} [options.batchInterval=0] - 订阅数据的合并间隔，单位毫秒。大于 0 时收到的数据先缓存，每个间隔内最多触发一轮 messageSucceeded 事件，
+ *                                              同一要素（idField 相同）在一个间隔内只保留最新的数据，避免高频数据流阻塞图层绘制。
+ * @param {string} [options.idField='id'] - 要素属性中表示唯一标识的字段，用于合并同一要素的数据。
+ * @param {number} [options.maxBufferSize=1000] - 待发送的广播数据和待触发的订阅数据的最大缓存个数，超出时丢弃最早的数据。
+ * @param {(string|function)} [options.filter] - 订阅数据的属性过滤条件。可以是类似 SQL 查询条件的表达式（语法参考 {@link SuperMap.AttributeFilter}），
+ *                                               也可以是参数为 GeoJSON 要素、返回 true 表示保留要素的函数。在客户端过滤，不满足条件的数据不触发 messageSucceeded 事件，
+ *                                               而是触发 messageFiltered 事件，以便图层移除之前满足条件的同一要素。
+ * @param {Array.<string>} [options.fields] - 订阅数据保留的属性字段，其他字段在客户端被移除。idField 字段总是保留。
  */
 export class DataFlowService extends CommonServiceBase {
 
@@ -28,7 +41,7 @@ export class DataFlowService extends CommonServiceBase {
          * {Array.<string>}
          * 此类支持的事件类型
          */
-        options.EVENT_TYPES = ["broadcastSocketConnected", "broadcastSocketError", "broadcastFailed", "broadcastSucceeded", "subscribeSocketConnected", "subscribeSocketError", "messageSucceeded", "setFilterParamSucceeded"]
+        options.EVENT_TYPES = ["broadcastSocketConnected", "broadcastSocketError", "broadcastFailed", "broadcastSucceeded", "subscribeSocketConnected", "subscribeSocketError", "messageSucceeded", "messageFiltered", "setFilterParamSucceeded", "broadcastSocketReconnecting", "subscribeSocketReconnecting"]
         super(url, options);
 
         /**
@@ -49,6 +62,46 @@ export class DataFlowService extends CommonServiceBase {
          */
         this.excludeField = null;
 
+        /**
+         * @member {(Object|boolean)} SuperMap.DataFlowService.prototype.reconnect
+         * @description 自动重连策略，为 false 时不自动重连。
+         */
+        this.reconnect = {
+            times: 10,
+            delay: 1000,
+            maxDelay: 30000
+        };
+
+        /**
+         * @member {number} [SuperMap.DataFlowService.prototype.batchInterval=0]
+         * @description 订阅数据的合并间隔，单位毫秒。
+         */
+        this.batchInterval = 0;
+
+        /**
+         * @member {string} [SuperMap.DataFlowService.prototype.idField='id']
+         * @description 要素属性中表示唯一标识的字段。
+         */
+        this.idField = 'id';
+
+        /**
+         * @member {number} [SuperMap.DataFlowService.prototype.maxBufferSize=1000]
+         * @description 待发送的广播数据和待触发的订阅数据的最大缓存个数。
+         */
+        this.maxBufferSize = 1000;
+
+        /**
+         * @member {(string|function)} SuperMap.DataFlowService.prototype.filter
+         * @description 订阅数据的属性过滤条件。
+         */
+        this.filter = null;
+
+        /**
+         * @member {Array.<string>} SuperMap.DataFlowService.prototype.fields
+         * @description 订阅数据保留的属性字段。
+         */
+        this.fields = null;
+
         var me = this;
         var end = me.url.substr(me.url.length - 1, 1);
         if (end !== '/') {
@@ -56,6 +109,14 @@ export class DataFlowService extends CommonServiceBase {
         }
         Util.extend(me, options);
 
+        this._filter = AttributeFilter.create(this.filter);
+        this._broadcastQueue = [];
+        this._messageBuffer = [];
+        this._bufferedMessages = {};
+        this._batchTimer = null;
+        this._reconnectAttempts = {};
+        this._reconnectTimers = {};
+
         this.CLASS_NAME = "SuperMap.DataFlowService";
     }
 
@@ -65,38 +126,35 @@ export class DataFlowService extends CommonServiceBase {
      * @returns {SuperMap.DataFlowService}
      */
     initBroadcast() {
-        var me = this;
-        this.broadcastWebSocket = this._connect(me.url + 'broadcast');
-        this.broadcastWebSocket.onopen = function (e) {
-            me.broadcastWebSocket.isOpen = true;
-            e.eventType = 'broadcastSocketConnected';
-            me.events.triggerEvent('broadcastSocketConnected', e);
-        };
-        this.broadcastWebSocket.onclose = function (e) {
-            me.broadcastWebSocket.isOpen = false;
-            e.eventType = 'broadcastSocketConnected';
-            me.events.triggerEvent('broadcastSocketConnected', e);
-        };
-        this.broadcastWebSocket.onerror = function (e) {
-            e.eventType = 'broadcastSocketError';
-            me.events.triggerEvent('broadcastSocketError', e);
-        };
+        this._clearReconnect('broadcast');
+        this._openBroadcast();
         return this;
     }
 
     /**
      * @function SuperMap.DataFlowService.prototype.broadcast
-     * @description 加载广播数据。
+     * @description 加载广播数据。连接尚未建立或正在重连时，数据加入发送队列，连接成功后发送。
      * @param {GeoJSONObject} geoJSONFeature - JSON 格式的要素数据。
      */
     broadcast(geoJSONFeature) {
-        if (!this.broadcastWebSocket||!this.broadcastWebSocket.isOpen) {
-            this.events.triggerEvent('broadcastFailed');
+        if (!this.broadcastWebSocket) {
+            this.events.triggerEvent('broadcastFailed', {
+                eventType: 'broadcastFailed',
+                feature: geoJSONFeature
+            });
             return;
         }
-        this.broadcastWebSocket.send(JSON.stringify(geoJSONFeature));
-        this.events.triggerEvent('broadcastSucceeded');
-
+        if (!this.broadcastWebSocket.isOpen) {
+            this._broadcastQueue.push(geoJSONFeature);
+            if (this._broadcastQueue.length > this.maxBufferSize) {
+                this.events.triggerEvent('broadcastFailed', {
+                    eventType: 'broadcastFailed',
+                    feature: this._broadcastQueue.shift()
+                });
+            }
+            return;
+        }
+        this._send(geoJSONFeature);
     }
 
     /**
@@ -105,45 +163,57 @@ export class DataFlowService extends CommonServiceBase {
      * @returns {this} this
      */
     initSubscribe() {
-        var me = this;
-        this.subscribeWebSocket = this._connect(this.url + 'subscribe');
-        this.subscribeWebSocket.onopen = function (e) {
-            me.subscribeWebSocket.send(me._getFilterParams());
-            e.eventType = 'subscribeSocketConnected';
-            me.events.triggerEvent('subscribeSocketConnected', e);
-        };
-        this.subscribeWebSocket.onerror = function (e) {
-            e.eventType = 'subscribeSocketError';
-            me.events.triggerEvent('subscribeSocketError', e);
-        };
-        this.subscribeWebSocket.onmessage = function (e) {
-            me._onMessage(e);
-        };
+        this._clearReconnect('subscribe');
+        this._openSubscribe();
         return this;
     }
 
 
     /**
      * @function SuperMap.DataFlowService.prototype.setExcludeField
-     * @description 设置排除字段
+     * @description 设置排除字段。连接尚未建立时，在连接成功后发送。
      * @param {Object} excludeField - 排除字段
      * @returns {this} this
      */
     setExcludeField(excludeField) {
         this.excludeField = excludeField;
-        this.subscribeWebSocket.send(this._getFilterParams());
+        this._sendFilterParams();
         return this;
     }
 
     /**
      * @function SuperMap.DataFlowService.prototype.setGeometry
-     * @description 设置添加的几何要素数据
+     * @description 设置添加的几何要素数据。连接尚未建立时，在连接成功后发送。
      * @param {Array.<Object>} geometry - 设置增添的几何要素对象数组。
      * @returns {this} this
      */
     setGeometry(geometry) {
         this.geometry = geometry;
-        this.subscribeWebSocket.send(this._getFilterParams());
+        this._sendFilterParams();
+        return this;
+    }
+
+    /**
+     * @function SuperMap.DataFlowService.prototype.setFilter
+     * @description 设置订阅数据的属性过滤条件，对之后收到的数据生效。合并间隔内尚未触发的数据会被丢弃。
+     * @param {(string|function)} filter - 过滤条件表达式或过滤函数，为空时不过滤。
+     * @returns {this} this
+     */
+    setFilter(filter) {
+        this._filter = AttributeFilter.create(filter);
+        this.filter = filter;
+        this._clearMessageBuffer();
+        return this;
+    }
+
+    /**
+     * @function SuperMap.DataFlowService.prototype.setFields
+     * @description 设置订阅数据保留的属性字段，对之后收到的数据生效。
+     * @param {Array.<string>} fields - 保留的属性字段，为空时保留全部字段。
+     * @returns {this} this
+     */
+    setFields(fields) {
+        this.fields = fields;
         return this;
     }
 
@@ -152,11 +222,14 @@ export class DataFlowService extends CommonServiceBase {
      * @description 结束订阅数据
      */
     unSubscribe() {
+        this._clearReconnect('subscribe');
+        this._clearMessageBuffer();
         if (!this.subscribeWebSocket) {
             return;
         }
-        this.subscribeWebSocket.close();
+        var socket = this.subscribeWebSocket;
         this.subscribeWebSocket = null;
+        socket.close();
     }
 
     /**
@@ -164,11 +237,14 @@ export class DataFlowService extends CommonServiceBase {
      * @description 结束加载广播
      */
     unBroadcast() {
+        this._clearReconnect('broadcast');
+        this._broadcastQueue = [];
         if (!this.broadcastWebSocket) {
             return;
         }
-        this.broadcastWebSocket.close();
+        var socket = this.broadcastWebSocket;
         this.broadcastWebSocket = null;
+        socket.close();
     }
 
     /**
@@ -176,16 +252,147 @@ export class DataFlowService extends CommonServiceBase {
      * @override
      */
     destroy() {
+        this.unBroadcast();
+        this.unSubscribe();
         CommonServiceBase.prototype.destroy.apply(this, arguments);
         var me = this;
         me.geometry = null;
         me.prjCoordSys = null;
         me.excludeField = null;
-        this.unBroadcast();
-        this.unSubscribe();
+        me.filter = null;
+        me._filter = null;
+        me.fields = null;
+    }
+
+    _openBroadcast() {
+        var me = this;
+        var socket = this._connect(me.url + 'broadcast');
+        this.broadcastWebSocket = socket;
+        if (!socket) {
+            return;
+        }
+        socket.onopen = function (e) {
+            socket.isOpen = true;
+            me._reconnectAttempts.broadcast = 0;
+            e.eventType = 'broadcastSocketConnected';
+            me.events.triggerEvent('broadcastSocketConnected', e);
+            me._flushBroadcastQueue();
+        };
+        socket.onclose = function (e) {
+            socket.isOpen = false;
+            //主动结束或已被新的连接替换
+            if (socket !== me.broadcastWebSocket) {
+                return;
+            }
+            e.eventType = 'broadcastSocketConnected';
+            me.events.triggerEvent('broadcastSocketConnected', e);
+            me._reconnect('broadcast');
+        };
+        socket.onerror = function (e) {
+            e.eventType = 'broadcastSocketError';
+            me.events.triggerEvent('broadcastSocketError', e);
+        };
+    }
+
+    _openSubscribe() {
+        var me = this;
+        var socket = this._connect(this.url + 'subscribe');
+        this.subscribeWebSocket = socket;
+        if (!socket) {
+            return;
+        }
+        socket.onopen = function (e) {
+            socket.isOpen = true;
+            me._reconnectAttempts.subscribe = 0;
+            socket.send(me._getFilterParams());
+            e.eventType = 'subscribeSocketConnected';
+            me.events.triggerEvent('subscribeSocketConnected', e);
+        };
+        socket.onclose = function () {
+            socket.isOpen = false;
+            if (socket !== me.subscribeWebSocket) {
+                return;
+            }
+            me._reconnect('subscribe');
+        };
+        socket.onerror = function (e) {
+            e.eventType = 'subscribeSocketError';
+            me.events.triggerEvent('subscribeSocketError', e);
+        };
+        socket.onmessage = function (e) {
+            me._onMessage(e);
+        };
+    }
+
+    //意外断开后按指数退避重连。不再重连时释放连接，之后的广播直接失败
+    _reconnect(type) {
+        var me = this;
+        var options = me.reconnect ? Util.extend({
+            times: 10,
+            delay: 1000,
+            maxDelay: 30000
+        }, me.reconnect === true ? null : me.reconnect) : null;
+        var attempts = me._reconnectAttempts[type] || 0;
+        if (!options || attempts >= options.times) {
+            me._giveUp(type);
+            return;
+        }
+        var delay = Math.min(options.delay * Math.pow(2, attempts), options.maxDelay);
+        me._reconnectAttempts[type] = attempts + 1;
+        me._reconnectTimers[type] = setTimeout(function () {
+            delete me._reconnectTimers[type];
+            type === 'broadcast' ? me._openBroadcast() : me._openSubscribe();
+        }, delay);
+        me.events.triggerEvent(type + 'SocketReconnecting', {
+            eventType: type + 'SocketReconnecting',
+            attempt: attempts + 1,
+            delay: delay
+        });
+    }
+
+    _giveUp(type) {
+        if (type === 'subscribe') {
+            this.subscribeWebSocket = null;
+            return;
+        }
+        this.broadcastWebSocket = null;
+        var queue = this._broadcastQueue;
+        this._broadcastQueue = [];
+        for (var i = 0; i < queue.length; i++) {
+            this.events.triggerEvent('broadcastFailed', {
+                eventType: 'broadcastFailed',
+                feature: queue[i]
+            });
+        }
+    }
+
+    _clearReconnect(type) {
+        if (this._reconnectTimers[type]) {
+            clearTimeout(this._reconnectTimers[type]);
+            delete this._reconnectTimers[type];
+        }
+        this._reconnectAttempts[type] = 0;
+    }
 
+    _send(geoJSONFeature) {
+        this.broadcastWebSocket.send(JSON.stringify(geoJSONFeature));
+        this.events.triggerEvent('broadcastSucceeded', {
+            eventType: 'broadcastSucceeded',
+            feature: geoJSONFeature
+        });
     }
 
+    _flushBroadcastQueue() {
+        while (this._broadcastQueue.length && this.broadcastWebSocket && this.broadcastWebSocket.isOpen) {
+            this._send(this._broadcastQueue.shift());
+        }
+    }
+
+    _sendFilterParams() {
+        if (this.subscribeWebSocket && this.subscribeWebSocket.isOpen) {
+            this.subscribeWebSocket.send(this._getFilterParams());
+        }
+    }
 
     _getFilterParams() {
         var filter = {
@@ -208,11 +415,101 @@ export class DataFlowService extends CommonServiceBase {
             return;
         }
         var feature = JSON.parse(e.data);
-        e.featureResult = feature;
+        if (this._filter && !this._filter(feature)) {
+            this._onMessageFiltered(e, feature);
+            return;
+        }
+        e.featureResult = this._selectFields(feature);
         e.eventType = 'messageSucceeded';
+        if (this.batchInterval > 0) {
+            this._bufferMessage(e);
+            return;
+        }
         this.events.triggerEvent('messageSucceeded', e);
     }
 
+    //不满足过滤条件的要素可能之前满足过条件，丢弃该要素尚未触发的数据，并通知图层移除该要素
+    _onMessageFiltered(e, feature) {
+        var id = feature && feature.properties ? feature.properties[this.idField] : undefined;
+        if (id === undefined) {
+            return;
+        }
+        var item = this._bufferedMessages[id];
+        if (item) {
+            delete this._bufferedMessages[id];
+            this._messageBuffer.splice(this._messageBuffer.indexOf(item), 1);
+        }
+        e.featureId = id;
+        e.featureResult = this._selectFields(feature);
+        e.eventType = 'messageFiltered';
+        this.events.triggerEvent('messageFiltered', e);
+    }
+
+    _selectFields(feature) {
+        if (!this.fields || !feature || !feature.properties) {
+            return feature;
+        }
+        var properties = {};
+        var fields = this.fields.concat(this.idField);
+        for (var i = 0; i < fields.length; i++) {
+            if (feature.properties.hasOwnProperty(fields[i])) {
+                properties[fields[i]] = feature.properties[fields[i]];
+            }
+        }
+        feature.properties = properties;
+        return feature;
+    }
+
+    //缓存订阅数据，同一要素只保留最新的一条，每个合并间隔统一触发一次
+    _bufferMessage(e) {
+        var me = this;
+        var properties = e.featureResult && e.featureResult.properties;
+        var id = properties ? properties[me.idField] : undefined;
+        var item = id !== undefined ? me._bufferedMessages[id] : null;
+        if (item) {
+            item.message = e;
+        } else {
+            item = {
+                id: id,
+                message: e
+            };
+            me._messageBuffer.push(item);
+            if (id !== undefined) {
+                me._bufferedMessages[id] = item;
+            }
+            if (me._messageBuffer.length > me.maxBufferSize) {
+                var dropped = me._messageBuffer.shift();
+                if (dropped.id !== undefined && me._bufferedMessages[dropped.id] === dropped) {
+                    delete me._bufferedMessages[dropped.id];
+                }
+            }
+        }
+        if (!me._batchTimer) {
+            me._batchTimer = setTimeout(function () {
+                me._flushMessages();
+            }, me.batchInterval);
+        }
+    }
+
+    _flushMessages() {
+        var buffer = this._messageBuffer;
+        this._messageBuffer = [];
+        this._bufferedMessages = {};
+        this._batchTimer = null;
+        for (var i = 0; i < buffer.length; i++) {
+            this.events.triggerEvent('messageSucceeded', buffer[i].message);
+        }
+    }
+
+    _clearMessageBuffer() {
+        if (this._batchTimer) {
+            clearTimeout(this._batchTimer);
+            this._batchTimer = null;
+        }
+        this._messageBuffer = [];
+        this._bufferedMessages = {};
+    }
+
 
     _connect(url) {
         url = this._appendCredentials(url);
@@ -237,4 +534,4 @@ export class DataFlowService extends CommonServiceBase {
 
 }
 
-SuperMap.DataFlowService = DataFlowService;
\ No newline at end of file
+SuperMap.DataFlowService = DataFlowService;
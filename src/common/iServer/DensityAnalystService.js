@@ -55,6 +55,7 @@ export class DensityAnalystService extends SpatialAnalystBase {
      * @function SuperMap.DensityAnalystService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.DensityKernelAnalystParameters} parameter - 核密度分析参数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(parameter) {
         var me = this;
@@ -74,7 +75,7 @@ export class DensityAnalystService extends SpatialAnalystBase {
         var jsonParameters = Util.toJSON(parameterObject);
         me.url += '.json?returnContent=true';
 
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
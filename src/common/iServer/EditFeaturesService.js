@@ -75,10 +75,11 @@ export class EditFeaturesService extends CommonServiceBase {
      * @function SuperMap.EditFeaturesService.prototype.processAsync
      * @description 负责将客户端的更新参数传递到服务端。
      * @param {SuperMap.EditFeaturesParameters} params - 编辑要素参数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof EditFeaturesParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this,
             method = "POST",
@@ -107,7 +108,7 @@ export class EditFeaturesService extends CommonServiceBase {
             }
         }
 
-        me.request({
+        return me.request({
             method: method,
             data: jsonParameters,
             scope: me,
@@ -48,10 +48,11 @@ export class FacilityAnalystSinks3DService extends CommonServiceBase {
      * @function SuperMap.FacilityAnalystSinks3DService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.FacilityAnalystSinks3DParameters} params - 最近设施分析参数类(汇查找资源)
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof FacilityAnalystSinks3DParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this, jsonObject,
             end = me.url.substr(me.url.length - 1, 1);
@@ -62,7 +63,7 @@ export class FacilityAnalystSinks3DService extends CommonServiceBase {
             weightName: params.weightName,
             isUncertainDirectionValid: params.isUncertainDirectionValid
         };
-        me.request({
+        return me.request({
             method: "GET",
             params: jsonObject,
             scope: me,
@@ -37,10 +37,11 @@ export class FacilityAnalystStreamService extends NetworkAnalystServiceBase {
      * @function SuperMap.FacilityAnalystStreamService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.FacilityAnalystStreamParameters} params - 上游/下游关键设施查找资源参数类。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof FacilityAnalystStreamParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this, jsonObject;
         var end = me.url.substr(me.url.length - 1, 1);
@@ -53,7 +54,7 @@ export class FacilityAnalystStreamService extends NetworkAnalystServiceBase {
             me.url = me.url + ((end === "/") ? "downstreamcirticalfaclilities" :
                 "/downstreamcirticalfaclilities") + ".json?";
         } else {
-            return;
+            return this._rejectInvalidParams();
         }
 
         jsonObject = {
@@ -62,10 +63,10 @@ export class FacilityAnalystStreamService extends NetworkAnalystServiceBase {
         };
 
         if (params.edgeID !== null && params.nodeID !== null) {
-            return;
+            return this._rejectInvalidParams();
         }
         if (params.edgeID === null && params.nodeID === null) {
-            return;
+            return this._rejectInvalidParams();
         }
         if (params.edgeID !== null) {
             jsonObject.edgeID = params.edgeID;
@@ -73,7 +74,7 @@ export class FacilityAnalystStreamService extends NetworkAnalystServiceBase {
             jsonObject.nodeID = params.nodeID;
         }
 
-        me.request({
+        return me.request({
             method: "GET",
             params: jsonObject,
             scope: me,
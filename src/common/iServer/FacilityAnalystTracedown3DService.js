@@ -35,10 +35,11 @@ export class FacilityAnalystTracedown3DService extends CommonServiceBase {
      * @function SuperMap.FacilityAnalystTracedown3DService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.FacilityAnalystTracedown3DParameters} params - 下游追踪资源参数类。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof FacilityAnalystTracedown3DParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this, jsonObject,
             end = me.url.substr(me.url.length - 1, 1);
@@ -49,7 +50,7 @@ export class FacilityAnalystTracedown3DService extends CommonServiceBase {
             weightName: params.weightName,
             isUncertainDirectionValid: params.isUncertainDirectionValid
         };
-        me.request({
+        return me.request({
             method: "GET",
             params: jsonObject,
             scope: me,
@@ -20,6 +20,7 @@ import './FieldStatisticsParameters';
  * @param {string} options.dataset - 数据集名称。
  * @param {string} options.field - 查询统计的目标字段名称。
  * @param {SuperMap.StatisticMode} options.statisticMode - 字段查询统计的方法类型。
+ * @param {(boolean|SuperMap.ResponseCache)} [options.cache=true] - 响应缓存。默认使用 {@link SuperMap.getRequestCache} 返回的全局缓存，设为 false 时不使用缓存。
  * @example
  * var myService = new SuperMap.FieldStatisticService(url, {eventListeners: {
  *     "processCompleted": fieldStatisticCompleted,
@@ -62,6 +63,11 @@ export class FieldStatisticService extends CommonServiceBase {
          * @description 字段查询统计的方法类型。
          */
         this.statisticMode = null;
+        /**
+         * @member {(boolean|SuperMap.ResponseCache)} SuperMap.FieldStatisticService.prototype.cache
+         * @description 响应缓存。默认使用 {@link SuperMap.getRequestCache} 返回的全局缓存，未设置全局缓存时不缓存。
+         */
+        this.cache = true;
         if (options) {
             Util.extend(this, options);
         }
@@ -87,6 +93,7 @@ export class FieldStatisticService extends CommonServiceBase {
     /**
      * @function SuperMap.FieldStatisticService.prototype.processAsync
      * @description 执行服务，进行指定字段的查询统计。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync() {
         var me = this,
@@ -94,7 +101,7 @@ export class FieldStatisticService extends CommonServiceBase {
             fieldStatisticURL = "datasources/" + me.datasource + "/datasets/" + me.dataset + "/fields/" + me.field + "/" + me.statisticMode;
         me.url += (end == "/") ? fieldStatisticURL + ".json?" : "/" + fieldStatisticURL + ".json?";
 
-        me.request({
+        return me.request({
             method: "GET",
             data: null,
             scope: me,
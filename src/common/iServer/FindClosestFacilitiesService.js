@@ -58,10 +58,11 @@ export class FindClosestFacilitiesService extends NetworkAnalystServiceBase {
      * @function SuperMap.FindClosestFacilitiesService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.FindClosestFacilitiesParameters} params - 最近设施分析服务参数类
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof FindClosestFacilitiesParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this, jsonObject,
             end = me.url.substr(me.url.length - 1, 1);
@@ -74,7 +75,7 @@ export class FindClosestFacilitiesService extends NetworkAnalystServiceBase {
             event: Util.toJSON(params.event),
             facilities: me.getJson(params.isAnalyzeById, params.facilities)
         };
-        me.request({
+        return me.request({
             method: "GET",
             params: jsonObject,
             scope: me,
@@ -49,10 +49,11 @@ export class FindLocationService extends NetworkAnalystServiceBase {
      * @function SuperMap.FindLocationService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.FindLocationParameters} params - 选址分区分析服务参数类
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof FindLocationParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this, jsonObject,
             end = me.url.substr(me.url.length - 1, 1);
@@ -68,7 +69,7 @@ export class FindLocationService extends NetworkAnalystServiceBase {
             mapParameter: Util.toJSON(params.mapParameter),
             supplyCenters: me.getCentersJson(params.supplyCenters)
         };
-        me.request({
+        return me.request({
             method: "GET",
             params: jsonObject,
             scope: me,
@@ -50,10 +50,11 @@ export class FindMTSPPathsService extends NetworkAnalystServiceBase {
      * @function SuperMap.FindMTSPPathsService..prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.FindMTSPPathsParameters} params - 多旅行商分析服务参数类
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof FindMTSPPathsParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this, jsonObject,
             //end = me.url.substr(me.url.length - 1, 1),
@@ -66,7 +67,7 @@ export class FindMTSPPathsService extends NetworkAnalystServiceBase {
             parameter: Util.toJSON(params.parameter),
             hasLeastTotalCost: params.hasLeastTotalCost
         };
-        me.request({
+        return me.request({
             method: "GET",
             params: jsonObject,
             scope: me,
@@ -49,10 +49,11 @@ export class FindServiceAreasService extends NetworkAnalystServiceBase {
      * @function SuperMap.FindServiceAreasService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.FindServiceAreasParameters} params - 服务区分析服务参数类
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof FindServiceAreasParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this, jsonObject,
             end = me.url.substr(me.url.length - 1, 1);
@@ -64,7 +65,7 @@ export class FindServiceAreasService extends NetworkAnalystServiceBase {
             centers: me.getJson(params.isAnalyzeById, params.centers),
             weights: me.getJson(true, params.weights)
         };
-        me.request({
+        return me.request({
             method: "GET",
             params: jsonObject,
             scope: me,
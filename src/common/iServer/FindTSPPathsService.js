@@ -50,10 +50,11 @@ export class FindTSPPathsService extends NetworkAnalystServiceBase {
      * @function SuperMap.FindTSPPathsService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.FindTSPPathsParameters} params - 旅行商分析服务参数类。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof FindTSPPathsParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this, jsonObject,
             end = me.url.substr(me.url.length - 1, 1);
@@ -63,7 +64,7 @@ export class FindTSPPathsService extends NetworkAnalystServiceBase {
             endNodeAssigned: params.endNodeAssigned,
             nodes: me.getNodesJson(params)
         };
-        me.request({
+        return me.request({
             method: "GET",
             params: jsonObject,
             scope: me,
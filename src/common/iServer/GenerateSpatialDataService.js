@@ -74,17 +74,18 @@ export class GenerateSpatialDataService extends SpatialAnalystBase {
      * @function SuperMap.GenerateSpatialDataService.prototype.processAsync
      * @description 负责将客户端的动态分段服务参数传递到服务端。
      * @param {SuperMap.GenerateSpatialDataParameters} params - 动态分段操作参数类。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof GenerateSpatialDataParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this,
             jsonParameters;
 
         jsonParameters = me.getJsonParameters(params);
 
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
@@ -66,10 +66,11 @@ export class GeoRelationAnalystService extends SpatialAnalystBase {
      * @function SuperMap.GeoRelationAnalystService.prototype.processAsync
      * @description 负责将客户端的空间关系分析参数传递到服务端
      * @param {SuperMap.GeoRelationAnalystParameters} parameter - 空间关系分析所需的参数信息。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(parameter) {
         if (!(parameter instanceof GeoRelationAnalystParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this;
         var end = me.url.substr(me.url.length - 1, 1);
@@ -83,7 +84,7 @@ export class GeoRelationAnalystService extends SpatialAnalystBase {
 
         me.url += '.json?returnContent=true';
 
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
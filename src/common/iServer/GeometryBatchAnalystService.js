@@ -45,6 +45,7 @@ export class GeometryBatchAnalystService extends SpatialAnalystBase {
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.GeometryBatchOverlayAnalystParameters} parameter - 批量几何对象叠加分析参数类
      *
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(parameters) {
         var me = this;
@@ -58,7 +59,7 @@ export class GeometryBatchAnalystService extends SpatialAnalystBase {
         var parameterObjects = me._processParams(parameters);
         var jsonParameters = Util.toJSON(parameterObjects);
 
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
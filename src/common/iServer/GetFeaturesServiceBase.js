@@ -103,10 +103,11 @@ export class GetFeaturesServiceBase extends CommonServiceBase {
      * @function SuperMap.GetFeaturesServiceBase.prototype.processAsync
      * @description 将客户端的查询参数传递到服务端。
      * @param {Object} params - 查询参数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!params) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this,
             jsonParameters = null,
@@ -129,7 +130,7 @@ export class GetFeaturesServiceBase extends CommonServiceBase {
             me.url += "&returnCountOnly=" + params.returnContent;
         }
         jsonParameters = me.getJsonParameters(params);
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
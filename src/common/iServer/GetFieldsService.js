@@ -16,6 +16,7 @@ import {CommonServiceBase} from './CommonServiceBase';
  * @param {SuperMap.DataFormat} options.format - 查询结果返回格式，目前支持iServerJSON 和GeoJSON两种格式。参数格式为"ISERVER","GEOJSON"。
  * @param {string}options.datasource - 要查询的数据集所在的数据源名称。</br>
  * @param {string}options.dataset - 要查询的数据集名称。</br>
+ * @param {(boolean|SuperMap.ResponseCache)} [options.cache=true] - 响应缓存。默认使用 {@link SuperMap.getRequestCache} 返回的全局缓存，设为 false 时不使用缓存。
  * @extends {SuperMap.CommonServiceBase}
  * @example
  * var myService = new SuperMap.GetFieldsService(url, {eventListeners: {
@@ -43,6 +44,11 @@ export class GetFieldsService extends CommonServiceBase {
          *  @description 要查询的数据集名称。
          */
         this.dataset = null;
+        /**
+         * @member {(boolean|SuperMap.ResponseCache)} SuperMap.GetFieldsService.prototype.cache
+         * @description 响应缓存。默认使用 {@link SuperMap.getRequestCache} 返回的全局缓存，未设置全局缓存时不缓存。
+         */
+        this.cache = true;
         if (options) {
             Util.extend(this, options);
         }
@@ -66,6 +72,7 @@ export class GetFieldsService extends CommonServiceBase {
     /**
      * @function SuperMap.GetFieldsService.prototype.processAsync
      * @description 执行服务，查询指定数据集的字段信息。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync() {
         var me = this,
@@ -73,7 +80,7 @@ export class GetFieldsService extends CommonServiceBase {
             datasetURL = "datasources/" + me.datasource + "/datasets/" + me.dataset;
         me.url += (end == "/") ? datasetURL + "/fields.json?" : "/" + datasetURL + "/fields.json?";
 
-        me.request({
+        return me.request({
             method: "GET",
             data: null,
             scope: me,
@@ -82,10 +82,11 @@ export class GetGridCellInfosService extends CommonServiceBase {
      * @function SuperMap.GetGridCellInfosService.prototype.processAsync
      * @description 执行服务，查询数据集信息。
      * @param {SuperMap.GetGridCellInfosParameters} params - 查询参数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof GetGridCellInfosParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         Util.extend(this, params);
         var me = this;
@@ -93,7 +94,7 @@ export class GetGridCellInfosService extends CommonServiceBase {
         me.url += (end == "/") ? ("datasources/" + me.dataSourceName + "/datasets/" + me.datasetName + ".json") :
             ("/datasources/" + me.dataSourceName + "/datasets/" + me.datasetName + ".json");
 
-        me.queryRequest(me.getDatasetInfoCompleted, me.getDatasetInfoFailed);
+        return me.queryRequest(me.getDatasetInfoCompleted, me.getDatasetInfoFailed);
     }
 
     /**
@@ -101,10 +102,11 @@ export class GetGridCellInfosService extends CommonServiceBase {
      * @description 执行服务，查询。
      * @callback {function} successFun - 成功后执行的函数。
      * @callback {function} failedFunc - 失败后执行的函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     queryRequest(successFun, failedFunc) {
         var me = this;
-        me.request({
+        return me.request({
             method: "GET",
             data: null,
             scope: me,
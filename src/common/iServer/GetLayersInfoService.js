@@ -24,6 +24,7 @@ import {Vector} from './Vector';
  * @param {SuperMap.ServerType} options.serverType - 服务器类型，iServer|iPortal|Online。
  * @param {SuperMap.DataFormat} options.format - 查询结果返回格式，目前支持 iServerJSON 和 GeoJSON 两种格式。参数格式为"ISERVER","GEOJSON"。
  * @param {boolean} options.isTempLayers - 当前url对应的图层是否是临时图层。
+ * @param {(boolean|SuperMap.ResponseCache)} [options.cache=true] - 响应缓存。默认使用 {@link SuperMap.getRequestCache} 返回的全局缓存，设为 false 时不使用缓存。
  */
 export class GetLayersInfoService extends CommonServiceBase {
 
@@ -35,6 +36,11 @@ export class GetLayersInfoService extends CommonServiceBase {
          * @description 当前url对应的图层是否是临时图层。
          */
         this.isTempLayers = false;
+        /**
+         * @member {(boolean|SuperMap.ResponseCache)} SuperMap.GetLayersInfoService.prototype.cache
+         * @description 响应缓存。默认使用 {@link SuperMap.getRequestCache} 返回的全局缓存，未设置全局缓存时不缓存。
+         */
+        this.cache = true;
         if (options) {
             Util.extend(this, options);
         }
@@ -53,6 +59,7 @@ export class GetLayersInfoService extends CommonServiceBase {
     /**
      * @function SuperMap.GetLayersInfoService.prototype.processAsync
      * @description 负责将客户端的更新参数传递到服务端。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync() {
         var me = this,
@@ -64,7 +71,7 @@ export class GetLayersInfoService extends CommonServiceBase {
         } else {
             me.url += ".json?";
         }
-        me.request({
+        return me.request({
             method: method,
             params: null,
             scope: me,
@@ -62,6 +62,7 @@ export class InterpolationAnalystService extends SpatialAnalystBase {
      * @function SuperMap.InterpolationAnalystService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.InterpolationAnalystParameters} parameter - 插值分析参数类。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(parameter) {
         var parameterObject = {};
@@ -105,7 +106,7 @@ export class InterpolationAnalystService extends SpatialAnalystBase {
         var jsonParameters = Util.toJSON(parameterObject);
         me.url += '.json?returnContent=true';
 
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
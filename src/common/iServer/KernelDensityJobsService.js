@@ -32,18 +32,20 @@ export class KernelDensityJobsService extends ProcessingServiceBase {
     /**
      * @function SuperMap.KernelDensityJobsService.prototype.getKernelDensityJobs
      * @description 获取核密度分析任务
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getKernelDensityJobs() {
-        super.getJobs(this.url);
+        return super.getJobs(this.url);
     }
 
     /**
      * @function SuperMap.KernelDensityJobsService.prototype.getKernelDensityJobs
      * @description 获取指定id的核密度分析服务
      * @param {string} id - 指定要获取数据的id
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getKernelDensityJob(id) {
-        super.getJobs(this.url + '/' + id);
+        return super.getJobs(this.url + '/' + id);
     }
 
     /**
@@ -51,9 +53,10 @@ export class KernelDensityJobsService extends ProcessingServiceBase {
      * @description 新建核密度分析服务
      * @param {SuperMap.KernelDensityJobParameter} params - 创建一个空间分析的请求参数。
      * @param {number} seconds - 开始创建后，获取创建成功结果的时间间隔。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addKernelDensityJob(params, seconds) {
-        super.addJob(this.url, params, KernelDensityJobParameter, seconds);
+        return super.addJob(this.url, params, KernelDensityJobParameter, seconds);
     }
 
 }
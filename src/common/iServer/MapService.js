@@ -23,6 +23,7 @@ import {CommonServiceBase} from './CommonServiceBase';
  * @param {Object} options.eventListeners - 事件监听器对象。有 processCompleted 属性可传入处理完成后的回调函数。processFailed 属性传入处理失败后的回调函数。
  * @param {SuperMap.ServerType} options.serverType - 服务器类型，iServer|iPortal|Online。
  * @param {SuperMap.DataFormat} options.format - 查询结果返回格式，目前支持 iServerJSON 和GeoJSON 两种格式。参数格式为 "ISERVER","GEOJSON"。
+ * @param {(boolean|SuperMap.ResponseCache)} [options.cache=true] - 响应缓存。默认使用 {@link SuperMap.getRequestCache} 返回的全局缓存，设为 false 时不使用缓存。
  */
 export class MapService extends CommonServiceBase {
 
@@ -35,6 +36,12 @@ export class MapService extends CommonServiceBase {
          */
         this.projection = null;
 
+        /**
+         * @member {(boolean|SuperMap.ResponseCache)} SuperMap.MapService.prototype.cache
+         * @description 响应缓存。默认使用 {@link SuperMap.getRequestCache} 返回的全局缓存，未设置全局缓存时不缓存。
+         */
+        this.cache = true;
+
         this.CLASS_NAME = "SuperMap.MapService";
         if (options) {
             Util.extend(this, options);
@@ -73,10 +80,11 @@ export class MapService extends CommonServiceBase {
     /**
      * @function  SuperMap.MapService.prototype.processAsync
      * @description 负责将客户端的设置的参数传递到服务端，与服务端完成异步通讯。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync() {
         var me = this;
-        me.request({
+        return me.request({
             method: "GET",
             scope: me,
             success: me.serviceProcessCompleted,
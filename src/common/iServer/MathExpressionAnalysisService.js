@@ -44,6 +44,7 @@ export class MathExpressionAnalysisService extends SpatialAnalystBase {
      * @function SuperMap.MathExpressionAnalysisService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.MathExpressionAnalysisParameters} parameter - 栅格代数运算参数类。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(parameter) {
         var me = this;
@@ -62,7 +63,7 @@ export class MathExpressionAnalysisService extends SpatialAnalystBase {
         MathExpressionAnalysisParameters.toObject(parameter, parameterObject);
         var jsonParameters = Util.toJSON(parameterObject);
         me.url += '.json?returnContent=true';
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
@@ -59,10 +59,11 @@ export class MeasureService extends CommonServiceBase {
      * @function SuperMap.MeasureService.prototype.processAsync
      * @description 负责将客户端的量算参数传递到服务端。
      * @param {SuperMap.MeasureParameters} params - 量算参数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof MeasureParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this,
             geometry = params.geometry,
@@ -70,7 +71,7 @@ export class MeasureService extends CommonServiceBase {
             point2ds = null,
             end = null;
         if (!geometry) {
-            return;
+            return this._rejectInvalidParams();
         }
         end = me.url.substr(me.url.length - 1, 1);
         if (me.measureMode === MeasureMode.AREA) {
@@ -80,7 +81,7 @@ export class MeasureService extends CommonServiceBase {
         }
         var serverGeometry = ServerGeometry.fromGeometry(geometry);
         if (!serverGeometry) {
-            return;
+            return this._rejectInvalidParams();
         }
         pointsCount = serverGeometry.parts[0];
         point2ds = serverGeometry.points.splice(0, pointsCount);
@@ -102,7 +103,7 @@ export class MeasureService extends CommonServiceBase {
             paramsTemp = {"point2Ds": Util.toJSON(point2ds), "unit": params.unit};
         }
 
-        me.request({
+        return me.request({
             method: "GET",
             params: paramsTemp,
             scope: me,
@@ -58,6 +58,7 @@ export class OverlayAnalystService extends SpatialAnalystBase {
      * @function SuperMap.OverlayAnalystService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.OverlayAnalystParameters} parameter - 叠加分析参数类。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(parameter) {
         var parameterObject = {};
@@ -84,7 +85,7 @@ export class OverlayAnalystService extends SpatialAnalystBase {
         }
 
         var jsonParameters = Util.toJSON(parameterObject);
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
@@ -35,18 +35,20 @@ export class OverlayGeoJobsService extends ProcessingServiceBase {
     /**
      * @function SuperMap.OverlayGeoJobsService.prototype.getOverlayGeoJobs
      * @description 获取叠加分析任务
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getOverlayGeoJobs() {
-        super.getJobs(this.url);
+        return super.getJobs(this.url);
     }
 
     /**
      * @function SuperMap.OverlayGeoJobsService.prototype.getOverlayGeoJob
      * @description 获取指定id的叠加分析任务
      * @param {string} id - 指定要获取数据的id
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getOverlayGeoJob(id) {
-        super.getJobs(this.url + '/' + id);
+        return super.getJobs(this.url + '/' + id);
     }
 
     /**
@@ -54,9 +56,10 @@ export class OverlayGeoJobsService extends ProcessingServiceBase {
      * @description 新建点叠加析服务
      * @param {SuperMap.OverlayGeoJobParameter} params - 创建一个叠加分析的请求参数。
      * @param {number} seconds - 开始创建后，获取创建成功结果的时间间隔。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addOverlayGeoJob(params, seconds) {
-        super.addJob(this.url, params, OverlayGeoJobParameter, seconds);
+        return super.addJob(this.url, params, OverlayGeoJobParameter, seconds);
     }
 
 }
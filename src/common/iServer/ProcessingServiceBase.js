@@ -16,6 +16,9 @@ import {
 import {
     SecurityManager
 } from '../security/SecurityManager';
+import {
+    ServerError
+} from '../commontypes/Errors';
 
 /**
  * @class SuperMap.ProcessingServiceBase
@@ -60,22 +63,36 @@ export class ProcessingServiceBase extends CommonServiceBase {
      * @function SuperMap.ProcessingServiceBase.prototype.getJobs
      * @description 获取分布式分析任务。
      * @param {string} url - 资源地址。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getJobs(url) {
         var me = this;
+        var process = me._createProcess();
         FetchRequest.get(me._processUrl(url), null, {
-            proxy: me.proxy
+            proxy: me.proxy,
+            signal: me.signal,
+            retry: me.retry,
+            interceptors: me.interceptors
         }).then(function (response) {
-            return response.json();
+            return FetchRequest.parseJSON(response);
         }).then(function (result) {
-            me.events.triggerEvent("processCompleted", {
-                result: result
+            me._runInProcess(process, function () {
+                me.events.triggerEvent("processCompleted", {
+                    result: result
+                });
             });
         }).catch(function (e) {
-            me.eventListeners.processFailed({
-                error: e
+            if (FetchRequest.isAbortError(e)) {
+                process.reject(e);
+                return;
+            }
+            me._runInProcess(process, function () {
+                me.events.triggerEvent("processFailed", {
+                    error: e
+                });
             });
         });
+        return process.promise;
     }
 
     /**
@@ -85,10 +102,12 @@ export class ProcessingServiceBase extends CommonServiceBase {
      * @param {Object} params - 创建一个空间分析的请求参数。
      * @param {string} paramType - 请求参数类型。
      * @param {number} seconds - 开始创建后，获取创建成功结果的时间间隔。
+     * @returns {Promise} Promise 对象，任务执行完成时返回任务信息，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addJob(url, params, paramType, seconds) {
         var me = this,
             parameterObject = null;
+        var process = me._createProcess();
         if (params && params instanceof paramType) {
             parameterObject = new Object();
             paramType.toObject(params, parameterObject);
@@ -99,34 +118,49 @@ export class ProcessingServiceBase extends CommonServiceBase {
                 'Content-Type': 'application/x-www-form-urlencoded'
             },
             withCredentials: me.withCredentials,
-            isInTheSameDomain: me.isInTheSameDomain
+            isInTheSameDomain: me.isInTheSameDomain,
+            signal: me.signal,
+            interceptors: me.interceptors
         };
         FetchRequest.post(me._processUrl(url), JSON.stringify(parameterObject), options).then(function (response) {
-            return response.json();
+            return FetchRequest.parseJSON(response);
         }).then(function (result) {
             if (result.succeed) {
-                me.serviceProcessCompleted(result, seconds);
+                me._runInProcess(process, me.serviceProcessCompleted, [result, seconds]);
             } else {
-                me.serviceProcessFailed(result);
+                me._runInProcess(process, me.serviceProcessFailed, [{
+                    error: ServerError.fromResult(result)
+                }]);
             }
         }).catch(function (e) {
-            me.serviceProcessFailed({
+            if (FetchRequest.isAbortError(e)) {
+                process.reject(e);
+                return;
+            }
+            me._runInProcess(process, me.serviceProcessFailed, [{
                 error: e
-            });
+            }]);
         });
+        return process.promise;
     }
 
     serviceProcessCompleted(result, seconds) {
         result = Util.transformResult(result);
         seconds = seconds || 1000;
         var me = this;
+        //轮询任务状态时，事件仍结束创建任务的请求的 Promise
+        var process = me._activeProcess;
         if (result) {
             var id = setInterval(function () {
                 FetchRequest.get(me._processUrl(result.newResourceLocation), {
                         _t: new Date().getTime()
+                    }, {
+                        signal: me.signal,
+                        retry: me.retry,
+                        interceptors: me.interceptors
                     })
                     .then(function (response) {
-                        return response.json();
+                        return FetchRequest.parseJSON(response);
                     }).then(function (job) {
                         me.events.triggerEvent("processRunning", {
                             id: job.id,
@@ -134,21 +168,31 @@ export class ProcessingServiceBase extends CommonServiceBase {
                         });
                         if (job.state.runState === 'LOST' || job.state.runState === 'KILLED' || job.state.runState === 'FAILED') {
                             clearInterval(id);
-                            me.events.triggerEvent("processFailed", {
-                                error: job.state.errorMsg,
-                                state: job.state.runState
+                            me._runInProcess(process, function () {
+                                me.events.triggerEvent("processFailed", {
+                                    error: new ServerError(job.state.errorMsg, undefined, job.state),
+                                    state: job.state.runState
+                                });
                             });
                         }
                         if (job.state.runState === 'FINISHED' && job.setting.serviceInfo) {
                             clearInterval(id);
-                            me.events.triggerEvent("processCompleted", {
-                                result: job
+                            me._runInProcess(process, function () {
+                                me.events.triggerEvent("processCompleted", {
+                                    result: job
+                                });
                             });
                         }
                     }).catch(function (e) {
                         clearInterval(id);
-                        me.events.triggerEvent("processFailed", {
-                            error: e
+                        if (FetchRequest.isAbortError(e)) {
+                            process && process.reject(e);
+                            return;
+                        }
+                        me._runInProcess(process, function () {
+                            me.events.triggerEvent("processFailed", {
+                                error: e
+                            });
                         });
                     });
             }, seconds);
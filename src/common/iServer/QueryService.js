@@ -104,10 +104,11 @@ export class QueryService extends CommonServiceBase {
      * @function SuperMap.QueryService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.QueryParameters} params - 查询参数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof QueryParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this,
             returnCustomResult = null,
@@ -125,7 +126,7 @@ export class QueryService extends CommonServiceBase {
             }
         }
         me.returnFeatureWithFieldCaption = params.returnFeatureWithFieldCaption;
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
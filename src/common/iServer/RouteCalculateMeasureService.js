@@ -85,16 +85,17 @@ export class RouteCalculateMeasureService extends SpatialAnalystBase {
      * @function SuperMap.RouteCalculateMeasureService.prototype.processAsync
      * @description 负责将客户端的基于路由对象计算指定点 M 值操作的参数传递到服务端。
      * @param {SuperMap.RouteCalculateMeasureParameters} params - 基于路由对象计算指定点 M 值操作的参数类。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof RouteCalculateMeasureParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this, jsonParameters;
 
         jsonParameters = me.getJsonParameters(params);
 
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
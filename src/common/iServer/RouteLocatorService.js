@@ -80,16 +80,17 @@ export class RouteLocatorService extends SpatialAnalystBase {
      * @function SuperMap.RouteLocatorService.prototype.processAsync
      * @description 负责将客户端的基于路由对象计算指定点 M 值操作的参数传递到服务端。
      * @param {SuperMap.RouteLocatorParameters} params - 路由对象定位空间对象的参数类。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof RouteLocatorParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this, jsonParameters;
 
         jsonParameters = me.getJsonParameters(params);
 
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
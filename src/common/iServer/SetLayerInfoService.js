@@ -43,15 +43,16 @@ export class SetLayerInfoService extends CommonServiceBase {
      * @description 负责将客户端的更新参数传递到服务端。
      * @param {Object} params - 修改后的图层资源信息。
      *        该参数可以使用获取图层信息服务<{@link SuperMap.GetLayersInfoService}>返回图层信息，解析结果result.subLayers.layers[i]，然后对其属性进行修改来获取。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!params) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this;
         me.url += ".json";
         var jsonParamsStr = Util.toJSON(params);
-        me.request({
+        return me.request({
             method: "PUT",
             data: jsonParamsStr,
             scope: me,
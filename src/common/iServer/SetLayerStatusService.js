@@ -50,10 +50,11 @@ export class SetLayerStatusService extends CommonServiceBase {
      * @description 负责将客户端的更新参数传递到服务端。
      * @param {Object} params - 修改后的图层资源信息。该参数可以使用获取图层信息服务{@link SuperMap.SetLayerStatusParameters}
      *                          返回图层信息，然后对其属性进行修改来获取。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof SetLayerStatusParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this,
             method = "POST";
@@ -67,7 +68,7 @@ export class SetLayerStatusService extends CommonServiceBase {
 
             me.lastparams = params;
 
-            me.request({
+            return me.request({
                 method: method,
                 scope: me,
                 success: me.createTempLayerComplete,
@@ -90,7 +91,7 @@ export class SetLayerStatusService extends CommonServiceBase {
 
             jsonParameters += '}]';
 
-            me.request({
+            return me.request({
                 method: "PUT",
                 data: jsonParameters,
                 scope: me,
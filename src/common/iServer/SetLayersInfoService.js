@@ -58,10 +58,11 @@ export class SetLayersInfoService extends CommonServiceBase {
      * @function SuperMap.SetLayersInfoService.prototype.processAsync
      * @description 负责将客户端的更新参数传递到服务端。
      * @param {Object} params - 修改后的图层资源信息。该参数可以使用获取图层信息服务 <{@link SuperMap.GetLayersInfoService}>返回图层信息，然后对其属性进行修改来获取。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!params) {
-            return;
+            return this._rejectInvalidParams();
         }
         var jsonParams,
             subLayers = [],
@@ -114,7 +115,7 @@ export class SetLayersInfoService extends CommonServiceBase {
         jsonParams.subLayers = {"layers": subLayers};
         jsonParams.object = null;
         var jsonParamsStr = Util.toJSON([jsonParams]);
-        me.request({
+        return me.request({
             method: method,
             data: jsonParamsStr,
             scope: me,
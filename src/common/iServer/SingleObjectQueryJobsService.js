@@ -31,18 +31,20 @@ export class SingleObjectQueryJobsService extends ProcessingServiceBase {
     /**
      * @function SuperMap.SingleObjectQueryJobsService.protitype.getQueryJobs
      * @description 获取单对象空间查询分析所有任务
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getQueryJobs() {
-        super.getJobs(this.url);
+        return super.getJobs(this.url);
     }
 
     /**
      * @function SuperMap.KernelDensityJobsService.protitype.getQueryJob
      * @description 获取指定id的单对象空间查询分析服务
      * @param {string} id - 指定要获取数据的id
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getQueryJob(id) {
-        super.getJobs(this.url + '/' + id);
+        return super.getJobs(this.url + '/' + id);
     }
 
     /**
@@ -50,9 +52,10 @@ export class SingleObjectQueryJobsService extends ProcessingServiceBase {
      * @description 新建单对象空间查询分析服务
      * @param {SuperMap.SingleObjectQueryJobsParameter} params - 创建一个空间分析的请求参数。
      * @param {number} seconds - 开始创建后，获取创建成功结果的时间间隔。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addQueryJob(params, seconds) {
-        super.addJob(this.url, params, SingleObjectQueryJobsParameter, seconds);
+        return super.addJob(this.url, params, SingleObjectQueryJobsParameter, seconds);
     }
 
 }
@@ -50,10 +50,11 @@ export class StopQueryService extends CommonServiceBase {
      * @function SuperMap.StopQueryService.prototype.processAsync
      * @description 负责将客户端的更新参数传递到服务端。
      * @param {SuperMap.StopQueryParameters} params - 交通换乘参数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof StopQueryParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this, end;
 
@@ -62,7 +63,7 @@ export class StopQueryService extends CommonServiceBase {
         me.url += "stops/keyword/" + params.keyWord;
         me.url += ".json?";
 
-        me.request({
+        return me.request({
             method: "GET",
             params: {returnPosition: params.returnPosition},
             scope: me,
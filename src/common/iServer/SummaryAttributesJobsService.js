@@ -40,9 +40,10 @@ export class SummaryAttributesJobsService extends ProcessingServiceBase {
      * @function SuperMap.SummaryAttributesJobsService.protitype.getSummaryAttributesJob
      * @description 获取指定id的属性汇总分析服务
      * @param {string} id - 指定要获取数据的id
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryAttributesJob(id) {
-        super.getJobs(this.url + '/' + id);
+        return super.getJobs(this.url + '/' + id);
     }
 
     /**
@@ -50,9 +51,10 @@ export class SummaryAttributesJobsService extends ProcessingServiceBase {
      * @description 新建属性汇总分析服务
      * @param {SuperMap.SummaryAttributesJobsParameter} params - 创建一个空间分析的请求参数。
      * @param {number} seconds - 开始创建后，获取创建成功结果的时间间隔。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addSummaryAttributesJob(params, seconds) {
-        super.addJob(this.url, params, SummaryAttributesJobsParameter, seconds);
+        return super.addJob(this.url, params, SummaryAttributesJobsParameter, seconds);
     }
 
 }
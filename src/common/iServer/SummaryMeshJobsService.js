@@ -35,18 +35,20 @@ export class SummaryMeshJobsService extends ProcessingServiceBase {
     /**
      * @function SuperMap.SummaryMeshJobsService.prototype.getSummaryMeshJobs
      * @description 获取点聚合分析任务
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryMeshJobs() {
-        super.getJobs(this.url);
+        return super.getJobs(this.url);
     }
 
     /**
      * @function SuperMap.SummaryMeshJobsService.prototype.getSummaryMeshJob
      * @description 获取指定ip的点聚合分析任务
      * @param {string} id - 指定要获取数据的id
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryMeshJob(id) {
-        super.getJobs(this.url + '/' + id);
+        return super.getJobs(this.url + '/' + id);
     }
 
     /**
@@ -54,9 +56,10 @@ export class SummaryMeshJobsService extends ProcessingServiceBase {
      * @description 新建点聚合分析服务
      * @param {SuperMap.SummaryMeshJobParameter} params - 创建一个空间分析的请求参数。
      * @param {number} seconds - 开始创建后，获取创建成功结果的时间间隔。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addSummaryMeshJob(params, seconds) {
-        super.addJob(this.url, params, SummaryMeshJobParameter, seconds);
+        return super.addJob(this.url, params, SummaryMeshJobParameter, seconds);
     }
 
 }
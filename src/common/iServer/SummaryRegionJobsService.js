@@ -31,18 +31,20 @@ export class SummaryRegionJobsService extends ProcessingServiceBase {
     /**
      * @function SuperMap.SummaryRegionJobsService.prototype.getSummaryRegionJobs
      * @description 获取区域汇总分析任务集合。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryRegionJobs() {
-        super.getJobs(this.url);
+        return super.getJobs(this.url);
     }
 
     /**
      * @function SuperMap.SummaryRegionJobsService.prototype.getSummaryRegionJob
      * @description 获取指定id的区域汇总分析任务。
      * @param {string} id -要获取区域汇总分析任务的id
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryRegionJob(id) {
-        super.getJobs(this.url + '/' + id);
+        return super.getJobs(this.url + '/' + id);
     }
 
     /**
@@ -50,9 +52,10 @@ export class SummaryRegionJobsService extends ProcessingServiceBase {
      * @description 新建区域汇总任务。
      * @param {SuperMap.SummaryRegionJobParameter} params - 创建一个区域汇总任务的请求参数。
      * @param {number} seconds - 开始创建后，获取创建成功结果的时间间隔。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addSummaryRegionJob(params, seconds) {
-        super.addJob(this.url, params, SummaryRegionJobParameter, seconds);
+        return super.addJob(this.url, params, SummaryRegionJobParameter, seconds);
     }
 
 }
@@ -49,14 +49,15 @@ export class SurfaceAnalystService extends SpatialAnalystBase {
      * @function SuperMap.SurfaceAnalystService.prototype.processAsync
      * @description 负责将客户端的表面分析服务参数传递到服务端。
      * @param {SuperMap.SurfaceAnalystParameters} params - 表面分析提取操作参数类。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof SurfaceAnalystParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this, jsonParameters;
         jsonParameters = me.getJsonParameters(params);
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
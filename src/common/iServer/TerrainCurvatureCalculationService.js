@@ -42,6 +42,7 @@ export class TerrainCurvatureCalculationService extends SpatialAnalystBase {
      * @function SuperMap.TerrainCurvatureCalculationService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {SuperMap.TerrainCurvatureCalculationParameters} parameter - 地形曲率计算参数类。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(parameter) {
         var me = this;
@@ -60,7 +61,7 @@ export class TerrainCurvatureCalculationService extends SpatialAnalystBase {
         TerrainCurvatureCalculationParameters.toObject(parameter, parameterObject);
         var jsonParameters = SuperMap.Util.toJSON(parameterObject);
         me.url += '.json?returnContent=true';
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
@@ -48,15 +48,16 @@ export class ThemeService extends CommonServiceBase {
      * @function SuperMap.ThemeService.prototype.processAsync
      * @description 负责将客户端的专题图参数传递到服务端。
      * @param {SuperMap.ThemeParameters} params - 专题图参数类。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof ThemeParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this,
             jsonParameters = null;
         jsonParameters = me.getJsonParameters(params);
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
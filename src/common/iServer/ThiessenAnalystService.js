@@ -61,6 +61,7 @@ export class ThiessenAnalystService extends SpatialAnalystBase {
      * @function SuperMap.ThiessenAnalystService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
      * @param {(SuperMap.DatasetThiessenAnalystParameters|GeometryThiessenAnalystParameters)} parameter - 泰森多边形分析参数基类。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(parameter) {
         var parameterObject = {};
@@ -83,7 +84,7 @@ export class ThiessenAnalystService extends SpatialAnalystBase {
 
         var jsonParameters = Util.toJSON(parameterObject);
         me.url += '.json?returnContent=true';
-        me.request({
+        return me.request({
             method: "POST",
             data: jsonParameters,
             scope: me,
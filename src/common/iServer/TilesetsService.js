@@ -34,17 +34,18 @@ export class TilesetsService extends CommonServiceBase {
     /**
      * @function SuperMap.TilesetsService.prototype.processAsync
      * @description 负责将客户端的查询参数传递到服务端。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync() {
         if (!this.url) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this;
         var end = me.url.substr(me.url.length - 1, 1);
 
         me.url = me.url + ((end === "/") ? "tilesets" : "/tilesets") + ".json?";
 
-        me.request({
+        return me.request({
             method: "GET",
             scope: me,
             success: me.serviceProcessCompleted,
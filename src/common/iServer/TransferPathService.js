@@ -41,10 +41,11 @@ export class TransferPathService extends CommonServiceBase {
      * @function SuperMap.TransferPathService.prototype.processAsync
      * @description 负责将客户端的更新参数传递到服务端。
      * @param {SuperMap.TransferPathParameters} params - 交通换乘参数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof TransferPathParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this,
             method = "GET",
@@ -60,7 +61,7 @@ export class TransferPathService extends CommonServiceBase {
             transferLines: Util.toJSON(params['transferLines'])
         };
 
-        me.request({
+        return me.request({
             method: method,
             params: jsonParameters,
             scope: me,
@@ -44,10 +44,11 @@ export class TransferSolutionService extends CommonServiceBase {
      * @function SuperMap.TransferSolutionService.prototype.processAsync
      * @description 负责将客户端的更新参数传递到服务端。
      * @param {SuperMap.TransferSolutionParameters} params - 交通换乘参数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     processAsync(params) {
         if (!(params instanceof TransferSolutionParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
         var me = this,
             method = "GET",
@@ -81,7 +82,7 @@ export class TransferSolutionService extends CommonServiceBase {
             jsonParameters["travelTime"] = params.travelTime;
         }
 
-        me.request({
+        return me.request({
             method: method,
             params: jsonParameters,
             scope: me,
@@ -41,6 +41,7 @@ export class UpdateEdgeWeightService extends NetworkAnalystServiceBase {
      * @function SuperMap.UpdateEdgeWeightService.prototype.processAsync
      * @description 开始异步执行边的边的耗费权重的更新
      * @param {SuperMap.UpdateEdgeWeightParameters} params - 边的耗费权重更新服务参数类
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      * @example
      * (code)
      *  var updateEdgeWeightParam=new SuperMapUpdateEdgeWeightParameters({
@@ -55,7 +56,7 @@ export class UpdateEdgeWeightService extends NetworkAnalystServiceBase {
      */
     processAsync(params) {
         if (!(params instanceof UpdateEdgeWeightParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
 
         var me = this, end = me.url.substr(me.url.length - 1, 1);
@@ -65,7 +66,7 @@ export class UpdateEdgeWeightService extends NetworkAnalystServiceBase {
         }
         me.url = me.url + paramStr + ".json?";
         var data = params.edgeWeight ? params.edgeWeight : null;
-        me.request({
+        return me.request({
             method: "PUT",
             scope: me,
             data: data,
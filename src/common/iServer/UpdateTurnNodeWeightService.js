@@ -40,6 +40,7 @@ export class UpdateTurnNodeWeightService extends NetworkAnalystServiceBase {
      * @function SuperMap.UpdateTurnNodeWeightService.prototype.processAsync
      * @description 开始异步执行转向耗费权重的更新
      * @param {SuperMap.UpdateTurnNodeWeightParameters} params - 转向耗费权重更新服务参数类
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      * @example
      * (code)
      *  var updateTurnNodeWeightParam=new SuperMap.UpdateTurnNodeWeightParameters({
@@ -54,7 +55,7 @@ export class UpdateTurnNodeWeightService extends NetworkAnalystServiceBase {
      **/
     processAsync(params) {
         if (!(params instanceof UpdateTurnNodeWeightParameters)) {
-            return;
+            return this._rejectInvalidParams();
         }
 
         var me = this, end = me.url.substr(me.url.length - 1, 1);
@@ -64,7 +65,7 @@ export class UpdateTurnNodeWeightService extends NetworkAnalystServiceBase {
         }
         me.url = me.url + paramStr + ".json?";
         var data = params.turnNodeWeight ? params.turnNodeWeight : null;
-        me.request({
+        return me.request({
             method: "PUT",
             scope: me,
             data: data,
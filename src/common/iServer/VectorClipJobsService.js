@@ -31,18 +31,20 @@ export class VectorClipJobsService extends ProcessingServiceBase {
     /**
      * @function SuperMap.VectorClipJobsService.protitype.getVectorClipJobs
      * @description 获取矢量裁剪分析所有任务
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getVectorClipJobs() {
-        super.getJobs(this.url);
+        return super.getJobs(this.url);
     }
 
     /**
      * @function SuperMap.KernelDensityJobsService.protitype.getVectorClipJob
      * @description 获取指定id的矢量裁剪分析服务
      * @param {string} id - 指定要获取数据的id
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getVectorClipJob(id) {
-        super.getJobs(this.url + '/' + id);
+        return super.getJobs(this.url + '/' + id);
     }
 
     /**
@@ -50,9 +52,10 @@ export class VectorClipJobsService extends ProcessingServiceBase {
      * @description 新建矢量裁剪分析服务
      * @param {SuperMap.VectorClipJobsParameter} params - 创建一个空间分析的请求参数。
      * @param {number} seconds - 开始创建后，获取创建成功结果的时间间隔。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addVectorClipJob(params, seconds) {
-        super.addJob(this.url, params, VectorClipJobsParameter, seconds);
+        return super.addJob(this.url, params, VectorClipJobsParameter, seconds);
     }
 
 }
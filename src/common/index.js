@@ -59,7 +59,8 @@ import {
     OutputType,
     AggregationQueryBuilderType,
     AggregationType,
-    GetFeatureMode
+    GetFeatureMode,
+    ExportFormat
 } from './REST';
 import {
     Collection,
@@ -80,6 +81,12 @@ import {
     Bounds,
     Credential,
     DateExt,
+    ServiceError,
+    NetworkError,
+    TimeoutError,
+    ServerError,
+    AuthError,
+    ParseError,
     Event,
     Events,
     Feature,
@@ -352,16 +359,32 @@ import {
     TokenServiceParameter
 } from './security';
 import {
-    ElasticSearch
+    ElasticSearch,
+    ElasticSearchGeoAdapter
 } from './thirdparty';
 import {
     setCORS,
     isCORS,
     setRequestTimeout,
     getRequestTimeout,
+    setRequestRetry,
+    getRequestRetry,
+    setRequestCache,
+    getRequestCache,
     FetchRequest,
+    ResponseCache,
+    AttributeFilter,
+    DataFlowHistory,
+    SpatialIndex,
+    PointCluster,
+    ClusterSymbol,
+    TurfParameters,
+    TurfWorker,
+    FeatureExport,
     ColorsPickerUtil,
-    ArrayStatistic
+    ArrayStatistic,
+    Classification,
+    ColorRamp
 } from './util';
 import {
     CartoCSS,
@@ -445,6 +468,12 @@ import {
     PaginationContainer,
     widgetsUtil,
     FileReaderUtil,
+    ZipUtil,
+    ShapefileParser,
+    KMLParser,
+    GPXParser,
+    FlatGeobufParser,
+    GeoPackageParser,
     ChartView,
     ChartViewModel
 } from './widgets';
@@ -470,6 +499,12 @@ export {
     PaginationContainer,
     widgetsUtil,
     FileReaderUtil,
+    ZipUtil,
+    ShapefileParser,
+    KMLParser,
+    GPXParser,
+    FlatGeobufParser,
+    GeoPackageParser,
     ChartView,
     ChartViewModel
 }
@@ -531,7 +566,8 @@ export {
     OutputType,
     AggregationQueryBuilderType,
     AggregationType,
-    GetFeatureMode
+    GetFeatureMode,
+    ExportFormat
 };
 export {
     Collection,
@@ -552,6 +588,12 @@ export {
     Bounds,
     Credential,
     DateExt,
+    ServiceError,
+    NetworkError,
+    TimeoutError,
+    ServerError,
+    AuthError,
+    ParseError,
     Event,
     Events,
     Feature,
@@ -577,9 +619,24 @@ export {
     isCORS,
     setRequestTimeout,
     getRequestTimeout,
+    setRequestRetry,
+    getRequestRetry,
+    setRequestCache,
+    getRequestCache,
     FetchRequest,
+    ResponseCache,
+    AttributeFilter,
+    DataFlowHistory,
+    SpatialIndex,
+    PointCluster,
+    ClusterSymbol,
+    TurfParameters,
+    TurfWorker,
+    FeatureExport,
     ColorsPickerUtil,
-    ArrayStatistic
+    ArrayStatistic,
+    Classification,
+    ColorRamp
 };
 export {
     IManager,
@@ -897,7 +954,8 @@ export {
     ThemeStyle
 };
 export {
-    ElasticSearch
+    ElasticSearch,
+    ElasticSearchGeoAdapter
 };
 export {
     Lang,
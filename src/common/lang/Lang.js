@@ -3,6 +3,9 @@
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
 
 import { SuperMap } from '../SuperMap';
+import { Events } from '../commontypes/Events';
+
+const LOCALE_CODE_REG = /^[a-z]{2,3}(-[A-Za-z0-9]+)*$/;
 
 /**
  * @name Lang
@@ -10,6 +13,21 @@ import { SuperMap } from '../SuperMap';
  * @namespace
  * @category BaseTypes
  * @description 国际化的命名空间，包含多种语言和方法库来设置和获取当前的语言。
+ * @example
+ * SuperMap.Lang.registerLocale('fr-FR', {
+ *     'title_dataFlowService': 'Service de flux de données',
+ *     'msg_resultCount': {
+ *         'one': '{count} résultat',
+ *         'other': '{count} résultats'
+ *     }
+ * });
+ * SuperMap.Lang.events.on({
+ *     'localechanged': function (e) {
+ *         console.log(e.oldCode + ' -> ' + e.code);
+ *     }
+ * });
+ * SuperMap.Lang.setCode('fr-FR');
+ * SuperMap.Lang.i18n('msg_resultCount', {count: 2}); // '2 résultats'
  */
 let Lang = {
 
@@ -21,10 +39,23 @@ let Lang = {
 
     /**
      * @member {string} [SuperMap.Lang.defaultCode='en-US']
-     * @description 默认使用的语言类型。
+     * @description 默认使用的语言类型。当前语言及其回退语言中都没有找到 key 时，最后在该语言的字典中查找。
      */
     defaultCode: "en-US",
 
+    /**
+     * @member {Object} SuperMap.Lang.fallbacks
+     * @description 各语言的回退语言，键为语言代码，值为回退语言代码或其数组，如 {'zh-TW': ['zh-CN']}。
+     *              未配置时回退到同一语种（如 'fr-CA' 回退到 'fr' 或已注册的 'fr-FR'），最后回退到 defaultCode。
+     */
+    fallbacks: {},
+
+    /**
+     * @member {SuperMap.Events} SuperMap.Lang.events
+     * @description 语言事件对象，支持的事件类型：localechanged（当前语言变化或当前语言的字典更新时触发，事件对象包含 code 和 oldCode）。
+     */
+    events: null,
+
     /**
      * @function SuperMap.Lang.getCode
      * @description 获取当前的语言代码。
@@ -39,30 +70,24 @@ let Lang = {
 
     /**
      * @function SuperMap.Lang.setCode
-     * @description 设置语言代码。
-     * @param {string} code - 此参数遵循IETF规范。
+     * @description 设置语言代码。未传入时依次从 cookie、浏览器语言中获取。
+     *              语言代码没有对应的字典时，使用已注册的同一语种的字典，如 'zh-TW' 使用 'zh-CN'。
+     *              语言代码变化时触发 localechanged 事件。
+     * @param {string} [code] - 此参数遵循IETF规范。
      */
-    setCode: function () {
-        var lang = this.getLanguageFromCookie();
-        if (lang) {
-            SuperMap.Lang.code = lang;
-            return;
-        }
-        lang = SuperMap.Lang.defaultCode;
-        if (navigator.appName === 'Netscape') {
-            lang = navigator.language;
-        } else {
-            lang = navigator.browserLanguage;
-        }
-        if (lang.indexOf('zh') === 0) {
-            lang = 'zh-CN';
-        }
-        if (lang.indexOf('en') === 0) {
-            lang = 'en-US';
-        }
-
+    setCode: function (code) {
+        var lang = code || SuperMap.Lang.getLanguageFromCookie() || SuperMap.Lang.getLanguageFromBrowser();
+        lang = SuperMap.Lang.resolveCode(lang) || SuperMap.Lang.defaultCode;
+        var oldCode = SuperMap.Lang.code;
         SuperMap.Lang.code = lang;
+        if (oldCode && oldCode !== lang) {
+            SuperMap.Lang.events.triggerEvent('localechanged', {
+                code: lang,
+                oldCode: oldCode
+            });
+        }
     },
+
     /**
      * @function SuperMap.Lang.getLanguageFromCookie
      * @description 从 cookie 中获取语言类型。
@@ -82,23 +107,201 @@ let Lang = {
         return "";
     },
 
+    /**
+     * @function SuperMap.Lang.getLanguageFromBrowser
+     * @description 从浏览器设置中获取语言类型。按浏览器的语言偏好顺序，返回第一个有字典的语言，都没有时返回首选语言。
+     * @returns {string} 语言类型。
+     */
+    getLanguageFromBrowser() {
+        if (typeof navigator === 'undefined') {
+            return "";
+        }
+        var languages = (navigator.languages || []).concat([navigator.language || navigator.browserLanguage || navigator.userLanguage]);
+        for (var i = 0; i < languages.length; i++) {
+            if (languages[i] && SuperMap.Lang.resolveCode(languages[i], true)) {
+                return languages[i];
+            }
+        }
+        return languages[0] || "";
+    },
+
+    /**
+     * @function SuperMap.Lang.resolveCode
+     * @description 将语言代码匹配到已注册的语言字典：先精确匹配（忽略大小写），再匹配同一语种的字典。
+     * @param {string} code - 语言代码。
+     * @param {boolean} [strict=false] - 没有匹配的字典时是否返回 null，为 false 时返回规范化后的语言代码。
+     * @returns {string} 匹配的语言代码。
+     */
+    resolveCode: function (code, strict) {
+        if (!code || typeof code !== 'string') {
+            return null;
+        }
+        code = code.replace('_', '-');
+        var locales = SuperMap.Lang.getLocales();
+        var language = code.split('-')[0].toLowerCase();
+        var sameLanguage = null;
+        for (var i = 0; i < locales.length; i++) {
+            if (locales[i].toLowerCase() === code.toLowerCase()) {
+                return locales[i];
+            }
+            if (!sameLanguage && locales[i].split('-')[0].toLowerCase() === language) {
+                sameLanguage = locales[i];
+            }
+        }
+        return sameLanguage || (strict ? null : code);
+    },
+
+    /**
+     * @function SuperMap.Lang.registerLocale
+     * @description 注册语言字典。语言已存在时，合并到已有的字典中。注册的是当前语言时触发 localechanged 事件。
+     * @param {string} code - 语言代码，遵循IETF规范，如 'ja-JP'。
+     * @param {Object} dictionary - 语言字典，键为 i18n 关键字，值为字符串或复数形式对象（键为 zero、one、two、few、many、other）。
+     * @param {Object} [options] - 参数。
+     * @param {(string|Array.<string>)} [options.fallback] - 回退语言代码，参见 {@link SuperMap.Lang.fallbacks}。
+     * @returns {Object} 合并后的语言字典。
+     */
+    registerLocale: function (code, dictionary, options) {
+        if (!LOCALE_CODE_REG.test(code)) {
+            throw new Error('Invalid locale code: ' + code);
+        }
+        var locale = SuperMap.Lang[code] || {};
+        for (var key in dictionary) {
+            if (dictionary.hasOwnProperty(key)) {
+                locale[key] = dictionary[key];
+            }
+        }
+        SuperMap.Lang[code] = locale;
+        if (options && options.fallback) {
+            SuperMap.Lang.fallbacks[code] = [].concat(options.fallback);
+        }
+        if (SuperMap.Lang.code === code) {
+            SuperMap.Lang.events.triggerEvent('localechanged', {
+                code: code,
+                oldCode: code
+            });
+        }
+        return locale;
+    },
+
+    /**
+     * @function SuperMap.Lang.isLocale
+     * @description 判断是否已注册该语言的字典。
+     * @param {string} code - 语言代码。
+     * @returns {boolean} 是否已注册。
+     */
+    isLocale: function (code) {
+        return LOCALE_CODE_REG.test(code) && !!SuperMap.Lang[code] && typeof SuperMap.Lang[code] === 'object';
+    },
+
+    /**
+     * @function SuperMap.Lang.getLocales
+     * @description 获取已注册的语言代码。
+     * @returns {Array.<string>} 语言代码数组。
+     */
+    getLocales: function () {
+        var locales = [];
+        for (var code in SuperMap.Lang) {
+            if (SuperMap.Lang.hasOwnProperty(code) && SuperMap.Lang.isLocale(code)) {
+                locales.push(code);
+            }
+        }
+        return locales;
+    },
+
+    /**
+     * @function SuperMap.Lang.getFallbackChain
+     * @description 获取查找 i18n 字符串时依次使用的语言代码：当前语言、配置的回退语言、同一语种的语言和默认语言。
+     * @param {string} [code=SuperMap.Lang.getCode()] - 语言代码。
+     * @returns {Array.<string>} 语言代码数组。
+     */
+    getFallbackChain: function (code) {
+        var chain = [];
+        var add = function (lang) {
+            if (!lang || chain.indexOf(lang) !== -1) {
+                return;
+            }
+            chain.push(lang);
+            var fallbacks = SuperMap.Lang.fallbacks[lang] || [];
+            for (var i = 0; i < fallbacks.length; i++) {
+                add(fallbacks[i]);
+            }
+            if (lang.indexOf('-') !== -1) {
+                var language = lang.split('-')[0];
+                add(SuperMap.Lang.isLocale(language) ? language : SuperMap.Lang.resolveCode(language, true));
+            }
+        };
+        add(code || SuperMap.Lang.getCode());
+        add(SuperMap.Lang.defaultCode);
+        return chain;
+    },
+
     /**
      * @function SuperMap.Lang.i18n
-     * @description 从当前语言字符串的字典查找 key。
+     * @description 从当前语言字符串的字典查找 key。当前语言的字典中没有该 key 时，按 {@link SuperMap.Lang.getFallbackChain} 依次查找。
+     *              字符串中的 {name} 占位符使用 params 中的同名参数替换。字典的值为复数形式对象时，根据 params.count 选择复数形式。
      * @param {string} key - 字典中 i18n 字符串值的关键字。
+     * @param {Object} [params] - 占位符参数。
+     * @param {number} [params.count] - 用于选择复数形式的数量。
      * @returns {string} 国际化的字符串。
+     * @example
+     * // 字典：{'msg_selectedFeatures': {'zero': 'No feature selected', 'one': '{count} feature selected', 'other': '{count} features selected'}}
+     * SuperMap.Lang.i18n('msg_selectedFeatures', {count: 3}); // '3 features selected'
      */
-    i18n: function (key) {
-        var dictionary = SuperMap.Lang[SuperMap.Lang.getCode()];
-        var message = dictionary && dictionary[key];
+    i18n: function (key, params) {
+        var chain = SuperMap.Lang.getFallbackChain();
+        var message, code;
+        for (var i = 0; i < chain.length; i++) {
+            var dictionary = SuperMap.Lang[chain[i]];
+            if (dictionary && typeof dictionary === 'object' && dictionary[key]) {
+                message = dictionary[key];
+                code = chain[i];
+                break;
+            }
+        }
         if (!message) {
             // Message not found, fall back to message key
-            message = key;
+            return key;
+        }
+        if (typeof message === 'object') {
+            message = message[SuperMap.Lang.getPluralCategory(params && params.count, code, message)] || message.other || key;
+        }
+        if (params && typeof message === 'string') {
+            message = message.replace(/\{(\w+)\}/g, function (match, name) {
+                return params.hasOwnProperty(name) && params[name] != null ? params[name] : match;
+            });
         }
         return message;
+    },
+
+    /**
+     * @function SuperMap.Lang.getPluralCategory
+     * @description 获取数量对应的复数形式。数量为 0 且字典提供了 zero 形式时返回 'zero'，
+     *              否则使用浏览器的 Intl.PluralRules，不支持时按 1 为 'one'、其他为 'other' 处理。
+     * @param {number} count - 数量。
+     * @param {string} [code=SuperMap.Lang.getCode()] - 语言代码。
+     * @param {Object} [forms] - 复数形式对象。
+     * @returns {string} 复数形式，包括：'zero'，'one'，'two'，'few'，'many' 和 'other'。
+     */
+    getPluralCategory: function (count, code, forms) {
+        count = Number(count);
+        if (isNaN(count)) {
+            return 'other';
+        }
+        if (count === 0 && forms && forms.zero) {
+            return 'zero';
+        }
+        if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+            try {
+                return new Intl.PluralRules(code || SuperMap.Lang.getCode()).select(count);
+            } catch (e) {
+                // Invalid locale code, use the simple rule below
+            }
+        }
+        return Math.abs(count) === 1 ? 'one' : 'other';
     }
 
 };
+Lang.events = new Events(Lang, null, ['localechanged'], true);
 export { Lang };
 SuperMap.Lang = Lang;
 SuperMap.i18n = SuperMap.Lang.i18n;
@@ -105,7 +105,7 @@ let en = {
     'msg_fileTypeUnsupported': 'File format is not supported!',
     'msg_fileSizeExceeded': 'File size exceeded! The file size should not exceed 10M!',
     'msg_dataInWrongGeoJSONFormat': 'Wrong data format! Non standard GEOJSON format data!',
-    'msg_dataInWrongFormat': 'Wrong data format! Non standard EXCEL, CSV or GEOJSON format data!',
+    'msg_dataInWrongFormat': 'Wrong data format! Non standard EXCEL, CSV, GEOJSON, SHAPEFILE, KML, GPX, FLATGEOBUF or GEOPACKAGE format data!',
     'msg_searchKeywords': "Search keywords cannot be empty. Please enter your search criteria.",
     'msg_searchGeocodeField':"Did not match the address matching service data!",
     'msg_cityGeocodeField':"The address matching service of the current city is not configured.",
@@ -107,7 +107,7 @@ let zh = {
     'msg_fileTypeUnsupported': '不支持该文件格式！',
     'msg_fileSizeExceeded': '文件大小超限！文件大小不得超过 10M！',
     'msg_dataInWrongGeoJSONFormat': '数据格式错误！非标准的 GEOJSON 格式数据！',
-    'msg_dataInWrongFormat': '数据格式错误！非标准的 EXCEL, CSV 或 GEOJSON 格式数据！',
+    'msg_dataInWrongFormat': '数据格式错误！非标准的 EXCEL, CSV, GEOJSON, SHAPEFILE, KML, GPX, FLATGEOBUF 或 GEOPACKAGE 格式数据！',
     'msg_searchKeywords': "搜索关键字不能为空，请输入搜索条件。",
     'msg_searchGeocodeField':"未匹配到地址匹配服务数据！",
     'msg_cityGeocodeField':"未配置当前城市的地址匹配服务。",
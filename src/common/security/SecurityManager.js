@@ -4,6 +4,67 @@
 import {SuperMap} from '../SuperMap';
 import {Util} from '../commontypes/Util';
 import {FetchRequest} from '../util/FetchRequest';
+import {ServerType} from '../REST';
+import {ServerInfo} from './ServerInfo';
+import {
+    ServiceError,
+    ServerError,
+    AuthError
+} from '../commontypes/Errors';
+
+//setTimeout 支持的最大延时，超过后会立即执行
+var MAX_TIMER_DELAY = 2147483647;
+var TOKEN_PATTERN = /((?:[?&]|%3F|%26)token(?:=|%3D))([^&#%]*)/i;
+
+//token 失效导致请求失败时，续期 token 并用新的 token 重新发送一次请求，重新发送时沿用原请求的参数（取消信号、超时、拦截器等）
+var tokenRenewalInterceptor = {
+    response: function (response, config, options) {
+        if (!response || (response.status !== 401 && response.status !== 403) || SecurityManager._replayingUrls[config.url]) {
+            return response;
+        }
+        var match = config.url.match(TOKEN_PATTERN);
+        var url = match && SecurityManager._getRenewalUrlByToken(match[2]);
+        if (!url) {
+            return response;
+        }
+        return response.clone().text().then(function (text) {
+            var result;
+            try {
+                result = JSON.parse(text);
+            } catch (e) {
+                result = null;
+            }
+            if (!(ServerError.fromResult(result, response.status) instanceof AuthError)) {
+                return response;
+            }
+            //其他请求已经完成续期时直接使用新的 token
+            var token = SecurityManager.getToken(url);
+            var renewed = token && token !== match[2] ? Promise.resolve(token) : SecurityManager.renewToken(url);
+            return renewed.then(function (newToken) {
+                var replayUrl = config.url.replace(TOKEN_PATTERN, '$1' + newToken);
+                var replaying = SecurityManager._replayingUrls;
+                var done = function () {
+                    if (--replaying[replayUrl] <= 0) {
+                        delete replaying[replayUrl];
+                    }
+                };
+                replaying[replayUrl] = (replaying[replayUrl] || 0) + 1;
+                var replayOptions = Util.extend({}, options);
+                replayOptions.headers = Util.extend({}, config.headers);
+                replayOptions.withCredentials = config.withCredentials;
+                return FetchRequest._fetch(replayUrl, config.body, replayOptions, config.method).then(function (replayResponse) {
+                    done();
+                    return replayResponse;
+                }, function (e) {
+                    done();
+                    throw e;
+                });
+            }, function () {
+                return response;
+            });
+        });
+    }
+};
 
 /**
  * @name SecurityManager
@@ -15,6 +76,8 @@ import {FetchRequest} from '../util/FetchRequest';
  *  > 创建任何一个服务之前调用 {@link SuperMap.SecurityManager.registerToken}或
  *  > {@link SuperMap.SecurityManager.registerKey}注册凭据。
  *  > 发送请求时根据 url 或者服务 id 获取相应的 key 或者 token 并自动添加到服务地址中。
+ *  > 调用 {@link SuperMap.SecurityManager.enableTokenRenewal} 后，token 过期前会自动申请新的 token；
+ *  > 请求因 token 失效而失败时，会续期 token 并用新的 token 重新发送一次该请求。
  */
 export class SecurityManager {
 
@@ -22,7 +85,7 @@ export class SecurityManager {
      * @description 从服务器获取一个token,在此之前要注册服务器信息。
      * @param {string} url - 服务器域名+端口，如：http://localhost:8092。
      * @param {SuperMap.TokenServiceParameter} tokenParam - token 申请参数。
-     * @returns {Promise} 返回包含 token 信息的 Promise 对象。
+     * @returns {Promise} 返回包含 token 信息的 Promise 对象。请求失败时以 {@link SuperMap.ServerError} 拒绝，身份认证失败时以 {@link SuperMap.AuthError} 拒绝。
      */
 
     static generateToken(url, tokenParam) {
@@ -31,6 +94,8 @@ export class SecurityManager {
             return;
         }
         return FetchRequest.post(serverInfo.tokenServiceUrl, JSON.stringify(tokenParam.toJSON())).then(function (response) {
+            return FetchRequest.checkStatus(response);
+        }).then(function (response) {
             return response.text();
         });
     }
@@ -54,14 +119,124 @@ export class SecurityManager {
      * @description 服务请求都会自动带上这个 token。
      * @param {string} url -服务器域名+端口：如http://localhost:8090。
      * @param {string} token - token
+     * @param {Date|number} [expires] - token 的过期时间，可以是 Date 对象或者时间戳（毫秒）。开启自动续期时，会在过期前申请新的 token。
      */
-    static registerToken(url, token) {
+    static registerToken(url, token, expires) {
         this.tokens = this.tokens || {};
+        this.tokenExpirations = this.tokenExpirations || {};
         if (!url || !token) {
             return;
         }
         var domain = this._getTokenStorageKey(url);
         this.tokens[domain] = token;
+        if (expires) {
+            this.tokenExpirations[domain] = expires instanceof Date ? expires.getTime() : expires;
+        } else {
+            delete this.tokenExpirations[domain];
+        }
+        this._scheduleTokenRenewal(url);
+    }
+
+    /**
+     * @description 获取 token 的过期时间。
+     * @param {string} url - 服务器域名+端口，如：http://localhost:8092。
+     * @returns {number} token 过期时间的时间戳（毫秒），未设置过期时间时返回 undefined。
+     */
+    static getTokenExpiration(url) {
+        if (!url || !this.tokenExpirations) {
+            return;
+        }
+        return this.tokenExpirations[this._getTokenStorageKey(url)];
+    }
+
+    /**
+     * @description 开启 token 自动续期。开启后，在通过 {@link SuperMap.SecurityManager.registerToken} 注册的 token 过期前，
+     *              使用 tokenParam 申请新的 token 并重新注册；请求因 token 失效而失败时，续期 token 后重新发送一次该请求。
+     * @param {string} url - 服务器地址，如：http://localhost:8090/iserver。未通过 {@link SuperMap.SecurityManager.registerServers} 注册时，按 iServer 服务器注册。
+     * @param {SuperMap.TokenServiceParameter} tokenParam - token 申请参数。新 token 的有效期由 tokenParam.expiration 决定。
+     * @param {Object} [options] - 可选参数。
+     * @param {number} [options.renewBefore=60000] - 在 token 过期前多长时间申请新的 token，单位毫秒。
+     * @example
+     * SuperMap.SecurityManager.enableTokenRenewal("http://localhost:8090/iserver", new SuperMap.TokenServiceParameter({
+     *     userName: "admin",
+     *     password: "******",
+     *     expiration: 60
+     * }));
+     * SuperMap.SecurityManager.renewToken("http://localhost:8090/iserver").then(function (token) {
+     *     //token 已注册，之后的服务请求会自动带上 token，并在过期前自动续期
+     * });
+     */
+    static enableTokenRenewal(url, tokenParam, options) {
+        if (!url || !tokenParam) {
+            return;
+        }
+        if (!this.getServerInfo(url)) {
+            this.registerServers(new ServerInfo(ServerType.ISERVER, {
+                server: url
+            }));
+        }
+        this.disableTokenRenewal(url);
+        this.tokenRenewals = this.tokenRenewals || {};
+        this.tokenRenewals[this._getTokenStorageKey(url)] = {
+            server: url,
+            tokenParam: tokenParam,
+            renewBefore: options && options.renewBefore != null ? options.renewBefore : 60000,
+            timer: null,
+            pending: null,
+            staleTokens: []
+        };
+        FetchRequest.addInterceptor(tokenRenewalInterceptor);
+        this._scheduleTokenRenewal(url);
+    }
+
+    /**
+     * @description 关闭 token 自动续期。
+     * @param {string} url - 服务器地址。
+     */
+    static disableTokenRenewal(url) {
+        var renewal = this._getTokenRenewal(url);
+        if (!renewal) {
+            return;
+        }
+        clearTimeout(renewal.timer);
+        delete this.tokenRenewals[this._getTokenStorageKey(url)];
+        for (var key in this.tokenRenewals) {
+            if (this.tokenRenewals.hasOwnProperty(key)) {
+                return;
+            }
+        }
+        FetchRequest.removeInterceptor(tokenRenewalInterceptor);
+    }
+
+    /**
+     * @description 立即申请新的 token 并注册。需要先调用 {@link SuperMap.SecurityManager.enableTokenRenewal}。
+     *              同一服务器正在申请 token 时，返回同一个 Promise 对象，不会重复申请。
+     * @param {string} url - 服务器地址。
+     * @returns {Promise} 返回包含新 token 的 Promise 对象。
+     */
+    static renewToken(url) {
+        var renewal = this._getTokenRenewal(url);
+        if (!renewal) {
+            return Promise.reject(new ServiceError("Token renewal is not enabled for " + url + "."));
+        }
+        if (renewal.pending) {
+            return renewal.pending;
+        }
+        var me = this;
+        var oldToken = me.getToken(url);
+        var expiration = renewal.tokenParam.expiration;
+        renewal.pending = me.generateToken(renewal.server, renewal.tokenParam).then(function (token) {
+            renewal.pending = null;
+            if (oldToken && oldToken !== token) {
+                renewal.staleTokens = renewal.staleTokens.slice(-9).concat(oldToken);
+            }
+            me.registerToken(renewal.server, token, expiration ? new Date().getTime() + expiration * 60000 : null);
+            return token;
+        }, function (e) {
+            renewal.pending = null;
+            throw e;
+        });
+        return renewal.pending;
     }
 
     /**
@@ -123,7 +298,7 @@ export class SecurityManager {
      * @param {string} username - 用户名。
      * @param {string} password - 密码。
      * @param {boolean} [rememberme=false] - 是否记住。
-     * @returns {Promise} 返回包含 iServer 登录请求结果的 Promise 对象。
+     * @returns {Promise} 返回包含 iServer 登录请求结果的 Promise 对象。用户名或密码错误时以 {@link SuperMap.AuthError} 拒绝。
      */
     static loginiServer(url, username, password, rememberme) {
         var end = url.substr(url.length - 1, 1);
@@ -140,7 +315,7 @@ export class SecurityManager {
             }
         };
         return FetchRequest.post(url, loginInfo, requestOptions).then(function (response) {
-            return response.json();
+            return FetchRequest.parseJSON(response);
         });
 
     }
@@ -183,7 +358,7 @@ export class SecurityManager {
      * @param {string} url - iportal 首页地址。
      * @param {string} username - 用户名。
      * @param {string} password - 密码。
-     * @returns {Promise} 返回包含 iPortal 登录请求结果的 Promise 对象。
+     * @returns {Promise} 返回包含 iPortal 登录请求结果的 Promise 对象。用户名或密码错误时以 {@link SuperMap.AuthError} 拒绝。
      */
     static loginiPortal(url, username, password) {
         var end = url.substr(url.length - 1, 1);
@@ -200,7 +375,7 @@ export class SecurityManager {
             withCredentials: true
         };
         return FetchRequest.post(url, loginInfo, requestOptions).then(function (response) {
-            return response.json();
+            return FetchRequest.parseJSON(response);
         });
 
     }
@@ -237,7 +412,7 @@ export class SecurityManager {
      * @param {string} loginInfoParams.password - 密码。
      * @param {Object} options
      * @param {boolean} [options.isNewTab=true] - 不同域时是否在新窗口打开登录页面。
-     * @returns {Promise} 返回包含 iManager 登录请求结果的 Promise 对象。
+     * @returns {Promise} 返回包含 iManager 登录请求结果的 Promise 对象。用户名或密码错误时以 {@link SuperMap.AuthError} 拒绝。
      */
     static loginManager(url, loginInfoParams, options) {
         if (!Util.isInTheSameDomain(url)) {
@@ -261,10 +436,12 @@ export class SecurityManager {
         };
         var me = this;
         return FetchRequest.post(requestUrl, loginInfo, requestOptions).then(function (response) {
-            response.text().then(function (result) {
-                me.imanagerToken = result;
-                return result;
-            });
+            return FetchRequest.checkStatus(response);
+        }).then(function (response) {
+            return response.text();
+        }).then(function (result) {
+            me.imanagerToken = result;
+            return result;
         });
     }
 
@@ -272,8 +449,16 @@ export class SecurityManager {
      * @description 清空全部验证信息。
      */
     static destroyAllCredentials() {
+        for (var key in this.tokenRenewals) {
+            if (this.tokenRenewals.hasOwnProperty(key)) {
+                clearTimeout(this.tokenRenewals[key].timer);
+            }
+        }
+        FetchRequest.removeInterceptor(tokenRenewalInterceptor);
         this.keys = null;
         this.tokens = null;
+        this.tokenExpirations = null;
+        this.tokenRenewals = null;
         this.servers = null;
     }
 
@@ -289,6 +474,10 @@ export class SecurityManager {
         if (this.tokens[domain]) {
             delete this.tokens[domain];
         }
+        if (this.tokenExpirations) {
+            delete this.tokenExpirations[domain];
+        }
+        this._scheduleTokenRenewal(url);
     }
 
     /**
@@ -320,6 +509,50 @@ export class SecurityManager {
         }
     }
 
+    static _getTokenRenewal(url) {
+        if (!url || !this.tokenRenewals) {
+            return;
+        }
+        return this.tokenRenewals[this._getTokenStorageKey(url)];
+    }
+
+    //根据请求中的 token 查找开启了自动续期的服务器，token 可能是当前 token，也可能是已被续期替换的旧 token
+    static _getRenewalUrlByToken(token) {
+        for (var key in this.tokenRenewals) {
+            if (!this.tokenRenewals.hasOwnProperty(key)) {
+                continue;
+            }
+            var renewal = this.tokenRenewals[key];
+            if ((this.tokens && this.tokens[key] === token) || renewal.staleTokens.indexOf(token) > -1) {
+                return renewal.server;
+            }
+        }
+    }
+
+    static _scheduleTokenRenewal(url) {
+        var renewal = this._getTokenRenewal(url);
+        if (!renewal) {
+            return;
+        }
+        clearTimeout(renewal.timer);
+        renewal.timer = null;
+        var expires = this.getTokenExpiration(url);
+        if (!expires) {
+            return;
+        }
+        var me = this;
+        var delay = Math.max(0, expires - renewal.renewBefore - new Date().getTime());
+        renewal.timer = setTimeout(function () {
+            renewal.timer = null;
+            if (delay > MAX_TIMER_DELAY) {
+                me._scheduleTokenRenewal(url);
+                return;
+            }
+            //续期失败时不做处理，请求因 token 失效而失败时会再次续期
+            me.renewToken(url).catch(function () {});
+        }, Math.min(delay, MAX_TIMER_DELAY));
+    }
+
     static _getTokenStorageKey(url) {
         var patten = /(.*?):\/\/([^\/]+)/i;
         var result = url.match(patten);
@@ -345,5 +578,6 @@ SecurityManager.INNER_WINDOW_WIDTH = 600;
 SecurityManager.INNER_WINDOW_HEIGHT = 600;
 SecurityManager.SSO = "https://sso.supermap.com";
 SecurityManager.ONLINE = "http://www.supermapol.com";
+SecurityManager._replayingUrls = {};
 SuperMap.SecurityManager = SecurityManager;
 
@@ -16,6 +16,30 @@ import {Util} from "../../commontypes/Util";
  * @param {boolean} [options.openGeoFence=false] - 是否开启地理围栏验证，默认为不开启。
  * @param {function} [options.outOfGeoFence] - 数据超出地理围栏后执行的函数。
  * @param {Object} [options.geoFence] - 地理围栏。
+ * @param {Array.<Object>} [options.geoFences] - 多个命名的地理围栏，按文档触发进入、离开和停留事件。围栏的格式参考 {@link SuperMap.ElasticSearch#addGeoFence}。
+ * @param {string} [options.idField] - 文档中表示唯一标识的字段，用于区分进出围栏的文档。不设置时使用文档的 _id。
+ * @param {string} [options.xField='x'] - 文档中表示 x 坐标的字段。
+ * @param {string} [options.yField='y'] - 文档中表示 y 坐标的字段。
+ * @param {string} [options.timeField] - 文档中表示时间的字段，用于计算停留时间。值可以为毫秒数、日期字符串。不设置时使用收到数据的时间。
+ * @param {number} [options.dwellTime=0] - 停留时间，单位毫秒。文档在围栏内的时间达到该值后触发 dwellInGeoFence 事件，为 0 时不触发。
+ * @fires SuperMap.ElasticSearch#enterGeoFence
+ * @fires SuperMap.ElasticSearch#exitGeoFence
+ * @fires SuperMap.ElasticSearch#dwellInGeoFence
+ * @example
+ * var elasticSearch = new SuperMap.ElasticSearch(url, {
+ *     openGeoFence: true,
+ *     idField: 'vehicleId',
+ *     dwellTime: 5 * 60 * 1000,
+ *     geoFences: [
+ *         {name: 'depot', center: [104.40, 30.43], radius: 500, unit: 'degree'},
+ *         {name: 'district', type: 'Polygon', coordinates: [[[104.0, 30.0], [104.5, 30.0], [104.5, 30.5], [104.0, 30.0]]]}
+ *     ]
+ * });
+ * elasticSearch.events.on({
+ *     enterGeoFence: function (e) {
+ *         console.log(e.id + ' 进入 ' + e.geoFence.name);
+ *     }
+ * });
  */
 
 export class ElasticSearch {
@@ -62,13 +86,49 @@ export class ElasticSearch {
          */
         this.geoFence = null;
 
+        /**
+         * @member {Array.<Object>} [SuperMap.ElasticSearch.prototype.geoFences]
+         * @description 多个命名的地理围栏。
+         */
+        this.geoFences = [];
+
+        /**
+         * @member {string} [SuperMap.ElasticSearch.prototype.idField]
+         * @description 文档中表示唯一标识的字段。不设置时使用文档的 _id。
+         */
+        this.idField = null;
+
+        /**
+         * @member {string} [SuperMap.ElasticSearch.prototype.xField='x']
+         * @description 文档中表示 x 坐标的字段。
+         */
+        this.xField = 'x';
+
+        /**
+         * @member {string} [SuperMap.ElasticSearch.prototype.yField='y']
+         * @description 文档中表示 y 坐标的字段。
+         */
+        this.yField = 'y';
+
+        /**
+         * @member {string} [SuperMap.ElasticSearch.prototype.timeField]
+         * @description 文档中表示时间的字段。
+         */
+        this.timeField = null;
+
+        /**
+         * @member {number} [SuperMap.ElasticSearch.prototype.dwellTime=0]
+         * @description 触发停留事件的停留时间，单位毫秒。
+         */
+        this.dwellTime = 0;
+
         /*
          * Constant: EVENT_TYPES
          * {Array.<String>}
          * 此类支持的事件类型。
          *
          */
-        this.EVENT_TYPES = ['change', 'error', 'outOfGeoFence'];
+        this.EVENT_TYPES = ['change', 'error', 'outOfGeoFence', 'enterGeoFence', 'exitGeoFence', 'dwellInGeoFence'];
 
         /**
          * @member {SuperMap.Events} SuperMap.ElasticSearch.prototype.events
@@ -83,6 +143,9 @@ export class ElasticSearch {
          */
         this.eventListeners = null;
         Util.extend(this, options);
+        //文档 id 到所在围栏状态的映射
+        this._fenceStates = {};
+        this.setGeoFences(this.geoFences);
         if (this.eventListeners instanceof Object) {
             this.events.on(this.eventListeners);
         }
@@ -98,6 +161,64 @@ export class ElasticSearch {
         this.geoFence = geoFence;
     }
 
+    /**
+     * @function  SuperMap.ElasticSearch.prototype.addGeoFence
+     * @description 添加命名的地理围栏，已存在同名围栏时替换该围栏。openGeoFence 参数为 true 的时候，设置的地理围栏才生效。
+     * @param {Object} geoFence - 地理围栏。支持以下格式：</br>
+     *        圆形：{name, center: [x, y], radius, unit: 'meter'|'degree'}，radius 单位为米。unit 为 'degree' 时按大地线计算距离；</br>
+     *        多边形：{name, type: 'Polygon', coordinates}，coordinates 为 GeoJSON 面坐标或一个环的坐标数组；</br>
+     *        GeoJSON：Polygon、MultiPolygon 几何对象或要素，要素的 properties.name 作为围栏名称；</br>
+     *        {@link SuperMap.Geometry.Polygon} 或 {@link SuperMap.Geometry.MultiPolygon}。
+     * @returns {Object} 添加的地理围栏。
+     */
+    addGeoFence(geoFence) {
+        let fence = this._normalizeGeoFence(geoFence);
+        this.removeGeoFence(fence.name);
+        this.geoFences.push(fence);
+        return fence;
+    }
+
+    /**
+     * @function  SuperMap.ElasticSearch.prototype.setGeoFences
+     * @description 设置全部命名的地理围栏。
+     * @param {Array.<Object>} geoFences - 地理围栏数组，格式参考 {@link SuperMap.ElasticSearch#addGeoFence}。
+     */
+    setGeoFences(geoFences) {
+        this.clearGeoFences();
+        (geoFences || []).forEach((geoFence) => this.addGeoFence(geoFence));
+    }
+
+    /**
+     * @function  SuperMap.ElasticSearch.prototype.removeGeoFence
+     * @description 删除命名的地理围栏。
+     * @param {string} name - 围栏名称。
+     */
+    removeGeoFence(name) {
+        this.geoFences = this.geoFences.filter((fence) => fence.name !== name);
+        for (let id in this._fenceStates) {
+            delete this._fenceStates[id][name];
+        }
+    }
+
+    /**
+     * @function  SuperMap.ElasticSearch.prototype.clearGeoFences
+     * @description 删除全部命名的地理围栏。
+     */
+    clearGeoFences() {
+        this.geoFences = [];
+        this._fenceStates = {};
+    }
+
+    /**
+     * @function  SuperMap.ElasticSearch.prototype.getGeoFenceStatus
+     * @description 获取文档当前所在的地理围栏。
+     * @param {string} id - 文档的唯一标识。
+     * @returns {Array.<string>} 文档所在围栏的名称数组。
+     */
+    getGeoFenceStatus(id) {
+        return Object.keys(this._fenceStates[id] || {});
+    }
+
     /**
      * @function  SuperMap.ElasticSearch.prototype.bulk
      * @description 批量操作API，允许执行多个索引/删除操作。
@@ -559,7 +680,7 @@ export class ElasticSearch {
             return;
         }
         me.data = data;
-        if (me.openGeoFence && me.geoFence) {
+        if (me.openGeoFence && (me.geoFence || me.geoFences.length)) {
             me._validateDatas(data);
         }
         me.events.triggerEvent('change', {data: me.data});
@@ -581,22 +702,17 @@ export class ElasticSearch {
         }
         var i, len = datas.length;
         for (i = 0; i < len; i++) {
-            this._validateData(datas[i]);
+            this.geoFence && this._validateData(datas[i]);
+            this.geoFences.length && this._validateGeoFences(datas[i]);
         }
     }
 
     _validateData(data) {
         let me = this;
+        let fence = me._normalizeGeoFence(me.geoFence);
         data.hits.hits.map(function (source) {
-            let content = source._source;
-            let meterUnit = me._getMeterPerMapUnit(me.geoFence.unit);
-            let geoFenceCX = me.geoFence.center[0] * meterUnit;
-            let geoFenceCY = me.geoFence.center[1] * meterUnit;
-            let contentX = content.x * meterUnit;
-            let contentY = content.y * meterUnit;
-            let distance = me._distance(contentX, contentY, geoFenceCX, geoFenceCY);
-            let radius = me.geoFence.radius;
-            if (distance > radius) {
+            let point = me._getPoint(source._source);
+            if (point && !me._isInGeoFence(point, fence)) {
                 me.outOfGeoFence && me.outOfGeoFence(data);
                 me.events.triggerEvent('outOfGeoFence', {data: data});
             }
@@ -604,10 +720,184 @@ export class ElasticSearch {
         });
     }
 
+    _validateGeoFences(data) {
+        let me = this;
+        let hits = data && data.hits ? data.hits.hits : [];
+        hits.forEach(function (source) {
+            let content = source._source || {};
+            let id = me.idField ? content[me.idField] : source._id;
+            let point = me._getPoint(content);
+            if (id === undefined || id === null || !point) {
+                return;
+            }
+            let time = me._getTime(content);
+            let states = me._fenceStates[id] = me._fenceStates[id] || {};
+            me.geoFences.forEach(function (fence) {
+                let state = states[fence.name];
+                let event = {
+                    id: id,
+                    geoFence: fence,
+                    source: source,
+                    data: data
+                };
+                if (me._isInGeoFence(point, fence)) {
+                    if (!state) {
+                        states[fence.name] = {
+                            enterTime: time,
+                            dwelled: false
+                        };
+                        /**
+                         * @event SuperMap.ElasticSearch#enterGeoFence
+                         * @description 文档进入地理围栏后触发。
+                         * @property {string} id - 文档的唯一标识。
+                         * @property {Object} geoFence - 进入的地理围栏。
+                         * @property {Object} source - 文档。
+                         * @property {Object} data - 文档所在的查询结果。
+                         */
+                        me.events.triggerEvent('enterGeoFence', event);
+                    } else if (me.dwellTime > 0 && !state.dwelled && time - state.enterTime >= me.dwellTime) {
+                        state.dwelled = true;
+                        /**
+                         * @event SuperMap.ElasticSearch#dwellInGeoFence
+                         * @description 文档在地理围栏内停留达到 dwellTime 后触发，每次进入只触发一次。
+                         * @property {string} id - 文档的唯一标识。
+                         * @property {Object} geoFence - 停留的地理围栏。
+                         * @property {Object} source - 文档。
+                         * @property {Object} data - 文档所在的查询结果。
+                         */
+                        me.events.triggerEvent('dwellInGeoFence', event);
+                    }
+                } else if (state) {
+                    delete states[fence.name];
+                    /**
+                     * @event SuperMap.ElasticSearch#exitGeoFence
+                     * @description 文档离开地理围栏后触发。
+                     * @property {string} id - 文档的唯一标识。
+                     * @property {Object} geoFence - 离开的地理围栏。
+                     * @property {Object} source - 文档。
+                     * @property {Object} data - 文档所在的查询结果。
+                     */
+                    me.events.triggerEvent('exitGeoFence', event);
+                }
+            });
+        });
+    }
+
+    _getPoint(content) {
+        let x = parseFloat(content[this.xField]),
+            y = parseFloat(content[this.yField]);
+        return isNaN(x) || isNaN(y) ? null : [x, y];
+    }
+
+    _getTime(content) {
+        let value = this.timeField ? content[this.timeField] : null;
+        if (typeof value === 'string') {
+            value = isNaN(value) ? Date.parse(value) : +value;
+        }
+        return typeof value === 'number' && !isNaN(value) ? value : new Date().getTime();
+    }
+
+    _normalizeGeoFence(geoFence) {
+        let fence = {
+            name: geoFence.name
+        };
+        if (geoFence.type === 'Feature') {
+            fence.name = fence.name || (geoFence.properties && geoFence.properties.name);
+            geoFence = geoFence.geometry;
+        }
+        if (fence.name === undefined || fence.name === null) {
+            fence.name = Util.createUniqueID("GeoFence_");
+        }
+        if (geoFence.center) {
+            fence.type = 'circle';
+            fence.center = geoFence.center;
+            fence.radius = geoFence.radius;
+            fence.unit = geoFence.unit;
+            return fence;
+        }
+        fence.type = 'polygon';
+        fence.polygons = this._getPolygons(geoFence);
+        return fence;
+    }
+
+    _getPolygons(geometry) {
+        let toCoordinates = (ring) => ring.components.map((point) => [point.x, point.y]);
+        let toRings = (polygon) => polygon.components.map(toCoordinates);
+        switch (geometry.CLASS_NAME) {
+            case "SuperMap.Geometry.Polygon":
+                return [toRings(geometry)];
+            case "SuperMap.Geometry.MultiPolygon":
+                return geometry.components.map(toRings);
+            default:
+                break;
+        }
+        let coordinates = geometry.coordinates;
+        if (/^multipolygon$/i.test(geometry.type)) {
+            return coordinates;
+        }
+        //只有一个环时，允许省略外层数组
+        return typeof coordinates[0][0] === 'number' ? [[coordinates]] : [coordinates];
+    }
+
+    _isInGeoFence(point, fence) {
+        if (fence.type === 'circle') {
+            return this._getDistance(point, fence.center, fence.unit) <= fence.radius;
+        }
+        let me = this;
+        return fence.polygons.some(function (rings) {
+            if (!me._isInRing(point, rings[0])) {
+                return false;
+            }
+            for (let i = 1; i < rings.length; i++) {
+                if (me._isInRing(point, rings[i])) {
+                    return false;
+                }
+            }
+            return true;
+        });
+    }
+
+    _isInRing(point, ring) {
+        let x = point[0],
+            y = point[1],
+            inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            let xi = ring[i][0],
+                yi = ring[i][1],
+                xj = ring[j][0],
+                yj = ring[j][1];
+            if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    _getDistance(point, center, unit) {
+        if (unit === 'degree') {
+            return this._geodesicDistance(point, center);
+        }
+        let meterUnit = this._getMeterPerMapUnit(unit) || 1;
+        return this._distance(point[0] * meterUnit, point[1] * meterUnit, center[0] * meterUnit, center[1] * meterUnit);
+    }
+
     _distance(x1, y1, x2, y2) {
         return Math.sqrt((x1 - x2) * (x1 - x2) + (y1 - y2) * (y1 - y2));
     }
 
+    //经纬度坐标之间的大圆距离（haversine 公式），单位为米
+    _geodesicDistance(point1, point2) {
+        let earchRadiusInMeters = 6378137;
+        let toRadian = Math.PI / 180;
+        let lat1 = point1[1] * toRadian,
+            lat2 = point2[1] * toRadian;
+        let dLat = lat2 - lat1,
+            dLon = (point2[0] - point1[0]) * toRadian;
+        let a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+        return 2 * earchRadiusInMeters * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
     _getMeterPerMapUnit(mapUnit) {
         let earchRadiusInMeters = 6378137;
         let meterPerMapUnit;
@@ -0,0 +1,476 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {SuperMap} from '../../SuperMap';
+import {Util} from '../../commontypes/Util';
+import {AggregationType} from '../../REST';
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+const SHAPE_TYPES = {
+    point: 'Point',
+    multipoint: 'MultiPoint',
+    linestring: 'LineString',
+    multilinestring: 'MultiLineString',
+    polygon: 'Polygon',
+    multipolygon: 'MultiPolygon',
+    geometrycollection: 'GeometryCollection'
+};
+
+/**
+ * @class SuperMap.ElasticSearchGeoAdapter
+ * @classdesc ElasticSearch 地理数据适配器。按地图范围构造 geohash_grid、geotile_grid 聚合或普通检索请求，
+ *            并将聚合桶、geo_centroid 聚合结果以及 geo_point、geo_shape 字段的检索结果转换为 GeoJSON，
+ *            可直接添加到热力图、高效率点图层和专题图层中。
+ * @category ElasticSearch
+ * @param {SuperMap.ElasticSearch} elasticSearch - ElasticSearch 服务类。
+ * @param {Object} options - 参数。
+ * @param {string} options.geoField - geo_point 或 geo_shape 类型的字段名。
+ * @param {string} [options.index] - 索引名。
+ * @param {string} [options.aggType] - 聚合类型，可选 'geohash_grid'、'geotile_grid'。不设置时检索文档。
+ * @param {string} [options.aggName='grid'] - 聚合名称。
+ * @param {(number|function)} [options.precision] - 聚合精度，或者根据地图级别返回精度的函数。默认根据地图级别计算。
+ * @param {Object} [options.subAggs] - 子聚合，按 ElasticSearch 的聚合语法书写，结果中的 value 会写入要素属性。
+ * @param {boolean} [options.centroid=false] - 是否为每个格网计算文档的中心点（geo_centroid），geometryType 为 'Point' 时使用中心点作为要素位置。
+ * @param {SuperMap.GeoHashGridAggParameter} [options.aggregation] - 格网聚合参数。设置后 aggName、aggType、geoField、precision 和子聚合从该参数读取。
+ * @param {Object} [options.query] - 查询条件，按 ElasticSearch 的查询语法书写，会与地图范围的过滤条件组合。
+ * @param {number} [options.size=1000] - 检索文档时返回的最大文档数。
+ * @param {string} [options.geometryType='Polygon'] - 格网聚合结果的几何类型，可选 'Polygon'（格网面）、'Point'（格网中心点）。
+ * @example
+ * var adapter = new SuperMap.ElasticSearchGeoAdapter(new SuperMap.ElasticSearch(url), {
+ *     index: 'flights',
+ *     geoField: 'location',
+ *     aggType: 'geohash_grid',
+ *     subAggs: {avgDelay: {avg: {field: 'delay'}}}
+ * });
+ * adapter.search([-180, -90, 180, 90], 3).then(function (geojson) {
+ *     rangeThemeLayer.addFeatures(geojson);
+ * });
+ */
+export class ElasticSearchGeoAdapter {
+
+    constructor(elasticSearch, options) {
+        options = options || {};
+
+        /**
+         * @member {SuperMap.ElasticSearch} SuperMap.ElasticSearchGeoAdapter.prototype.elasticSearch
+         * @description ElasticSearch 服务类。
+         */
+        this.elasticSearch = elasticSearch;
+
+        /**
+         * @member {string} SuperMap.ElasticSearchGeoAdapter.prototype.index
+         * @description 索引名。
+         */
+        this.index = options.index;
+
+        /**
+         * @member {string} SuperMap.ElasticSearchGeoAdapter.prototype.geoField
+         * @description geo_point 或 geo_shape 类型的字段名。
+         */
+        this.geoField = options.geoField;
+
+        /**
+         * @member {string} SuperMap.ElasticSearchGeoAdapter.prototype.aggType
+         * @description 聚合类型。
+         */
+        this.aggType = options.aggType;
+
+        /**
+         * @member {string} [SuperMap.ElasticSearchGeoAdapter.prototype.aggName='grid']
+         * @description 聚合名称。
+         */
+        this.aggName = options.aggName || 'grid';
+
+        /**
+         * @member {(number|function)} SuperMap.ElasticSearchGeoAdapter.prototype.precision
+         * @description 聚合精度，或者根据地图级别返回精度的函数。
+         */
+        this.precision = options.precision;
+
+        /**
+         * @member {Object} SuperMap.ElasticSearchGeoAdapter.prototype.subAggs
+         * @description 子聚合。
+         */
+        this.subAggs = options.subAggs;
+
+        /**
+         * @member {boolean} [SuperMap.ElasticSearchGeoAdapter.prototype.centroid=false]
+         * @description 是否为每个格网计算文档的中心点。
+         */
+        this.centroid = !!options.centroid;
+
+        /**
+         * @member {Object} SuperMap.ElasticSearchGeoAdapter.prototype.query
+         * @description 查询条件。
+         */
+        this.query = options.query;
+
+        /**
+         * @member {number} [SuperMap.ElasticSearchGeoAdapter.prototype.size=1000]
+         * @description 检索文档时返回的最大文档数。
+         */
+        this.size = options.size || 1000;
+
+        /**
+         * @member {string} [SuperMap.ElasticSearchGeoAdapter.prototype.geometryType='Polygon']
+         * @description 格网聚合结果的几何类型。
+         */
+        this.geometryType = options.geometryType || 'Polygon';
+
+        if (options.aggregation) {
+            this.setAggregation(options.aggregation);
+        }
+        this.CLASS_NAME = "SuperMap.ElasticSearchGeoAdapter";
+    }
+
+    /**
+     * @function SuperMap.ElasticSearchGeoAdapter.prototype.setAggregation
+     * @description 使用格网聚合参数设置聚合。
+     * @param {SuperMap.GeoHashGridAggParameter} aggregation - 格网聚合参数。
+     */
+    setAggregation(aggregation) {
+        this.aggName = aggregation.aggName || this.aggName;
+        this.aggType = aggregation.aggType || AggregationType.GEOHASH_GRID;
+        this.geoField = aggregation.aggFieldName || this.geoField;
+        this.precision = aggregation.precision || this.precision;
+        if (aggregation.subAgg) {
+            this.subAggs = ElasticSearchGeoAdapter.toAggregations(aggregation.subAgg);
+        }
+    }
+
+    /**
+     * @function SuperMap.ElasticSearchGeoAdapter.prototype.getPrecision
+     * @description 获取地图级别对应的聚合精度。
+     * @param {number} zoom - 地图级别。
+     * @returns {number} 聚合精度。
+     */
+    getPrecision(zoom) {
+        if (typeof this.precision === 'function') {
+            return this.precision(zoom);
+        }
+        if (this.precision) {
+            return this.precision;
+        }
+        zoom = Math.max(0, Math.round(zoom || 0));
+        if (this.aggType === 'geotile_grid') {
+            //每个瓦片大约分为 16 个格网
+            return Math.min(29, zoom + 2);
+        }
+        //geohash 每增加一位精度，格网边长约缩小为原来的 1/5.6
+        return Math.min(12, Math.max(1, Math.ceil((zoom + 2) / 2.5)));
+    }
+
+    /**
+     * @function SuperMap.ElasticSearchGeoAdapter.prototype.buildSearchParams
+     * @description 构造检索参数，可直接传给 {@link SuperMap.ElasticSearch#search}。
+     * @param {Array.<number>} [bounds] - 地图范围，格式为 [minLon, minLat, maxLon, maxLat]。不设置时不按范围过滤。
+     * @param {number} [zoom] - 地图级别，用于计算聚合精度。
+     * @returns {Object} 检索参数。
+     */
+    buildSearchParams(bounds, zoom) {
+        var query = this.query || {match_all: {}};
+        if (bounds && this.geoField) {
+            var filter = {geo_bounding_box: {}};
+            filter.geo_bounding_box[this.geoField] = {
+                top_left: {
+                    lat: Math.min(90, bounds[3]),
+                    lon: Math.max(-180, bounds[0])
+                },
+                bottom_right: {
+                    lat: Math.max(-90, bounds[1]),
+                    lon: Math.min(180, bounds[2])
+                }
+            };
+            query = {
+                bool: {
+                    must: query,
+                    filter: filter
+                }
+            };
+        }
+        var body = {
+            query: query
+        };
+        if (this.aggType) {
+            var grid = {};
+            grid[this.aggType] = {
+                field: this.geoField,
+                precision: this.getPrecision(zoom)
+            };
+            var aggs = Util.extend({}, this.subAggs);
+            if (this.centroid) {
+                aggs.centroid = {geo_centroid: {field: this.geoField}};
+            }
+            if (Object.keys(aggs).length) {
+                grid.aggs = aggs;
+            }
+            body.size = 0;
+            body.aggs = {};
+            body.aggs[this.aggName] = grid;
+        } else {
+            body.size = this.size;
+        }
+        var params = {
+            body: body
+        };
+        if (this.index) {
+            params.index = this.index;
+        }
+        return params;
+    }
+
+    /**
+     * @function SuperMap.ElasticSearchGeoAdapter.prototype.search
+     * @description 检索地图范围内的数据并转换为 GeoJSON。
+     * @param {Array.<number>} [bounds] - 地图范围，格式为 [minLon, minLat, maxLon, maxLat]。
+     * @param {number} [zoom] - 地图级别。
+     * @param {Object} [options] - 转换参数，覆盖当前对象的设置，参考 {@link SuperMap.ElasticSearchGeoAdapter.toGeoJSON}。
+     * @returns {Promise} 以 GeoJSON 要素集合完成的 Promise。
+     */
+    search(bounds, zoom, options) {
+        var me = this;
+        return me.elasticSearch.client.search(me.buildSearchParams(bounds, zoom)).then(function (response) {
+            return ElasticSearchGeoAdapter.toGeoJSON(response, Util.extend({
+                geoField: me.geoField,
+                geometryType: me.geometryType
+            }, options));
+        });
+    }
+
+    /**
+     * @function SuperMap.ElasticSearchGeoAdapter.prototype.destroy
+     * @description 释放资源，将引用资源的属性置空。
+     */
+    destroy() {
+        this.elasticSearch = null;
+        this.subAggs = null;
+        this.query = null;
+    }
+
+    /**
+     * @function SuperMap.ElasticSearchGeoAdapter.toGeoJSON
+     * @description 将 ElasticSearch 的检索结果转换为 GeoJSON。geohash_grid、geotile_grid 聚合桶转为格网面或格网中心点，
+     *              属性包含 key、count（文档数）和子聚合的值；geo_centroid 聚合转为点，属性包含 count；
+     *              检索到的文档按 geoField 转为要素，属性为文档的 _source 和 _id。
+     * @param {Object} response - ElasticSearch 的检索结果。
+     * @param {Object} [options] - 参数。
+     * @param {string} [options.geoField] - 文档中 geo_point 或 geo_shape 类型的字段名。不设置时不转换文档。
+     * @param {string} [options.geometryType='Polygon'] - 格网聚合结果的几何类型，可选 'Polygon'、'Point'。
+     * @returns {GeoJSONObject} GeoJSON 要素集合。
+     */
+    static toGeoJSON(response, options) {
+        options = options || {};
+        var features = [];
+        var aggregations = response && response.aggregations;
+        for (var name in aggregations) {
+            var aggregation = aggregations[name];
+            if (aggregation.buckets) {
+                aggregation.buckets.forEach(function (bucket) {
+                    var feature = ElasticSearchGeoAdapter._bucketToFeature(bucket, options.geometryType);
+                    feature && features.push(feature);
+                });
+            } else if (aggregation.location) {
+                features.push(ElasticSearchGeoAdapter._toFeature({
+                    type: 'Point',
+                    coordinates: [aggregation.location.lon, aggregation.location.lat]
+                }, {
+                    name: name,
+                    count: aggregation.count
+                }));
+            }
+        }
+        var hits = response && response.hits ? response.hits.hits : [];
+        if (options.geoField) {
+            hits.forEach(function (hit) {
+                var source = hit._source || {};
+                var geometry = ElasticSearchGeoAdapter._toGeometry(ElasticSearchGeoAdapter._getFieldValue(source, options.geoField));
+                if (geometry) {
+                    features.push(ElasticSearchGeoAdapter._toFeature(geometry, Util.extend({_id: hit._id}, source), hit._id));
+                }
+            });
+        }
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+
+    /**
+     * @function SuperMap.ElasticSearchGeoAdapter.toAggregations
+     * @description 将聚合参数转换为 ElasticSearch 的聚合语法。
+     * @param {SuperMap.AggregationParameter} aggregation - 聚合参数，例如 {@link SuperMap.GeoHashGridAggParameter}。
+     * @returns {Object} ElasticSearch 聚合对象。
+     * @example
+     * var aggs = SuperMap.ElasticSearchGeoAdapter.toAggregations(new SuperMap.GeoHashGridAggParameter({
+     *     aggName: 'grid',
+     *     aggFieldName: 'location',
+     *     precision: 4
+     * }));
+     * //{grid: {geohash_grid: {field: 'location', precision: 4}}}
+     */
+    static toAggregations(aggregation) {
+        var aggs = {};
+        if (!aggregation || !aggregation.aggType) {
+            return aggs;
+        }
+        var body = {
+            field: aggregation.aggFieldName
+        };
+        if (aggregation.precision) {
+            body.precision = aggregation.precision;
+        }
+        var agg = {};
+        agg[aggregation.aggType] = body;
+        if (aggregation.subAgg) {
+            agg.aggs = ElasticSearchGeoAdapter.toAggregations(aggregation.subAgg);
+        }
+        aggs[aggregation.aggName || aggregation.aggType] = agg;
+        return aggs;
+    }
+
+    /**
+     * @function SuperMap.ElasticSearchGeoAdapter.decodeGeoHash
+     * @description 计算 geohash 编码对应的经纬度范围。
+     * @param {string} geohash - geohash 编码。
+     * @returns {Array.<number>} 经纬度范围，格式为 [minLon, minLat, maxLon, maxLat]。
+     */
+    static decodeGeoHash(geohash) {
+        var lon = [-180, 180],
+            lat = [-90, 90],
+            isLon = true;
+        for (var i = 0; i < geohash.length; i++) {
+            var value = BASE32.indexOf(geohash.charAt(i).toLowerCase());
+            for (var bit = 4; bit >= 0; bit--) {
+                var range = isLon ? lon : lat;
+                var mid = (range[0] + range[1]) / 2;
+                range[(value >> bit) & 1 ? 0 : 1] = mid;
+                isLon = !isLon;
+            }
+        }
+        return [lon[0], lat[0], lon[1], lat[1]];
+    }
+
+    /**
+     * @function SuperMap.ElasticSearchGeoAdapter.decodeGeoTile
+     * @description 计算 geotile 编码（z/x/y）对应的经纬度范围。
+     * @param {string} key - geotile 编码。
+     * @returns {Array.<number>} 经纬度范围，格式为 [minLon, minLat, maxLon, maxLat]。
+     */
+    static decodeGeoTile(key) {
+        var zxy = key.split('/').map(Number);
+        var n = Math.pow(2, zxy[0]);
+        var toLat = function (y) {
+            return Math.atan((Math.exp(Math.PI * (1 - 2 * y / n)) - Math.exp(-Math.PI * (1 - 2 * y / n))) / 2) * 180 / Math.PI;
+        };
+        return [zxy[1] / n * 360 - 180, toLat(zxy[2] + 1), (zxy[1] + 1) / n * 360 - 180, toLat(zxy[2])];
+    }
+
+    static _bucketToFeature(bucket, geometryType) {
+        var key = String(bucket.key);
+        var bounds = key.indexOf('/') > -1 ? ElasticSearchGeoAdapter.decodeGeoTile(key) : ElasticSearchGeoAdapter.decodeGeoHash(key);
+        var properties = {
+            key: key,
+            count: bucket.doc_count
+        };
+        var centroid = null;
+        for (var name in bucket) {
+            var value = bucket[name];
+            if (name === 'key' || name === 'doc_count' || !value || typeof value !== 'object') {
+                continue;
+            }
+            if (value.location) {
+                centroid = [value.location.lon, value.location.lat];
+            } else if (value.value !== undefined) {
+                properties[name] = value.value;
+            }
+        }
+        var geometry;
+        if (geometryType === 'Point') {
+            geometry = {
+                type: 'Point',
+                coordinates: centroid || [(bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2]
+            };
+        } else {
+            geometry = {
+                type: 'Polygon',
+                coordinates: [[
+                    [bounds[0], bounds[1]], [bounds[2], bounds[1]], [bounds[2], bounds[3]],
+                    [bounds[0], bounds[3]], [bounds[0], bounds[1]]
+                ]]
+            };
+        }
+        return ElasticSearchGeoAdapter._toFeature(geometry, properties, key);
+    }
+
+    static _toFeature(geometry, properties, id) {
+        var feature = {
+            type: 'Feature',
+            geometry: geometry,
+            properties: properties
+        };
+        if (id !== undefined) {
+            feature.id = id;
+        }
+        return feature;
+    }
+
+    static _getFieldValue(source, field) {
+        if (source[field] !== undefined) {
+            return source[field];
+        }
+        //支持 a.b 形式的嵌套字段
+        return field.split('.').reduce(function (value, name) {
+            return value && value[name];
+        }, source);
+    }
+
+    static _toGeometry(value) {
+        if (!value) {
+            return null;
+        }
+        if (Util.isArray(value)) {
+            //geo_point 数组格式为 [lon, lat]
+            return typeof value[0] === 'number' ? {type: 'Point', coordinates: [value[0], value[1]]} : null;
+        }
+        if (typeof value === 'string') {
+            if (value.indexOf(',') > -1) {
+                var latLon = value.split(',');
+                return {type: 'Point', coordinates: [parseFloat(latLon[1]), parseFloat(latLon[0])]};
+            }
+            var bounds = ElasticSearchGeoAdapter.decodeGeoHash(value);
+            return {type: 'Point', coordinates: [(bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2]};
+        }
+        if (value.lat !== undefined && value.lon !== undefined) {
+            return {type: 'Point', coordinates: [value.lon, value.lat]};
+        }
+        if (!value.type) {
+            return null;
+        }
+        var type = value.type.toLowerCase();
+        if (type === 'envelope') {
+            //envelope 格式为 [[minLon, maxLat], [maxLon, minLat]]
+            var coordinates = value.coordinates;
+            return {
+                type: 'Polygon',
+                coordinates: [[
+                    [coordinates[0][0], coordinates[1][1]], [coordinates[1][0], coordinates[1][1]],
+                    [coordinates[1][0], coordinates[0][1]], [coordinates[0][0], coordinates[0][1]],
+                    [coordinates[0][0], coordinates[1][1]]
+                ]]
+            };
+        }
+        if (!SHAPE_TYPES[type]) {
+            return null;
+        }
+        if (type === 'geometrycollection') {
+            return {
+                type: 'GeometryCollection',
+                geometries: value.geometries.map(ElasticSearchGeoAdapter._toGeometry)
+            };
+        }
+        return {type: SHAPE_TYPES[type], coordinates: value.coordinates};
+    }
+}
+
+SuperMap.ElasticSearchGeoAdapter = ElasticSearchGeoAdapter;
@@ -2,5 +2,6 @@
  * This program are made available under the terms of the Apache License, Version 2.0
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
 import {ElasticSearch} from './ElasticSearch';
+import {ElasticSearchGeoAdapter} from './ElasticSearchGeoAdapter';
 
-export {ElasticSearch};
\ No newline at end of file
+export {ElasticSearch, ElasticSearchGeoAdapter};
\ No newline at end of file
@@ -1,6 +1,6 @@
 /* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
  * This program are made available under the terms of the Apache License, Version 2.0
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
-import {ElasticSearch} from './elasticsearch';
+import {ElasticSearch, ElasticSearchGeoAdapter} from './elasticsearch';
 
-export {ElasticSearch} ;
+export {ElasticSearch, ElasticSearchGeoAdapter};
@@ -1,37 +1,17 @@
 import {
     SuperMap
 } from '../SuperMap';
+import {
+    Classification
+} from './Classification';
+
+/**
+ * @class SuperMap.ArrayStatistic
+ * @category BaseTypes Util
+ * @classdesc 数组统计和分段，基于 {@link SuperMap.Classification}，不再依赖 geostats 插件。空值和非数值不参与统计。
+ */
 export class ArrayStatistic {
 
-    // geostatsInstance: null,
-
-    /**
-     * 初始化插件实例
-     */
-    static newInstance() {
-        // if(!this.geostatsInstance) {
-        //         //     this.geostatsInstance = new geostats();
-        //         // }
-        // window.dataList = [];
-        if(!this.geostatsInstance) {
-
-            this.geostatsInstance = new window.geostats();
-          
-        }
-        return this.geostatsInstance;
-    }
-
-    /**
-     * 设置需要被处理的数组
-     * 
-     * @param array 
-     */
-    static getInstance(array) {
-        let instance = this.newInstance();
-        instance.setSerie(array);
-        return instance;
-    }
-
     /**
      * 获取数组统计的值
      *    
@@ -61,36 +41,63 @@ export class ArrayStatistic {
      * 获取数组分段后的数值
      * 
      * @param array  需要分段的数组
-     * @param type   分段方法
+     * @param type   分段方法，"offset"（等距）、"jenks"（自然断点）、"square"（平方根）、"logarithm"（对数）
+     *               或者 SuperMap.Classification 的分段方法，如 "quantile"、"standardDeviation"、"headTailBreaks"、"manual"
      * @param segNum 分段个数
+     * @param options 分段参数，参见 SuperMap.Classification.getBreaks
+     * @returns 分段点数组，分段方法不存在或者数据不满足分段方法的要求时返回 false
      */
-    static getArraySegments(array, type, segNum) {
-        if(type === "offset") {
-            return this.getEqInterval(array, segNum);
-        } else if(type === "jenks") {
-            return this.getJenks(array, segNum);
-        } else if(type === "square") {
-            // 数据都必须 >= 0
-            let minValue = this.getMin(array);
-            if(minValue >= 0){
-                return this.getSqrtInterval(array, segNum);
-            }else {
-                //console.log('数据都必须 >= 0');
-                // Util.showMessage(Language.hasNegValue + Language.noSupportRange, 'ERROR');
-                return false;
-            }
+    static getArraySegments(array, type, segNum, options) {
+        let method = SEGMENT_METHODS[type] || type;
+        if (Classification.getMethods().indexOf(method) < 0) {
+            return false;
+        }
+        return Classification.getBreaks(array, method, segNum, options) || false;
+    }
+
+    /**
+     * 获取分段专题图的分段点，WebMap 的分段专题图共用此方法。
+     * 分段点保留两位小数，并应用 themeSetting.customSettings 中自定义的分段起止值
+     * 
+     * @param values       需要分段的数组
+     * @param themeSetting 专题图设置，包括 segmentMethod、segmentCount 和 customSettings
+     * @returns 分段点数组和分段个数 {segments, itemNum}，不能分段时返回 null
+     */
+    static getRangeSegments(values, themeSetting) {
+        let segmentCount = themeSetting.segmentCount;
+        let customSettings = themeSetting.customSettings || {};
+        let segments = this.getArraySegments(values, themeSetting.segmentMethod, segmentCount);
+        if (!segments) {
+            return null;
+        }
+        //所有数值都相同时只分一段
+        if (segments[0] === segments[segments.length - 1]) {
+            segments.length = 2;
+        }
+        //自然断点法的分段数不超过不同数值的个数，头尾分割法的分段数由数据决定，因此分段个数以实际的分段点为准
+        let itemNum = segments.length - 1;
+
+        //保留两位有效数
+        for (let i = 0; i < segments.length; i++) {
+            let value = segments[i];
+            value = i === 0 ? Math.floor(value * 100) / 100 : Math.ceil(value * 100) / 100 + 0.1;// 加0.1 解决最大值没有样式问题
+            segments[i] = Number(value.toFixed(2));
+        }
 
-        } else if(type === "logarithm") {
-            // 数据都必须 > 0
-            let minValue = this.getMin(array);
-            if(minValue > 0){
-                return this.getGeometricProgression(array, segNum);
-            }else {
-                //console.log('数据都必须 > 0');
-                // Util.showMessage(Language.hasZeroNegValue + Language.noSupportRange, 'ERROR');
-                return false;
+        for (let index = 0; index < itemNum; index++) {
+            if (index in customSettings && customSettings[index]["segment"]) {
+                if (customSettings[index]["segment"]["start"]) {
+                    segments[index] = customSettings[index]["segment"]["start"];
+                }
+                if (customSettings[index]["segment"]["end"]) {
+                    segments[index + 1] = customSettings[index]["segment"]["end"];
+                }
             }
         }
+        return {
+            segments: segments,
+            itemNum: itemNum
+        };
     }
 
     /**
@@ -99,25 +106,25 @@ export class ArrayStatistic {
      * @returns {number}
      */
     static getSum(array){
-        return this.getInstance(array).sum();
+        return Classification.getStatistics(array).sum;
     }
 
     /**
-     * 最小值
+     * 最大值
      * @param array
      * @returns {*}
      */
     static getMax(array){
-        return this.getInstance(array).max();
+        return Classification.getStatistics(array).max;
     }
 
     /**
-     * 最大值
+     * 最小值
      * @param array
      * @returns {*}
      */
     static getMin(array){
-        return this.getInstance(array).min();
+        return Classification.getStatistics(array).min;
     }
 
     /**
@@ -126,7 +133,7 @@ export class ArrayStatistic {
      * @returns {number}
      */
     static getMean(array){
-        return this.getInstance(array).mean();
+        return Classification.getStatistics(array).mean;
     }
 
     /**
@@ -136,7 +143,7 @@ export class ArrayStatistic {
      * @returns {number} 
      */
     static getMedian(array) {
-        return this.getInstance(array).median();
+        return Classification.getStatistics(array).median;
     }
 
     /**
@@ -156,7 +163,7 @@ export class ArrayStatistic {
      * @param segNum
      */
     static getEqInterval(array, segNum) {
-        return this.getInstance(array).getClassEqInterval(segNum);
+        return Classification.getBreaks(array, 'equalInterval', segNum);
     }
     
     /**
@@ -166,7 +173,7 @@ export class ArrayStatistic {
      * @param segNum
      */
     static getJenks(array, segNum) {
-        return this.getInstance(array).getClassJenks(segNum);
+        return Classification.getBreaks(array, 'jenks', segNum);
     }
 
     /**
@@ -176,15 +183,7 @@ export class ArrayStatistic {
      * @param segNum
      */
     static getSqrtInterval(array, segNum) {
-        array = array.map(function(value) {
-            return Math.sqrt(value);
-        });
-        let breaks = this.getInstance(array).getClassEqInterval(segNum);
-        return (
-            breaks.map(function(value) {
-                return value * value;
-            })
-        ) 
+        return Classification.getBreaks(array, 'sqrtInterval', segNum);
     }
 
     /**
@@ -194,8 +193,18 @@ export class ArrayStatistic {
      * @param segNum
      */
     static getGeometricProgression(array, segNum) {
-        return this.getInstance(array).getClassGeometricProgression(segNum);
+        return Classification.getBreaks(array, 'geometricInterval', segNum);
     }
 
 }
-SuperMap.ArrayStatistic = ArrayStatistic;
\ No newline at end of file
+
+//WebMap 专题图设置中的分段方法名称
+const SEGMENT_METHODS = {
+    offset: 'equalInterval',
+    jenks: 'jenks',
+    square: 'sqrtInterval',
+    logarithm: 'geometricInterval'
+};
+
+SuperMap.ArrayStatistic = ArrayStatistic;
+SuperMap.Classification = Classification;
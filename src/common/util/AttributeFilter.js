@@ -0,0 +1,287 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {
+    SuperMap
+} from '../SuperMap';
+
+var KEYWORDS = ['AND', 'OR', 'NOT', 'LIKE', 'IN', 'IS', 'NULL', 'BETWEEN', 'TRUE', 'FALSE'];
+
+/**
+ * @class SuperMap.AttributeFilter
+ * @category BaseTypes Util
+ * @classdesc 要素属性过滤条件。将类似 SQL 查询条件的表达式解析为过滤函数，在客户端按要素属性过滤要素。
+ *            支持的运算符：=（==）、!=（<>）、>、>=、<、<=、AND（&&）、OR（||）、NOT（!）、LIKE（% 匹配任意个字符，_ 匹配单个字符）、
+ *            IN、BETWEEN ... AND ...、IS NULL、IS NOT NULL，以及括号。字符串使用单引号或双引号，包含空格等特殊字符的字段名使用方括号，如 [road name]。
+ * @param {string} expression - 过滤条件表达式。
+ * @example
+ * var filter = new SuperMap.AttributeFilter("speed > 60 AND (type IN ('bus', 'taxi') OR name LIKE '京A%')");
+ * filter.test({properties: {speed: 80, type: 'bus', name: '京B12345'}}); //true
+ */
+export class AttributeFilter {
+
+    constructor(expression) {
+        /**
+         * @member {string} SuperMap.AttributeFilter.prototype.expression
+         * @description 过滤条件表达式。
+         */
+        this.expression = expression;
+
+        this._tokens = tokenize(expression);
+        this._index = 0;
+        this._predicate = this._parseOr();
+        if (this._index < this._tokens.length) {
+            this._error();
+        }
+        this._tokens = null;
+        this.CLASS_NAME = "SuperMap.AttributeFilter";
+    }
+
+    /**
+     * @function SuperMap.AttributeFilter.create
+     * @description 创建要素过滤函数。
+     * @param {(string|function)} filter - 过滤条件表达式，或参数为 GeoJSON 要素、返回 true 表示保留要素的过滤函数。
+     * @returns {function} 过滤函数，参数为 GeoJSON 要素。filter 为空时返回 null。
+     */
+    static create(filter) {
+        if (!filter) {
+            return null;
+        }
+        if (typeof filter === 'function') {
+            return filter;
+        }
+        var attributeFilter = filter instanceof AttributeFilter ? filter : new AttributeFilter(filter);
+        return function (feature) {
+            return attributeFilter.test(feature);
+        };
+    }
+
+    /**
+     * @function SuperMap.AttributeFilter.prototype.test
+     * @description 判断要素是否满足过滤条件。
+     * @param {GeoJSONObject|Object} feature - GeoJSON 要素，或要素的属性对象。
+     * @returns {boolean} 是否满足过滤条件。
+     */
+    test(feature) {
+        var properties = feature && feature.type === 'Feature' ? feature.properties : feature;
+        return !!this._predicate(properties || {});
+    }
+
+    _peek(type, value) {
+        var token = this._tokens[this._index];
+        return !!token && token.type === type && (value === undefined || token.value === value);
+    }
+
+    _accept(type, value) {
+        if (this._peek(type, value)) {
+            return this._tokens[this._index++];
+        }
+        return null;
+    }
+
+    _expect(type, value) {
+        return this._accept(type, value) || this._error();
+    }
+
+    _error() {
+        var token = this._tokens[this._index];
+        throw new Error('Invalid filter expression "' + this.expression + '"' + (token ? ' near "' + token.value + '".' : '.'));
+    }
+
+    _parseOr() {
+        var left = this._parseAnd();
+        while (this._accept('keyword', 'OR')) {
+            left = or(left, this._parseAnd());
+        }
+        return left;
+    }
+
+    _parseAnd() {
+        var left = this._parseNot();
+        while (this._accept('keyword', 'AND')) {
+            left = and(left, this._parseNot());
+        }
+        return left;
+    }
+
+    _parseNot() {
+        if (this._accept('keyword', 'NOT')) {
+            var operand = this._parseNot();
+            return function (properties) {
+                return !operand(properties);
+            };
+        }
+        return this._parsePredicate();
+    }
+
+    _parsePredicate() {
+        if (this._accept('punctuation', '(')) {
+            var expression = this._parseOr();
+            this._expect('punctuation', ')');
+            return expression;
+        }
+        var left = this._parseOperand();
+        var operator = this._accept('operator');
+        if (operator) {
+            return compare(left, operator.value, this._parseOperand());
+        }
+        if (this._accept('keyword', 'IS')) {
+            var isNot = !!this._accept('keyword', 'NOT');
+            this._expect('keyword', 'NULL');
+            return not(function (properties) {
+                return left(properties) == null;
+            }, isNot);
+        }
+        var negated = !!this._accept('keyword', 'NOT');
+        if (this._accept('keyword', 'LIKE')) {
+            var pattern = this._expect('string').value;
+            return not(like(left, pattern), negated);
+        }
+        if (this._accept('keyword', 'IN')) {
+            this._expect('punctuation', '(');
+            var values = [this._parseOperand()];
+            while (this._accept('punctuation', ',')) {
+                values.push(this._parseOperand());
+            }
+            this._expect('punctuation', ')');
+            return not(function (properties) {
+                var value = left(properties);
+                for (var i = 0; i < values.length; i++) {
+                    if (value == values[i](properties)) {
+                        return true;
+                    }
+                }
+                return false;
+            }, negated);
+        }
+        if (this._accept('keyword', 'BETWEEN')) {
+            var min = this._parseOperand();
+            this._expect('keyword', 'AND');
+            var max = this._parseOperand();
+            return not(and(compare(left, '>=', min), compare(left, '<=', max)), negated);
+        }
+        if (negated) {
+            this._error();
+        }
+        //单独的字段或常量按真值判断
+        return left;
+    }
+
+    _parseOperand() {
+        var token = this._tokens[this._index++];
+        if (!token) {
+            this._index--;
+            this._error();
+        }
+        if (token.type === 'field') {
+            return function (properties) {
+                return properties[token.value];
+            };
+        }
+        var value;
+        if (token.type === 'string' || token.type === 'number') {
+            value = token.value;
+        } else if (token.type === 'keyword' && (token.value === 'TRUE' || token.value === 'FALSE' || token.value === 'NULL')) {
+            value = token.value === 'NULL' ? null : token.value === 'TRUE';
+        } else if (token.type === 'punctuation' && token.value === '-') {
+            var operand = this._parseOperand();
+            return function (properties) {
+                return -operand(properties);
+            };
+        } else {
+            this._index--;
+            this._error();
+        }
+        return function () {
+            return value;
+        };
+    }
+}
+
+function tokenize(expression) {
+    var tokens = [],
+        i = 0,
+        match;
+    expression = expression || '';
+    while (i < expression.length) {
+        var rest = expression.substring(i);
+        if ((match = /^\s+/.exec(rest))) {
+            i += match[0].length;
+            continue;
+        }
+        if ((match = /^(>=|<=|<>|!=|==|=|>|<)/.exec(rest))) {
+            tokens.push({type: 'operator', value: match[1] === '<>' ? '!=' : match[1] === '==' ? '=' : match[1]});
+        } else if ((match = /^(&&|\|\||!)/.exec(rest))) {
+            tokens.push({type: 'keyword', value: match[1] === '&&' ? 'AND' : match[1] === '||' ? 'OR' : 'NOT'});
+        } else if ((match = /^[(),-]/.exec(rest))) {
+            tokens.push({type: 'punctuation', value: match[0]});
+        } else if ((match = /^\d+(\.\d+)?([eE][+-]?\d+)?/.exec(rest))) {
+            tokens.push({type: 'number', value: parseFloat(match[0])});
+        } else if ((match = /^'((?:[^']|'')*)'/.exec(rest))) {
+            tokens.push({type: 'string', value: match[1].replace(/''/g, "'")});
+        } else if ((match = /^"((?:[^"\\]|\\.)*)"/.exec(rest))) {
+            tokens.push({type: 'string', value: match[1].replace(/\\(.)/g, '$1')});
+        } else if ((match = /^\[([^\]]+)\]/.exec(rest))) {
+            tokens.push({type: 'field', value: match[1]});
+        } else if ((match = /^[A-Za-z_\u4e00-\u9fa5][\w\u4e00-\u9fa5.]*/.exec(rest))) {
+            var upper = match[0].toUpperCase();
+            tokens.push(KEYWORDS.indexOf(upper) > -1 ? {type: 'keyword', value: upper} : {type: 'field', value: match[0]});
+        } else {
+            throw new Error('Invalid filter expression "' + expression + '" near "' + rest.charAt(0) + '".');
+        }
+        i += match[0].length;
+    }
+    return tokens;
+}
+
+function compare(left, operator, right) {
+    return function (properties) {
+        var a = left(properties),
+            b = right(properties);
+        switch (operator) {
+            case '=':
+                return a == b;
+            case '!=':
+                return a != b;
+            case '>':
+                return a > b;
+            case '>=':
+                return a >= b;
+            case '<':
+                return a < b;
+            default:
+                return a <= b;
+        }
+    };
+}
+
+function like(left, pattern) {
+    var regExp = new RegExp('^' + pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.') + '$', 'i');
+    return function (properties) {
+        var value = left(properties);
+        return value != null && regExp.test(String(value));
+    };
+}
+
+function and(left, right) {
+    return function (properties) {
+        return !!left(properties) && !!right(properties);
+    };
+}
+
+function or(left, right) {
+    return function (properties) {
+        return !!left(properties) || !!right(properties);
+    };
+}
+
+function not(predicate, negated) {
+    if (!negated) {
+        return predicate;
+    }
+    return function (properties) {
+        return !predicate(properties);
+    };
+}
+
+SuperMap.AttributeFilter = AttributeFilter;
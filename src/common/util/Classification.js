@@ -0,0 +1,381 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+
+//此模块不依赖 window 和其他模块，可以直接在 Node 中使用。SuperMap.Classification 在 ArrayStatistic 中注册
+
+var methods = {};
+
+/**
+ * @class SuperMap.Classification
+ * @category BaseTypes Util
+ * @classdesc 数值分级（分段）统计，用于分段专题图等。分段结果为分段点数组 [最小值, 分段点..., 最大值]，
+ *            第一段为 [breaks[0], breaks[1]]，之后的第 i 段为 (breaks[i], breaks[i + 1]]，即分段点属于前一段。<br>
+ *            内置的分段方法：<br>
+ *            "equalInterval"：等距分段；<br>
+ *            "quantile"：分位数分段，每段的数据个数大致相等；<br>
+ *            "jenks"：自然断点分段（Fisher-Jenks），分段点为每段的最大值，分段个数不超过不同数值的个数，数据量较大时计算较慢；<br>
+ *            "standardDeviation"：标准差分段，以平均值为中心，按 options.interval 倍标准差分段；<br>
+ *            "geometricInterval"：几何间隔（等比）分段，数据都必须大于 0；<br>
+ *            "sqrtInterval"：平方根分段，数据都必须大于等于 0；<br>
+ *            "headTailBreaks"：头尾分段，适用于长尾分布的数据，分段个数由数据决定，segNum 为最大分段个数；<br>
+ *            "manual"：手动分段，使用 options.breaks 指定的分段点。<br>
+ *            可以通过 {@link SuperMap.Classification.registerMethod} 注册自定义的分段方法。<br>
+ *            null、undefined、空字符串、非数值以及 options.nullValues 中的值作为空值，不参与统计。
+ * @example
+ * var result = SuperMap.Classification.classify([1, 2, 4, 8, null, 16], 'jenks', 3);
+ * //result.breaks：分段点，result.histogram：每段的数据个数，result.nullCount：空值个数
+ */
+export class Classification {
+
+    /**
+     * @function SuperMap.Classification.getValues
+     * @description 获取数组中的有效数值，去掉空值。数值字符串会转为数值。
+     * @param {Array} array - 数组。
+     * @param {Object} [options] - 参数。
+     * @param {Array.<number>} [options.nullValues] - 作为空值处理的数值，例如 -9999。
+     * @returns {Array.<number>} 有效数值数组。
+     */
+    static getValues(array, options) {
+        var nullValues = (options && options.nullValues) || [];
+        var values = [];
+        for (var i = 0; i < (array || []).length; i++) {
+            var value = toNumber(array[i]);
+            if (value !== null && nullValues.indexOf(value) < 0) {
+                values.push(value);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * @function SuperMap.Classification.getStatistics
+     * @description 统计数组的个数、空值个数、总和、最大值、最小值、平均值、中位数和标准差。
+     * @param {Array} array - 数组。
+     * @param {Object} [options] - 参数，参见 {@link SuperMap.Classification.getValues}。
+     * @returns {Object} 统计结果，包括 count、nullCount、sum、max、min、mean、median、stdDev。没有有效数值时，除个数外均为 null。
+     */
+    static getStatistics(array, options) {
+        var values = sortValues(Classification.getValues(array, options));
+        var count = values.length;
+        var result = {
+            count: count,
+            nullCount: (array || []).length - count,
+            sum: null,
+            max: null,
+            min: null,
+            mean: null,
+            median: null,
+            stdDev: null
+        };
+        if (!count) {
+            return result;
+        }
+        result.sum = sum(values);
+        result.min = values[0];
+        result.max = values[count - 1];
+        result.mean = result.sum / count;
+        result.median = count % 2 ? values[(count - 1) / 2] : (values[count / 2 - 1] + values[count / 2]) / 2;
+        result.stdDev = stdDev(values, result.mean);
+        return result;
+    }
+
+    /**
+     * @function SuperMap.Classification.getBreaks
+     * @description 计算分段点。
+     * @param {Array} array - 需要分段的数组。
+     * @param {string} method - 分段方法。
+     * @param {number} segNum - 分段个数。
+     * @param {Object} [options] - 参数。
+     * @param {Array.<number>} [options.nullValues] - 作为空值处理的数值。
+     * @param {number} [options.interval=1] - 标准差分段时每段的标准差倍数。
+     * @param {number} [options.headRatio=0.4] - 头尾分段时，头部数据所占比例小于此值才继续分段。
+     * @param {Array.<number>} [options.breaks] - 手动分段的分段点。
+     * @returns {Array.<number>} 分段点数组，长度一般为分段个数加 1。没有有效数值或者数据不满足分段方法的要求时返回 null。
+     */
+    static getBreaks(array, method, segNum, options) {
+        options = options || {};
+        var classify = methods[method];
+        if (!classify) {
+            throw new Error('Unknown classification method: ' + method);
+        }
+        var values = sortValues(Classification.getValues(array, options));
+        if (!values.length) {
+            return null;
+        }
+        return classify(values, Math.max(1, Math.floor(segNum) || 1), options);
+    }
+
+    /**
+     * @function SuperMap.Classification.getHistogram
+     * @description 按分段点统计每段的数据个数。
+     * @param {Array} array - 数组。
+     * @param {Array.<number>} breaks - 分段点。
+     * @param {Object} [options] - 参数，参见 {@link SuperMap.Classification.getValues}。
+     * @returns {Array.<Object>} 每段的统计结果，包括 start、end 和 count。不在分段范围内的数值不统计。
+     */
+    static getHistogram(array, breaks, options) {
+        var histogram = [];
+        for (var i = 0; i < breaks.length - 1; i++) {
+            histogram.push({
+                start: breaks[i],
+                end: breaks[i + 1],
+                count: 0
+            });
+        }
+        var values = Classification.getValues(array, options);
+        for (var j = 0; j < values.length; j++) {
+            var index = Classification.getClassIndex(values[j], breaks);
+            if (index > -1) {
+                histogram[index].count++;
+            }
+        }
+        return histogram;
+    }
+
+    /**
+     * @function SuperMap.Classification.getClassIndex
+     * @description 获取数值所在的分段序号。
+     * @param {number} value - 数值。
+     * @param {Array.<number>} breaks - 分段点。
+     * @returns {number} 分段序号，不在分段范围内或者为空值时返回 -1。
+     */
+    static getClassIndex(value, breaks) {
+        value = toNumber(value);
+        var last = breaks.length - 1;
+        if (value === null || last < 1 || value < breaks[0] || value > breaks[last]) {
+            return -1;
+        }
+        for (var i = 1; i < last; i++) {
+            if (value <= breaks[i]) {
+                return i - 1;
+            }
+        }
+        return last - 1;
+    }
+
+    /**
+     * @function SuperMap.Classification.classify
+     * @description 计算分段点，并统计每段的数据个数和空值个数。
+     * @param {Array} array - 需要分段的数组。
+     * @param {string} method - 分段方法。
+     * @param {number} segNum - 分段个数。
+     * @param {Object} [options] - 参数，参见 {@link SuperMap.Classification.getBreaks}。
+     * @returns {Object} 分段结果，breaks 为分段点，histogram 为每段的统计结果，nullCount 为空值个数。
+     */
+    static classify(array, method, segNum, options) {
+        var breaks = Classification.getBreaks(array, method, segNum, options);
+        return {
+            breaks: breaks,
+            histogram: breaks ? Classification.getHistogram(array, breaks, options) : [],
+            nullCount: (array || []).length - Classification.getValues(array, options).length
+        };
+    }
+
+    /**
+     * @function SuperMap.Classification.registerMethod
+     * @description 注册分段方法，已有的同名方法会被替换。
+     * @param {string} name - 分段方法名称。
+     * @param {function} classify - 分段函数，参数为升序排列的有效数值数组（至少一个）、分段个数和 options，返回分段点数组。
+     */
+    static registerMethod(name, classify) {
+        methods[name] = classify;
+    }
+
+    /**
+     * @function SuperMap.Classification.getMethods
+     * @description 获取已注册的分段方法名称。
+     * @returns {Array.<string>} 分段方法名称数组。
+     */
+    static getMethods() {
+        return Object.keys(methods);
+    }
+
+}
+
+Classification.registerMethod('equalInterval', equalInterval);
+
+Classification.registerMethod('quantile', function (values, segNum) {
+    var n = values.length;
+    var breaks = [values[0]];
+    for (var i = 1; i < segNum; i++) {
+        //线性插值的分位数
+        var position = i / segNum * (n - 1);
+        var index = Math.floor(position);
+        var next = Math.min(index + 1, n - 1);
+        breaks.push(values[index] + (values[next] - values[index]) * (position - index));
+    }
+    breaks.push(values[n - 1]);
+    return breaks;
+});
+
+Classification.registerMethod('jenks', function (values, segNum) {
+    var n = values.length;
+    //不同数值的个数少于分段个数时减少分段个数，避免出现空的分段
+    var distinctCount = 1;
+    for (var d = 1; d < n; d++) {
+        if (values[d] !== values[d - 1]) {
+            distinctCount++;
+        }
+    }
+    segNum = Math.min(segNum, distinctCount);
+    //lowerClassLimits[l][j] 为前 l 个数值分为 j 段时，最后一段第一个数值的序号（从 1 开始）
+    var lowerClassLimits = [],
+        varianceCombinations = [];
+    var i, j, l;
+    for (i = 0; i <= n; i++) {
+        lowerClassLimits.push([]);
+        varianceCombinations.push([]);
+        for (j = 0; j <= segNum; j++) {
+            lowerClassLimits[i].push(0);
+            varianceCombinations[i].push(i > 1 ? Infinity : 0);
+        }
+    }
+    for (j = 1; j <= segNum; j++) {
+        lowerClassLimits[1][j] = 1;
+    }
+    for (l = 2; l <= n; l++) {
+        var s1 = 0,
+            s2 = 0,
+            variance = 0;
+        for (var m = 1; m <= l; m++) {
+            var lowerIndex = l - m + 1;
+            var value = values[lowerIndex - 1];
+            s1 += value;
+            s2 += value * value;
+            variance = s2 - s1 * s1 / m;
+            if (lowerIndex > 1) {
+                for (j = 2; j <= segNum; j++) {
+                    var combination = variance + varianceCombinations[lowerIndex - 1][j - 1];
+                    if (varianceCombinations[l][j] >= combination) {
+                        lowerClassLimits[l][j] = lowerIndex;
+                        varianceCombinations[l][j] = combination;
+                    }
+                }
+            }
+        }
+        lowerClassLimits[l][1] = 1;
+        varianceCombinations[l][1] = variance;
+    }
+    var breaks = new Array(segNum + 1);
+    breaks[0] = values[0];
+    breaks[segNum] = values[n - 1];
+    var k = n;
+    //与 geostats 相同，分段点为每段的最后一个数值
+    for (j = segNum; j > 1; j--) {
+        breaks[j - 1] = values[lowerClassLimits[k][j] - 2];
+        k = lowerClassLimits[k][j] - 1;
+    }
+    return breaks;
+});
+
+Classification.registerMethod('standardDeviation', function (values, segNum, options) {
+    var min = values[0],
+        max = values[values.length - 1];
+    var mean = sum(values) / values.length;
+    var interval = stdDev(values, mean) * (options.interval || 1);
+    var breaks = [min];
+    for (var i = 1; i < segNum; i++) {
+        //分段个数为偶数时平均值为分段点，为奇数时平均值位于中间一段的中心
+        breaks.push(Math.min(Math.max(mean + (i - segNum / 2) * interval, min), max));
+    }
+    breaks.push(max);
+    return breaks;
+});
+
+Classification.registerMethod('geometricInterval', function (values, segNum) {
+    var min = values[0],
+        max = values[values.length - 1];
+    if (min <= 0) {
+        return null;
+    }
+    var ratio = Math.pow(max / min, 1 / segNum);
+    var breaks = [min];
+    for (var i = 1; i < segNum; i++) {
+        breaks.push(breaks[i - 1] * ratio);
+    }
+    breaks.push(max);
+    return breaks;
+});
+
+Classification.registerMethod('sqrtInterval', function (values, segNum, options) {
+    if (values[0] < 0) {
+        return null;
+    }
+    return equalInterval(values.map(function (value) {
+        return Math.sqrt(value);
+    }), segNum, options).map(function (value) {
+        return value * value;
+    });
+});
+
+Classification.registerMethod('headTailBreaks', function (values, segNum, options) {
+    var headRatio = options.headRatio || 0.4;
+    var breaks = [values[0]];
+    var head = values;
+    while (breaks.length < segNum && head.length > 1) {
+        var mean = sum(head) / head.length;
+        var nextHead = head.filter(function (value) {
+            return value > mean;
+        });
+        if (!nextHead.length || nextHead.length === head.length) {
+            break;
+        }
+        breaks.push(mean);
+        if (nextHead.length / head.length >= headRatio) {
+            break;
+        }
+        head = nextHead;
+    }
+    breaks.push(values[values.length - 1]);
+    return breaks;
+});
+
+Classification.registerMethod('manual', function (values, segNum, options) {
+    if (!options.breaks || !options.breaks.length) {
+        return null;
+    }
+    return sortValues(Classification.getValues(options.breaks));
+});
+
+function equalInterval(values, segNum) {
+    var min = values[0],
+        max = values[values.length - 1];
+    var interval = (max - min) / segNum;
+    var breaks = [min];
+    for (var i = 1; i < segNum; i++) {
+        breaks.push(min + interval * i);
+    }
+    breaks.push(max);
+    return breaks;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || (typeof value === 'string' && !value.trim()) || typeof value === 'boolean') {
+        return null;
+    }
+    var number = typeof value === 'number' ? value : Number(value);
+    return isFinite(number) ? number : null;
+}
+
+function sortValues(values) {
+    return values.slice().sort(function (a, b) {
+        return a - b;
+    });
+}
+
+function sum(values) {
+    var result = 0;
+    for (var i = 0; i < values.length; i++) {
+        result += values[i];
+    }
+    return result;
+}
+
+function stdDev(values, mean) {
+    var squares = 0;
+    for (var i = 0; i < values.length; i++) {
+        squares += (values[i] - mean) * (values[i] - mean);
+    }
+    return Math.sqrt(squares / values.length);
+}
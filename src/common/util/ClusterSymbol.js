@@ -0,0 +1,274 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {
+    SuperMap
+} from '../SuperMap';
+import {
+    Util
+} from '../commontypes/Util';
+
+//缓存的符号个数超过此值时清空缓存
+const MAX_CACHE_COUNT = 500;
+//webgl 渲染时图标集画布的宽度（像素）
+const ATLAS_WIDTH = 1024;
+
+/**
+ * @class SuperMap.ClusterSymbol
+ * @category BaseTypes Util
+ * @classdesc 聚类符号，绘制带有成员个数标签的圆形符号，符号半径按聚类的统计值在最小半径和最大半径之间变化。
+ *            聚类对象的格式参考 {@link SuperMap.PointCluster}。
+ * @param {Object} [options] - 参数。
+ * @param {number} [options.minRadius=12] - 符号的最小半径，单位为像素。
+ * @param {number} [options.maxRadius=30] - 符号的最大半径，单位为像素。
+ * @param {string} [options.fillColor='rgba(255,128,0,0.8)'] - 填充颜色。
+ * @param {string} [options.strokeColor='rgba(255,255,255,0.8)'] - 边线颜色。
+ * @param {number} [options.strokeWidth=2] - 边线宽度，单位为像素。
+ * @param {string} [options.labelColor='#fff'] - 标签颜色。
+ * @param {number} [options.fontSize=12] - 标签字号，单位为像素。
+ * @param {string} [options.fontFamily='sans-serif'] - 标签字体。
+ * @param {string} [options.fontWeight='bold'] - 标签字体粗细。
+ * @param {function} [options.style] - 样式函数，参数为聚类对象，返回的样式会覆盖默认样式，可设置 radius、label 以及上述样式属性。
+ * @example
+ * var clusterSymbol = new SuperMap.ClusterSymbol({
+ *     style: function (cluster) {
+ *         return {fillColor: cluster.count > 100 ? 'rgba(255,0,0,0.8)' : 'rgba(0,153,255,0.8)'};
+ *     }
+ * });
+ * var canvas = clusterSymbol.getCanvas(cluster, pointCluster.totalValue);
+ */
+export class ClusterSymbol {
+
+    constructor(options) {
+        options = options || {};
+        this.minRadius = 12;
+        this.maxRadius = 30;
+        this.fillColor = 'rgba(255,128,0,0.8)';
+        this.strokeColor = 'rgba(255,255,255,0.8)';
+        this.strokeWidth = 2;
+        this.labelColor = '#fff';
+        this.fontSize = 12;
+        this.fontFamily = 'sans-serif';
+        this.fontWeight = 'bold';
+        this.style = null;
+        Util.extend(this, options);
+        this._canvasCache = {};
+        this._cacheCount = 0;
+        this._maxSize = 0;
+        this._atlas = null;
+        this.CLASS_NAME = "SuperMap.ClusterSymbol";
+    }
+
+    /**
+     * @function SuperMap.ClusterSymbol.prototype.getStyle
+     * @description 获取聚类对象的样式。
+     * @param {Object} cluster - 聚类对象。
+     * @param {number} [maxValue] - 统计值的最大值，通常为 {@link SuperMap.PointCluster} 的 totalValue。不设置时使用最小半径。
+     * @returns {Object} 样式对象，包含 radius、label、fillColor、strokeColor、strokeWidth、labelColor、fontSize、fontFamily、fontWeight。
+     */
+    getStyle(cluster, maxValue) {
+        var style = {
+            radius: this.getRadius(cluster.value, maxValue),
+            label: cluster.label,
+            fillColor: this.fillColor,
+            strokeColor: this.strokeColor,
+            strokeWidth: this.strokeWidth,
+            labelColor: this.labelColor,
+            fontSize: this.fontSize,
+            fontFamily: this.fontFamily,
+            fontWeight: this.fontWeight
+        };
+        if (typeof this.style === 'function') {
+            Util.extend(style, this.style(cluster));
+        }
+        this._maxSize = Math.max(this._maxSize, style.radius + (style.strokeWidth || 0) / 2);
+        return style;
+    }
+
+    /**
+     * @function SuperMap.ClusterSymbol.prototype.getFeatureStyle
+     * @description 获取聚类对象的矢量要素样式，格式与 {@link SuperMap.Feature.Vector} 的 style 相同，可用于专题图层绘制聚类。
+     * @param {Object} cluster - 聚类对象。
+     * @param {number} [maxValue] - 统计值的最大值。
+     * @returns {Object} 矢量要素样式。
+     */
+    getFeatureStyle(cluster, maxValue) {
+        var style = this.getStyle(cluster, maxValue);
+        return {
+            fill: !!style.fillColor,
+            fillColor: style.fillColor,
+            stroke: !!(style.strokeColor && style.strokeWidth),
+            strokeColor: style.strokeColor,
+            strokeWidth: style.strokeWidth,
+            pointRadius: style.radius,
+            label: style.label === undefined || style.label === null ? '' : String(style.label),
+            fontColor: style.labelColor,
+            fontSize: style.fontSize,
+            fontFamily: style.fontFamily,
+            fontWeight: style.fontWeight,
+            labelPosition: 'inside'
+        };
+    }
+
+    /**
+     * @function SuperMap.ClusterSymbol.prototype.getRadius
+     * @description 按统计值计算符号半径，半径随统计值按对数比例增大。
+     * @param {number} value - 聚类对象的统计值。
+     * @param {number} [maxValue] - 统计值的最大值。
+     * @returns {number} 符号半径。
+     */
+    getRadius(value, maxValue) {
+        if (!(value > 1) || !(maxValue > 1)) {
+            return this.minRadius;
+        }
+        var ratio = Math.min(1, Math.log(value) / Math.log(maxValue));
+        return Math.round(this.minRadius + (this.maxRadius - this.minRadius) * ratio);
+    }
+
+    /**
+     * @function SuperMap.ClusterSymbol.prototype.getMaxSize
+     * @description 获取已绘制的符号中心到边缘的最大像素距离，可用作拾取容差。
+     * @returns {number} 最大像素距离。
+     */
+    getMaxSize() {
+        return Math.max(this._maxSize, this.maxRadius + this.strokeWidth / 2);
+    }
+
+    /**
+     * @function SuperMap.ClusterSymbol.prototype.getCanvas
+     * @description 获取绘制了聚类符号的画布，样式相同的聚类对象共用同一个画布。
+     * @param {Object} cluster - 聚类对象。
+     * @param {number} [maxValue] - 统计值的最大值。
+     * @returns {HTMLCanvasElement} 画布，符号位于画布中心。
+     */
+    getCanvas(cluster, maxValue) {
+        var style = this.getStyle(cluster, maxValue);
+        var key = this._getStyleKey(style);
+        if (!this._canvasCache[key]) {
+            if (this._cacheCount >= MAX_CACHE_COUNT) {
+                this._canvasCache = {};
+                this._cacheCount = 0;
+            }
+            this._canvasCache[key] = this._createCanvas(style);
+            this._cacheCount++;
+        }
+        return this._canvasCache[key];
+    }
+
+    /**
+     * @function SuperMap.ClusterSymbol.prototype.getIconAtlas
+     * @description 将聚类符号绘制到图标集，用于 webgl 渲染（例如 deck.gl 的 IconLayer）。已绘制过的符号在图标集中的位置不变。
+     * @param {Array.<Object>} clusters - 聚类对象数组。
+     * @param {number} [maxValue] - 统计值的最大值。
+     * @returns {Object} 图标集，格式为 {iconAtlas: 图片地址, iconMapping: 图标位置, icons: 与 clusters 顺序一致的图标名数组}。
+     */
+    getIconAtlas(clusters, maxValue) {
+        var atlas = this._atlas;
+        var styles = clusters.map((cluster) => this.getStyle(cluster, maxValue));
+        var keys = styles.map((style) => this._getStyleKey(style));
+        var newKeys = keys.filter((key) => !atlas || !atlas.iconMapping[key]);
+        if (!atlas || newKeys.length) {
+            if (!atlas || atlas.count + newKeys.length > MAX_CACHE_COUNT) {
+                atlas = this._atlas = {
+                    count: 0,
+                    iconMapping: {},
+                    entries: []
+                };
+            }
+            styles.forEach((style, i) => {
+                if (!atlas.iconMapping[keys[i]]) {
+                    atlas.iconMapping[keys[i]] = true;
+                    atlas.entries.push({key: keys[i], canvas: this._createCanvas(style)});
+                    atlas.count++;
+                }
+            });
+            this._drawAtlas(atlas);
+        }
+        return {
+            iconAtlas: atlas.iconAtlas,
+            iconMapping: atlas.iconMapping,
+            icons: keys
+        };
+    }
+
+    /**
+     * @function SuperMap.ClusterSymbol.prototype.destroy
+     * @description 释放资源，将引用资源的属性置空。
+     */
+    destroy() {
+        this._canvasCache = {};
+        this._cacheCount = 0;
+        this._atlas = null;
+        this.style = null;
+    }
+
+    _getStyleKey(style) {
+        return [style.radius, style.label, style.fillColor, style.strokeColor, style.strokeWidth, style.labelColor,
+            style.fontSize, style.fontFamily, style.fontWeight].join('|');
+    }
+
+    _createCanvas(style) {
+        var size = Math.ceil(2 * style.radius + (style.strokeWidth || 0));
+        var canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        var ctx = canvas.getContext('2d');
+        ctx.beginPath();
+        ctx.arc(size / 2, size / 2, style.radius, 0, Math.PI * 2);
+        if (style.fillColor) {
+            ctx.fillStyle = style.fillColor;
+            ctx.fill();
+        }
+        if (style.strokeColor && style.strokeWidth) {
+            ctx.lineWidth = style.strokeWidth;
+            ctx.strokeStyle = style.strokeColor;
+            ctx.stroke();
+        }
+        if (style.label !== undefined && style.label !== null && style.label !== '') {
+            ctx.font = style.fontWeight + ' ' + style.fontSize + 'px ' + style.fontFamily;
+            ctx.fillStyle = style.labelColor;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(String(style.label), size / 2, size / 2);
+        }
+        return canvas;
+    }
+
+    //按行排列图标，重新绘制图标集
+    _drawAtlas(atlas) {
+        var x = 0,
+            y = 0,
+            rowHeight = 0;
+        var iconMapping = {};
+        atlas.entries.forEach(function (entry) {
+            var canvas = entry.canvas;
+            if (x + canvas.width > ATLAS_WIDTH) {
+                x = 0;
+                y += rowHeight;
+                rowHeight = 0;
+            }
+            iconMapping[entry.key] = {
+                x: x,
+                y: y,
+                width: canvas.width,
+                height: canvas.height,
+                mask: false
+            };
+            entry.x = x;
+            entry.y = y;
+            x += canvas.width;
+            rowHeight = Math.max(rowHeight, canvas.height);
+        });
+        atlas.iconMapping = iconMapping;
+        var atlasCanvas = document.createElement('canvas');
+        atlasCanvas.width = ATLAS_WIDTH;
+        atlasCanvas.height = Math.max(1, y + rowHeight);
+        var ctx = atlasCanvas.getContext('2d');
+        atlas.entries.forEach(function (entry) {
+            ctx.drawImage(entry.canvas, entry.x, entry.y);
+        });
+        atlas.iconAtlas = atlasCanvas.toDataURL();
+    }
+}
+
+SuperMap.ClusterSymbol = ClusterSymbol;
@@ -0,0 +1,519 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {
+    SuperMap
+} from '../SuperMap';
+import {
+    Color
+} from '../overlay/levelRenderer/Color';
+
+var ColorRender = new Color();
+
+var ramps = {};
+
+//色盲模拟矩阵（Machado 2009，严重程度 1.0），作用于线性 RGB
+var SIMULATION_MATRICES = {
+    protanopia: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998]
+    ],
+    deuteranopia: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881]
+    ],
+    tritanopia: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900]
+    ]
+};
+
+/**
+ * @class SuperMap.ColorRamp
+ * @category BaseTypes Util
+ * @classdesc 色带工具类。内置 ColorBrewer 的连续（sequential）、发散（diverging）和分类（qualitative）色带，
+ *            viridis、magma、inferno、plasma、cividis 等感知均匀的色带以及色盲友好的 Okabe-Ito 分类色带。
+ *            连续和发散色带在 CIE Lab 或者 HCL 颜色空间中插值，分类色带按顺序取色，颜色不足时循环使用。<br>
+ *            色带可以是色带名称、颜色数组，或者 {name, colors, reverse, mode} 对象。颜色数组中的颜色可以是 CSS 颜色字符串，
+ *            也可以是 [r, g, b, a] 数组，其中 a 的取值范围为 0 - 255。<br>
+ *            可用于分段专题图、单值专题图、热力图的渐变颜色（colors 参数可以直接使用色带名称）、
+ *            DeckglLayer 的 colorRange 以及 WebMap 专题图设置中的 colors。
+ * @example
+ * SuperMap.ColorRamp.getColors('YlOrRd', 5);
+ * SuperMap.ColorRamp.getColors({name: 'viridis', reverse: true}, 6, {format: 'array'});
+ * SuperMap.ColorRamp.getColors(['#ffffff', '#ff0000'], 3, {mode: 'hcl'});
+ * SuperMap.ColorRamp.getRamps({type: 'diverging', colorBlindSafe: true, count: 5});
+ */
+export class ColorRamp {
+
+    /**
+     * @function SuperMap.ColorRamp.registerRamp
+     * @description 注册色带，已有的同名色带会被替换。
+     * @param {string} name - 色带名称。
+     * @param {Array.<string>} colors - 色带的颜色。
+     * @param {string} [type='sequential'] - 色带类型，"sequential"、"diverging" 或者 "qualitative"。
+     */
+    static registerRamp(name, colors, type) {
+        ramps[name] = {
+            name: name,
+            type: type || 'sequential',
+            colors: colors
+        };
+    }
+
+    /**
+     * @function SuperMap.ColorRamp.getRamp
+     * @description 获取色带。
+     * @param {string} name - 色带名称。
+     * @returns {Object} 色带，包括 name、type 和 colors。不存在时返回 null。
+     */
+    static getRamp(name) {
+        var ramp = ramps[name];
+        return ramp ? {
+            name: ramp.name,
+            type: ramp.type,
+            colors: ramp.colors.slice()
+        } : null;
+    }
+
+    /**
+     * @function SuperMap.ColorRamp.getRamps
+     * @description 获取色带名称。
+     * @param {Object} [options] - 参数。
+     * @param {string} [options.type] - 色带类型，不设置时返回所有类型的色带。
+     * @param {boolean} [options.colorBlindSafe=false] - 是否只返回色盲友好的色带，参见 {@link SuperMap.ColorRamp.checkColorBlind}。
+     * @param {number} [options.count=5] - 检查是否色盲友好时使用的颜色个数。
+     * @returns {Array.<string>} 色带名称数组。
+     */
+    static getRamps(options) {
+        options = options || {};
+        var names = [];
+        for (var name in ramps) {
+            if (options.type && ramps[name].type !== options.type) {
+                continue;
+            }
+            if (options.colorBlindSafe && !ColorRamp.checkColorBlind(name, options.count || 5).safe) {
+                continue;
+            }
+            names.push(name);
+        }
+        return names;
+    }
+
+    /**
+     * @function SuperMap.ColorRamp.getColors
+     * @description 从色带中获取指定个数的颜色。
+     * @param {(string|Array|Object)} ramp - 色带名称、颜色数组或者色带对象。
+     * @param {number} [count] - 颜色个数，不设置时返回色带的颜色。
+     * @param {Object} [options] - 参数。
+     * @param {boolean} [options.reverse=false] - 是否反转色带。
+     * @param {string} [options.mode='lab'] - 插值的颜色空间，"lab"、"hcl" 或者 "rgb"。
+     * @param {string} [options.format='hex'] - 颜色格式，"hex"（#rrggbb，半透明时为 rgba 字符串）、"rgba"（rgba 字符串）或者 "array"（[r, g, b, a]，a 的取值范围为 0 - 255）。
+     *                                          不设置 count 和 format 时，按原样返回色带的颜色。
+     * @returns {Array} 颜色数组。
+     */
+    static getColors(ramp, count, options) {
+        var resolved = resolveRamp(ramp);
+        options = extend(resolved.options, options);
+        var colors = resolved.colors.slice();
+        if (options.reverse) {
+            colors.reverse();
+        }
+        if (count === undefined || count === null) {
+            return options.format ? colors.map(function (color) {
+                return formatColor(parseColor(color), options.format);
+            }) : colors;
+        }
+        var result = [];
+        for (var i = 0; i < count; i++) {
+            var rgba;
+            if (resolved.type === 'qualitative') {
+                rgba = parseColor(colors[i % colors.length]);
+            } else {
+                rgba = interpolateColors(colors, count > 1 ? i / (count - 1) : 0.5, options.mode);
+            }
+            result.push(formatColor(rgba, options.format));
+        }
+        return result;
+    }
+
+    /**
+     * @function SuperMap.ColorRamp.interpolate
+     * @description 获取色带中指定位置的颜色。
+     * @param {(string|Array|Object)} ramp - 色带名称、颜色数组或者色带对象。
+     * @param {number} t - 位置，取值范围为 0 - 1。
+     * @param {Object} [options] - 参数，参见 {@link SuperMap.ColorRamp.getColors}。
+     * @returns {(string|Array)} 颜色。
+     */
+    static interpolate(ramp, t, options) {
+        var resolved = resolveRamp(ramp);
+        options = extend(resolved.options, options);
+        var colors = resolved.colors.slice();
+        if (options.reverse) {
+            colors.reverse();
+        }
+        t = Math.min(Math.max(t, 0), 1);
+        return formatColor(interpolateColors(colors, t, options.mode), options.format);
+    }
+
+    /**
+     * @function SuperMap.ColorRamp.simulate
+     * @description 模拟色觉障碍者看到的颜色。
+     * @param {(string|Array)} color - 颜色。
+     * @param {string} type - 色觉障碍类型，"protanopia"（红色盲）、"deuteranopia"（绿色盲）、"tritanopia"（蓝色盲）或者 "achromatopsia"（全色盲）。
+     * @param {string} [format='hex'] - 颜色格式，参见 {@link SuperMap.ColorRamp.getColors}。
+     * @returns {(string|Array)} 模拟后的颜色。
+     */
+    static simulate(color, type, format) {
+        return formatColor(simulateColor(parseColor(color), type), format);
+    }
+
+    /**
+     * @function SuperMap.ColorRamp.getColorDifference
+     * @description 计算两个颜色在 CIE Lab 颜色空间中的距离（CIE76 色差）。色差小于 2 时人眼基本不能区分。
+     * @param {(string|Array)} color1 - 颜色。
+     * @param {(string|Array)} color2 - 颜色。
+     * @returns {number} 色差。
+     */
+    static getColorDifference(color1, color2) {
+        return labDistance(rgbToLab(parseColor(color1)), rgbToLab(parseColor(color2)));
+    }
+
+    /**
+     * @function SuperMap.ColorRamp.checkColorBlind
+     * @description 模拟色觉障碍，检查色带中的颜色是否可以区分。结果为基于模拟的估计。连续色带检查相邻的颜色，发散和分类色带检查任意两个颜色。
+     * @param {(string|Array|Object)} ramp - 色带名称、颜色数组或者色带对象。
+     * @param {number} [count] - 颜色个数，不设置时使用色带的颜色。
+     * @param {Object} [options] - 参数。
+     * @param {Array.<string>} [options.types=['protanopia', 'deuteranopia', 'tritanopia']] - 检查的色觉障碍类型。
+     * @param {number} [options.threshold=10] - 最小色差，模拟后颜色的色差都不小于此值时认为可以区分。
+     * @param {boolean} [options.allPairs] - 是否检查任意两个颜色，默认连续色带为 false，其他色带为 true。
+     * @returns {Object} 检查结果，safe 为是否都可以区分，minDifference 为模拟后的最小色差，
+     *                   types 为每种色觉障碍的检查结果，包括 safe、minDifference 和不能区分的颜色序号 pairs。
+     */
+    static checkColorBlind(ramp, count, options) {
+        options = options || {};
+        var resolved = resolveRamp(ramp);
+        var types = options.types || ['protanopia', 'deuteranopia', 'tritanopia'];
+        var threshold = options.threshold === undefined ? 10 : options.threshold;
+        var allPairs = options.allPairs === undefined ? resolved.type !== 'sequential' : options.allPairs;
+        var colors = ColorRamp.getColors(ramp, count, {format: 'array'});
+        var result = {
+            safe: true,
+            minDifference: Infinity,
+            types: {}
+        };
+        types.forEach(function (type) {
+            var labs = colors.map(function (color) {
+                return rgbToLab(simulateColor(color, type));
+            });
+            var typeResult = {
+                safe: true,
+                minDifference: Infinity,
+                pairs: []
+            };
+            for (var i = 0; i < labs.length; i++) {
+                for (var j = i + 1; j < (allPairs ? labs.length : Math.min(i + 2, labs.length)); j++) {
+                    var difference = labDistance(labs[i], labs[j]);
+                    typeResult.minDifference = Math.min(typeResult.minDifference, difference);
+                    if (difference < threshold) {
+                        typeResult.safe = false;
+                        typeResult.pairs.push([i, j]);
+                    }
+                }
+            }
+            result.types[type] = typeResult;
+            result.safe = result.safe && typeResult.safe;
+            result.minDifference = Math.min(result.minDifference, typeResult.minDifference);
+        });
+        return result;
+    }
+
+    /**
+     * @function SuperMap.ColorRamp.getRangeStyleGroups
+     * @description 根据分段点和色带生成分段专题图的样式组，可用于 RangeThemeLayer 的 styleGroups。
+     * @param {Array.<number>} breaks - 分段点，例如 {@link SuperMap.Classification.getBreaks} 的结果。
+     * @param {(string|Array|Object)} ramp - 色带名称、颜色数组或者色带对象。
+     * @param {Object} [options] - 参数，同时支持 {@link SuperMap.ColorRamp.getColors} 的参数。
+     * @param {Object} [options.style] - 每段的基础样式。
+     * @param {string} [options.colorProperty='fillColor'] - 设置颜色的样式属性。
+     * @returns {Array.<Object>} 样式组，每项包括 start、end 和 style。
+     */
+    static getRangeStyleGroups(breaks, ramp, options) {
+        options = options || {};
+        var colors = ColorRamp.getColors(ramp, Math.max(breaks.length - 1, 0), options);
+        return colors.map(function (color, i) {
+            return {
+                start: breaks[i],
+                end: breaks[i + 1],
+                style: getStyle(color, options)
+            };
+        });
+    }
+
+    /**
+     * @function SuperMap.ColorRamp.getUniqueStyleGroups
+     * @description 根据单值和色带生成单值专题图的样式组，可用于 UniqueThemeLayer 的 styleGroups。
+     * @param {Array} values - 单值数组。
+     * @param {(string|Array|Object)} ramp - 色带名称、颜色数组或者色带对象，一般使用分类色带。
+     * @param {Object} [options] - 参数，参见 {@link SuperMap.ColorRamp.getRangeStyleGroups}。
+     * @returns {Array.<Object>} 样式组，每项包括 value 和 style。
+     */
+    static getUniqueStyleGroups(values, ramp, options) {
+        options = options || {};
+        var colors = ColorRamp.getColors(ramp, values.length, options);
+        return colors.map(function (color, i) {
+            return {
+                value: values[i],
+                style: getStyle(color, options)
+            };
+        });
+    }
+
+}
+
+SuperMap.ColorRamp = ColorRamp;
+
+[
+    ['Blues', ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b']],
+    ['Greens', ['#f7fcf5', '#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b']],
+    ['Greys', ['#ffffff', '#f0f0f0', '#d9d9d9', '#bdbdbd', '#969696', '#737373', '#525252', '#252525', '#000000']],
+    ['Oranges', ['#fff5eb', '#fee6ce', '#fdd0a2', '#fdae6b', '#fd8d3c', '#f16913', '#d94801', '#a63603', '#7f2704']],
+    ['Purples', ['#fcfbfd', '#efedf5', '#dadaeb', '#bcbddc', '#9e9ac8', '#807dba', '#6a51a3', '#54278f', '#3f007d']],
+    ['Reds', ['#fff5f0', '#fee0d2', '#fcbba1', '#fc9272', '#fb6a4a', '#ef3b2c', '#cb181d', '#a50f15', '#67000d']],
+    ['BuGn', ['#f7fcfd', '#e5f5f9', '#ccece6', '#99d8c9', '#66c2a4', '#41ae76', '#238b45', '#006d2c', '#00441b']],
+    ['GnBu', ['#f7fcf0', '#e0f3db', '#ccebc5', '#a8ddb5', '#7bccc4', '#4eb3d3', '#2b8cbe', '#0868ac', '#084081']],
+    ['OrRd', ['#fff7ec', '#fee8c8', '#fdd49e', '#fdbb84', '#fc8d59', '#ef6548', '#d7301f', '#b30000', '#7f0000']],
+    ['PuBu', ['#fff7fb', '#ece7f2', '#d0d1e6', '#a6bddb', '#74a9cf', '#3690c0', '#0570b0', '#045a8d', '#023858']],
+    ['PuRd', ['#f7f4f9', '#e7e1ef', '#d4b9da', '#c994c7', '#df65b0', '#e7298a', '#ce1256', '#980043', '#67001f']],
+    ['RdPu', ['#fff7f3', '#fde0dd', '#fcc5c0', '#fa9fb5', '#f768a1', '#dd3497', '#ae017e', '#7a0177', '#49006a']],
+    ['YlGn', ['#ffffe5', '#f7fcb9', '#d9f0a3', '#addd8e', '#78c679', '#41ab5d', '#238443', '#006837', '#004529']],
+    ['YlGnBu', ['#ffffd9', '#edf8b1', '#c7e9b4', '#7fcdbb', '#41b6c4', '#1d91c0', '#225ea8', '#253494', '#081d58']],
+    ['YlOrBr', ['#ffffe5', '#fff7bc', '#fee391', '#fec44f', '#fe9929', '#ec7014', '#cc4c02', '#993404', '#662506']],
+    ['YlOrRd', ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026']],
+    ['viridis', ['#440154', '#482878', '#3e4a89', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6dcd59', '#b4de2c', '#fde725']],
+    ['magma', ['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f', '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf']],
+    ['inferno', ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60', '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4']],
+    ['plasma', ['#0d0887', '#47039f', '#7301a8', '#9c179e', '#bd3786', '#d8576b', '#ed7953', '#fa9e3b', '#fdca26', '#f0f921']],
+    ['cividis', ['#00204d', '#00336f', '#39486b', '#575c6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#ffea46']]
+].forEach(function (ramp) {
+    ColorRamp.registerRamp(ramp[0], ramp[1], 'sequential');
+});
+
+[
+    ['BrBG', ['#543005', '#8c510a', '#bf812d', '#dfc27d', '#f6e8c3', '#f5f5f5', '#c7eae5', '#80cdc1', '#35978f', '#01665e', '#003c30']],
+    ['PiYG', ['#8e0152', '#c51b7d', '#de77ae', '#f1b6da', '#fde0ef', '#f7f7f7', '#e6f5d0', '#b8e186', '#7fbc41', '#4d9221', '#276419']],
+    ['PRGn', ['#40004b', '#762a83', '#9970ab', '#c2a5cf', '#e7d4e8', '#f7f7f7', '#d9f0d3', '#a6dba0', '#5aae61', '#1b7837', '#00441b']],
+    ['PuOr', ['#7f3b08', '#b35806', '#e08214', '#fdb863', '#fee0b6', '#f7f7f7', '#d8daeb', '#b2abd2', '#8073ac', '#542788', '#2d004b']],
+    ['RdBu', ['#67001f', '#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', '#d1e5f0', '#92c5de', '#4393c3', '#2166ac', '#053061']],
+    ['RdGy', ['#67001f', '#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#ffffff', '#e0e0e0', '#bababa', '#878787', '#4d4d4d', '#1a1a1a']],
+    ['RdYlBu', ['#a50026', '#d73027', '#f46d43', '#fdae61', '#fee090', '#ffffbf', '#e0f3f8', '#abd9e9', '#74add1', '#4575b4', '#313695']],
+    ['RdYlGn', ['#a50026', '#d73027', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#d9ef8b', '#a6d96a', '#66bd63', '#1a9850', '#006837']],
+    ['Spectral', ['#9e0142', '#d53e4f', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#e6f598', '#abdda4', '#66c2a5', '#3288bd', '#5e4fa2']]
+].forEach(function (ramp) {
+    ColorRamp.registerRamp(ramp[0], ramp[1], 'diverging');
+});
+
+[
+    ['Accent', ['#7fc97f', '#beaed4', '#fdc086', '#ffff99', '#386cb0', '#f0027f', '#bf5b17', '#666666']],
+    ['Dark2', ['#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e', '#e6ab02', '#a6761d', '#666666']],
+    ['Paired', ['#a6cee3', '#1f78b4', '#b2df8a', '#33a02c', '#fb9a99', '#e31a1c', '#fdbf6f', '#ff7f00', '#cab2d6', '#6a3d9a', '#ffff99', '#b15928']],
+    ['Pastel1', ['#fbb4ae', '#b3cde3', '#ccebc5', '#decbe4', '#fed9a6', '#ffffcc', '#e5d8bd', '#fddaec', '#f2f2f2']],
+    ['Set1', ['#e41a1c', '#377eb8', '#4daf4a', '#984ea3', '#ff7f00', '#ffff33', '#a65628', '#f781bf', '#999999']],
+    ['Set2', ['#66c2a5', '#fc8d62', '#8da0cb', '#e78ac3', '#a6d854', '#ffd92f', '#e5c494', '#b3b3b3']],
+    ['Set3', ['#8dd3c7', '#ffffb3', '#bebada', '#fb8072', '#80b1d3', '#fdb462', '#b3de69', '#fccde5', '#d9d9d9', '#bc80bd', '#ccebc5', '#ffed6f']],
+    ['OkabeIto', ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#000000']]
+].forEach(function (ramp) {
+    ColorRamp.registerRamp(ramp[0], ramp[1], 'qualitative');
+});
+
+function resolveRamp(ramp) {
+    var options = {};
+    if (ramp && !Array.isArray(ramp) && typeof ramp === 'object') {
+        options.reverse = ramp.reverse;
+        options.mode = ramp.mode;
+        ramp = ramp.colors || ramp.name;
+    }
+    if (typeof ramp === 'string') {
+        if (!ramps[ramp]) {
+            throw new Error('Unknown color ramp: ' + ramp);
+        }
+        return {
+            type: ramps[ramp].type,
+            colors: ramps[ramp].colors,
+            options: options
+        };
+    }
+    return {
+        type: 'sequential',
+        colors: ramp || [],
+        options: options
+    };
+}
+
+function extend(defaults, options) {
+    var result = {};
+    var key;
+    for (key in defaults) {
+        defaults[key] !== undefined && (result[key] = defaults[key]);
+    }
+    for (key in options) {
+        options[key] !== undefined && (result[key] = options[key]);
+    }
+    return result;
+}
+
+function getStyle(color, options) {
+    var style = {};
+    for (var key in options.style) {
+        style[key] = options.style[key];
+    }
+    style[options.colorProperty || 'fillColor'] = color;
+    return style;
+}
+
+//返回 [r, g, b, a]，r、g、b 的取值范围为 0 - 255，a 的取值范围为 0 - 1
+function parseColor(color) {
+    if (Array.isArray(color)) {
+        return [color[0], color[1], color[2], color.length > 3 ? color[3] / 255 : 1];
+    }
+    var data = ColorRender.getData(ColorRender.toRGBA(color));
+    return [data[0], data[1], data[2], data.length > 3 ? data[3] : 1];
+}
+
+function formatColor(rgba, format) {
+    var rgb = rgba.slice(0, 3).map(function (value) {
+        return Math.round(Math.min(Math.max(value, 0), 255));
+    });
+    var alpha = Math.round(Math.min(Math.max(rgba[3], 0), 1) * 1000) / 1000;
+    if (format === 'array') {
+        return rgb.concat([Math.round(alpha * 255)]);
+    }
+    if (format === 'rgba' || alpha < 1) {
+        return 'rgba(' + rgb.join(',') + ',' + alpha + ')';
+    }
+    return '#' + ((1 << 24) + (rgb[0] << 16) + (rgb[1] << 8) + rgb[2]).toString(16).slice(1);
+}
+
+function interpolateColors(colors, t, mode) {
+    var position = t * (colors.length - 1);
+    var index = Math.floor(position);
+    var ratio = position - index;
+    if (ratio === 0 || index >= colors.length - 1) {
+        return parseColor(colors[Math.min(index, colors.length - 1)]);
+    }
+    var start = parseColor(colors[index]),
+        end = parseColor(colors[index + 1]);
+    var alpha = start[3] + (end[3] - start[3]) * ratio;
+    if (mode === 'rgb') {
+        return [0, 1, 2].map(function (i) {
+            return start[i] + (end[i] - start[i]) * ratio;
+        }).concat([alpha]);
+    }
+    var lab1 = rgbToLab(start),
+        lab2 = rgbToLab(end);
+    var lab;
+    if (mode === 'hcl') {
+        var lch1 = labToLch(lab1),
+            lch2 = labToLch(lab2);
+        //无彩色没有色相，使用另一个颜色的色相
+        var h1 = lch1[1] < 1e-4 ? lch2[2] : lch1[2];
+        var h2 = lch2[1] < 1e-4 ? lch1[2] : lch2[2];
+        var dh = h2 - h1;
+        if (dh > 180) {
+            dh -= 360;
+        } else if (dh < -180) {
+            dh += 360;
+        }
+        lab = lchToLab([
+            lch1[0] + (lch2[0] - lch1[0]) * ratio,
+            lch1[1] + (lch2[1] - lch1[1]) * ratio,
+            h1 + dh * ratio
+        ]);
+    } else {
+        lab = [0, 1, 2].map(function (i) {
+            return lab1[i] + (lab2[i] - lab1[i]) * ratio;
+        });
+    }
+    return labToRgb(lab).concat([alpha]);
+}
+
+function simulateColor(rgba, type) {
+    var linear = rgba.slice(0, 3).map(toLinear);
+    var result;
+    if (type === 'achromatopsia') {
+        var y = 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2];
+        result = [y, y, y];
+    } else {
+        var matrix = SIMULATION_MATRICES[type];
+        if (!matrix) {
+            throw new Error('Unknown color vision deficiency: ' + type);
+        }
+        result = matrix.map(function (row) {
+            return row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2];
+        });
+    }
+    return result.map(fromLinear).concat([rgba[3]]);
+}
+
+function toLinear(value) {
+    value = value / 255;
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(value) {
+    value = Math.min(Math.max(value, 0), 1);
+    return 255 * (value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055);
+}
+
+//D65 白点
+var XN = 0.95047,
+    YN = 1,
+    ZN = 1.08883;
+
+function rgbToLab(rgba) {
+    var r = toLinear(rgba[0]),
+        g = toLinear(rgba[1]),
+        b = toLinear(rgba[2]);
+    var x = labF((0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / XN);
+    var y = labF((0.2126729 * r + 0.7151522 * g + 0.0721750 * b) / YN);
+    var z = labF((0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / ZN);
+    return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+}
+
+function labToRgb(lab) {
+    var fy = (lab[0] + 16) / 116;
+    var x = XN * labFInverse(fy + lab[1] / 500),
+        y = YN * labFInverse(fy),
+        z = ZN * labFInverse(fy - lab[2] / 200);
+    return [
+        fromLinear(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+        fromLinear(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+        fromLinear(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+    ];
+}
+
+function labF(t) {
+    return t > 216 / 24389 ? Math.pow(t, 1 / 3) : (24389 / 27 * t + 16) / 116;
+}
+
+function labFInverse(t) {
+    return t > 6 / 29 ? t * t * t : (116 * t - 16) * 27 / 24389;
+}
+
+function labToLch(lab) {
+    var h = Math.atan2(lab[2], lab[1]) * 180 / Math.PI;
+    return [lab[0], Math.sqrt(lab[1] * lab[1] + lab[2] * lab[2]), h < 0 ? h + 360 : h];
+}
+
+function lchToLab(lch) {
+    var h = lch[2] * Math.PI / 180;
+    return [lch[0], lch[1] * Math.cos(h), lch[1] * Math.sin(h)];
+}
+
+function labDistance(lab1, lab2) {
+    return Math.sqrt(Math.pow(lab1[0] - lab2[0], 2) + Math.pow(lab1[1] - lab2[1], 2) + Math.pow(lab1[2] - lab2[2], 2));
+}
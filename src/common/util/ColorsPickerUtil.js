@@ -2,6 +2,7 @@ import {Color} from '../overlay/levelRenderer/Color';
 import {
     SuperMap
 } from '../SuperMap';
+import {ColorRamp} from './ColorRamp';
 
 var ColorRender = new Color();
 // let "http://www.qzu.zj.cn": "#bd10e0"
@@ -118,7 +119,7 @@ export class ColorsPickerUtil  {
      * 获取指定级数的渐变颜色数组。
      *
      * Parameters:
-     * colors - {Array{String}} 颜色组。
+     * colors - {Array{String}|String|Object} 颜色组，也可以是 SuperMap.ColorRamp 的色带名称或者色带对象。
      * total - {Number}  颜色总数。
      * total - {String}  专题类型
      *
@@ -131,6 +132,9 @@ export class ColorsPickerUtil  {
         if (total === undefined) {
             return;
         }
+        if (!Array.isArray(colors)) {
+            return ColorRamp.getColors(colors, total);
+        }
         if(len >= total){
             if(themeType === 'RANGE'){
                 for(i = 0; i<total; i++){
@@ -0,0 +1,315 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {
+    SuperMap
+} from '../SuperMap';
+import {
+    Util
+} from '../commontypes/Util';
+import {
+    TimeFlowControl
+} from '../control/TimeFlowControl';
+
+/**
+ * @class SuperMap.DataFlowHistory
+ * @category BaseTypes Util
+ * @classdesc 数据流要素历史记录。按 idField 为每个要素保存一条按时间排序的记录序列，可用于查询要素的历史状态、绘制轨迹，
+ *            以及通过 {@link SuperMap.TimeFlowControl} 回放。
+ *            maxAge 以已收到数据中最新的时间为基准，早于该时间 maxAge 毫秒的记录会被删除。
+ * @param {Object} [options] - 参数。
+ * @param {string} [options.idField='id'] - 要素属性中表示唯一标识的字段。
+ * @param {string} [options.timeField] - 要素属性中表示时间的字段，值可以为毫秒数、日期字符串或 Date 对象。不设置时使用收到数据的时间。
+ * @param {number} [options.maxPoints=100] - 每个要素最多保存的记录个数。
+ * @param {number} [options.maxAge=0] - 记录的最长保存时间，单位毫秒。为 0 时不按时间删除记录。
+ * @example
+ * var history = new SuperMap.DataFlowHistory({timeField: 'time', maxPoints: 500});
+ * dataFlowService.on('messageSucceeded', function (e) {
+ *     history.add(e.featureResult);
+ * });
+ * history.createTimeFlowControl(function (features, time) {
+ *     //绘制 time 时刻的全部要素
+ * }).start();
+ */
+export class DataFlowHistory {
+
+    constructor(options) {
+        options = options || {};
+
+        /**
+         * @member {string} [SuperMap.DataFlowHistory.prototype.idField='id']
+         * @description 要素属性中表示唯一标识的字段。
+         */
+        this.idField = options.idField || 'id';
+
+        /**
+         * @member {string} SuperMap.DataFlowHistory.prototype.timeField
+         * @description 要素属性中表示时间的字段。
+         */
+        this.timeField = options.timeField;
+
+        /**
+         * @member {number} [SuperMap.DataFlowHistory.prototype.maxPoints=100]
+         * @description 每个要素最多保存的记录个数。
+         */
+        this.maxPoints = options.maxPoints > 0 ? options.maxPoints : 100;
+
+        /**
+         * @member {number} [SuperMap.DataFlowHistory.prototype.maxAge=0]
+         * @description 记录的最长保存时间，单位毫秒。
+         */
+        this.maxAge = options.maxAge > 0 ? options.maxAge : 0;
+
+        this._records = {};
+        this._latestTime = null;
+        this.CLASS_NAME = "SuperMap.DataFlowHistory";
+    }
+
+    /**
+     * @function SuperMap.DataFlowHistory.prototype.add
+     * @description 添加一条要素记录。要素没有唯一标识时不记录。
+     * @param {GeoJSONObject} feature - GeoJSON 要素。
+     * @param {number} [time] - 记录的时间，单位毫秒。默认从 timeField 读取，没有时使用当前时间。
+     * @returns {(string|number)} 要素的唯一标识。
+     */
+    add(feature, time) {
+        var id = this.getId(feature);
+        if (id === undefined || id === null) {
+            return id;
+        }
+        time = time !== undefined ? time : this.getTime(feature);
+        var records = this._records[id] = this._records[id] || [];
+        var record = {
+            time: time,
+            feature: feature
+        };
+        //数据可能乱序到达，按时间插入
+        var index = records.length;
+        while (index > 0 && records[index - 1].time > time) {
+            index--;
+        }
+        records.splice(index, 0, record);
+        if (this._latestTime === null || time > this._latestTime) {
+            this._latestTime = time;
+            //最新时间变化时，其他要素的记录也可能过期，只在此时检查全部要素
+            if (this.maxAge) {
+                this._pruneExpired();
+            }
+        }
+        this._prune(id);
+        return id;
+    }
+
+    /**
+     * @function SuperMap.DataFlowHistory.prototype.getId
+     * @description 获取要素的唯一标识。
+     * @param {GeoJSONObject} feature - GeoJSON 要素。
+     * @returns {(string|number)} 要素的唯一标识。
+     */
+    getId(feature) {
+        if (!feature) {
+            return undefined;
+        }
+        var id = feature.properties && feature.properties[this.idField];
+        return id !== undefined ? id : feature.id;
+    }
+
+    /**
+     * @function SuperMap.DataFlowHistory.prototype.getTime
+     * @description 获取要素的时间。
+     * @param {GeoJSONObject} feature - GeoJSON 要素。
+     * @returns {number} 时间，单位毫秒。
+     */
+    getTime(feature) {
+        var value = this.timeField && feature.properties ? feature.properties[this.timeField] : null;
+        if (value instanceof Date) {
+            value = value.getTime();
+        } else if (typeof value === 'string') {
+            value = isNaN(value) ? Date.parse(value) : +value;
+        }
+        return typeof value === 'number' && !isNaN(value) ? value : new Date().getTime();
+    }
+
+    /**
+     * @function SuperMap.DataFlowHistory.prototype.getIds
+     * @description 获取有历史记录的全部要素的唯一标识。
+     * @returns {Array.<string>} 要素唯一标识数组。
+     */
+    getIds() {
+        return Object.keys(this._records);
+    }
+
+    /**
+     * @function SuperMap.DataFlowHistory.prototype.getHistory
+     * @description 获取要素在时间范围内的历史记录，按时间升序排列。
+     * @param {(string|number)} id - 要素的唯一标识。
+     * @param {number} [startTime] - 起始时间，单位毫秒。
+     * @param {number} [endTime] - 结束时间，单位毫秒。
+     * @returns {Array.<Object>} 历史记录数组，每条记录包含 time（时间）和 feature（GeoJSON 要素）。
+     */
+    getHistory(id, startTime, endTime) {
+        var records = this._records[id] || [];
+        return records.filter(function (record) {
+            return (startTime == null || record.time >= startTime) && (endTime == null || record.time <= endTime);
+        });
+    }
+
+    /**
+     * @function SuperMap.DataFlowHistory.prototype.getTrail
+     * @description 获取点要素的轨迹坐标，按时间升序排列。非点要素的记录会被忽略。
+     * @param {(string|number)} id - 要素的唯一标识。
+     * @param {Object} [options] - 参数。
+     * @param {number} [options.maxPoints] - 轨迹最多包含的点数，取最近的点。
+     * @param {number} [options.maxAge] - 轨迹的时长，单位毫秒。以已收到数据中最新的时间为基准。
+     * @param {number} [options.time] - 轨迹的结束时间，用于回放。默认为最新的记录。
+     * @returns {Array.<Array.<number>>} 轨迹坐标数组。
+     */
+    getTrail(id, options) {
+        options = options || {};
+        var endTime = options.time != null ? options.time : null;
+        var baseTime = endTime != null ? endTime : this._latestTime;
+        var startTime = options.maxAge > 0 && baseTime !== null ? baseTime - options.maxAge : null;
+        var coordinates = [];
+        this.getHistory(id, startTime, endTime).forEach(function (record) {
+            var geometry = record.feature.geometry;
+            if (geometry && geometry.type === 'Point') {
+                coordinates.push(geometry.coordinates);
+            }
+        });
+        if (options.maxPoints > 0 && coordinates.length > options.maxPoints) {
+            coordinates = coordinates.slice(coordinates.length - options.maxPoints);
+        }
+        return coordinates;
+    }
+
+    /**
+     * @function SuperMap.DataFlowHistory.prototype.getFeaturesAt
+     * @description 获取指定时刻全部要素的状态，即每个要素在该时刻之前（含）的最后一条记录。
+     * @param {number} time - 时间，单位毫秒。
+     * @returns {Array.<GeoJSONObject>} 要素数组。
+     */
+    getFeaturesAt(time) {
+        var features = [];
+        for (var id in this._records) {
+            var records = this._records[id];
+            for (var i = records.length - 1; i >= 0; i--) {
+                if (records[i].time <= time) {
+                    features.push(records[i].feature);
+                    break;
+                }
+            }
+        }
+        return features;
+    }
+
+    /**
+     * @function SuperMap.DataFlowHistory.prototype.getTimeRange
+     * @description 获取全部记录的时间范围。
+     * @returns {Object} 时间范围，包含 startTime 和 endTime。没有记录时返回 null。
+     */
+    getTimeRange() {
+        var startTime = null,
+            endTime = null;
+        for (var id in this._records) {
+            var records = this._records[id];
+            if (!records.length) {
+                continue;
+            }
+            if (startTime === null || records[0].time < startTime) {
+                startTime = records[0].time;
+            }
+            if (endTime === null || records[records.length - 1].time > endTime) {
+                endTime = records[records.length - 1].time;
+            }
+        }
+        return startTime === null ? null : {
+            startTime: startTime,
+            endTime: endTime
+        };
+    }
+
+    /**
+     * @function SuperMap.DataFlowHistory.prototype.createTimeFlowControl
+     * @description 创建回放历史记录的时间控制器。
+     * @param {function} callback - 每次刷新的回调函数，参数为当前时刻全部要素的状态（见 {@link SuperMap.DataFlowHistory#getFeaturesAt}）和当前时间。
+     * @param {Object} [options] - 时间控制器参数，参考 {@link SuperMap.TimeFlowControl}。默认从最早的记录回放到最新的记录，
+     *                             共刷新 100 次，每 100 毫秒刷新一次，不循环。
+     * @returns {SuperMap.TimeFlowControl} 时间控制器。
+     */
+    createTimeFlowControl(callback, options) {
+        var me = this;
+        var range = me.getTimeRange() || {
+            startTime: 0,
+            endTime: 0
+        };
+        var controlOptions = Util.extend({
+            startTime: range.startTime,
+            endTime: range.endTime,
+            speed: Math.max(1, Math.ceil((range.endTime - range.startTime) / 100)),
+            frequency: 100,
+            repeat: false
+        }, options);
+        return new TimeFlowControl(function (time) {
+            callback && callback(me.getFeaturesAt(time), time);
+        }, controlOptions);
+    }
+
+    /**
+     * @function SuperMap.DataFlowHistory.prototype.remove
+     * @description 删除要素的全部历史记录。
+     * @param {(string|number)} id - 要素的唯一标识。
+     */
+    remove(id) {
+        delete this._records[id];
+    }
+
+    /**
+     * @function SuperMap.DataFlowHistory.prototype.clear
+     * @description 删除全部历史记录。
+     */
+    clear() {
+        this._records = {};
+        this._latestTime = null;
+    }
+
+    /**
+     * @function SuperMap.DataFlowHistory.prototype.destroy
+     * @description 释放资源，将引用资源的属性置空。
+     */
+    destroy() {
+        this.clear();
+        this.idField = null;
+        this.timeField = null;
+    }
+
+    _prune(id) {
+        var records = this._records[id];
+        if (records.length > this.maxPoints) {
+            records.splice(0, records.length - this.maxPoints);
+        }
+        this._removeExpired(id);
+    }
+
+    _pruneExpired() {
+        for (var id in this._records) {
+            this._removeExpired(id);
+        }
+    }
+
+    _removeExpired(id) {
+        var records = this._records[id];
+        if (this.maxAge) {
+            var minTime = this._latestTime - this.maxAge;
+            var count = 0;
+            while (count < records.length && records[count].time < minTime) {
+                count++;
+            }
+            count && records.splice(0, count);
+        }
+        if (!records.length) {
+            delete this._records[id];
+        }
+    }
+}
+
+SuperMap.DataFlowHistory = DataFlowHistory;
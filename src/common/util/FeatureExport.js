@@ -0,0 +1,627 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {
+    SuperMap
+} from '../SuperMap';
+import {
+    ExportFormat
+} from '../REST';
+import {
+    Util
+} from '../commontypes/Util';
+import {
+    Geometry
+} from '../commontypes/Geometry';
+import {
+    GeoJSON as GeoJSONFormat
+} from '../format/GeoJSON';
+import {
+    WKT
+} from '../format/WKT';
+import {
+    ZipUtil,
+    encodeText
+} from '../widgets/util/ZipUtil';
+
+const GEOMETRY_TYPES = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+const EXTENSIONS = {
+    GEOJSON: '.geojson',
+    CSV: '.csv',
+    KML: '.kml',
+    SHP: '.zip'
+};
+
+const MIME_TYPES = {
+    GEOJSON: 'application/geo+json',
+    CSV: 'text/csv;charset=utf-8',
+    KML: 'application/vnd.google-earth.kml+xml',
+    SHP: 'application/zip'
+};
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+//Shapefile 的几何类型，每种类型单独导出为一个 shapefile
+const SHAPE_TYPES = {
+    point: {shapeType: 1, geometryTypes: ['Point']},
+    multipoint: {shapeType: 8, geometryTypes: ['MultiPoint']},
+    polyline: {shapeType: 3, geometryTypes: ['LineString', 'MultiLineString']},
+    polygon: {shapeType: 5, geometryTypes: ['Polygon', 'MultiPolygon']}
+};
+
+/**
+ * @class SuperMap.FeatureExport
+ * @category BaseTypes Util
+ * @classdesc 要素导出类。将 iServer 查询结果、GeoJSON 要素、专题图层的要素（{@link SuperMap.Feature.Vector}）等数据导出为 GeoJSON、CSV、KML 或者 zip 压缩的 Shapefile 文件，并可以在浏览器中直接下载。
+ *            输出的坐标与输入数据一致，各客户端的 FeatureExport 类会将地图坐标转换为经纬度坐标。
+ * @param {Object} [options] - 参数。
+ * @param {string} [options.fileName='features'] - 下载的文件名，不包含扩展名。导出 Shapefile 时也作为 zip 文件中 shapefile 的文件名。
+ * @param {string} [options.csvGeometry='WKT'] - CSV 文件中几何对象的保存方式。"WKT" 为一列 WKT 字符串；"XY" 为 X、Y 两列坐标，线、面要素使用范围的中心点。
+ * @param {string} [options.wktField='WKT'] - CSV 文件中 WKT 列的列名。
+ * @param {string} [options.xField='X'] - CSV 文件中 X 坐标列的列名。
+ * @param {string} [options.yField='Y'] - CSV 文件中 Y 坐标列的列名。
+ * @param {string} [options.nameField='name'] - KML 文件中作为 Placemark 名称的属性字段。
+ * @param {string} [options.prj] - Shapefile 的坐标系 WKT，默认为 WGS84 经纬度坐标系。
+ * @example
+ * var featureExport = new SuperMap.FeatureExport({fileName: 'result', csvGeometry: 'XY'});
+ * queryService.queryBySQL(param, function (serviceResult) {
+ *     featureExport.download(serviceResult.result, SuperMap.ExportFormat.CSV);
+ * });
+ */
+export class FeatureExport {
+
+    constructor(options) {
+        options = options || {};
+        this.fileName = options.fileName || 'features';
+        this.csvGeometry = (options.csvGeometry || 'WKT').toUpperCase();
+        this.wktField = options.wktField || 'WKT';
+        this.xField = options.xField || 'X';
+        this.yField = options.yField || 'Y';
+        this.nameField = options.nameField || 'name';
+        this.prj = options.prj || WGS84_PRJ;
+        this._geojsonFormat = new GeoJSONFormat();
+        this.CLASS_NAME = "SuperMap.FeatureExport";
+    }
+
+    /**
+     * @function SuperMap.FeatureExport.prototype.toGeoJSON
+     * @description 将数据统一转换为 GeoJSON 要素集合。
+     * @param {(Object|Array.<Object>)} data - 要导出的数据。支持 GeoJSON 对象、iServer 查询结果（包含 recordsets 或者 features）、
+     *                                         iServer 要素、{@link SuperMap.Feature.Vector}、{@link SuperMap.Geometry}、
+     *                                         有 getFeatures 方法的图层（如专题图层）、高效率点图层，以及以上对象的数组。
+     * @returns {GeoJSONObject} GeoJSON 要素集合。
+     */
+    toGeoJSON(data) {
+        return {
+            type: 'FeatureCollection',
+            features: this._toFeatures(data)
+        };
+    }
+
+    /**
+     * @function SuperMap.FeatureExport.prototype.write
+     * @description 将数据写为指定格式。
+     * @param {(Object|Array.<Object>)} data - 要导出的数据，参考 {@link SuperMap.FeatureExport#toGeoJSON}。
+     * @param {SuperMap.ExportFormat} [format=SuperMap.ExportFormat.GEOJSON] - 导出格式。
+     * @returns {(string|Uint8Array)} GeoJSON、CSV 和 KML 格式返回字符串，Shapefile 格式返回 zip 文件的二进制数据。
+     */
+    write(data, format) {
+        let features = this.toGeoJSON(data).features;
+        switch ((format || ExportFormat.GEOJSON).toUpperCase()) {
+            case ExportFormat.GEOJSON:
+                return JSON.stringify({type: 'FeatureCollection', features: features});
+            case ExportFormat.CSV:
+                return this._writeCSV(features);
+            case ExportFormat.KML:
+                return this._writeKML(features);
+            case ExportFormat.SHP:
+                return this._writeShapefile(features);
+            default:
+                throw new Error('Unsupported export format: ' + format);
+        }
+    }
+
+    /**
+     * @function SuperMap.FeatureExport.prototype.toBlob
+     * @description 将数据写为指定格式的 Blob 对象。
+     * @param {(Object|Array.<Object>)} data - 要导出的数据，参考 {@link SuperMap.FeatureExport#toGeoJSON}。
+     * @param {SuperMap.ExportFormat} [format=SuperMap.ExportFormat.GEOJSON] - 导出格式。
+     * @returns {Blob} Blob 对象。
+     */
+    toBlob(data, format) {
+        format = (format || ExportFormat.GEOJSON).toUpperCase();
+        return new Blob([this.write(data, format)], {type: MIME_TYPES[format]});
+    }
+
+    /**
+     * @function SuperMap.FeatureExport.prototype.download
+     * @description 将数据写为指定格式并在浏览器中下载。
+     * @param {(Object|Array.<Object>)} data - 要导出的数据，参考 {@link SuperMap.FeatureExport#toGeoJSON}。
+     * @param {SuperMap.ExportFormat} [format=SuperMap.ExportFormat.GEOJSON] - 导出格式。
+     * @param {string} [fileName] - 下载的文件名，不包含扩展名，默认使用 options.fileName。
+     */
+    download(data, format, fileName) {
+        format = (format || ExportFormat.GEOJSON).toUpperCase();
+        let blob = this.toBlob(data, format);
+        let name = (fileName || this.fileName) + EXTENSIONS[format];
+        if (window.navigator.msSaveOrOpenBlob) {
+            window.navigator.msSaveOrOpenBlob(blob, name);
+            return;
+        }
+        let url = URL.createObjectURL(blob);
+        let link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        //部分浏览器在 click 之后才开始读取，延迟释放
+        setTimeout(function () {
+            URL.revokeObjectURL(url);
+        }, 0);
+    }
+
+    _toFeatures(data) {
+        if (!data) {
+            return [];
+        }
+        if (Util.isArray(data)) {
+            let features = [];
+            for (let i = 0; i < data.length; i++) {
+                features = features.concat(this._toFeatures(data[i]));
+            }
+            return features;
+        }
+        let geojson = this._featureToGeoJSON(data);
+        if (geojson) {
+            return geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+        }
+        if (data.type === 'FeatureCollection') {
+            return this._toFeatures(data.features);
+        }
+        //服务的回调参数 {type, result, object}
+        if (data.result) {
+            return this._toFeatures(data.result);
+        }
+        if (data.recordsets) {
+            return this._toFeatures(data.recordsets.map(function (recordset) {
+                return recordset.features;
+            }));
+        }
+        if (typeof data.getFeatures === 'function') {
+            return this._toFeatures(data.getFeatures());
+        }
+        //高效率点图层
+        if (data.graphics) {
+            return this._toFeatures(data.graphics);
+        }
+        if (data.features) {
+            return this._toFeatures(data.features);
+        }
+        return [];
+    }
+
+    /**
+     * @function SuperMap.FeatureExport.prototype._featureToGeoJSON
+     * @description 将单个要素转换为 GeoJSON 要素，不是要素时返回 null。各客户端的 FeatureExport 类重写此方法以支持客户端的要素和图层。
+     * @param {Object} feature - 要素。
+     * @returns {GeoJSONObject} GeoJSON 要素或者要素集合。
+     * @private
+     */
+    _featureToGeoJSON(feature) {
+        if (feature.type === 'Feature') {
+            return feature;
+        }
+        if (GEOMETRY_TYPES.indexOf(feature.type) > -1) {
+            return {type: 'Feature', geometry: feature, properties: {}};
+        }
+        if (feature instanceof Geometry) {
+            return this._geojsonFormat.toGeoJSON({geometry: feature});
+        }
+        if (feature.geometry instanceof Geometry) {
+            let geojson = this._geojsonFormat.toGeoJSON({geometry: feature.geometry});
+            geojson.properties = Util.extend({}, feature.attributes || feature.data);
+            if (feature.fid !== undefined && feature.fid !== null) {
+                geojson.id = feature.fid;
+            }
+            return geojson;
+        }
+        //iServer 要素
+        if (feature.fieldNames || (feature.geometry && feature.geometry.points)) {
+            return this._geojsonFormat.toGeoJSON(feature);
+        }
+        return null;
+    }
+
+    _writeCSV(features) {
+        let fields = getFields(features);
+        let titles = fields.concat(this.csvGeometry === 'XY' ? [this.xField, this.yField] : [this.wktField]);
+        let wktFormat = new WKT();
+        let lines = [titles.map(toCSVValue).join(',')];
+        features.forEach((feature) => {
+            let properties = feature.properties || {};
+            let values = fields.map(function (field) {
+                return properties[field];
+            });
+            let vector = feature.geometry ? this._geojsonFormat.read({
+                type: 'Feature',
+                geometry: feature.geometry,
+                properties: {}
+            }, 'Feature') : null;
+            if (this.csvGeometry === 'XY') {
+                let center = vector && vector.geometry.getBounds().getCenterLonLat();
+                values.push(center ? center.lon : '', center ? center.lat : '');
+            } else {
+                values.push(vector ? wktFormat.write(vector) : '');
+            }
+            lines.push(values.map(toCSVValue).join(','));
+        });
+        //添加 BOM，Excel 打开时按 UTF-8 读取
+        return '\ufeff' + lines.join('\r\n') + '\r\n';
+    }
+
+    _writeKML(features) {
+        let placemarks = features.map((feature) => {
+            let properties = feature.properties || {};
+            let kml = feature.id !== undefined && feature.id !== null ? '<Placemark id="' + escapeXML(feature.id) + '">' : '<Placemark>';
+            if (properties[this.nameField] !== undefined && properties[this.nameField] !== null) {
+                kml += '<name>' + escapeXML(properties[this.nameField]) + '</name>';
+            }
+            let data = Object.keys(properties).map(function (key) {
+                return '<Data name="' + escapeXML(key) + '"><value>' + escapeXML(toText(properties[key])) + '</value></Data>';
+            });
+            if (data.length) {
+                kml += '<ExtendedData>' + data.join('') + '</ExtendedData>';
+            }
+            return kml + geometryToKML(feature.geometry) + '</Placemark>';
+        });
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>' + escapeXML(this.fileName) + '</name>\n' +
+            placemarks.join('\n') + '\n</Document></kml>\n';
+    }
+
+    _writeShapefile(features) {
+        let groups = [];
+        for (let name in SHAPE_TYPES) {
+            let group = features.filter(function (feature) {
+                return feature.geometry && SHAPE_TYPES[name].geometryTypes.indexOf(feature.geometry.type) > -1;
+            });
+            group.length && groups.push({name: name, shapeType: SHAPE_TYPES[name].shapeType, features: group});
+        }
+        if (!groups.length) {
+            throw new Error('No features can be exported to shapefile');
+        }
+        let files = [];
+        groups.forEach((group) => {
+            //只有一种几何类型时不加后缀
+            let baseName = groups.length > 1 ? this.fileName + '_' + group.name : this.fileName;
+            let shapes = writeShp(group.shapeType, group.features.map(function (feature) {
+                return feature.geometry;
+            }));
+            files.push(
+                {name: baseName + '.shp', data: shapes.shp},
+                {name: baseName + '.shx', data: shapes.shx},
+                {name: baseName + '.dbf', data: writeDbf(group.features)},
+                {name: baseName + '.prj', data: this.prj},
+                {name: baseName + '.cpg', data: 'UTF-8'}
+            );
+        });
+        return ZipUtil.zip(files);
+    }
+
+}
+
+function getFields(features) {
+    let fields = [];
+    features.forEach(function (feature) {
+        for (let key in feature.properties) {
+            fields.indexOf(key) < 0 && fields.push(key);
+        }
+    });
+    return fields;
+}
+
+function toText(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function toCSVValue(value) {
+    value = toText(value);
+    return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
+
+function escapeXML(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function kmlCoordinates(coordinates) {
+    return '<coordinates>' + coordinates.map(function (coordinate) {
+        return coordinate.join(',');
+    }).join(' ') + '</coordinates>';
+}
+
+function kmlPolygon(rings) {
+    return '<Polygon>' + rings.map(function (ring, index) {
+        let boundary = index === 0 ? 'outerBoundaryIs' : 'innerBoundaryIs';
+        return '<' + boundary + '><LinearRing>' + kmlCoordinates(ring) + '</LinearRing></' + boundary + '>';
+    }).join('') + '</Polygon>';
+}
+
+function geometryToKML(geometry) {
+    if (!geometry) {
+        return '';
+    }
+    switch (geometry.type) {
+        case 'Point':
+            return '<Point>' + kmlCoordinates([geometry.coordinates]) + '</Point>';
+        case 'LineString':
+            return '<LineString>' + kmlCoordinates(geometry.coordinates) + '</LineString>';
+        case 'Polygon':
+            return kmlPolygon(geometry.coordinates);
+        case 'MultiPoint':
+        case 'MultiLineString':
+        case 'MultiPolygon': {
+            let type = geometry.type.replace('Multi', '');
+            return '<MultiGeometry>' + geometry.coordinates.map(function (coordinates) {
+                return geometryToKML({type: type, coordinates: coordinates});
+            }).join('') + '</MultiGeometry>';
+        }
+        case 'GeometryCollection':
+            return '<MultiGeometry>' + geometry.geometries.map(geometryToKML).join('') + '</MultiGeometry>';
+        default:
+            return '';
+    }
+}
+
+//环的有向面积，逆时针为正
+function ringArea(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    return area / 2;
+}
+
+//按 shapefile 的要求，外环为顺时针，内环为逆时针
+function orientRing(ring, outer) {
+    let area = ringArea(ring);
+    return (outer && area > 0) || (!outer && area < 0) ? ring.slice().reverse() : ring;
+}
+
+//返回几何对象的部分（线或环）数组，点类型返回点坐标数组
+function getShapeParts(geometry) {
+    switch (geometry.type) {
+        case 'Point':
+            return [[geometry.coordinates]];
+        case 'MultiPoint':
+        case 'LineString':
+            return [geometry.coordinates];
+        case 'MultiLineString':
+            return geometry.coordinates;
+        case 'Polygon':
+            return geometry.coordinates.map(function (ring, index) {
+                return orientRing(ring, index === 0);
+            });
+        case 'MultiPolygon': {
+            let parts = [];
+            geometry.coordinates.forEach(function (rings) {
+                parts = parts.concat(getShapeParts({type: 'Polygon', coordinates: rings}));
+            });
+            return parts;
+        }
+        default:
+            return [];
+    }
+}
+
+function getExtent(points) {
+    let extent = [Infinity, Infinity, -Infinity, -Infinity];
+    points.forEach(function (point) {
+        extent[0] = Math.min(extent[0], point[0]);
+        extent[1] = Math.min(extent[1], point[1]);
+        extent[2] = Math.max(extent[2], point[0]);
+        extent[3] = Math.max(extent[3], point[1]);
+    });
+    return extent;
+}
+
+function writeShpHeader(view, shapeType, fileLength, extent) {
+    view.setInt32(0, 9994);
+    view.setInt32(24, fileLength / 2);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, shapeType, true);
+    for (let i = 0; i < 4; i++) {
+        view.setFloat64(36 + i * 8, isFinite(extent[i]) ? extent[i] : 0, true);
+    }
+}
+
+function writeShp(shapeType, geometries) {
+    let records = geometries.map(function (geometry) {
+        let parts = getShapeParts(geometry);
+        let points = [].concat.apply([], parts);
+        let length;
+        if (shapeType === 1) {
+            length = 20;
+        } else if (shapeType === 8) {
+            length = 40 + points.length * 16;
+        } else {
+            length = 44 + parts.length * 4 + points.length * 16;
+        }
+        return {parts: parts, points: points, length: length};
+    });
+    let allPoints = [].concat.apply([], records.map(function (record) {
+        return record.points;
+    }));
+    let extent = getExtent(allPoints);
+    let shpLength = 100 + records.reduce(function (sum, record) {
+        return sum + 8 + record.length;
+    }, 0);
+    let shxLength = 100 + records.length * 8;
+    let shp = new DataView(new ArrayBuffer(shpLength));
+    let shx = new DataView(new ArrayBuffer(shxLength));
+    writeShpHeader(shp, shapeType, shpLength, extent);
+    writeShpHeader(shx, shapeType, shxLength, extent);
+
+    let offset = 100;
+    records.forEach(function (record, index) {
+        shx.setInt32(100 + index * 8, offset / 2);
+        shx.setInt32(104 + index * 8, record.length / 2);
+        shp.setInt32(offset, index + 1);
+        shp.setInt32(offset + 4, record.length / 2);
+        offset += 8;
+        let position = offset;
+        shp.setInt32(position, shapeType, true);
+        position += 4;
+        if (shapeType === 1) {
+            shp.setFloat64(position, record.points[0][0], true);
+            shp.setFloat64(position + 8, record.points[0][1], true);
+        } else {
+            let recordExtent = getExtent(record.points);
+            for (let i = 0; i < 4; i++) {
+                shp.setFloat64(position + i * 8, recordExtent[i], true);
+            }
+            position += 32;
+            if (shapeType !== 8) {
+                shp.setInt32(position, record.parts.length, true);
+                position += 4;
+            }
+            shp.setInt32(position, record.points.length, true);
+            position += 4;
+            if (shapeType !== 8) {
+                let start = 0;
+                record.parts.forEach(function (part) {
+                    shp.setInt32(position, start, true);
+                    position += 4;
+                    start += part.length;
+                });
+            }
+            record.points.forEach(function (point) {
+                shp.setFloat64(position, point[0], true);
+                shp.setFloat64(position + 8, point[1], true);
+                position += 16;
+            });
+        }
+        offset += record.length;
+    });
+    return {
+        shp: new Uint8Array(shp.buffer),
+        shx: new Uint8Array(shx.buffer)
+    };
+}
+
+//按字节截断字符串，不截断多字节字符
+function truncateBytes(text, maxLength) {
+    let bytes = encodeText(text);
+    if (bytes.length <= maxLength) {
+        return bytes;
+    }
+    let result = new Uint8Array(0);
+    for (let i = 0; i < text.length; i++) {
+        let next = encodeText(text.slice(0, i + 1));
+        if (next.length > maxLength) {
+            break;
+        }
+        result = next;
+    }
+    return result;
+}
+
+//按属性值推断 dbf 字段：全部为数值时为 N，全部为布尔值时为 L，否则为 C
+function getDbfFields(features) {
+    let names = [];
+    return getFields(features).map(function (key) {
+        let values = features.map(function (feature) {
+            return (feature.properties || {})[key];
+        }).filter(function (value) {
+            return value !== undefined && value !== null && value !== '';
+        });
+        //字段名最长 10 个字节，截断后重名时在末尾加序号
+        let name = truncateBytes(key, 10);
+        for (let i = 1; names.some((existName) => existName.join() === name.join()); i++) {
+            let suffix = encodeText(String(i));
+            name = new Uint8Array([].slice.call(truncateBytes(key, 10 - suffix.length)).concat([].slice.call(suffix)));
+        }
+        names.push(name);
+        let field = {key: key, name: name, type: 'C', length: 1, decimals: 0};
+        if (values.length && values.every((value) => typeof value === 'number' && isFinite(value))) {
+            field.type = 'N';
+            values.forEach(function (value) {
+                let decimals = String(value).split('.')[1];
+                field.decimals = Math.min(15, Math.max(field.decimals, decimals ? decimals.length : 0));
+            });
+            values.forEach(function (value) {
+                field.length = Math.max(field.length, value.toFixed(field.decimals).length);
+            });
+            field.length = Math.min(field.length, 254);
+        } else if (values.length && values.every((value) => typeof value === 'boolean')) {
+            field.type = 'L';
+        } else {
+            values.forEach(function (value) {
+                field.length = Math.max(field.length, encodeText(toText(value)).length);
+            });
+            field.length = Math.min(field.length, 254);
+        }
+        return field;
+    });
+}
+
+function writeDbf(features) {
+    let fields = getDbfFields(features);
+    let headerLength = 32 + fields.length * 32 + 1;
+    let recordLength = 1 + fields.reduce(function (sum, field) {
+        return sum + field.length;
+    }, 0);
+    let bytes = new Uint8Array(headerLength + recordLength * features.length + 1);
+    let view = new DataView(bytes.buffer);
+    let date = new Date();
+    view.setUint8(0, 3);
+    view.setUint8(1, date.getFullYear() - 1900);
+    view.setUint8(2, date.getMonth() + 1);
+    view.setUint8(3, date.getDate());
+    view.setUint32(4, features.length, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+    fields.forEach(function (field, index) {
+        let offset = 32 + index * 32;
+        bytes.set(field.name, offset);
+        view.setUint8(offset + 11, field.type.charCodeAt(0));
+        view.setUint8(offset + 16, field.length);
+        view.setUint8(offset + 17, field.decimals);
+    });
+    view.setUint8(headerLength - 1, 0x0d);
+
+    let offset = headerLength;
+    features.forEach(function (feature) {
+        let properties = feature.properties || {};
+        for (let i = offset; i < offset + recordLength; i++) {
+            bytes[i] = 0x20;
+        }
+        let position = offset + 1;
+        fields.forEach(function (field) {
+            let value = properties[field.key];
+            let text;
+            if (value === undefined || value === null || value === '') {
+                text = field.type === 'L' ? encodeText('?') : new Uint8Array(0);
+            } else if (field.type === 'N') {
+                text = encodeText(value.toFixed(field.decimals).slice(0, field.length));
+            } else if (field.type === 'L') {
+                text = encodeText(value ? 'T' : 'F');
+            } else {
+                text = truncateBytes(toText(value), field.length);
+            }
+            //数值右对齐，其他左对齐
+            bytes.set(text, field.type === 'N' ? position + field.length - text.length : position);
+            position += field.length;
+        });
+        offset += recordLength;
+    });
+    bytes[offset] = 0x1a;
+    return bytes;
+}
+
+SuperMap.FeatureExport = FeatureExport;
@@ -10,6 +10,15 @@ import {
 import {
     Util
 } from '../commontypes/Util';
+import {
+    NetworkError,
+    TimeoutError,
+    ServerError,
+    ParseError
+} from '../commontypes/Errors';
+import {
+    ResponseCache
+} from './ResponseCache';
 
 const fetch = window.fetch;
 /**
@@ -47,7 +56,68 @@ export var setRequestTimeout = SuperMap.setRequestTimeout = function (timeout) {
 export var getRequestTimeout = SuperMap.getRequestTimeout = function () {
     return SuperMap.RequestTimeout || 45000;
 }
+/**
+ * @function SuperMap.setRequestRetry
+ * @description 设置 GET 请求的全局重试策略。仅对幂等的 GET 请求生效，重试间隔按指数退避递增。
+ * @param {Object} retry - 重试策略。
+ * @param {number} [retry.times=0] - 最大重试次数，0 表示不重试。
+ * @param {number} [retry.delay=1000] - 首次重试前的等待时间，单位毫秒。之后每次重试等待时间加倍。
+ * @param {number} [retry.maxDelay=30000] - 重试等待时间的上限，单位毫秒。
+ */
+export var setRequestRetry = SuperMap.setRequestRetry = function (retry) {
+    return SuperMap.RequestRetry = retry;
+}
+/**
+ * @function SuperMap.getRequestRetry
+ * @description 获取 GET 请求的全局重试策略。
+ * @returns {Object} 重试策略。
+ */
+export var getRequestRetry = SuperMap.getRequestRetry = function () {
+    return SuperMap.RequestRetry || {
+        times: 0
+    };
+}
+/**
+ * @function SuperMap.setRequestCache
+ * @description 设置全局的请求响应缓存。设置后，cache 参数为 true 的请求会优先从该缓存中读取响应；PUT、DELETE 请求会使相关资源的缓存失效。
+ * @param {(SuperMap.ResponseCache|Object|boolean)} cache - 响应缓存对象，或创建 {@link SuperMap.ResponseCache} 的参数。为 null 或 false 时关闭全局缓存。
+ * @returns {SuperMap.ResponseCache} 全局的响应缓存对象。
+ */
+export var setRequestCache = SuperMap.setRequestCache = function (cache) {
+    if (cache && !(cache instanceof ResponseCache)) {
+        cache = new ResponseCache(cache === true ? null : cache);
+    }
+    return SuperMap.RequestCache = cache || null;
+}
+/**
+ * @function SuperMap.getRequestCache
+ * @description 获取全局的请求响应缓存。
+ * @returns {SuperMap.ResponseCache} 全局的响应缓存对象，未设置时返回 null。
+ */
+export var getRequestCache = SuperMap.getRequestCache = function () {
+    return SuperMap.RequestCache || null;
+}
 export var FetchRequest = SuperMap.FetchRequest = {
+    interceptors: [],
+
+    /**
+     * @function SuperMap.FetchRequest.commit
+     * @description 发送请求。
+     * @param {string} [method='GET'] - 请求方式，包括 "GET"，"POST"，"PUT"，"DELETE"。
+     * @param {string} url - 请求地址。
+     * @param {Object|string} [params] - 请求参数。
+     * @param {Object} [options] - 请求选项。
+     * @param {Object} [options.headers] - 请求头。
+     * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+     * @param {string|function} [options.proxy] - 服务代理地址或代理地址处理函数。
+     * @param {number} [options.timeout] - 请求超时时间，单位毫秒。超时后中止请求。
+     * @param {AbortSignal} [options.signal] - 取消请求的信号，可以是 AbortController 的 signal，也可以是实现了 aborted 属性和 addEventListener 方法的取消令牌。
+     * @param {Object} [options.retry] - GET 请求的重试策略，默认使用 {@link SuperMap.getRequestRetry} 的返回值。参数说明参考 {@link SuperMap.setRequestRetry}。
+     * @param {Array.<Object>} [options.interceptors] - 仅对本次请求生效的拦截器，在全局拦截器之后执行。拦截器说明参考 {@link SuperMap.FetchRequest.addInterceptor}。
+     * @param {(boolean|SuperMap.ResponseCache)} [options.cache] - GET、POST 请求的响应缓存。为 true 时使用 {@link SuperMap.getRequestCache} 返回的全局缓存，
+     *                                                             也可以传入单独的 {@link SuperMap.ResponseCache} 对象。命中缓存时不发送请求，也不执行拦截器。
+     * @returns {Promise} 请求的 Promise 对象。
+     */
     commit: function (method, url, params, options) {
         method = method ? method.toUpperCase() : method;
         switch (method) {
@@ -77,7 +147,7 @@ export var FetchRequest = SuperMap.FetchRequest = {
                 url: url,
                 data: params
             };
-            return SuperMap.Util.RequestJSONPPromise.GET(config);
+            return this._abortable(SuperMap.Util.RequestJSONPPromise.GET(config), options.signal);
         }
         if (!this.urlIsLong(url)) {
             return this._fetch(url, params, options, type);
@@ -98,7 +168,7 @@ export var FetchRequest = SuperMap.FetchRequest = {
                 url: url += "&_method=DELETE",
                 data: params
             };
-            return SuperMap.Util.RequestJSONPPromise.DELETE(config);
+            return this._abortable(SuperMap.Util.RequestJSONPPromise.DELETE(config), options.signal);
         }
         if (this.urlIsLong(url)) {
             return this._postSimulatie(type, url.substring(0, url.indexOf('?') - 1), params, options);
@@ -114,7 +184,7 @@ export var FetchRequest = SuperMap.FetchRequest = {
                 url: url += "&_method=POST",
                 data: params
             };
-            return SuperMap.Util.RequestJSONPPromise.POST(config);
+            return this._abortable(SuperMap.Util.RequestJSONPPromise.POST(config), options.signal);
         }
         return this._fetch(this._processUrl(url, options), params, options, 'POST');
 
@@ -129,7 +199,7 @@ export var FetchRequest = SuperMap.FetchRequest = {
                 url: url += "&_method=PUT",
                 data: params
             };
-            return SuperMap.Util.RequestJSONPPromise.PUT(config);
+            return this._abortable(SuperMap.Util.RequestJSONPPromise.PUT(config), options.signal);
 
         }
         return this._fetch(url, params, options, 'PUT');
@@ -188,32 +258,364 @@ export var FetchRequest = SuperMap.FetchRequest = {
     },
 
     _fetch: function (url, params, options, type) {
+        var me = this;
         options = options || {};
         options.headers = options.headers || {};
         if (!options.headers['Content-Type']) {
             options.headers['Content-Type'] = 'application/x-www-form-urlencoded;charset=UTF-8';
         }
-        if (options.timeout) {
-            return this._timeout(options.timeout, fetch(url, {
-                method: type,
-                headers: options.headers,
-                body: type === 'PUT' || type === 'POST' ? params : undefined,
-                credentials: options.withCredentials ? 'include' : 'omit',
+        var interceptors = me.getInterceptors(options.interceptors);
+        var config = {
+            method: type,
+            url: url,
+            body: type === 'PUT' || type === 'POST' ? params : undefined,
+            headers: options.headers,
+            withCredentials: options.withCredentials
+        };
+        //只有幂等的 GET 请求才允许重试
+        var retry = type === 'GET' ? Util.extend({
+            times: 0,
+            delay: 1000,
+            maxDelay: 30000
+        }, options.retry || getRequestRetry()) : null;
+        var attempt = function (count) {
+            var request = me._abortableFetch(config.url, {
+                method: config.method,
+                body: config.body,
+                headers: config.headers,
+                credentials: config.withCredentials ? 'include' : 'omit',
                 mode: 'cors',
                 timeout: getRequestTimeout()
-            }).then(function (response) {
+            }, options);
+            if (!retry || count >= retry.times) {
+                return request;
+            }
+            return request.then(function (response) {
+                if (me._isRetryableStatus(response.status)) {
+                    return me._retryLater(retry, count, options.signal, attempt);
+                }
                 return response;
-            }));
+            }, function (e) {
+                if (me.isAbortError(e)) {
+                    throw e;
+                }
+                return me._retryLater(retry, count, options.signal, attempt);
+            });
+        };
+        var send = function () {
+            if (!interceptors.length) {
+                return attempt(0);
+            }
+            return me._intercept(interceptors, 'request', config).then(function (result) {
+                config = result;
+                return attempt(0);
+            }).then(function (response) {
+                return me._intercept(interceptors.slice().reverse(), 'response', response, config, options);
+            });
+        };
+        if (type === 'PUT' || type === 'DELETE') {
+            me._invalidateCache(url, options.cache);
         }
-        return fetch(url, {
-            method: type,
-            body: type === 'PUT' || type === 'POST' ? params : undefined,
-            headers: options.headers,
-            credentials: options.withCredentials ? 'include' : 'omit',
-            mode: 'cors',
-            timeout: getRequestTimeout()
-        }).then(function (response) {
-            return response;
+        var cache = type === 'GET' || type === 'POST' ? me._getCache(options.cache) : null;
+        if (!cache) {
+            return send();
+        }
+        return me._cachedFetch(cache, ResponseCache.createKey(type, url, config.body), send, !options.signal);
+    },
+
+    _getCache: function (cache) {
+        if (cache instanceof ResponseCache) {
+            return cache;
+        }
+        return cache ? getRequestCache() : null;
+    },
+
+    //先查找缓存，未命中时发送请求并缓存成功的响应。没有取消信号的相同请求共用一次网络请求
+    _cachedFetch: function (cache, key, send, shared) {
+        var me = this;
+        me._pendingCache = me._pendingCache || {};
+        var pending = shared && me._pendingCache[key];
+        if (!pending) {
+            pending = cache.match(key).then(function (cached) {
+                if (cached) {
+                    return cached;
+                }
+                return send().then(function (response) {
+                    if (!response || !response.ok) {
+                        return response;
+                    }
+                    var done = function () {
+                        return response;
+                    };
+                    return cache.put(key, response.clone()).then(done, done);
+                });
+            });
+            if (shared) {
+                var remove = function () {
+                    delete me._pendingCache[key];
+                };
+                me._pendingCache[key] = pending;
+                pending.then(remove, remove);
+            }
+        }
+        //共用的响应只能读取一次，每个请求返回各自的副本
+        return pending.then(function (response) {
+            return response && response.clone ? response.clone() : response;
+        });
+    },
+
+    //修改资源后，使该资源及其所在集合（上一级地址）的缓存失效
+    _invalidateCache: function (url, cache) {
+        var caches = [getRequestCache()];
+        if (cache instanceof ResponseCache) {
+            caches.push(cache);
+        }
+        var path = url.split('?')[0].replace(/\.(json|rjson|jsonp)$/, '');
+        var parent = path.substring(0, path.lastIndexOf('/'));
+        caches.forEach(function (item) {
+            item && item.invalidate(function (key) {
+                var keyPath = key.split(' ')[1].split('?')[0].replace(/\.(json|rjson|jsonp)$/, '');
+                return keyPath === path || keyPath === parent || keyPath.indexOf(path + '/') === 0;
+            });
+        });
+    },
+
+    /**
+     * @function SuperMap.FetchRequest.addInterceptor
+     * @description 添加全局拦截器，对所有通过 fetch 发送的请求生效（JSONP 请求不经过拦截器）。
+     *              请求发出前按添加顺序执行 request 方法，收到响应后按相反顺序执行 response 方法。
+     *              对于 {@link SuperMap.CommonServiceBase} 的子类，服务结果解析完成后、触发 processCompleted 事件前还会执行 result 方法。
+     *              各方法可以直接返回处理后的值，也可以返回 Promise；抛出异常或返回被拒绝的 Promise 会使请求失败。
+     * @param {Object} interceptor - 拦截器。
+     * @param {function} [interceptor.request] - 请求拦截方法，参数为请求配置对象 {method, url, body, headers, withCredentials}，返回修改后的配置对象。
+     * @param {function} [interceptor.response] - 响应拦截方法，参数为 fetch 的 Response 对象、请求配置对象和请求参数（options），返回 Response 对象。
+     * @param {function} [interceptor.result] - 服务结果拦截方法，参数为解析后的服务结果和请求参数，返回处理后的结果。
+     * @example
+     * SuperMap.FetchRequest.addInterceptor({
+     *     request: function (config) {
+     *         config.headers['Authorization'] = 'Bearer ' + token;
+     *         return config;
+     *     }
+     * });
+     */
+    addInterceptor: function (interceptor) {
+        if (interceptor && this.interceptors.indexOf(interceptor) === -1) {
+            this.interceptors.push(interceptor);
+        }
+    },
+
+    /**
+     * @function SuperMap.FetchRequest.removeInterceptor
+     * @description 移除全局拦截器。
+     * @param {Object} interceptor - 要移除的拦截器。
+     */
+    removeInterceptor: function (interceptor) {
+        var index = this.interceptors.indexOf(interceptor);
+        if (index > -1) {
+            this.interceptors.splice(index, 1);
+        }
+    },
+
+    /**
+     * @function SuperMap.FetchRequest.getInterceptors
+     * @description 获取一次请求生效的拦截器，全局拦截器在前，请求自身的拦截器在后。
+     * @param {Array.<Object>} [interceptors] - 请求自身的拦截器。
+     * @returns {Array.<Object>} 拦截器数组。
+     */
+    getInterceptors: function (interceptors) {
+        return this.interceptors.concat(interceptors || []);
+    },
+
+    /**
+     * @function SuperMap.FetchRequest.interceptResult
+     * @description 依次执行拦截器的 result 方法处理服务结果。
+     * @param {Object} result - 解析后的服务结果。
+     * @param {Object} options - 请求参数。
+     * @param {Array.<Object>} [options.interceptors] - 请求自身的拦截器。
+     * @returns {Promise} 处理后的服务结果。
+     */
+    interceptResult: function (result, options) {
+        var interceptors = this.getInterceptors(options && options.interceptors).reverse();
+        return this._intercept(interceptors, 'result', result, options);
+    },
+
+    _intercept: function (interceptors, type, value, context, options) {
+        var promise = Promise.resolve(value);
+        interceptors.forEach(function (interceptor) {
+            if (interceptor && typeof interceptor[type] === 'function') {
+                promise = promise.then(function (current) {
+                    var result = interceptor[type](current, context, options);
+                    return result === undefined ? current : result;
+                });
+            }
+        });
+        return promise;
+    },
+
+    /**
+     * @private
+     * @description 发送可被取消的 fetch 请求。options.signal 触发 abort 事件或超时后，底层请求会被中止（浏览器支持 AbortController 时），
+     *              同时返回的 Promise 以 AbortError 或 SuperMap.TimeoutError 拒绝；请求本身失败时以 SuperMap.NetworkError 拒绝。
+     */
+    _abortableFetch: function (url, init, options) {
+        var me = this,
+            signal = options.signal;
+        if (signal && signal.aborted) {
+            return Promise.reject(me._createAbortError());
+        }
+        var controller = window.AbortController ? new window.AbortController() : null;
+        if (controller) {
+            init.signal = controller.signal;
+        }
+        return new Promise(function (resolve, reject) {
+            var timer = null;
+            var settle = function (callback, value) {
+                if (timer) {
+                    clearTimeout(timer);
+                }
+                if (signal && signal.removeEventListener) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                callback(value);
+            };
+            var onAbort = function () {
+                controller && controller.abort();
+                settle(reject, me._createAbortError());
+            };
+            if (signal && signal.addEventListener) {
+                signal.addEventListener('abort', onAbort);
+            }
+            if (options.timeout) {
+                timer = setTimeout(function () {
+                    controller && controller.abort();
+                    settle(reject, new TimeoutError("timeout", options.timeout));
+                }, options.timeout);
+            }
+            fetch(url, init).then(function (response) {
+                settle(resolve, response);
+            }, function (e) {
+                settle(reject, new NetworkError(e && e.message, e));
+            });
+        });
+    },
+
+    _abortable: function (promise, signal) {
+        var me = this;
+        if (!signal || !promise || !promise.then) {
+            return promise;
+        }
+        if (signal.aborted) {
+            return Promise.reject(me._createAbortError());
+        }
+        return new Promise(function (resolve, reject) {
+            var onAbort = function () {
+                reject(me._createAbortError());
+            };
+            var removeListener = function () {
+                signal.removeEventListener && signal.removeEventListener('abort', onAbort);
+            };
+            signal.addEventListener && signal.addEventListener('abort', onAbort);
+            promise.then(function (result) {
+                removeListener();
+                signal.aborted ? onAbort() : resolve(result);
+            }, function (e) {
+                removeListener();
+                reject(e);
+            });
+        });
+    },
+
+    //等待重试期间取消请求时立即拒绝，不再等到延时结束
+    _retryLater: function (retry, count, signal, attempt) {
+        var me = this;
+        var delay = Math.min(retry.delay * Math.pow(2, count), retry.maxDelay);
+        if (signal && signal.aborted) {
+            return Promise.reject(me._createAbortError());
+        }
+        return new Promise(function (resolve, reject) {
+            var onAbort = function () {
+                clearTimeout(timer);
+                reject(me._createAbortError());
+            };
+            var timer = setTimeout(function () {
+                signal && signal.removeEventListener && signal.removeEventListener('abort', onAbort);
+                //只有 aborted 属性的取消令牌在延时结束时检查
+                if (signal && signal.aborted) {
+                    reject(me._createAbortError());
+                    return;
+                }
+                attempt(count + 1).then(resolve, reject);
+            }, delay);
+            signal && signal.addEventListener && signal.addEventListener('abort', onAbort);
+        });
+    },
+
+    _isRetryableStatus: function (status) {
+        return status === 429 || status === 502 || status === 503 || status === 504;
+    },
+
+    _createAbortError: function () {
+        var error = new Error("The request was aborted.");
+        error.name = 'AbortError';
+        return error;
+    },
+
+    /**
+     * @function SuperMap.FetchRequest.isAbortError
+     * @description 判断请求失败是否由取消请求（options.signal）引起。
+     * @param {Error} error - 请求失败时的错误对象。
+     * @returns {boolean} 是否为取消请求引起的错误。
+     */
+    isAbortError: function (error) {
+        return !!error && error.name === 'AbortError';
+    },
+
+    /**
+     * @function SuperMap.FetchRequest.checkStatus
+     * @description 检查响应的 HTTP 状态码。状态码表示失败时读取响应中的错误信息，以 {@link SuperMap.ServerError} 拒绝，
+     *              身份认证失败（401 或 token 失效）时以 {@link SuperMap.AuthError} 拒绝。
+     * @param {Response} response - fetch 的 Response 对象。
+     * @returns {Promise} 状态码正常时返回 Response 对象的 Promise 对象。
+     */
+    checkStatus: function (response) {
+        if (!response || response.ok !== false) {
+            return Promise.resolve(response);
+        }
+        return response.text().then(function (text) {
+            var result;
+            try {
+                result = JSON.parse(text);
+            } catch (e) {
+                result = null;
+            }
+            throw ServerError.fromResult(result, response.status);
+        });
+    },
+
+    /**
+     * @function SuperMap.FetchRequest.parseJSON
+     * @description 将响应解析为 JSON 对象。HTTP 状态码表示失败或返回 iServer 错误信息（如 {succeed: false, error: {code, errorMsg}}）时，
+     *              以 {@link SuperMap.ServerError} 或 {@link SuperMap.AuthError} 拒绝；响应内容不是合法的 JSON 时以 {@link SuperMap.ParseError} 拒绝。
+     * @param {Response|Object} response - fetch 的 Response 对象。JSONP 请求时为已解析的结果对象。
+     * @returns {Promise} 返回解析结果的 Promise 对象。
+     */
+    parseJSON: function (response) {
+        if (!response || typeof response.text !== 'function') {
+            return ServerError.isErrorResult(response) ? Promise.reject(ServerError.fromResult(response)) : Promise.resolve(response);
+        }
+        return this.checkStatus(response).then(function () {
+            return response.text();
+        }).then(function (text) {
+            var result;
+            try {
+                result = JSON.parse(text);
+            } catch (e) {
+                throw new ParseError(e.message, text);
+            }
+            if (ServerError.isErrorResult(result)) {
+                throw ServerError.fromResult(result, response.status);
+            }
+            return result;
         });
     },
 
@@ -231,7 +633,7 @@ export var FetchRequest = SuperMap.FetchRequest = {
     _timeout: function (seconds, promise) {
         return new Promise(function (resolve, reject) {
             setTimeout(function () {
-                reject(new Error("timeout"))
+                reject(new TimeoutError("timeout", seconds))
             }, seconds)
             promise.then(resolve, reject)
         })
@@ -0,0 +1,207 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import supercluster from 'supercluster';
+import {
+    SuperMap
+} from '../SuperMap';
+
+/**
+ * @class SuperMap.PointCluster
+ * @category BaseTypes Util
+ * @classdesc 按地图级别聚合点对象的聚类索引。对象的坐标为经纬度，聚类距离按 Web 墨卡托投影下的像素计算。
+ *            查询结果中未被聚合的对象原样返回，聚合后的对象用聚类对象表示，聚类对象的格式为：
+ *            {cluster: true, id, zoom, coordinates: [lng, lat], count, value, label}。
+ * @param {Object} options - 参数。
+ * @param {function} options.getCoordinates - 获取对象经纬度的函数，参数为对象，返回 [lng, lat]。
+ * @param {function} [options.getValue] - 获取对象统计值的函数，参数为对象，返回数值。聚类对象的 value 为成员统计值之和，不设置时为成员个数。
+ * @param {number} [options.radius=60] - 聚类半径，单位为像素。
+ * @param {number} [options.minZoom=0] - 生成聚类的最小级别。
+ * @param {number} [options.maxZoom=16] - 生成聚类的最大级别，大于此级别时不再聚合。
+ * @param {number} [options.tileSize=256] - 地图瓦片的像素大小，0 级时整个世界的像素宽度。
+ * @example
+ * var pointCluster = new SuperMap.PointCluster({
+ *     radius: 80,
+ *     getCoordinates: function (graphic) {
+ *         var latLng = graphic.getLatLng();
+ *         return [latLng.lng, latLng.lat];
+ *     }
+ * });
+ * pointCluster.load(graphics);
+ * var clusters = pointCluster.getClusters([-180, -90, 180, 90], map.getZoom());
+ */
+export class PointCluster {
+
+    constructor(options) {
+        options = options || {};
+        this.getCoordinates = options.getCoordinates;
+        this.getValue = options.getValue;
+        this.radius = options.radius || 60;
+        this.minZoom = options.minZoom || 0;
+        this.maxZoom = options.maxZoom === undefined ? 16 : options.maxZoom;
+        this.tileSize = options.tileSize || 256;
+        /**
+         * @member {number} SuperMap.PointCluster.prototype.totalValue
+         * @description 全部对象的统计值之和，可用于按聚类的统计值设置符号大小。
+         */
+        this.totalValue = 0;
+        this._index = null;
+        this.CLASS_NAME = "SuperMap.PointCluster";
+    }
+
+    /**
+     * @function SuperMap.PointCluster.prototype.load
+     * @description 使用对象数组重建聚类索引。无法获取坐标的对象不参与聚类。
+     * @param {Array.<Object>} items - 对象数组。
+     */
+    load(items) {
+        var points = [];
+        var totalValue = 0;
+        for (var i = 0; i < (items || []).length; i++) {
+            var coordinates = items[i] && this.getCoordinates(items[i]);
+            if (!coordinates) {
+                continue;
+            }
+            var value = this._getItemValue(items[i]);
+            totalValue += value;
+            points.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: coordinates
+                },
+                properties: {
+                    value: value
+                },
+                item: items[i]
+            });
+        }
+        this.totalValue = totalValue;
+        this._index = supercluster({
+            radius: this.radius,
+            extent: this.tileSize,
+            minZoom: this.minZoom,
+            maxZoom: this.maxZoom,
+            initial: function () {
+                return {value: 0};
+            },
+            reduce: function (accumulated, properties) {
+                accumulated.value += properties.value;
+            }
+        }).load(points);
+    }
+
+    /**
+     * @function SuperMap.PointCluster.prototype.getClusters
+     * @description 获取范围内指定级别的对象和聚类对象。
+     * @param {Array.<number>} bounds - 经纬度范围，格式为 [minX, minY, maxX, maxY]。
+     * @param {number} zoom - 地图级别，小数级别按向下取整处理。
+     * @returns {Array.<Object>} 未被聚合的对象和聚类对象的数组。
+     */
+    getClusters(bounds, zoom) {
+        if (!this._index) {
+            return [];
+        }
+        bounds = [
+            Math.max(bounds[0], -180),
+            Math.max(bounds[1], -90),
+            Math.min(bounds[2], 180),
+            Math.min(bounds[3], 90)
+        ];
+        if (bounds[0] > bounds[2] || bounds[1] > bounds[3]) {
+            return [];
+        }
+        var clusterZoom = this._getClusterZoom(zoom);
+        var me = this;
+        return this._index.getClusters(bounds, clusterZoom).map(function (feature) {
+            return me._toResult(feature, clusterZoom);
+        });
+    }
+
+    /**
+     * @function SuperMap.PointCluster.prototype.getChildren
+     * @description 获取聚类对象下一级的对象和聚类对象。
+     * @param {Object} cluster - 聚类对象。
+     * @returns {Array.<Object>} 未被聚合的对象和聚类对象的数组。
+     */
+    getChildren(cluster) {
+        var me = this;
+        return this._index.getChildren(cluster.id, cluster.zoom).map(function (feature) {
+            return me._toResult(feature, cluster.zoom + 1);
+        });
+    }
+
+    /**
+     * @function SuperMap.PointCluster.prototype.getLeaves
+     * @description 获取聚类对象包含的全部对象。
+     * @param {Object} cluster - 聚类对象。
+     * @param {number} [limit=Infinity] - 返回的最大个数。
+     * @param {number} [offset=0] - 跳过的个数，可与 limit 一起用于分页。
+     * @returns {Array.<Object>} 对象数组。
+     */
+    getLeaves(cluster, limit, offset) {
+        return this._index.getLeaves(cluster.id, cluster.zoom, limit || Infinity, offset || 0).map(function (feature) {
+            return feature.item;
+        });
+    }
+
+    /**
+     * @function SuperMap.PointCluster.prototype.getExpansionZoom
+     * @description 获取聚类对象展开（分成多个对象）时的地图级别，可用于点击聚类后放大地图。
+     * @param {Object} cluster - 聚类对象。
+     * @returns {number} 地图级别。
+     */
+    getExpansionZoom(cluster) {
+        return this._index.getClusterExpansionZoom(cluster.id, cluster.zoom);
+    }
+
+    /**
+     * @function SuperMap.PointCluster.prototype.destroy
+     * @description 释放资源，将引用资源的属性置空。
+     */
+    destroy() {
+        this._index = null;
+        this.getCoordinates = null;
+        this.getValue = null;
+    }
+
+    /**
+     * @function SuperMap.PointCluster.isCluster
+     * @description 判断查询结果是否为聚类对象。
+     * @param {Object} item - 查询结果。
+     * @returns {boolean} 是否为聚类对象。
+     */
+    static isCluster(item) {
+        return !!item && item.cluster === true && item.coordinates !== undefined;
+    }
+
+    _getItemValue(item) {
+        if (!this.getValue) {
+            return 1;
+        }
+        var value = parseFloat(this.getValue(item));
+        return isNaN(value) ? 0 : value;
+    }
+
+    _getClusterZoom(zoom) {
+        return Math.max(this.minZoom, Math.min(Math.floor(zoom), this.maxZoom + 1));
+    }
+
+    _toResult(feature, zoom) {
+        if (!feature.properties.cluster) {
+            return feature.item;
+        }
+        var properties = feature.properties;
+        return {
+            cluster: true,
+            id: properties.cluster_id,
+            zoom: zoom,
+            coordinates: feature.geometry.coordinates,
+            count: properties.point_count,
+            value: this.getValue ? properties.value : properties.point_count,
+            label: String(properties.point_count_abbreviated)
+        };
+    }
+}
+
+SuperMap.PointCluster = PointCluster;
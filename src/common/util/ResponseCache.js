@@ -0,0 +1,346 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {
+    SuperMap
+} from '../SuperMap';
+import {
+    Util
+} from '../commontypes/Util';
+
+var STORE_NAME = 'responses';
+
+/**
+ * @class SuperMap.ResponseCache
+ * @category BaseTypes Util
+ * @classdesc 请求响应缓存。内存中按最近最少使用（LRU）策略保存响应，可选使用 IndexedDB 持久化，页面刷新后缓存仍然有效。
+ *            通过 {@link SuperMap.setRequestCache} 设置为全局缓存后，GetFieldsService、GetLayersInfoService、MapService、FieldStatisticService、
+ *            WebMap 加载地图信息的请求以及 cache 参数为 true 的请求会优先从缓存中读取响应。
+ *            缓存以请求方式、地址和请求体作为键，只缓存成功（状态码 2xx）的响应。
+ * @param {Object} [options] - 参数。
+ * @param {number} [options.maxSize=100] - 内存中最多缓存的响应个数。
+ * @param {number} [options.ttl=300000] - 缓存的有效期，单位毫秒。
+ * @param {boolean} [options.persistent=false] - 是否使用 IndexedDB 持久化缓存。浏览器不支持 IndexedDB 时只使用内存缓存。
+ * @param {string} [options.dbName='SuperMapResponseCache'] - IndexedDB 数据库名称。
+ * @example
+ * SuperMap.setRequestCache(new SuperMap.ResponseCache({
+ *     ttl: 10 * 60 * 1000,
+ *     persistent: true
+ * }));
+ * //数据集字段修改后，使相关的缓存失效
+ * SuperMap.getRequestCache().invalidate('/datasets/Countries/fields');
+ */
+export class ResponseCache {
+
+    constructor(options) {
+        /**
+         * @member {number} SuperMap.ResponseCache.prototype.maxSize
+         * @description 内存中最多缓存的响应个数。
+         */
+        this.maxSize = 100;
+
+        /**
+         * @member {number} SuperMap.ResponseCache.prototype.ttl
+         * @description 缓存的有效期，单位毫秒。
+         */
+        this.ttl = 300000;
+
+        /**
+         * @member {boolean} SuperMap.ResponseCache.prototype.persistent
+         * @description 是否使用 IndexedDB 持久化缓存。
+         */
+        this.persistent = false;
+
+        /**
+         * @member {string} SuperMap.ResponseCache.prototype.dbName
+         * @description IndexedDB 数据库名称。
+         */
+        this.dbName = 'SuperMapResponseCache';
+
+        Util.extend(this, options);
+
+        this._entries = {};
+        //按访问顺序保存的键，最近访问的在数组末尾
+        this._keys = [];
+        this._db = null;
+        this.CLASS_NAME = "SuperMap.ResponseCache";
+    }
+
+    /**
+     * @function SuperMap.ResponseCache.createKey
+     * @description 根据请求生成缓存的键。
+     * @param {string} method - 请求方式。
+     * @param {string} url - 请求地址。
+     * @param {Object|string} [body] - 请求体。
+     * @returns {string} 缓存的键。
+     */
+    static createKey(method, url, body) {
+        if (body && typeof body !== 'string') {
+            body = JSON.stringify(body);
+        }
+        return (method || 'GET').toUpperCase() + ' ' + url + (body ? ' ' + body : '');
+    }
+
+    /**
+     * @function SuperMap.ResponseCache.prototype.match
+     * @description 查找缓存的响应。
+     * @param {string} key - 缓存的键。
+     * @returns {Promise} 返回 Response 对象的 Promise 对象，缓存不存在或已过期时返回 undefined。
+     */
+    match(key) {
+        var me = this;
+        return me._get(key).then(function (entry) {
+            if (!entry) {
+                return;
+            }
+            return new window.Response(entry.body, {
+                status: entry.status,
+                statusText: entry.statusText,
+                headers: entry.headers
+            });
+        });
+    }
+
+    /**
+     * @function SuperMap.ResponseCache.prototype.put
+     * @description 缓存响应。会读取响应的内容，如需继续使用该响应，请传入 response.clone()。
+     * @param {string} key - 缓存的键。
+     * @param {Response} response - 要缓存的响应。
+     * @returns {Promise} 响应写入内存缓存后完成的 Promise 对象。
+     */
+    put(key, response) {
+        var me = this;
+        return response.text().then(function (body) {
+            var contentType = response.headers && response.headers.get('Content-Type');
+            var entry = {
+                key: key,
+                status: response.status,
+                statusText: response.statusText,
+                headers: contentType ? {
+                    'Content-Type': contentType
+                } : {},
+                body: body,
+                expires: new Date().getTime() + me.ttl
+            };
+            me._set(entry);
+            if (me.persistent) {
+                me._store('readwrite', function (store) {
+                    store.put(entry);
+                });
+            }
+        });
+    }
+
+    /**
+     * @function SuperMap.ResponseCache.prototype.remove
+     * @description 删除缓存的响应。
+     * @param {string} key - 缓存的键。
+     * @returns {Promise} 删除完成后的 Promise 对象。
+     */
+    remove(key) {
+        this._delete(key);
+        if (!this.persistent) {
+            return Promise.resolve();
+        }
+        return this._store('readwrite', function (store) {
+            store.delete(key);
+        });
+    }
+
+    /**
+     * @function SuperMap.ResponseCache.prototype.invalidate
+     * @description 使匹配的缓存失效。
+     * @param {string|RegExp|function} matcher - 匹配条件。为字符串时删除键（请求方式、地址和请求体）中包含该字符串的缓存；
+     *                                           为正则表达式时删除键与之匹配的缓存；为函数时参数为缓存的键，返回 true 的缓存将被删除。
+     * @returns {Promise} 删除完成后的 Promise 对象。
+     */
+    invalidate(matcher) {
+        var me = this,
+            test = me._createMatcher(matcher);
+        me._keys.slice().forEach(function (key) {
+            if (test(key)) {
+                me._delete(key);
+            }
+        });
+        if (!me.persistent) {
+            return Promise.resolve();
+        }
+        return me._store('readwrite', function (store) {
+            me._eachStored(store, function (cursor) {
+                if (test(cursor.key)) {
+                    cursor.delete();
+                }
+            });
+        });
+    }
+
+    /**
+     * @function SuperMap.ResponseCache.prototype.clear
+     * @description 清空缓存。
+     * @returns {Promise} 清空完成后的 Promise 对象。
+     */
+    clear() {
+        this._entries = {};
+        this._keys = [];
+        if (!this.persistent) {
+            return Promise.resolve();
+        }
+        return this._store('readwrite', function (store) {
+            store.clear();
+        });
+    }
+
+    /**
+     * @function SuperMap.ResponseCache.prototype.destroy
+     * @description 销毁缓存对象，关闭 IndexedDB 连接。持久化的缓存不会被删除。
+     */
+    destroy() {
+        var me = this;
+        me._entries = {};
+        me._keys = [];
+        me._db && me._db.then(function (db) {
+            db && db.close();
+        });
+        me._db = null;
+    }
+
+    _get(key) {
+        var me = this,
+            now = new Date().getTime(),
+            entry = me._entries[key];
+        if (entry) {
+            if (entry.expires > now) {
+                me._touch(key);
+                return Promise.resolve(entry);
+            }
+            me._delete(key);
+        }
+        if (!me.persistent) {
+            return Promise.resolve();
+        }
+        var stored;
+        return me._store('readonly', function (store) {
+            store.get(key).onsuccess = function (e) {
+                stored = e.target.result;
+            };
+        }).then(function () {
+            if (!stored) {
+                return;
+            }
+            if (stored.expires <= new Date().getTime()) {
+                me.remove(key);
+                return;
+            }
+            me._set(stored);
+            return stored;
+        });
+    }
+
+    _set(entry) {
+        var me = this;
+        me._entries[entry.key] = entry;
+        me._touch(entry.key);
+        while (me._keys.length > me.maxSize) {
+            delete me._entries[me._keys.shift()];
+        }
+    }
+
+    _touch(key) {
+        var index = this._keys.indexOf(key);
+        if (index > -1) {
+            this._keys.splice(index, 1);
+        }
+        this._keys.push(key);
+    }
+
+    _delete(key) {
+        var index = this._keys.indexOf(key);
+        if (index > -1) {
+            this._keys.splice(index, 1);
+        }
+        delete this._entries[key];
+    }
+
+    _createMatcher(matcher) {
+        if (typeof matcher === 'function') {
+            return matcher;
+        }
+        if (matcher instanceof RegExp) {
+            return function (key) {
+                return matcher.test(key);
+            };
+        }
+        return function (key) {
+            return key.indexOf(matcher) > -1;
+        };
+    }
+
+    _eachStored(store, callback) {
+        store.openCursor().onsuccess = function (e) {
+            var cursor = e.target.result;
+            if (cursor) {
+                callback(cursor);
+                cursor.continue();
+            }
+        };
+    }
+
+    //打开数据库，同时清除已过期的持久化缓存。不支持 IndexedDB 或打开失败时返回 null，只使用内存缓存
+    _openDB() {
+        var me = this;
+        if (me._db) {
+            return me._db;
+        }
+        me._db = new Promise(function (resolve) {
+            var indexedDB = window.indexedDB;
+            if (!indexedDB) {
+                resolve(null);
+                return;
+            }
+            var request;
+            try {
+                request = indexedDB.open(me.dbName, 1);
+            } catch (e) {
+                resolve(null);
+                return;
+            }
+            request.onupgradeneeded = function () {
+                request.result.createObjectStore(STORE_NAME, {
+                    keyPath: 'key'
+                });
+            };
+            request.onsuccess = function () {
+                var db = request.result,
+                    now = new Date().getTime();
+                me._eachStored(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME), function (cursor) {
+                    if (cursor.value.expires <= now) {
+                        cursor.delete();
+                    }
+                });
+                resolve(db);
+            };
+            request.onerror = function () {
+                resolve(null);
+            };
+        });
+        return me._db;
+    }
+
+    //在一个事务中操作持久化缓存，事务结束后返回。IndexedDB 出错时忽略，不影响请求
+    _store(mode, operation) {
+        return this._openDB().then(function (db) {
+            if (!db) {
+                return;
+            }
+            return new Promise(function (resolve) {
+                var transaction = db.transaction(STORE_NAME, mode);
+                transaction.oncomplete = transaction.onerror = transaction.onabort = function () {
+                    resolve();
+                };
+                operation(transaction.objectStore(STORE_NAME));
+            });
+        });
+    }
+}
+
+SuperMap.ResponseCache = ResponseCache;
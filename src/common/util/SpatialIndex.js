@@ -0,0 +1,207 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import rbush from 'rbush';
+import {
+    SuperMap
+} from '../SuperMap';
+import {
+    Util
+} from '../commontypes/Util';
+
+/**
+ * @class SuperMap.SpatialIndex
+ * @category BaseTypes Util
+ * @classdesc 基于 R 树的空间索引，用于快速查询范围内的对象，例如高效率点图层的点击、悬停和框选。
+ *            查询结果按对象加入索引的先后顺序排列，与绘制顺序一致。
+ * @param {Object} options - 参数。
+ * @param {function} options.getBounds - 获取对象范围的函数，参数为对象，返回 [minX, minY, maxX, maxY]。
+ * @param {number} [options.maxEntries=9] - R 树节点的最大子节点数。
+ * @example
+ * var index = new SuperMap.SpatialIndex({
+ *     getBounds: function (graphic) {
+ *         var latLng = graphic.getLatLng();
+ *         return [latLng.lng, latLng.lat, latLng.lng, latLng.lat];
+ *     }
+ * });
+ * index.load(graphics);
+ * var result = index.search([100, 20, 110, 30]);
+ */
+export class SpatialIndex {
+
+    constructor(options) {
+        options = options || {};
+        this.getBounds = options.getBounds;
+        this._tree = rbush(options.maxEntries);
+        this._order = 0;
+        this.CLASS_NAME = "SuperMap.SpatialIndex";
+    }
+
+    /**
+     * @function SuperMap.SpatialIndex.prototype.load
+     * @description 使用对象数组重建索引，会清除索引中原有的对象。
+     * @param {Array.<Object>} items - 对象数组。
+     */
+    load(items) {
+        this.clear();
+        this._tree.load(this._toEntries(items));
+    }
+
+    /**
+     * @function SuperMap.SpatialIndex.prototype.insert
+     * @description 向索引中添加对象。
+     * @param {(Object|Array.<Object>)} items - 对象或对象数组。
+     */
+    insert(items) {
+        var entries = this._toEntries(Util.isArray(items) ? items : [items]);
+        if (entries.length === 1) {
+            this._tree.insert(entries[0]);
+        } else if (entries.length) {
+            this._tree.load(entries);
+        }
+    }
+
+    /**
+     * @function SuperMap.SpatialIndex.prototype.remove
+     * @description 从索引中删除对象。对象的范围需要与加入索引时一致。
+     * @param {(Object|Array.<Object>)} items - 对象或对象数组。
+     */
+    remove(items) {
+        items = Util.isArray(items) ? items : [items];
+        for (var i = 0; i < items.length; i++) {
+            var entry = this._toEntry(items[i]);
+            entry && this._tree.remove(entry, function (a, b) {
+                return a.item === b.item;
+            });
+        }
+    }
+
+    /**
+     * @function SuperMap.SpatialIndex.prototype.clear
+     * @description 清空索引。
+     */
+    clear() {
+        this._tree.clear();
+        this._order = 0;
+    }
+
+    /**
+     * @function SuperMap.SpatialIndex.prototype.getExtent
+     * @description 获取索引中全部对象的范围。索引为空时返回 null。
+     * @returns {Array.<number>} 范围，格式为 [minX, minY, maxX, maxY]。
+     */
+    getExtent() {
+        var data = this._tree.data;
+        return data.children.length ? [data.minX, data.minY, data.maxX, data.maxY] : null;
+    }
+
+    /**
+     * @function SuperMap.SpatialIndex.prototype.search
+     * @description 查询与范围相交的对象。
+     * @param {Array.<number>} bounds - 范围，格式为 [minX, minY, maxX, maxY]。
+     * @returns {Array.<Object>} 按加入索引的先后顺序排列的对象数组。
+     */
+    search(bounds) {
+        return this._sort(this._tree.search({
+            minX: bounds[0],
+            minY: bounds[1],
+            maxX: bounds[2],
+            maxY: bounds[3]
+        }));
+    }
+
+    /**
+     * @function SuperMap.SpatialIndex.prototype.searchPolygon
+     * @description 查询中心点在多边形内的对象，可用于套索选择。
+     * @param {Array.<Array.<number>>} ring - 多边形的坐标数组，首尾可以不闭合。
+     * @returns {Array.<Object>} 按加入索引的先后顺序排列的对象数组。
+     */
+    searchPolygon(ring) {
+        if (!ring || ring.length < 3) {
+            return [];
+        }
+        var bounds = [Infinity, Infinity, -Infinity, -Infinity];
+        ring.forEach(function (coordinate) {
+            bounds[0] = Math.min(bounds[0], coordinate[0]);
+            bounds[1] = Math.min(bounds[1], coordinate[1]);
+            bounds[2] = Math.max(bounds[2], coordinate[0]);
+            bounds[3] = Math.max(bounds[3], coordinate[1]);
+        });
+        var entries = this._tree.search({
+            minX: bounds[0],
+            minY: bounds[1],
+            maxX: bounds[2],
+            maxY: bounds[3]
+        }).filter(function (entry) {
+            return SpatialIndex.isPointInRing([(entry.minX + entry.maxX) / 2, (entry.minY + entry.maxY) / 2], ring);
+        });
+        return this._sort(entries);
+    }
+
+    /**
+     * @function SuperMap.SpatialIndex.prototype.destroy
+     * @description 释放资源，将引用资源的属性置空。
+     */
+    destroy() {
+        this.clear();
+        this.getBounds = null;
+    }
+
+    /**
+     * @function SuperMap.SpatialIndex.isPointInRing
+     * @description 判断点是否在多边形内。
+     * @param {Array.<number>} point - 点坐标。
+     * @param {Array.<Array.<number>>} ring - 多边形的坐标数组。
+     * @returns {boolean} 点是否在多边形内。
+     */
+    static isPointInRing(point, ring) {
+        var inside = false;
+        for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            var xi = ring[i][0],
+                yi = ring[i][1],
+                xj = ring[j][0],
+                yj = ring[j][1];
+            if (((yi > point[1]) !== (yj > point[1])) && (point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    _toEntries(items) {
+        var entries = [];
+        for (var i = 0; i < (items || []).length; i++) {
+            var entry = this._toEntry(items[i], this._order);
+            if (entry) {
+                entries.push(entry);
+                this._order++;
+            }
+        }
+        return entries;
+    }
+
+    _toEntry(item, order) {
+        var bounds = item && this.getBounds(item);
+        if (!bounds) {
+            return null;
+        }
+        return {
+            minX: bounds[0],
+            minY: bounds[1],
+            maxX: bounds[2],
+            maxY: bounds[3],
+            order: order,
+            item: item
+        };
+    }
+
+    _sort(entries) {
+        return entries.sort(function (a, b) {
+            return a.order - b.order;
+        }).map(function (entry) {
+            return entry.item;
+        });
+    }
+}
+
+SuperMap.SpatialIndex = SpatialIndex;
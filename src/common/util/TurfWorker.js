@@ -0,0 +1,296 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {
+    SuperMap
+} from '../SuperMap';
+
+//内置 worker 默认加载的 Turf.js 地址，与 dist/leaflet/workers/TurfWorker.js 一致
+const TURF_URL = 'https://cdnjs.cloudflare.com/ajax/libs/Turf.js/5.1.6/turf.js';
+
+/*
+ * worker 内执行的代码，会被转为字符串创建内置 worker，因此只能使用参数 scope 和 turf，不能引用模块内的其他变量。
+ * 消息协议：
+ * 主线程发送 {id, method, argsList}，argsList 为参数数组的数组，依次尝试直到执行成功（用于兼容 Turf.js 4 和 5 的参数形式）；
+ * worker 返回 {id, progress}、{id, result} 或者 {id, error}。
+ */
+function turfWorkerScope(scope, turf) {
+    //输入为要素集合时可以逐个要素执行的方法，执行过程中返回进度
+    var FEATURE_WISE_METHODS = {
+        buffer: true,
+        simplify: true,
+        transformScale: true
+    };
+    //每个任务最多返回的进度次数
+    var PROGRESS_COUNT = 20;
+
+    function execute(fn, args, data) {
+        var input = args[0];
+        if (!FEATURE_WISE_METHODS[data.method] || !input || input.type !== 'FeatureCollection') {
+            return fn.apply(null, args);
+        }
+        var features = input.features || [];
+        var step = Math.max(1, Math.ceil(features.length / PROGRESS_COUNT));
+        var results = [];
+        for (var i = 0; i < features.length; i++) {
+            var result = fn.apply(null, [features[i]].concat(args.slice(1)));
+            if (result) {
+                results = results.concat(result.type === 'FeatureCollection' ? result.features : [result]);
+            }
+            if ((i + 1) % step === 0 && i + 1 < features.length) {
+                scope.postMessage({id: data.id, progress: (i + 1) / features.length});
+            }
+        }
+        return turf.featureCollection(results);
+    }
+
+    scope.onmessage = function (event) {
+        var data = event.data;
+        if (!data || data.id === undefined) {
+            return;
+        }
+        var fn = turf[data.method];
+        if (typeof fn !== 'function') {
+            scope.postMessage({id: data.id, error: 'turf.' + data.method + ' is not a function'});
+            return;
+        }
+        scope.postMessage({id: data.id, progress: 0});
+        var error;
+        for (var i = 0; i < data.argsList.length; i++) {
+            try {
+                var result = execute(fn, data.argsList[i], data);
+                scope.postMessage({id: data.id, progress: 1});
+                scope.postMessage({id: data.id, result: result === undefined ? null : result});
+                return;
+            } catch (e) {
+                error = e;
+            }
+        }
+        scope.postMessage({id: data.id, error: error ? error.message || String(error) : 'invalid arguments'});
+    };
+}
+
+/**
+ * @class SuperMap.TurfWorker
+ * @category BaseTypes Util
+ * @classdesc 在 Web Worker 中执行 Turf.js 的空间分析方法，避免大数据量分析时阻塞页面。任务按提交的先后顺序依次执行，执行中可以获取进度或者取消。
+ *            buffer、simplify、transformScale 方法的输入为要素集合时逐个要素执行，执行中返回实际进度；其他方法在开始和结束时返回进度。
+ * @param {Object} [options] - 参数。
+ * @param {string} [options.workerUrl] - worker 脚本地址。不设置时使用内置的 worker，自定义脚本可以使用 {@link SuperMap.TurfWorker.getWorkerScript} 生成。
+ * @param {string} [options.turfUrl='https://cdnjs.cloudflare.com/ajax/libs/Turf.js/5.1.6/turf.js'] - 内置 worker 加载的 Turf.js 脚本地址。
+ * @example
+ * var turfWorker = new SuperMap.TurfWorker();
+ * var taskId = turfWorker.run('buffer', [[points, 10, {units: 'kilometers'}]], {
+ *     onProgress: function (progress) {
+ *         console.log(Math.round(progress * 100) + '%');
+ *     },
+ *     onComplete: function (result) {
+ *         console.log(result.features.length);
+ *     }
+ * });
+ * turfWorker.cancel(taskId);
+ */
+export class TurfWorker {
+
+    constructor(options) {
+        options = options || {};
+        this.workerUrl = options.workerUrl;
+        this.turfUrl = options.turfUrl || TURF_URL;
+        this._tasks = [];
+        this._runningTask = null;
+        this._worker = null;
+        this._workerObjectUrl = null;
+        this._taskId = 0;
+        this.CLASS_NAME = "SuperMap.TurfWorker";
+    }
+
+    /**
+     * @function SuperMap.TurfWorker.prototype.run
+     * @description 提交任务，在 worker 中执行 Turf.js 方法。
+     * @param {string} method - Turf.js 方法名，例如 buffer。
+     * @param {Array.<Array>} argsList - 参数数组的数组，依次尝试直到执行成功。参数需要能够被结构化克隆，不能包含函数。
+     * @param {Object} [handlers] - 任务回调函数。
+     * @param {function} [handlers.onProgress] - 进度回调函数，参数为 0 到 1 之间的进度和任务 ID。
+     * @param {function} [handlers.onComplete] - 执行成功的回调函数，参数为执行结果和任务 ID。
+     * @param {function} [handlers.onError] - 执行失败的回调函数，参数为错误信息和任务 ID。
+     * @param {function} [handlers.onCancel] - 取消任务的回调函数，参数为任务 ID。
+     * @returns {number} 任务 ID。
+     */
+    run(method, argsList, handlers) {
+        var task = {
+            id: ++this._taskId,
+            method: method,
+            argsList: argsList,
+            handlers: handlers || {}
+        };
+        this._tasks.push(task);
+        this._next();
+        return task.id;
+    }
+
+    /**
+     * @function SuperMap.TurfWorker.prototype.cancel
+     * @description 取消任务。正在执行的任务会通过结束 worker 停止执行，之后的任务在新的 worker 中继续执行。
+     * @param {number} [taskId] - 任务 ID。不设置时取消全部任务。
+     */
+    cancel(taskId) {
+        var cancelled;
+        if (taskId === undefined || taskId === null) {
+            cancelled = this._tasks;
+            this._tasks = [];
+            if (this._runningTask) {
+                cancelled.unshift(this._runningTask);
+            }
+        } else {
+            cancelled = this._tasks.filter(function (task) {
+                return task.id === taskId;
+            });
+            this._tasks = this._tasks.filter(function (task) {
+                return task.id !== taskId;
+            });
+            if (this._runningTask && this._runningTask.id === taskId) {
+                cancelled.push(this._runningTask);
+            }
+        }
+        if (this._runningTask && cancelled.indexOf(this._runningTask) > -1) {
+            this._runningTask = null;
+            this._terminate();
+        }
+        cancelled.forEach(function (task) {
+            task.handlers.onCancel && task.handlers.onCancel(task.id);
+        });
+        this._next();
+    }
+
+    /**
+     * @function SuperMap.TurfWorker.prototype.isRunning
+     * @description 是否有正在执行或者等待执行的任务。
+     * @returns {boolean} 是否有未完成的任务。
+     */
+    isRunning() {
+        return !!this._runningTask || this._tasks.length > 0;
+    }
+
+    /**
+     * @function SuperMap.TurfWorker.prototype.destroy
+     * @description 取消全部任务，结束 worker 并释放资源。
+     */
+    destroy() {
+        this.cancel();
+        this._terminate();
+    }
+
+    /**
+     * @function SuperMap.TurfWorker.getWorkerScript
+     * @description 获取内置 worker 的脚本，可以保存为文件后通过 workerUrl 参数使用。
+     * @param {string} [turfUrl='https://cdnjs.cloudflare.com/ajax/libs/Turf.js/5.1.6/turf.js'] - Turf.js 脚本地址。
+     * @returns {string} worker 脚本。
+     */
+    static getWorkerScript(turfUrl) {
+        return "importScripts('" + (turfUrl || TURF_URL) + "');\n(" + turfWorkerScope.toString() + ")(self, turf);";
+    }
+
+    /**
+     * @function SuperMap.TurfWorker.workerScope
+     * @description 在 worker 作用域中注册消息处理函数，使其可以执行 {@link SuperMap.TurfWorker} 提交的任务。
+     * @param {Object} scope - worker 的全局作用域，通常为 self。
+     * @param {Object} turf - Turf.js 对象。
+     */
+    static workerScope(scope, turf) {
+        turfWorkerScope(scope, turf);
+    }
+
+    /**
+     * @function SuperMap.TurfWorker.hasFunction
+     * @description 判断参数对象中是否有函数。函数不能发送到 worker，包含回调函数的方法（例如 coordEach）需要在主线程中执行。
+     * @param {Object} args - 参数对象。
+     * @returns {boolean} 是否有函数。
+     */
+    static hasFunction(args) {
+        for (var key in args) {
+            if (typeof args[key] === 'function') {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    _next() {
+        if (this._runningTask || !this._tasks.length) {
+            return;
+        }
+        var task = this._runningTask = this._tasks.shift();
+        try {
+            this._getWorker().postMessage({
+                id: task.id,
+                method: task.method,
+                argsList: task.argsList
+            });
+        } catch (e) {
+            this._runningTask = null;
+            task.handlers.onError && task.handlers.onError(e.message || String(e), task.id);
+            this._next();
+        }
+    }
+
+    _getWorker() {
+        if (this._worker) {
+            return this._worker;
+        }
+        var url = this.workerUrl;
+        if (!url) {
+            if (!this._workerObjectUrl) {
+                var blob = new Blob([TurfWorker.getWorkerScript(this.turfUrl)], {type: 'application/javascript'});
+                this._workerObjectUrl = URL.createObjectURL(blob);
+            }
+            url = this._workerObjectUrl;
+        }
+        var worker = this._worker = new Worker(url);
+        worker.onmessage = (event) => {
+            this._handleMessage(event.data);
+        };
+        worker.onerror = (event) => {
+            event.preventDefault && event.preventDefault();
+            var task = this._runningTask;
+            this._runningTask = null;
+            this._terminate();
+            task && task.handlers.onError && task.handlers.onError(event.message || 'worker error', task.id);
+            this._next();
+        };
+        return worker;
+    }
+
+    _handleMessage(data) {
+        var task = this._runningTask;
+        if (!data || !task || data.id !== task.id) {
+            return;
+        }
+        var handlers = task.handlers;
+        if (data.progress !== undefined) {
+            handlers.onProgress && handlers.onProgress(data.progress, task.id);
+            return;
+        }
+        this._runningTask = null;
+        if (data.error !== undefined) {
+            handlers.onError && handlers.onError(data.error, task.id);
+        } else {
+            handlers.onComplete && handlers.onComplete(data.result, task.id);
+        }
+        this._next();
+    }
+
+    _terminate() {
+        if (this._worker) {
+            this._worker.onmessage = null;
+            this._worker.onerror = null;
+            this._worker.terminate();
+            this._worker = null;
+        }
+        if (this._workerObjectUrl && !this.isRunning()) {
+            URL.revokeObjectURL(this._workerObjectUrl);
+            this._workerObjectUrl = null;
+        }
+    }
+}
+
+SuperMap.TurfWorker = TurfWorker;
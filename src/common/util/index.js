@@ -6,9 +6,49 @@ import {
     isCORS,
     setRequestTimeout,
     getRequestTimeout,
+    setRequestRetry,
+    getRequestRetry,
+    setRequestCache,
+    getRequestCache,
     FetchRequest
 } from './FetchRequest';
 
+import {
+    ResponseCache
+} from './ResponseCache';
+
+import {
+    AttributeFilter
+} from './AttributeFilter';
+
+import {
+    DataFlowHistory
+} from './DataFlowHistory';
+
+import {
+    SpatialIndex
+} from './SpatialIndex';
+
+import {
+    PointCluster
+} from './PointCluster';
+
+import {
+    ClusterSymbol
+} from './ClusterSymbol';
+
+import {
+    TurfParameters
+} from './TurfParameters';
+
+import {
+    TurfWorker
+} from './TurfWorker';
+
+import {
+    FeatureExport
+} from './FeatureExport';
+
 import {
     ColorsPickerUtil
 }from './ColorsPickerUtil'
@@ -17,12 +57,35 @@ import {
     ArrayStatistic
 }from './ArrayStatistic';
 
+import {
+    Classification
+} from './Classification';
+
+import {
+    ColorRamp
+} from './ColorRamp';
+
 export {
     setCORS,
     isCORS,
     setRequestTimeout,
     getRequestTimeout,
+    setRequestRetry,
+    getRequestRetry,
+    setRequestCache,
+    getRequestCache,
     FetchRequest,
+    ResponseCache,
+    AttributeFilter,
+    DataFlowHistory,
+    SpatialIndex,
+    PointCluster,
+    ClusterSymbol,
+    TurfParameters,
+    TurfWorker,
+    FeatureExport,
     ColorsPickerUtil,
-    ArrayStatistic
+    ArrayStatistic,
+    Classification,
+    ColorRamp
 } ;
\ No newline at end of file
@@ -10,7 +10,13 @@ export const FileTypes = {
     CSV: "CSV",
     ISERVER: "ISERVER",
     GEOJSON: "GEOJSON",
-    JSON: 'JSON'
+    JSON: 'JSON',
+    SHP: 'SHP',
+    KML: 'KML',
+    KMZ: 'KMZ',
+    GPX: 'GPX',
+    FLATGEOBUF: 'FLATGEOBUF',
+    GEOPACKAGE: 'GEOPACKAGE'
 };
 export const FileConfig = {
     fileMaxSize: 10 * 1024 * 1024
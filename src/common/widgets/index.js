@@ -22,7 +22,7 @@ import {CityTabsPage} from './templates/CityTabsPage';
 import {NavTabsPage} from './templates/NavTabsPage';
 import {PaginationContainer} from './templates/PaginationContainer';
 //工具类
-import {widgetsUtil, FileReaderUtil} from './util';
+import {widgetsUtil, FileReaderUtil, ZipUtil, ShapefileParser, KMLParser, GPXParser, FlatGeobufParser, GeoPackageParser} from './util';
 
 
 export {FileTypes, FileConfig}
@@ -40,4 +40,4 @@ export {IndexTabsPageContainer};
 export {CityTabsPage};
 export {NavTabsPage};
 export {PaginationContainer};
-export {widgetsUtil, FileReaderUtil};
+export {widgetsUtil, FileReaderUtil, ZipUtil, ShapefileParser, KMLParser, GPXParser, FlatGeobufParser, GeoPackageParser};
@@ -5,12 +5,19 @@ import {SuperMap} from '../../SuperMap';
 import XLSX from 'xlsx'
 import {FileTypes} from '../CommonTypes';
 import {Lang} from '../../lang/Lang';
+import {WKT} from '../../format/WKT';
+import {ShapefileParser} from './ShapefileParser';
+import {KMLParser} from './KMLParser';
+import {GPXParser} from './GPXParser';
+import {FlatGeobufParser} from './FlatGeobufParser';
+import {GeoPackageParser} from './GeoPackageParser';
+import {toGeoJSONGeometry} from './Util';
 
 /**
  * @class SuperMap.Widgets.FileReaderUtil
  * @classdesc 微件读取文件工具类。
  * @version 9.1.1
- * @type {{rABS: (boolean|*), rABF: (boolean|*), rAT: (boolean|*), readFile: (function(*, *=, *=, *=, *=)), readTextFile: (function(*, *=, *=, *=)), readXLSXFile: (function(*, *=, *=, *=)), processDataToGeoJson: (function(string, Object): GeoJSONObject), processExcelDataToGeoJson: (function(Object): GeoJSONObject), isXField: (function(*)), isYField: (function(*)), string2Csv: (function(*, *=))}}
+ * @type {{rABS: (boolean|*), rABF: (boolean|*), rAT: (boolean|*), readFile: (function(*, *=, *=, *=, *=)), readTextFile: (function(*, *=, *=, *=)), readXLSXFile: (function(*, *=, *=, *=)), readArrayBufferFile: (function(*, *=, *=, *=)), processDataToGeoJson: (function(string, Object): GeoJSONObject), processExcelDataToGeoJson: (function(Object): GeoJSONObject), isXField: (function(*)), isYField: (function(*)), isWKTField: (function(*)), string2Csv: (function(*, *=))}}
  */
 export let FileReaderUtil = {
     rABS: typeof FileReader !== 'undefined' && FileReader.prototype && FileReader.prototype.readAsBinaryString,
@@ -32,6 +39,10 @@ export let FileReaderUtil = {
             this.readTextFile(file, success, failed, context)
         } else if (FileTypes.EXCEL === fileType || FileTypes.CSV === fileType) {
             this.readXLSXFile(file, success, failed, context)
+        } else if (FileTypes.KML === fileType || FileTypes.GPX === fileType) {
+            this.readTextFile(file, success, failed, context)
+        } else if (FileTypes.SHP === fileType || FileTypes.KMZ === fileType || FileTypes.FLATGEOBUF === fileType || FileTypes.GEOPACKAGE === fileType) {
+            this.readArrayBufferFile(file, success, failed, context)
         }
     },
 
@@ -82,6 +93,24 @@ export let FileReaderUtil = {
         this.rABF && reader.readAsArrayBuffer(file.file);
     },
 
+    /**
+     * 读取二进制文件，用于 Shapefile、KMZ、FlatGeobuf 和 GeoPackage 文件
+     * @param file
+     * @param success
+     * @param failed
+     * @param {Object} context - 回调重定向对象
+     */
+    readArrayBufferFile(file, success, failed, context) {
+        let reader = new FileReader();
+        reader.onloadend = function (evt) {
+            success && success.call(context, evt.target.result);
+        };
+        reader.onerror = function (error) {
+            failed && failed.call(context, error)
+        };
+        this.rABF && reader.readAsArrayBuffer(file.file);
+    },
+
     /**
      * @function SuperMap.Widgets.FileReaderUtil.prototype.processDataToGeoJson
      * @description 将读取回来得数据统一处理为 GeoJSON 格式
@@ -114,13 +143,38 @@ export let FileReaderUtil = {
                 failed && failed.call(context, Lang.i18n('msg_dataInWrongGeoJSONFormat'));
             }
             success && success.call(context, geojson);
+        } else if (type === FileTypes.SHP || type === FileTypes.KML || type === FileTypes.KMZ || type === FileTypes.GPX || type === FileTypes.FLATGEOBUF || type === FileTypes.GEOPACKAGE) {
+            try {
+                geojson = this._parseGeoFile(type, data);
+            } catch (e) {
+                failed && failed.call(context, Lang.i18n('msg_dataInWrongFormat'));
+                return;
+            }
+            success && success.call(context, geojson);
         } else {
             failed && failed.call(context, Lang.i18n('msg_dataInWrongFormat'));
         }
     },
+
+    _parseGeoFile(type, data) {
+        switch (type) {
+            case FileTypes.SHP:
+                return ShapefileParser.parse(data);
+            case FileTypes.KML:
+                return KMLParser.parse(data);
+            case FileTypes.KMZ:
+                return KMLParser.parseKMZ(data);
+            case FileTypes.GPX:
+                return GPXParser.parse(data);
+            case FileTypes.GEOPACKAGE:
+                return GeoPackageParser.parse(data);
+            default:
+                return FlatGeobufParser.parse(data);
+        }
+    },
     /**
      * @function SuperMap.Widgets.FileReaderUtil.prototype.processExcelDataToGeoJson
-     * @description 表格文件数据处理
+     * @description 表格文件数据处理，没有经纬度列时使用 WKT 列的几何对象
      * @param {Object} data - 读取的表格文件数据
      * @returns {GeoJSONObject} 返回标准 GeoJSON 规范格式数据
      * @private
@@ -141,10 +195,29 @@ export let FileReaderUtil = {
                 yfieldIndex = i;
             }
         }
+        //没有经纬度列时，按列名或者第一行的内容查找 WKT 列
+        let wktFieldIndex = -1;
+        if (xfieldIndex < 0 || yfieldIndex < 0) {
+            for (let i = 0, len = fieldCaptions.length; i < len; i++) {
+                if (this.isWKTField(fieldCaptions[i]) || (dataContent.rows[0] && isWKT(dataContent.rows[0][i]))) {
+                    wktFieldIndex = i;
+                    break;
+                }
+            }
+        }
+        let wktFormat = wktFieldIndex > -1 ? new WKT() : null;
         // feature 构建后期支持坐标系 4326/3857
         let features = [];
         for (let i = 0, len = dataContent.rows.length; i < len; i++) {
             let row = dataContent.rows[i];
+            if (wktFormat) {
+                features.push({
+                    "type": "Feature",
+                    "geometry": wktToGeometry(wktFormat, row[wktFieldIndex]),
+                    "properties": this._getAttributes(dataContent, i, wktFieldIndex)
+                });
+                continue;
+            }
             //if (featureFrom === "LonLat") {
             let x = Number(row[xfieldIndex]),
                 y = Number(row[yfieldIndex]);
@@ -169,6 +242,17 @@ export let FileReaderUtil = {
         }
         return features;
     },
+
+    _getAttributes(dataContent, rowIndex, excludeIndex) {
+        let attributes = {};
+        for (let index = 0; index < dataContent.colTitles.length; index++) {
+            if (index !== excludeIndex) {
+                attributes[dataContent.colTitles[index]] = dataContent.rows[rowIndex][index];
+            }
+        }
+        return attributes;
+    },
+
     /**
      * 判断是否地理X坐标
      * @param data
@@ -190,6 +274,16 @@ export let FileReaderUtil = {
             lowerdata === "wd" || lowerdata === "纬度" || lowerdata === "北纬" ||
             lowerdata === "latitude" || lowerdata === "lat" || lowerdata === "y坐标");
     },
+
+    /**
+     * 判断是否 WKT 几何对象列
+     * @param data
+     */
+    isWKTField(data) {
+        var lowerdata = data.toLowerCase();
+        return (lowerdata === "wkt" || lowerdata === "geometry" || lowerdata === "geom" ||
+            lowerdata === "the_geom" || lowerdata === "shape" || lowerdata === "几何");
+    },
     /**
      * 字符串转为dataEditor 支持的csv格式数据
      * @param string
@@ -200,18 +294,64 @@ export let FileReaderUtil = {
         let rows = string.split('\n');
         let result = {};
         if (!withoutTitle) {
-            result["colTitles"] = rows[0].split(',');
+            result["colTitles"] = splitCsvRow(rows[0]);
         } else {
             result["colTitles"] = [];
         }
         result['rows'] = [];
         for (let i = (withoutTitle) ? 0 : 1; i < rows.length; i++) {
-            rows[i] && result['rows'].push(rows[i].split(','));
+            rows[i] && result['rows'].push(splitCsvRow(rows[i]));
         }
         return result;
     }
 
 };
 
+//按逗号分隔一行 csv 数据，双引号中的逗号不分隔（例如 WKT），两个双引号表示一个双引号
+function splitCsvRow(row) {
+    if (row.indexOf('"') < 0) {
+        return row.split(',');
+    }
+    let values = [];
+    let value = '';
+    let quoted = false;
+    for (let i = 0; i < row.length; i++) {
+        let char = row.charAt(i);
+        if (quoted) {
+            if (char === '"' && row.charAt(i + 1) === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            values.push(value);
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    values.push(value);
+    return values;
+}
+
+//支持 SuperMap.Format.WKT 可以读取的 EWKT 的 SRID 前缀、Z/M/ZM 坐标和 EMPTY，例如 PostGIS 输出的 "SRID=4326;POINT Z (1 2 3)"
+function isWKT(value) {
+    return typeof value === 'string' && /^\s*(?:SRID\s*=\s*-?\d+\s*;\s*)?(?:POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\s*(?:ZM|Z|M)?\s*(?:\(|EMPTY\s*$)/i.test(value);
+}
+
+//将 WKT 转为 GeoJSON 几何对象，无法解析时为 null
+function wktToGeometry(format, wkt) {
+    if (!isWKT(wkt)) {
+        return null;
+    }
+    let features = format.read(wkt);
+    return features ? toGeoJSONGeometry(features) : null;
+}
+
 SuperMap.Widgets.FileReaderUtil = FileReaderUtil;
 
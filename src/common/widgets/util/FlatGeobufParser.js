@@ -0,0 +1,411 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {SuperMap} from '../../SuperMap';
+import proj4 from 'proj4';
+import {decodeText} from './ZipUtil';
+
+const MAGIC_BYTES = [0x66, 0x67, 0x62];
+//空间索引中每个节点的字节数：4 个 double 的范围和 1 个 uint64 的偏移
+const NODE_ITEM_LENGTH = 40;
+const GEOMETRY_TYPES = ['Unknown', 'Point', 'LineString', 'Polygon', 'MultiPoint', 'MultiLineString', 'MultiPolygon', 'GeometryCollection'];
+
+//schema 中各个表的字段序号
+const HEADER_FIELDS = {
+    geometryType: 2,
+    columns: 7,
+    featuresCount: 8,
+    indexNodeSize: 9,
+    crs: 10
+};
+const COLUMN_FIELDS = {
+    name: 0,
+    type: 1
+};
+const CRS_FIELDS = {
+    org: 0,
+    code: 1,
+    wkt: 4
+};
+const FEATURE_FIELDS = {
+    geometry: 0,
+    properties: 1,
+    columns: 2
+};
+const GEOMETRY_FIELDS = {
+    ends: 0,
+    xy: 1,
+    z: 2,
+    type: 6,
+    parts: 7
+};
+
+/**
+ * @class SuperMap.Widgets.FlatGeobufParser
+ * @classdesc 微件解析 FlatGeobuf 文件的工具类。读取全部要素并转换为 GeoJSON 要素，坐标系不是 WGS84 时按文件中的 EPSG 编码或者 WKT 转换为经纬度坐标。
+ * @category Widgets OpenFile
+ * @type {{isFlatGeobuf: (function(ArrayBuffer): boolean), parse: (function(ArrayBuffer): GeoJSONObject)}}
+ */
+export let FlatGeobufParser = {
+
+    /**
+     * @function SuperMap.Widgets.FlatGeobufParser.prototype.isFlatGeobuf
+     * @description 判断二进制数据是否为 FlatGeobuf 文件。
+     * @param {ArrayBuffer} buffer - 二进制数据。
+     * @returns {boolean} 是否为 FlatGeobuf 文件。
+     */
+    isFlatGeobuf(buffer) {
+        let bytes = new Uint8Array(buffer, 0, Math.min(8, buffer.byteLength));
+        return bytes.length === 8 && MAGIC_BYTES.every((byte, i) => bytes[i] === byte && bytes[i + 4] === byte);
+    },
+
+    /**
+     * @function SuperMap.Widgets.FlatGeobufParser.prototype.parse
+     * @description 解析 FlatGeobuf 文件。
+     * @param {ArrayBuffer} buffer - FlatGeobuf 文件的二进制数据。
+     * @returns {GeoJSONObject} GeoJSON 要素集合。
+     */
+    parse(buffer) {
+        if (!this.isFlatGeobuf(buffer)) {
+            throw new Error('Invalid flatgeobuf file');
+        }
+        let view = new DataView(buffer);
+        let offset = 8;
+        let headerLength = view.getUint32(offset, true);
+        let header = readHeader(new Table(view, offset + 4 + view.getUint32(offset + 4, true)));
+        offset += 4 + headerLength;
+        if (header.indexNodeSize > 0 && header.featuresCount > 0) {
+            offset += calcTreeSize(header.featuresCount, header.indexNodeSize);
+        }
+        let transform = getTransform(header.crs);
+        let features = [];
+        while (offset + 4 <= view.byteLength) {
+            let featureLength = view.getUint32(offset, true);
+            if (!featureLength) {
+                break;
+            }
+            let table = new Table(view, offset + 4 + view.getUint32(offset + 4, true));
+            features.push(readFeature(table, header, transform));
+            offset += 4 + featureLength;
+        }
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+
+};
+
+//FlatBuffers 表，按字段序号读取字段
+class Table {
+
+    constructor(view, position) {
+        this.view = view;
+        this.position = position;
+        this.vtable = position - view.getInt32(position, true);
+        this.vtableLength = view.getUint16(this.vtable, true);
+    }
+
+    //字段在缓冲区中的位置，字段不存在时为 0
+    offset(field) {
+        let vtableOffset = 4 + field * 2;
+        if (vtableOffset >= this.vtableLength) {
+            return 0;
+        }
+        let offset = this.view.getUint16(this.vtable + vtableOffset, true);
+        return offset ? this.position + offset : 0;
+    }
+
+    uint8(field, defaultValue) {
+        let offset = this.offset(field);
+        return offset ? this.view.getUint8(offset) : defaultValue;
+    }
+
+    uint16(field, defaultValue) {
+        let offset = this.offset(field);
+        return offset ? this.view.getUint16(offset, true) : defaultValue;
+    }
+
+    int32(field, defaultValue) {
+        let offset = this.offset(field);
+        return offset ? this.view.getInt32(offset, true) : defaultValue;
+    }
+
+    uint64(field, defaultValue) {
+        let offset = this.offset(field);
+        return offset ? readUint64(this.view, offset) : defaultValue;
+    }
+
+    indirect(field) {
+        let offset = this.offset(field);
+        return offset ? offset + this.view.getUint32(offset, true) : 0;
+    }
+
+    string(field) {
+        let position = this.indirect(field);
+        if (!position) {
+            return null;
+        }
+        let length = this.view.getUint32(position, true);
+        return decodeText(new Uint8Array(this.view.buffer, this.view.byteOffset + position + 4, length));
+    }
+
+    table(field) {
+        let position = this.indirect(field);
+        return position ? new Table(this.view, position) : null;
+    }
+
+    //返回向量的长度和第一个元素的位置
+    vector(field) {
+        let position = this.indirect(field);
+        return position ? {
+            length: this.view.getUint32(position, true),
+            start: position + 4
+        } : null;
+    }
+
+    tables(field) {
+        let vector = this.vector(field);
+        let tables = [];
+        for (let i = 0; vector && i < vector.length; i++) {
+            let position = vector.start + i * 4;
+            tables.push(new Table(this.view, position + this.view.getUint32(position, true)));
+        }
+        return tables;
+    }
+
+    doubles(field) {
+        let vector = this.vector(field);
+        let values = [];
+        for (let i = 0; vector && i < vector.length; i++) {
+            values.push(this.view.getFloat64(vector.start + i * 8, true));
+        }
+        return values;
+    }
+
+    uint32s(field) {
+        let vector = this.vector(field);
+        let values = [];
+        for (let i = 0; vector && i < vector.length; i++) {
+            values.push(this.view.getUint32(vector.start + i * 4, true));
+        }
+        return values;
+    }
+
+}
+
+function readUint64(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+function readHeader(table) {
+    let crsTable = table.table(HEADER_FIELDS.crs);
+    return {
+        geometryType: table.uint8(HEADER_FIELDS.geometryType, 0),
+        columns: table.tables(HEADER_FIELDS.columns).map(readColumn),
+        featuresCount: table.uint64(HEADER_FIELDS.featuresCount, 0),
+        indexNodeSize: table.uint16(HEADER_FIELDS.indexNodeSize, 16),
+        crs: crsTable ? {
+            org: crsTable.string(CRS_FIELDS.org),
+            code: crsTable.int32(CRS_FIELDS.code, 0),
+            wkt: crsTable.string(CRS_FIELDS.wkt)
+        } : null
+    };
+}
+
+function readColumn(table) {
+    return {
+        name: table.string(COLUMN_FIELDS.name),
+        type: table.uint8(COLUMN_FIELDS.type, 0)
+    };
+}
+
+function calcTreeSize(count, nodeSize) {
+    nodeSize = Math.min(Math.max(nodeSize, 2), 65535);
+    let n = count;
+    let numNodes = n;
+    do {
+        n = Math.ceil(n / nodeSize);
+        numNodes += n;
+    } while (n !== 1);
+    return numNodes * NODE_ITEM_LENGTH;
+}
+
+function getTransform(crs) {
+    if (!crs) {
+        return null;
+    }
+    let projection = null;
+    if (crs.wkt && !/^\s*GEOGCS/i.test(crs.wkt)) {
+        projection = proj4(crs.wkt, 'EPSG:4326');
+    } else if (crs.code && crs.code !== 4326 && (!crs.org || crs.org.toUpperCase() === 'EPSG')) {
+        //proj4 只内置了 4326、4269、3857 等少量坐标系，其他坐标系需要提前通过 proj4.defs 定义
+        projection = proj4('EPSG:' + crs.code, 'EPSG:4326');
+    }
+    return projection && function (coordinates) {
+        let result = projection.forward([coordinates[0], coordinates[1]]);
+        return coordinates.length > 2 ? result.concat(coordinates.slice(2)) : result;
+    };
+}
+
+function readFeature(table, header, transform) {
+    let geometryTable = table.table(FEATURE_FIELDS.geometry);
+    let geometry = geometryTable ? readGeometry(geometryTable, header.geometryType, transform) : null;
+    let columns = table.tables(FEATURE_FIELDS.columns).map(readColumn);
+    return {
+        type: 'Feature',
+        geometry: geometry,
+        properties: readProperties(table, columns.length ? columns : header.columns)
+    };
+}
+
+function readCoordinates(table, start, end, transform) {
+    let xy = table.doubles(GEOMETRY_FIELDS.xy);
+    let z = table.doubles(GEOMETRY_FIELDS.z);
+    let coordinates = [];
+    start = start || 0;
+    end = end === undefined ? xy.length / 2 : end;
+    for (let i = start; i < end; i++) {
+        let coordinate = [xy[i * 2], xy[i * 2 + 1]];
+        if (z.length) {
+            coordinate.push(z[i]);
+        }
+        coordinates.push(transform ? transform(coordinate) : coordinate);
+    }
+    return coordinates;
+}
+
+//按 ends 将坐标分为多个部分，没有 ends 时只有一个部分
+function readParts(table, transform) {
+    let ends = table.uint32s(GEOMETRY_FIELDS.ends);
+    if (!ends.length) {
+        return [readCoordinates(table, 0, undefined, transform)];
+    }
+    let start = 0;
+    return ends.map(function (end) {
+        let coordinates = readCoordinates(table, start, end, transform);
+        start = end;
+        return coordinates;
+    });
+}
+
+function readGeometry(table, geometryType, transform) {
+    let type = GEOMETRY_TYPES[geometryType || table.uint8(GEOMETRY_FIELDS.type, 0)];
+    switch (type) {
+        case 'Point':
+            return {type: type, coordinates: readCoordinates(table, 0, undefined, transform)[0]};
+        case 'MultiPoint':
+        case 'LineString':
+            return {type: type, coordinates: readCoordinates(table, 0, undefined, transform)};
+        case 'Polygon':
+        case 'MultiLineString':
+            return {type: type, coordinates: readParts(table, transform)};
+        case 'MultiPolygon': {
+            let parts = table.tables(GEOMETRY_FIELDS.parts);
+            return {
+                type: type,
+                coordinates: parts.length ? parts.map((part) => readParts(part, transform)) : [readParts(table, transform)]
+            };
+        }
+        case 'GeometryCollection':
+            return {
+                type: type,
+                geometries: table.tables(GEOMETRY_FIELDS.parts).map((part) => readGeometry(part, 0, transform))
+            };
+        default:
+            return null;
+    }
+}
+
+//属性按 (uint16 列序号, 值) 依次存储，值的格式由列类型决定
+function readProperties(table, columns) {
+    let properties = {};
+    let vector = table.vector(FEATURE_FIELDS.properties);
+    if (!vector) {
+        return properties;
+    }
+    let view = table.view;
+    let offset = vector.start;
+    let end = vector.start + vector.length;
+    while (offset + 2 <= end) {
+        let column = columns[view.getUint16(offset, true)];
+        offset += 2;
+        if (!column) {
+            break;
+        }
+        let value;
+        switch (column.type) {
+            case 0:
+                value = view.getInt8(offset);
+                offset += 1;
+                break;
+            case 1:
+                value = view.getUint8(offset);
+                offset += 1;
+                break;
+            case 2:
+                value = !!view.getUint8(offset);
+                offset += 1;
+                break;
+            case 3:
+                value = view.getInt16(offset, true);
+                offset += 2;
+                break;
+            case 4:
+                value = view.getUint16(offset, true);
+                offset += 2;
+                break;
+            case 5:
+                value = view.getInt32(offset, true);
+                offset += 4;
+                break;
+            case 6:
+                value = view.getUint32(offset, true);
+                offset += 4;
+                break;
+            case 7:
+                value = view.getUint32(offset, true) + view.getInt32(offset + 4, true) * 0x100000000;
+                offset += 8;
+                break;
+            case 8:
+                value = readUint64(view, offset);
+                offset += 8;
+                break;
+            case 9:
+                value = view.getFloat32(offset, true);
+                offset += 4;
+                break;
+            case 10:
+                value = view.getFloat64(offset, true);
+                offset += 8;
+                break;
+            case 11:
+            case 12:
+            case 13: {
+                let length = view.getUint32(offset, true);
+                value = decodeText(new Uint8Array(view.buffer, view.byteOffset + offset + 4, length));
+                if (column.type === 12) {
+                    try {
+                        value = JSON.parse(value);
+                    } catch (e) {
+                        //保留原始字符串
+                    }
+                }
+                offset += 4 + length;
+                break;
+            }
+            case 14: {
+                let length = view.getUint32(offset, true);
+                value = new Uint8Array(view.buffer.slice(view.byteOffset + offset + 4, view.byteOffset + offset + 4 + length));
+                offset += 4 + length;
+                break;
+            }
+            default:
+                throw new Error('Unsupported flatgeobuf column type: ' + column.type);
+        }
+        properties[column.name] = value;
+    }
+    return properties;
+}
+
+SuperMap.Widgets.FlatGeobufParser = FlatGeobufParser;
@@ -0,0 +1,112 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {SuperMap} from '../../SuperMap';
+import {parseXML, getElements, getChild, getText} from './KMLParser';
+
+/**
+ * @class SuperMap.Widgets.GPXParser
+ * @classdesc 微件解析 GPX 文件的工具类。航点（wpt）转换为点要素，航线（rte）转换为线要素，
+ *            航迹（trk）转换为线或多线要素，name、desc、type 等作为要素属性。
+ * @category Widgets OpenFile
+ * @type {{parse: (function(string): GeoJSONObject)}}
+ */
+export let GPXParser = {
+
+    /**
+     * @function SuperMap.Widgets.GPXParser.prototype.parse
+     * @description 解析 GPX 文本。
+     * @param {string} text - GPX 文本。
+     * @returns {GeoJSONObject} GeoJSON 要素集合。
+     */
+    parse(text) {
+        let doc = parseXML(text);
+        if (!getElements(doc, 'gpx').length) {
+            throw new Error('Invalid gpx file');
+        }
+        let features = [];
+        getElements(doc, 'wpt').forEach(function (wpt) {
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: parsePoint(wpt)
+                },
+                properties: parseProperties(wpt, ['time'])
+            });
+        });
+        getElements(doc, 'rte').forEach(function (rte) {
+            let coordinates = getElements(rte, 'rtept').map(parsePoint);
+            coordinates.length > 1 && features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: coordinates
+                },
+                properties: parseProperties(rte)
+            });
+        });
+        getElements(doc, 'trk').forEach(function (trk) {
+            let lines = [];
+            let times = [];
+            getElements(trk, 'trkseg').forEach(function (trkseg) {
+                let trkpts = getElements(trkseg, 'trkpt');
+                if (trkpts.length < 2) {
+                    return;
+                }
+                lines.push(trkpts.map(parsePoint));
+                times = times.concat(trkpts.map(function (trkpt) {
+                    let time = getChild(trkpt, 'time');
+                    return time ? getText(time) : null;
+                }));
+            });
+            if (!lines.length) {
+                return;
+            }
+            let properties = parseProperties(trk);
+            //保留航迹点的时间，顺序与坐标一致，便于按时间回放
+            if (times.some((time) => !!time)) {
+                properties.coordTimes = times;
+            }
+            features.push({
+                type: 'Feature',
+                geometry: lines.length === 1 ? {
+                    type: 'LineString',
+                    coordinates: lines[0]
+                } : {
+                    type: 'MultiLineString',
+                    coordinates: lines
+                },
+                properties: properties
+            });
+        });
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+
+};
+
+//高程作为 Z 坐标
+function parsePoint(node) {
+    let point = [parseFloat(node.getAttribute('lon')), parseFloat(node.getAttribute('lat'))];
+    let ele = getChild(node, 'ele');
+    if (ele && getText(ele) !== '' && !isNaN(Number(getText(ele)))) {
+        point.push(Number(getText(ele)));
+    }
+    return point;
+}
+
+function parseProperties(node, extraNames) {
+    let properties = {};
+    ['name', 'cmt', 'desc', 'src', 'sym', 'type', 'number'].concat(extraNames || []).forEach(function (name) {
+        let element = getChild(node, name);
+        if (element) {
+            properties[name] = getText(element);
+        }
+    });
+    return properties;
+}
+
+SuperMap.Widgets.GPXParser = GPXParser;
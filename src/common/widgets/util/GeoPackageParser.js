@@ -0,0 +1,386 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {SuperMap} from '../../SuperMap';
+import proj4 from 'proj4';
+import {WKT} from '../../format/WKT';
+import {decodeText} from './ZipUtil';
+import {toGeoJSONGeometry} from './Util';
+
+//SQLite 文件头："SQLite format 3\0"
+const MAGIC_BYTES = [0x53, 0x51, 0x4c, 0x69, 0x74, 0x65, 0x20, 0x66, 0x6f, 0x72, 0x6d, 0x61, 0x74, 0x20, 0x33, 0x00];
+//文件头中的文本编码
+const TEXT_ENCODINGS = {
+    1: 'utf-8',
+    2: 'utf-16le',
+    3: 'utf-16be'
+};
+const INTERIOR_TABLE_PAGE = 0x05;
+const LEAF_TABLE_PAGE = 0x0d;
+//GeoPackage 几何对象头中各种范围的字节数
+const ENVELOPE_LENGTHS = [0, 32, 48, 48, 64];
+
+/**
+ * @class SuperMap.Widgets.GeoPackageParser
+ * @classdesc 微件解析 GeoPackage 文件的工具类。直接读取 SQLite 文件中的表，不依赖 SQLite 库，读取全部要素表并合并为一个要素集合，
+ *            几何对象的 WKB 使用 {@link SuperMap.Format.WKT} 读取，
+ *            坐标系不是 WGS84 时按 gpkg_spatial_ref_sys 中的 EPSG 编码或者 WKT 转换为经纬度坐标。
+ *            不支持瓦片数据、WAL 模式下尚未写入数据库文件的数据和曲线几何类型。
+ * @category Widgets OpenFile
+ * @type {{isGeoPackage: (function(ArrayBuffer): boolean), parse: (function(ArrayBuffer): GeoJSONObject)}}
+ */
+export let GeoPackageParser = {
+
+    /**
+     * @function SuperMap.Widgets.GeoPackageParser.prototype.isGeoPackage
+     * @description 判断二进制数据是否为 SQLite 数据库文件。
+     * @param {ArrayBuffer} buffer - 二进制数据。
+     * @returns {boolean} 是否为 SQLite 数据库文件。
+     */
+    isGeoPackage(buffer) {
+        let bytes = new Uint8Array(buffer, 0, Math.min(MAGIC_BYTES.length, buffer.byteLength));
+        return bytes.length === MAGIC_BYTES.length && MAGIC_BYTES.every((byte, i) => bytes[i] === byte);
+    },
+
+    /**
+     * @function SuperMap.Widgets.GeoPackageParser.prototype.parse
+     * @description 解析 GeoPackage 文件，文件中有多个要素表时合并为一个要素集合。
+     * @param {ArrayBuffer} buffer - GeoPackage 文件的二进制数据。
+     * @returns {GeoJSONObject} GeoJSON 要素集合。
+     */
+    parse(buffer) {
+        if (!this.isGeoPackage(buffer)) {
+            throw new Error('Invalid geopackage file');
+        }
+        let database = new SQLiteReader(buffer);
+        if (!database.hasTable('gpkg_geometry_columns')) {
+            throw new Error('No feature table found in geopackage file');
+        }
+        let spatialRefs = {};
+        database.readTable('gpkg_spatial_ref_sys').forEach(function (row) {
+            spatialRefs[row.srs_id] = row;
+        });
+        let features = [];
+        let wktFormat = new WKT();
+        database.readTable('gpkg_geometry_columns').forEach(function (geometryColumn) {
+            let transform = getTransform(spatialRefs[geometryColumn.srs_id]);
+            database.readTable(geometryColumn.table_name).forEach(function (row) {
+                let properties = {};
+                for (let key in row) {
+                    if (key !== geometryColumn.column_name) {
+                        properties[key] = row[key];
+                    }
+                }
+                features.push({
+                    type: 'Feature',
+                    geometry: readGeometryBlob(wktFormat, row[geometryColumn.column_name], transform),
+                    properties: properties
+                });
+            });
+        });
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+
+};
+
+//只读取 rowid 表的 SQLite 文件读取器
+class SQLiteReader {
+
+    constructor(buffer) {
+        this.bytes = new Uint8Array(buffer);
+        this.view = new DataView(buffer);
+        let pageSize = this.view.getUint16(16);
+        this.pageSize = pageSize === 1 ? 65536 : pageSize;
+        //每页末尾可能保留部分字节
+        this.usableSize = this.pageSize - this.view.getUint8(20);
+        this.encoding = TEXT_ENCODINGS[this.view.getUint32(56)] || 'utf-8';
+        this.tables = null;
+    }
+
+    hasTable(name) {
+        return !!this._getTables()[name.toLowerCase()];
+    }
+
+    //读取表中的全部记录，每条记录为字段名和值的对象
+    readTable(name) {
+        let table = this._getTables()[name.toLowerCase()];
+        if (!table) {
+            return [];
+        }
+        let columns = parseColumns(table.sql);
+        let rows = [];
+        this._readTree(table.rootPage, function (rowid, values) {
+            let row = {};
+            columns.forEach(function (column, i) {
+                //INTEGER PRIMARY KEY 字段的值为 rowid，记录中保存为 NULL；表增加字段前写入的记录中没有该字段
+                let value = values[i] === undefined ? null : values[i];
+                row[column.name] = column.rowid && value === null ? rowid : value;
+            });
+            rows.push(row);
+        });
+        return rows;
+    }
+
+    //sqlite_master 表在第一页，字段为 type、name、tbl_name、rootpage、sql
+    _getTables() {
+        if (!this.tables) {
+            let tables = {};
+            this._readTree(1, function (rowid, values) {
+                if (values[0] === 'table') {
+                    tables[values[1].toLowerCase()] = {
+                        rootPage: values[3],
+                        sql: values[4]
+                    };
+                }
+            });
+            this.tables = tables;
+        }
+        return this.tables;
+    }
+
+    //按 rowid 顺序遍历表的 B-tree
+    _readTree(pageNumber, callback) {
+        let pageOffset = (pageNumber - 1) * this.pageSize;
+        //第一页的前 100 个字节为文件头
+        let headerOffset = pageNumber === 1 ? 100 : pageOffset;
+        let pageType = this.bytes[headerOffset];
+        let cellCount = this.view.getUint16(headerOffset + 3);
+        if (pageType === INTERIOR_TABLE_PAGE) {
+            for (let i = 0; i < cellCount; i++) {
+                let cell = pageOffset + this.view.getUint16(headerOffset + 12 + i * 2);
+                this._readTree(this.view.getUint32(cell), callback);
+            }
+            this._readTree(this.view.getUint32(headerOffset + 8), callback);
+        } else if (pageType === LEAF_TABLE_PAGE) {
+            for (let i = 0; i < cellCount; i++) {
+                let cell = pageOffset + this.view.getUint16(headerOffset + 8 + i * 2);
+                let payloadSize = readVarint(this.bytes, cell);
+                let rowid = readVarint(this.bytes, cell + payloadSize.length);
+                let payload = this._readPayload(cell + payloadSize.length + rowid.length, payloadSize.value);
+                callback(rowid.value, this._readRecord(payload));
+            }
+        } else {
+            throw new Error('Unsupported sqlite page type: ' + pageType);
+        }
+    }
+
+    //读取单元格中的数据，超出单页存储大小的部分保存在溢出页链表中
+    _readPayload(start, size) {
+        let maxLocal = this.usableSize - 35;
+        if (size <= maxLocal) {
+            return this.bytes.subarray(start, start + size);
+        }
+        let minLocal = Math.floor((this.usableSize - 12) * 32 / 255) - 23;
+        let local = minLocal + (size - minLocal) % (this.usableSize - 4);
+        if (local > maxLocal) {
+            local = minLocal;
+        }
+        let payload = new Uint8Array(size);
+        payload.set(this.bytes.subarray(start, start + local));
+        let position = local;
+        let overflowPage = this.view.getUint32(start + local);
+        while (overflowPage && position < size) {
+            let pageOffset = (overflowPage - 1) * this.pageSize;
+            let length = Math.min(size - position, this.usableSize - 4);
+            payload.set(this.bytes.subarray(pageOffset + 4, pageOffset + 4 + length), position);
+            position += length;
+            overflowPage = this.view.getUint32(pageOffset);
+        }
+        return payload;
+    }
+
+    //记录由头部的各字段类型和之后的字段值组成
+    _readRecord(payload) {
+        let view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+        let headerSize = readVarint(payload, 0);
+        let types = [];
+        let position = headerSize.length;
+        while (position < headerSize.value) {
+            let type = readVarint(payload, position);
+            types.push(type.value);
+            position += type.length;
+        }
+        let offset = headerSize.value;
+        return types.map((type) => {
+            let value;
+            if (type === 0) {
+                value = null;
+            } else if (type <= 6) {
+                let length = [1, 2, 3, 4, 6, 8][type - 1];
+                value = readInt(view, offset, length);
+                offset += length;
+            } else if (type === 7) {
+                value = view.getFloat64(offset);
+                offset += 8;
+            } else if (type === 8 || type === 9) {
+                value = type - 8;
+            } else if (type >= 12) {
+                let length = Math.floor((type - 12) / 2);
+                let bytes = payload.subarray(offset, offset + length);
+                value = type % 2 ? decodeText(bytes, this.encoding) : new Uint8Array(bytes);
+                offset += length;
+            } else {
+                throw new Error('Unsupported sqlite serial type: ' + type);
+            }
+            return value;
+        });
+    }
+
+}
+
+//可变长整数：每个字节的低 7 位依次组成整数，最高位为 1 表示还有后续字节，第 9 个字节的 8 位都是数据
+function readVarint(bytes, offset) {
+    let value = 0;
+    for (let i = 0; i < 8; i++) {
+        let byte = bytes[offset + i];
+        value = value * 128 + (byte & 0x7f);
+        if (byte < 0x80) {
+            return {value: value, length: i + 1};
+        }
+    }
+    return {value: value * 256 + bytes[offset + 8], length: 9};
+}
+
+//大端序的有符号整数，超过 2^53 时损失精度
+function readInt(view, offset, length) {
+    let value = view.getInt8(offset);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + view.getUint8(offset + i);
+    }
+    return value;
+}
+
+//按 CREATE TABLE 语句获取字段名，并标记作为 rowid 的 INTEGER PRIMARY KEY 字段
+function parseColumns(sql) {
+    let definitions = splitDefinitions(sql.substring(sql.indexOf('(') + 1, sql.lastIndexOf(')')));
+    let columns = [];
+    let primaryKeys = [];
+    definitions.forEach(function (definition) {
+        let match = /^\s*("(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|'[^']*'|[^\s(]+)([\s\S]*)$/.exec(definition);
+        if (!match) {
+            return;
+        }
+        let constraint = /^(CONSTRAINT|PRIMARY|UNIQUE|CHECK|FOREIGN)$/i.test(match[1]);
+        if (constraint) {
+            let primaryKey = /PRIMARY\s+KEY\s*\(([^,)]+)\)/i.exec(definition);
+            primaryKey && primaryKeys.push(unquote(primaryKey[1].trim().split(/\s+/)[0]));
+            return;
+        }
+        let definitionRest = match[2].trim();
+        columns.push({
+            name: unquote(match[1]),
+            integer: /^INTEGER\b/i.test(definitionRest),
+            rowid: /^INTEGER\b/i.test(definitionRest) && /\bPRIMARY\s+KEY\b/i.test(definitionRest)
+        });
+    });
+    //表约束中只有一个 INTEGER 字段作为主键时，该字段也是 rowid
+    columns.forEach(function (column) {
+        if (column.integer && primaryKeys.indexOf(column.name) > -1) {
+            column.rowid = true;
+        }
+    });
+    return columns;
+}
+
+//按括号和引号之外的逗号分隔字段定义
+function splitDefinitions(text) {
+    let definitions = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        let char = text.charAt(i);
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'" || char === '`') {
+            quote = char;
+        } else if (char === '[') {
+            quote = ']';
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            definitions.push(text.substring(start, i));
+            start = i + 1;
+        }
+    }
+    definitions.push(text.substring(start));
+    return definitions;
+}
+
+function unquote(name) {
+    let first = name.charAt(0);
+    if (first === '"' || first === '`' || first === "'" || first === '[') {
+        name = name.substring(1, name.length - 1);
+    }
+    return first === '"' ? name.replace(/""/g, '"') : name;
+}
+
+function getTransform(spatialRef) {
+    if (!spatialRef) {
+        return null;
+    }
+    let code = spatialRef.organization_coordsys_id;
+    let isEPSG = !spatialRef.organization || spatialRef.organization.toUpperCase() === 'EPSG';
+    //srs_id 为 -1 和 0 时表示未定义的笛卡尔坐标系和地理坐标系
+    if (code <= 0 || (isEPSG && code === 4326)) {
+        return null;
+    }
+    let projection = null;
+    let definition = spatialRef.definition;
+    if (isEPSG && proj4.defs('EPSG:' + code)) {
+        projection = proj4('EPSG:' + code, 'EPSG:4326');
+    } else if (definition && definition !== 'undefined' && !/^\s*GEOGCS/i.test(definition)) {
+        projection = proj4(definition, 'EPSG:4326');
+    }
+    return projection && function (coordinates) {
+        let result = projection.forward([coordinates[0], coordinates[1]]);
+        return coordinates.length > 2 ? result.concat(coordinates.slice(2)) : result;
+    };
+}
+
+//GeoPackage 几何对象依次为 'GP' 标识、版本、标志位、srs_id、可选的范围和 WKB
+function readGeometryBlob(wktFormat, blob, transform) {
+    if (!blob || !blob.length) {
+        return null;
+    }
+    if (blob[0] !== 0x47 || blob[1] !== 0x50) {
+        throw new Error('Invalid geopackage geometry');
+    }
+    let flags = blob[3];
+    //空几何对象
+    if (flags & 0x10) {
+        return null;
+    }
+    let envelopeLength = ENVELOPE_LENGTHS[(flags >> 1) & 0x07];
+    if (envelopeLength === undefined) {
+        throw new Error('Invalid geopackage geometry envelope');
+    }
+    let geometry = toGeoJSONGeometry(wktFormat.readWKB(blob.subarray(8 + envelopeLength)));
+    return transform ? transformGeometry(geometry, transform) : geometry;
+}
+
+function transformGeometry(geometry, transform) {
+    if (geometry.type === 'GeometryCollection') {
+        geometry.geometries.forEach((item) => transformGeometry(item, transform));
+    } else {
+        geometry.coordinates = transformCoordinates(geometry.coordinates, transform);
+    }
+    return geometry;
+}
+
+//按嵌套层级转换坐标，空的点坐标不转换
+function transformCoordinates(coordinates, transform) {
+    if (typeof coordinates[0] === 'number') {
+        return isNaN(coordinates[0]) ? coordinates : transform(coordinates);
+    }
+    return coordinates.map((item) => transformCoordinates(item, transform));
+}
+
+SuperMap.Widgets.GeoPackageParser = GeoPackageParser;
@@ -0,0 +1,232 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {SuperMap} from '../../SuperMap';
+import {ZipUtil, decodeText} from './ZipUtil';
+
+/**
+ * @class SuperMap.Widgets.KMLParser
+ * @classdesc 微件解析 KML 和 KMZ 文件的工具类。将 Placemark 转换为 GeoJSON 要素，name、description 和 ExtendedData 作为要素属性，
+ *            支持 Point、LineString、LinearRing、Polygon 和 MultiGeometry 几何对象。
+ * @category Widgets OpenFile
+ * @type {{parse: (function(string): GeoJSONObject), parseKMZ: (function(ArrayBuffer): GeoJSONObject)}}
+ */
+export let KMLParser = {
+
+    /**
+     * @function SuperMap.Widgets.KMLParser.prototype.parse
+     * @description 解析 KML 文本。
+     * @param {string} text - KML 文本。
+     * @returns {GeoJSONObject} GeoJSON 要素集合。
+     */
+    parse(text) {
+        let doc = parseXML(text);
+        if (!getElements(doc, 'kml').length && !getElements(doc, 'Placemark').length) {
+            throw new Error('Invalid kml file');
+        }
+        let features = [];
+        let placemarks = getElements(doc, 'Placemark');
+        for (let i = 0; i < placemarks.length; i++) {
+            let feature = this._parsePlacemark(placemarks[i]);
+            feature && features.push(feature);
+        }
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    },
+
+    /**
+     * @function SuperMap.Widgets.KMLParser.prototype.parseKMZ
+     * @description 解析 KMZ 文件，读取压缩文件中的第一个 KML 文件（通常为 doc.kml）。
+     * @param {ArrayBuffer} buffer - KMZ 文件的二进制数据。
+     * @returns {GeoJSONObject} GeoJSON 要素集合。
+     */
+    parseKMZ(buffer) {
+        let files = ZipUtil.unzip(buffer).filter(function (file) {
+            return /\.kml$/i.test(file.name);
+        });
+        if (!files.length) {
+            throw new Error('No kml file found in kmz file');
+        }
+        let docs = files.filter(function (file) {
+            return /(^|\/)doc\.kml$/i.test(file.name);
+        });
+        return this.parse(decodeText((docs[0] || files[0]).data));
+    },
+
+    _parsePlacemark(placemark) {
+        let geometries = [];
+        let children = placemark.childNodes;
+        for (let i = 0; i < children.length; i++) {
+            let geometry = parseGeometry(children[i]);
+            geometry && geometries.push(geometry);
+        }
+        if (!geometries.length) {
+            return null;
+        }
+        let properties = {};
+        ['name', 'description', 'styleUrl'].forEach(function (name) {
+            let element = getChild(placemark, name);
+            if (element) {
+                properties[name] = getText(element);
+            }
+        });
+        let extendedData = getChild(placemark, 'ExtendedData');
+        if (extendedData) {
+            let data = getElements(extendedData, 'Data');
+            for (let i = 0; i < data.length; i++) {
+                let value = getChild(data[i], 'value');
+                properties[data[i].getAttribute('name')] = value ? getText(value) : '';
+            }
+            let simpleData = getElements(extendedData, 'SimpleData');
+            for (let i = 0; i < simpleData.length; i++) {
+                properties[simpleData[i].getAttribute('name')] = getText(simpleData[i]);
+            }
+        }
+        let feature = {
+            type: 'Feature',
+            geometry: geometries.length === 1 ? geometries[0] : {
+                type: 'GeometryCollection',
+                geometries: geometries
+            },
+            properties: properties
+        };
+        if (placemark.getAttribute('id')) {
+            feature.id = placemark.getAttribute('id');
+        }
+        return feature;
+    }
+
+};
+
+/**
+ * @private
+ * @description 解析 XML 文本，解析失败时抛出异常。
+ * @param {string} text - XML 文本。
+ * @returns {Document} XML 文档。
+ */
+export function parseXML(text) {
+    let doc = new DOMParser().parseFromString(text, 'text/xml');
+    if (!doc || !doc.documentElement || getElements(doc, 'parsererror').length) {
+        throw new Error('Invalid xml');
+    }
+    return doc;
+}
+
+/**
+ * @private
+ * @description 忽略命名空间，按标签名获取全部后代元素。
+ * @param {(Document|Element)} node - 文档或元素。
+ * @param {string} name - 标签名。
+ * @returns {Array.<Element>} 元素数组。
+ */
+export function getElements(node, name) {
+    return Array.prototype.slice.call(node.getElementsByTagNameNS ? node.getElementsByTagNameNS('*', name) : node.getElementsByTagName(name));
+}
+
+/**
+ * @private
+ * @description 忽略命名空间，按标签名获取第一个子元素。
+ * @param {Element} node - 元素。
+ * @param {string} name - 标签名。
+ * @returns {Element} 子元素，没有时为 null。
+ */
+export function getChild(node, name) {
+    let children = node.childNodes;
+    for (let i = 0; i < children.length; i++) {
+        if (children[i].nodeType === 1 && (children[i].localName || children[i].nodeName) === name) {
+            return children[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * @private
+ * @description 获取元素的文本内容。
+ * @param {Element} node - 元素。
+ * @returns {string} 去掉首尾空白的文本。
+ */
+export function getText(node) {
+    return (node.textContent || '').trim();
+}
+
+function parseCoordinates(node) {
+    let element = node && getChild(node, 'coordinates');
+    if (!element) {
+        return [];
+    }
+    return getText(element).split(/\s+/).filter(function (tuple) {
+        return !!tuple;
+    }).map(function (tuple) {
+        return tuple.split(',').map(Number);
+    });
+}
+
+function parseGeometry(node) {
+    if (node.nodeType !== 1) {
+        return null;
+    }
+    switch (node.localName || node.nodeName) {
+        case 'Point': {
+            let coordinates = parseCoordinates(node);
+            return coordinates.length ? {type: 'Point', coordinates: coordinates[0]} : null;
+        }
+        case 'LineString':
+        case 'LinearRing': {
+            let coordinates = parseCoordinates(node);
+            return coordinates.length ? {type: 'LineString', coordinates: coordinates} : null;
+        }
+        case 'Polygon': {
+            let rings = [];
+            let outer = getChild(node, 'outerBoundaryIs');
+            outer && rings.push(parseCoordinates(getChild(outer, 'LinearRing')));
+            let children = node.childNodes;
+            for (let i = 0; i < children.length; i++) {
+                if ((children[i].localName || children[i].nodeName) === 'innerBoundaryIs') {
+                    rings.push(parseCoordinates(getChild(children[i], 'LinearRing')));
+                }
+            }
+            rings = rings.filter(function (ring) {
+                return ring.length;
+            });
+            return rings.length ? {type: 'Polygon', coordinates: rings} : null;
+        }
+        case 'MultiGeometry':
+            return parseMultiGeometry(node);
+        default:
+            return null;
+    }
+}
+
+//子几何对象类型相同时合并为 Multi* 类型，否则为 GeometryCollection
+function parseMultiGeometry(node) {
+    let geometries = [];
+    let children = node.childNodes;
+    for (let i = 0; i < children.length; i++) {
+        let geometry = parseGeometry(children[i]);
+        geometry && geometries.push(geometry);
+    }
+    if (!geometries.length) {
+        return null;
+    }
+    let type = geometries[0].type;
+    let same = geometries.every(function (geometry) {
+        return geometry.type === type;
+    });
+    if (same && (type === 'Point' || type === 'LineString' || type === 'Polygon')) {
+        return {
+            type: 'Multi' + type,
+            coordinates: geometries.map(function (geometry) {
+                return geometry.coordinates;
+            })
+        };
+    }
+    return {
+        type: 'GeometryCollection',
+        geometries: geometries
+    };
+}
+
+SuperMap.Widgets.KMLParser = KMLParser;
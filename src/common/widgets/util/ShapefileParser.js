@@ -0,0 +1,368 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {SuperMap} from '../../SuperMap';
+import proj4 from 'proj4';
+import {ZipUtil, decodeText} from './ZipUtil';
+
+const SHP_FILE_CODE = 9994;
+
+//dbf 文件头中的语言驱动 ID 与编码的对应关系
+const DBF_LANGUAGE_DRIVERS = {
+    0x4d: 'gbk',
+    0x7a: 'gbk',
+    0x4e: 'euc-kr',
+    0x4f: 'big5',
+    0x13: 'shift_jis',
+    0x7b: 'shift_jis',
+    0x57: 'windows-1252',
+    0x03: 'windows-1252'
+};
+
+/**
+ * @class SuperMap.Widgets.ShapefileParser
+ * @classdesc 微件解析 Shapefile 文件的工具类。支持 zip 压缩的 Shapefile（包含 shp、dbf、prj、cpg 文件）和单独的 shp 文件，
+ *            有 prj 文件时将坐标转换为 WGS84 经纬度坐标，dbf 文件按 cpg 文件或文件头中的语言驱动 ID 解码，默认为 UTF-8。
+ * @category Widgets OpenFile
+ * @type {{parse: (function(ArrayBuffer): GeoJSONObject), parseZip: (function(ArrayBuffer): GeoJSONObject), parseShapefile: (function(Object): Array.<GeoJSONObject>), readShp: (function(ArrayBuffer): Array.<GeoJSONObject>), readDbf: (function(ArrayBuffer, string=): Array.<Object>)}}
+ */
+export let ShapefileParser = {
+
+    /**
+     * @function SuperMap.Widgets.ShapefileParser.prototype.parse
+     * @description 解析 zip 压缩的 Shapefile 或者 shp 文件。
+     * @param {ArrayBuffer} buffer - 文件的二进制数据。
+     * @returns {GeoJSONObject} GeoJSON 要素集合。
+     */
+    parse(buffer) {
+        if (ZipUtil.isZip(buffer)) {
+            return this.parseZip(buffer);
+        }
+        return {
+            type: 'FeatureCollection',
+            features: this.parseShapefile({shp: buffer})
+        };
+    },
+
+    /**
+     * @function SuperMap.Widgets.ShapefileParser.prototype.parseZip
+     * @description 解析 zip 压缩的 Shapefile，压缩文件中有多个 Shapefile 时合并为一个要素集合。
+     * @param {ArrayBuffer} buffer - zip 文件的二进制数据。
+     * @returns {GeoJSONObject} GeoJSON 要素集合。
+     */
+    parseZip(buffer) {
+        let groups = {};
+        ZipUtil.unzip(buffer).forEach(function (file) {
+            let match = /^(.*)\.(shp|dbf|prj|cpg)$/i.exec(file.name);
+            if (match) {
+                let group = groups[match[1]] = groups[match[1]] || {};
+                group[match[2].toLowerCase()] = file.data;
+            }
+        });
+        let names = Object.keys(groups).filter((name) => !!groups[name].shp);
+        if (!names.length) {
+            throw new Error('No shapefile found in zip file');
+        }
+        let features = [];
+        names.forEach((name) => {
+            let group = groups[name];
+            features = features.concat(this.parseShapefile({
+                shp: toArrayBuffer(group.shp),
+                dbf: group.dbf && toArrayBuffer(group.dbf),
+                prj: group.prj && decodeText(group.prj),
+                cpg: group.cpg && decodeText(group.cpg)
+            }));
+        });
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    },
+
+    /**
+     * @function SuperMap.Widgets.ShapefileParser.prototype.parseShapefile
+     * @description 解析一个 Shapefile 的各个文件。
+     * @param {Object} files - Shapefile 的各个文件。
+     * @param {ArrayBuffer} files.shp - shp 文件的二进制数据。
+     * @param {ArrayBuffer} [files.dbf] - dbf 文件的二进制数据。
+     * @param {string} [files.prj] - prj 文件内容，为 WKT 格式的坐标系。
+     * @param {string} [files.cpg] - cpg 文件内容，为 dbf 文件的编码。
+     * @returns {Array.<GeoJSONObject>} GeoJSON 要素数组。
+     */
+    parseShapefile(files) {
+        let geometries = this.readShp(files.shp);
+        let records = files.dbf ? this.readDbf(files.dbf, files.cpg) : [];
+        let transform = this._getTransform(files.prj);
+        let features = [];
+        for (let i = 0; i < geometries.length; i++) {
+            let geometry = geometries[i];
+            if (geometry && transform) {
+                geometry = transformGeometry(geometry, transform);
+            }
+            features.push({
+                type: 'Feature',
+                geometry: geometry,
+                properties: records[i] || {}
+            });
+        }
+        return features;
+    },
+
+    /**
+     * @function SuperMap.Widgets.ShapefileParser.prototype.readShp
+     * @description 读取 shp 文件中的几何对象，支持点、线、面、多点及其 Z、M 类型，Z 类型保留 Z 坐标。
+     * @param {ArrayBuffer} buffer - shp 文件的二进制数据。
+     * @returns {Array.<GeoJSONObject>} 按记录顺序排列的 GeoJSON 几何对象数组，空记录为 null。
+     */
+    readShp(buffer) {
+        let view = new DataView(buffer);
+        if (view.byteLength < 100 || view.getInt32(0, false) !== SHP_FILE_CODE) {
+            throw new Error('Invalid shp file');
+        }
+        let fileLength = Math.min(view.getInt32(24, false) * 2, view.byteLength);
+        let geometries = [];
+        let offset = 100;
+        while (offset + 8 <= fileLength) {
+            let contentLength = view.getInt32(offset + 4, false) * 2;
+            geometries.push(readShape(view, offset + 8, contentLength));
+            offset += 8 + contentLength;
+        }
+        return geometries;
+    },
+
+    /**
+     * @function SuperMap.Widgets.ShapefileParser.prototype.readDbf
+     * @description 读取 dbf 文件中的属性记录。
+     * @param {ArrayBuffer} buffer - dbf 文件的二进制数据。
+     * @param {string} [encoding] - 编码，通常为 cpg 文件的内容。不设置时按文件头中的语言驱动 ID 判断，默认为 UTF-8。
+     * @returns {Array.<Object>} 属性对象数组，已删除的记录为 null。
+     */
+    readDbf(buffer, encoding) {
+        let view = new DataView(buffer);
+        let bytes = new Uint8Array(buffer);
+        let count = view.getUint32(4, true);
+        let headerLength = view.getUint16(8, true);
+        let recordLength = view.getUint16(10, true);
+        encoding = normalizeEncoding(encoding) || DBF_LANGUAGE_DRIVERS[bytes[29]] || 'utf-8';
+        let fields = [];
+        for (let offset = 32; offset + 32 <= headerLength && bytes[offset] !== 0x0d; offset += 32) {
+            let nameBytes = bytes.subarray(offset, offset + 11);
+            let nameEnd = nameBytes.indexOf(0);
+            fields.push({
+                name: decodeText(nameEnd > -1 ? nameBytes.subarray(0, nameEnd) : nameBytes, encoding).trim(),
+                type: String.fromCharCode(bytes[offset + 11]),
+                length: bytes[offset + 16]
+            });
+        }
+        let records = [];
+        for (let i = 0; i < count; i++) {
+            let offset = headerLength + i * recordLength;
+            if (offset + recordLength > bytes.length) {
+                break;
+            }
+            //记录的第一个字节为删除标记
+            if (bytes[offset] === 0x2a) {
+                records.push(null);
+                continue;
+            }
+            let record = {};
+            offset += 1;
+            for (let j = 0; j < fields.length; j++) {
+                let field = fields[j];
+                record[field.name] = parseDbfValue(field.type, decodeText(bytes.subarray(offset, offset + field.length), encoding));
+                offset += field.length;
+            }
+            records.push(record);
+        }
+        return records;
+    },
+
+    _getTransform(prj) {
+        //地理坐标系（经纬度）不转换
+        if (!prj || /^\s*GEOGCS/i.test(prj)) {
+            return null;
+        }
+        let projection = proj4(prj, 'EPSG:4326');
+        return function (coordinates) {
+            let result = projection.forward([coordinates[0], coordinates[1]]);
+            return coordinates.length > 2 ? result.concat(coordinates.slice(2)) : result;
+        };
+    }
+
+};
+
+function toArrayBuffer(bytes) {
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+function normalizeEncoding(encoding) {
+    if (!encoding) {
+        return null;
+    }
+    encoding = encoding.trim().toLowerCase();
+    //cpg 文件中常见 Windows 代码页编号
+    let codePages = {
+        '936': 'gbk',
+        '950': 'big5',
+        '932': 'shift_jis',
+        '949': 'euc-kr',
+        '65001': 'utf-8',
+        '1252': 'windows-1252'
+    };
+    return codePages[encoding] || encoding;
+}
+
+function parseDbfValue(type, value) {
+    value = value.split(String.fromCharCode(0)).join('').trim();
+    switch (type) {
+        case 'N':
+        case 'F':
+        case 'O':
+        case 'I':
+        case '+':
+            return value === '' || isNaN(Number(value)) ? null : Number(value);
+        case 'L':
+            if (/^[YyTt]$/.test(value)) {
+                return true;
+            }
+            return /^[NnFf]$/.test(value) ? false : null;
+        case 'D':
+            return /^\d{8}$/.test(value) ? value.substr(0, 4) + '-' + value.substr(4, 2) + '-' + value.substr(6, 2) : (value || null);
+        default:
+            return value;
+    }
+}
+
+function readPoints(view, offset, count, zOffset) {
+    let points = [];
+    for (let i = 0; i < count; i++) {
+        let point = [view.getFloat64(offset + i * 16, true), view.getFloat64(offset + i * 16 + 8, true)];
+        if (zOffset) {
+            point.push(view.getFloat64(zOffset + i * 8, true));
+        }
+        points.push(point);
+    }
+    return points;
+}
+
+function readShape(view, offset, length) {
+    if (length < 4) {
+        return null;
+    }
+    let type = view.getInt32(offset, true);
+    //Z 类型（11、13、15、18）带有 Z 坐标
+    let hasZ = type > 10 && type < 20;
+    switch (type % 10) {
+        case 1: {
+            return {
+                type: 'Point',
+                coordinates: readPoints(view, offset + 4, 1, hasZ ? offset + 20 : 0)[0]
+            };
+        }
+        case 8: {
+            let count = view.getInt32(offset + 36, true);
+            return {
+                type: 'MultiPoint',
+                coordinates: readPoints(view, offset + 40, count, hasZ ? offset + 40 + count * 16 + 16 : 0)
+            };
+        }
+        case 3:
+        case 5: {
+            let numParts = view.getInt32(offset + 36, true);
+            let numPoints = view.getInt32(offset + 40, true);
+            let pointsOffset = offset + 44 + numParts * 4;
+            let points = readPoints(view, pointsOffset, numPoints, hasZ ? pointsOffset + numPoints * 16 + 16 : 0);
+            let parts = [];
+            for (let i = 0; i < numParts; i++) {
+                let start = view.getInt32(offset + 44 + i * 4, true);
+                let end = i < numParts - 1 ? view.getInt32(offset + 48 + i * 4, true) : numPoints;
+                parts.push(points.slice(start, end));
+            }
+            if (type % 10 === 3) {
+                return parts.length === 1 ? {
+                    type: 'LineString',
+                    coordinates: parts[0]
+                } : {
+                    type: 'MultiLineString',
+                    coordinates: parts
+                };
+            }
+            return ringsToPolygon(parts);
+        }
+        default:
+            return null;
+    }
+}
+
+//Shapefile 中外环为顺时针，内环为逆时针，将内环分配到包含它的外环
+function ringsToPolygon(rings) {
+    let polygons = [];
+    let holes = [];
+    rings.forEach(function (ring) {
+        if (ring.length < 4) {
+            return;
+        }
+        if (ringArea(ring) < 0) {
+            polygons.push([ring.slice().reverse()]);
+        } else {
+            holes.push(ring.slice().reverse());
+        }
+    });
+    holes.forEach(function (hole) {
+        let polygon = null;
+        for (let i = 0; i < polygons.length; i++) {
+            if (pointInRing(hole[0], polygons[i][0])) {
+                polygon = polygons[i];
+                break;
+            }
+        }
+        if (polygon) {
+            polygon.push(hole);
+        } else {
+            //方向错误的外环
+            polygons.push([hole.slice().reverse()]);
+        }
+    });
+    if (polygons.length === 1) {
+        return {
+            type: 'Polygon',
+            coordinates: polygons[0]
+        };
+    }
+    return {
+        type: 'MultiPolygon',
+        coordinates: polygons
+    };
+}
+
+//逆时针为正
+function ringArea(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    return area / 2;
+}
+
+function pointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        let xi = ring[i][0], yi = ring[i][1], xj = ring[j][0], yj = ring[j][1];
+        if ((yi > point[1]) !== (yj > point[1]) && point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function transformGeometry(geometry, transform) {
+    function transformCoordinates(coordinates) {
+        return typeof coordinates[0] === 'number' ? transform(coordinates) : coordinates.map(transformCoordinates);
+    }
+    return {
+        type: geometry.type,
+        coordinates: transformCoordinates(geometry.coordinates)
+    };
+}
+
+SuperMap.Widgets.ShapefileParser = ShapefileParser;
@@ -2,6 +2,7 @@
  * This program are made available under the terms of the Apache License, Version 2.0
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
 import {FileTypes} from '../CommonTypes';
+import {GeoJSON} from '../../format/GeoJSON';
 
 export let widgetsUtil = {
     /**
@@ -12,14 +13,50 @@ export let widgetsUtil = {
         let regCSV = /^.*\.(?:csv)$/i;
         let regExcel = /^.*\.(?:xls|xlsx)$/i; //文件名可以带空格
         let regGeojson = /^.*\.(?:geojson|json)$/i;
+        //Shapefile 需要将 shp、dbf、prj 等文件压缩为 zip 文件，单独的 shp 文件只有几何信息
+        let regShp = /^.*\.(?:zip|shp)$/i;
+        let regKML = /^.*\.(?:kml)$/i;
+        let regKMZ = /^.*\.(?:kmz)$/i;
+        let regGPX = /^.*\.(?:gpx)$/i;
+        let regFlatGeobuf = /^.*\.(?:fgb)$/i;
+        let regGeoPackage = /^.*\.(?:gpkg)$/i;
         if (regExcel.test(fileName)) { //校验不通过
             return FileTypes.EXCEL;
         } else if (regCSV.test(fileName)) {
             return FileTypes.CSV;
         } else if (regGeojson.test(fileName)) {
             return FileTypes.GEOJSON;
+        } else if (regShp.test(fileName)) {
+            return FileTypes.SHP;
+        } else if (regKML.test(fileName)) {
+            return FileTypes.KML;
+        } else if (regKMZ.test(fileName)) {
+            return FileTypes.KMZ;
+        } else if (regGPX.test(fileName)) {
+            return FileTypes.GPX;
+        } else if (regFlatGeobuf.test(fileName)) {
+            return FileTypes.FLATGEOBUF;
+        } else if (regGeoPackage.test(fileName)) {
+            return FileTypes.GEOPACKAGE;
         }
         return null;
     }
 
-};
\ No newline at end of file
+};
+
+//将 SuperMap.Format.WKT 读取的要素转为 GeoJSON 几何对象，GEOMETRYCOLLECTION 读取的要素数组转为 GeometryCollection
+export function toGeoJSONGeometry(features) {
+    let geojsonFormat = new GeoJSON();
+    let toGeometry = (feature) => {
+        //EWKT、EWKB 的 SRID 保存在几何对象的 srid 属性中，转换时会被当作坐标，GeoJSON 不保存 SRID
+        delete feature.geometry.srid;
+        return geojsonFormat.toGeoJSON({geometry: feature.geometry}).geometry;
+    };
+    if (Array.isArray(features)) {
+        return {
+            "type": "GeometryCollection",
+            "geometries": features.map(toGeometry)
+        };
+    }
+    return toGeometry(features);
+}
@@ -0,0 +1,219 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import {SuperMap} from '../../SuperMap';
+import pako from 'pako';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * @class SuperMap.Widgets.ZipUtil
+ * @classdesc 微件读写 zip 压缩文件的工具类，支持未压缩（stored）和 deflate 压缩的文件。
+ * @category Widgets OpenFile
+ * @type {{isZip: (function(ArrayBuffer): boolean), unzip: (function(ArrayBuffer): Array.<Object>), zip: (function(Array.<Object>): Uint8Array)}}
+ */
+export let ZipUtil = {
+
+    /**
+     * @function SuperMap.Widgets.ZipUtil.prototype.isZip
+     * @description 判断二进制数据是否为 zip 文件。
+     * @param {ArrayBuffer} buffer - 二进制数据。
+     * @returns {boolean} 是否为 zip 文件。
+     */
+    isZip(buffer) {
+        return buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === LOCAL_FILE_HEADER;
+    },
+
+    /**
+     * @function SuperMap.Widgets.ZipUtil.prototype.unzip
+     * @description 解压 zip 文件，忽略目录和 __MACOSX 目录下的文件。
+     * @param {ArrayBuffer} buffer - zip 文件的二进制数据。
+     * @returns {Array.<Object>} 文件数组，格式为 [{name: 文件路径, data: Uint8Array}]。
+     */
+    unzip(buffer) {
+        let view = new DataView(buffer);
+        let end = this._findEndOfCentralDirectory(view);
+        let count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        let files = [];
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+                throw new Error('Invalid zip central directory');
+            }
+            let method = view.getUint16(offset + 10, true);
+            let compressedSize = view.getUint32(offset + 20, true);
+            let nameLength = view.getUint16(offset + 28, true);
+            let extraLength = view.getUint16(offset + 30, true);
+            let commentLength = view.getUint16(offset + 32, true);
+            let localOffset = view.getUint32(offset + 42, true);
+            let name = this._decodeName(new Uint8Array(buffer, offset + 46, nameLength), view.getUint16(offset + 8, true));
+            offset += 46 + nameLength + extraLength + commentLength;
+            if (/\/$/.test(name) || /(^|\/)__MACOSX\//.test(name)) {
+                continue;
+            }
+            //数据位置以本地文件头为准，本地文件头的扩展字段长度可能与中央目录不同
+            let dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            let data = new Uint8Array(buffer, dataOffset, compressedSize);
+            if (method === 8) {
+                data = pako.inflateRaw(data);
+            } else if (method !== 0) {
+                throw new Error('Unsupported zip compression method: ' + method);
+            }
+            files.push({name: name, data: data});
+        }
+        return files;
+    },
+
+    /**
+     * @function SuperMap.Widgets.ZipUtil.prototype.zip
+     * @description 将多个文件压缩为 zip 文件，文件名使用 UTF-8 编码。
+     * @param {Array.<Object>} files - 文件数组，格式为 [{name: 文件路径, data: Uint8Array 或者字符串}]，字符串按 UTF-8 编码。
+     * @returns {Uint8Array} zip 文件的二进制数据。
+     */
+    zip(files) {
+        let localParts = [];
+        let centralParts = [];
+        let offset = 0;
+        let centralLength = 0;
+        files.forEach(function (file) {
+            let name = encodeText(file.name);
+            let data = typeof file.data === 'string' ? encodeText(file.data) : file.data;
+            let compressed = pako.deflateRaw(data);
+            //压缩后没有变小时直接存储
+            let method = compressed.length < data.length ? 8 : 0;
+            let content = method ? compressed : data;
+            let crc = crc32(data);
+
+            let local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, LOCAL_FILE_HEADER, true);
+            writeEntryHeader(local, 4, method, crc, content.length, data.length, name.length);
+            localParts.push(new Uint8Array(local.buffer), name, content);
+
+            let central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+            central.setUint16(4, 20, true);
+            writeEntryHeader(central, 6, method, crc, content.length, data.length, name.length);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + content.length;
+            centralLength += 46 + name.length;
+        });
+        let end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralLength, true);
+        end.setUint32(16, offset, true);
+
+        let parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+        let result = new Uint8Array(offset + centralLength + 22);
+        let position = 0;
+        parts.forEach(function (part) {
+            result.set(part, position);
+            position += part.length;
+        });
+        return result;
+    },
+
+    _findEndOfCentralDirectory(view) {
+        //结束记录固定部分长度为 22 字节，其后是最长 65535 字节的注释
+        let min = Math.max(0, view.byteLength - 22 - 0xffff);
+        for (let i = view.byteLength - 22; i >= min; i--) {
+            if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+                return i;
+            }
+        }
+        throw new Error('Invalid zip file');
+    },
+
+    _decodeName(bytes, flag) {
+        //通用标志第 11 位表示文件名为 UTF-8 编码，否则通常为系统默认编码（中文系统为 GBK）
+        return decodeText(bytes, flag & 0x800 ? 'utf-8' : 'gbk');
+    }
+
+};
+
+//本地文件头和中央目录中相同的部分：版本、标志、压缩方法、时间、CRC、大小和文件名长度
+function writeEntryHeader(view, offset, method, crc, compressedSize, size, nameLength) {
+    let date = new Date();
+    view.setUint16(offset, 20, true);
+    view.setUint16(offset + 2, 0x800, true);
+    view.setUint16(offset + 4, method, true);
+    view.setUint16(offset + 6, (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1), true);
+    view.setUint16(offset + 8, ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(), true);
+    view.setUint32(offset + 10, crc, true);
+    view.setUint32(offset + 14, compressedSize, true);
+    view.setUint32(offset + 18, size, true);
+    view.setUint16(offset + 22, nameLength, true);
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = [];
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @private
+ * @description 将字符串按 UTF-8 编码为字节。
+ * @param {string} text - 字符串。
+ * @returns {Uint8Array} 字节数组。
+ */
+export function encodeText(text) {
+    if (typeof TextEncoder !== 'undefined') {
+        return new TextEncoder().encode(text);
+    }
+    let str = unescape(encodeURIComponent(text));
+    let bytes = new Uint8Array(str.length);
+    for (let i = 0; i < str.length; i++) {
+        bytes[i] = str.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * @private
+ * @description 按编码将字节解码为字符串，浏览器不支持 TextDecoder 或者编码时按 UTF-8 解码。
+ * @param {Uint8Array} bytes - 字节数组。
+ * @param {string} [encoding='utf-8'] - 编码。
+ * @returns {string} 字符串。
+ */
+export function decodeText(bytes, encoding) {
+    if (typeof TextDecoder !== 'undefined') {
+        let decoder;
+        try {
+            decoder = new TextDecoder(encoding || 'utf-8');
+        } catch (e) {
+            decoder = new TextDecoder('utf-8');
+        }
+        return decoder.decode(bytes);
+    }
+    let str = '';
+    for (let i = 0; i < bytes.length; i++) {
+        str += String.fromCharCode(bytes[i]);
+    }
+    try {
+        return decodeURIComponent(escape(str));
+    } catch (e) {
+        return str;
+    }
+}
+
+SuperMap.Widgets.ZipUtil = ZipUtil;
@@ -3,6 +3,13 @@
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
 import {widgetsUtil} from './Util';
 import {FileReaderUtil} from './FileReaderUtil';
+import {ZipUtil} from './ZipUtil';
+import {ShapefileParser} from './ShapefileParser';
+import {KMLParser} from './KMLParser';
+import {GPXParser} from './GPXParser';
+import {FlatGeobufParser} from './FlatGeobufParser';
+import {GeoPackageParser} from './GeoPackageParser';
 
 export {widgetsUtil};
-export {FileReaderUtil};
\ No newline at end of file
+export {FileReaderUtil};
+export {ZipUtil, ShapefileParser, KMLParser, GPXParser, FlatGeobufParser, GeoPackageParser};
\ No newline at end of file
@@ -0,0 +1,76 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import L from "leaflet";
+import './Base';
+import {FeatureExport as CommonFeatureExport} from '@supermap/iclient-common';
+import {Graphic} from '../overlay/graphic/Graphic';
+
+/**
+ * @class L.supermap.FeatureExport
+ * @classdesc 要素导出类。除 {@link SuperMap.FeatureExport} 支持的数据外，还支持 {@link L.supermap.graphic}、{@link L.supermap.graphicLayer}、
+ *            专题图层、{@link L.supermap.turfLayer} 以及其他有 toGeoJSON 方法的 Leaflet 图层。
+ * @category BaseTypes Util
+ * @extends {SuperMap.FeatureExport}
+ * @param {Object} [options] - 参数，参考 {@link SuperMap.FeatureExport}。
+ * @example
+ * L.supermap.featureExport({fileName: 'graphics'}).download(graphicLayer, SuperMap.ExportFormat.SHP);
+ */
+export class FeatureExport extends CommonFeatureExport {
+
+    _featureToGeoJSON(feature) {
+        if (feature instanceof Graphic) {
+            return graphicToGeoJSON(feature);
+        }
+        if (typeof feature.toGeoJSON === 'function') {
+            return feature.toGeoJSON();
+        }
+        return super._featureToGeoJSON(feature);
+    }
+
+}
+
+function toCoordinates(latLngs) {
+    return latLngs.map(function (latLng) {
+        return [latLng.lng, latLng.lat];
+    });
+}
+
+function graphicToGeoJSON(graphic) {
+    let geometry;
+    switch (graphic.getGeometryType()) {
+        case "LineString":
+            geometry = {type: "LineString", coordinates: toCoordinates(graphic.getLatLngs())};
+            break;
+        case "Polygon":
+            geometry = {
+                type: "Polygon",
+                coordinates: graphic.getLatLngs().map(function (ring) {
+                    let coordinates = toCoordinates(ring);
+                    let first = coordinates[0], last = coordinates[coordinates.length - 1];
+                    //GeoJSON 的环首尾相同
+                    if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+                        coordinates.push(first.slice());
+                    }
+                    return coordinates;
+                })
+            };
+            break;
+        default: {
+            let latLng = graphic.getLatLng();
+            geometry = {type: "Point", coordinates: [latLng.lng, latLng.lat]};
+        }
+    }
+    let geojson = {type: "Feature", geometry: geometry, properties: L.Util.extend({}, graphic.getAttributes())};
+    if (graphic.getId() !== null && graphic.getId() !== undefined) {
+        geojson.id = graphic.getId();
+    }
+    return geojson;
+}
+
+export var featureExport = function (options) {
+    return new FeatureExport(options);
+};
+
+L.supermap.FeatureExport = FeatureExport;
+L.supermap.featureExport = featureExport;
@@ -31,6 +31,10 @@ import {
 import {
     transform
 } from './Transform';
+import {
+    FeatureExport,
+    featureExport
+} from './FeatureExport';
 
 export {CommontypesConversion} ;
 export {
@@ -60,6 +64,10 @@ export {
 export {
     transform
 } ;
+export {
+    FeatureExport,
+    featureExport
+} ;
 
 
 
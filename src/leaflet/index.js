@@ -60,6 +60,7 @@ import {
     AggregationQueryBuilderType,
     AggregationType,
     GetFeatureMode,
+    ExportFormat,
     //control
     TimeFlowControl,
     //iManager
@@ -93,6 +94,8 @@ import {
     FetchRequest,
     ColorsPickerUtil,
     ArrayStatistic,
+    Classification,
+    ColorRamp,
     //iServer
     AreaSolarRadiationParameters,
     AggregationParameter,
@@ -255,6 +258,12 @@ import {
     PaginationContainer,
     widgetsUtil,
     FileReaderUtil,
+    ZipUtil,
+    ShapefileParser,
+    KMLParser,
+    GPXParser,
+    FlatGeobufParser,
+    GeoPackageParser,
     ChartView,
     ChartViewModel
 
@@ -284,7 +293,9 @@ import {
     resolutionToScale,
     scaleToResolution,
     GetResolutionFromScaleDpi,
-    NormalizeScale
+    NormalizeScale,
+    FeatureExport,
+    featureExport
 } from './core';
 import {
     BaiduTileLayer,
@@ -305,6 +316,8 @@ import {
 import {
     DataFlowLayer,
     dataFlowLayer,
+    ElasticSearchGeoAdapter,
+    elasticSearchGeoAdapter,
     EchartsLayer,
     echartsLayer,
     LeafletMapCoordSys,
@@ -513,6 +526,7 @@ export {
     AggregationQueryBuilderType,
     AggregationType,
     GetFeatureMode,
+    ExportFormat,
     //control
     TimeFlowControl,
     //iManager
@@ -546,6 +560,8 @@ export {
     FetchRequest,
     ColorsPickerUtil,
     ArrayStatistic,
+    Classification,
+    ColorRamp,
     //iServer
     AreaSolarRadiationParameters,
     AggregationParameter,
@@ -708,6 +724,12 @@ export {
     PaginationContainer,
     widgetsUtil,
     FileReaderUtil,
+    ZipUtil,
+    ShapefileParser,
+    KMLParser,
+    GPXParser,
+    FlatGeobufParser,
+    GeoPackageParser,
     ChartView,
     ChartViewModel
 };
@@ -734,7 +756,9 @@ export {
     resolutionToScale,
     scaleToResolution,
     GetResolutionFromScaleDpi,
-    NormalizeScale
+    NormalizeScale,
+    FeatureExport,
+    featureExport
 };
 export {
     BaiduTileLayer,
@@ -755,6 +779,8 @@ export {
 export {
     DataFlowLayer,
     dataFlowLayer,
+    ElasticSearchGeoAdapter,
+    elasticSearchGeoAdapter,
     EchartsLayer,
     echartsLayer,
     LeafletMapCoordSys,
@@ -14,7 +14,8 @@ import {
     GeometryVector as Vector,
     GeometryPoint as Point,
     CommonUtil as Util,
-    GetFeaturesBySQLParameters
+    GetFeaturesBySQLParameters,
+    ColorRamp
 } from '@supermap/iclient-common';
 import {
     CartoCSSToLeaflet
@@ -129,7 +130,9 @@ export var WebMap = L.LayerGroup.extend({
             mapUrl += ('?' + this.options.credentialKey + '=' + this.options.credentialValue);
         }
         var me = this;
-        Request.get(mapUrl).then(function (response) {
+        Request.get(mapUrl, null, {
+            cache: true
+        }).then(function (response) {
             return response.json()
         }).then(function (jsonObj) {
             if (!jsonObj) {
@@ -743,7 +746,7 @@ export var WebMap = L.LayerGroup.extend({
         return label;
     },
     createHeatLayer: function (layerInfo, themeSettings) {
-        let colors = themeSettings.colors || ['blue', 'cyan', 'lime', 'yellow', 'red'];
+        let colors = ColorRamp.getColors(themeSettings.colors || ['blue', 'cyan', 'lime', 'yellow', 'red']);
         let gradient = {},
             featureWeight;
         for (let i = 0, len = colors.length, index = 1; i < len; i++) {
@@ -3,6 +3,9 @@
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
 import L from "leaflet";
 import '../core/Base';
+import {
+    DataFlowHistory
+} from '@supermap/iclient-common';
 import {
     DataFlowService
 } from "../services/DataFlowService";
@@ -12,6 +15,9 @@ import {
 import {
     NormalRenderer
 } from './dataflow/NormalRenderer';
+import {
+    TrailRenderer
+} from './dataflow/TrailRenderer';
 
 /**
  * @class L.supermap.dataFlowLayer
@@ -26,6 +32,22 @@ import {
  * @param {Object} [options.prjCoordSys] - 投影坐标对象。
  * @param {string} [options.excludeField] - 排除字段。
  * @param {string} [options.idField='id'] - 要素属性中表示唯一标识的字段。
+ * @param {(Object|boolean)} [options.reconnect] - 自动重连策略，设为 false 时不自动重连。参数说明参考 {@link SuperMap.DataFlowService}。
+ * @param {number} [options.batchInterval=0] - 数据的合并间隔，单位毫秒。大于 0 时同一要素在一个间隔内只更新一次，避免高频数据流阻塞绘制。
+ * @param {number} [options.maxBufferSize=1000] - 等待更新的数据的最大缓存个数。
+ * @param {(string|function)} [options.filter] - 数据的属性过滤条件表达式或过滤函数，参考 {@link SuperMap.AttributeFilter}。
+ * @param {Array.<string>} [options.fields] - 数据保留的属性字段。
+ * @param {string} [options.timeField] - 要素属性中表示时间的字段，用于历史记录和轨迹。不设置时使用收到数据的时间。
+ * @param {(boolean|Object)} [options.trail=false] - 是否绘制点要素的轨迹。轨迹为由旧到新逐渐不透明的折线。
+ * @param {number} [options.trail.maxPoints=20] - 轨迹最多包含的点数。
+ * @param {number} [options.trail.maxAge] - 轨迹的时长，单位毫秒。
+ * @param {string} [options.trail.color='#3388ff'] - 轨迹颜色。
+ * @param {number} [options.trail.weight=3] - 轨迹宽度。
+ * @param {number} [options.trail.opacity=1] - 轨迹最新一段的不透明度。
+ * @param {(boolean|Object)} [options.history=false] - 是否保存每个要素的历史记录，参考 {@link SuperMap.DataFlowHistory}。
+ *                                                     不设置时若绘制轨迹，则按轨迹的点数和时长保存历史记录。
+ * @param {number} [options.history.maxPoints=1000] - 每个要素最多保存的记录个数。
+ * @param {number} [options.history.maxAge] - 记录的最长保存时间，单位毫秒。
  * @param {Function} [options.pointToLayer] - 定义点要素如何绘制在地图上。
  `function(geoJsonPoint, latlng) {
                                                 return L.marker(latlng);
@@ -56,7 +78,9 @@ export var DataFlowLayer = L.LayerGroup.extend({
         prjCoordSys: null,
         excludeField: null,
         idField: "id",
-        render: 'normal'
+        render: 'normal',
+        trail: false,
+        history: false
     },
 
     initialize: function (url, options) {
@@ -67,9 +91,19 @@ export var DataFlowLayer = L.LayerGroup.extend({
         this.dataService = new DataFlowService(this.url, {
             geometry: this.options.geometry,
             prjCoordSys: this.options.prjCoordSys,
-            excludeField: this.options.excludeField
-        })
-
+            excludeField: this.options.excludeField,
+            idField: this.options.idField,
+            reconnect: this.options.reconnect,
+            batchInterval: this.options.batchInterval,
+            maxBufferSize: this.options.maxBufferSize,
+            filter: this.options.filter,
+            fields: this.options.fields
+        });
+        /**
+         * @member {SuperMap.DataFlowHistory} L.supermap.dataFlowLayer.prototype.history
+         * @description 要素的历史记录。options.history 和 options.trail 均未设置时为 null。
+         */
+        this.history = this._createHistory();
     },
     /**
      * @private
@@ -93,6 +127,7 @@ export var DataFlowLayer = L.LayerGroup.extend({
          */
         this.dataService.on('subscribeSocketError', (e) => this.fire("subscribefailed", e))
         this.dataService.on('messageSucceeded', (msg) => this._onMessageSuccessed(msg));
+        this.dataService.on('messageFiltered', (msg) => this._onMessageFiltered(msg));
         
         /**
          * @event L.supermap.dataFlowLayer#setfilterparamsucceeded
@@ -105,6 +140,13 @@ export var DataFlowLayer = L.LayerGroup.extend({
         } else {
             this.addLayer(new NormalRenderer(this.url, this.options));
         }
+        if (this.options.trail) {
+            //轨迹不参与要素更新，单独添加到地图
+            this._trailRenderer = new TrailRenderer(L.Util.extend({
+                renderer: this.options.render === 'mapv' ? L.canvas() : undefined
+            }, this.options.trail));
+            map.addLayer(this._trailRenderer);
+        }
         L.LayerGroup.prototype.onAdd.call(this, map);
     },
     /**
@@ -115,6 +157,10 @@ export var DataFlowLayer = L.LayerGroup.extend({
      */
     onRemove: function (map) { // eslint-disable-line no-unused-vars
         L.LayerGroup.prototype.onRemove.call(this, map);
+        if (this._trailRenderer) {
+            map.removeLayer(this._trailRenderer);
+            this._trailRenderer = null;
+        }
         this.dataService && this.dataService.unSubscribe();
     },
     /**
@@ -138,7 +184,110 @@ export var DataFlowLayer = L.LayerGroup.extend({
         this.options.geometry = geometry;
         return this;
     },
+    /**
+     * @function L.supermap.dataFlowLayer.prototype.setFilter
+     * @description 设置属性过滤条件，对之后收到的数据生效。已绘制的要素和轨迹会被清除，由之后收到的数据重新绘制。
+     * @param {(string|function)} filter - 过滤条件表达式或过滤函数，为空时不过滤。
+     */
+    setFilter: function (filter) {
+        this.dataService.setFilter(filter);
+        this.options.filter = filter;
+        this.getLayers().forEach((layer) => layer.clearFeatures());
+        this._trailRenderer && this._trailRenderer.clearTrails();
+        return this;
+    },
+
+    /**
+     * @function L.supermap.dataFlowLayer.prototype.setFields
+     * @description 设置保留的属性字段，对之后收到的数据生效。
+     * @param {Array.<string>} fields - 保留的属性字段，为空时保留全部字段。
+     */
+    setFields: function (fields) {
+        this.dataService.setFields(fields);
+        this.options.fields = fields;
+        return this;
+    },
+
+    /**
+     * @function L.supermap.dataFlowLayer.prototype.getHistory
+     * @description 获取要素在时间范围内的历史记录。
+     * @param {(string|number)} id - 要素的唯一标识。
+     * @param {number} [startTime] - 起始时间，单位毫秒。
+     * @param {number} [endTime] - 结束时间，单位毫秒。
+     * @returns {Array.<Object>} 历史记录数组，每条记录包含 time（时间）和 feature（GeoJSON 要素）。未保存历史记录时返回空数组。
+     */
+    getHistory: function (id, startTime, endTime) {
+        return this.history ? this.history.getHistory(id, startTime, endTime) : [];
+    },
+
+    /**
+     * @function L.supermap.dataFlowLayer.prototype.createTimeFlowControl
+     * @description 创建回放历史记录的时间控制器。
+     * @param {function} callback - 每次刷新的回调函数，参数为当前时刻全部要素的状态和当前时间。
+     * @param {Object} [options] - 时间控制器参数，参考 {@link SuperMap.TimeFlowControl}。
+     * @returns {SuperMap.TimeFlowControl} 时间控制器。未保存历史记录时返回 null。
+     * @example
+     * var replayLayer = L.geoJSON().addTo(map);
+     * layer.createTimeFlowControl(function (features) {
+     *     replayLayer.clearLayers().addData(features);
+     * }).start();
+     */
+    createTimeFlowControl: function (callback, options) {
+        return this.history ? this.history.createTimeFlowControl(callback, options) : null;
+    },
+
+    /**
+     * @function L.supermap.dataFlowLayer.prototype.clearHistory
+     * @description 清除全部历史记录和轨迹。
+     */
+    clearHistory: function () {
+        this.history && this.history.clear();
+        this._trailRenderer && this._trailRenderer.clearTrails();
+        return this;
+    },
+
+    _createHistory: function () {
+        var trail = this.options.trail,
+            history = this.options.history;
+        if (!trail && !history) {
+            return null;
+        }
+        var limits = history ? L.Util.extend({
+            maxPoints: 1000
+        }, history) : L.Util.extend({
+            maxPoints: 20
+        }, trail);
+        return new DataFlowHistory({
+            idField: this.options.idField,
+            timeField: this.options.timeField,
+            maxPoints: limits.maxPoints,
+            maxAge: limits.maxAge
+        });
+    },
+
+    _updateTrail: function (feature) {
+        if (!this.history) {
+            return;
+        }
+        var id = this.history.add(feature);
+        if (!this._trailRenderer || id === undefined || id === null) {
+            return;
+        }
+        var trail = this.options.trail;
+        this._trailRenderer.setTrail(id, this.history.getTrail(id, {
+            maxPoints: trail.maxPoints || 20,
+            maxAge: trail.maxAge
+        }));
+    },
+
+    //要素不再满足过滤条件时，删除之前绘制的要素和轨迹
+    _onMessageFiltered: function (msg) {
+        this.getLayers().forEach((layer) => layer.removeFeature(msg.featureId));
+        this._trailRenderer && this._trailRenderer.removeTrail(msg.featureId);
+    },
+
     _onMessageSuccessed: function (msg) {
+        this._updateTrail(msg.featureResult);
         this.getLayers().map((layer) => {
             layer.onMessageSuccessed(msg);
             /**
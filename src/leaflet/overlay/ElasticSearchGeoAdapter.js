@@ -0,0 +1,152 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import L from "leaflet";
+import '../core/Base';
+import {ElasticSearchGeoAdapter as GeoAdapter} from '@supermap/iclient-common';
+import {Graphic} from './graphic/Graphic';
+
+/**
+ * @class L.supermap.elasticSearchGeoAdapter
+ * @classdesc ElasticSearch 地理数据图层适配器。绑定地图和图层后，在地图移动结束时按当前范围和级别重新检索 ElasticSearch，
+ *            并用结果替换图层的数据。支持热力图层、高效率点图层和专题图层，热力图层和高效率点图层使用点数据。
+ * @category ElasticSearch
+ * @extends {L.Evented}
+ * @param {SuperMap.ElasticSearch} elasticSearch - ElasticSearch 服务类。
+ * @param {Object} options - 参数，参考 {@link SuperMap.ElasticSearchGeoAdapter}。
+ * @param {function} [options.style] - 高效率点图层中点要素的样式函数，参数为 GeoJSON 要素，返回点样式。
+ * @fires L.supermap.elasticSearchGeoAdapter#dataloaded
+ * @fires L.supermap.elasticSearchGeoAdapter#dataloadfailed
+ * @example
+ * var heatMapLayer = L.supermap.heatMapLayer('heatmap', {featureWeight: 'count'}).addTo(map);
+ * L.supermap.elasticSearchGeoAdapter(new SuperMap.ElasticSearch(url), {
+ *     index: 'flights',
+ *     geoField: 'location',
+ *     aggType: 'geohash_grid'
+ * }).bind(map, heatMapLayer);
+ */
+export var ElasticSearchGeoAdapter = L.Evented.extend({
+
+    options: {
+        style: null
+    },
+
+    initialize: function (elasticSearch, options) {
+        L.setOptions(this, options);
+        /**
+         * @member {SuperMap.ElasticSearchGeoAdapter} L.supermap.elasticSearchGeoAdapter.prototype.adapter
+         * @description 构造检索参数和转换检索结果的适配器。
+         */
+        this.adapter = new GeoAdapter(elasticSearch, options);
+        this._requestCount = 0;
+    },
+
+    /**
+     * @function L.supermap.elasticSearchGeoAdapter.prototype.bind
+     * @description 绑定地图和图层，并立即按当前地图范围检索一次。
+     * @param {L.Map} map - 地图。
+     * @param {(L.supermap.heatMapLayer|L.supermap.graphicLayer|L.supermap.ThemeLayer)} layer - 显示检索结果的图层。
+     * @returns {this} this
+     */
+    bind: function (map, layer) {
+        this.unbind();
+        this.map = map;
+        this.layer = layer;
+        map.on('moveend', this.refresh, this);
+        this.refresh();
+        return this;
+    },
+
+    /**
+     * @function L.supermap.elasticSearchGeoAdapter.prototype.unbind
+     * @description 解除绑定，地图移动时不再检索。
+     * @returns {this} this
+     */
+    unbind: function () {
+        if (this.map) {
+            this.map.off('moveend', this.refresh, this);
+        }
+        this.map = null;
+        this.layer = null;
+        this._requestCount++;
+        return this;
+    },
+
+    /**
+     * @function L.supermap.elasticSearchGeoAdapter.prototype.refresh
+     * @description 按当前地图范围重新检索并更新图层。地图移动过程中返回的过期结果会被丢弃。
+     * @returns {Promise} 以 GeoJSON 要素集合完成的 Promise。
+     */
+    refresh: function () {
+        var me = this;
+        if (!me.map) {
+            return Promise.resolve(null);
+        }
+        var requestCount = ++me._requestCount;
+        var bounds = me.map.getBounds();
+        var layer = me.layer;
+        var options = me._isPointLayer(layer) ? {geometryType: 'Point'} : null;
+        return me.adapter.search([bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()], me.map.getZoom(), options).then(function (result) {
+            if (requestCount !== me._requestCount) {
+                return result;
+            }
+            me._setData(layer, result);
+            /**
+             * @event L.supermap.elasticSearchGeoAdapter#dataloaded
+             * @description 检索结果已更新到图层。
+             * @property {GeoJSONObject} result - 检索结果。
+             */
+            me.fire('dataloaded', {result: result});
+            return result;
+        }, function (error) {
+            /**
+             * @event L.supermap.elasticSearchGeoAdapter#dataloadfailed
+             * @description 检索失败。
+             * @property {Object} error - 失败原因。
+             */
+            me.fire('dataloadfailed', {error: error});
+            return null;
+        });
+    },
+
+    _isPointLayer: function (layer) {
+        return !!layer && (typeof layer.setGraphics === 'function' || typeof layer.convertFastToPixelPoints === 'function');
+    },
+
+    _setData: function (layer, result) {
+        if (!layer) {
+            return;
+        }
+        var features = result.features;
+        if (this._isPointLayer(layer)) {
+            features = features.filter(function (feature) {
+                return feature.geometry.type === 'Point';
+            });
+        }
+        if (typeof layer.setGraphics === 'function') {
+            var style = this.options.style;
+            layer.setGraphics(features.map(function (feature) {
+                return new Graphic({
+                    latLng: L.GeoJSON.coordsToLatLng(feature.geometry.coordinates),
+                    id: feature.id,
+                    attributes: feature.properties,
+                    style: style ? style(feature) : undefined
+                });
+            }));
+            return;
+        }
+        layer.removeAllFeatures();
+        if (features.length) {
+            layer.addFeatures({
+                type: 'FeatureCollection',
+                features: features
+            });
+        }
+    }
+});
+
+export var elasticSearchGeoAdapter = function (elasticSearch, options) {
+    return new ElasticSearchGeoAdapter(elasticSearch, options);
+};
+
+L.supermap.elasticSearchGeoAdapter = elasticSearchGeoAdapter;
@@ -7,12 +7,16 @@ import {
     Detector
 } from "../core/Detector";
 import {
-    CommonUtil
+    CommonUtil,
+    SpatialIndex,
+    PointCluster,
+    ClusterSymbol
 } from '@supermap/iclient-common';
 import {
     GraphicCanvasRenderer,
     GraphicWebGLRenderer,
-    CircleStyle
+    CircleStyle,
+    Graphic
 } from './graphic';
 
 const Renderer = ["canvas", "webgl"];
@@ -29,30 +33,58 @@ const defaultProps = {
 };
 /**
  * @class L.supermap.graphicLayer
- * @classdesc 高效率点图层类。
+ * @classdesc 高效率点图层类。除点要素外，也支持绘制大量的线要素和面要素。
  * @category Visualization Graphic
  * @extends {L.Path}
  * @param {Array.<L.supermap.graphic>} graphics - 要素对象。
  * @param {Object} options - 图层参数。
- * @param {string}   [options.render='canvas']  -  指定使用的渲染器。可选值：“webgl”，“canvas”（webgl 渲染目前只支持散点）。
- * @param {Array.<number>} [options.color=[0, 0, 0, 255]] - 要素颜色。
+ * @param {string}   [options.render='canvas']  -  指定使用的渲染器。可选值：“webgl”，“canvas”。
+ * @param {Array.<number>} [options.color=[0, 0, 0, 255]] - 要素颜色，也是线要素和面要素的默认颜色。
  * @param {Array.<number>} [options.highlightColor] - webgl 渲染时要素高亮颜色。
  * @param {number} [options.opacity=0.8] - 要素透明度。
  * @param {number} [options.radius=10] - 要素半径，单位像素。
  * @param {number} [options.radiusScale=1] - webgl 渲染时的要素放大倍数。
  * @param {number} [options.radiusMinPixels=0] - webgl 渲染时的要素半径最小值(像素)。
  * @param {number} [options.radiusMaxPixels=Number.MAX_SAFE_INTEGER] - webgl 渲染时的要素半径最大值（像素）。
- * @param {number} [options.strokeWidth=1] - 边框大小。
+ * @param {number} [options.strokeWidth=1] - 边框大小，也是线要素和面要素边线的默认宽度（像素）。
  * @param {boolean} [options.outline=false] - 是否显示边框。
  * @param {Function} [options.onClick] -  图层鼠标点击响应事件（webgl、canvas 渲染时都有用）。
- * @param {Function} [options.onHover] -  图层鼠标悬停响应事件（只有 webgl 渲染时有用）。
+ * @param {Function} [options.onHover] -  图层鼠标悬停响应事件（webgl、canvas 渲染时都有用）。canvas 渲染时参数为悬停的要素和事件对象，移出要素时要素为 null。
+ * @param {(HTMLCanvasElement|Object)} [options.highlightStyle] - canvas 渲染时悬停和选中要素的样式，与要素样式的格式相同。
+ *                                                               设置后鼠标悬停的要素会高亮显示；不设置时选中的要素使用 highlightColor 绘制。
+ * @param {(boolean|Object)} [options.cluster] - 点要素聚类参数。设置后按地图级别聚合点要素，线要素和面要素不参与聚类。
+ * @param {number} [options.cluster.radius=60] - 聚类半径，单位像素。
+ * @param {number} [options.cluster.maxZoom=16] - 生成聚类的最大级别，大于此级别时显示全部点要素。
+ * @param {string} [options.cluster.field] - 统计字段，聚类的统计值为成员要素该属性值之和，符号大小随统计值变化。不设置时使用成员个数。
+ * @param {boolean} [options.cluster.zoomOnClick=true] - 点击聚类时是否放大到聚类展开的级别。
+ * @param {Object} [options.cluster.symbol] - 聚类符号参数，参考 {@link SuperMap.ClusterSymbol}。
+ * @fires L.supermap.graphicLayer#graphicsselected
+ * @example
+ * var layer = L.supermap.graphicLayer(graphics, {
+ *     cluster: {radius: 80, field: 'population'},
+ *     onClick: function (graphic) {
+ *         if (layer.isCluster(graphic)) {
+ *             console.log(layer.getClusterGraphics(graphic));
+ *         }
+ *     }
+ * }).addTo(map);
  */
 export var GraphicLayer = L.Path.extend({
 
     initialize: function (graphics, options) {
         this.graphics = [].concat(graphics);
+        this._index = new SpatialIndex({
+            getBounds: function (graphic) {
+                let bounds = graphic.getBounds();
+                return [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
+            }
+        });
+        this._index.load(this.graphics);
+        this._selectedGraphics = [];
+        this._hoverGraphic = null;
         let opt = options || {};
         L.Util.setOptions(this, opt);
+        this._initCluster(this.options.cluster);
         //因为跟基类的renderer冲突，所以采用render这个名字
         this.options.render = this.options.render || Renderer[0];
         //浏览器支持webgl并且指定使用webgl渲染才使用webgl渲染
@@ -70,6 +102,7 @@ export var GraphicLayer = L.Path.extend({
     getEvents: function () {
         return {
             click: this._handleClick.bind(this),
+            mousemove: this._handleMouseMove.bind(this),
             resize: this._resize.bind(this),
             moveend: this._moveEnd.bind(this)
         };
@@ -83,6 +116,7 @@ export var GraphicLayer = L.Path.extend({
     onAdd: function (map) {
         this._map = map;
         this.defaultStyle = this._getDefaultStyle(this.options);
+        this.defaultPathStyle = this._getDefaultPathStyle(this.options);
         this._renderer = this._createRenderer();
         this._container = this._renderer._container;
         L.Path.prototype.onAdd.call(this);
@@ -121,7 +155,10 @@ export var GraphicLayer = L.Path.extend({
         this.graphics = this.graphics || [];
         let sGraphics = !L.Util.isArray(graphics) ? [graphics] : [].concat(graphics);
         this.graphics = this.graphics.concat(sGraphics);
-        this.update();
+        this._index.insert(sGraphics);
+        this._hitTolerance = null;
+        this._clusterDirty = true;
+        this._redraw();
     },
 
     /**
@@ -182,7 +219,12 @@ export var GraphicLayer = L.Path.extend({
         //当 graphics 为 null 、为空数组，或 === this.graphics，则清除所有要素
         if (!graphics || graphics.length === 0 || graphics === this.graphics) {
             this.graphics.length = 0;
-            this.update();
+            this._index.clear();
+            this._selectedGraphics = [];
+            this._hoverGraphic = null;
+            this._hitTolerance = null;
+            this._clusterDirty = true;
+            this._redraw();
             return;
         }
         if (!(CommonUtil.isArray(graphics))) {
@@ -200,10 +242,86 @@ export var GraphicLayer = L.Path.extend({
                 continue;
             }
             this.graphics.splice(findex, 1);
+            this._index.remove(graphic);
+            if (graphic === this._hoverGraphic) {
+                this._hoverGraphic = null;
+            }
         }
+        this._selectedGraphics = this._selectedGraphics.filter((graphic) => CommonUtil.indexOf(graphics, graphic) === -1);
+        this._hitTolerance = null;
+        this._clusterDirty = true;
 
         //删除完成后重新设置 setGraphics，以更新
-        this.update();
+        this._redraw();
+    },
+
+    /**
+     * @function L.supermap.graphicLayer.prototype.getGraphicsInBounds
+     * @description 获取范围内的全部要素，使用空间索引查询。
+     * @param {L.LatLngBounds} bounds - 经纬度范围。
+     * @returns {Array.<L.supermap.graphic>} 按添加顺序排列的要素数组。
+     */
+    getGraphicsInBounds: function (bounds) {
+        bounds = L.latLngBounds(bounds);
+        return this._index.search([bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]);
+    },
+
+    /**
+     * @function L.supermap.graphicLayer.prototype.getGraphicsInPolygon
+     * @description 获取多边形内的全部要素，可用于套索选择。
+     * @param {Array.<L.LatLng>} latLngs - 多边形的顶点数组。
+     * @returns {Array.<L.supermap.graphic>} 按添加顺序排列的要素数组。
+     */
+    getGraphicsInPolygon: function (latLngs) {
+        return this._index.searchPolygon(latLngs.map(function (latLng) {
+            latLng = L.latLng(latLng);
+            return [latLng.lng, latLng.lat];
+        }));
+    },
+
+    /**
+     * @function L.supermap.graphicLayer.prototype.selectGraphics
+     * @description 框选或套索选择要素。选中的要素在 canvas 渲染时高亮显示，并触发 graphicsselected 事件。
+     * @param {(L.LatLngBounds|Array.<L.LatLng>|Array.<L.supermap.graphic>)} area - 框选的经纬度范围、套索多边形的顶点数组，或者要选中的要素数组。
+     * @returns {Array.<L.supermap.graphic>} 选中的要素数组。
+     */
+    selectGraphics: function (area) {
+        let graphics;
+        if (area instanceof L.LatLngBounds) {
+            graphics = this.getGraphicsInBounds(area);
+        } else if (L.Util.isArray(area) && area.length && area[0] instanceof Graphic) {
+            graphics = [].concat(area);
+        } else {
+            graphics = this.getGraphicsInPolygon(area || []);
+        }
+        this._selectedGraphics = graphics;
+        this._redraw();
+        /**
+         * @event L.supermap.graphicLayer#graphicsselected
+         * @description 选中的要素发生变化后触发。
+         * @property {Array.<L.supermap.graphic>} graphics - 选中的要素数组。
+         */
+        this.fire('graphicsselected', {graphics: graphics});
+        return graphics;
+    },
+
+    /**
+     * @function L.supermap.graphicLayer.prototype.getSelectedGraphics
+     * @description 获取选中的要素。
+     * @returns {Array.<L.supermap.graphic>} 选中的要素数组。
+     */
+    getSelectedGraphics: function () {
+        return this._selectedGraphics.slice();
+    },
+
+    /**
+     * @function L.supermap.graphicLayer.prototype.clearSelection
+     * @description 取消选择全部要素。
+     */
+    clearSelection: function () {
+        if (this._selectedGraphics.length) {
+            this.selectGraphics([]);
+        }
     },
 
     /**
@@ -235,15 +353,67 @@ export var GraphicLayer = L.Path.extend({
         };
         this.options = L.Util.extend(this.options, styleOpt, styleOptions);
         this.defaultStyle = this._getDefaultStyle(this.options);
+        this.defaultPathStyle = this._getDefaultPathStyle(this.options);
+        this._defaultHighlightStyle = null;
         this.update();
     },
 
     /**
      * @function L.supermap.graphicLayer.prototype.update
-     * @description 更新图层，数据或者样式改变后调用。
+     * @description 更新图层，数据或者样式改变后调用。会根据要素的当前位置重建空间索引。
      */
     update: function () {
-        this._layerRenderer.update(this.graphics);
+        this._index.load(this.graphics);
+        this._hitTolerance = null;
+        this._clusterDirty = true;
+        this._redraw();
+    },
+
+    /**
+     * @function L.supermap.graphicLayer.prototype.setCluster
+     * @description 开启、关闭点要素聚类或者修改聚类参数。
+     * @param {(boolean|Object)} cluster - 聚类参数，参考构造参数 options.cluster。为 false 时关闭聚类。
+     */
+    setCluster: function (cluster) {
+        this.options.cluster = cluster;
+        this._initCluster(cluster);
+        this._hoverGraphic = null;
+        this._map && this._redraw();
+    },
+
+    /**
+     * @function L.supermap.graphicLayer.prototype.isCluster
+     * @description 判断要素是否为聚类要素。聚类要素的属性包含成员个数 count 和统计值 value。
+     * @param {L.supermap.graphic} graphic - 要素。
+     * @returns {boolean} 是否为聚类要素。
+     */
+    isCluster: function (graphic) {
+        return !!graphic && !!graphic._cluster;
+    },
+
+    /**
+     * @function L.supermap.graphicLayer.prototype.getClusterGraphics
+     * @description 获取聚类要素包含的全部点要素。
+     * @param {L.supermap.graphic} graphic - 聚类要素。
+     * @returns {Array.<L.supermap.graphic>} 点要素数组。
+     */
+    getClusterGraphics: function (graphic) {
+        if (!this.isCluster(graphic) || !this._pointCluster) {
+            return [];
+        }
+        return this._pointCluster.getLeaves(graphic._cluster);
+    },
+
+    /**
+     * @function L.supermap.graphicLayer.prototype.expandCluster
+     * @description 以聚类要素为中心放大地图，直到聚类展开为多个要素。
+     * @param {L.supermap.graphic} graphic - 聚类要素。
+     */
+    expandCluster: function (graphic) {
+        if (!this.isCluster(graphic) || !this._pointCluster || !this._map) {
+            return;
+        }
+        this._map.setView(graphic.getLatLng(), this._pointCluster.getExpansionZoom(graphic._cluster));
     },
 
     /**
@@ -366,8 +536,25 @@ export var GraphicLayer = L.Path.extend({
      * @override
      */
     _updatePath: function () {
-        let graphics = this._getGraphicsInBounds();
-        this._renderer.drawGraphics(graphics, this.defaultStyle);
+        let graphics = this._getRenderGraphics();
+        this._renderer.drawGraphics(graphics, this.defaultStyle, false, this.defaultPathStyle);
+        if (this._layerRenderer instanceof GraphicCanvasRenderer) {
+            let highlightGraphics = this._selectedGraphics;
+            if (this._hoverGraphic && this.options.highlightStyle && !this.isCluster(this._hoverGraphic)) {
+                highlightGraphics = highlightGraphics.concat([this._hoverGraphic]);
+            }
+            if (this._pointCluster) {
+                //被聚合的要素不高亮
+                let rendered = new Set(graphics);
+                highlightGraphics = highlightGraphics.filter((graphic) => rendered.has(graphic));
+            }
+            if (highlightGraphics.length) {
+                this._renderer.drawGraphics(highlightGraphics, this._getHighlightStyle(), true, this._getDefaultPathStyle(L.Util.extend({}, this.options, {
+                    color: this.options.highlightColor || [0, 153, 255, 255],
+                    opacity: 1
+                })));
+            }
+        }
     },
 
     /**
@@ -409,26 +596,158 @@ export var GraphicLayer = L.Path.extend({
         return new CircleStyle(target).getStyle();
 
     },
+
+    //线要素和面要素的默认样式，颜色的透明度与图层透明度叠加
+    _getDefaultPathStyle: function (options) {
+        let color = options.color || defaultProps.color;
+        let opacity = options.opacity === undefined ? defaultProps.opacity : options.opacity;
+        color = [color[0], color[1], color[2], (color[3] === undefined ? 255 : color[3]) * opacity];
+        return {
+            color: color,
+            fillColor: color,
+            weight: options.strokeWidth === undefined ? defaultProps.strokeWidth : options.strokeWidth
+        };
+    },
     toRGBA(colorArray) {
         return `rgba(${colorArray[0]},${colorArray[1]},${colorArray[2]},${(colorArray[3] || 255) / 255})`;
     },
-    _getGraphicsInBounds: function () {
+    //获取需要绘制的要素，开启聚类时为视图范围内的聚类要素、未被聚合的点要素以及线要素和面要素
+    _getRenderGraphics: function () {
+        if (!this._pointCluster) {
+            return this._getGraphicsInBounds();
+        }
         let me = this;
-        let graphicsInBounds = [];
-        let viewBounds = me._map.getBounds();
-        this.graphics.map(function (graphic) {
-            if (viewBounds.contains(graphic.getLatLng())) {
-                graphicsInBounds.push(graphic);
-            }
-            return graphic;
+        if (me._clusterDirty) {
+            me._pointCluster.load(me.graphics);
+            me._clusterGraphics = {};
+            me._clusterDirty = false;
+        }
+        let bounds = me._map.getBounds();
+        let clusterBounds = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
+        let points = me._pointCluster.getClusters(clusterBounds, me._map.getZoom()).map(function (item) {
+            return PointCluster.isCluster(item) ? me._getClusterGraphic(item) : item;
         });
-        return graphicsInBounds;
+        let paths = me.getGraphicsInBounds(bounds).filter(function (graphic) {
+            return graphic.getGeometryType() !== "Point";
+        });
+        me._renderGraphics = paths.concat(points);
+        return me._renderGraphics;
     },
 
+    //同一级别的同一个聚类使用相同的要素对象，便于悬停判断和 webgl 渲染时复用数据
+    _getClusterGraphic: function (cluster) {
+        if (this._clusterGraphicsZoom !== cluster.zoom) {
+            this._clusterGraphics = {};
+            this._clusterGraphicsZoom = cluster.zoom;
+        }
+        let graphic = this._clusterGraphics[cluster.id];
+        if (!graphic) {
+            graphic = new Graphic({
+                latLng: L.latLng(cluster.coordinates[1], cluster.coordinates[0]),
+                style: this._clusterSymbol.getCanvas(cluster, this._pointCluster.totalValue),
+                attributes: {
+                    count: cluster.count,
+                    value: cluster.value
+                }
+            });
+            graphic._cluster = cluster;
+            this._clusterGraphics[cluster.id] = graphic;
+        }
+        return graphic;
+    },
+
+    _initCluster: function (cluster) {
+        if (!cluster) {
+            this._pointCluster = null;
+            this._clusterSymbol = null;
+            this._renderGraphics = null;
+            return;
+        }
+        let options = cluster === true ? {} : cluster;
+        let field = options.field;
+        this._pointCluster = new PointCluster({
+            radius: options.radius,
+            maxZoom: options.maxZoom,
+            getCoordinates: function (graphic) {
+                if (graphic.getGeometryType() !== "Point") {
+                    return null;
+                }
+                let latLng = graphic.getLatLng();
+                return [latLng.lng, latLng.lat];
+            },
+            getValue: field ? function (graphic) {
+                return graphic.attributes && graphic.attributes[field];
+            } : null
+        });
+        this._clusterSymbol = new ClusterSymbol(options.symbol);
+        this._clusterZoomOnClick = options.zoomOnClick !== false;
+        this._clusterGraphics = {};
+        this._clusterDirty = true;
+    },
+
+    _getGraphicsInBounds: function () {
+        let viewBounds = this._map.getBounds();
+        let extent = this._index.getExtent();
+        //全部要素都在视图内时不需要查询索引
+        if (extent && viewBounds.contains(L.latLngBounds([extent[1], extent[0]], [extent[3], extent[2]]))) {
+            return this.graphics.filter(function (graphic) {
+                return !!graphic;
+            });
+        }
+        return this.getGraphicsInBounds(viewBounds);
+    },
+
+    //获取绘制在像素点上的要素，tolerance 为要素符号的最大半径（像素）
+    _getGraphicsAtPoint: function (layerPoint, tolerance) {
+        let map = this._map;
+        let southWest = map.layerPointToLatLng(layerPoint.add([-tolerance, tolerance]));
+        let northEast = map.layerPointToLatLng(layerPoint.add([tolerance, -tolerance]));
+        let bounds = L.latLngBounds(southWest, northEast);
+        if (this._pointCluster) {
+            //开启聚类时只查询已绘制的要素
+            return (this._renderGraphics || []).filter(function (graphic) {
+                return bounds.intersects(graphic.getBounds());
+            });
+        }
+        return this.getGraphicsInBounds(bounds);
+    },
+
+    _getHighlightStyle: function () {
+        if (this.options.highlightStyle) {
+            return this.options.highlightStyle;
+        }
+        if (!this._defaultHighlightStyle) {
+            this._defaultHighlightStyle = this._getDefaultStyle(L.Util.extend({}, this.options, {
+                color: this.options.highlightColor || [0, 153, 255, 255],
+                opacity: 1
+            }));
+        }
+        return this._defaultHighlightStyle;
+    },
+
+    _redraw: function () {
+        this._layerRenderer.update(this._pointCluster ? this._getRenderGraphics() : this.graphics);
+    },
 
     _handleClick: function (evt) {
         this._layerRenderer._handleClick(evt);
     },
+
+    //点击要素，点击聚类要素时放大地图
+    _clickGraphic: function (graphic, evt) {
+        let result;
+        if (this.options.onClick) {
+            result = this.options.onClick.call(this, graphic, evt);
+        }
+        if (this.isCluster(graphic) && this._clusterZoomOnClick) {
+            this.expandCluster(graphic);
+        }
+        return result;
+    },
+
+    _handleMouseMove: function (evt) {
+        this._layerRenderer._handleMouseMove(evt);
+    },
     /**
      * @private
      * @override
@@ -10,7 +10,8 @@ import {
     GeoJSON as GeoJSONFormat,
     LonLat,
     GeometryPoint as Point,
-    GeoText
+    GeoText,
+    ColorRamp
 } from '@supermap/iclient-common';
 import Attributions from '../core/Attributions'
 
@@ -20,7 +21,7 @@ import Attributions from '../core/Attributions'
  * @category Visualization HeatMap
  * @param {string} name - 图层名称。
  * @param {boolean} [loadWhileAnimating=true] - 是否实时重绘。（当绘制大数据量要素的情况下会出现卡顿，建议把该参数设为 false）。
- * @param {Array.<string>} [colors=['blue', 'cyan', 'lime', 'yellow', 'red']] - 颜色线性渐变数组，颜色值必须为 canvas 所支持的。
+ * @param {(Array.<string>|string|Object)} [colors=['blue', 'cyan', 'lime', 'yellow', 'red']] - 颜色线性渐变数组，颜色值必须为 canvas 所支持的。也可以是 {@link SuperMap.ColorRamp} 的色带名称或者色带对象。
  * @param {Object} options - 构造参数。
  * @param {L.Map} options.map - leaflet 的 map 对象。
  * @param {string} [options.id] - 专题图层 ID，默认使用 CommonUtil.createUniqueID("heatMapLayer_") 创建专题图层 ID。
@@ -318,7 +319,7 @@ export var HeatMapLayer = L.Layer.extend({
      * @private
      */
     createGradient: function () {
-        var colors = this.colors;
+        var colors = ColorRamp.getColors(this.colors);
         var canvas = document.createElement('canvas'),
             ctx = canvas.getContext("2d"),
             gradient = ctx.createLinearGradient(0, 0, 0, 256);
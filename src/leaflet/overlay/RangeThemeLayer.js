@@ -39,7 +39,7 @@ export var RangeThemeLayer = GeoFeatureThemeLayer.extend({
     
      /** 
      * @member {Object} L.supermap.rangeThemeLayer.prototype.styleGroups
-     * @description 各专题类型样式组。
+     * @description 各专题类型样式组。可以使用 {@link SuperMap.ColorRamp.getRangeStyleGroups} 根据分段点和色带生成。
      */
 
     /** 
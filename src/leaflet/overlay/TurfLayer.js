@@ -4,6 +4,7 @@
 import L from "leaflet";
 import '../core/Base';
 import * as turf from '@turf/turf';
+import {TurfParameters, TurfWorker} from '@supermap/iclient-common';
 import Attributions from '../core/Attributions'
 
 /**
@@ -13,142 +14,26 @@ import Attributions from '../core/Attributions'
  * @extends {L.Layer}
  * @param {Object} options - 可选参数。
  * @param {string} [options.attribution='<span>© <a href='http://turfjs.org/' title='turfjs' target='_blank'>turfjs</a></span>'] - 版权信息。
+ * @param {boolean} [options.useWorker=false] - 是否在 Web Worker 中执行空间分析，避免大数据量分析时阻塞页面。开启后 process 方法异步返回结果，参数中包含回调函数的方法仍在主线程中执行。
+ * @param {string} [options.workerUrl] - worker 脚本地址，设置后在该 worker 中执行空间分析。不设置时使用内置的 worker，参考 {@link SuperMap.TurfWorker}。
+ * @param {string} [options.turfUrl='https://cdnjs.cloudflare.com/ajax/libs/Turf.js/5.1.6/turf.js'] - 内置 worker 加载的 Turf.js 脚本地址。
+ * @fires L.supermap.turfLayer#processprogress
+ * @fires L.supermap.turfLayer#processsucceeded
+ * @fires L.supermap.turfLayer#processfailed
+ * @fires L.supermap.turfLayer#processcancelled
+ * @example
+ * var layer = L.supermap.turfLayer({useWorker: true}).addTo(map);
+ * layer.on('processprogress', function (e) {
+ *     console.log(Math.round(e.progress * 100) + '%');
+ * });
+ * var taskId = layer.process('Transformation.buffer', {geojson: points, radius: 10, units: 'kilometers'}, function (result) {
+ *     console.log(result);
+ * });
+ * layer.cancel(taskId);
  */
 export var TurfLayer = L.GeoJSON.extend({
 
-    turfMap: {
-        "Measurement.along": ["line", "distance", "units"],
-        "Measurement.area": ["geojson"],
-        "Measurement.bbox": ["geojson"],
-        "Measurement.bboxPolygon": ["bbox"],
-        "Measurement.bearing": ["start", "end", "final"],
-        "Measurement.center": ["geojson", "properties"],
-        "Measurement.centerOfMass": ["geojson", "properties"],
-        "Measurement.centroid": ["geojson", "properties"],
-        "Measurement.destination": ["origin", "distance", "bearing", "units"],
-        "Measurement.distance": ["from", "to", "units"],
-        "Measurement.envelope": ["geojson"],
-        "Measurement.length": ["geojson", "units"],
-        "Measurement.midpoint": ["point1", "point2"],
-        "Measurement.pointOnFeature": ["geojson"],
-        "Measurement.polygonTangents": ["point", "polygon"],
-        "Measurement.rhumbBearing": ["start", "end", "final"],
-        "Measurement.rhumbDestination": ["origin", "distance", "bearing", "units"],
-        "Measurement.rhumbDistance": ["from", "to", "units"],
-        "Measurement.square": ["bbox"],
-        "Measurement.greatCircle": ["start", "end", "properties", "npoints", "offset"],
-        "CoordinateMutation.cleanCoords": ["geojson", "mutate"],
-        "CoordinateMutation.flip": ["geojson", "mutate"],
-        "CoordinateMutation.rewind": ["geojson", "reverse", "mutate"],
-        "CoordinateMutation.round": ["num", "precision"],
-        "CoordinateMutation.truncate": ["geojson", "precision", "coordinates", "mutate"],
-        "Transformation.bboxClip": ["feature", "bbox"],
-        "Transformation.bezierSpline": ["line", "resolution", "sharpness"],
-        "Transformation.buffer": ["geojson", "radius", "units", "steps"],
-        "Transformation.circle": ["center", "radius", "steps", "units", "properties"],
-        "Transformation.clone": ["geojson"],
-        "Transformation.concave": ["points", "maxEdge", "units"],
-        "Transformation.convex": ["geojson", "concavity"],
-        "Transformation.difference": ["polygon1", "polygon2"],
-        "Transformation.dissolve": ["featureCollection", "propertyName"],
-        "Transformation.intersect": ["poly1", "poly2"],
-        "Transformation.lineOffset": ["geojson", "distance", "units"],
-        "Transformation.simplify": ["feature", "tolerance", "highQuality"],
-        "Transformation.tesselate": ["poly"],
-        "Transformation.transformRotate": ["geojson", "angle", "pivot", "mutate"],
-        "Transformation.transformTranslate": ["geojson", "distance", "direction", "units", "zTranslation", "mutate"],
-        "Transformation.transformScale": ["geojson", "factor", "origin", "mutate"],
-        "Transformation.union": ["A"],
-        "Transformation.voronoi": ["points", "bbox"],
-        "featureConversion.combine": ["fc"],
-        "featureConversion.explode": ["geojson"],
-        "featureConversion.flatten": ["geojson"],
-        "featureConversion.lineStringToPolygon": ["lines", "properties", "autoComplete", "orderCoords"],
-        "featureConversion.polygonize": ["geojson"],
-        "featureConversion.polygonToLineString": ["polygon", "properties"],
-        "Misc.kinks": ["featureIn"],
-        "Misc.lineArc": ["center", "radius", "bearing1", "bearing2", "steps", "units"],
-        "Misc.lineChunk": ["geojson", "segmentLength", "units", "reverse"],
-        "Misc.lineIntersect": ["line1", "line2"],
-        "Misc.lineOverlap": ["line1", "line2"],
-        "Misc.lineSegment": ["geojson"],
-        "Misc.lineSlice": ["startPt", "stopPt", "line"],
-        "Misc.lineSliceAlong": ["line", "startDist", "stopDist", "units"],
-        "Misc.lineSplit": ["line", "splitter"],
-        "Misc.mask": ["polygon", "mask"],
-        "Misc.pointOnLine": ["lines", "pt", "units"],
-        "Misc.sector": ["center", "radius", "bearing1", "bearing2", "steps", "units"],
-        "Misc.shortestPath": ["start", "end", "obstacles", "units", "resolution"],
-        "Misc.unkinkPolygon": ["geojson"],
-        "Helper.featureCollection": ["features", "bbox", "id"],
-        "Helper.feature": ["geometry", "properties", "bbox", "id"],
-        "Helper.geometryCollection": ["geometries", "properties", "bbox", "id"],
-        "Helper.lineString": ["coordinates", "properties", "bbox", "id"],
-        "Helper.multiLineString": ["coordinates", "properties", "bbox", "id"],
-        "Helper.multiPoint": ["coordinates", "properties", "bbox", "id"],
-        "Helper.multiPolygon": ["coordinates", "properties", "bbox", "id"],
-        "Helper.point": ["coordinates", "properties", "bbox", "id"],
-        "Helper.polygon": ["coordinates", "properties", "bbox", "id"],
-        "Data.sample": ["featurecollection", "num"],
-        "Interpolation.interpolate": ["points", "cellSize", "gridType", "property", "units", "weight"],
-        "Interpolation.isobands": ["pointGrid", "breaks", "zProperty", "commonProperties", "breaksProperties"],
-        "Interpolation.isolines": ["pointGrid", "breaks", "zProperty", "commonProperties", "breaksProperties"],
-        "Interpolation.planepoint": ["point", "triangle"],
-        "Interpolation.tin": ["points", "z"],
-        "Joins.pointsWithinPolygon": ["points", "polygons"],
-        "Joins.tag": ["points", "polygons", "field", "outField", "mask", "properties"],
-        "Grids.hexGrid": ["bbox", "cellSide", "units", "triangles"],
-        "Grids.pointGrid": ["bbox", "cellSide", "units", "mask", "properties"],
-        "Grids.squareGrid": ["bbox", "cellSide", "units", "mask", "properties"],
-        "Grids.triangleGrid": ["bbox", "cellSide", "units", "mask", "properties"],
-        "Classification.nearestPoint": ["targetPoint", "points"],
-        "Aggregation.collect": ["polygons", "points", "inProperty", "outProperty"],
-        "Aggregation.clustersDbscan": ["points", "maxDistance", "units", "minPoints", "mutate"],
-        "Aggregation.clustersKmeans": ["points", "numberOfClusters", "mutate"],
-        "Meta.coordAll": ["geojson"],
-        "Meta.coordEach": ["geojson", "callback", "excludeWrapCoord"],
-        "Meta.coordReduce": ["geojson", "callback", "initialValue", "excludeWrapCoord"],
-        "Meta.featureEach": ["geojson", "callback"],
-        "Meta.featureReduce": ["geojson", "callback", "initialValue"],
-        "Meta.flattenEach": ["geojson", "callback"],
-        "Meta.flattenReduce": ["geojson", "callback", "initialValue"],
-        "Meta.getCoord": ["coord"],
-        "Meta.getCoords": ["coords"],
-        "Meta.getGeom": ["geojson"],
-        "Meta.getGeomType": ["geojson", "name"],
-        "Meta.geomEach": ["geojson", "callback"],
-        "Meta.geomReduce": ["geojson", "callback", "initialValue"],
-        "Meta.propEach": ["geojson", "callback"],
-        "Meta.propReduce": ["geojson", "callback", "initialValue"],
-        "Meta.segmentEach": ["geojson", "callback"],
-        "Meta.segmentReduce": ["geojson", "callback", "initialValue"],
-        "Meta.getCluster": ["geojson", "filter"],
-        "Meta.clusterEach": ["geojson", "property", "callback"],
-        "Meta.clusterReduce": ["geojson", "property", "callback", "initialValue"],
-        "Assertions.collectionOf": ["featureCollection", "type", "name"],
-        "Assertions.containsNumber": ["coordinates"],
-        "Assertions.geojsonType": ["value", "type", "name"],
-        "Assertions.featureOf": ["feature", "type", "name"],
-        "Booleans.booleanClockwise": ["line"],
-        "Booleans.booleanContains": ["feature1", "feature2"],
-        "Booleans.booleanCrosses": ["feature1", "feature2"],
-        "Booleans.booleanDisjoint": ["feature1", "feature2"],
-        "Booleans.booleanEqual": ["feature1", "feature2"],
-        "Booleans.booleanOverlap": ["feature1", "feature2"],
-        "Booleans.booleanParallel": ["feature1", "feature2"],
-        "Booleans.booleanPointInPolygon": ["point", "polygon", "ignoreBoundary"],
-        "Booleans.booleanPointOnLine": ["point", "linestring", "ignoreEndVertices"],
-        "UnitConversion.bearingToAngle": ["bearing"],
-        "UnitConversion.convertArea": ["area", "originalUnit", "finalUnit"],
-        "UnitConversion.convertLength": ["length", "originalUnit", "finalUnit"],
-        "UnitConversion.degreesToradians": ["degrees"],
-        "UnitConversion.lengthToRadians": ["distance", "units"],
-        "UnitConversion.lengthToDegrees": ["distance", "units"],
-        "UnitConversion.radiansToLength": ["radians", "units"],
-        "UnitConversion.radiansToDegrees": ["radians"],
-        "UnitConversion.toMercator": ["geojson", "mutate"],
-        "UnitConversion.toWgs84": ["geojson", "mutate"]
-    },
+    turfMap: TurfParameters.turfMap,
     options: {
         attribution: Attributions.Turf.attribution
     },
@@ -160,69 +45,7 @@ export var TurfLayer = L.GeoJSON.extend({
         this._layers = {};
     },
     // 5.0.0 及以上版本参数配置
-    turfOptionMap: {
-        "Measurement.along": ["line", "distance", {units: ""}],
-        "Measurement.bboxPolygon": ["bbox", {properties: "", id: ""}],
-        "Measurement.bearing": ["start", "end", {final: ""}],
-        "Measurement.center": ["geojson", {properties: ""}],
-        "Measurement.destination": ["origin", "distance", "bearing", {units: "", properties: ""}],
-        "Measurement.distance": ["from", "to", {units: ""}],
-        "Measurement.length": ["geojson", {units: ""}],
-        "Measurement.rhumbBearing": ["start", "end", {final: ""}],
-        "Measurement.rhumbDestination": ["origin", "distance", "bearing", {units: "", properties: ""}],
-        "Measurement.rhumbDistance": ["from", "to", {units: ""}],
-        "Measurement.greatCircle": ["start", "end", {properties: "", npoints: "", offset: ""}],
-        "CoordinateMutation.cleanCoords": ["geojson", {mutate: ""}],
-        "CoordinateMutation.flip": ["geojson", {mutate: ""}],
-        "CoordinateMutation.rewind": ["geojson", {mutate: "", reverse: ""}],
-        "CoordinateMutation.truncate": ["geojson", {precision: "", coordinates: "", mutate: ""}],
-        "Transformation.bezierSpline": ["line", {resolution: "", sharpness: ""}],
-        "Transformation.buffer": ["geojson", "radius", {units: "", steps: ""}],
-        "Transformation.circle": ["center", "radius", {units: "", steps: "", properties: ""}],
-        "Transformation.concave": ["points", {maxEdge: "", units: ""}],
-        "Transformation.convex": ["geojson", {concavity: ""}],
-        "Transformation.dissolve": ["featureCollection", {propertyName: ""}],
-        "Transformation.lineOffset": ["geojson", "distance", {units: ""}],
-        "Transformation.simplify": ["geojson", {tolerance: "", highQuality: ""}],
-        "Transformation.transformRotate": ["geojson", "angle", {pivot: "", mutate: ""}],
-        "Transformation.transformTranslate": ["geojson", "distance", "direction", {
-            units: "",
-            zTranslation: "",
-            mutate: ""
-        }],
-        "Transformation.transformScale": ["geojson", "factor", {origin: "", mutate: ""}],
-        "Transformation.voronoi": ["points", {bbox: ""}],
-        "featureConversion.lineStringToPolygon": ["lines", {properties: "", autoComplete: "", orderCoords: ""}],
-        "featureConversion.polygonToLineString": ["polygon", {properties: ""}],
-        "Misc.lineArc": ["center", "radius", "bearing1", "bearing2", {steps: "", units: ""}],
-        "Misc.lineChunk": ["geojson", "segmentLength", {units: "", reverse: ""}],
-        "Misc.lineOverlap": ["line1", "line2", {tolerance: ""}],
-        "Misc.lineSliceAlong": ["line", "startDist", "stopDist", {units: ""}],
-        "Misc.pointOnLine": ["lines", "pt", {units: ""}],
-        "Misc.sector": ["center", "radius", "bearing1", "bearing2", {units: "", steps: "", properties: ""}],
-        "Misc.shortestPath": ["start", "end", {obstacles: "", units: "", resolution: ""}],
-        "Helper.feature": ["geometry", "properties", {bbox: "", id: ""}],
-        "Helper.geometryCollection": ["geometries", "properties", {bbox: "", id: ""}],
-        "Helper.lineString": ["coordinates", "properties", {bbox: "", id: ""}],
-        "Helper.multiLineString": ["coordinates", "properties", {bbox: "", id: ""}],
-        "Helper.multiPoint": ["coordinates", "properties", {bbox: "", id: ""}],
-        "Helper.multiPolygon": ["coordinates", "properties", {bbox: "", id: ""}],
-        "Helper.point": ["coordinates", "properties", {bbox: "", id: ""}],
-        "Helper.polygon": ["coordinates", "properties", {bbox: "", id: ""}],
-        "Interpolation.interpolate": ["points", "cellSize", {gridType: "", property: "", units: "", weight: ""}],
-        "Interpolation.isobands": ["pointGrid", "breaks", {zProperty: "", commonProperties: "", breaksProperties: ""}],
-        "Interpolation.isolines": ["pointGrid", "breaks", {zProperty: "", commonProperties: "", breaksProperties: ""}],
-        "Grids.hexGrid": ["bbox", "cellSide", {units: "", triangles: "", properties: "", mask: ""}],
-        "Grids.pointGrid": ["bbox", "cellSide", {units: "", mask: "", properties: ""}],
-        "Grids.squareGrid": ["bbox", "cellSide", {units: "", mask: "", properties: ""}],
-        "Grids.triangleGrid": ["bbox", "cellSide", {units: "", mask: "", properties: ""}],
-        "Aggregation.clustersDbscan": ["points", "maxDistance", {units: "", minPoints: "", mutate: ""}],
-        "Aggregation.clustersKmeans": ["points", {numberOfClusters: "", mutate: ""}],
-        "Booleans.booleanPointInPolygon": ["point", "polygon", {ignoreBoundary: ""}],
-        "Booleans.booleanPointOnLine": ["point", "linestring", {ignoreEndVertices: ""}],
-        "UnitConversion.toMercator": ["geojson", {mutate: ""}],
-        "UnitConversion.toWgs84": ["geojson", {mutate: ""}]
-    },
+    turfOptionMap: TurfParameters.turfOptionMap,
 
     /**
      * @function L.supermap.turfLayer.prototype.process
@@ -231,8 +54,13 @@ export var TurfLayer = L.GeoJSON.extend({
      * @param {Object} args - Turf.js 提供的空间分析方法对应的参数对象。
      * @param {Function} callback - 空间分析完成执行的回调函数，返回执行的结果。
      * @param {boolean} [addFeaturesToMap=true] - 是否添加到 map。
+     * @returns {number} 在 worker 中执行时返回任务 ID，可用于取消任务。
      */
     process: function (type, args, callback, addFeaturesToMap) {
+        addFeaturesToMap = addFeaturesToMap == null ? true : addFeaturesToMap;
+        if (this._isWorkerEnabled() && !TurfWorker.hasFunction(args)) {
+            return this._processInWorker(type, args, callback, addFeaturesToMap);
+        }
         // 兼容版本4到5
         var result;
         try {
@@ -240,13 +68,30 @@ export var TurfLayer = L.GeoJSON.extend({
         } catch (e) {
             result = turf[type.split('.')[1]].apply(this, this.parseOption(type, args));
         }
-        addFeaturesToMap = addFeaturesToMap == null ? true : addFeaturesToMap;
-        if (addFeaturesToMap) {
-            this.addData([result]);
-        }
-        if (callback) {
-            callback(result);
-        }
+        this._processCompleted(result, callback, addFeaturesToMap);
+    },
+
+    /**
+     * @function L.supermap.turfLayer.prototype.cancel
+     * @description 取消在 worker 中执行的空间分析。
+     * @param {number} [taskId] - process 方法返回的任务 ID。不设置时取消全部任务。
+     */
+    cancel: function (taskId) {
+        this._turfWorker && this._turfWorker.cancel(taskId);
+    },
+
+    /**
+     * @function L.supermap.turfLayer.prototype.isProcessing
+     * @description 是否有正在 worker 中执行或者等待执行的空间分析。
+     * @returns {boolean} 是否有未完成的空间分析。
+     */
+    isProcessing: function () {
+        return !!this._turfWorker && this._turfWorker.isRunning();
+    },
+
+    onRemove: function (map) {
+        this.cancel();
+        L.GeoJSON.prototype.onRemove.call(this, map);
     },
 
     parse: function (type, args) {
@@ -268,8 +113,9 @@ export var TurfLayer = L.GeoJSON.extend({
         var tempArgs = this.turfOptionMap[type];
         tempArgs.map(function (key) {
             if (key instanceof Object) {
-                var options = key;
-                Object.keys(options).forEach(function (k) {
+                //不修改 turfOptionMap 中的对象，避免影响等待在 worker 中执行的任务
+                var options = {};
+                Object.keys(key).forEach(function (k) {
                     options[k] = args[k]
                 })
                 result.push(options);
@@ -279,6 +125,76 @@ export var TurfLayer = L.GeoJSON.extend({
             return args;
         })
         return result;
+    },
+
+    _isWorkerEnabled: function () {
+        return !!(this.options.useWorker || this.options.workerUrl);
+    },
+
+    _processInWorker: function (type, args, callback, addFeaturesToMap) {
+        var me = this;
+        // 兼容版本4到5，worker 中依次尝试两种参数形式
+        var argsList = [me.parse(type, args)];
+        if (me.turfOptionMap[type]) {
+            argsList.push(me.parseOption(type, args));
+        }
+        if (!me._turfWorker) {
+            me._turfWorker = new TurfWorker({
+                workerUrl: me.options.workerUrl,
+                turfUrl: me.options.turfUrl
+            });
+        }
+        return me._turfWorker.run(type.split('.')[1], argsList, {
+            onProgress: function (progress, taskId) {
+                /**
+                 * @event L.supermap.turfLayer#processprogress
+                 * @description 在 worker 中执行空间分析的进度变化时触发。
+                 * @property {number} taskId - 任务 ID。
+                 * @property {string} processType - 空间分析方法名。
+                 * @property {number} progress - 0 到 1 之间的进度。
+                 */
+                me.fire("processprogress", {taskId: taskId, processType: type, progress: progress});
+            },
+            onComplete: function (result, taskId) {
+                me._processCompleted(result, callback, addFeaturesToMap);
+                /**
+                 * @event L.supermap.turfLayer#processsucceeded
+                 * @description 在 worker 中执行空间分析成功后触发。
+                 * @property {number} taskId - 任务 ID。
+                 * @property {string} processType - 空间分析方法名。
+                 * @property {Object} result - 空间分析结果。
+                 */
+                me.fire("processsucceeded", {taskId: taskId, processType: type, result: result});
+            },
+            onError: function (error, taskId) {
+                /**
+                 * @event L.supermap.turfLayer#processfailed
+                 * @description 在 worker 中执行空间分析失败后触发。
+                 * @property {number} taskId - 任务 ID。
+                 * @property {string} processType - 空间分析方法名。
+                 * @property {string} error - 错误信息。
+                 */
+                me.fire("processfailed", {taskId: taskId, processType: type, error: error});
+            },
+            onCancel: function (taskId) {
+                /**
+                 * @event L.supermap.turfLayer#processcancelled
+                 * @description 取消在 worker 中执行的空间分析后触发。
+                 * @property {number} taskId - 任务 ID。
+                 * @property {string} processType - 空间分析方法名。
+                 */
+                me.fire("processcancelled", {taskId: taskId, processType: type});
+            }
+        });
+    },
+
+    _processCompleted: function (result, callback, addFeaturesToMap) {
+        if (addFeaturesToMap) {
+            this.addData([result]);
+        }
+        if (callback) {
+            callback(result);
+        }
     }
 });
 
@@ -39,7 +39,7 @@ export var UniqueThemeLayer = GeoFeatureThemeLayer.extend({
     
      /** 
      * @member {Object} L.supermap.uniqueThemeLayer.prototype.styleGroups
-     * @description 各专题类型样式组。
+     * @description 各专题类型样式组。可以使用 {@link SuperMap.ColorRamp.getUniqueStyleGroups} 根据单值和色带生成。
      */
 
     /** 
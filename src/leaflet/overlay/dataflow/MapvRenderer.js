@@ -37,7 +37,7 @@ export var MapvRenderer = MapVLayer.extend({
     },
 
     onMessageSuccessed: function (msg) {
-        const geoID = msg.featureResult.properties['id'];
+        const geoID = msg.featureResult.properties[this.options.idField || 'id'];
         const geometry = msg.featureResult.geometry;
         //设置每个点的经纬度和图片的样式
         const item = {
@@ -115,6 +115,49 @@ export var MapvRenderer = MapVLayer.extend({
             });
         }
     },
+
+    /**
+     * @function MapvRenderer.prototype.removeFeature
+     * @description 删除要素。
+     * @param {(string|number)} id - 要素的唯一标识。
+     */
+    removeFeature: function (id) {
+        const index = this.idCache[id];
+        if (index === undefined) {
+            return;
+        }
+        this.data.splice(index, 1);
+        delete this.idCache[id];
+        //之后的要素在 data 中的位置前移
+        for (const key in this.idCache) {
+            if (this.idCache[key] > index) {
+                this.idCache[key]--;
+            }
+        }
+        this._redrawData();
+    },
+
+    /**
+     * @function MapvRenderer.prototype.clearFeatures
+     * @description 删除全部要素。
+     */
+    clearFeatures: function () {
+        this.data = [];
+        this.idCache = {};
+        this._redrawData();
+    },
+
+    _redrawData: function () {
+        if (!this.renderer) {
+            return;
+        }
+        this._last = new Date();
+        this.update({
+            data: this.data,
+            options: this.mapVOptions
+        });
+    },
+
     _toMapvStyle: function (options) {
         const mapvOps = {
             draw: 'simple'
@@ -51,6 +51,29 @@ export var NormalRenderer = L.GeoJSON.extend({
             this.options.onEachFeature(geojson, layer);
         }
     },
+
+    /**
+     * @function NormalRenderer.prototype.removeFeature
+     * @description 删除要素。
+     * @param {(string|number)} id - 要素的唯一标识。
+     */
+    removeFeature: function (id) {
+        if (!this.idCache[id]) {
+            return;
+        }
+        this.removeLayer(this.idCache[id]);
+        delete this.idCache[id];
+    },
+
+    /**
+     * @function NormalRenderer.prototype.clearFeatures
+     * @description 删除全部要素。
+     */
+    clearFeatures: function () {
+        this.clearLayers();
+        this.idCache = {};
+    },
+
     _updateLayerData: function (layer, geojson) {
         if (geojson.properties) {
             layer.feature.properties = geojson.properties;
@@ -0,0 +1,93 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import L from "leaflet";
+import '../../core/Base';
+
+/**
+ * @class TrailRenderer
+ * @classdesc 数据流图层轨迹渲染器。将每个要素的轨迹绘制为由旧到新逐渐不透明的折线。
+ * @category  iServer DataFlow
+ * @extends {L.FeatureGroup}
+ * @param {Object} options - 设置图层参数。
+ * @param {string} [options.color='#3388ff'] - 轨迹颜色。
+ * @param {number} [options.weight=3] - 轨迹宽度。
+ * @param {number} [options.opacity=1] - 轨迹最新一段的不透明度，最旧一段逐渐变为透明。
+ * @param {L.Renderer} [options.renderer] - 绘制轨迹使用的渲染器。
+ */
+export var TrailRenderer = L.FeatureGroup.extend({
+
+    options: {
+        color: '#3388ff',
+        weight: 3,
+        opacity: 1
+    },
+
+    initialize: function (options) {
+        L.Util.setOptions(this, options);
+        L.FeatureGroup.prototype.initialize.call(this);
+        this._trails = {};
+    },
+
+    /**
+     * @function TrailRenderer.prototype.setTrail
+     * @description 设置要素的轨迹。复用要素已有的折线，只更新坐标和不透明度。
+     * @param {(string|number)} id - 要素的唯一标识。
+     * @param {Array.<Array.<number>>} coordinates - 轨迹坐标数组。
+     */
+    setTrail: function (id, coordinates) {
+        var count = coordinates.length - 1;
+        if (count < 1) {
+            this.removeTrail(id);
+            return;
+        }
+        var segments = this._trails[id] || [];
+        //轨迹变短时删除多余的折线
+        segments.splice(count).forEach((segment) => this.removeLayer(segment));
+        for (var i = 0; i < count; i++) {
+            var latLngs = [
+                L.GeoJSON.coordsToLatLng(coordinates[i]),
+                L.GeoJSON.coordsToLatLng(coordinates[i + 1])
+            ];
+            var opacity = this.options.opacity * (i + 1) / count;
+            if (segments[i]) {
+                segments[i].setLatLngs(latLngs);
+                segments[i].setStyle({opacity: opacity});
+                continue;
+            }
+            var segment = L.polyline(latLngs, {
+                color: this.options.color,
+                weight: this.options.weight,
+                opacity: opacity,
+                renderer: this.options.renderer,
+                interactive: false
+            });
+            this.addLayer(segment);
+            segments.push(segment);
+        }
+        this._trails[id] = segments;
+    },
+
+    /**
+     * @function TrailRenderer.prototype.removeTrail
+     * @description 删除要素的轨迹。
+     * @param {(string|number)} id - 要素的唯一标识。
+     */
+    removeTrail: function (id) {
+        var segments = this._trails[id];
+        if (!segments) {
+            return;
+        }
+        segments.forEach((segment) => this.removeLayer(segment));
+        delete this._trails[id];
+    },
+
+    /**
+     * @function TrailRenderer.prototype.clearTrails
+     * @description 删除全部轨迹。
+     */
+    clearTrails: function () {
+        this.clearLayers();
+        this._trails = {};
+    }
+});
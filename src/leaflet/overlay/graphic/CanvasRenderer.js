@@ -2,8 +2,18 @@
  * This program are made available under the terms of the Apache License, Version 2.0
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
 import L from "leaflet";
+import {
+    SpatialIndex
+} from '@supermap/iclient-common';
 
 const emptyFunc = L.Util.falseFn;
+//线要素、面要素边线的拾取容差（像素）
+const PATH_TOLERANCE = 3;
+
+function toRGBA(colorArray) {
+    return `rgba(${colorArray[0]},${colorArray[1]},${colorArray[2]},${(colorArray[3] === undefined ? 255 : colorArray[3]) / 255})`;
+}
+
 export var GraphicCanvasRenderer = L.Class.extend({
     initialize: function (layer, options) {
         this.layer = layer;
@@ -33,33 +43,138 @@ export var GraphicCanvasRenderer = L.Class.extend({
 
     _handleClick: function (evt) {
         let me = this,
-            layer = me.layer,
-            map = layer._map;
-        if (!layer.options.onClick) {
+            layer = me.layer;
+        if (!layer.options.onClick && !layer._pointCluster) {
             return;
         }
         this.layer._renderer._ctx.canvas.style.cursor = "pointer";
-        let graphics = layer._getGraphicsInBounds();
-        for (let i = 0; i < graphics.length; i++) {
-            let p1, p2, bounds;
+        let graphic = me._getGraphicAtLatLng(evt.latlng);
+        if (graphic) {
+            return layer._clickGraphic(graphic, evt);
+        }
+    },
+
+    _handleMouseMove: function (evt) {
+        let me = this,
+            layer = me.layer;
+        if (!layer.options.onHover && !layer.options.highlightStyle) {
+            return;
+        }
+        let graphic = me._getGraphicAtLatLng(evt.latlng);
+        if (graphic === layer._hoverGraphic) {
+            return;
+        }
+        layer._hoverGraphic = graphic;
+        layer._renderer._ctx.canvas.style.cursor = graphic ? "pointer" : "";
+        if (layer.options.highlightStyle) {
+            me.update();
+        }
+        if (layer.options.onHover) {
+            layer.options.onHover.call(layer, graphic, evt);
+        }
+    },
+
+    //使用空间索引查询候选要素，再按符号范围判断，返回最上层的要素
+    _getGraphicAtLatLng: function (latlng) {
+        let me = this,
+            layer = me.layer,
+            map = layer._map;
+        let point = map.latLngToLayerPoint(latlng);
+        let graphics = layer._getGraphicsAtPoint(point, me._getHitTolerance());
+        for (let i = graphics.length - 1; i >= 0; i--) {
+            if (graphics[i].getGeometryType() !== "Point") {
+                if (me._pathContainsPoint(graphics[i], point)) {
+                    return graphics[i];
+                }
+                continue;
+            }
             let center = map.latLngToLayerPoint(graphics[i].getLatLng());
-            let style = graphics[i].getStyle();
-            if (!style && this.defaultStyle) {
-                style = this.defaultStyle;
+            if (me._getStyleBounds(me._getStyle(graphics[i]), center).contains(point)) {
+                return graphics[i];
             }
-            if (style.img) {
-                let anchor = style.anchor || [style.img.width / 2, style.img.height / 2];
-                p1 = L.point(center.x - anchor[0], center.y - anchor[1]);
-                p2 = L.point(p1.x + style.img.width, p1.y + style.img.height);
-            } else {
-                p1 = L.point(center.x - style.width / 2, center.y - style.height / 2);
-                p2 = L.point(center.x + style.width / 2, center.y + style.height / 2);
+        }
+        return null;
+    },
+
+    //判断点是否在面要素内，或者在线要素、面要素边线的容差范围内
+    _pathContainsPoint: function (graphic, point) {
+        let map = this.layer._map;
+        let style = this._getStyle(graphic);
+        let tolerance = (style.weight || 0) / 2 + PATH_TOLERANCE;
+        let isPolygon = graphic.getGeometryType() === "Polygon";
+        let rings = isPolygon ? graphic.getLatLngs() : [graphic.getLatLngs()];
+        let inside = false;
+        for (let i = 0; i < rings.length; i++) {
+            let points = rings[i].map((latLng) => map.latLngToLayerPoint(latLng));
+            if (isPolygon) {
+                points.push(points[0]);
+                //奇偶规则，落在洞内时不在面内
+                if (SpatialIndex.isPointInRing([point.x, point.y], points.map((p) => [p.x, p.y]))) {
+                    inside = !inside;
+                }
+            }
+            for (let j = 1; j < points.length; j++) {
+                if (L.LineUtil.pointToSegmentDistance(point, points[j - 1], points[j]) <= tolerance) {
+                    return true;
+                }
+            }
+        }
+        return inside;
+    },
+
+    _getStyle: function (graphic) {
+        let style = graphic.getStyle();
+        if (graphic.getGeometryType() !== "Point") {
+            return L.Util.extend({}, this.layer.defaultPathStyle, style);
+        }
+        if (!style && this.defaultStyle) {
+            style = this.defaultStyle;
+        }
+        return style;
+    },
+
+    _getStyleBounds: function (style, center) {
+        let p1, p2;
+        if (style.img) {
+            let size = style.size || [style.img.width, style.img.height];
+            let anchor = style.anchor || [size[0] / 2, size[1] / 2];
+            p1 = L.point(center.x - anchor[0], center.y - anchor[1]);
+            p2 = L.point(p1.x + size[0], p1.y + size[1]);
+        } else {
+            p1 = L.point(center.x - style.width / 2, center.y - style.height / 2);
+            p2 = L.point(center.x + style.width / 2, center.y + style.height / 2);
+        }
+        return L.bounds(p1, p2);
+    },
+
+    //要素符号相对于中心点的最大像素距离，要素或样式改变后重新计算
+    _getHitTolerance: function () {
+        let layer = this.layer;
+        //聚类符号的大小随级别变化，不参与缓存
+        let clusterTolerance = layer._clusterSymbol ? layer._clusterSymbol.getMaxSize() : 0;
+        if (layer._hitTolerance != null) {
+            return Math.max(layer._hitTolerance, clusterTolerance);
+        }
+        let tolerance = 0,
+            lastStyle = null;
+        let origin = L.point(0, 0);
+        let graphics = layer.graphics;
+        for (let i = 0; i < graphics.length; i++) {
+            let style = graphics[i] && graphics[i].getStyle();
+            if (!graphics[i] || (style && style === lastStyle)) {
+                continue;
             }
-            bounds = L.bounds(p1, p2);
-            if (bounds.contains(map.latLngToLayerPoint(evt.latlng))) {
-                return layer.options.onClick.call(layer, graphics[i],evt);
+            lastStyle = style;
+            style = this._getStyle(graphics[i]);
+            if (graphics[i].getGeometryType() !== "Point") {
+                tolerance = Math.max(tolerance, (style.weight || 0) / 2 + PATH_TOLERANCE);
+                continue;
             }
+            let bounds = this._getStyleBounds(style, origin);
+            tolerance = Math.max(tolerance, -bounds.min.x, -bounds.min.y, bounds.max.x, bounds.max.y);
         }
+        layer._hitTolerance = tolerance;
+        return Math.max(tolerance, clusterTolerance);
     },
 
     //跟GraphicWebGLRenderer保持一致
@@ -68,14 +183,19 @@ export var GraphicCanvasRenderer = L.Class.extend({
 
 L.Canvas.include({
 
-    drawGraphics: function (graphics, defaultStyle) {
+    drawGraphics: function (graphics, defaultStyle, overrideStyle, defaultPathStyle) {
         var me = this;
         if (!me._drawing) {
             return;
         }
         //this._ctx.clearRect(0, 0, this._ctx.canvas.width, me._ctx.canvas.height);
         graphics.forEach(function (graphic) {
-            var style = graphic.getStyle();
+            //overrideStyle 为 true 时使用 defaultStyle 绘制全部要素，用于绘制高亮要素
+            var style = overrideStyle ? null : graphic.getStyle();
+            if (graphic.getGeometryType() !== "Point") {
+                me._drawPath.call(me, me._ctx, style || {}, defaultPathStyle || {}, graphic);
+                return;
+            }
             if (!style && defaultStyle) {
                 style = defaultStyle;
             }
@@ -87,6 +207,34 @@ L.Canvas.include({
         })
     },
 
+    _drawPath: function (ctx, style, defaultStyle, graphic) {
+        var me = this;
+        var isPolygon = graphic.getGeometryType() === "Polygon";
+        var rings = isPolygon ? graphic.getLatLngs() : [graphic.getLatLngs()];
+        ctx.beginPath();
+        rings.forEach(function (ring) {
+            ring.forEach(function (latLng, i) {
+                var point = me._map.latLngToLayerPoint(latLng);
+                i ? ctx.lineTo(point.x, point.y) : ctx.moveTo(point.x, point.y);
+            });
+            isPolygon && ctx.closePath();
+        });
+        var fillColor = style.fillColor || defaultStyle.fillColor;
+        if (isPolygon && fillColor) {
+            ctx.fillStyle = toRGBA(fillColor);
+            ctx.fill('evenodd');
+        }
+        var weight = style.weight !== undefined ? style.weight : defaultStyle.weight;
+        var color = style.color || defaultStyle.color;
+        if (weight && color) {
+            ctx.lineWidth = weight;
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            ctx.strokeStyle = toRGBA(color);
+            ctx.stroke();
+        }
+    },
+
     _drawCanvas: function (ctx, style, latLng) {
 
         var canvas = style;
@@ -6,22 +6,43 @@ import '../../core/Base';
 
 /**
  * @class L.supermap.graphic
- * @classdesc 高效率点图层要素类。
+ * @classdesc 高效率点图层要素类。除点要素外，也支持线要素和面要素。
  * @category Visualization Graphic
  * @extends {L.Class}
  * @param {Object} options - 图形参数。
- * @param {L.LatLng} options.latLng - 经纬度。
+ * @param {L.LatLng} [options.latLng] - 点要素的经纬度。
+ * @param {(Array.<L.LatLng>|Array.<Array.<L.LatLng>>)} [options.latLngs] - 线要素或面要素的顶点数组。面要素可以传入多个环（第一个为外环，其余为洞）。
+ * @param {string} [options.geometryType] - 几何类型，可选值："Point"，"LineString"，"Polygon"。默认传入 latLng 时为 "Point"，传入 latLngs 时为 "LineString"。
  * @param {number} options.id - 要素id。
- * @param {(L.supermap.circleStyle|L.supermap.cloverStyle|L.supermap.imageStyle)} [options.style] - 点样式。
+ * @param {(L.supermap.circleStyle|L.supermap.cloverStyle|L.supermap.imageStyle|Object)} [options.style] - 点样式，或者线、面要素的样式。
+ * @param {Array.<number>} [options.style.color] - 线要素、面要素边线的颜色，目前只支持 rgba 数组。
+ * @param {number} [options.style.weight] - 线要素、面要素边线的宽度，单位像素。为 0 时面要素不绘制边线。
+ * @param {Array.<number>} [options.style.fillColor] - 面要素的填充颜色，目前只支持 rgba 数组。
  * @param {Object} [options.attributes] - 要素属性。
+ * @example
+ * var road = L.supermap.graphic({
+ *     latLngs: [[39.9, 116.3], [39.91, 116.4]],
+ *     style: {color: [255, 0, 0, 255], weight: 2}
+ * });
+ * var park = L.supermap.graphic({
+ *     latLngs: [[39.9, 116.3], [39.91, 116.4], [39.92, 116.3]],
+ *     geometryType: 'Polygon',
+ *     style: {fillColor: [0, 255, 0, 128], weight: 0}
+ * });
  */
 export var Graphic = L.Class.extend({
 
     initialize: function (options) {
         options = options || {};
 
-        var latLng = options.latLng || options._latLng;
-        this._latLng = L.latLng(latLng.lat, latLng.lng);
+        var latLngs = options.latLngs || options._latLngs;
+        this._geometryType = options.geometryType || options._geometryType || (latLngs ? "LineString" : "Point");
+        if (this._geometryType === "Point") {
+            var latLng = options.latLng || options._latLng;
+            this._latLng = L.latLng(latLng.lat, latLng.lng);
+        } else {
+            this.setLatLngs(latLngs);
+        }
         this._style = options.style || options._canvas;
         this.attributes = options.attributes;
         this.id = options.id ? options.id : null;
@@ -55,6 +76,63 @@ export var Graphic = L.Class.extend({
         this._latLng = latLng;
     },
 
+    /**
+     * @function L.supermap.graphic.prototype.setLatLngs
+     * @description 设置线要素或面要素的顶点。
+     * @param {(Array.<L.LatLng>|Array.<Array.<L.LatLng>>)} latLngs - 顶点数组，面要素可以传入多个环。
+     */
+    setLatLngs: function (latLngs) {
+        var toLatLngs = function (ring) {
+            return ring.map(function (latLng) {
+                return L.latLng(latLng);
+            });
+        };
+        latLngs = latLngs || [];
+        if (this._geometryType === "Polygon") {
+            //统一为环的数组
+            var rings = L.LineUtil.isFlat(latLngs) ? [latLngs] : latLngs;
+            this._latLngs = rings.map(toLatLngs);
+        } else {
+            this._latLngs = toLatLngs(latLngs);
+        }
+        this._bounds = null;
+        this._latLng = null;
+    },
+
+    /**
+     * @function L.supermap.graphic.prototype.getLatLngs
+     * @description 获取线要素或面要素的顶点。
+     * @returns {(Array.<L.LatLng>|Array.<Array.<L.LatLng>>)} 线要素返回顶点数组，面要素返回环的数组。
+     */
+    getLatLngs: function () {
+        return this._latLngs;
+    },
+
+    /**
+     * @function L.supermap.graphic.prototype.getGeometryType
+     * @description 获取几何类型。
+     * @returns {string} 几何类型，"Point"，"LineString" 或 "Polygon"。
+     */
+    getGeometryType: function () {
+        return this._geometryType;
+    },
+
+    /**
+     * @function L.supermap.graphic.prototype.getBounds
+     * @description 获取要素的经纬度范围。
+     * @returns {L.LatLngBounds} 经纬度范围。
+     */
+    getBounds: function () {
+        if (this._geometryType === "Point") {
+            return L.latLngBounds(this._latLng, this._latLng);
+        }
+        if (!this._bounds) {
+            var latLngs = this._geometryType === "Polygon" ? this._latLngs[0] : this._latLngs;
+            this._bounds = L.latLngBounds(latLngs);
+        }
+        return this._bounds;
+    },
+
     /**
      * @deprecated
      * @function L.supermap.graphic.prototype.setCanvas
@@ -77,11 +155,14 @@ export var Graphic = L.Class.extend({
 
     /**
      * @function L.supermap.graphic.prototype.getLatLng
-     * @description 获取经纬度。
+     * @description 获取经纬度。线要素和面要素返回范围的中心点。
      * @returns {L.LatLng} 经纬度。
      */
 
     getLatLng: function () {
+        if (!this._latLng && this._latLngs) {
+            this._latLng = this.getBounds().getCenter();
+        }
         return this._latLng;
     },
 
@@ -107,7 +188,7 @@ export var Graphic = L.Class.extend({
     /**
      * @function L.supermap.graphic.prototype.setStyle
      * @description 设置样式。
-     * @param {(L.supermap.circleStyle|L.supermap.imageStyle|L.supermap.cloverStyle)} style - 样式。
+     * @param {(L.supermap.circleStyle|L.supermap.imageStyle|L.supermap.cloverStyle|Object)} style - 样式，线要素和面要素的样式参考构造参数 options.style。
      */
     setStyle: function (style) {
         this._style = style;
@@ -116,7 +197,7 @@ export var Graphic = L.Class.extend({
     /**
      * @function L.supermap.graphic.prototype.getStyle
      * @description 获取样式。
-     * @returns {(L.supermap.circleStyle|L.supermap.imageStyle|L.supermap.cloverStyle)} 样式。
+     * @returns {(L.supermap.circleStyle|L.supermap.imageStyle|L.supermap.cloverStyle|Object)} 样式。
      */
     getStyle: function () {
         return this._style;
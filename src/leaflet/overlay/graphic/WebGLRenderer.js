@@ -7,7 +7,7 @@ const emptyFunc = L.Util.falseFn;
 /**
  * @private
  * @class GraphicWebGLRenderer
- * @classdesc 高效率点图层 webgl 渲染器。
+ * @classdesc 高效率点图层 webgl 渲染器。点要素使用 ScatterplotLayer 绘制，线要素和面要素分别使用 PathLayer 和 PolygonLayer 绘制，聚类要素使用 IconLayer 绘制。
  * @category Visualization Graphic
  * @extends {L.Layer}
  * @param {Array.<L.supermap.graphicLayer>} layer - 高效率点图层。
@@ -46,6 +46,19 @@ const CSS_TRANSFORM = (function () {
     }
     return props[0];
 })();
+
+function isSameData(oldData, newData) {
+    if (!oldData || oldData.length !== newData.length) {
+        return false;
+    }
+    for (let i = 0; i < newData.length; i++) {
+        if (oldData[i] !== newData[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
 export var GraphicWebGLRenderer = L.Class.extend({
     initialize: function (layer, options) {
         this.layer = layer;
@@ -75,6 +88,9 @@ export var GraphicWebGLRenderer = L.Class.extend({
         if (graphics && graphics.length > -1) {
             this._data = graphics;
         }
+        //要素的几何可能已经改变，需要重新生成线、面图层的数据
+        this._lineData = null;
+        this._polygonData = null;
         this._renderLayer.setChangeFlags({
             dataChanged: true,
             propsChanged: true,
@@ -88,6 +104,9 @@ export var GraphicWebGLRenderer = L.Class.extend({
         this._layerDefaultStyleCache = null;
         this._renderLayer.setNeedsRedraw(true);
         this._renderLayer.setState(state);
+        this.deckGL && this.deckGL.setProps({
+            layers: this._getLayers()
+        });
     },
 
     /**
@@ -158,8 +177,7 @@ export var GraphicWebGLRenderer = L.Class.extend({
         } = state;
         let innerLayerOptions = {
             id: 'scatter-plot',
-            data: me._data,
-            pickable: Boolean(this.options.onClick) || Boolean(this.options.onHover),
+            data: [],
             autoHighlight: true,
             color: color,
             opacity: opacity,
@@ -192,20 +210,124 @@ export var GraphicWebGLRenderer = L.Class.extend({
                 getRadius: [radius]
             }
         };
+        me._renderLayer = new window.DeckGL.ScatterplotLayer(L.Util.extend(innerLayerOptions, me._getPickingOptions()));
+    },
+
+    _getPickingOptions: function () {
         let _self = this;
-        if (this.options.onClick) {
-            innerLayerOptions.onClick = function () {
+        let layer = this.layer;
+        let options = {
+            pickable: Boolean(this.options.onClick) || Boolean(this.options.onHover) || Boolean(layer._pointCluster)
+        };
+        if (this.options.onClick || layer._pointCluster) {
+            options.onClick = function (info) {
                 _self._container.style.cursor = "pointer";
-                _self.options.onClick.apply(_self, arguments)
+                let result = _self.options.onClick && _self.options.onClick.apply(_self, arguments);
+                if (info && layer.isCluster(info.object) && layer._clusterZoomOnClick) {
+                    layer.expandCluster(info.object);
+                }
+                return result;
             };
         }
         if (this.options.onHover) {
-            innerLayerOptions.onHover = function () {
+            options.onHover = function () {
                 _self._container.style.cursor = "pointer";
                 _self.options.onHover.apply(_self, arguments)
             };
         }
-        me._renderLayer = new window.DeckGL.ScatterplotLayer(innerLayerOptions);
+        return options;
+    },
+
+    //线、面图层在每次绘制时重新创建，数据不变时 deck.gl 会复用已生成的顶点数据
+    _getLayers: function () {
+        let me = this;
+        let layers = [me._renderLayer];
+        let defaultStyle = me.layer.defaultPathStyle;
+        let {highlightColor} = me._getLayerState();
+        let getStyleValue = function (graphic, key) {
+            let style = graphic.getStyle();
+            return style && style[key] !== undefined ? style[key] : defaultStyle[key];
+        };
+        let toCoordinates = function (latLngs) {
+            return latLngs.map(function (latLng) {
+                return [latLng.lng, latLng.lat];
+            });
+        };
+        let options = L.Util.extend({
+            autoHighlight: true,
+            opacity: 1
+        }, me._getPickingOptions());
+        if (highlightColor) {
+            options.highlightColor = highlightColor;
+        }
+        if (me._lineData && me._lineData.length) {
+            layers.push(new window.DeckGL.PathLayer(L.Util.extend({
+                id: 'graphic-path',
+                data: me._lineData,
+                rounded: true,
+                widthScale: me._pixelToMeter(1),
+                getPath: function (graphic) {
+                    return toCoordinates(graphic.getLatLngs());
+                },
+                getColor: function (graphic) {
+                    return getStyleValue(graphic, 'color');
+                },
+                getWidth: function (graphic) {
+                    return getStyleValue(graphic, 'weight');
+                }
+            }, options)));
+        }
+        if (me._polygonData && me._polygonData.length) {
+            layers.push(new window.DeckGL.PolygonLayer(L.Util.extend({
+                id: 'graphic-polygon',
+                data: me._polygonData,
+                lineWidthScale: me._pixelToMeter(1),
+                getPolygon: function (graphic) {
+                    return graphic.getLatLngs().map(toCoordinates);
+                },
+                getFillColor: function (graphic) {
+                    return getStyleValue(graphic, 'fillColor');
+                },
+                getLineColor: function (graphic) {
+                    return getStyleValue(graphic, 'color');
+                },
+                getLineWidth: function (graphic) {
+                    return getStyleValue(graphic, 'weight');
+                }
+            }, options)));
+        }
+        if (me._clusterData && me._clusterData.length) {
+            layers.push(me._getClusterLayer(options));
+        }
+        return layers;
+    },
+
+    //聚类要素使用带有个数标签的图标绘制
+    _getClusterLayer: function (options) {
+        let me = this;
+        let layer = me.layer;
+        let atlas = layer._clusterSymbol.getIconAtlas(me._clusterData.map(function (graphic) {
+            return graphic._cluster;
+        }), layer._pointCluster.totalValue);
+        me._clusterData.forEach(function (graphic, i) {
+            graphic._clusterIcon = atlas.icons[i];
+        });
+        return new window.DeckGL.IconLayer(L.Util.extend({
+            id: 'graphic-cluster',
+            data: me._clusterData,
+            iconAtlas: atlas.iconAtlas,
+            iconMapping: atlas.iconMapping,
+            getPosition: function (graphic) {
+                let latLng = graphic.getLatLng();
+                return [latLng.lng, latLng.lat, 0];
+            },
+            getIcon: function (graphic) {
+                return graphic._clusterIcon;
+            },
+            getSize: function (graphic) {
+                return atlas.iconMapping[graphic._clusterIcon].height;
+            }
+        }, options));
     },
 
     _getLayerDefaultStyle: function () {
@@ -254,7 +376,7 @@ export var GraphicWebGLRenderer = L.Class.extend({
         }
         this._layerDefaultStyleCache = null;
         this._renderLayer.setNeedsRedraw(true);
-        deckOptions.layers = [this._renderLayer];
+        deckOptions.layers = this._getLayers();
         deckOptions.canvas = this._container;
         deckOptions.onBeforeRender = this._onBeforeRender.bind(this);
         deckOptions.onAfterRender = this._onAfterRender.bind(this);
@@ -281,14 +403,33 @@ export var GraphicWebGLRenderer = L.Class.extend({
             this._renderLayer.props.data = [];
         }
         this._renderLayer.props.data.length = 0;
+        let lines = [],
+            polygons = [],
+            clusters = [];
         for (let i = 0; i < sGraphics.length; i++) {
-            this._renderLayer.props.data.push(sGraphics[i]);
+            let type = sGraphics[i] && sGraphics[i].getGeometryType();
+            if (this.layer.isCluster(sGraphics[i])) {
+                clusters.push(sGraphics[i]);
+            } else if (type === "LineString") {
+                lines.push(sGraphics[i]);
+            } else if (type === "Polygon") {
+                polygons.push(sGraphics[i]);
+            } else {
+                this._renderLayer.props.data.push(sGraphics[i]);
+            }
         }
-        this._data = this._renderLayer.props.data;
+        this._data = sGraphics;
+        //要素没有变化时保留原数组，避免 deck.gl 重新生成线、面的顶点数据
+        this._lineData = isSameData(this._lineData, lines) ? this._lineData : lines;
+        this._polygonData = isSameData(this._polygonData, polygons) ? this._polygonData : polygons;
+        this._clusterData = isSameData(this._clusterData, clusters) ? this._clusterData : clusters;
     },
 
     _handleClick: emptyFunc,
 
+    //webgl 渲染时由 deck.gl 拾取悬停的要素
+    _handleMouseMove: emptyFunc,
+
     //deck渲染开始前调用，可以重写
     _onBeforeRender: emptyFunc,
 
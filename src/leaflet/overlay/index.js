@@ -2,6 +2,7 @@
  * This program are made available under the terms of the Apache License, Version 2.0
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
 import {DataFlowLayer, dataFlowLayer} from './DataFlowLayer';
+import {ElasticSearchGeoAdapter, elasticSearchGeoAdapter} from './ElasticSearchGeoAdapter';
 import {EchartsLayer, echartsLayer, LeafletMapCoordSys} from './EChartsLayer';
 import {GraphicLayer, graphicLayer} from './GraphicLayer';
 import {GraphThemeLayer, graphThemeLayer} from './GraphThemeLayer';
@@ -45,6 +46,7 @@ import {
 
 
 export {DataFlowLayer, dataFlowLayer};
+export {ElasticSearchGeoAdapter, elasticSearchGeoAdapter};
 export {EchartsLayer, echartsLayer, LeafletMapCoordSys};
 export {GraphicLayer, graphicLayer};
 export {GraphThemeLayer, graphThemeLayer};
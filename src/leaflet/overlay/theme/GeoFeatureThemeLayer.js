@@ -5,7 +5,11 @@ import L from "leaflet";
 import {
     CommonUtil,
     ShapeFactory,
-    ThemeVector
+    ThemeVector,
+    GeometryPoint as Point,
+    GeometryVector,
+    PointCluster,
+    ClusterSymbol
 } from '@supermap/iclient-common';
 import {ThemeLayer} from './ThemeLayer';
 import {CommontypesConversion} from '../../core/CommontypesConversion';
@@ -31,6 +35,12 @@ import {CommontypesConversion} from '../../core/CommontypesConversion';
  *                                        禁止对专题要素使用数据（feature）的 style。
  *                                        此属性可强制将数据 feature 的 style 中有效属性应用到专题要素上，且拥有比图层 style 和 styleGroups 更高的优先级，使专题要素
  *                                        的样式脱离专题图层的控制。可以通过此方式实现对特殊数据（feature） 对应专题要素赋予独立 style。
+ * @param {(boolean|Object)} [options.cluster] - 点要素聚类参数。设置后按地图级别聚合几何对象为点的要素，聚类要素使用聚类符号绘制，其他要素不参与聚类。
+ * @param {number} [options.cluster.radius=60] - 聚类半径，单位像素。
+ * @param {number} [options.cluster.maxZoom=16] - 生成聚类的最大级别，大于此级别时显示全部点要素。
+ * @param {string} [options.cluster.field] - 统计字段，聚类的统计值为成员要素该属性值之和，符号大小随统计值变化。不设置时使用成员个数。
+ * @param {boolean} [options.cluster.zoomOnClick=true] - 点击聚类时是否放大到聚类展开的级别。
+ * @param {Object} [options.cluster.symbol] - 聚类符号参数，参考 {@link SuperMap.ClusterSymbol}。
  * @fires L.supermap.GeoFeatureThemeLayer#beforefeaturesadded
  */
 export var GeoFeatureThemeLayer = ThemeLayer.extend({
@@ -63,6 +73,21 @@ export var GeoFeatureThemeLayer = ThemeLayer.extend({
         me.cacheFields = [];
         me.style = {};
         me.highlightStyle = {};
+        me._initCluster(me.options.cluster);
+    },
+
+    /**
+     * @function L.supermap.GeoFeatureThemeLayer.prototype.onAdd
+     * @description 添加专题图。
+     * @param {L.Map} map - 要添加的地图。
+     * @private
+     */
+    onAdd: function (map) {
+        ThemeLayer.prototype.onAdd.call(this, map);
+        if (this.renderer) {
+            this._clusterClickHandler = this._clusterClickHandler || L.Util.bind(this._handleClusterClick, this);
+            this.renderer.on("click", this._clusterClickHandler);
+        }
     },
 
     /**
@@ -140,7 +165,7 @@ export var GeoFeatureThemeLayer = ThemeLayer.extend({
         //清除当前所有可视元素
         me.renderer.clearAll();
 
-        var features = me.features;
+        var features = me._pointCluster ? me._getClusteredFeatures() : me.features;
         var cache = me.cache;
         var cacheFields = me.cacheFields;
         var cmZoom = me._map.getZoom();
@@ -195,7 +220,7 @@ export var GeoFeatureThemeLayer = ThemeLayer.extend({
      */
     createThematicFeature: function (feature) {
         var me = this;
-        var style = me.getStyleByData(feature);
+        var style = me.isCluster(feature) ? feature.style : me.getStyleByData(feature);
         if (feature.style && me.isAllowFeatureStyle) {
             style = CommonUtil.copyAttributesWithClip(feature.style);
         }
@@ -271,6 +296,62 @@ export var GeoFeatureThemeLayer = ThemeLayer.extend({
         this.isCustomSetMaxCacheCount = true;
     },
 
+    /**
+     * @function L.supermap.GeoFeatureThemeLayer.prototype.getFeatureById
+     * @description 通过给定一个 ID，返回对应的矢量要素，包括当前绘制的聚类要素，如果不存在则返回 null。
+     * @param {(number|string)} featureId - 要素 ID。
+     */
+    getFeatureById: function (featureId) {
+        return (this._clusterFeatures && this._clusterFeatures[featureId]) || ThemeLayer.prototype.getFeatureById.call(this, featureId);
+    },
+
+    /**
+     * @function L.supermap.GeoFeatureThemeLayer.prototype.setCluster
+     * @description 开启、关闭点要素聚类或者修改聚类参数。
+     * @param {(boolean|Object)} cluster - 聚类参数，参考构造参数 options.cluster。为 false 时关闭聚类。
+     */
+    setCluster: function (cluster) {
+        this.options.cluster = cluster;
+        this._initCluster(cluster);
+        this.redraw();
+    },
+
+    /**
+     * @function L.supermap.GeoFeatureThemeLayer.prototype.isCluster
+     * @description 判断要素是否为聚类要素。聚类要素的属性包含成员个数 count 和统计值 value。
+     * @param {SuperMap.Feature.Vector} feature - 要素。
+     * @returns {boolean} 是否为聚类要素。
+     */
+    isCluster: function (feature) {
+        return !!feature && !!feature._cluster;
+    },
+
+    /**
+     * @function L.supermap.GeoFeatureThemeLayer.prototype.getClusterFeatures
+     * @description 获取聚类要素包含的全部点要素。
+     * @param {SuperMap.Feature.Vector} feature - 聚类要素。
+     * @returns {Array.<SuperMap.Feature.Vector>} 点要素数组。
+     */
+    getClusterFeatures: function (feature) {
+        if (!this.isCluster(feature) || !this._pointCluster) {
+            return [];
+        }
+        return this._pointCluster.getLeaves(feature._cluster);
+    },
+
+    /**
+     * @function L.supermap.GeoFeatureThemeLayer.prototype.expandCluster
+     * @description 以聚类要素为中心放大地图，直到聚类展开为多个要素。
+     * @param {SuperMap.Feature.Vector} feature - 聚类要素。
+     */
+    expandCluster: function (feature) {
+        if (!this.isCluster(feature) || !this._pointCluster || !this._map) {
+            return;
+        }
+        var coordinates = feature._cluster.coordinates;
+        this._map.setView(L.latLng(coordinates[1], coordinates[0]), this._pointCluster.getExpansionZoom(feature._cluster));
+    },
+
     /**
      * @function L.supermap.GeoFeatureThemeLayer.prototype.getShapesByFeatureID
      * @description 通过 FeatureID 获取 feature 关联的所有图形。如果不传入此参数，函数将返回所有图形。
@@ -293,5 +374,85 @@ export var GeoFeatureThemeLayer = ThemeLayer.extend({
         }
         return list;
     }
+,
+
+    //获取需要绘制的要素：聚类要素、未被聚合的点要素以及其他要素。要素数据变化后重建聚类索引
+    _getClusteredFeatures: function () {
+        var me = this;
+        if (me._clusterDirty || me._clusterSource !== me.features) {
+            me._pointCluster.load(me.features);
+            me._clusterSource = me.features;
+            me._clusterDirty = false;
+            me.clearCache();
+        }
+        var zoom = me._map.getZoom();
+        var features = me.features.filter(function (feature) {
+            return !(feature.geometry instanceof Point);
+        });
+        me._clusterFeatures = {};
+        me._pointCluster.getClusters([-180, -90, 180, 90], zoom).forEach(function (item) {
+            features.push(PointCluster.isCluster(item) ? me._getClusterFeature(item) : item);
+        });
+        return features;
+    },
+
+    _getClusterFeature: function (cluster) {
+        var coordinates = cluster.coordinates;
+        if (this.options.alwaysMapCRS) {
+            var point = this._map.options.crs.project(L.latLng(coordinates[1], coordinates[0]));
+            coordinates = [point.x, point.y];
+        }
+        var feature = new GeometryVector(new Point(coordinates[0], coordinates[1]), {
+            count: cluster.count,
+            value: cluster.value
+        }, this._clusterSymbol.getFeatureStyle(cluster, this._pointCluster.totalValue));
+        feature.id = "cluster_" + cluster.zoom + "_" + cluster.id;
+        feature._cluster = cluster;
+        this._clusterFeatures[feature.id] = feature;
+        return feature;
+    },
+
+    _initCluster: function (cluster) {
+        this.clearCache();
+        this._clusterFeatures = {};
+        if (!cluster) {
+            this._pointCluster = null;
+            this._clusterSymbol = null;
+            return;
+        }
+        var me = this;
+        var options = cluster === true ? {} : cluster;
+        var field = options.field;
+        me._pointCluster = new PointCluster({
+            radius: options.radius,
+            maxZoom: options.maxZoom,
+            getCoordinates: function (feature) {
+                if (!(feature.geometry instanceof Point)) {
+                    return null;
+                }
+                var geometry = feature.geometry;
+                if (me.options.alwaysMapCRS) {
+                    var latLng = me._map.options.crs.unproject(L.point(geometry.x, geometry.y));
+                    return [latLng.lng, latLng.lat];
+                }
+                return [geometry.x, geometry.y];
+            },
+            getValue: field ? function (feature) {
+                return feature.attributes && feature.attributes[field];
+            } : null
+        });
+        me._clusterSymbol = new ClusterSymbol(options.symbol);
+        me._clusterZoomOnClick = options.zoomOnClick !== false;
+        me._clusterDirty = true;
+    },
+
+    //点击聚类要素时放大地图
+    _handleClusterClick: function (event) {
+        if (!this._pointCluster || !this._clusterZoomOnClick || !event.target || !event.target.refDataID) {
+            return;
+        }
+        var feature = this._clusterFeatures[event.target.refDataID];
+        feature && this.expandCluster(feature);
+    }
 
 });
@@ -22,6 +22,8 @@ import {AddressMatchService as CommonMatchAddressService} from '@supermap/iclien
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  */
 export var AddressMatchService = ServiceBase.extend({
 
@@ -34,12 +36,16 @@ export var AddressMatchService = ServiceBase.extend({
      * @description 获取正向地址匹配结果。
      * @param {SuperMap.GeoCodingParameter} params - 正向匹配参数。
      * @param {RequestCallback} callback - 请求结果的回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     code: function (params, callback) {
         var me = this;
         var addressMatchService = new CommonMatchAddressService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -47,7 +53,7 @@ export var AddressMatchService = ServiceBase.extend({
                 processFailed: callback
             }
         });
-        addressMatchService.code(me.url + '/geocoding', params);
+        return addressMatchService.code(me.url + '/geocoding', params);
     },
 
     /**
@@ -55,12 +61,16 @@ export var AddressMatchService = ServiceBase.extend({
      * @description 获取反向地址匹配结果。
      * @param {SuperMap.GeoDecodingParameter} params - 反向匹配参数。
      * @param {RequestCallback} callback - 请求结果的回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     decode: function (params, callback) {
         var me = this;
         var addressMatchService = new CommonMatchAddressService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -68,7 +78,7 @@ export var AddressMatchService = ServiceBase.extend({
                 processFailed: callback
             }
         });
-        addressMatchService.decode(me.url + '/geodecoding', params);
+        return addressMatchService.decode(me.url + '/geodecoding', params);
     }
 
 });
@@ -22,6 +22,8 @@ import {CommontypesConversion} from '../core/CommontypesConversion';
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  */
 export var ChartService = ServiceBase.extend({
 
@@ -35,6 +37,7 @@ export var ChartService = ServiceBase.extend({
      * @param {SuperMap.ChartQueryParameters} params - 海图查询所需参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果格式类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     queryChart: function (params, callback, resultFormat) {
         var me = this,
@@ -43,6 +46,9 @@ export var ChartService = ServiceBase.extend({
         var chartQueryService = new ChartQueryService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -52,13 +58,14 @@ export var ChartService = ServiceBase.extend({
             format: format
         });
 
-        chartQueryService.processAsync(param);
+        return chartQueryService.processAsync(param);
     },
 
     /**
      * @function L.supermap.chartService.prototype.getChartFeatureInfo
      * @description 获取海图物标信息。
      * @param {RequestCallback} callback 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getChartFeatureInfo: function (callback) {
         var me = this, url = me.url.concat();
@@ -66,6 +73,9 @@ export var ChartService = ServiceBase.extend({
         var chartFeatureInfoSpecsService = new ChartFeatureInfoSpecsService(url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -73,7 +83,7 @@ export var ChartService = ServiceBase.extend({
                 processFailed: callback
             }
         });
-        chartFeatureInfoSpecsService.processAsync();
+        return chartFeatureInfoSpecsService.processAsync();
     },
 
     _processParams: function (params) {
@@ -18,13 +18,22 @@ import {DataFlowService as DataFlow} from '@supermap/iclient-common';
  * @param {Function} [options.onEachFeature] -  设置每个数据加载 popup 等。
  * @param {Array.<Object>} [options.geometry] - 设置增添的几何要素对象数组。
  * @param {Object} [options.excludeField] - 排除字段。
+ * @param {(Object|boolean)} [options.reconnect] - 自动重连策略，设为 false 时不自动重连。参数说明参考 {@link SuperMap.DataFlowService}。
+ * @param {number} [options.batchInterval=0] - 订阅数据的合并间隔，单位毫秒。大于 0 时同一要素在一个间隔内只触发一次 messageSucceeded 事件。
+ * @param {string} [options.idField='id'] - 要素属性中表示唯一标识的字段。
+ * @param {number} [options.maxBufferSize=1000] - 待发送的广播数据和待触发的订阅数据的最大缓存个数。
+ * @param {(string|function)} [options.filter] - 订阅数据的属性过滤条件表达式或过滤函数，参考 {@link SuperMap.AttributeFilter}。
+ * @param {Array.<string>} [options.fields] - 订阅数据保留的属性字段。
  * @fires L.supermap.dataFlowService#broadcastSocketConnected
  * @fires L.supermap.dataFlowService#broadcastSocketError
  * @fires L.supermap.dataFlowService#broadcastFailed
  * @fires L.supermap.dataFlowService#broadcastSucceeded
  * @fires L.supermap.dataFlowService#subscribeSocketError
  * @fires L.supermap.dataFlowService#messageSucceeded
+ * @fires L.supermap.dataFlowService#messageFiltered
  * @fires L.supermap.dataFlowService#setFilterParamSucceeded
+ * @fires L.supermap.dataFlowService#broadcastSocketReconnecting
+ * @fires L.supermap.dataFlowService#subscribeSocketReconnecting
  */
 export var DataFlowService = ServiceBase.extend({
 
@@ -70,10 +79,22 @@ export var DataFlowService = ServiceBase.extend({
          * @event L.supermap.dataFlowService#messageSucceeded
          * @description 获取信息成功。
          */
+        /**
+         * @event L.supermap.dataFlowService#messageFiltered
+         * @description 收到不满足过滤条件的数据。事件对象的 featureId 属性为要素的唯一标识，图层据此移除该要素。
+         */
         /**
          * @event L.supermap.dataFlowService#setFilterParamSucceeded
          * @description 设置过滤参数成功。
          */
+        /**
+         * @event L.supermap.dataFlowService#broadcastSocketReconnecting
+         * @description broadcast Socket 意外断开，准备重连。事件对象的 attempt 属性为重连次数，delay 属性为等待时间（毫秒）。
+         */
+        /**
+         * @event L.supermap.dataFlowService#subscribeSocketReconnecting
+         * @description 订阅数据连接意外断开，准备重连。事件对象的 attempt 属性为重连次数，delay 属性为等待时间（毫秒）。
+         */
         this.dataFlow.events.on({
             "broadcastSocketConnected": this._defaultEvent,
             "broadcastSocketError": this._defaultEvent,
@@ -82,7 +103,10 @@ export var DataFlowService = ServiceBase.extend({
             "subscribeSocketConnected": this._defaultEvent,
             "subscribeSocketError": this._defaultEvent,
             "messageSucceeded": this._defaultEvent,
+            "messageFiltered": this._defaultEvent,
             "setFilterParamSucceeded": this._defaultEvent,
+            "broadcastSocketReconnecting": this._defaultEvent,
+            "subscribeSocketReconnecting": this._defaultEvent,
             scope: this
         })
     },
@@ -137,6 +161,28 @@ export var DataFlowService = ServiceBase.extend({
         return this;
     },
 
+    /**
+     * @function L.supermap.dataFlowService.prototype.setFilter
+     * @description 设置订阅数据的属性过滤条件。
+     * @param {(string|function)} filter - 过滤条件表达式或过滤函数，为空时不过滤。
+     */
+    setFilter: function (filter) {
+        this.dataFlow.setFilter(filter);
+        this.options.filter = filter;
+        return this;
+    },
+
+    /**
+     * @function L.supermap.dataFlowService.prototype.setFields
+     * @description 设置订阅数据保留的属性字段。
+     * @param {Array.<string>} fields - 保留的属性字段，为空时保留全部字段。
+     */
+    setFields: function (fields) {
+        this.dataFlow.setFields(fields);
+        this.options.fields = fields;
+        return this;
+    },
+
     /**
      * @function L.supermap.dataFlowService.prototype.unSubscribe
      * @description 结束订阅数据。
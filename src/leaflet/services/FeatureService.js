@@ -31,6 +31,8 @@ import {
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  */
 export var FeatureService = ServiceBase.extend({
 
@@ -44,12 +46,16 @@ export var FeatureService = ServiceBase.extend({
      * @param {SuperMap.GetFeaturesByIDsParameters} params - ID 查询参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getFeaturesByIDs: function (params, callback, resultFormat) {
         var me = this;
         var getFeaturesByIDsService = new GetFeaturesByIDsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
@@ -57,7 +63,7 @@ export var FeatureService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        getFeaturesByIDsService.processAsync(me._processParams(params));
+        return getFeaturesByIDsService.processAsync(me._processParams(params));
 
     },
 
@@ -67,12 +73,16 @@ export var FeatureService = ServiceBase.extend({
      * @param {SuperMap.GetFeaturesByBoundsParameters} params - 数据集范围查询参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getFeaturesByBounds: function (params, callback, resultFormat) {
         var me = this;
         var getFeaturesByBoundsService = new GetFeaturesByBoundsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
@@ -80,7 +90,7 @@ export var FeatureService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        getFeaturesByBoundsService.processAsync(me._processParams(params));
+        return getFeaturesByBoundsService.processAsync(me._processParams(params));
     },
 
     /**
@@ -89,12 +99,16 @@ export var FeatureService = ServiceBase.extend({
      * @param {SuperMap.GetFeaturesByBufferParameters} params - 数据服务中数据集缓冲区查询参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getFeaturesByBuffer: function (params, callback, resultFormat) {
         var me = this;
         var getFeatureService = new GetFeaturesByBufferService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
@@ -102,7 +116,7 @@ export var FeatureService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        getFeatureService.processAsync(me._processParams(params));
+        return getFeatureService.processAsync(me._processParams(params));
     },
 
     /**
@@ -111,12 +125,16 @@ export var FeatureService = ServiceBase.extend({
      * @param {SuperMap.GetFeaturesBySQLParameters} params - 数据服务中数据集 SQL 查询参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getFeaturesBySQL: function (params, callback, resultFormat) {
         var me = this;
         var getFeatureBySQLService = new GetFeaturesBySQLService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
@@ -124,7 +142,7 @@ export var FeatureService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        getFeatureBySQLService.processAsync(me._processParams(params));
+        return getFeatureBySQLService.processAsync(me._processParams(params));
     },
 
     /**
@@ -133,12 +151,16 @@ export var FeatureService = ServiceBase.extend({
      * @param {SuperMap.GetFeaturesByGeometryParameters} params - 数据集几何查询参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getFeaturesByGeometry: function (params, callback, resultFormat) {
         var me = this;
         var getFeaturesByGeometryService = new GetFeaturesByGeometryService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
@@ -146,7 +168,7 @@ export var FeatureService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        getFeaturesByGeometryService.processAsync(me._processParams(params));
+        return getFeaturesByGeometryService.processAsync(me._processParams(params));
     },
 
     /**
@@ -154,6 +176,7 @@ export var FeatureService = ServiceBase.extend({
      * @description 地物编辑服务。
      * @param {SuperMap.EditFeaturesParameters} params - 数据服务中数据集添加、修改、删除参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     editFeatures: function (params, callback) {
 
@@ -170,13 +193,16 @@ export var FeatureService = ServiceBase.extend({
         var editFeatureService = new EditFeaturesService(url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
                 processFailed: callback
             }
         });
-        editFeatureService.processAsync(me._processParams(params));
+        return editFeatureService.processAsync(me._processParams(params));
     },
 
     _processParams: function (params) {
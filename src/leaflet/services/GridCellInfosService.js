@@ -21,6 +21,8 @@ import {GetGridCellInfosService, GetGridCellInfosParameters} from '@supermap/icl
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  */
 export var GridCellInfosService = ServiceBase.extend({
 
@@ -32,6 +34,7 @@ export var GridCellInfosService = ServiceBase.extend({
      * @function L.supermap.gridCellInfosService.prototype.getGridCellInfos
      * @param {SuperMap.GetGridCellInfosParameters} params - 数据服务栅格查询参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getGridCellInfos: function (params, callback) {
         if (!(params instanceof GetGridCellInfosParameters)) {
@@ -41,6 +44,9 @@ export var GridCellInfosService = ServiceBase.extend({
         var gridCellQueryService = new GetGridCellInfosService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -48,7 +54,7 @@ export var GridCellInfosService = ServiceBase.extend({
                 processFailed: callback
             }
         });
-        gridCellQueryService.processAsync(params);
+        return gridCellQueryService.processAsync(params);
     }
 });
 export var gridCellInfosService = function (url, options) {
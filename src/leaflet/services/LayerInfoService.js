@@ -28,6 +28,8 @@ import {
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  */
 export var LayerInfoService = ServiceBase.extend({
 
@@ -39,19 +41,23 @@ export var LayerInfoService = ServiceBase.extend({
      * @function L.supermap.layerInfoService.prototype.getLayerInfo
      * @description 获取图层信息。
      * @param {RequestCallback} callback - 获取信息完成后的回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getLayersInfo: function (callback) {
         var me = this;
         var getLayersInfoService = new GetLayersInfoService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
                 processFailed: callback
             }
         });
-        getLayersInfoService.processAsync();
+        return getLayersInfoService.processAsync();
     },
 
     /**
@@ -59,6 +65,7 @@ export var LayerInfoService = ServiceBase.extend({
      * @description 设置图层信息服务。可以实现临时图层中子图层的修改。
      * @param {SuperMap.SetLayerInfoParameters} params - 图层信息相关参数。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     setLayerInfo: function (params, callback) {
         if (!(params instanceof SetLayerInfoParameters)) {
@@ -77,6 +84,9 @@ export var LayerInfoService = ServiceBase.extend({
         var setLayerInfoService = new SetLayerInfoService(url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
@@ -84,7 +94,7 @@ export var LayerInfoService = ServiceBase.extend({
             }
         });
 
-        setLayerInfoService.processAsync(layerInfoParams);
+        return setLayerInfoService.processAsync(layerInfoParams);
     },
 
 
@@ -93,6 +103,7 @@ export var LayerInfoService = ServiceBase.extend({
      * @description 设置图层信息。可以实现创建新的临时图层和对现有临时图层的修改。
      * @param {SuperMap.SetLayersInfoParameters} params - 图层信息设置参数，包括临时图层。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     setLayersInfo: function (params, callback) {
         if (!(params instanceof SetLayersInfoParameters)) {
@@ -108,6 +119,9 @@ export var LayerInfoService = ServiceBase.extend({
         var setLayersInfoService = new SetLayersInfoService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
@@ -117,7 +131,7 @@ export var LayerInfoService = ServiceBase.extend({
             isTempLayers: isTempLayers
         });
 
-        setLayersInfoService.processAsync(layersInfo);
+        return setLayersInfoService.processAsync(layersInfo);
     },
 
 
@@ -126,6 +140,7 @@ export var LayerInfoService = ServiceBase.extend({
      * @description 负责将子图层显示控制参数传递到服务端，并获取服务端返回的图层显示状态。
      * @param {SuperMap.SetLayerStatusParameters} params - 图层信息显示控制参数。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     setLayerStatus: function (params, callback) {
         if (!(params instanceof SetLayerStatusParameters)) {
@@ -135,13 +150,16 @@ export var LayerInfoService = ServiceBase.extend({
         var setLayerStatusService = new SetLayerStatusService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
                 processFailed: callback
             }
         });
-        setLayerStatusService.processAsync(params);
+        return setLayerStatusService.processAsync(params);
     }
 
 });
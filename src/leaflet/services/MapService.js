@@ -21,6 +21,8 @@ import {
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  * @example
  * L.supermap.mapService(url)
  *  .getMapInfo(function(result){
@@ -46,12 +48,16 @@ export var MapService = ServiceBase.extend({
      * @function  L.supermap.mapService.prototype.getMapInfo
      * @description 获取地图信息。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getMapInfo: function (callback) {
         var me = this;
         var getMapStatusService = new CommonMapService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -60,19 +66,23 @@ export var MapService = ServiceBase.extend({
             },
             projection: me.options.projection
         });
-        getMapStatusService.processAsync();
+        return getMapStatusService.processAsync();
     },
 
     /**
      * @function  L.supermap.mapService.prototype.getTilesets
      * @description 获取切片列表信息。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getTilesets: function (callback) {
         var me = this;
         var tilesetsService = new TilesetsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -81,7 +91,7 @@ export var MapService = ServiceBase.extend({
             }
         });
 
-        tilesetsService.processAsync();
+        return tilesetsService.processAsync();
     }
 });
 
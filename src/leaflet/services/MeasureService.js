@@ -24,6 +24,8 @@ import {MeasureMode, MeasureService as CommonMeasureService, MeasureParameters}
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  * @extends {L.supermap.ServiceBase}
  */
 export var MeasureService = ServiceBase.extend({
@@ -59,6 +61,7 @@ export var MeasureService = ServiceBase.extend({
      * @param {SuperMap.MeasureMode} [type=SuperMap.MeasureMode.DISTANCE] - 量算模式。
      * @param {SuperMap.MeasureParameters} params - 测量相关参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     measure: function (type, params, callback) {
         if (!(params instanceof MeasureParameters)) {
@@ -71,6 +74,9 @@ export var MeasureService = ServiceBase.extend({
         var measureService = new CommonMeasureService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             measureMode: type,
             eventListeners: {
@@ -79,7 +85,7 @@ export var MeasureService = ServiceBase.extend({
                 processFailed: callback
             }
         });
-        measureService.processAsync(params);
+        return measureService.processAsync(params);
     }
 });
 
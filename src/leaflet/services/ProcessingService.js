@@ -33,6 +33,8 @@ import {
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  */
 export var ProcessingService = ServiceBase.extend({
 
@@ -56,6 +58,7 @@ export var ProcessingService = ServiceBase.extend({
      * @description 获取密度分析的列表。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getKernelDensityJobs: function (callback, resultFormat) {
         var me = this,
@@ -63,6 +66,9 @@ export var ProcessingService = ServiceBase.extend({
         var kernelDensityJobsService = new KernelDensityJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -71,7 +77,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        kernelDensityJobsService.getKernelDensityJobs();
+        return kernelDensityJobsService.getKernelDensityJobs();
     },
 
     /**
@@ -80,6 +86,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getKernelDensityJob: function (id, callback, resultFormat) {
         var me = this,
@@ -87,6 +94,9 @@ export var ProcessingService = ServiceBase.extend({
         var kernelDensityJobsService = new KernelDensityJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -95,7 +105,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        kernelDensityJobsService.getKernelDensityJob(id);
+        return kernelDensityJobsService.getKernelDensityJob(id);
     },
 
     /**
@@ -105,6 +115,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addKernelDensityJob: function (params, callback, seconds, resultFormat) {
         var me = this,
@@ -113,6 +124,9 @@ export var ProcessingService = ServiceBase.extend({
         var kernelDensityJobsService = new KernelDensityJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -124,7 +138,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        kernelDensityJobsService.addKernelDensityJob(param, seconds);
+        return kernelDensityJobsService.addKernelDensityJob(param, seconds);
     },
 
     /**
@@ -142,6 +156,7 @@ export var ProcessingService = ServiceBase.extend({
      * @description 获取点聚合分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryMeshJobs: function (callback, resultFormat) {
         var me = this,
@@ -149,6 +164,9 @@ export var ProcessingService = ServiceBase.extend({
         var summaryMeshJobsService = new SummaryMeshJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -157,7 +175,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        summaryMeshJobsService.getSummaryMeshJobs();
+        return summaryMeshJobsService.getSummaryMeshJobs();
     },
 
     /**
@@ -166,6 +184,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryMeshJob: function (id, callback, resultFormat) {
         var me = this,
@@ -173,6 +192,9 @@ export var ProcessingService = ServiceBase.extend({
         var summaryMeshJobsService = new SummaryMeshJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -181,7 +203,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        summaryMeshJobsService.getSummaryMeshJob(id);
+        return summaryMeshJobsService.getSummaryMeshJob(id);
     },
 
     /**
@@ -191,6 +213,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addSummaryMeshJob: function (params, callback, seconds, resultFormat) {
         var me = this,
@@ -199,6 +222,9 @@ export var ProcessingService = ServiceBase.extend({
         var summaryMeshJobsService = new SummaryMeshJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -210,7 +236,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        summaryMeshJobsService.addSummaryMeshJob(param, seconds);
+        return summaryMeshJobsService.addSummaryMeshJob(param, seconds);
     },
 
     /**
@@ -228,6 +254,7 @@ export var ProcessingService = ServiceBase.extend({
      * @description 获取单对象查询分析的列表。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getQueryJobs: function (callback, resultFormat) {
         var me = this,
@@ -235,6 +262,9 @@ export var ProcessingService = ServiceBase.extend({
         var singleObjectQueryJobsService = new SingleObjectQueryJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -243,7 +273,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        singleObjectQueryJobsService.getQueryJobs();
+        return singleObjectQueryJobsService.getQueryJobs();
     },
 
     /**
@@ -252,6 +282,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getQueryJob: function (id, callback, resultFormat) {
         var me = this,
@@ -259,6 +290,9 @@ export var ProcessingService = ServiceBase.extend({
         var singleObjectQueryJobsService = new SingleObjectQueryJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -267,7 +301,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        singleObjectQueryJobsService.getQueryJob(id);
+        return singleObjectQueryJobsService.getQueryJob(id);
     },
 
     /**
@@ -277,6 +311,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addQueryJob: function (params, callback, seconds, resultFormat) {
         var me = this,
@@ -285,6 +320,9 @@ export var ProcessingService = ServiceBase.extend({
         var singleObjectQueryJobsService = new SingleObjectQueryJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -296,7 +334,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        singleObjectQueryJobsService.addQueryJob(param, seconds);
+        return singleObjectQueryJobsService.addQueryJob(param, seconds);
     },
 
     /**
@@ -314,6 +352,7 @@ export var ProcessingService = ServiceBase.extend({
      * @description 获取区域汇总分析的列表。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryRegionJobs: function (callback, resultFormat) {
         var me = this,
@@ -321,6 +360,9 @@ export var ProcessingService = ServiceBase.extend({
         var summaryRegionJobsService = new SummaryRegionJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -329,7 +371,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        summaryRegionJobsService.getSummaryRegionJobs();
+        return summaryRegionJobsService.getSummaryRegionJobs();
     },
 
     /**
@@ -338,6 +380,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {string} id - 区域汇总分析的 ID。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryRegionJob: function (id, callback, resultFormat) {
         var me = this,
@@ -345,6 +388,9 @@ export var ProcessingService = ServiceBase.extend({
         var summaryRegionJobsService = new SummaryRegionJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -353,7 +399,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        summaryRegionJobsService.getSummaryRegionJob(id);
+        return summaryRegionJobsService.getSummaryRegionJob(id);
     },
 
     /**
@@ -363,6 +409,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addSummaryRegionJob: function (params, callback, seconds, resultFormat) {
         var me = this,
@@ -371,6 +418,9 @@ export var ProcessingService = ServiceBase.extend({
         var summaryRegionJobsService = new SummaryRegionJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -382,7 +432,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        summaryRegionJobsService.addSummaryRegionJob(param, seconds);
+        return summaryRegionJobsService.addSummaryRegionJob(param, seconds);
     },
 
     /**
@@ -400,6 +450,7 @@ export var ProcessingService = ServiceBase.extend({
      * @description 获取矢量裁剪分析的列表。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getVectorClipJobs: function (callback, resultFormat) {
         var me = this,
@@ -407,6 +458,9 @@ export var ProcessingService = ServiceBase.extend({
         var vectorClipJobsService = new VectorClipJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -415,7 +469,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        vectorClipJobsService.getVectorClipJobs();
+        return vectorClipJobsService.getVectorClipJobs();
     },
 
     /**
@@ -424,6 +478,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getVectorClipJob: function (id, callback, resultFormat) {
         var me = this,
@@ -431,6 +486,9 @@ export var ProcessingService = ServiceBase.extend({
         var vectorClipJobsService = new VectorClipJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -439,7 +497,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        vectorClipJobsService.getVectorClipJob(id);
+        return vectorClipJobsService.getVectorClipJob(id);
     },
 
     /**
@@ -449,6 +507,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addVectorClipJob: function (params, callback, seconds, resultFormat) {
         var me = this,
@@ -457,6 +516,9 @@ export var ProcessingService = ServiceBase.extend({
         var vectorClipJobsService = new VectorClipJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -468,7 +530,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        vectorClipJobsService.addVectorClipJob(param, seconds);
+        return vectorClipJobsService.addVectorClipJob(param, seconds);
     },
 
     /**
@@ -486,6 +548,7 @@ export var ProcessingService = ServiceBase.extend({
      * @description 获取叠加分析的列表。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getOverlayGeoJobs: function (callback, resultFormat) {
         var me = this,
@@ -493,6 +556,9 @@ export var ProcessingService = ServiceBase.extend({
         var overlayGeoJobsService = new OverlayGeoJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -501,7 +567,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        overlayGeoJobsService.getOverlayGeoJobs();
+        return overlayGeoJobsService.getOverlayGeoJobs();
     },
 
     /**
@@ -510,6 +576,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getOverlayGeoJob: function (id, callback, resultFormat) {
         var me = this,
@@ -517,6 +584,9 @@ export var ProcessingService = ServiceBase.extend({
         var overlayGeoJobsService = new OverlayGeoJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -525,7 +595,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        overlayGeoJobsService.getOverlayGeoJob(id);
+        return overlayGeoJobsService.getOverlayGeoJob(id);
     },
 
     /**
@@ -535,6 +605,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addOverlayGeoJob: function (params, callback, seconds, resultFormat) {
         var me = this,
@@ -543,6 +614,9 @@ export var ProcessingService = ServiceBase.extend({
         var overlayGeoJobsService = new OverlayGeoJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -554,7 +628,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        overlayGeoJobsService.addOverlayGeoJob(param, seconds);
+        return overlayGeoJobsService.addOverlayGeoJob(param, seconds);
     },
 
     /**
@@ -572,6 +646,7 @@ export var ProcessingService = ServiceBase.extend({
      * @description 获取缓冲区分析的列表。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getBuffersJobs: function (callback, resultFormat) {
         var me = this,
@@ -579,6 +654,9 @@ export var ProcessingService = ServiceBase.extend({
         var buffersAnalystJobsService = new BuffersAnalystJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -587,7 +665,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        buffersAnalystJobsService.getBuffersJobs();
+        return buffersAnalystJobsService.getBuffersJobs();
     },
 
     /**
@@ -596,6 +674,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {string} id - 空间分析的id。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getBuffersJob: function (id, callback, resultFormat) {
         var me = this,
@@ -603,6 +682,9 @@ export var ProcessingService = ServiceBase.extend({
         var buffersAnalystJobsService = new BuffersAnalystJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -611,7 +693,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        buffersAnalystJobsService.getBuffersJob(id);
+        return buffersAnalystJobsService.getBuffersJob(id);
     },
 
     /**
@@ -621,6 +703,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addBuffersJob: function (params, callback, seconds, resultFormat) {
         var me = this,
@@ -629,6 +712,9 @@ export var ProcessingService = ServiceBase.extend({
         var buffersAnalystJobsService = new BuffersAnalystJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -640,7 +726,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        buffersAnalystJobsService.addBuffersJob(param, seconds);
+        return buffersAnalystJobsService.addBuffersJob(param, seconds);
     },
 
     /**
@@ -658,6 +744,7 @@ export var ProcessingService = ServiceBase.extend({
      * @description 获取拓扑检查分析的列表。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getTopologyValidatorJobs: function (callback, resultFormat) {
         var me = this,
@@ -665,6 +752,9 @@ export var ProcessingService = ServiceBase.extend({
         var topologyValidatorJobsService = new TopologyValidatorJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -673,7 +763,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        topologyValidatorJobsService.getTopologyValidatorJobs();
+        return topologyValidatorJobsService.getTopologyValidatorJobs();
     },
 
     /**
@@ -682,6 +772,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getTopologyValidatorJob: function (id, callback, resultFormat) {
         var me = this,
@@ -689,6 +780,9 @@ export var ProcessingService = ServiceBase.extend({
         var topologyValidatorJobsService = new TopologyValidatorJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -697,7 +791,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        topologyValidatorJobsService.getTopologyValidatorJob(id);
+        return topologyValidatorJobsService.getTopologyValidatorJob(id);
     },
 
     /**
@@ -707,6 +801,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addTopologyValidatorJob: function (params, callback, seconds, resultFormat) {
         var me = this,
@@ -715,6 +810,9 @@ export var ProcessingService = ServiceBase.extend({
         var topologyValidatorJobsService = new TopologyValidatorJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -726,7 +824,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        topologyValidatorJobsService.addTopologyValidatorJob(param, seconds);
+        return topologyValidatorJobsService.addTopologyValidatorJob(param, seconds);
     },
 
     /**
@@ -744,6 +842,7 @@ export var ProcessingService = ServiceBase.extend({
      * @description 获取属性汇总分析的列表。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryAttributesJobs: function (callback, resultFormat) {
         var me = this,
@@ -751,6 +850,9 @@ export var ProcessingService = ServiceBase.extend({
         var summaryAttributesJobsService = new SummaryAttributesJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -759,7 +861,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        summaryAttributesJobsService.getSummaryAttributesJobs();
+        return summaryAttributesJobsService.getSummaryAttributesJobs();
     },
 
     /**
@@ -768,6 +870,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryAttributesJob: function (id, callback, resultFormat) {
         var me = this,
@@ -775,6 +878,9 @@ export var ProcessingService = ServiceBase.extend({
         var summaryAttributesJobsService = new SummaryAttributesJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -783,7 +889,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        summaryAttributesJobsService.getSummaryAttributesJob(id);
+        return summaryAttributesJobsService.getSummaryAttributesJob(id);
     },
 
     /**
@@ -793,6 +899,7 @@ export var ProcessingService = ServiceBase.extend({
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addSummaryAttributesJob: function (params, callback, seconds, resultFormat) {
         var me = this,
@@ -801,6 +908,9 @@ export var ProcessingService = ServiceBase.extend({
         var summaryAttributesJobsService = new SummaryAttributesJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -812,7 +922,7 @@ export var ProcessingService = ServiceBase.extend({
             },
             format: format
         });
-        summaryAttributesJobsService.addSummaryAttributesJob(param, seconds);
+        return summaryAttributesJobsService.addSummaryAttributesJob(param, seconds);
     },
 
     /**
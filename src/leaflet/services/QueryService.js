@@ -29,6 +29,8 @@ import {
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  * @example
  * L.supermap.queryService(url).queryByBounds(param,function(result){
  *   //doSomething
@@ -45,12 +47,16 @@ export var QueryService = ServiceBase.extend({
      * @param {SuperMap.QueryByBoundsParameters} params - 通过 Bounds 查询的相关参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     queryByBounds: function (params, callback, resultFormat) {
         var me = this;
         var queryService = new QueryByBoundsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -60,7 +66,7 @@ export var QueryService = ServiceBase.extend({
             format: me._processFormat(resultFormat)
         });
 
-        queryService.processAsync(me._processParams(params));
+        return queryService.processAsync(me._processParams(params));
     },
 
     /**
@@ -69,12 +75,16 @@ export var QueryService = ServiceBase.extend({
      * @param {SuperMap.QueryByDistanceParameters} params - Distance 查询相关参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     queryByDistance: function (params, callback, resultFormat) {
         var me = this;
         var queryByDistanceService = new QueryByDistanceService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -84,7 +94,7 @@ export var QueryService = ServiceBase.extend({
             format: me._processFormat(resultFormat)
         });
 
-        queryByDistanceService.processAsync(me._processParams(params));
+        return queryByDistanceService.processAsync(me._processParams(params));
     },
 
     /**
@@ -93,12 +103,16 @@ export var QueryService = ServiceBase.extend({
      * @param {SuperMap.QueryBySQLParameters} params - SQL 查询相关参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     queryBySQL: function (params, callback, resultFormat) {
         var me = this;
         var queryBySQLService = new QueryBySQLService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -108,7 +122,7 @@ export var QueryService = ServiceBase.extend({
             format: me._processFormat(resultFormat)
         });
 
-        queryBySQLService.processAsync(me._processParams(params));
+        return queryBySQLService.processAsync(me._processParams(params));
     },
 
     /**
@@ -117,12 +131,16 @@ export var QueryService = ServiceBase.extend({
      * @param {SuperMap.QueryByGeometryParameters} params - Geometry 查询相关参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     queryByGeometry: function (params, callback, resultFormat) {
         var me = this;
         var queryByGeometryService = new QueryByGeometryService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -132,7 +150,7 @@ export var QueryService = ServiceBase.extend({
             format: me._processFormat(resultFormat)
         });
 
-        queryByGeometryService.processAsync(me._processParams(params));
+        return queryByGeometryService.processAsync(me._processParams(params));
     },
 
     _processParams: function (params) {
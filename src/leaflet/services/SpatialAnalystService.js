@@ -40,6 +40,8 @@ import {
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  * @extends {L.supermap.ServiceBase}
  */
 export var SpatialAnalystService = ServiceBase.extend({
@@ -53,12 +55,16 @@ export var SpatialAnalystService = ServiceBase.extend({
      * @param {SuperMap.AreaSolarRadiationParameters} params - 地区太阳辐射参数类
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getAreaSolarRadiationResult: function (params, callback, resultFormat) {
         var me = this;
         var areaSolarRadiationService = new AreaSolarRadiationService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -67,7 +73,7 @@ export var SpatialAnalystService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        areaSolarRadiationService.processAsync(params);
+        return areaSolarRadiationService.processAsync(params);
     },
 
     /**
@@ -76,12 +82,16 @@ export var SpatialAnalystService = ServiceBase.extend({
      * @param {SuperMap.DatasetBufferAnalystParameters} params - 数据集缓冲区分析参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     bufferAnalysis: function (params, callback, resultFormat) {
         var me = this;
         var bufferAnalystService = new BufferAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -90,7 +100,7 @@ export var SpatialAnalystService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        bufferAnalystService.processAsync(me._processParams(params));
+        return bufferAnalystService.processAsync(me._processParams(params));
     },
 
     /**
@@ -99,12 +109,16 @@ export var SpatialAnalystService = ServiceBase.extend({
      * @param {SuperMap.DensityKernelAnalystParameters} params - 核密度分析参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     densityAnalysis: function (params, callback, resultFormat) {
         var me = this;
         var densityAnalystService = new DensityAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -113,7 +127,7 @@ export var SpatialAnalystService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        densityAnalystService.processAsync(me._processParams(params));
+        return densityAnalystService.processAsync(me._processParams(params));
     },
 
     /**
@@ -122,12 +136,16 @@ export var SpatialAnalystService = ServiceBase.extend({
      * @param {SuperMap.GenerateSpatialDataParameters} params - 动态分段操作参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     generateSpatialData: function (params, callback, resultFormat) {
         var me = this;
         var generateSpatialDataService = new GenerateSpatialDataService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -136,7 +154,7 @@ export var SpatialAnalystService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        generateSpatialDataService.processAsync(params);
+        return generateSpatialDataService.processAsync(params);
     },
 
     /**
@@ -145,12 +163,16 @@ export var SpatialAnalystService = ServiceBase.extend({
      * @param {SuperMap.GeoRelationAnalystParameters} params - 空间关系分析服务参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     geoRelationAnalysis: function (params, callback, resultFormat) {
         var me = this;
         var geoRelationAnalystService = new GeoRelationAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -159,7 +181,7 @@ export var SpatialAnalystService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        geoRelationAnalystService.processAsync(params);
+        return geoRelationAnalystService.processAsync(params);
     },
 
     /**
@@ -168,12 +190,16 @@ export var SpatialAnalystService = ServiceBase.extend({
      * @param {SuperMap.InterpolationRBFAnalystParameters} params - 样条插值（径向基函数插值法）分析参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     interpolationAnalysis: function (params, callback, resultFormat) {
         var me = this;
         var interpolationAnalystService = new InterpolationAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -182,7 +208,7 @@ export var SpatialAnalystService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        interpolationAnalystService.processAsync(me._processParams(params));
+        return interpolationAnalystService.processAsync(me._processParams(params));
     },
 
     /**
@@ -191,12 +217,16 @@ export var SpatialAnalystService = ServiceBase.extend({
      * @param {SuperMap.MathExpressionAnalysisParameters} params - 栅格代数运算参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     mathExpressionAnalysis: function (params, callback, resultFormat) {
         var me = this;
         var mathExpressionAnalysisService = new MathExpressionAnalysisService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -205,7 +235,7 @@ export var SpatialAnalystService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        mathExpressionAnalysisService.processAsync(me._processParams(params));
+        return mathExpressionAnalysisService.processAsync(me._processParams(params));
     },
 
     /**
@@ -214,12 +244,16 @@ export var SpatialAnalystService = ServiceBase.extend({
      * @param {SuperMap.DatasetOverlayAnalystParameters|SuperMap.GeometryOverlayAnalystParameters} params - 叠加分析参数类，支持批量几何要素叠加分析。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     overlayAnalysis: function (params, callback, resultFormat) {
         var me = this;
         var overlayAnalystService = new OverlayAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -228,7 +262,7 @@ export var SpatialAnalystService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        overlayAnalystService.processAsync(me._processParams(params));
+        return overlayAnalystService.processAsync(me._processParams(params));
     },
 
     /**
@@ -237,12 +271,16 @@ export var SpatialAnalystService = ServiceBase.extend({
      * @param {SuperMap.RouteCalculateMeasureParameters} params - 基于路由对象计算指定点 M 值操作的参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     routeCalculateMeasure: function (params, callback, resultFormat) {
         var me = this;
         var routeCalculateMeasureService = new RouteCalculateMeasureService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -251,7 +289,7 @@ export var SpatialAnalystService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        routeCalculateMeasureService.processAsync(me._processParams(params));
+        return routeCalculateMeasureService.processAsync(me._processParams(params));
     },
 
     /**
@@ -260,12 +298,16 @@ export var SpatialAnalystService = ServiceBase.extend({
      * @param {SuperMap.RouteLocatorParameters} params - 路由对象定位空间对象的参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     routeLocate: function (params, callback, resultFormat) {
         var me = this;
         var routeLocatorService = new RouteLocatorService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -274,7 +316,7 @@ export var SpatialAnalystService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        routeLocatorService.processAsync(me._processParams(params));
+        return routeLocatorService.processAsync(me._processParams(params));
     },
 
     /**
@@ -283,12 +325,16 @@ export var SpatialAnalystService = ServiceBase.extend({
      * @param {SuperMap.SurfaceAnalystParameters} params - 表面分析参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     surfaceAnalysis: function (params, callback, resultFormat) {
         var me = this;
         var surfaceAnalystService = new SurfaceAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -297,7 +343,7 @@ export var SpatialAnalystService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        surfaceAnalystService.processAsync(me._processParams(params));
+        return surfaceAnalystService.processAsync(me._processParams(params));
     },
 
     /**
@@ -306,12 +352,16 @@ export var SpatialAnalystService = ServiceBase.extend({
      * @param {SuperMap.TerrainCurvatureCalculationParameters} params - 地形曲率计算参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     terrainCurvatureCalculate: function (params, callback, resultFormat) {
         var me = this;
         var terrainCurvatureCalculationService = new TerrainCurvatureCalculationService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -320,7 +370,7 @@ export var SpatialAnalystService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        terrainCurvatureCalculationService.processAsync(params);
+        return terrainCurvatureCalculationService.processAsync(params);
     },
 
     /**
@@ -329,12 +379,16 @@ export var SpatialAnalystService = ServiceBase.extend({
      * @param {SuperMap.DatasetThiessenAnalystParameters} params - 数据集泰森多边形分析参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     thiessenAnalysis: function (params, callback, resultFormat) {
         var me = this;
         var thiessenAnalystService = new ThiessenAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -343,7 +397,7 @@ export var SpatialAnalystService = ServiceBase.extend({
             },
             format: me._processFormat(resultFormat)
         });
-        thiessenAnalystService.processAsync(me._processParams(params));
+        return thiessenAnalystService.processAsync(me._processParams(params));
     },
 
     /**
@@ -359,6 +413,7 @@ export var SpatialAnalystService = ServiceBase.extend({
      * {SuperMap.SurfaceAnalystParameters} 表面分析参数类。</br>
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     geometrybatchAnalysis: function (params, callback, resultFormat) {
         var me = this;
@@ -382,7 +437,7 @@ export var SpatialAnalystService = ServiceBase.extend({
             })
         }
 
-        geometryBatchAnalystService.processAsync(analystParameters);
+        return geometryBatchAnalystService.processAsync(analystParameters);
     },
 
     _processParams: function (params) {
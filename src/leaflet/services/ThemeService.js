@@ -22,6 +22,8 @@ import {ThemeService as SuperMapThemeService} from '@supermap/iclient-common';
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  */
 export var ThemeService = ServiceBase.extend({
 
@@ -34,12 +36,16 @@ export var ThemeService = ServiceBase.extend({
      * @description 获取专题图信息。
      * @param {SuperMap.ThemeParameters} params - 专题图参数类。
      * @param {RequestCallback} callback 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getThemeInfo: function (params, callback) {
         var me = this;
         var themeService = new SuperMapThemeService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -47,7 +53,7 @@ export var ThemeService = ServiceBase.extend({
                 processFailed: callback
             }
         });
-        themeService.processAsync(params);
+        return themeService.processAsync(params);
     }
 });
 
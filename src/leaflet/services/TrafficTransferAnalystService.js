@@ -20,6 +20,8 @@ import {StopQueryService, TransferPathService, TransferSolutionService} from '@s
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  */
 export var TrafficTransferAnalystService = ServiceBase.extend({
 
@@ -32,12 +34,16 @@ export var TrafficTransferAnalystService = ServiceBase.extend({
      * @description 站点查询服务。
      * @param {SuperMap.StopQueryParameters} params - 站点查询参数类。
      * @param {RequestCallback} callback 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     queryStop: function (params, callback) {
         var me = this;
         var stopQueryService = new StopQueryService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -45,19 +51,23 @@ export var TrafficTransferAnalystService = ServiceBase.extend({
                 processFailed: callback
             }
         });
-        stopQueryService.processAsync(params);
+        return stopQueryService.processAsync(params);
     },
     /**
      * @function  L.supermap.trafficTransferAnalystService.prototype.analysisTransferPath
      * @description 交通换乘线路查询服务。
      * @param {SuperMap.TransferPathParameters} params - 交通换乘线路查询参数类。
      * @param {RequestCallback} callback 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     analysisTransferPath: function (params, callback) {
         var me = this;
         var transferPathService = new TransferPathService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -65,19 +75,23 @@ export var TrafficTransferAnalystService = ServiceBase.extend({
                 processFailed: callback
             }
         });
-        transferPathService.processAsync(me._processParams(params));
+        return transferPathService.processAsync(me._processParams(params));
     },
     /**
      * @function  L.supermap.trafficTransferAnalystService.prototype.analysisTransferSolution
      * @description 交通换乘方案查询服务。
      * @param {SuperMap.TransferSolutionParameters} params - 交通换乘方案查询参数类。
      * @param {RequestCallback} callback 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     analysisTransferSolution: function (params, callback) {
         var me = this;
         var transferSolutionService = new TransferSolutionService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -85,7 +99,7 @@ export var TrafficTransferAnalystService = ServiceBase.extend({
                 processFailed: callback
             }
         });
-        transferSolutionService.processAsync(me._processParams(params));
+        return transferSolutionService.processAsync(me._processParams(params));
     },
 
     _processParams: function (params) {
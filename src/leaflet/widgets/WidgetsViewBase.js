@@ -3,10 +3,11 @@
 * which accompanies this distribution and is available at/r* http://www.apache.org/licenses/LICENSE-2.0.html.*/
 import L from "leaflet";
 import '../core/Base';
+import {Lang} from '@supermap/iclient-common';
 
 /**
  * @class L.supermap.widgets.WidgetsViewBase
- * @classdesc Lealfet 微件基类。
+ * @classdesc Lealfet 微件基类。微件添加到地图后，切换语言（{@link SuperMap.Lang.setCode}）时会重新创建 UI。
  * @category Widgets Common
  * @version 9.1.1
  * @param {Object} options - 参数。
@@ -49,6 +50,8 @@ export var WidgetsViewBase = L.Control.extend({
         //微件根 dom 元素：
         this.rootContainer = null;
         //图层参数，主要配置微件返回数据图层的样式和事件等
+        //UI 通过 _onView 在 viewModel 和 map 上注册的事件监听，重新创建 UI 前移除
+        this._viewListeners = [];
     },
 
     /**
@@ -59,9 +62,44 @@ export var WidgetsViewBase = L.Control.extend({
         //子类实现此方法
         this.map = map;
         this.rootContainer = this._initView();
+        Lang.events.on({
+            'localechanged': this._onLocaleChanged,
+            scope: this
+        });
         return this.rootContainer;
     },
 
+    /**
+     * @function L.supermap.widgets.widgetsViewBase.prototype.onRemove
+     * @description 从地图移除微件。
+     */
+    onRemove() {
+        Lang.events.un({
+            'localechanged': this._onLocaleChanged,
+            scope: this
+        });
+        this._removeViewListeners();
+    },
+
+    /**
+     * @function L.supermap.widgets.widgetsViewBase.prototype.refresh
+     * @description 重新创建微件 UI，切换语言时自动调用。
+     */
+    refresh() {
+        if (!this.map || !this.rootContainer) {
+            return;
+        }
+        this._removeViewListeners();
+        const oldContainer = this.rootContainer;
+        const container = this._initView();
+        L.DomUtil.addClass(container, 'leaflet-control');
+        if (oldContainer.parentNode) {
+            oldContainer.parentNode.replaceChild(container, oldContainer);
+        }
+        this.rootContainer = this._container = container;
+        this._onViewRefreshed();
+    },
+
     /**
      * @function L.supermap.widgets.widgetsViewBase.prototype.on
      * @param {string} eventType - 监听的事件类型。
@@ -83,13 +121,57 @@ export var WidgetsViewBase = L.Control.extend({
 
     /**
      * @function L.supermap.widgets.widgetsViewBase.prototype._initView
-     * @description 初始化微件 UI。
+     * @description 初始化微件 UI。UI 在 viewModel 和 map 上使用的事件监听需通过 _onView 注册。
      * @private
      */
     _initView() {
         //子类实现此方法
     },
 
+    /**
+     * @function L.supermap.widgets.widgetsViewBase.prototype._onView
+     * @description 在 viewModel 或 map 上注册 UI 使用的事件监听。监听会被记录下来，重新创建 UI 或移除微件时自动移除。
+     * @private
+     * @param {L.Evented} target - 注册事件监听的对象。
+     * @param {string} types - 事件类型。
+     * @param {function} fn - 监听函数。
+     * @param {Object} [context] - 监听函数的 this。
+     */
+    _onView(target, types, fn, context) {
+        target.on(types, fn, context);
+        this._viewListeners.push({target, types, fn, context});
+    },
+
+    /**
+     * @function L.supermap.widgets.widgetsViewBase.prototype._removeViewListeners
+     * @description 移除创建 UI 时注册的事件监听。
+     * @private
+     */
+    _removeViewListeners() {
+        this._viewListeners.forEach((listener) => {
+            listener.target.off(listener.types, listener.fn, listener.context);
+        });
+        this._viewListeners = [];
+    },
+
+    /**
+     * @function L.supermap.widgets.widgetsViewBase.prototype._onLocaleChanged
+     * @description 切换语言时重新创建微件 UI。
+     * @private
+     */
+    _onLocaleChanged() {
+        this.refresh();
+    },
+
+    /**
+     * @function L.supermap.widgets.widgetsViewBase.prototype._onViewRefreshed
+     * @description 重新创建 UI 后调用，子类实现此方法以恢复 UI 中的数据。
+     * @private
+     */
+    _onViewRefreshed() {
+        //子类实现此方法
+    },
+
     /**
      * @function L.supermap.widgets.widgetsViewBase.prototype._preventMapEvent
      * @description 阻止 map 默认事件。
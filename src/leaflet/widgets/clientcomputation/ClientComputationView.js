@@ -38,6 +38,8 @@ export var ClientComputationView = WidgetsViewBase.extend({
      */
     onAdd: function (map) {
         this.map = map;
+        //初始化 ViewModel
+        this.viewModel = new ClientComputationViewModel(this.workerUrl);
         return WidgetsViewBase.prototype.onAdd.apply(this, [map]);
     },
     /**
@@ -136,8 +138,6 @@ export var ClientComputationView = WidgetsViewBase.extend({
      * @private
      */
     _initView: function () {
-        //初始化 ViewModel
-        this.workerUrl && ~~(this.viewModel = new ClientComputationViewModel(this.workerUrl));
         //初始化 view
         // Container
         let container = (new CommonContainer({ title: Lang.i18n('title_clientComputing') })).getElement();
@@ -489,7 +489,7 @@ export var ClientComputationView = WidgetsViewBase.extend({
                     break;
             }
             this.viewModel.analysis(params, this.map);
-            this.viewModel.on('layerloaded',  (e)=> {
+            this._onView(this.viewModel, 'layerloaded',  (e)=> {
                 analysingContainer.style.display = 'none';
                 analysisBtn.style.display = 'block';
                 /**
@@ -501,7 +501,7 @@ export var ClientComputationView = WidgetsViewBase.extend({
                 this._event.fire('analysissucceeded', { "layer": e.layer, "name": e.name })
             });
             // 若分析的结果为空
-            this.viewModel.on('analysisfailed', ()=> {
+            this._onView(this.viewModel, 'analysisfailed', ()=> {
                 analysingContainer.style.display = 'none';
                 analysisBtn.style.display = 'block';
                 this.messageBox.showView(Lang.i18n('msg_resultIsEmpty'), "failure");
@@ -525,7 +525,7 @@ export var ClientComputationView = WidgetsViewBase.extend({
              * @description 结果图层删除后触发。
              * @property {Array.<L.GeoJSON>} layers - 被删除的结果图层。
              */
-            this.viewModel.on('layersremoved', (e) => {
+            this._onView(this.viewModel, 'layersremoved', (e) => {
                 this._event.fire('layersremoved', { 'layers': e.layers });
             })
             this.viewModel.clearLayers();
@@ -579,6 +579,16 @@ export var ClientComputationView = WidgetsViewBase.extend({
         return container;
     },
 
+    /**
+     * @function L.supermap.widgets.clientComputation.prototype._onViewRefreshed
+     * @description 重新创建 UI 后，重新填充图层数据。
+     * @private
+     * @override
+     */
+    _onViewRefreshed: function () {
+        this.fillDataToView(this.fillData);
+    },
+
     /**
      * @function L.supermap.widgets.clientComputation.prototype._createOptions
      * @description 创建 select 下拉框的 options。
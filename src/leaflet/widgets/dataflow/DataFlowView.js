@@ -82,12 +82,16 @@ export var DataFlowView = WidgetsViewBase.extend({
         //---清除输入值【清除按钮点击事件】
         inputClearBtn.onclick = (e) => {
             dataFlowInput.value = "";
+            this._dataFlowUrl = "";
             e.target.hidden = true;
         };
         //---输入框值改变,打开清除按钮【输入框内容改变事件】
         dataFlowInput.oninput = () => {
+            this._dataFlowUrl = dataFlowInput.value;
             inputClearBtn.hidden = false;
         };
+        this._dataFlowInput = dataFlowInput;
+        this._inputClearBtn = inputClearBtn;
         dataFlowInputContainer.appendChild(inputClearBtn);
         dataFlowContainer1.appendChild(dataFlowInputContainer);
 
@@ -152,11 +156,11 @@ export var DataFlowView = WidgetsViewBase.extend({
         //增加提示框：
         this.messageBox = new MessageBox();
 
-        this.viewModel.on("dataflowservicesubscribed", () => {
+        this._onView(this.viewModel, "dataflowservicesubscribed", () => {
             this.messageBox.showView(Lang.i18n("msg_dataflowservicesubscribed"));
         });
 
-        this.viewModel.on("subscribesucceeded", () => {
+        this._onView(this.viewModel, "subscribesucceeded", () => {
             this.messageBox.showView(Lang.i18n("msg_subscribesucceeded"));
         });
 
@@ -165,7 +169,7 @@ export var DataFlowView = WidgetsViewBase.extend({
          * @description 数据流服务成功返回数据后触发。
          * @property {Object} result  - 事件返回的数据对象。
          */
-        this.viewModel.on("dataupdated", (result) => {
+        this._onView(this.viewModel, "dataupdated", (result) => {
             this.messageBox.closeView();
             this._event.fire("dataupdated", result);
         });
@@ -174,6 +178,19 @@ export var DataFlowView = WidgetsViewBase.extend({
         //阻止 map 默认事件
         this._preventMapEvent(container, this.map);
         return container;
+    },
+
+    /**
+     * @function L.supermap.widgets.dataFlow.prototype._onViewRefreshed
+     * @description 重新创建 UI 后，恢复输入的数据流服务地址。
+     * @private
+     * @override
+     */
+    _onViewRefreshed() {
+        if (this._dataFlowUrl) {
+            this._dataFlowInput.value = this._dataFlowUrl;
+            this._inputClearBtn.hidden = false;
+        }
     }
 
 });
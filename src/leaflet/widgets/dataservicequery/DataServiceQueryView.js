@@ -58,15 +58,6 @@ export var DataServiceQueryView = WidgetsViewBase.extend({
         return WidgetsViewBase.prototype.onAdd.apply(this, [map]);
     },
 
-    /**
-     * @function L.supermap.widgets.dataServiceQuery.prototype.onRemove
-     * @description 移除控件。
-     * @private
-     */
-    onRemove: function () {
-        this.map.off('pm:create');
-    },
-
     /**
      * @function L.supermap.widgets.dataServiceQuery.prototype.setDataSetNames
      * @description 设置查询的数据集名。
@@ -252,7 +243,7 @@ export var DataServiceQueryView = WidgetsViewBase.extend({
             analysisBtn.style.display = 'none';
             let queryParams = getQueryParams();
 
-            this.viewModel.on('getfeaturessucceeded', (e) => {
+            this._onView(this.viewModel, 'getfeaturessucceeded', (e) => {
                 analysingContainer.style.display = 'none';
                 analysisBtn.style.display = 'block';
                 if (e.result.features.length === 0) {
@@ -265,7 +256,7 @@ export var DataServiceQueryView = WidgetsViewBase.extend({
                  */
                 this._event.fire('getfeaturessucceeded', {'result': e.result})
             });
-            this.viewModel.on('getfeaturesfailed', (e) => {
+            this._onView(this.viewModel, 'getfeaturesfailed', (e) => {
                 analysingContainer.style.display = 'none';
                 analysisBtn.style.display = 'block';
                 this.messageBox.showView(e.error.errorMsg, "failure");
@@ -318,7 +309,7 @@ export var DataServiceQueryView = WidgetsViewBase.extend({
             e.preventDefault();
         };
 
-        this.map.on('pm:create', (e) => {
+        this._onView(this.map, 'pm:create', (e) => {
             if (e.shape === 'Rectangle') {
                 resultLayer = e.layer;
                 let boundsT = resultLayer.getBounds();
@@ -48,15 +48,35 @@ export var DistributedAnalysisView = WidgetsViewBase.extend({
         
         // 获取数据集
         this.viewModel.on('datasetsloaded', (e) => {
-            let datasetOptionsArr = e.result.dataset.datasetNames;
-            this.datasetSelect.innerHTML = '';
-            this._createOptions(this.datasetSelect, datasetOptionsArr);
-            this.datasetSelectObj.optionClickEvent(this.datasetSelect, this.datasetSelectName, this.datasetSelectOnchange);
-            this.dataHash = e.result.datasetHash;
+            this.datasetsResult = e.result;
+            this._fillDatasetsToView(e.result);
         });
         this.viewModel.getDatasetsName();
     },
 
+    /**
+     * @function L.supermap.widgets.distributedAnalysis.prototype._fillDatasetsToView
+     * @description 填充数据集到下拉框。
+     * @private
+     */
+    _fillDatasetsToView: function (result) {
+        let datasetOptionsArr = result.dataset.datasetNames;
+        this.datasetSelect.innerHTML = '';
+        this._createOptions(this.datasetSelect, datasetOptionsArr);
+        this.datasetSelectObj.optionClickEvent(this.datasetSelect, this.datasetSelectName, this.datasetSelectOnchange);
+        this.dataHash = result.datasetHash;
+    },
+
+    /**
+     * @function L.supermap.widgets.distributedAnalysis.prototype._onViewRefreshed
+     * @description 重新创建 UI 后，重新填充数据集。
+     * @private
+     * @override
+     */
+    _onViewRefreshed: function () {
+        this.datasetsResult && this._fillDatasetsToView(this.datasetsResult);
+    },
+
     /**
      * @function L.supermap.widgets.distributedAnalysis.prototype._initView
      * @description 创建分布式分析微件。
@@ -293,7 +313,7 @@ export var DistributedAnalysisView = WidgetsViewBase.extend({
                 let datasetUrl = this.dataHash[option.title];
                 // 判断当前选中数据集是否支持该选中分析类，并填充分析权重字段
                 let _me = this;
-                this.viewModel.on('datasetinfoloaded', function (e) {
+                this._onView(this.viewModel, 'datasetinfoloaded', function (e) {
                     weightFieldsSelectName.title = Lang.i18n('text_option_notSet');
                     weightFieldsSelectName.innerHTML = Lang.i18n('text_option_notSet');
                     weightFieldsSelect.innerHTML = '';
@@ -327,7 +347,7 @@ export var DistributedAnalysisView = WidgetsViewBase.extend({
                 analysingContainer.style.display = 'block';
                 analysisBtn.style.display = 'none';
 
-                this.viewModel.on('layerloaded', (e) => {
+                this._onView(this.viewModel, 'layerloaded', (e) => {
                     analysingContainer.style.display = 'none';
                     analysisBtn.style.display = 'block';
                     /**
@@ -339,7 +359,7 @@ export var DistributedAnalysisView = WidgetsViewBase.extend({
                     this._event.fire('analysissucceeded', {'layer': e.layer, 'name': e.name})
                 });
                 
-                this.viewModel.on('analysisfailed', (e) => {
+                this._onView(this.viewModel, 'analysisfailed', (e) => {
                     this.messageBox.showView(Lang.i18n('msg_theFieldNotSupportAnalysis'), "failure");
                     analysingContainer.style.display = 'none';
                     analysisBtn.style.display = 'block';
@@ -362,7 +382,7 @@ export var DistributedAnalysisView = WidgetsViewBase.extend({
              * @description 结果图层删除后触发。
              * @property {Array.<L.GeoJSON>} layers - 被删除的结果图层。
              */
-            this.viewModel.on('layersremoved', (e) => {
+            this._onView(this.viewModel, 'layersremoved', (e) => {
                 this._event.fire('layersremoved', { 'layers': e.layers });
             });
             this.viewModel.clearLayers();
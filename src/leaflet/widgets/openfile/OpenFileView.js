@@ -8,7 +8,8 @@ import {MessageBox, Lang} from '@supermap/iclient-common';
 
 /**
  * @class L.supermap.widgets.openFile
- * @classdesc 打开文件微件，用于打开本地数据文件并加载到地图，目前支持打开 .csv|.xls|.xlsx|.geojson|.json 格式文件，只支持WGS84经纬度坐标。
+ * @classdesc 打开文件微件，用于打开本地数据文件并加载到地图，目前支持打开 .csv|.xls|.xlsx|.geojson|.json|.zip|.shp|.kml|.kmz|.gpx|.fgb|.gpkg 格式文件。
+ *            Shapefile 需要压缩为 zip 文件，有 prj 文件时转换为 WGS84 经纬度坐标；CSV 和 Excel 文件可以使用经纬度列或者 WKT 列表示几何对象；其他格式只支持WGS84经纬度坐标。
  * @version 9.1.1
  * @param {Object} options - 可选参数。
  * @param {string} [options.position='topright'] - 微件在地图中显示的位置，包括：'topleft'，'topright'，'bottomleft' 和 'bottomright'，继承自 leaflet control。
@@ -65,7 +66,7 @@ export var OpenFileView = WidgetsViewBase.extend({
         this.fileInput = L.DomUtil.create('input', 'widget-openfile__input', this.fileSelect);
         this.fileInput.id = "input_file";
         this.fileInput.type = "file";
-        this.fileInput.accept = ".json,.geojson,.csv,.xls,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel"
+        this.fileInput.accept = ".json,.geojson,.csv,.xls,.zip,.shp,.kml,.kmz,.gpx,.fgb,.gpkg,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel"
 
         this.fileInput.onchange = (fileEventObject) => {
             this.messageBox.closeView();
@@ -75,13 +76,13 @@ export var OpenFileView = WidgetsViewBase.extend({
         this.messageBox = new MessageBox();
 
         //添加监听
-        this.viewModel.on("filesizeexceed", (e) => {
+        this._onView(this.viewModel, "filesizeexceed", (e) => {
             this.messageBox.showView(e.message, e.messageType);
         });
-        this.viewModel.on("errorfileformat", (e) => {
+        this._onView(this.viewModel, "errorfileformat", (e) => {
             this.messageBox.showView(e.message, e.messageType);
         });
-        this.viewModel.on("openfilefailed", (e) => {
+        this._onView(this.viewModel, "openfilefailed", (e) => {
             this.messageBox.showView(e.message, e.messageType);
              /**
              * @event L.supermap.widgets.openFile#openfilefailed
@@ -90,10 +91,10 @@ export var OpenFileView = WidgetsViewBase.extend({
              */
             this._event.fire("openfilefailed", e);
         });
-        this.viewModel.on("readdatafail", (e) => {
+        this._onView(this.viewModel, "readdatafail", (e) => {
             this.messageBox.showView(e.message, e.messageType);
         });
-        this.viewModel.on("openfilesucceeded", (e) => {
+        this._onView(this.viewModel, "openfilesucceeded", (e) => {
             /**
              * @event L.supermap.widgets.openFile#openfilesucceeded
              * @description 打开文件成功。
@@ -12,7 +12,7 @@ import {
 
 /**
  * @class L.supermap.widgets.openFileViewModel
- * @classdesc 打开本地文件微件功能类,目前只支持WGS84经纬度坐标。
+ * @classdesc 打开本地文件微件功能类，支持 GeoJSON、CSV、Excel、Shapefile（zip）、KML、KMZ、GPX、FlatGeobuf 和 GeoPackage 格式，Shapefile、FlatGeobuf 和 GeoPackage 按文件中的坐标系转换为 WGS84 经纬度坐标，其他格式只支持WGS84经纬度坐标。
  * @version 9.1.1
  * @category Widgets OpenFile
  * @param {L.Map} map - leaflet map 对象。
@@ -368,6 +368,18 @@ export var SearchView = WidgetsViewBase.extend({
         return div;
     },
 
+    /**
+     * @function L.supermap.widgets.search.prototype._onViewRefreshed
+     * @description 重新创建 UI 后，重新创建查询图层选项。
+     * @private
+     * @override
+     */
+    _onViewRefreshed() {
+        for (let layerName in this.viewModel.dataModel.layers) {
+            this._createSearchLayerItem(layerName);
+        }
+    },
+
     /**
      * @function L.supermap.widgets.search.prototype._createSearchLayerItem
      * @description 创建查询图层选项。
@@ -454,19 +466,19 @@ export var SearchView = WidgetsViewBase.extend({
      */
     _addViewModelListener() {
         //----可查询图层变化监听
-        this.viewModel.on("searchlayerschanged", (layers) => {
+        this._onView(this.viewModel, "searchlayerschanged", (layers) => {
             for (let i = 0; i < layers.length; i++) {
                 this._createSearchLayerItem(layers[i]);
             }
         });
 
         //----可查询图层变化监听
-        this.viewModel.on("newlayeradded", (e) => {
+        this._onView(this.viewModel, "newlayeradded", (e) => {
             this._createSearchLayerItem(e.layerName);
         });
 
         //----图层查询结果监听
-        this.viewModel.on("searchlayersucceeded", (e) => {
+        this._onView(this.viewModel, "searchlayersucceeded", (e) => {
             const data = e.result;
             this.clearSearchResult();
             this.searchResultLayer = L.featureGroup(data, {
@@ -497,7 +509,7 @@ export var SearchView = WidgetsViewBase.extend({
         });
 
         //----地址匹配服务监听
-        this.viewModel.on("geocodesucceeded", (e) => {
+        this._onView(this.viewModel, "geocodesucceeded", (e) => {
             const data = e.result;
             //先清空当前有的地址匹配图层
             this.clearSearchResult();
@@ -526,7 +538,7 @@ export var SearchView = WidgetsViewBase.extend({
         });
 
         //----地址匹配或图层查询失败监听
-        this.viewModel.on("searchfailed", (e) => {
+        this._onView(this.viewModel, "searchfailed", (e) => {
             let message = "";
             if (e.searchType === "searchGeocodeField") {
                 message = Lang.i18n("msg_searchGeocodeField");
@@ -0,0 +1,359 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import mapboxgl from 'mapbox-gl';
+import '../core/Base';
+import {MapService} from '../services/MapService';
+
+/**
+ * @class mapboxgl.supermap.ChangeTileVersion
+ * @category  Control
+ * @classdesc 版本切换控件（目前仅支持 IE10 及以上）。绑定 {@link mapboxgl.supermap.TileSuperMapRest} 图层源，切换其切片版本。
+ * @param {Object} options - 参数。
+ * @param {mapboxgl.supermap.TileSuperMapRest} [options.layer] - 绑定的图层源。
+ * @param {string} [options.title='switch tile version'] - 提示信息。
+ * @param {string} [options.tooltip='top'] - 提示显示位置 top | right | bottom | left。
+ * @param {boolean} [options.collapsed=true] - 是否折叠。
+ * @param {string} [options.lastText='-'] - 上一个版本的按钮布局。
+ * @param {string} [options.nextText='+'] - 下一个版本的按钮布局。
+ * @param {string} [options.ico='V'] - 控件显示的logo。
+ * @param {string} [options.orientation='horizontal'] - 方向 horizontal|vertical。
+ * @param {boolean} [options.switch=true] - 是否显示上/下一个版本切换控件。
+ * @example
+ * var source = new mapboxgl.supermap.TileSuperMapRest({url: url}).addTo(map, 'china');
+ * map.addLayer({id: 'china', type: 'raster', source: 'china'});
+ * map.addControl(new mapboxgl.supermap.ChangeTileVersion({
+ *     layer: source,
+ *     orientation: "horizontal"
+ * }), 'top-left');
+ */
+export class ChangeTileVersion {
+
+    constructor(options) {
+        options = options || {};
+        //鼠标滑过时提示
+        options.title = options.title || "switch tile version";
+        //tooltip提示显示位置 top | right | bottom | left
+        options.tooltip = options.tooltip || "top";
+        //是否折叠
+        options.collapsed = options.collapsed !== false;
+        //上一个版本的按钮布局
+        options.lastText = options.lastText || "-";
+        //下一个版本的按钮布局
+        options.nextText = options.nextText || "+";
+        //控件显示的logo
+        options.ico = options.ico || "V";
+        //方向horizontal|vertical
+        if (options.orientation !== 'vertical') {
+            options.orientation = "horizontal";
+        }
+        //是否显示上/下一个版本切换控件
+        options.switch = options.switch !== false;
+        this.options = options;
+        this._onTileSetsInfoLoaded = this._onTileSetsInfoLoaded.bind(this);
+        this._onTileVersionsChanged = this._onTileVersionsChanged.bind(this);
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.onAdd
+     * @description 添加控件。
+     * @param {mapboxgl.Map} map - 地图对象。
+     * @returns {HTMLElement} 控件元素。
+     */
+    onAdd(map) {
+        this._map = map;
+        this._container = this._initLayout();
+        if (this.options.layer) {
+            this.setLayer(this.options.layer);
+        }
+        return this._container;
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.onRemove
+     * @description 移除控件。
+     */
+    onRemove() {
+        this.removeLayer();
+        if (this._container && this._container.parentNode) {
+            this._container.parentNode.removeChild(this._container);
+        }
+        this._map = null;
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.setContent
+     * @description 设置版本相关信息。
+     * @param {Object} version - 版本信息。
+     */
+    setContent(version) {
+        var content = version || {};
+        this.setVersionName(content.desc).setToolTip(content.desc);
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.setVersionName
+     * @description 设置版本号。
+     * @param {string} content - 版本内容。
+     * @returns {this} this
+     */
+    setVersionName(content) {
+        var value = content;
+        if (!content) {
+            value = this.getValue();
+        }
+        this._sliderValue.innerHTML = value;
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.setToolTip
+     * @description 设置提示信息。
+     * @param {string} tooltip - 工具提示。
+     * @returns {this} this
+     */
+    setToolTip(tooltip) {
+        this.tooltip.innerHTML = tooltip;
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.updateLength
+     * @description 更新进度条长度。
+     * @param {number} length - 进度条长度。
+     */
+    updateLength(length) {
+        if (length > 0) {
+            this.length = length;
+            this.max = this.length - 1;
+            this.slider.setAttribute("max", this.max);
+        }
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.setLayer
+     * @description 绑定图层源。
+     * @param {mapboxgl.supermap.TileSuperMapRest} layer - 图层源。
+     */
+    setLayer(layer) {
+        if (this.options.layer && this.options.layer !== layer) {
+            this.removeLayer();
+        }
+        if (layer) {
+            this.options.layer = layer;
+        }
+        var tileLayer = this.options.layer;
+        tileLayer.on("tilesetsinfoloaded", this._onTileSetsInfoLoaded);
+        tileLayer.on("tileversionschanged", this._onTileVersionsChanged);
+        this.getTileSetsInfo();
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.update
+     * @description 更新缓存切片集及进度条长度。
+     * @param {Object} tileVersions - 待更新的切片版本。
+     */
+    update(tileVersions) {
+        this.tileVersions = tileVersions;
+        this.updateLength(this.tileVersions.length);
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.getTileSetsInfo
+     * @description 请求获取切片集信息。
+     */
+    getTileSetsInfo() {
+        var me = this;
+        if (me.options.layer) {
+            new MapService(me.options.layer._url).getTilesets(function getTilesInfoSucceed(info) {
+                me.options.layer && me.options.layer.setTileSetsInfo(info.result);
+            });
+        }
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.removeLayer
+     * @description 移除绑定的图层源。
+     */
+    removeLayer() {
+        var layer = this.options.layer;
+        if (layer) {
+            layer.off("tilesetsinfoloaded", this._onTileSetsInfoLoaded);
+            layer.off("tileversionschanged", this._onTileVersionsChanged);
+        }
+        this.options.layer = null;
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.nextTilesVersion
+     * @description 下一个版本，第一次不进行加减，是无版本的状态。
+     * @returns {this} this
+     */
+    nextTilesVersion() {
+        if (this.firstLoad) {
+            this.options.layer.nextTilesVersion();
+            this.firstLoad = false;
+            return this;
+        }
+        if (parseInt(this.slider.value) > this.max - 1) {
+            return this;
+        }
+        this.slider.value = parseInt(this.slider.value) + 1;
+        this.options.layer.nextTilesVersion();
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.lastTilesVersion
+     * @description 获取上一个版本信息。
+     * @returns {this} this
+     */
+    lastTilesVersion() {
+        if (parseInt(this.slider.value) < this.min + 1) {
+            return this;
+        }
+        this.slider.value = parseInt(this.slider.value) - 1;
+        this.options.layer.lastTilesVersion();
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.tilesVersion
+     * @description 根据指定版本号请求版本。
+     * @param {string} version - 版本名称。
+     */
+    tilesVersion(version) {
+        var layer = this.options.layer,
+            tileVersions = this.tileVersions;
+        var len = tileVersions.length;
+        for (var i = 0; i < len; i++) {
+            if (tileVersions[i].name == version) {
+                layer.updateCurrentTileSetsIndex(i);
+                layer.changeTilesVersion();
+                break;
+            }
+        }
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.getValue
+     * @description 获取进度条的值。注：(进度条的值并不是版本号)。
+     * @returns {string} 进度条的值。
+     */
+    getValue() {
+        return this.slider.value;
+    }
+
+    /**
+     * @function mapboxgl.supermap.ChangeTileVersion.prototype.getVersion
+     * @description 获取当前进度条值对应的版本号。
+     * @returns {string} 版本名称。
+     */
+    getVersion() {
+        var version = this.tileVersions[this.getValue()];
+        return version && version.name;
+    }
+
+    _onTileSetsInfoLoaded(evt) {
+        var tileVersions = evt.value && evt.value.tileVersions;
+        this.update(tileVersions);
+    }
+
+    _onTileVersionsChanged(evt) {
+        var tileVersion = evt.value && evt.value.tileVersion;
+        this.setContent(tileVersion);
+    }
+
+    _initLayout() {
+        var options = this.options;
+        var className = 'mapboxgl-ctrl-ctv';
+        var container = createElement('div', 'mapboxgl-ctrl mapboxgl-ctrl-group ' + className + ' ' + className + '-' + options.orientation);
+        //正常情况下显示btn
+        this._sliderBtn = createElement('button', className + '-toggle', container);
+        this._sliderBtn.setAttribute("type", "button");
+        this._sliderBtn.setAttribute("title", options.title);
+        this._sliderBtn.innerHTML = options.ico;
+
+        //滑块拖动时值显示区域
+        this._sliderValue = createElement('p', className + '-value', container);
+        this._sliderValue.innerHTML = options.ico;
+        this._sliderValue.setAttribute("title", options.title);
+
+        var sliderClassName = "mapboxgl-ctv-slider";
+        this._sliderContent = createElement('div', sliderClassName + "-main" + "  tooltip", container);
+
+        //tooltip提示框
+        if (options.orientation === "vertical" && options.tooltip === "top") {
+            options.tooltip = "right";
+        }
+        this.tooltip = createElement("span", "tooltip-text" + "  " + "tooltip-" + options.tooltip, this._sliderContent);
+        this.tooltip.innerHTML = options.ico;
+
+        //加控件
+        if (options.switch) {
+            this._next = createElement('a', sliderClassName + "-incdec" + " " + sliderClassName + '-next', this._sliderContent);
+            this._next.innerHTML = options.nextText;
+            this._next.addEventListener('click', this.nextTilesVersion.bind(this));
+            container.classList.add(className + '-incdec');
+        }
+
+        //滑块
+        this._sliderContainer = createElement('div', sliderClassName + '-container', this._sliderContent);
+        this.slider = createElement('input', sliderClassName, this._sliderContainer);
+        this.min = this.min == null || isNaN(this.min) ? 0 : parseInt(this.min);
+        this.slider.setAttribute("title", options.title);
+        this.slider.setAttribute("type", "range");
+        this.slider.setAttribute("min", this.min);
+        this.slider.setAttribute("max", 0);
+        this.slider.setAttribute("step", 1);
+        this.slider.setAttribute("value", 0);
+        this.firstLoad = true;
+        this.slider.addEventListener("change", () => {
+            this.tilesVersion(this.getVersion());
+        });
+
+        //减控件
+        if (options.switch) {
+            this._last = createElement('a', sliderClassName + "-incdec" + " " + sliderClassName + '-last', this._sliderContent);
+            this._last.innerHTML = options.lastText;
+            this._last.addEventListener('click', this.lastTilesVersion.bind(this));
+        }
+
+        if (options.orientation === 'vertical') {
+            this.slider.style.width = 170 + 'px';
+            this._sliderContainer.style.height = 170 + 'px';
+        } else {
+            this._sliderContainer.style.width = 150 + 'px';
+        }
+
+        container.addEventListener("click", function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+        });
+        var expand = function () {
+            container.classList.add(className + '-expanded');
+        };
+        if (options.collapsed) {
+            container.addEventListener('mouseenter', expand);
+            container.addEventListener('mouseleave', function () {
+                container.classList.remove(className + '-expanded');
+            });
+            this._sliderBtn.addEventListener('click', expand);
+            this._sliderBtn.addEventListener('focus', expand);
+        } else {
+            expand();
+        }
+        return container;
+    }
+}
+
+function createElement(tagName, className, container) {
+    var el = document.createElement(tagName);
+    el.className = className || '';
+    if (container) {
+        container.appendChild(el);
+    }
+    return el;
+}
+
+mapboxgl.supermap.ChangeTileVersion = ChangeTileVersion;
@@ -1,4 +1,5 @@
 /* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
  * This program are made available under the terms of the Apache License, Version 2.0
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
-export {Logo} from './Logo';
\ No newline at end of file
+export {Logo} from './Logo';
+export {ChangeTileVersion} from './ChangeTileVersion';
\ No newline at end of file
@@ -0,0 +1,38 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import mapboxgl from 'mapbox-gl';
+import './Base';
+import {FeatureExport as CommonFeatureExport, CommonUtil} from '@supermap/iclient-common';
+import {Graphic} from '../overlay/graphic/Graphic';
+
+/**
+ * @class mapboxgl.supermap.FeatureExport
+ * @classdesc 要素导出类。除 {@link SuperMap.FeatureExport} 支持的数据外，还支持 {@link mapboxgl.supermap.Graphic}、{@link mapboxgl.supermap.GraphicLayer}、
+ *            专题图层和 {@link mapboxgl.supermap.TurfLayer}。
+ * @category BaseTypes Util
+ * @extends {SuperMap.FeatureExport}
+ * @param {Object} [options] - 参数，参考 {@link SuperMap.FeatureExport}。
+ * @example
+ * new mapboxgl.supermap.FeatureExport({fileName: 'buffer'}).download(turfLayer, SuperMap.ExportFormat.KML);
+ */
+export class FeatureExport extends CommonFeatureExport {
+
+    _featureToGeoJSON(feature) {
+        if (feature instanceof Graphic) {
+            let geojson = {
+                type: 'Feature',
+                geometry: feature.getGeometry(),
+                properties: CommonUtil.extend({}, feature.getAttributes())
+            };
+            if (feature.getId() !== null && feature.getId() !== undefined) {
+                geojson.id = feature.getId();
+            }
+            return geojson;
+        }
+        return super._featureToGeoJSON(feature);
+    }
+
+}
+
+mapboxgl.supermap.FeatureExport = FeatureExport;
@@ -2,4 +2,5 @@
  * This program are made available under the terms of the Apache License, Version 2.0
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
 export {Util} from './Util';
-export {MapExtend} from './MapExtend';
\ No newline at end of file
+export {MapExtend} from './MapExtend';
+export {FeatureExport} from './FeatureExport';
\ No newline at end of file
@@ -1,2 +1,3 @@
+import './ChangeTileVersion.css'
 import '@supermap/iclient-common/css/webmapfont/iconfont.css'
 import '@supermap/iclient-common/widgets/css/MessageBox.css'
\ No newline at end of file
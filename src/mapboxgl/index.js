@@ -60,6 +60,7 @@ export {
     AggregationQueryBuilderType,
     AggregationType,
     GetFeatureMode,
+    ExportFormat,
     //control
     TimeFlowControl,
     //iManager
@@ -93,6 +94,8 @@ export {
     FetchRequest,
     ColorsPickerUtil,
     ArrayStatistic,
+    Classification,
+    ColorRamp,
     //iServer
     AreaSolarRadiationParameters,
     AggregationParameter,
@@ -255,6 +258,12 @@ export {
     PaginationContainer,
     widgetsUtil,
     FileReaderUtil,
+    ZipUtil,
+    ShapefileParser,
+    KMLParser,
+    GPXParser,
+    FlatGeobufParser,
+    GeoPackageParser,
     ChartView,
     ChartViewModel
 }
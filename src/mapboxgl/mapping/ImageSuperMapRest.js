@@ -0,0 +1,265 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import mapboxgl from 'mapbox-gl';
+import '../core/Base';
+import {
+    ServerType,
+    SecurityManager,
+    Credential,
+    CommonUtil
+} from '@supermap/iclient-common';
+
+/**
+ * @class mapboxgl.supermap.ImageSuperMapRest
+ * @category iServer Map
+ * @classdesc SuperMap iServer REST 地图服务的动态图层源。使用 image 资源按当前视图范围出一张图片，地图移动或者大小改变后重新出图。
+ *            mapboxgl 的 image 图层源不能更换图片，因此此类同时管理图层源（ID 为 "图层 ID-source"）和栅格图层：
+ *            新图片加载完成后替换图层源，图层的 ID、顺序、可见性和不透明度保持不变。
+ * @extends {mapboxgl.Evented}
+ * @param {Object} options - 参数。
+ * @param {string} options.url - 地图服务地址，如：http://localhost:8090/iserver/services/map-china400/rest/maps/China。
+ * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
+ * @param {string} [options.layersID] - 获取进行切片的地图图层 ID，即指定进行地图切片的图层，可以是临时图层集，也可以是当前地图中图层的组合。
+ * @param {boolean} [options.redirect=false] - 如果为 true，则将请求重定向到图片的真实地址；如果为 false，则响应体中是图片的字节流。
+ * @param {boolean} [options.transparent=true] - 图片是否透明。
+ * @param {boolean} [options.cacheEnabled=true] - 是否使用服务端的缓存。
+ * @param {Object} [options.prjCoordSys={"epsgCode":3857}] - 请求的地图的坐标参考系统，需要与 mapboxgl 地图的投影一致。
+ * @param {boolean} [options.overlapDisplayed=false] - 地图对象在同一范围内时，是否重叠显示。
+ * @param {SuperMap.OverlapDisplayedOptions} [options.overlapDisplayedOptions] - 避免地图对象压盖显示的过滤选项，当 overlapDisplayed 为 false 时有效。
+ * @param {string} [options.tileProxy] - 代理地址。
+ * @param {string} [options.format='png'] - 图片表述类型，支持 "png" 、"bmp" 、"jpg" 和 "gif" 四种表述类型。
+ * @param {number} [options.opacity=1] - 图层不透明度。
+ * @fires mapboxgl.supermap.ImageSuperMapRest#imageloaded
+ * @example
+ * new mapboxgl.supermap.ImageSuperMapRest({url: url, layersID: '[0:0,1]'}).addTo(map, 'china-dynamic');
+ */
+export class ImageSuperMapRest extends mapboxgl.Evented {
+
+    constructor(options) {
+        super();
+        options = options || {};
+        this.options = CommonUtil.extend({
+            redirect: false,
+            transparent: true,
+            cacheEnabled: true,
+            prjCoordSys: {
+                "epsgCode": 3857
+            },
+            overlapDisplayed: false,
+            serverType: ServerType.ISERVER,
+            format: 'png',
+            opacity: 1
+        }, options);
+        this._url = options.url;
+        this._requestId = 0;
+        this._update = this._update.bind(this);
+    }
+
+    /**
+     * @function mapboxgl.supermap.ImageSuperMapRest.prototype.addTo
+     * @description 添加到地图，创建图层源和栅格图层。
+     * @param {mapboxgl.Map} map - 地图对象。
+     * @param {string} layerId - 栅格图层 ID。
+     * @param {string} [beforeId] - 图层插入到此 ID 的图层之前，默认添加到最上面。
+     * @returns {mapboxgl.supermap.ImageSuperMapRest} this
+     */
+    addTo(map, layerId, beforeId) {
+        this.map = map;
+        this.layerId = layerId;
+        this.sourceId = layerId + '-source';
+        var request = this.getImageRequest();
+        this._setImage(request.url, request.coordinates, beforeId);
+        map.on('moveend', this._update);
+        map.on('resize', this._update);
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.ImageSuperMapRest.prototype.remove
+     * @description 从地图上移除图层和图层源。
+     * @returns {mapboxgl.supermap.ImageSuperMapRest} this
+     */
+    remove() {
+        var map = this.map;
+        if (!map) {
+            return this;
+        }
+        map.off('moveend', this._update);
+        map.off('resize', this._update);
+        if (map.getLayer(this.layerId)) {
+            map.removeLayer(this.layerId);
+        }
+        if (map.getSource(this.sourceId)) {
+            map.removeSource(this.sourceId);
+        }
+        this._requestId++;
+        this.map = null;
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.ImageSuperMapRest.prototype.getImageRequest
+     * @description 获取当前视图范围的出图地址以及图片的四个角点坐标。
+     * @returns {Object} url 为出图地址，coordinates 为左上、右上、右下、左下角点的经纬度坐标。
+     */
+    getImageRequest() {
+        var map = this.map;
+        var bounds = map.getBounds();
+        var container = map.getContainer();
+        var west = Math.max(bounds.getWest(), -180);
+        var east = Math.min(bounds.getEast(), 180);
+        var south = Math.max(bounds.getSouth(), -85.0511287798);
+        var north = Math.min(bounds.getNorth(), 85.0511287798);
+        var leftBottom = lngLatToMercator(west, south);
+        var rightTop = lngLatToMercator(east, north);
+        var viewBounds = {
+            leftBottom: {x: leftBottom[0], y: leftBottom[1]},
+            rightTop: {x: rightTop[0], y: rightTop[1]}
+        };
+        //视图超出经纬度范围时，按裁剪后的范围计算图片大小
+        var width = Math.max(1, Math.round(container.clientWidth * (east - west) / (bounds.getEast() - bounds.getWest())));
+        var height = Math.max(1, Math.round(container.clientHeight * (north - south) / (bounds.getNorth() - bounds.getSouth())));
+        var params = this._getAllRequestParams();
+        params.push("viewBounds=" + JSON.stringify(viewBounds));
+        params.push("width=" + width);
+        params.push("height=" + height);
+        var url = this._appendCredential(this._url + "/image." + this.options.format + "?" + encodeURI(params.join('&')));
+        //支持代理
+        if (this.options.tileProxy) {
+            url = this.options.tileProxy + encodeURIComponent(url);
+        }
+        if (this.options.cacheEnabled === false) {
+            url += "&_t=" + new Date().getTime();
+        }
+        return {
+            url: url,
+            coordinates: [[west, north], [east, north], [east, south], [west, south]]
+        };
+    }
+
+    //先在浏览器中加载图片，加载完成后再替换图层源，避免图层闪烁。只使用最后一次请求的图片
+    _update() {
+        if (!this.map) {
+            return;
+        }
+        var me = this;
+        var request = me.getImageRequest();
+        var requestId = ++me._requestId;
+        var image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = function () {
+            if (requestId === me._requestId && me.map) {
+                me._setImage(request.url, request.coordinates);
+            }
+        };
+        image.src = request.url;
+    }
+
+    _setImage(url, coordinates, beforeId) {
+        var map = this.map;
+        var visibility = 'visible';
+        var opacity = this.options.opacity;
+        if (map.getLayer(this.layerId)) {
+            var layers = map.getStyle().layers;
+            for (var i = 0; i < layers.length; i++) {
+                if (layers[i].id === this.layerId) {
+                    beforeId = layers[i + 1] && layers[i + 1].id;
+                    break;
+                }
+            }
+            visibility = map.getLayoutProperty(this.layerId, 'visibility') || visibility;
+            opacity = map.getPaintProperty(this.layerId, 'raster-opacity');
+            opacity = opacity === undefined ? this.options.opacity : opacity;
+            map.removeLayer(this.layerId);
+        }
+        if (map.getSource(this.sourceId)) {
+            map.removeSource(this.sourceId);
+        }
+        map.addSource(this.sourceId, {
+            type: 'image',
+            url: url,
+            coordinates: coordinates
+        });
+        map.addLayer({
+            id: this.layerId,
+            type: 'raster',
+            source: this.sourceId,
+            layout: {
+                visibility: visibility
+            },
+            paint: {
+                'raster-opacity': opacity,
+                'raster-fade-duration': 0
+            }
+        }, beforeId);
+        /**
+         * @event mapboxgl.supermap.ImageSuperMapRest#imageloaded
+         * @description 图层源更换为当前视图范围的图片后触发。
+         * @property {string} url - 图片地址。
+         * @property {Array.<Array.<number>>} coordinates - 图片四个角点的经纬度坐标。
+         */
+        this.fire('imageloaded', {
+            url: url,
+            coordinates: coordinates
+        });
+    }
+
+    _getAllRequestParams() {
+        var options = this.options,
+            params = [];
+        params.push("redirect=" + (options.redirect === true));
+        params.push("transparent=" + (options.transparent !== false));
+        params.push("cacheEnabled=" + (options.cacheEnabled !== false));
+        if (options.prjCoordSys) {
+            params.push("prjCoordSys=" + JSON.stringify(options.prjCoordSys));
+        }
+        if (options.layersID) {
+            params.push("layersID=" + options.layersID);
+        }
+        if (!options.overlapDisplayed) {
+            params.push("overlapDisplayed=false");
+            if (options.overlapDisplayedOptions) {
+                params.push("overlapDisplayedOptions=" + options.overlapDisplayedOptions.toString());
+            }
+        } else {
+            params.push("overlapDisplayed=true");
+        }
+        return params;
+    }
+
+    _appendCredential(url) {
+        var credential, value;
+        switch (this.options.serverType) {
+            case ServerType.IPORTAL:
+                value = SecurityManager.getToken(this._url);
+                credential = value ? new Credential(value, "token") : null;
+                if (!credential) {
+                    value = SecurityManager.getKey(this._url);
+                    credential = value ? new Credential(value, "key") : null;
+                }
+                break;
+            case ServerType.ONLINE:
+                value = SecurityManager.getKey(this._url);
+                credential = value ? new Credential(value, "key") : null;
+                break;
+            default:
+                //iserver or others
+                value = SecurityManager.getToken(this._url);
+                credential = value ? new Credential(value, "token") : null;
+                break;
+        }
+        if (credential) {
+            url += "&" + credential.getUrlParameters();
+        }
+        return url;
+    }
+}
+
+function lngLatToMercator(lng, lat) {
+    var x = lng * 20037508.34 / 180;
+    var y = Math.log(Math.tan((90 + lat) * Math.PI / 360)) / (Math.PI / 180);
+    return [x, y * 20037508.34 / 180];
+}
+
+mapboxgl.supermap.ImageSuperMapRest = ImageSuperMapRest;
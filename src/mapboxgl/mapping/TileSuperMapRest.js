@@ -0,0 +1,319 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import mapboxgl from 'mapbox-gl';
+import '../core/Base';
+import {
+    ServerType,
+    SecurityManager,
+    Credential,
+    CommonUtil
+} from '@supermap/iclient-common';
+
+/**
+ * @class mapboxgl.supermap.TileSuperMapRest
+ * @category iServer Map
+ * @classdesc SuperMap iServer REST 地图服务的栅格瓦片图层源。通过 zxyTileImage 资源按 Web 墨卡托标准瓦片出图，
+ *            支持切换切片版本（参见 {@link mapboxgl.supermap.ChangeTileVersion}），并为瓦片地址添加安全认证信息。
+ * @extends {mapboxgl.Evented}
+ * @param {Object} options - 参数。
+ * @param {string} options.url - 地图服务地址，如：http://localhost:8090/iserver/services/map-china400/rest/maps/China。
+ * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
+ * @param {string} [options.layersID] - 获取进行切片的地图图层 ID，即指定进行地图切片的图层，可以是临时图层集，也可以是当前地图中图层的组合。
+ * @param {boolean} [options.redirect=false] - 如果为 true，则将请求重定向到瓦片的真实地址；如果为 false，则响应体中是瓦片的字节流。
+ * @param {boolean} [options.transparent=true] - 瓦片是否透明。
+ * @param {boolean} [options.cacheEnabled=true] - 是否使用服务端的缓存。为 false 时服务端动态出图。
+ * @param {string} [options.tileversion] - 切片版本名称，cacheEnabled 为 true 时有效。
+ * @param {Object} [options.prjCoordSys] - 请求的地图的坐标参考系统。例如：{"epsgCode":3857}。
+ * @param {boolean} [options.overlapDisplayed=false] - 地图对象在同一范围内时，是否重叠显示。
+ * @param {SuperMap.OverlapDisplayedOptions} [options.overlapDisplayedOptions] - 避免地图对象压盖显示的过滤选项，当 overlapDisplayed 为 false 时有效。
+ * @param {string} [options.tileProxy] - 代理地址。
+ * @param {string} [options.format='png'] - 瓦片表述类型，支持 "png" 、"bmp" 、"jpg" 和 "gif" 四种表述类型。
+ * @param {number} [options.tileSize=256] - 瓦片大小。
+ * @param {number} [options.minzoom=0] - 最小级别。
+ * @param {number} [options.maxzoom=22] - 最大级别。
+ * @param {Array.<number>} [options.bounds] - 瓦片范围，[west, south, east, north]，范围外不请求瓦片。
+ * @param {string} [options.attribution] - 版权信息。
+ * @fires mapboxgl.supermap.TileSuperMapRest#tilesetsinfoloaded
+ * @fires mapboxgl.supermap.TileSuperMapRest#tileversionschanged
+ * @example
+ * var source = new mapboxgl.supermap.TileSuperMapRest({url: url, transparent: true}).addTo(map, 'china');
+ * map.addLayer({id: 'china', type: 'raster', source: 'china'});
+ * map.addControl(new mapboxgl.supermap.ChangeTileVersion({layer: source}));
+ */
+export class TileSuperMapRest extends mapboxgl.Evented {
+
+    constructor(options) {
+        super();
+        options = options || {};
+        this.options = CommonUtil.extend({
+            redirect: false,
+            transparent: true,
+            cacheEnabled: true,
+            overlapDisplayed: false,
+            serverType: ServerType.ISERVER,
+            format: 'png',
+            tileSize: 256,
+            minzoom: 0,
+            maxzoom: 22,
+            attribution: "Map Data <span>© <a href='http://support.supermap.com.cn/product/iServer.aspx' target='_blank'>SuperMap iServer</a></span>"
+        }, options);
+        this._url = options.url;
+        //当前切片在切片集中的index
+        this.tileSetsIndex = -1;
+        this.tempIndex = -1;
+        this.requestParams = this._getAllRequestParams();
+        //不使用缓存时，每次创建的图层源使用不同的地址，避免浏览器缓存
+        this._timestamp = new Date().getTime();
+    }
+
+    /**
+     * @function mapboxgl.supermap.TileSuperMapRest.prototype.getSource
+     * @description 获取 mapboxgl 的栅格图层源参数，可以直接用于 map.addSource 或者样式中的 sources。
+     * @returns {Object} 栅格图层源参数。
+     */
+    getSource() {
+        var source = {
+            type: 'raster',
+            tiles: [this.getTileUrl()],
+            tileSize: this.options.tileSize,
+            minzoom: this.options.minzoom,
+            maxzoom: this.options.maxzoom,
+            attribution: this.options.attribution
+        };
+        if (this.options.bounds) {
+            source.bounds = this.options.bounds;
+        }
+        return source;
+    }
+
+    /**
+     * @function mapboxgl.supermap.TileSuperMapRest.prototype.addTo
+     * @description 将图层源添加到地图。通过此方法添加的图层源在切换切片版本时会重新加载瓦片。
+     * @param {mapboxgl.Map} map - 地图对象。
+     * @param {string} sourceId - 图层源 ID。
+     * @returns {mapboxgl.supermap.TileSuperMapRest} this
+     */
+    addTo(map, sourceId) {
+        this.map = map;
+        this.sourceId = sourceId;
+        map.addSource(sourceId, this.getSource());
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.TileSuperMapRest.prototype.getTileUrl
+     * @description 获取瓦片地址模板，其中 {z}、{x}、{y} 由 mapboxgl 替换。
+     * @returns {string} 瓦片地址模板。
+     */
+    getTileUrl() {
+        var params = [];
+        for (var key in this.requestParams) {
+            params.push(key + "=" + this.requestParams[key]);
+        }
+        var layerUrl = this._url + "/zxyTileImage." + this.options.format + "?" + encodeURI(params.join('&'));
+        //为url添加安全认证信息片段
+        layerUrl = this._appendCredential(layerUrl);
+        var tileParams = "z={z}&x={x}&y={y}&width=" + this.options.tileSize + "&height=" + this.options.tileSize;
+        if (!this.requestParams["cacheEnabled"]) {
+            tileParams += "&_t=" + this._timestamp;
+        }
+        //支持代理，代理地址需要编码，保留 {z}、{x}、{y} 供 mapboxgl 替换
+        if (this.options.tileProxy) {
+            return this.options.tileProxy + encodeURIComponent(layerUrl + "&" + tileParams).replace(/%7B(\w)%7D/g, '{$1}');
+        }
+        return layerUrl + "&" + tileParams;
+    }
+
+    /**
+     * @function mapboxgl.supermap.TileSuperMapRest.prototype.setTileSetsInfo
+     * @description 设置瓦片集信息。
+     * @param {Object} tileSets - 瓦片集合。
+     */
+    setTileSetsInfo(tileSets) {
+        this.tileSets = tileSets;
+        if (CommonUtil.isArray(this.tileSets)) {
+            this.tileSets = tileSets[0];
+        }
+        if (!this.tileSets) {
+            return;
+        }
+        /**
+         * @event mapboxgl.supermap.TileSuperMapRest#tilesetsinfoloaded
+         * @description 切片集信息设置完成后触发。
+         * @property {Object} value - 切片集信息，value.tileVersions 为切片版本数组。
+         */
+        this.fire('tilesetsinfoloaded', {
+            value: {
+                tileVersions: this.tileSets.tileVersions
+            }
+        });
+        this.changeTilesVersion();
+    }
+
+    /**
+     * @function mapboxgl.supermap.TileSuperMapRest.prototype.lastTilesVersion
+     * @description 请求上一个版本切片，并重新绘制。
+     */
+    lastTilesVersion() {
+        this.tempIndex = this.tileSetsIndex - 1;
+        this.changeTilesVersion();
+    }
+
+    /**
+     * @function mapboxgl.supermap.TileSuperMapRest.prototype.nextTilesVersion
+     * @description 请求下一个版本切片，并重新绘制。
+     */
+    nextTilesVersion() {
+        this.tempIndex = this.tileSetsIndex + 1;
+        this.changeTilesVersion();
+    }
+
+    /**
+     * @function mapboxgl.supermap.TileSuperMapRest.prototype.changeTilesVersion
+     * @description 切换到某一版本的切片，并重绘。通过 this.tempIndex 保存需要切换的版本索引。
+     */
+    changeTilesVersion() {
+        var me = this;
+        //切片版本集信息是否存在
+        if (me.tileSets == null) {
+            return;
+        }
+        if (me.tempIndex === me.tileSetsIndex || me.tempIndex < 0) {
+            return;
+        }
+        //检测index是否可用
+        var tileVersions = me.tileSets.tileVersions;
+        if (tileVersions && me.tempIndex < tileVersions.length && me.tempIndex >= 0) {
+            var name = tileVersions[me.tempIndex].name;
+            var result = me.mergeTileVersionParam(name);
+            if (result) {
+                me.tileSetsIndex = me.tempIndex;
+                /**
+                 * @event mapboxgl.supermap.TileSuperMapRest#tileversionschanged
+                 * @description 切片版本切换后触发。
+                 * @property {Object} value - value.tileVersion 为当前的切片版本。
+                 */
+                me.fire('tileversionschanged', {
+                    value: {
+                        tileVersion: tileVersions[me.tempIndex]
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * @function mapboxgl.supermap.TileSuperMapRest.prototype.updateCurrentTileSetsIndex
+     * @description 更新当前切片集索引，目前主要提供给控件使用。
+     * @param {number} index - 索引号。
+     */
+    updateCurrentTileSetsIndex(index) {
+        this.tempIndex = index;
+    }
+
+    /**
+     * @function mapboxgl.supermap.TileSuperMapRest.prototype.mergeTileVersionParam
+     * @description 更改 URL 请求参数中的切片版本号，并重绘。
+     * @param {string} version - 版本名称。
+     * @returns {boolean} 是否成功。
+     */
+    mergeTileVersionParam(version) {
+        if (version) {
+            this.requestParams["tileversion"] = version;
+            this._refresh();
+            return true;
+        }
+        return false;
+    }
+
+    //mapboxgl 不提供修改图层源瓦片地址的接口，移除图层源和使用它的图层后按新的瓦片地址和原来的图层顺序重新添加
+    _refresh() {
+        var map = this.map;
+        if (!map || !map.getSource(this.sourceId)) {
+            return;
+        }
+        var sourceId = this.sourceId;
+        var styleLayers = map.getStyle().layers || [];
+        var layers = [];
+        styleLayers.forEach(function (layer, index) {
+            if (layer.source !== sourceId) {
+                return;
+            }
+            //添加到原来位置之后第一个不使用该图层源的图层之前
+            var beforeId;
+            for (var i = index + 1; i < styleLayers.length; i++) {
+                if (styleLayers[i].source !== sourceId) {
+                    beforeId = styleLayers[i].id;
+                    break;
+                }
+            }
+            layers.push({layer: layer, beforeId: beforeId});
+        });
+        layers.forEach(function (item) {
+            map.removeLayer(item.layer.id);
+        });
+        map.removeSource(sourceId);
+        map.addSource(sourceId, this.getSource());
+        layers.forEach(function (item) {
+            map.addLayer(item.layer, item.beforeId);
+        });
+    }
+
+    _getAllRequestParams() {
+        var options = this.options,
+            params = {};
+        params["redirect"] = options.redirect === true;
+        //切片是否透明
+        params["transparent"] = options.transparent !== false;
+        params["cacheEnabled"] = options.cacheEnabled !== false;
+        params["_cache"] = params["cacheEnabled"];
+        if (options.prjCoordSys) {
+            params["prjCoordSys"] = JSON.stringify(options.prjCoordSys);
+        }
+        if (options.layersID) {
+            params["layersID"] = options.layersID.toString();
+        }
+        if (!options.overlapDisplayed) {
+            params["overlapDisplayed"] = false;
+            if (options.overlapDisplayedOptions) {
+                params["overlapDisplayedOptions"] = options.overlapDisplayedOptions.toString();
+            }
+        } else {
+            params["overlapDisplayed"] = true;
+        }
+        if (params["cacheEnabled"] && options.tileversion) {
+            params["tileversion"] = options.tileversion.toString();
+        }
+        return params;
+    }
+
+    _appendCredential(url) {
+        var credential, value;
+        switch (this.options.serverType) {
+            case ServerType.IPORTAL:
+                value = SecurityManager.getToken(this._url);
+                credential = value ? new Credential(value, "token") : null;
+                if (!credential) {
+                    value = SecurityManager.getKey(this._url);
+                    credential = value ? new Credential(value, "key") : null;
+                }
+                break;
+            case ServerType.ONLINE:
+                value = SecurityManager.getKey(this._url);
+                credential = value ? new Credential(value, "key") : null;
+                break;
+            default:
+                //iserver or others
+                value = SecurityManager.getToken(this._url);
+                credential = value ? new Credential(value, "token") : null;
+                break;
+        }
+        if (credential) {
+            url += "&" + credential.getUrlParameters();
+        }
+        return url;
+    }
+}
+
+mapboxgl.supermap.TileSuperMapRest = TileSuperMapRest;
@@ -0,0 +1,652 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import mapboxgl from 'mapbox-gl';
+import '../core/Base';
+import {
+    SuperMap,
+    ServerType,
+    SecurityManager,
+    Credential,
+    CommonUtil,
+    FetchRequest,
+    CartoCSS
+} from '@supermap/iclient-common';
+
+//mapboxgl 0 级的分辨率（512 像素瓦片）
+var RESOLUTION_ZOOM0 = 78271.51696402048;
+
+//布局属性，其余为绘制属性
+var LAYOUT_PROPERTIES = ['line-cap', 'line-join', 'symbol-placement', 'text-field', 'text-font', 'text-size', 'text-anchor'];
+
+//CartoCSS 属性与 mapboxgl 图层属性的对应表，按图层类型划分
+var CARTO_PROPERTIES = {
+    fill: {
+        'polygon-fill': 'fill-color',
+        'polygon-opacity': 'fill-opacity'
+    },
+    line: {
+        'line-color': 'line-color',
+        'line-width': 'line-width',
+        'line-opacity': 'line-opacity',
+        'line-dasharray': 'line-dasharray',
+        'line-cap': 'line-cap',
+        'line-join': 'line-join'
+    },
+    circle: {
+        'marker-fill': 'circle-color',
+        'marker-width': 'circle-radius',
+        'marker-opacity': 'circle-opacity',
+        'marker-line-color': 'circle-stroke-color',
+        'marker-line-width': 'circle-stroke-width',
+        'point-fill': 'circle-color',
+        'point-radius': 'circle-radius',
+        'point-halo-color': 'circle-stroke-color'
+    },
+    symbol: {
+        'text-name': 'text-field',
+        'text-face-name': 'text-font',
+        'text-size': 'text-size',
+        'text-fill': 'text-color',
+        'text-opacity': 'text-opacity',
+        'text-halo-fill': 'text-halo-color',
+        'text-halo-color': 'text-halo-color',
+        'text-halo-radius': 'text-halo-width'
+    }
+};
+
+//各种几何类型的图层生成的 mapboxgl 图层类型，按绘制顺序排列
+var LAYER_TYPES = {
+    REGION: ['fill', 'line'],
+    LINE: ['line'],
+    POINT: ['circle'],
+    TEXT: ['symbol'],
+    LABEL: ['symbol']
+};
+
+/**
+ * @class mapboxgl.supermap.VectorTileSuperMapRest
+ * @category Visualization VectorTile
+ * @classdesc SuperMap iServer REST 地图服务的矢量瓦片样式生成类。读取地图的图层信息（layers 资源）和服务端 CartoCSS 样式（tileFeature/vectorstyles 资源），
+ *            生成包含矢量瓦片图层源（tileFeature.mvt 资源）和所有图层的 mapboxgl 样式文档，可以直接用于创建地图。<br>
+ *            每个图层的样式按以下优先级确定：客户端 CartoCSS、服务端 CartoCSS、图层信息中的风格（包括单值、分段和标签专题图）。
+ *            CartoCSS 中与比例尺相关的样式按级别转换，与属性相关的过滤条件不转换。
+ * @extends {mapboxgl.Evented}
+ * @param {Object} options - 参数。
+ * @param {string} options.url - 地图服务地址，如：http://localhost:8090/iserver/services/map-china400/rest/maps/China。
+ * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
+ * @param {string} [options.sourceId='supermap-vector-tiles'] - 样式中矢量瓦片图层源的 ID，也是生成的图层 ID 的前缀。
+ * @param {boolean} [options.serverCartoCSSStyle=true] - 是否使用服务端 CartoCSS 样式。
+ * @param {string} [options.cartoCSS] - 客户端 CartoCSS 样式，覆盖服务端同名图层的样式。
+ * @param {boolean} [options.returnAttributes=true] - 矢量瓦片是否包含属性，专题图和标签需要属性。
+ * @param {number} [options.minzoom=0] - 最小级别。
+ * @param {number} [options.maxzoom=22] - 最大级别。
+ * @param {string} [options.glyphs] - 字体地址，默认使用服务的 tileFeature/sdffonts 资源。
+ * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {string} [options.attribution] - 版权信息。
+ * @fires mapboxgl.supermap.VectorTileSuperMapRest#styleloaded
+ * @example
+ * new mapboxgl.supermap.VectorTileSuperMapRest({url: url}).getStyle().then(function (style) {
+ *     var map = new mapboxgl.Map({container: 'map', style: style, center: [104, 33], zoom: 3});
+ * });
+ */
+export class VectorTileSuperMapRest extends mapboxgl.Evented {
+
+    constructor(options) {
+        super();
+        options = options || {};
+        this.options = CommonUtil.extend({
+            serverType: ServerType.ISERVER,
+            sourceId: 'supermap-vector-tiles',
+            serverCartoCSSStyle: true,
+            returnAttributes: true,
+            minzoom: 0,
+            maxzoom: 22,
+            withCredentials: false,
+            attribution: "Map Data <span>© <a href='http://support.supermap.com.cn/product/iServer.aspx' target='_blank'>SuperMap iServer</a></span>"
+        }, options);
+        var url = options.url || '';
+        this._url = url.charAt(url.length - 1) === '/' ? url.substr(0, url.length - 1) : url;
+        this.options.glyphs = this.options.glyphs || this._appendCredential(this._url + '/tileFeature/sdffonts/{fontstack}/{range}.pbf');
+    }
+
+    /**
+     * @function mapboxgl.supermap.VectorTileSuperMapRest.prototype.getTileUrl
+     * @description 获取矢量瓦片地址模板，其中 {z}、{x}、{y} 由 mapboxgl 替换。
+     * @returns {string} 矢量瓦片地址模板。
+     */
+    getTileUrl() {
+        var url = this._url + '/tileFeature.mvt?returnAttributes=' + (this.options.returnAttributes !== false) + '&width=512&height=512';
+        return this._appendCredential(url) + '&z={z}&x={x}&y={y}';
+    }
+
+    /**
+     * @function mapboxgl.supermap.VectorTileSuperMapRest.prototype.getSource
+     * @description 获取 mapboxgl 的矢量图层源参数。
+     * @returns {Object} 矢量图层源参数。
+     */
+    getSource() {
+        return {
+            type: 'vector',
+            tiles: [this.getTileUrl()],
+            minzoom: this.options.minzoom,
+            maxzoom: this.options.maxzoom,
+            attribution: this.options.attribution
+        };
+    }
+
+    /**
+     * @function mapboxgl.supermap.VectorTileSuperMapRest.prototype.getStyle
+     * @description 请求图层信息和服务端样式，生成 mapboxgl 样式文档。生成后再次调用直接返回已生成的样式文档。
+     * @returns {Promise} Promise 对象，成功时返回样式文档，获取图层信息失败时拒绝。
+     */
+    getStyle() {
+        var me = this;
+        if (!me._stylePromise) {
+            me._stylePromise = Promise.all([me._getLayersInfo(), me._getServerCartoCSS()]).then(function (results) {
+                me.style = me._createStyle(results[0], results[1]);
+                /**
+                 * @event mapboxgl.supermap.VectorTileSuperMapRest#styleloaded
+                 * @description 样式文档生成后触发。
+                 * @property {Object} style - mapboxgl 样式文档。
+                 */
+                me.fire('styleloaded', {
+                    style: me.style
+                });
+                return me.style;
+            });
+            me._stylePromise.catch(function () {
+                me._stylePromise = null;
+            });
+        }
+        return me._stylePromise;
+    }
+
+    _getLayersInfo() {
+        return FetchRequest.get(this._appendCredential(this._url + '/layers.json'), null, {
+            withCredentials: this.options.withCredentials
+        }).then(function (response) {
+            return response.json();
+        }).then(function (json) {
+            var mapInfo = CommonUtil.isArray(json) ? json[0] : json;
+            if (!mapInfo || !mapInfo.subLayers) {
+                throw new Error('layers info is empty');
+            }
+            return mapInfo;
+        });
+    }
+
+    //服务端样式获取失败时使用图层信息中的风格
+    _getServerCartoCSS() {
+        if (!this.options.serverCartoCSSStyle) {
+            return Promise.resolve(null);
+        }
+        return FetchRequest.get(this._appendCredential(this._url + '/tileFeature/vectorstyles.json'), null, {
+            withCredentials: this.options.withCredentials
+        }).then(function (response) {
+            return response.json();
+        }).then(function (styles) {
+            return styles && styles.type === 'cartoCSS' ? styles.style : null;
+        }).catch(function () {
+            return null;
+        });
+    }
+
+    _createStyle(mapInfo, serverCartoCSS) {
+        var options = this.options;
+        var serverShaders = getShaders(serverCartoCSS);
+        var clientShaders = getShaders(options.cartoCSS);
+        var layersInfo = [];
+        flattenLayers(mapInfo.subLayers.layers, layersInfo);
+        var layers = [];
+        //layers 资源中上面的图层在前，mapboxgl 中后添加的图层在上面
+        for (var i = layersInfo.length - 1; i >= 0; i--) {
+            var layerInfo = layersInfo[i];
+            var kind = getLayerKind(layerInfo);
+            if (!kind) {
+                continue;
+            }
+            var key = shaderKey(layerInfo.name);
+            var zoomRange = this._getZoomRange(layerInfo);
+            var layerInfoStyle = createStyleFromLayerInfo(layerInfo, kind);
+            var styles = createStylesFromCarto(clientShaders[key], kind, zoomRange) ||
+                createStylesFromCarto(serverShaders[key], kind, zoomRange) || [layerInfoStyle];
+            for (var j = 0; j < styles.length; j++) {
+                //CartoCSS 中没有设置标签字段时使用图层信息中的标签字段
+                var symbol = styles[j].properties.symbol;
+                if (symbol && !symbol['text-field']) {
+                    symbol['text-field'] = layerInfoStyle.properties.symbol['text-field'];
+                }
+                var attachment = styles[j].attachment;
+                var prefix = options.sourceId + '-' + layerInfo.name + (attachment ? '-' + attachment : '');
+                layers = layers.concat(this._createLayers(prefix, layerInfo, kind, styles[j].properties, zoomRange));
+            }
+        }
+        var sources = {};
+        sources[options.sourceId] = this.getSource();
+        return {
+            version: 8,
+            name: mapInfo.name,
+            sources: sources,
+            glyphs: options.glyphs,
+            layers: layers
+        };
+    }
+
+    _createLayers(prefix, layerInfo, kind, properties, zoomRange) {
+        var layers = [];
+        var types = LAYER_TYPES[kind];
+        for (var i = 0; i < types.length; i++) {
+            var type = types[i];
+            //CartoCSS 中没有设置的类型不生成图层，如只设置了填充的面图层不绘制边线
+            var props = properties[type];
+            if (!props || (type === 'symbol' && !props['text-field'])) {
+                continue;
+            }
+            var layer = {
+                id: prefix + '-' + type,
+                type: type,
+                source: this.options.sourceId,
+                'source-layer': layerInfo.name,
+                layout: {
+                    visibility: layerInfo.visible === false ? 'none' : 'visible'
+                },
+                paint: {}
+            };
+            if (zoomRange[0] > this.options.minzoom) {
+                layer.minzoom = zoomRange[0];
+            }
+            if (zoomRange[1] < this.options.maxzoom) {
+                layer.maxzoom = zoomRange[1];
+            }
+            for (var name in props) {
+                if (props[name] !== undefined) {
+                    layer[LAYOUT_PROPERTIES.indexOf(name) > -1 ? 'layout' : 'paint'][name] = props[name];
+                }
+            }
+            layers.push(layer);
+        }
+        return layers;
+    }
+
+    //图层的可见比例尺范围转换为级别范围，比例尺为 0 时不限制
+    _getZoomRange(layerInfo) {
+        var minzoom = this.options.minzoom,
+            maxzoom = this.options.maxzoom;
+        if (layerInfo.minScale > 0) {
+            minzoom = Math.max(minzoom, scaleToZoom(layerInfo.minScale));
+        }
+        if (layerInfo.maxScale > 0) {
+            maxzoom = Math.min(maxzoom, scaleToZoom(layerInfo.maxScale));
+        }
+        return [minzoom, Math.max(minzoom, maxzoom)];
+    }
+
+    _appendCredential(url) {
+        var credential, value;
+        switch (this.options.serverType) {
+            case ServerType.IPORTAL:
+                value = SecurityManager.getToken(this._url);
+                credential = value ? new Credential(value, "token") : null;
+                if (!credential) {
+                    value = SecurityManager.getKey(this._url);
+                    credential = value ? new Credential(value, "key") : null;
+                }
+                break;
+            case ServerType.ONLINE:
+                value = SecurityManager.getKey(this._url);
+                credential = value ? new Credential(value, "key") : null;
+                break;
+            default:
+                //iserver or others
+                value = SecurityManager.getToken(this._url);
+                credential = value ? new Credential(value, "token") : null;
+                break;
+        }
+        if (credential) {
+            url += (url.indexOf('?') > -1 ? '&' : '?') + credential.getUrlParameters();
+        }
+        return url;
+    }
+}
+
+//图层组中的子图层展开为图层列表
+function flattenLayers(layers, result) {
+    for (var i = 0; i < (layers || []).length; i++) {
+        var subLayers = layers[i].subLayers && layers[i].subLayers.layers;
+        if (subLayers && subLayers.length > 0) {
+            flattenLayers(subLayers, result);
+        } else {
+            result.push(layers[i]);
+        }
+    }
+}
+
+function getLayerKind(layerInfo) {
+    if (layerInfo.theme && layerInfo.theme.type === 'LABEL') {
+        return 'LABEL';
+    }
+    var type = layerInfo.datasetInfo && layerInfo.datasetInfo.type;
+    switch (type) {
+        case 'REGION':
+        case 'REGION3D':
+            return 'REGION';
+        case 'LINE':
+        case 'LINE3D':
+        case 'LINEM':
+        case 'NETWORK':
+            return 'LINE';
+        case 'POINT':
+        case 'POINT3D':
+            return 'POINT';
+        case 'TEXT':
+            return 'TEXT';
+        default:
+            //栅格、影像以及 CAD 等数据集不生成图层
+            return null;
+    }
+}
+
+function scaleToZoom(scale) {
+    var resolution = 1 / (scale * SuperMap.INCHES_PER_UNIT.m * SuperMap.DOTS_PER_INCH);
+    var zoom = Math.log(RESOLUTION_ZOOM0 / resolution) / Math.LN2;
+    //服务端与客户端的单位换算略有差异，保留三位小数
+    return Math.round(zoom * 1000) / 1000;
+}
+
+function zoomToScale(zoom) {
+    var resolution = RESOLUTION_ZOOM0 / Math.pow(2, zoom);
+    return 1 / (resolution * SuperMap.INCHES_PER_UNIT.m * SuperMap.DOTS_PER_INCH);
+}
+
+function shaderKey(layerName) {
+    return layerName.replace(/[@#\s]/gi, '___');
+}
+
+//解析 CartoCSS，按图层分组。图层名中的 @、# 替换为 ___，级别条件按比例尺处理
+function getShaders(cartoCSS) {
+    var result = {};
+    if (!cartoCSS) {
+        return result;
+    }
+    cartoCSS = cartoCSS.replace(/[@]/gi, '___').replace(/\\#/gi, '___').replace(/[#]/gi, '\n#').replace(/\[zoom/gi, '[scale');
+    var shaders = new CartoCSS(cartoCSS).getShaders() || [];
+    for (var i = 0; i < shaders.length; i++) {
+        var name = shaders[i].elements[0].clean;
+        result[name] = result[name] || [];
+        result[name].push(shaders[i]);
+    }
+    return result;
+}
+
+//按级别计算 CartoCSS 样式，每个 attachment 生成一组图层。没有可用样式时返回 null
+function createStylesFromCarto(shaders, kind, zoomRange) {
+    if (!shaders) {
+        return null;
+    }
+    var styles = [];
+    var minzoom = Math.floor(zoomRange[0]),
+        maxzoom = Math.max(minzoom, Math.ceil(zoomRange[1]) - 1);
+    for (var i = 0; i < shaders.length; i++) {
+        var properties = {},
+            found = false;
+        for (var j = 0; j < shaders[i].length; j++) {
+            var shader = shaders[i][j];
+            var types = LAYER_TYPES[kind];
+            for (var k = 0; k < types.length; k++) {
+                var name = CARTO_PROPERTIES[types[k]][shader.property];
+                if (!name) {
+                    continue;
+                }
+                var values = [];
+                for (var zoom = minzoom; zoom <= maxzoom; zoom++) {
+                    values.push(convertCartoValue(name, shader.getValue({
+                        SCALE: zoomToScale(zoom)
+                    }, zoom)));
+                }
+                var value = toZoomValue(values, minzoom);
+                if (value !== undefined) {
+                    properties[types[k]] = properties[types[k]] || {};
+                    properties[types[k]][name] = value;
+                    found = true;
+                }
+            }
+        }
+        if (found) {
+            styles.push({
+                attachment: shaders[i].attachment === '__default__' ? null : shaders[i].attachment,
+                properties: properties
+            });
+        }
+    }
+    return styles.length ? styles : null;
+}
+
+function convertCartoValue(name, value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    switch (name) {
+        case 'circle-radius':
+            return value / 2;
+        case 'text-field':
+            return String(value).replace(/\[([^\]]+)\]/g, '{$1}');
+        case 'text-font':
+            return [String(value).replace(/@/g, '')];
+        case 'line-dasharray':
+            return CommonUtil.isArray(value) ? value : String(value).replace(/[[\]]/g, '').split(/[\s,]+/).map(parseFloat);
+        default:
+            return value;
+    }
+}
+
+//各级别的值相同时返回常量，否则返回按级别分段的表达式。数组值不支持分段，使用第一个值
+function toZoomValue(values, minzoom) {
+    var first, stops = [], last;
+    for (var i = 0; i < values.length; i++) {
+        var value = values[i];
+        if (value === null) {
+            continue;
+        }
+        if (first === undefined) {
+            first = last = value;
+            continue;
+        }
+        if (JSON.stringify(value) !== JSON.stringify(last)) {
+            stops.push(minzoom + i, value);
+            last = value;
+        }
+    }
+    if (first === undefined || CommonUtil.isArray(first) || stops.length === 0) {
+        return first;
+    }
+    return ['step', ['zoom'], first].concat(stops);
+}
+
+//根据图层信息中的风格生成样式，专题图的子项风格转换为按属性取值的表达式
+function createStyleFromLayerInfo(layerInfo, kind) {
+    var theme = layerInfo.theme;
+    if (kind === 'LABEL') {
+        return {
+            properties: {
+                symbol: textStyleToProperties(theme.uniformStyle, '{' + getFieldName(theme.labelExpression) + '}', layerInfo)
+            }
+        };
+    }
+    if (kind === 'TEXT') {
+        return {
+            properties: {
+                symbol: textStyleToProperties(layerInfo.textStyle, '{TEXT_FEATURE_CONTENT}', layerInfo)
+            }
+        };
+    }
+    if (theme && (theme.type === 'UNIQUE' || theme.type === 'RANGE') && theme.items && theme.items.length) {
+        return {
+            properties: createThemeProperties(theme, kind)
+        };
+    }
+    return {
+        properties: serverStyleToProperties(layerInfo.style || (theme && theme.defaultStyle), kind)
+    };
+}
+
+function createThemeProperties(theme, kind) {
+    var isUnique = theme.type === 'UNIQUE';
+    var field = getFieldName(isUnique ? theme.uniqueExpression : theme.rangeExpression);
+    var defaultProperties = serverStyleToProperties(theme.defaultStyle || theme.items[0].style, kind);
+    var items = [],
+        done = {};
+    for (var i = 0; i < theme.items.length; i++) {
+        var item = theme.items[i];
+        var value = isUnique ? String(item.unique) : item.start;
+        if (item.visible === false || done[value]) {
+            continue;
+        }
+        done[value] = true;
+        items.push({
+            value: value,
+            properties: serverStyleToProperties(item.style, kind)
+        });
+    }
+    if (!isUnique) {
+        items.sort(function (a, b) {
+            return a.value - b.value;
+        });
+    }
+    var input = isUnique ? ['to-string', ['get', field]] : ['to-number', ['get', field]];
+    var properties = {};
+    for (var type in defaultProperties) {
+        properties[type] = {};
+        for (var name in defaultProperties[type]) {
+            var defaultValue = defaultProperties[type][name];
+            var expression = null;
+            for (var j = 0; j < items.length && !CommonUtil.isArray(defaultValue); j++) {
+                var itemValue = items[j].properties[type][name];
+                if (isUnique) {
+                    expression = expression || ['match', input];
+                    expression.push(items[j].value, itemValue);
+                } else if (j === 0) {
+                    expression = ['step', input, itemValue];
+                } else {
+                    expression.push(items[j].value, itemValue);
+                }
+            }
+            if (expression && isUnique) {
+                expression.push(defaultValue);
+            }
+            properties[type][name] = expression && !isConstant(expression, defaultValue, isUnique) ? expression : defaultValue;
+        }
+    }
+    return properties;
+}
+
+//所有子项的值与默认值相同时不需要表达式
+function isConstant(expression, defaultValue, isUnique) {
+    var values = isUnique ? expression.slice(2).filter(function (value, index) {
+        return index % 2 === 1;
+    }) : [expression[2]].concat(expression.slice(3).filter(function (value, index) {
+        return index % 2 === 1;
+    }));
+    for (var i = 0; i < values.length; i++) {
+        if (values[i] !== defaultValue) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function getFieldName(expression) {
+    expression = expression || '';
+    var index = expression.lastIndexOf('.');
+    return index > -1 ? expression.substring(index + 1) : expression;
+}
+
+function mmToPixel(value) {
+    return value * SuperMap.DOTS_PER_INCH * SuperMap.INCHES_PER_UNIT.mm;
+}
+
+function toColor(color) {
+    if (!color) {
+        return 'rgba(0,0,0,1)';
+    }
+    return 'rgba(' + color.red + ',' + color.green + ',' + color.blue + ',1)';
+}
+
+//服务端风格（SuperMap.ServerStyle）转换为各类型图层的属性
+function serverStyleToProperties(style, kind) {
+    style = style || {};
+    var lineWidth = Math.max(1, mmToPixel(style.lineWidth || 0.1));
+    var line = {
+        'line-color': toColor(style.lineColor),
+        'line-width': lineWidth,
+        //线型为 5 时不显示线
+        'line-opacity': style.lineSymbolID === 5 ? 0 : 1
+    };
+    //模拟桌面的 1~4 号线型，mapboxgl 的虚线以线宽为单位
+    var dashes = {
+        1: [9.7, 3.7],
+        2: [3.7, 3.7],
+        3: [9.7, 3.7, 2.3, 3.7],
+        4: [9.7, 3.7, 2.3, 3.7, 2.3, 3.7]
+    }[style.lineSymbolID];
+    if (dashes) {
+        line['line-dasharray'] = dashes.map(function (dash) {
+            return dash / lineWidth;
+        });
+    }
+    switch (kind) {
+        case 'REGION':
+            return {
+                fill: {
+                    'fill-color': toColor(style.fillForeColor),
+                    //填充符号为 1 时不填充
+                    'fill-opacity': style.fillSymbolID === 1 ? 0 : (style.fillOpaqueRate == null ? 100 : style.fillOpaqueRate) / 100
+                },
+                line: line
+            };
+        case 'LINE':
+            return {
+                line: line
+            };
+        default:
+            //点符号使用圆点代替，颜色为符号的线颜色
+            return {
+                circle: {
+                    'circle-color': toColor(style.lineColor),
+                    'circle-radius': mmToPixel(style.markerSize || 2.4) / 2
+                }
+            };
+    }
+}
+
+//文本风格（SuperMap.ServerTextStyle）转换为标签图层的属性
+function textStyleToProperties(textStyle, textField, layerInfo) {
+    textStyle = textStyle || {};
+    var properties = {
+        'text-field': textField,
+        'text-size': Math.round(mmToPixel(textStyle.fontHeight || 4.2)),
+        'text-color': toColor(textStyle.foreColor)
+    };
+    if (textStyle.fontName) {
+        properties['text-font'] = [textStyle.fontName.replace(/@/g, '')];
+    }
+    if (textStyle.outline) {
+        properties['text-halo-color'] = toColor(textStyle.backColor);
+        properties['text-halo-width'] = textStyle.outlineWidth || 1;
+    }
+    //对齐方式表示文本的哪个位置在注记点上
+    if (textStyle.align) {
+        var vertical = {TOP: 'top', BOTTOM: 'bottom', BASELINE: 'bottom'}[textStyle.align.replace(/(LEFT|CENTER|RIGHT)$/, '')];
+        var horizontal = {LEFT: 'left', RIGHT: 'right'}[textStyle.align.replace(/^(TOP|MIDDLE|BASELINE|BOTTOM)/, '')];
+        properties['text-anchor'] = [vertical, horizontal].filter(function (value) {
+            return value;
+        }).join('-') || 'center';
+    }
+    var theme = layerInfo.theme;
+    if (theme && theme.alongLine && layerInfo.datasetInfo && layerInfo.datasetInfo.type === 'LINE') {
+        properties['symbol-placement'] = 'line';
+    }
+    return properties;
+}
+
+mapboxgl.supermap.VectorTileSuperMapRest = VectorTileSuperMapRest;
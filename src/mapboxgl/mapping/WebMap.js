@@ -10,9 +10,11 @@ import {
     QueryOption,
     Lang,
     ArrayStatistic,
-    ColorsPickerUtil
+    ColorsPickerUtil,
+    ColorRamp
 } from '@supermap/iclient-common';
 import { Util } from '../core/Util';
+import { TileSuperMapRest } from './TileSuperMapRest';
 import convert from 'xml-js';
 import canvg from 'canvg';
 import jsonsql from 'jsonsql';
@@ -34,11 +36,7 @@ const DEFAULT_WELLKNOWNSCALESET = ['GoogleCRS84Quad', 'GoogleMapsCompatible'];
  * @class mapboxgl.supermap.WebMap
  * @category  iPortal/Online
  * @classdesc 对接 iPortal/Online 地图类。目前支持地图坐标系包括：'EPSG:3857'，'EPSG:4326'，'EPSG:4490'，'EPSG:4214'，'EPSG:4610'。
- * <div style="padding: 20px;border: 1px solid #eee;border-left-width: 5px;border-radius: 3px;border-left-color: #ce4844;">
- *      <p style="color: #ce4844">Notice</p>
- *      <p style="font-size: 13px">该功能依赖 <a href='http://iclient.supermap.io/web/libs/geostats/geostats.js'>geostats</a> 插件，请确认引入该插件。</p>
- *      `<script type="text/javascript" src="http://iclient.supermap.io/web/libs/geostats/geostats.js"></script>`
- * </div>
+ *           分段专题图使用内置的 {@link SuperMap.Classification} 计算分段，不需要引入 geostats 插件。
  * @param {number} id - iPortal|Online 地图 ID。
  * @param {Object} options - 参数。
  * @param {string} [options.target='map'] - 地图容器 ID。
@@ -52,6 +50,7 @@ const DEFAULT_WELLKNOWNSCALESET = ['GoogleCRS84Quad', 'GoogleMapsCompatible'];
  * @fires mapboxgl.supermap.WebMap#getlayersfailed
  * @fires mapboxgl.supermap.WebMap#getfeaturesfailed
  * @fires mapboxgl.supermap.WebMap#addlayerssucceeded
+ * @fires mapboxgl.supermap.WebMap#notsupportbaidumap
  * @extends {mapboxgl.Evented}
  */
 export class WebMap extends mapboxgl.Evented {
@@ -140,7 +139,7 @@ export class WebMap extends mapboxgl.Evented {
      */
     _getMapInfo(url) {
         let mapUrl = url.indexOf('.json') === -1 ? `${url}.json` : url;
-        FetchRequest.get(mapUrl, null, { withCredentials: this.withCredentials }).then(response => {
+        FetchRequest.get(mapUrl, null, { withCredentials: this.withCredentials, cache: true }).then(response => {
             return response.json();
         }).then(mapInfo => {
             this.baseProjection = mapInfo.projection;
@@ -217,8 +216,17 @@ export class WebMap extends mapboxgl.Evented {
             case "TIANDITU_TER":
                 this._createTiandituLayer(mapInfo);
                 break;
+            case "BAIDU":
+                /**
+                 * @event mapboxgl.supermap.WebMap#notsupportbaidumap
+                 * @description 不支持百度地图。百度地图使用偏移的坐标和自定义的切片方案，无法在 Mapbox GL 中显示。
+                 * @property {Object} layerInfo - 图层信息。
+                 * @property {mapboxgl.Map} map - MapBoxGL Map 对象。
+                 */
+                this.fire('notsupportbaidumap', { 'layerInfo': layerInfo, 'map': this.map });
+                break;
             case 'BING':
-                this._createBingLayer(layerInfo.name);
+                this._createBingLayer(layerInfo);
                 break;
             case "WMS":
                 this._createWMSLayer(layerInfo);
@@ -259,8 +267,8 @@ export class WebMap extends mapboxgl.Evented {
         let isLabel = Boolean(mapInfo.baseLayer.labelLayerVisible);
         let labelUrl = tiandituUrls['labelUrl'];
         let tiandituUrl = tiandituUrls['tiandituUrl'];
-        this._addBaselayer(tiandituUrl, 'tianditu-layers-' + layerType)
-        isLabel && this._addBaselayer([labelUrl], 'tianditu-label-layers-' + layerType)
+        this._addBaselayer(tiandituUrl, 'tianditu-layers-' + layerType, 0, 22, mapInfo.baseLayer);
+        isLabel && this._addBaselayer([labelUrl], 'tianditu-label-layers-' + layerType, 0, 22, mapInfo.baseLayer);
     }
 
     /**
@@ -272,7 +280,7 @@ export class WebMap extends mapboxgl.Evented {
     _createWMTSLayer(layerInfo) {
         let wmtsUrl = this._getWMTSUrl(layerInfo);
         this._filterWMTSIsMatched(layerInfo, (isMatched, matchMaxZoom) => {
-            isMatched && this._addBaselayer([wmtsUrl], 'wmts-layers' + layerInfo.name, 0, matchMaxZoom)
+            isMatched && this._addBaselayer([wmtsUrl], 'wmts-layers' + layerInfo.name, 0, matchMaxZoom, layerInfo)
         })
     }
 
@@ -345,9 +353,9 @@ export class WebMap extends mapboxgl.Evented {
      * @function mapboxgl.supermap.WebMap.prototype._createBingLayer
      * @description 创建 Bing 图层。
      */
-    _createBingLayer(layerName) {
+    _createBingLayer(layerInfo) {
         let bingUrl = 'http://dynamic.t0.tiles.ditu.live.com/comp/ch/{quadkey}?it=G,TW,L,LA&mkt=zh-cn&og=109&cstl=w4c&ur=CN&n=z';
-        this.addLayer([bingUrl], 'bing-layers-' + layerName)
+        this._addBaselayer([bingUrl], 'bing-layers-' + layerInfo.name, 0, 22, layerInfo);
     }
 
     /**
@@ -390,18 +398,18 @@ export class WebMap extends mapboxgl.Evented {
         } else {
             urlArr = [url];
         }
-        this._addBaselayer(urlArr, 'XYZ-layers-' + layerInfo.name);
+        this._addBaselayer(urlArr, 'XYZ-layers-' + layerInfo.name, 0, 22, layerInfo);
     }
 
     /**
     * @private
     * @function mapboxgl.supermap.WebMap.prototype._createDynamicTiledLayer
-    * @description 创建 iserver 底图。
+    * @description 创建 iserver 底图，瓦片地址带有服务的安全认证信息。
     * @param {Object} layerInfo - 图层信息。
     */
     _createDynamicTiledLayer(layerInfo) {
-        let url = layerInfo.url + '/zxyTileImage.png?z={z}&x={x}&y={y}';
-        this._addBaselayer([url], 'tile-layers-' + layerInfo.name);
+        let url = new TileSuperMapRest({ url: layerInfo.url }).getTileUrl();
+        this._addBaselayer([url], 'tile-layers-' + layerInfo.name, 0, 22, layerInfo);
     }
 
     /**
@@ -412,7 +420,7 @@ export class WebMap extends mapboxgl.Evented {
     */
     _createWMSLayer(layerInfo) {
         let WMSUrl = this._getWMSUrl(layerInfo);
-        this._addBaselayer([WMSUrl], 'WMS-layers-' + layerInfo.name);
+        this._addBaselayer([WMSUrl], 'WMS-layers-' + layerInfo.name, 0, 22, layerInfo);
     }
 
     /**
@@ -536,19 +544,42 @@ export class WebMap extends mapboxgl.Evented {
         this.layers = layers;
 
         let features, layerAdded = 0, len = layers.length;
+        //图层无论添加成功与否都要计数，所有图层处理完后才返回地图
+        let layerCompleted = () => {
+            layerAdded++;
+            this._sendMapToUser(layerAdded, len);
+        };
+        //图层添加失败时单独处理，避免与获取数据失败重复计数
+        let addLayer = (layer, features, index) => {
+            try {
+                this._addLayer(layer, features, index);
+            } catch (error) {
+                /**
+                 * @event mapboxgl.supermap.WebMap#addlayerfailed
+                 * @description 添加图层失败。
+                 * @property {Object} error - 失败原因。
+                 * @property {Object} layer - 图层信息。
+                 * @property {mapboxgl.Map} map - MapBoxGL Map 对象。
+                 */
+                this.fire('addlayerfailed', { 'error': error, 'layer': layer, 'map': this.map });
+            }
+        };
         layers.forEach((layer, index) => {
-            if ((layer.dataSource && layer.dataSource.serverId) || layer.layerType === "MARKER") {
+            let dataSource = layer.dataSource;
+            if ((dataSource && dataSource.serverId) || layer.layerType === "MARKER") {
                 // 获取 serverID
-                let serverId = layer.dataSource ? layer.dataSource.serverId : layer.serverId;
+                let serverId = dataSource ? dataSource.serverId : layer.serverId;
+                if (!serverId) {
+                    layerCompleted();
+                    return;
+                }
                 let url = `${this.server}web/datas/${serverId}/content.json?pageSize=9999999&currentPage=1`;
                 // 获取图层数据
-                serverId && FetchRequest.get(url, null, { withCredentials: this.withCredentials }).then(response => {
+                FetchRequest.get(url, null, { withCredentials: this.withCredentials }).then(response => {
                     return response.json()
                 }).then(data => {
                     if (data.succeed === false) {
                         //请求失败
-                        layerAdded++;
-                        this._sendMapToUser(layerAdded, len);
                         /**
                         * @event mapboxgl.supermap.WebMap#getlayersfailed
                         * @description 获取图层信息失败。
@@ -565,21 +596,15 @@ export class WebMap extends mapboxgl.Evented {
                         } else if (data.type === 'EXCEL' || data.type === 'CSV') {
                             features = this._excelData2Feature(data.content, layer);
                         }
-                        this._addLayer(layer, features, index);
-                        layerAdded++;
-                        this._sendMapToUser(layerAdded, len);
+                        features && addLayer(layer, features, index);
                     }
                 }).catch((error) => {
-                    layerAdded++;
-                    this._sendMapToUser(layerAdded, len);
                     this.fire('getlayersfailed', { 'error': error, 'map': this.map });
-                })
+                }).then(layerCompleted);
             } else if (layer.layerType === 'SUPERMAP_REST' || layer.layerType === "TILE" || layer.layerType === "WMS" || layer.layerType === "WMTS") {
                 this._createBaseLayer(layer);
-                layerAdded++;
-                this._sendMapToUser(layerAdded, len);
-            } else if (layer.dataSource && layer.dataSource.type === "REST_DATA") {
-                let dataSource = layer.dataSource;
+                layerCompleted();
+            } else if (dataSource && dataSource.type === "REST_DATA") {
                 //从restData获取数据
                 this._getFeatureBySQL(dataSource.url, [dataSource.dataSourseName || layer.name], (result) => {
                     features = this._parseGeoJsonData2Feature({
@@ -588,12 +613,10 @@ export class WebMap extends mapboxgl.Evented {
                         featureProjection: this.baseProjection
                     });
 
-                    this._addLayer(layer, features, index);
-                    layerAdded++;
-                    this._sendMapToUser(layerAdded, len);
+                    addLayer(layer, features, index);
+                    layerCompleted();
                 }, (err) => {
-                    layerAdded++;
-                    this._sendMapToUser(layerAdded, len);
+                    layerCompleted();
                     /**
                     * @event mapboxgl.supermap.WebMap#getfeaturesfailed
                     * @description 获取图层要素失败。
@@ -601,31 +624,36 @@ export class WebMap extends mapboxgl.Evented {
                     */
                     this.fire('getfeaturesfailed', { 'error': err });
                 });
-            } else if (layer.dataSource && layer.dataSource.type === "REST_MAP" && layer.dataSource.url) {
-                this._queryFeatureBySQL(layer.dataSource.url, layer.dataSource.layerName, 'smid=1', null, null, (result) => {
+            } else if (dataSource && dataSource.type === "REST_MAP" && dataSource.url) {
+                this._queryFeatureBySQL(dataSource.url, dataSource.layerName, 'smid=1', null, null, (result) => {
                     let recordsets = result && result.result.recordsets;
                     let recordset = recordsets && recordsets[0];
-                    let attributes = recordset.fields;
-                    if (recordset && attributes) {
-                        let fileterAttrs = [];
-                        for (let i in attributes) {
-                            let value = attributes[i];
-                            if (value.indexOf('Sm') !== 0 || value === "SmID") {
-                                fileterAttrs.push(value);
-                            }
+                    let attributes = recordset && recordset.fields;
+                    if (!attributes) {
+                        layerCompleted();
+                        return;
+                    }
+                    let fileterAttrs = [];
+                    for (let i in attributes) {
+                        let value = attributes[i];
+                        if (value.indexOf('Sm') !== 0 || value === "SmID") {
+                            fileterAttrs.push(value);
                         }
-                        this._getFeatures(fileterAttrs, layer, (features) => {
-                            this._addLayer(layer, features, index);
-                            layerAdded++;
-                            this._sendMapToUser(layerAdded, len);
-                        }, err => {
-                            layerAdded++;
-                            this.fire('getfeaturesfailed', { 'error': err, 'map': this.map })
-                        });
                     }
+                    this._getFeatures(fileterAttrs, layer, (features) => {
+                        addLayer(layer, features, index);
+                        layerCompleted();
+                    }, err => {
+                        layerCompleted();
+                        this.fire('getfeaturesfailed', { 'error': err, 'map': this.map })
+                    });
                 }, (err) => {
+                    layerCompleted();
                     this.fire('getlayersfailed', { 'error': err, 'map': this.map });
                 })
+            } else {
+                //不支持的图层类型
+                layerCompleted();
             }
         }, this);
     }
@@ -714,7 +742,15 @@ export class WebMap extends mapboxgl.Evented {
      */
     _addLabelLayer(layerInfo, features) {
         let labelStyle = layerInfo.labelStyle;
-        
+        let labelField = labelStyle.labelField.trim();
+        let style = layerInfo.style || {};
+        //与 openlayers 版本一致：标签位于符号上方，偏移至少 20 像素，使用 labelStyle.fontFamily 的 14 像素字体，带半透明白色背景
+        let offsetY = -1.8 * (style.radius || 0) - (style.strokeWidth || 0);
+        if (offsetY > -20) {
+            offsetY = -20;
+        }
+        let fontSize = 14;
+
         this.map.addLayer({
             "id": layerInfo.layerID + 'label',
             "type": "symbol",
@@ -725,14 +761,17 @@ export class WebMap extends mapboxgl.Evented {
                     "features": features
                 }
             },
+            "filter": ["has", labelField],
             "paint": {
-                'text-color': labelStyle.fill
+                'text-color': labelStyle.fill,
+                'text-halo-color': 'rgba(255,255,255,0.7)',
+                'text-halo-width': 3
             },
             "layout": {
-                "text-field": `{${labelStyle.labelField}}`,
-                'text-size': parseFloat(labelStyle.fontSize) || 12,
-                'text-offset': labelStyle.offsetX ? [labelStyle.offsetX / 10 || 0, labelStyle.offsetY / 10 || 0] : [0,-1.5],
-                'text-font': ["DIN Offc Pro Italic", "Arial Unicode MS Regular"],
+                "text-field": `{${labelField}}`,
+                'text-size': fontSize,
+                'text-offset': [0, offsetY / fontSize],
+                'text-font': labelStyle.fontFamily ? [labelStyle.fontFamily] : ["DIN Offc Pro Italic", "Arial Unicode MS Regular"],
                 'visibility': layerInfo.visible
             }
         });
@@ -1088,7 +1127,7 @@ export class WebMap extends mapboxgl.Evented {
     _createHeatLayer(layerInfo, features) {
         let style = layerInfo.themeSetting;
         let layerOption = {};
-        layerOption.gradient = style.colors.slice();
+        layerOption.gradient = ColorRamp.getColors(style.colors);
         layerOption.radius = parseInt(style.radius);
         //自定义颜色
         let customSettings = style.customSettings;
@@ -1286,47 +1325,26 @@ export class WebMap extends mapboxgl.Evented {
         let themeSetting = layerInfo.themeSetting;
         let customSettings = themeSetting.customSettings;
         let fieldName = themeSetting.themeField;
-        let segmentCount = themeSetting.segmentCount;
 
         features.forEach((feature) => {
             attributes = feature.properties || feature.get("Properties");
-            if (attributes) {
-                //过滤掉非数值的数据
-                attributes[fieldName] && Util.isNumber(attributes[fieldName]) && values.push(parseFloat(attributes[fieldName]));
-            } else if (feature.get(fieldName) && Util.isNumber(feature.get(fieldName))) {
-                feature.get(fieldName) && values.push(parseFloat(feature.get(fieldName)));
-            }
+            //空值和非数值的数据在分段时过滤掉
+            values.push(attributes ? attributes[fieldName] : feature.get(fieldName));
         }, this);
 
-        let segements = ArrayStatistic.getArraySegments(values, themeSetting.segmentMethod, segmentCount);
-        if (segements) {
-            let itemNum = segmentCount;
-            if (attributes && segements[0] === segements[attributes.length - 1]) {
-                itemNum = 1;
-                segements.length = 2;
-            }
-
-            //保留两位有效数
-            for (let key in segements) {
-                let value = segements[key];
-                value = key == 0 ? Math.floor(value * 100) / 100 : Math.ceil(value * 100) / 100 + 0.1;// 加0.1 解决最大值没有样式问题
-                segements[key] = Number(value.toFixed(2));
-            }
+        let rangeSegments = ArrayStatistic.getRangeSegments(values, themeSetting);
+        if (rangeSegments) {
+            let segments = rangeSegments.segments;
+            let itemNum = rangeSegments.itemNum;
 
             //获取一定量的颜色
             let curentColors = themeSetting.colors;
+            //色带名称或者色带对象
+            if (!Array.isArray(curentColors)) {
+                curentColors = ColorRamp.getColors(curentColors, itemNum);
+            }
             // curentColors = ColorsPickerUtil.getGradientColors(curentColors, itemNum, 'RANGE');
 
-            for (let index = 0; index < itemNum; index++) {
-                if (index in customSettings) {
-                    if (customSettings[index]["segment"]["start"]) {
-                        segements[index] = customSettings[index]["segment"]["start"];
-                    }
-                    if (customSettings[index]["segment"]["end"]) {
-                        segements[index + 1] = customSettings[index]["segment"]["end"];
-                    }
-                }
-            }
             //生成styleGroup
             let styleGroups = [];
             for (let i = 0; i < itemNum; i++) {
@@ -1342,8 +1360,8 @@ export class WebMap extends mapboxgl.Evented {
                     style.fillColor = color;
                 }
 
-                let start = segements[i];
-                let end = segements[i + 1];
+                let start = segments[i];
+                let end = segments[i + 1];
                 let styleObj = JSON.parse(JSON.stringify(style));
                 styleGroups.push({ style: styleObj, color: color, start: start, end: end });
             }
@@ -1669,7 +1687,18 @@ export class WebMap extends mapboxgl.Evented {
         }
     }
 
-    _addBaselayer(url, layerID, minzoom = 0, maxzoom = 22) {
+    /**
+    * @private
+    * @function mapboxgl.supermap.WebMap.prototype._addBaselayer
+    * @description 添加栅格图层，与 openlayers 版本一致，按图层信息设置可见性和不透明度。
+    * @param {Array.<string>} url - 切片地址。
+    * @param {string} layerID - 图层 ID。
+    * @param {number} [minzoom=0] - 最小级别。
+    * @param {number} [maxzoom=22] - 最大级别。
+    * @param {Object} [layerInfo] - 图层信息。
+    */
+    _addBaselayer(url, layerID, minzoom = 0, maxzoom = 22, layerInfo = {}) {
+        let opacity = parseFloat(layerInfo.opacity);
         this.map.addLayer({
             'id': layerID,
             "type": "raster",
@@ -1679,7 +1708,13 @@ export class WebMap extends mapboxgl.Evented {
                 "tileSize": 256
             },
             "minzoom": minzoom,
-            "maxzoom": maxzoom
+            "maxzoom": maxzoom,
+            "paint": {
+                "raster-opacity": isNaN(opacity) ? 1 : opacity
+            },
+            "layout": {
+                "visibility": layerInfo.visible === false ? 'none' : 'visible'
+            }
         })
     }
     /**
@@ -1703,10 +1738,17 @@ export class WebMap extends mapboxgl.Evented {
      */
     _parseGeoJsonData2Feature(metaData) {
         let allFeatures = metaData.allDatas.features,
+            isMercator = this._isMercatorProjection(metaData.fileCode),
             features = [];
         for (let i = 0, len = allFeatures.length; i < len; i++) {
-            // TODO 坐标转换
             let feature = allFeatures[i];
+            if (!feature.geometry) {
+                continue;
+            }
+            // mapboxgl 的 GeoJSON 数据源只接受经纬度坐标
+            if (isMercator) {
+                feature.geometry.coordinates = this._unprojectCoordinates(feature.geometry.coordinates);
+            }
             let coordinate = feature.geometry.coordinates;
             if (allFeatures[i].geometry.type === 'Point') {
                 // 标注图层 还没有属性值时候不加
@@ -1720,6 +1762,32 @@ export class WebMap extends mapboxgl.Evented {
         return features;
     }
 
+    /**
+    * @private
+    * @function mapboxgl.supermap.WebMap.prototype._isMercatorProjection
+    * @description 判断坐标系是否为墨卡托投影。
+    * @param {string} projection - 坐标系，如 'EPSG:3857'。
+    * @returns {boolean} 是否为墨卡托投影。
+    */
+    _isMercatorProjection(projection) {
+        return ['EPSG:3857', 'EPSG:900913', 'EPSG:102100', 'EPSG:102113'].indexOf(projection) > -1;
+    }
+
+    /**
+    * @private
+    * @function mapboxgl.supermap.WebMap.prototype._unprojectCoordinates
+    * @description 将任意嵌套层级的墨卡托坐标转换为经纬度坐标。
+    * @param {Array} coordinates - GeoJSON 几何对象的坐标。
+    * @returns {Array} 经纬度坐标。
+    */
+    _unprojectCoordinates(coordinates) {
+        if (typeof coordinates[0] === 'number') {
+            let lngLat = this._unproject(coordinates);
+            return [lngLat.lng, lngLat.lat];
+        }
+        return coordinates.map(coordinate => this._unprojectCoordinates(coordinate));
+    }
+
     /**
     * @private
     * @function mapboxgl.supermap.WebMap.prototype._getFeatureBySQL
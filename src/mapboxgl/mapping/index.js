@@ -1 +1,4 @@
 export {WebMap} from './WebMap';
+export {TileSuperMapRest} from './TileSuperMapRest';
+export {ImageSuperMapRest} from './ImageSuperMapRest';
+export {VectorTileSuperMapRest} from './VectorTileSuperMapRest';
@@ -0,0 +1,348 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import mapboxgl from 'mapbox-gl';
+import '../core/Base';
+import {
+    CommonUtil
+} from "@supermap/iclient-common";
+import {
+    DataFlowService
+} from "../services/DataFlowService";
+
+const defaultPointStyle = {
+    'circle-radius': 6,
+    'circle-color': '#3388ff',
+    'circle-stroke-width': 1,
+    'circle-stroke-color': '#ffffff'
+};
+
+const defaultLineStyle = {
+    'line-width': 3,
+    'line-color': '#3388ff'
+};
+
+const defaultPolygonStyle = {
+    'fill-color': '#3388ff',
+    'fill-opacity': 0.4,
+    'fill-outline-color': '#3388ff'
+};
+
+/**
+ * @class mapboxgl.supermap.DataFlowLayer
+ * @category  iServer DataFlow
+ * @classdesc 数据流图层。订阅数据流服务，按 idField 更新要素，并使用 GeoJSON 数据源绘制点、线、面要素。
+ *            同一帧内收到的多条数据只更新一次数据源。
+ * @param {string} url - 数据流服务地址。
+ * @param {Object} [options] - 图层参数。
+ * @param {string} [options.id] - 图层 ID，同时作为 GeoJSON 数据源的 ID。默认使用 CommonUtil.createUniqueID("DataFlowLayer_") 创建。
+ * @param {GeoJSONObject} [options.geometry] - 设置增添的几何要素对象。
+ * @param {Object} [options.prjCoordSys] - 动态投影参数。
+ * @param {Object} [options.excludeField] - 排除字段。
+ * @param {string} [options.idField='id'] - 要素属性中表示唯一标识的字段。
+ * @param {(string|function)} [options.filter] - 数据的属性过滤条件表达式或过滤函数，参考 {@link SuperMap.AttributeFilter}。
+ * @param {Array.<string>} [options.fields] - 数据保留的属性字段。
+ * @param {(Object|boolean)} [options.reconnect] - 自动重连策略，设为 false 时不自动重连。参数说明参考 {@link SuperMap.DataFlowService}。
+ * @param {number} [options.batchInterval=0] - 数据的合并间隔，单位毫秒。大于 0 时同一要素在一个间隔内只更新一次。
+ * @param {number} [options.maxBufferSize=1000] - 等待更新的数据的最大缓存个数。
+ * @param {Object} [options.pointStyle] - 点要素的 circle 图层 paint 属性。
+ * @param {Object} [options.lineStyle] - 线要素的 line 图层 paint 属性。
+ * @param {Object} [options.polygonStyle] - 面要素的 fill 图层 paint 属性。
+ * @extends {mapboxgl.Evented}
+ * @fires mapboxgl.supermap.DataFlowLayer#subscribesucceeded
+ * @fires mapboxgl.supermap.DataFlowLayer#subscribefailed
+ * @fires mapboxgl.supermap.DataFlowLayer#setfilterparamsucceeded
+ * @fires mapboxgl.supermap.DataFlowLayer#dataupdated
+ * @example
+ * var layer = new mapboxgl.supermap.DataFlowLayer(url, {
+ *     filter: "speed > 60",
+ *     pointStyle: {'circle-color': '#ff0000'}
+ * });
+ * map.addLayer(layer);
+ */
+export class DataFlowLayer extends mapboxgl.Evented {
+
+    constructor(url, options) {
+        super();
+        options = options || {};
+
+        /**
+         * @member {string} mapboxgl.supermap.DataFlowLayer.prototype.url
+         * @description 数据流服务地址。
+         */
+        this.url = url;
+
+        /**
+         * @member {string} mapboxgl.supermap.DataFlowLayer.prototype.id
+         * @description 图层 ID。
+         */
+        this.id = options.id ? options.id : CommonUtil.createUniqueID("DataFlowLayer_");
+
+        /**
+         * @member {string} [mapboxgl.supermap.DataFlowLayer.prototype.idField='id']
+         * @description 要素属性中表示唯一标识的字段。
+         */
+        this.idField = options.idField || 'id';
+
+        /**
+         * @member {boolean} [mapboxgl.supermap.DataFlowLayer.prototype.visibility=true]
+         * @description 图层显示状态属性。
+         */
+        this.visibility = true;
+
+        this.pointStyle = CommonUtil.extend(CommonUtil.extend({}, defaultPointStyle), options.pointStyle);
+        this.lineStyle = CommonUtil.extend(CommonUtil.extend({}, defaultLineStyle), options.lineStyle);
+        this.polygonStyle = CommonUtil.extend(CommonUtil.extend({}, defaultPolygonStyle), options.polygonStyle);
+
+        this.options = options;
+        this.map = null;
+        this.featureCache = {};
+        this._renderPending = false;
+
+        /**
+         * @member {mapboxgl.supermap.DataFlowService} mapboxgl.supermap.DataFlowLayer.prototype.dataService
+         * @description 数据流服务。
+         */
+        this.dataService = new DataFlowService(url, {
+            geometry: options.geometry,
+            prjCoordSys: options.prjCoordSys,
+            excludeField: options.excludeField,
+            idField: this.idField,
+            filter: options.filter,
+            fields: options.fields,
+            reconnect: options.reconnect,
+            batchInterval: options.batchInterval,
+            maxBufferSize: options.maxBufferSize
+        });
+        /**
+         * @event mapboxgl.supermap.DataFlowLayer#subscribesucceeded
+         * @description 订阅成功后触发。
+         * @property {Object} e - 事件对象。
+         */
+        this.dataService.on('subscribeSocketConnected', (e) => this.fire("subscribesucceeded", e));
+        /**
+         * @event mapboxgl.supermap.DataFlowLayer#subscribefailed
+         * @description 订阅失败后触发。
+         * @property {Object} e - 事件对象。
+         */
+        this.dataService.on('subscribeSocketError', (e) => this.fire("subscribefailed", e));
+        /**
+         * @event mapboxgl.supermap.DataFlowLayer#setfilterparamsucceeded
+         * @description 过滤参数设置成功后触发。
+         * @property {Object} e - 事件对象。
+         */
+        this.dataService.on('setFilterParamSucceeded', (e) => this.fire("setfilterparamsucceeded", e));
+        this.dataService.on('messageSucceeded', (e) => this._onMessageSuccessed(e));
+        this.dataService.on('messageFiltered', (e) => this._onMessageFiltered(e));
+    }
+
+    /**
+     * @function mapboxgl.supermap.DataFlowLayer.prototype.onAdd
+     * @description 图层添加到地图，开始订阅数据。
+     * @param {mapboxgl.Map} map - Mapbox GL 地图对象。
+     * @returns {mapboxgl.supermap.DataFlowLayer}
+     */
+    onAdd(map) {
+        this.map = map;
+        map.addSource(this.id, {
+            type: 'geojson',
+            data: this._toFeatureCollection()
+        });
+        this._getLayerTypes().forEach((layerType) => {
+            map.addLayer({
+                id: this.id + '_' + layerType.name,
+                type: layerType.type,
+                source: this.id,
+                filter: ['==', '$type', layerType.geometryType],
+                paint: layerType.paint,
+                layout: {
+                    visibility: this.visibility ? 'visible' : 'none'
+                }
+            });
+        });
+        this.dataService.initSubscribe();
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.DataFlowLayer.prototype.removeFromMap
+     * @description 从地图中删除该图层，结束订阅数据。
+     */
+    removeFromMap() {
+        this.dataService.unSubscribe();
+        var map = this.map;
+        if (!map) {
+            return;
+        }
+        this._getLayerTypes().forEach((layerType) => {
+            if (map.getLayer(this.id + '_' + layerType.name)) {
+                map.removeLayer(this.id + '_' + layerType.name);
+            }
+        });
+        if (map.getSource(this.id)) {
+            map.removeSource(this.id);
+        }
+        this.map = null;
+    }
+
+    /**
+     * @function mapboxgl.supermap.DataFlowLayer.prototype.setVisibility
+     * @description 设置图层可见性。
+     * @param {boolean} [visibility] - 是否显示图层。
+     */
+    setVisibility(visibility) {
+        this.visibility = !!visibility;
+        if (!this.map) {
+            return;
+        }
+        this._getLayerTypes().forEach((layerType) => {
+            this.map.setLayoutProperty(this.id + '_' + layerType.name, 'visibility', this.visibility ? 'visible' : 'none');
+        });
+    }
+
+    /**
+     * @function mapboxgl.supermap.DataFlowLayer.prototype.setExcludeField
+     * @description 设置排除字段。
+     * @param {Object} excludeField - 排除字段。
+     */
+    setExcludeField(excludeField) {
+        this.dataService.setExcludeField(excludeField);
+        this.options.excludeField = excludeField;
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.DataFlowLayer.prototype.setGeometry
+     * @description 设置几何要素。
+     * @param {GeoJSONObject} geometry - 待设置的 GeoJSON 几何要素对象。
+     */
+    setGeometry(geometry) {
+        this.dataService.setGeometry(geometry);
+        this.options.geometry = geometry;
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.DataFlowLayer.prototype.setFilter
+     * @description 设置属性过滤条件，对之后收到的数据生效。图层中已有的要素会被清除，由之后收到的数据重新绘制。
+     * @param {(string|function)} filter - 过滤条件表达式或过滤函数，为空时不过滤。
+     */
+    setFilter(filter) {
+        this.dataService.setFilter(filter);
+        this.options.filter = filter;
+        this.clear();
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.DataFlowLayer.prototype.setFields
+     * @description 设置保留的属性字段，对之后收到的数据生效。
+     * @param {Array.<string>} fields - 保留的属性字段，为空时保留全部字段。
+     */
+    setFields(fields) {
+        this.dataService.setFields(fields);
+        this.options.fields = fields;
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.DataFlowLayer.prototype.getFeatures
+     * @description 获取图层中的全部要素。
+     * @returns {Array.<GeoJSONObject>} 要素数组。
+     */
+    getFeatures() {
+        return this._toFeatureCollection().features;
+    }
+
+    /**
+     * @function mapboxgl.supermap.DataFlowLayer.prototype.clear
+     * @description 清除图层中的全部要素。
+     */
+    clear() {
+        this.featureCache = {};
+        this._render();
+    }
+
+    _onMessageSuccessed(msg) {
+        var feature = msg.featureResult;
+        if (!feature || !feature.geometry) {
+            return;
+        }
+        var geoID = feature.properties && feature.properties[this.idField];
+        if (geoID === undefined) {
+            geoID = feature.id !== undefined ? feature.id : CommonUtil.createUniqueID("DataFlowFeature_");
+        }
+        this.featureCache[geoID] = feature;
+        this._scheduleRender();
+        /**
+         * @event mapboxgl.supermap.DataFlowLayer#dataupdated
+         * @description 图层数据更新成功后触发。
+         * @property {mapboxgl.supermap.DataFlowLayer} layer - 更新数据的图层。
+         * @property {GeoJSONObject} data - 更新的要素。
+         */
+        this.fire("dataupdated", {
+            layer: this,
+            data: feature
+        });
+    }
+
+    //要素不再满足过滤条件时，从图层中删除
+    _onMessageFiltered(msg) {
+        if (!this.featureCache.hasOwnProperty(msg.featureId)) {
+            return;
+        }
+        delete this.featureCache[msg.featureId];
+        this._scheduleRender();
+    }
+
+    _scheduleRender() {
+        if (this._renderPending || !this.map) {
+            return;
+        }
+        this._renderPending = true;
+        var requestFrame = window.requestAnimationFrame || function (callback) {
+            return setTimeout(callback, 16);
+        };
+        requestFrame(() => {
+            this._renderPending = false;
+            this._render();
+        });
+    }
+
+    _render() {
+        var source = this.map && this.map.getSource(this.id);
+        source && source.setData(this._toFeatureCollection());
+    }
+
+    _toFeatureCollection() {
+        var features = [];
+        for (var key in this.featureCache) {
+            features.push(this.featureCache[key]);
+        }
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+
+    _getLayerTypes() {
+        return [{
+            name: 'polygon',
+            type: 'fill',
+            geometryType: 'Polygon',
+            paint: this.polygonStyle
+        }, {
+            name: 'line',
+            type: 'line',
+            geometryType: 'LineString',
+            paint: this.lineStyle
+        }, {
+            name: 'point',
+            type: 'circle',
+            geometryType: 'Point',
+            paint: this.pointStyle
+        }];
+    }
+}
+
+mapboxgl.supermap.DataFlowLayer = DataFlowLayer;
@@ -4,7 +4,8 @@
 import mapboxgl from 'mapbox-gl';
 import '../core/Base';
 import {
-    CommonUtil
+    CommonUtil,
+    ColorRamp
 } from "@supermap/iclient-common";
 import {
     Util
@@ -73,7 +74,7 @@ import './graphic';
  * @param {boolean} [options.props.upperPercentile=100] - "hexagon-layer" 配置项：筛选箱并通过upperPercentile重新计算颜色。 颜色值大于upperPercentile的六边形将被隐藏。
  * @param {boolean} [options.props.elevationScale=1] - "hexagon-layer" 配置项：高程乘数，实际海拔高度由 elevationScale * getElevation（d）计算。 elevationScale是一个方便的属性，可以在不更新数据的情况下缩放所有六边形。
  * @param {boolean} [options.props.colorDomain=false]  - "hexagon-layer" 配置项：色阶。
- * @param {boolean} [options.props.colorRange=[[255,255,178,255],[254,217,118,255],[254,178,76,255],[253,141,60,255],[240,59,32,255],[189,0,38,255]]]   - "hexagon-layer" 配置项：色带。
+ * @param {(Array|string|Object)} [options.props.colorRange=[[255,255,178,255],[254,217,118,255],[254,178,76,255],[253,141,60,255],[240,59,32,255],[189,0,38,255]]]   - "hexagon-layer" 配置项：色带。也可以是 {@link SuperMap.ColorRamp} 的色带名称或者色带对象，取 6 个颜色。
  */
 export class DeckglLayer {
 
@@ -546,6 +547,10 @@ export class DeckglLayer {
         if (this.callback.getElevationValue) {
             this.props.getElevationValue = this.callback.getElevationValue;
         }
+        //色带名称或者色带对象转为 rgba 数组
+        if (this.props.colorRange && !Array.isArray(this.props.colorRange)) {
+            this.props.colorRange = ColorRamp.getColors(this.props.colorRange, 6, {format: 'array'});
+        }
 
         this.layer = new window.DeckGL.HexagonLayer(this.props);
 
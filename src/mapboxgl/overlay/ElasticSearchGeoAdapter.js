@@ -0,0 +1,147 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import mapboxgl from 'mapbox-gl';
+import '../core/Base';
+import {ElasticSearchGeoAdapter as GeoAdapter} from '@supermap/iclient-common';
+import {Graphic} from './graphic/Graphic';
+
+/**
+ * @class mapboxgl.supermap.ElasticSearchGeoAdapter
+ * @classdesc ElasticSearch 地理数据图层适配器。绑定地图和图层后，在地图移动结束时按当前范围和级别重新检索 ElasticSearch，
+ *            并用结果替换图层的数据。支持热力图层、高效率点图层和专题图层，热力图层和高效率点图层使用点数据。
+ * @category ElasticSearch
+ * @extends {mapboxgl.Evented}
+ * @param {SuperMap.ElasticSearch} elasticSearch - ElasticSearch 服务类。
+ * @param {Object} options - 参数，参考 {@link SuperMap.ElasticSearchGeoAdapter}。
+ * @param {function} [options.style] - 高效率点图层中点要素的样式函数，参数为 GeoJSON 要素，返回点样式。
+ * @fires mapboxgl.supermap.ElasticSearchGeoAdapter#dataloaded
+ * @fires mapboxgl.supermap.ElasticSearchGeoAdapter#dataloadfailed
+ * @example
+ * var heatMapLayer = new mapboxgl.supermap.HeatMapLayer('heatmap', {featureWeight: 'count'});
+ * map.addLayer(heatMapLayer);
+ * new mapboxgl.supermap.ElasticSearchGeoAdapter(new SuperMap.ElasticSearch(url), {
+ *     index: 'flights',
+ *     geoField: 'location',
+ *     aggType: 'geohash_grid'
+ * }).bind(map, heatMapLayer);
+ */
+export class ElasticSearchGeoAdapter extends mapboxgl.Evented {
+
+    constructor(elasticSearch, options) {
+        super();
+        options = options || {};
+        /**
+         * @member {SuperMap.ElasticSearchGeoAdapter} mapboxgl.supermap.ElasticSearchGeoAdapter.prototype.adapter
+         * @description 构造检索参数和转换检索结果的适配器。
+         */
+        this.adapter = new GeoAdapter(elasticSearch, options);
+        this.style = options.style;
+        this.map = null;
+        this.layer = null;
+        this._requestCount = 0;
+        this._refreshHandler = this.refresh.bind(this);
+    }
+
+    /**
+     * @function mapboxgl.supermap.ElasticSearchGeoAdapter.prototype.bind
+     * @description 绑定地图和图层，并立即按当前地图范围检索一次。
+     * @param {mapboxgl.Map} map - 地图。
+     * @param {(mapboxgl.supermap.HeatMapLayer|mapboxgl.supermap.GraphicLayer|mapboxgl.supermap.ThemeLayer)} layer - 显示检索结果的图层。
+     * @returns {mapboxgl.supermap.ElasticSearchGeoAdapter} this
+     */
+    bind(map, layer) {
+        this.unbind();
+        this.map = map;
+        this.layer = layer;
+        map.on('moveend', this._refreshHandler);
+        this.refresh();
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.ElasticSearchGeoAdapter.prototype.unbind
+     * @description 解除绑定，地图移动时不再检索。
+     * @returns {mapboxgl.supermap.ElasticSearchGeoAdapter} this
+     */
+    unbind() {
+        if (this.map) {
+            this.map.off('moveend', this._refreshHandler);
+        }
+        this.map = null;
+        this.layer = null;
+        this._requestCount++;
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.ElasticSearchGeoAdapter.prototype.refresh
+     * @description 按当前地图范围重新检索并更新图层。地图移动过程中返回的过期结果会被丢弃。
+     * @returns {Promise} 以 GeoJSON 要素集合完成的 Promise。
+     */
+    refresh() {
+        var me = this;
+        if (!me.map) {
+            return Promise.resolve(null);
+        }
+        var requestCount = ++me._requestCount;
+        var bounds = me.map.getBounds();
+        var layer = me.layer;
+        var options = me._isPointLayer(layer) ? {geometryType: 'Point'} : null;
+        return me.adapter.search([bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()], me.map.getZoom(), options).then(function (result) {
+            if (requestCount !== me._requestCount) {
+                return result;
+            }
+            me._setData(layer, result);
+            /**
+             * @event mapboxgl.supermap.ElasticSearchGeoAdapter#dataloaded
+             * @description 检索结果已更新到图层。
+             * @property {GeoJSONObject} result - 检索结果。
+             */
+            me.fire('dataloaded', {result: result});
+            return result;
+        }, function (error) {
+            /**
+             * @event mapboxgl.supermap.ElasticSearchGeoAdapter#dataloadfailed
+             * @description 检索失败。
+             * @property {Object} error - 失败原因。
+             */
+            me.fire('dataloadfailed', {error: error});
+            return null;
+        });
+    }
+
+    _isPointLayer(layer) {
+        return !!layer && (typeof layer.setGraphics === 'function' || typeof layer.convertFastToPixelPoints === 'function');
+    }
+
+    _setData(layer, result) {
+        if (!layer) {
+            return;
+        }
+        var features = result.features;
+        if (this._isPointLayer(layer)) {
+            features = features.filter(function (feature) {
+                return feature.geometry.type === 'Point';
+            });
+        }
+        if (typeof layer.setGraphics === 'function') {
+            var style = this.style;
+            layer.setGraphics(features.map(function (feature) {
+                var graphic = new Graphic(feature.geometry.coordinates, style ? style(feature) : null, feature.properties);
+                graphic.setId(feature.id);
+                return graphic;
+            }));
+            return;
+        }
+        layer.removeAllFeatures();
+        if (features.length) {
+            layer.addFeatures({
+                type: 'FeatureCollection',
+                features: features
+            });
+        }
+    }
+}
+
+mapboxgl.supermap.ElasticSearchGeoAdapter = ElasticSearchGeoAdapter;
@@ -4,13 +4,28 @@
 import mapboxgl from 'mapbox-gl';
 import '../core/Base';
 import {
-    CommonUtil
+    CommonUtil,
+    SpatialIndex,
+    PointCluster,
+    ClusterSymbol
 } from "@supermap/iclient-common";
 import {
     Util
 } from "../core/Util";
 import './graphic';
 
+function isSameData(oldData, newData) {
+    if (!oldData || oldData.length !== newData.length) {
+        return false;
+    }
+    for (let i = 0; i < newData.length; i++) {
+        if (oldData[i] !== newData[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
 const defaultProps = {
     color: [0, 0, 0, 255],
     opacity: 0.8,
@@ -38,6 +53,25 @@ const defaultProps = {
  * @param {number} [options.radiusMaxPixels=Number.MAX_SAFE_INTEGER] - 半径最大值(像素)。
  * @param {number} [options.strokeWidth=1] - 边框大小。
  * @param {boolean} [options.outline=false] - 是否显示边框。
+ * @param {function} [options.onClick] - 图层鼠标点击响应事件。
+ * @param {function} [options.onHover] - 图层鼠标悬停响应事件。
+ * @param {(boolean|Object)} [options.cluster] - 点要素聚类参数。设置后按地图级别聚合点要素，聚类要素使用 IconLayer 绘制，线要素和面要素不参与聚类。
+ * @param {number} [options.cluster.radius=60] - 聚类半径，单位像素。
+ * @param {number} [options.cluster.maxZoom=16] - 生成聚类的最大级别，大于此级别时显示全部点要素。
+ * @param {string} [options.cluster.field] - 统计字段，聚类的统计值为成员要素该属性值之和，符号大小随统计值变化。不设置时使用成员个数。
+ * @param {boolean} [options.cluster.zoomOnClick=true] - 点击聚类时是否放大到聚类展开的级别。
+ * @param {Object} [options.cluster.symbol] - 聚类符号参数，参考 {@link SuperMap.ClusterSymbol}。
+ * @example
+ * var graphicLayer = new mapboxgl.supermap.GraphicLayer("graphic", {
+ *     graphics: graphics,
+ *     cluster: {radius: 80, field: 'population'},
+ *     onClick: function (info) {
+ *         if (graphicLayer.isCluster(info.object)) {
+ *             console.log(graphicLayer.getClusterGraphics(info.object));
+ *         }
+ *     }
+ * });
+ * map.addLayer(graphicLayer);
  */
 export class GraphicLayer {
 
@@ -54,6 +88,20 @@ export class GraphicLayer {
          */
         this.graphics = [].concat(opt.graphics);
 
+        /**
+         * @member {Array.<mapboxgl.supermap.Graphic>} mapboxgl.supermap.GraphicLayer.prototype.selectedGraphics
+         * @description 选中的点要素数组，使用高亮颜色绘制。
+         */
+        this.selectedGraphics = [];
+        this._selection = new Set();
+        this._index = new SpatialIndex({
+            getBounds: function (graphic) {
+                return graphic.getBounds();
+            }
+        });
+        this._indexDirty = true;
+        this._initCluster(opt.cluster);
+
         /**
          * @member {boolean} [mapboxgl.supermap.GraphicLayer.prototype.visibility=true]
          * @description 图层显示状态属性。
@@ -92,7 +140,6 @@ export class GraphicLayer {
         }
         let mapState = this.getState();
         let {
-            data,
             color,
             radius,
             opacity,
@@ -106,7 +153,7 @@ export class GraphicLayer {
         let me = this;
         let layerOptions = {
             id: 'scatter-plot',
-            data,
+            data: [],
             pickable: Boolean(this.onClick) || Boolean(this.onHover),
             autoHighlight: true,
             color: color,
@@ -128,6 +175,9 @@ export class GraphicLayer {
                 return lngLat && [lngLat.lng, lngLat.lat, 0];
             },
             getColor: function (point) {
+                if (me._selection.has(point)) {
+                    return me.highlightColor || [0, 0, 128, 128];
+                }
                 let style = point && point.getStyle();
                 return style && style.color || me.color
             },
@@ -148,11 +198,12 @@ export class GraphicLayer {
         }
 
         this.layer = new window.DeckGL.ScatterplotLayer(layerOptions);
+        this._refreshData();
         let deckOptions = {};
         for (let key in mapState) {
             deckOptions[key] = mapState[key];
         }
-        deckOptions.layers = [this.layer];
+        deckOptions.layers = this._getLayers();
         deckOptions.canvas = this.canvas;
         this.deckGL = new window.DeckGL.experimental.DeckGLJS(deckOptions);
         this.map.on('render', this._moveEvent.bind(this));
@@ -201,13 +252,8 @@ export class GraphicLayer {
         this.graphics = this.graphics || [];
         this.graphics.length = 0;
         let sGraphics = !Util.isArray(graphics) ? [graphics] : [].concat(graphics);
-        //this.layer.props.data不能被重新赋值，只能在原数组上进行操作
-        if (!this.layer.props.data) {
-            this.layer.props.data = [];
-        }
-        this.layer.props.data.length = 0;
         for (let i = 0; i < sGraphics.length; i++) {
-            this.layer.props.data.push(sGraphics[i]);
+            this.graphics.push(sGraphics[i]);
         }
         this.update();
     }
@@ -220,12 +266,8 @@ export class GraphicLayer {
     addGraphics(graphics) {
         this.graphics = this.graphics || [];
         let sGraphics = !Util.isArray(graphics) ? [graphics] : [].concat(graphics);
-        //this.layer.props.data不能被重新赋值，只能在原数组上进行操作
-        if (!this.layer.props.data) {
-            this.layer.props.data = [];
-        }
         for (let i = 0; i < sGraphics.length; i++) {
-            this.layer.props.data.push(sGraphics[i]);
+            this.graphics.push(sGraphics[i]);
         }
         this.update();
     }
@@ -292,6 +334,8 @@ export class GraphicLayer {
             if (this.layer.props.data) {
                 this.layer.props.data.length = 0;
             }
+            this.selectedGraphics = [];
+            this._selection = new Set();
             this.update();
             return;
         }
@@ -311,17 +355,79 @@ export class GraphicLayer {
                 continue;
             }
             this.graphics.splice(findex, 1);
+            this._selection.delete(graphic);
         }
+        this.selectedGraphics = this.selectedGraphics.filter((graphic) => this._selection.has(graphic));
 
         //删除完成后重新设置 setGraphics，以更新
         this.update();
     }
 
+    /**
+     * @function mapboxgl.supermap.GraphicLayer.prototype.getGraphicsInBounds
+     * @description 获取范围内的全部要素，可用于框选。
+     * @param {(mapboxgl.LngLatBounds|Array.<number>)} bounds - 经纬度范围，数组格式为 [west, south, east, north]。
+     * @returns {Array.<mapboxgl.supermap.Graphic>} 按添加顺序排列的要素数组。
+     */
+    getGraphicsInBounds(bounds) {
+        if (bounds instanceof mapboxgl.LngLatBounds) {
+            bounds = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
+        }
+        return this._getIndex().search(bounds);
+    }
+
+    /**
+     * @function mapboxgl.supermap.GraphicLayer.prototype.getGraphicsInPolygon
+     * @description 获取多边形内的全部要素，可用于套索选择。
+     * @param {Array.<Array.<number>>} lngLats - 多边形外环的经纬度坐标数组。
+     * @returns {Array.<mapboxgl.supermap.Graphic>} 按添加顺序排列的要素数组。
+     */
+    getGraphicsInPolygon(lngLats) {
+        return this._getIndex().searchPolygon(lngLats);
+    }
+
+    /**
+     * @function mapboxgl.supermap.GraphicLayer.prototype.selectGraphics
+     * @description 框选或套索选择要素，选中的要素使用高亮颜色绘制。
+     * @param {(mapboxgl.LngLatBounds|Array.<Array.<number>>|Array.<mapboxgl.supermap.Graphic>)} area - 框选的经纬度范围、套索多边形的经纬度坐标数组，或者要选中的要素数组。
+     * @returns {Array.<mapboxgl.supermap.Graphic>} 选中的要素数组。
+     */
+    selectGraphics(area) {
+        let graphics;
+        if (area instanceof mapboxgl.LngLatBounds) {
+            graphics = this.getGraphicsInBounds(area);
+        } else if (Util.isArray(area) && area.length && area[0] instanceof mapboxgl.supermap.Graphic) {
+            graphics = [].concat(area);
+        } else {
+            graphics = this.getGraphicsInPolygon(area);
+        }
+        this.selectedGraphics = graphics;
+        this._selection = new Set(graphics);
+        this.update();
+        return graphics;
+    }
+
+    /**
+     * @function mapboxgl.supermap.GraphicLayer.prototype.clearSelection
+     * @description 取消选择全部要素。
+     */
+    clearSelection() {
+        if (this.selectedGraphics.length) {
+            this.selectGraphics([]);
+        }
+    }
+
     /**
      * @function mapboxgl.supermap.GraphicLayer.prototype.update
-     * @description 更新图层。
+     * @description 更新图层。要素的位置改变后调用，会在下次查询时重建空间索引。
      */
     update() {
+        this._indexDirty = true;
+        this._clusterDirty = true;
+        //要素的几何可能已经改变，需要重新生成线、面图层的数据
+        this._lineData = null;
+        this._polygonData = null;
+        this._refreshData();
         this.layer.setChangeFlags({
             dataChanged: true,
             propsChanged: true,
@@ -330,6 +436,58 @@ export class GraphicLayer {
         });
         let state = this.getState();
         this.layer.setState(state);
+        this.deckGL && this.deckGL.setProps({
+            layers: this._getLayers()
+        });
+    }
+
+    /**
+     * @function mapboxgl.supermap.GraphicLayer.prototype.setCluster
+     * @description 开启、关闭点要素聚类或者修改聚类参数。
+     * @param {(boolean|Object)} cluster - 聚类参数，参考构造参数 options.cluster。为 false 时关闭聚类。
+     */
+    setCluster(cluster) {
+        this.cluster = cluster;
+        this._initCluster(cluster);
+        this.layer && this.update();
+    }
+
+    /**
+     * @function mapboxgl.supermap.GraphicLayer.prototype.isCluster
+     * @description 判断要素是否为聚类要素。聚类要素的属性包含成员个数 count 和统计值 value。
+     * @param {mapboxgl.supermap.Graphic} graphic - 要素。
+     * @returns {boolean} 是否为聚类要素。
+     */
+    isCluster(graphic) {
+        return !!graphic && !!graphic._cluster;
+    }
+
+    /**
+     * @function mapboxgl.supermap.GraphicLayer.prototype.getClusterGraphics
+     * @description 获取聚类要素包含的全部点要素。
+     * @param {mapboxgl.supermap.Graphic} graphic - 聚类要素。
+     * @returns {Array.<mapboxgl.supermap.Graphic>} 点要素数组。
+     */
+    getClusterGraphics(graphic) {
+        if (!this.isCluster(graphic) || !this._pointCluster) {
+            return [];
+        }
+        return this._pointCluster.getLeaves(graphic._cluster);
+    }
+
+    /**
+     * @function mapboxgl.supermap.GraphicLayer.prototype.expandCluster
+     * @description 以聚类要素为中心放大地图，直到聚类展开为多个要素。
+     * @param {mapboxgl.supermap.Graphic} graphic - 聚类要素。
+     */
+    expandCluster(graphic) {
+        if (!this.isCluster(graphic) || !this._pointCluster || !this.map) {
+            return;
+        }
+        this.map.easeTo({
+            center: graphic.getLngLat(),
+            zoom: this._pointCluster.getExpansionZoom(graphic._cluster)
+        });
     }
 
     /**
@@ -454,13 +612,20 @@ export class GraphicLayer {
      * @description 绘制图层。
      */
     draw() {
+        //开启聚类时，地图级别改变后重新生成聚类要素
+        if (this._pointCluster && this._clusterZoom !== Math.floor(this.map.getZoom())) {
+            this._refreshData();
+            this.layer.setChangeFlags({
+                dataChanged: true
+            });
+        }
         let mapState = this.getState();
         let deckOptions = {};
 
         for (let key in mapState) {
             deckOptions[key] = mapState[key];
         }
-        deckOptions.layers = [this.layer];
+        deckOptions.layers = this._getLayers();
         deckOptions.canvas = this.canvas;
         this.deckGL.setProps(deckOptions);
     }
@@ -469,6 +634,233 @@ export class GraphicLayer {
         this.draw();
     }
 
+    //点要素使用散点图层绘制，线要素和面要素分别使用 PathLayer 和 PolygonLayer 绘制，聚类要素使用 IconLayer 绘制
+    _refreshData() {
+        //this.layer.props.data不能被重新赋值，只能在原数组上进行操作
+        if (!this.layer.props.data) {
+            this.layer.props.data = [];
+        }
+        let points = this.layer.props.data;
+        let lines = [],
+            polygons = [],
+            clusters = [];
+        let graphics = this._getRenderGraphics();
+        points.length = 0;
+        for (let i = 0; i < graphics.length; i++) {
+            let graphic = graphics[i];
+            let type = graphic && graphic.getGeometryType();
+            if (this.isCluster(graphic)) {
+                clusters.push(graphic);
+            } else if (type === 'LineString') {
+                lines.push(graphic);
+            } else if (type === 'Polygon') {
+                polygons.push(graphic);
+            } else {
+                points.push(graphic);
+            }
+        }
+        //要素没有变化时保留原数组，避免 deck.gl 重新生成线、面的顶点数据
+        this._lineData = isSameData(this._lineData, lines) ? this._lineData : lines;
+        this._polygonData = isSameData(this._polygonData, polygons) ? this._polygonData : polygons;
+        this._clusterData = isSameData(this._clusterData, clusters) ? this._clusterData : clusters;
+    }
+
+    //开启聚类时为当前级别的聚类要素、未被聚合的点要素以及线要素和面要素。查询全部范围，仅在级别改变时重新生成
+    _getRenderGraphics() {
+        let me = this;
+        if (!me._pointCluster || !me.map) {
+            return me.graphics;
+        }
+        if (me._clusterDirty) {
+            me._pointCluster.load(me.graphics);
+            me._clusterGraphics = {};
+            me._clusterDirty = false;
+        }
+        me._clusterZoom = Math.floor(me.map.getZoom());
+        let points = me._pointCluster.getClusters([-180, -90, 180, 90], me._clusterZoom).map(function (item) {
+            return PointCluster.isCluster(item) ? me._getClusterGraphic(item) : item;
+        });
+        return me.graphics.filter(function (graphic) {
+            return graphic && graphic.getGeometryType() !== 'Point';
+        }).concat(points);
+    }
+
+    //同一级别的同一个聚类使用相同的要素对象，便于 deck.gl 复用数据
+    _getClusterGraphic(cluster) {
+        if (this._clusterGraphicsZoom !== cluster.zoom) {
+            this._clusterGraphics = {};
+            this._clusterGraphicsZoom = cluster.zoom;
+        }
+        let graphic = this._clusterGraphics[cluster.id];
+        if (!graphic) {
+            graphic = new mapboxgl.supermap.Graphic(new mapboxgl.LngLat(cluster.coordinates[0], cluster.coordinates[1]), null, {
+                count: cluster.count,
+                value: cluster.value
+            });
+            graphic._cluster = cluster;
+            this._clusterGraphics[cluster.id] = graphic;
+        }
+        return graphic;
+    }
+
+    _initCluster(cluster) {
+        this._clusterZoom = null;
+        if (!cluster) {
+            this._pointCluster = null;
+            this._clusterSymbol = null;
+            return;
+        }
+        let options = cluster === true ? {} : cluster;
+        let field = options.field;
+        this._pointCluster = new PointCluster({
+            radius: options.radius,
+            maxZoom: options.maxZoom,
+            //mapbox gl 的级别按 512 像素的瓦片计算
+            tileSize: 512,
+            getCoordinates: function (graphic) {
+                if (graphic.getGeometryType() !== 'Point') {
+                    return null;
+                }
+                let lngLat = graphic.getLngLat();
+                return [lngLat.lng, lngLat.lat];
+            },
+            getValue: field ? function (graphic) {
+                return graphic.attributes && graphic.attributes[field];
+            } : null
+        });
+        this._clusterSymbol = new ClusterSymbol(options.symbol);
+        this._clusterZoomOnClick = options.zoomOnClick !== false;
+        this._clusterGraphics = {};
+        this._clusterDirty = true;
+    }
+
+    //聚类要素使用带有个数标签的图标绘制
+    _getClusterLayer(options) {
+        let me = this;
+        let atlas = me._clusterSymbol.getIconAtlas(me._clusterData.map(function (graphic) {
+            return graphic._cluster;
+        }), me._pointCluster.totalValue);
+        me._clusterData.forEach(function (graphic, i) {
+            graphic._clusterIcon = atlas.icons[i];
+        });
+        return new window.DeckGL.IconLayer(Util.extend({
+            id: 'graphic-cluster',
+            data: me._clusterData,
+            iconAtlas: atlas.iconAtlas,
+            iconMapping: atlas.iconMapping,
+            getPosition: function (graphic) {
+                let lngLat = graphic.getLngLat();
+                return [lngLat.lng, lngLat.lat, 0];
+            },
+            getIcon: function (graphic) {
+                return graphic._clusterIcon;
+            },
+            getSize: function (graphic) {
+                return atlas.iconMapping[graphic._clusterIcon].height;
+            }
+        }, options));
+    }
+
+    //线、面图层在每次绘制时重新创建，数据不变时 deck.gl 会复用已生成的顶点数据
+    _getLayers() {
+        let me = this;
+        let layers = [me.layer];
+        let getStyleValue = function (graphic, key, defaultValue) {
+            let style = graphic.getStyle();
+            return style && style[key] !== undefined ? style[key] : defaultValue;
+        };
+        let color = me.color || defaultProps.color;
+        let opacity = me.opacity === undefined ? defaultProps.opacity : me.opacity;
+        //默认颜色的透明度与图层透明度叠加
+        let defaultColor = [color[0], color[1], color[2], (color[3] === undefined ? 255 : color[3]) * opacity];
+        let getColor = function (graphic) {
+            if (me._selection.has(graphic)) {
+                return me.highlightColor || [0, 0, 128, 128];
+            }
+            return getStyleValue(graphic, 'color', defaultColor);
+        };
+        let getWidth = function (graphic) {
+            return getStyleValue(graphic, 'width', me.strokeWidth);
+        };
+        let options = {
+            pickable: Boolean(me.onClick) || Boolean(me.onHover) || Boolean(me._pointCluster),
+            autoHighlight: true,
+            opacity: 1,
+            widthScale: me._pixelToMeter(1),
+            lineWidthScale: me._pixelToMeter(1),
+            updateTriggers: {
+                getColor: [me._selection],
+                getFillColor: [me._selection],
+                getLineColor: [me._selection]
+            }
+        };
+        if (me.highlightColor) {
+            options.highlightColor = me.highlightColor;
+        }
+        if (me.onClick || me._pointCluster) {
+            options.onClick = function (info) {
+                let result = me.onClick && me.onClick.apply(this, arguments);
+                //点击聚类要素时放大地图
+                if (info && me.isCluster(info.object) && me._clusterZoomOnClick) {
+                    me.expandCluster(info.object);
+                }
+                return result;
+            };
+        }
+        if (me.onHover) {
+            options.onHover = me.onHover;
+        }
+        if (me._lineData && me._lineData.length) {
+            layers.push(new window.DeckGL.PathLayer(Util.extend({
+                id: 'graphic-path',
+                data: me._lineData,
+                rounded: true,
+                getPath: function (graphic) {
+                    return graphic.getGeometry().coordinates;
+                },
+                getColor: getColor,
+                getWidth: getWidth
+            }, options)));
+        }
+        if (me._polygonData && me._polygonData.length) {
+            layers.push(new window.DeckGL.PolygonLayer(Util.extend({
+                id: 'graphic-polygon',
+                data: me._polygonData,
+                getPolygon: function (graphic) {
+                    return graphic.getGeometry().coordinates;
+                },
+                getFillColor: function (graphic) {
+                    if (me._selection.has(graphic)) {
+                        return me.highlightColor || [0, 0, 128, 128];
+                    }
+                    return getStyleValue(graphic, 'fillColor', defaultColor);
+                },
+                getLineColor: getColor,
+                getLineWidth: getWidth
+            }, options)));
+        }
+        if (me._clusterData && me._clusterData.length) {
+            layers.push(me._getClusterLayer(options));
+        }
+        return layers;
+    }
+
+    //按当前地图分辨率将像素转为米
+    _pixelToMeter(pixel) {
+        let bounds = this.map.getBounds();
+        let latLngRes = (bounds.getEast() - bounds.getWest()) / parseInt(this.canvas.style.width);
+        return pixel * latLngRes * (Math.PI * 6378137 / 180);
+    }
+
+    _getIndex() {
+        //要素集合在多处被原地修改，因此在查询时按需重建索引
+        if (this._indexDirty) {
+            this._index.load(this.graphics);
+            this._indexDirty = false;
+        }
+        return this._index;
+    }
+
     _resizeEvent() {
         let canvas = this.canvas;
         let map = this.map;
@@ -18,7 +18,7 @@ import {GeoFeature} from './theme/GeoFeatureThemeLayer';
  * @param {number} [options.opacity=1] - 图层透明度。
  * @param {string} options.themeField - 指定创建专题图字段。
  * @param {Object} options.style - 专题图样式。
- * @param {Object} options.styleGroups - 各专题类型样式组。
+ * @param {Object} options.styleGroups - 各专题类型样式组。可以使用 {@link SuperMap.ColorRamp.getRangeStyleGroups} 根据分段点和色带生成。
  * @param {boolean} [options.isHoverAble=false] - 是否开启 hover 事件。
  * @param {Object} [options.highlightStyle] - 开启 hover 事件后，触发的样式风格。
  * @extends {mapboxgl.supermap.GeoFeatureThemeLayer}
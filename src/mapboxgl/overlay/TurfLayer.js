@@ -0,0 +1,367 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import mapboxgl from 'mapbox-gl';
+import '../core/Base';
+import * as turf from '@turf/turf';
+import {
+    CommonUtil,
+    TurfParameters,
+    TurfWorker
+} from '@supermap/iclient-common';
+
+const defaultPointStyle = {
+    'circle-radius': 5,
+    'circle-color': '#ff7800',
+    'circle-stroke-width': 1,
+    'circle-stroke-color': '#ffffff'
+};
+
+const defaultLineStyle = {
+    'line-width': 2,
+    'line-color': '#ff7800'
+};
+
+const defaultPolygonStyle = {
+    'fill-color': '#ff7800',
+    'fill-opacity': 0.3,
+    'fill-outline-color': '#ff7800'
+};
+
+/**
+ * @class mapboxgl.supermap.TurfLayer
+ * @category Visualization Turf
+ * @classdesc Turf 图层。执行 Turf.js 提供的空间分析方法，并使用 GeoJSON 数据源绘制分析结果中的点、线、面要素。
+ * @param {Object} [options] - 图层参数。
+ * @param {string} [options.id] - 图层 ID，同时作为 GeoJSON 数据源的 ID。默认使用 CommonUtil.createUniqueID("TurfLayer_") 创建。
+ * @param {Object} [options.pointStyle] - 点要素的 circle 图层 paint 属性。
+ * @param {Object} [options.lineStyle] - 线要素的 line 图层 paint 属性。
+ * @param {Object} [options.polygonStyle] - 面要素的 fill 图层 paint 属性。
+ * @param {boolean} [options.useWorker=false] - 是否在 Web Worker 中执行空间分析，避免大数据量分析时阻塞页面。开启后 process 方法异步返回结果，参数中包含回调函数的方法仍在主线程中执行。
+ * @param {string} [options.workerUrl] - worker 脚本地址，设置后在该 worker 中执行空间分析。不设置时使用内置的 worker，参考 {@link SuperMap.TurfWorker}。
+ * @param {string} [options.turfUrl='https://cdnjs.cloudflare.com/ajax/libs/Turf.js/5.1.6/turf.js'] - 内置 worker 加载的 Turf.js 脚本地址。
+ * @extends {mapboxgl.Evented}
+ * @fires mapboxgl.supermap.TurfLayer#processprogress
+ * @fires mapboxgl.supermap.TurfLayer#processsucceeded
+ * @fires mapboxgl.supermap.TurfLayer#processfailed
+ * @fires mapboxgl.supermap.TurfLayer#processcancelled
+ * @example
+ * var layer = new mapboxgl.supermap.TurfLayer({
+ *     polygonStyle: {'fill-color': '#3388ff'}
+ * });
+ * map.addLayer(layer);
+ * layer.process('Transformation.buffer', {geojson: points, radius: 10, units: 'kilometers'}, function (result) {
+ *     console.log(result);
+ * });
+ */
+export class TurfLayer extends mapboxgl.Evented {
+
+    constructor(options) {
+        super();
+        options = options || {};
+
+        /**
+         * @member {string} mapboxgl.supermap.TurfLayer.prototype.id
+         * @description 图层 ID。
+         */
+        this.id = options.id ? options.id : CommonUtil.createUniqueID("TurfLayer_");
+
+        /**
+         * @member {boolean} [mapboxgl.supermap.TurfLayer.prototype.visibility=true]
+         * @description 图层显示状态属性。
+         */
+        this.visibility = true;
+
+        this.pointStyle = CommonUtil.extend(CommonUtil.extend({}, defaultPointStyle), options.pointStyle);
+        this.lineStyle = CommonUtil.extend(CommonUtil.extend({}, defaultLineStyle), options.lineStyle);
+        this.polygonStyle = CommonUtil.extend(CommonUtil.extend({}, defaultPolygonStyle), options.polygonStyle);
+        this.useWorker = !!(options.useWorker || options.workerUrl);
+        this.workerUrl = options.workerUrl;
+        this.turfUrl = options.turfUrl;
+        this.map = null;
+        this.features = [];
+        this._turfWorker = null;
+
+        this.turfMap = TurfParameters.turfMap;
+        // 5.0.0 及以上版本参数配置
+        this.turfOptionMap = TurfParameters.turfOptionMap;
+    }
+
+    /**
+     * @function mapboxgl.supermap.TurfLayer.prototype.onAdd
+     * @description 图层添加到地图。
+     * @param {mapboxgl.Map} map - Mapbox GL 地图对象。
+     * @returns {mapboxgl.supermap.TurfLayer}
+     */
+    onAdd(map) {
+        this.map = map;
+        map.addSource(this.id, {
+            type: 'geojson',
+            data: this._toFeatureCollection()
+        });
+        this._getLayerTypes().forEach((layerType) => {
+            map.addLayer({
+                id: this.id + '_' + layerType.name,
+                type: layerType.type,
+                source: this.id,
+                filter: ['==', '$type', layerType.geometryType],
+                paint: layerType.paint,
+                layout: {
+                    visibility: this.visibility ? 'visible' : 'none'
+                }
+            });
+        });
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.TurfLayer.prototype.removeFromMap
+     * @description 从地图中删除该图层，取消在 worker 中执行的空间分析。
+     */
+    removeFromMap() {
+        this.cancel();
+        var map = this.map;
+        if (!map) {
+            return;
+        }
+        this._getLayerTypes().forEach((layerType) => {
+            if (map.getLayer(this.id + '_' + layerType.name)) {
+                map.removeLayer(this.id + '_' + layerType.name);
+            }
+        });
+        if (map.getSource(this.id)) {
+            map.removeSource(this.id);
+        }
+        this.map = null;
+    }
+
+    /**
+     * @function mapboxgl.supermap.TurfLayer.prototype.setVisibility
+     * @description 设置图层可见性。
+     * @param {boolean} [visibility] - 是否显示图层。
+     */
+    setVisibility(visibility) {
+        this.visibility = !!visibility;
+        if (!this.map) {
+            return;
+        }
+        this._getLayerTypes().forEach((layerType) => {
+            this.map.setLayoutProperty(this.id + '_' + layerType.name, 'visibility', this.visibility ? 'visible' : 'none');
+        });
+    }
+
+    /**
+     * @function mapboxgl.supermap.TurfLayer.prototype.getFeatures
+     * @description 获取图层中的全部要素。
+     * @returns {Array.<GeoJSONObject>} 要素数组。
+     */
+    getFeatures() {
+        return this.features.slice();
+    }
+
+    /**
+     * @function mapboxgl.supermap.TurfLayer.prototype.clear
+     * @description 清除图层中的全部要素。
+     */
+    clear() {
+        this.features = [];
+        this._render();
+    }
+
+    /**
+     * @function mapboxgl.supermap.TurfLayer.prototype.process
+     * @description 执行 Turf.js 提供的相关空间分析方法。分析结果为 GeoJSON 对象时将其中的要素添加到图层。
+     * @param {string} type - Turf.js 提供的空间分析方法名。
+     * @param {Object} args - Turf.js 提供的空间分析方法对应的参数对象。
+     * @param {function} callback - 空间分析完成执行的回调函数，返回执行的结果。
+     * @param {boolean} [addFeaturesToMap=true] - 是否添加到 map。
+     * @returns {number} 在 worker 中执行时返回任务 ID，可用于取消任务。
+     */
+    process(type, args, callback, addFeaturesToMap) {
+        addFeaturesToMap = addFeaturesToMap == null ? true : addFeaturesToMap;
+        if (this.useWorker && !TurfWorker.hasFunction(args)) {
+            return this._processInWorker(type, args, callback, addFeaturesToMap);
+        }
+        // 兼容版本4到5
+        var result;
+        try {
+            result = turf[type.split('.')[1]].apply(this, this.parse(type, args));
+        } catch (e) {
+            result = turf[type.split('.')[1]].apply(this, this.parseOption(type, args));
+        }
+        this._processCompleted(result, callback, addFeaturesToMap);
+    }
+
+    /**
+     * @function mapboxgl.supermap.TurfLayer.prototype.cancel
+     * @description 取消在 worker 中执行的空间分析。
+     * @param {number} [taskId] - process 方法返回的任务 ID。不设置时取消全部任务。
+     */
+    cancel(taskId) {
+        this._turfWorker && this._turfWorker.cancel(taskId);
+    }
+
+    /**
+     * @function mapboxgl.supermap.TurfLayer.prototype.isProcessing
+     * @description 是否有正在 worker 中执行或者等待执行的空间分析。
+     * @returns {boolean} 是否有未完成的空间分析。
+     */
+    isProcessing() {
+        return !!this._turfWorker && this._turfWorker.isRunning();
+    }
+
+    parse(type, args) {
+        if (type === 'Transformation.union') {
+            return args['A'];
+        }
+        var result = [];
+        var tempArgs = this.turfMap[type];
+        if (tempArgs) {
+            tempArgs.map(function (key) {
+                result.push(args[key]);
+                return args[key];
+            });
+        }
+        return result;
+    }
+
+    parseOption(type, args) {
+        var result = [];
+        var tempArgs = this.turfOptionMap[type];
+        tempArgs.map(function (key) {
+            if (key instanceof Object) {
+                var options = {};
+                Object.keys(key).forEach(function (k) {
+                    options[k] = args[k];
+                });
+                result.push(options);
+            } else {
+                result.push(args[key]);
+            }
+            return args;
+        });
+        return result;
+    }
+
+    _processInWorker(type, args, callback, addFeaturesToMap) {
+        var me = this;
+        // 兼容版本4到5，worker 中依次尝试两种参数形式
+        var argsList = [me.parse(type, args)];
+        if (me.turfOptionMap[type]) {
+            argsList.push(me.parseOption(type, args));
+        }
+        if (!me._turfWorker) {
+            me._turfWorker = new TurfWorker({
+                workerUrl: me.workerUrl,
+                turfUrl: me.turfUrl
+            });
+        }
+        return me._turfWorker.run(type.split('.')[1], argsList, {
+            onProgress: function (progress, taskId) {
+                /**
+                 * @event mapboxgl.supermap.TurfLayer#processprogress
+                 * @description 在 worker 中执行空间分析的进度变化时触发。
+                 * @property {number} taskId - 任务 ID。
+                 * @property {string} processType - 空间分析方法名。
+                 * @property {number} progress - 0 到 1 之间的进度。
+                 */
+                me.fire("processprogress", {taskId: taskId, processType: type, progress: progress});
+            },
+            onComplete: function (result, taskId) {
+                me._processCompleted(result, callback, addFeaturesToMap);
+                /**
+                 * @event mapboxgl.supermap.TurfLayer#processsucceeded
+                 * @description 在 worker 中执行空间分析成功后触发。
+                 * @property {number} taskId - 任务 ID。
+                 * @property {string} processType - 空间分析方法名。
+                 * @property {Object} result - 空间分析结果。
+                 */
+                me.fire("processsucceeded", {taskId: taskId, processType: type, result: result});
+            },
+            onError: function (error, taskId) {
+                /**
+                 * @event mapboxgl.supermap.TurfLayer#processfailed
+                 * @description 在 worker 中执行空间分析失败后触发。
+                 * @property {number} taskId - 任务 ID。
+                 * @property {string} processType - 空间分析方法名。
+                 * @property {string} error - 错误信息。
+                 */
+                me.fire("processfailed", {taskId: taskId, processType: type, error: error});
+            },
+            onCancel: function (taskId) {
+                /**
+                 * @event mapboxgl.supermap.TurfLayer#processcancelled
+                 * @description 取消在 worker 中执行的空间分析后触发。
+                 * @property {number} taskId - 任务 ID。
+                 * @property {string} processType - 空间分析方法名。
+                 */
+                me.fire("processcancelled", {taskId: taskId, processType: type});
+            }
+        });
+    }
+
+    _processCompleted(result, callback, addFeaturesToMap) {
+        if (addFeaturesToMap) {
+            var features = this._toFeatures(result);
+            if (features.length) {
+                this.features = this.features.concat(features);
+                this._render();
+            }
+        }
+        if (callback) {
+            callback(result);
+        }
+    }
+
+    //分析结果可能是要素集合、要素、几何对象或者数值等非 GeoJSON 对象，只有前三种可以添加到图层
+    _toFeatures(result) {
+        if (!result || typeof result !== 'object') {
+            return [];
+        }
+        if (result.type === 'FeatureCollection') {
+            return (result.features || []).filter(function (feature) {
+                return feature && feature.geometry;
+            });
+        }
+        if (result.type === 'Feature') {
+            return result.geometry ? [result] : [];
+        }
+        if (result.coordinates || result.geometries) {
+            return [turf.feature(result)];
+        }
+        return [];
+    }
+
+    _render() {
+        var source = this.map && this.map.getSource(this.id);
+        source && source.setData(this._toFeatureCollection());
+    }
+
+    _toFeatureCollection() {
+        return {
+            type: 'FeatureCollection',
+            features: this.features
+        };
+    }
+
+    _getLayerTypes() {
+        return [{
+            name: 'polygon',
+            type: 'fill',
+            geometryType: 'Polygon',
+            paint: this.polygonStyle
+        }, {
+            name: 'line',
+            type: 'line',
+            geometryType: 'LineString',
+            paint: this.lineStyle
+        }, {
+            name: 'point',
+            type: 'circle',
+            geometryType: 'Point',
+            paint: this.pointStyle
+        }];
+    }
+}
+
+mapboxgl.supermap.TurfLayer = TurfLayer;
@@ -14,7 +14,7 @@ import {GeoFeature} from './theme/GeoFeatureThemeLayer';
  * @param {Object} opt_options - 参数。
  * @param {string} opt_options.themeField - 指定创建专题图字段。
  * @param {Object} opt_options.style - 专题图样式。
- * @param {Object} opt_options.styleGroups - 各专题类型样式组。
+ * @param {Object} opt_options.styleGroups - 各专题类型样式组。可以使用 {@link SuperMap.ColorRamp.getUniqueStyleGroups} 根据单值和色带生成。
  * @param {mapboxgl.Map} opt_options.map - 当前 mapboxgl map 对象。
  * @param {string} [opt_options.id] - 专题图层 ID。默认使用 CommonUtil.createUniqueID("themeLayer_") 创建专题图层 ID。
  * @param {boolean} [opt_options.loadWhileAnimating=true] - 是否实时重绘。
@@ -8,12 +8,15 @@ import {Util} from "../../core/Util";
 
 /**
  * @class mapboxgl.supermap.Graphic
- * @classdesc 高效率点图层点要素类。
+ * @classdesc 高效率点图层要素类。除点要素外，也支持线要素和面要素。
  * @category  Visualization Graphic
- * @param {(Object|Array.<number>)} lngLat - 坐标。格式：经纬度数组或包含{lng,lat}格式对象。
+ * @param {(Object|Array.<number>|GeoJSONObject)} lngLat - 坐标。格式：经纬度数组或包含{lng,lat}格式对象；
+ *                                                      线要素和面要素传入 GeoJSON 格式的 LineString 或 Polygon 几何对象。
  * @param {Object} style - 图形参数。
- * @param {Array.<number>} [style.color] - 点颜色。目前只支持 rgba 数组。
+ * @param {Array.<number>} [style.color] - 点颜色，也是线要素、面要素边线的颜色。目前只支持 rgba 数组。
  * @param {Object} [style.radius] - 点半径。
+ * @param {number} [style.width] - 线要素、面要素边线的宽度，单位像素。为 0 时面要素不绘制边线。
+ * @param {Array.<number>} [style.fillColor] - 面要素的填充颜色。目前只支持 rgba 数组。
  * @param {Object} [attributes] - 属性信息。
  * @example
  * var graphic = new mapboxgl.supermap.Graphic(
@@ -25,11 +28,22 @@ import {Util} from "../../core/Util";
  *         radius:30
  *    }
  * });
+ * var road = new mapboxgl.supermap.Graphic({
+ *     type: 'LineString',
+ *     coordinates: [[116, 39], [116.1, 39.1]]
+ * }, {
+ *     color: [255, 0, 0, 255],
+ *     width: 2
+ * });
  */
 export class Graphic {
     constructor(lngLat, style, attributes) {
 
-        this.lngLat = Util.isArray(lngLat) ? {lng: lngLat[0], lat: lngLat[1]} : lngLat;
+        if (lngLat && lngLat.type && lngLat.coordinates) {
+            this.setGeometry(lngLat);
+        } else {
+            this.setLngLat(lngLat);
+        }
         this.style = Util.extend({}, style);
         this.attributes = attributes;
     }
@@ -54,10 +68,14 @@ export class Graphic {
 
     /**
      * @function mapboxgl.supermap.Graphic.prototype.getLngLat
-     * @description 获取经纬度坐标。
+     * @description 获取经纬度坐标。线要素和面要素返回范围的中心点。
      * @returns {Object} 经纬度坐标,数据格式{lng,lat}。
      */
     getLngLat() {
+        if (!this.lngLat && this.geometry) {
+            let bounds = this.getBounds();
+            this.lngLat = {lng: (bounds[0] + bounds[2]) / 2, lat: (bounds[1] + bounds[3]) / 2};
+        }
         return this.lngLat;
     }
 
@@ -68,14 +86,79 @@ export class Graphic {
      */
     setLngLat(lngLat) {
         this.lngLat = Util.isArray(lngLat) ? {lng: lngLat[0], lat: lngLat[1]} : lngLat;
+        this.geometry = null;
+        this._bounds = null;
+    }
+
+    /**
+     * @function mapboxgl.supermap.Graphic.prototype.getGeometry
+     * @description 获取 GeoJSON 格式的几何对象。
+     * @returns {GeoJSONObject} 几何对象，点要素返回 Point 几何对象。
+     */
+    getGeometry() {
+        if (this.geometry) {
+            return this.geometry;
+        }
+        let lngLat = this.lngLat;
+        return lngLat && {type: 'Point', coordinates: [lngLat.lng, lngLat.lat]};
+    }
+
+    /**
+     * @function mapboxgl.supermap.Graphic.prototype.setGeometry
+     * @description 设置 GeoJSON 格式的几何对象。
+     * @param {GeoJSONObject} geometry - Point、LineString 或 Polygon 几何对象。
+     */
+    setGeometry(geometry) {
+        if (geometry.type === 'Point') {
+            this.setLngLat(geometry.coordinates);
+            return;
+        }
+        this.geometry = geometry;
+        this.lngLat = null;
+        this._bounds = null;
+    }
+
+    /**
+     * @function mapboxgl.supermap.Graphic.prototype.getGeometryType
+     * @description 获取几何类型。
+     * @returns {string} 几何类型，"Point"，"LineString" 或 "Polygon"。
+     */
+    getGeometryType() {
+        return this.geometry ? this.geometry.type : 'Point';
+    }
+
+    /**
+     * @function mapboxgl.supermap.Graphic.prototype.getBounds
+     * @description 获取要素的经纬度范围。
+     * @returns {Array.<number>} 经纬度范围，格式为 [west, south, east, north]。
+     */
+    getBounds() {
+        if (!this.geometry) {
+            let lngLat = this.lngLat;
+            return lngLat && [lngLat.lng, lngLat.lat, lngLat.lng, lngLat.lat];
+        }
+        if (!this._bounds) {
+            let coordinates = this.geometry.type === 'Polygon' ? this.geometry.coordinates[0] : this.geometry.coordinates;
+            let bounds = [Infinity, Infinity, -Infinity, -Infinity];
+            coordinates.forEach(function (coordinate) {
+                bounds[0] = Math.min(bounds[0], coordinate[0]);
+                bounds[1] = Math.min(bounds[1], coordinate[1]);
+                bounds[2] = Math.max(bounds[2], coordinate[0]);
+                bounds[3] = Math.max(bounds[3], coordinate[1]);
+            });
+            this._bounds = bounds;
+        }
+        return this._bounds;
     }
 
     /**
      * @function mapboxgl.supermap.Graphic.prototype.setStyle
-     * @description 设置点样式。
+     * @description 设置样式。
      * @param {Object} style -样式选项。
      * @param {Array} [style.color] - 颜色。
      * @param {number} [style.radius] - 半径。
+     * @param {number} [style.width] - 线要素、面要素边线的宽度，单位像素。
+     * @param {Array} [style.fillColor] - 面要素的填充颜色。
      */
     setStyle(style) {
         this.style = Util.extend(this.style, style);
@@ -14,6 +14,9 @@ export {GraphicLayer} from "./GraphicLayer";
 export {ThreeLayer} from './ThreeLayer';
 export {HeatMapLayer} from './HeatMapLayer';
 export {DeckglLayer} from './DeckglLayer';
+export {DataFlowLayer} from './DataFlowLayer';
+export {ElasticSearchGeoAdapter} from './ElasticSearchGeoAdapter';
+export {TurfLayer} from './TurfLayer';
 export * from './graphic';
 export * from './mapv';
 export * from './theme';
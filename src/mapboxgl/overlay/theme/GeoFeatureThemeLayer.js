@@ -3,7 +3,15 @@
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
 import mapboxgl from 'mapbox-gl';
 import '../../core/Base';
-import {CommonUtil as Util, ThemeVector as Vector, ShapeFactory} from '@supermap/iclient-common';
+import {
+    CommonUtil as Util,
+    ThemeVector as Vector,
+    ShapeFactory,
+    GeometryPoint as Point,
+    GeometryVector,
+    PointCluster,
+    ClusterSymbol
+} from '@supermap/iclient-common';
 import {Theme} from './ThemeLayer';
 
 /**
@@ -24,6 +32,12 @@ import {Theme} from './ThemeLayer';
  *                                        此属性可强制将数据 feature 的 style 中有效属性应用到专题要素上，且拥有比图层 style 和 styleGroups 更高的优先级，使专题要素
  *                                        的样式脱离专题图层的控制。可以通过此方式实现对特殊数据（feature） 对应专题要素赋予独立 style。
  * @param {number} [opt_options.opacity=1] - 图层透明度。
+ * @param {(boolean|Object)} [opt_options.cluster] - 点要素聚类参数。设置后按地图级别聚合几何对象为点的要素，聚类要素使用聚类符号绘制，其他要素不参与聚类。
+ * @param {number} [opt_options.cluster.radius=60] - 聚类半径，单位像素。
+ * @param {number} [opt_options.cluster.maxZoom=16] - 生成聚类的最大级别，大于此级别时显示全部点要素。
+ * @param {string} [opt_options.cluster.field] - 统计字段，聚类的统计值为成员要素该属性值之和，符号大小随统计值变化。不设置时使用成员个数。
+ * @param {boolean} [opt_options.cluster.zoomOnClick=true] - 点击聚类时是否放大到聚类展开的级别。
+ * @param {Object} [opt_options.cluster.symbol] - 聚类符号参数，参考 {@link SuperMap.ClusterSymbol}。
  * @extends {mapboxgl.supermap.ThemeLayer}
  * @fires mapboxgl.supermap.GeoFeatureThemeLayer#beforefeaturesadded
  */
@@ -83,7 +97,16 @@ export class GeoFeature extends Theme {
         this.cacheFields = opt_options.cacheFields || [];
         this.maxCacheCount = opt_options.maxCacheCount || 0;
         this.isCustomSetMaxCacheCount = opt_options.isCustomSetMaxCacheCount === undefined ? false : opt_options.isCustomSetMaxCacheCount;
+        this._initCluster(opt_options.cluster);
+    }
 
+    /**
+     * @function mapboxgl.supermap.GeoFeatureThemeLayer.prototype.onAdd
+     * @description 向底图添加该图层。
+     */
+    onAdd(map) {
+        super.onAdd(map);
+        this.renderer.on('click', this._handleClusterClick.bind(this));
     }
 
     /**
@@ -145,7 +168,7 @@ export class GeoFeature extends Theme {
         //清除当前所有可视元素
         this.renderer.clearAll();
 
-        var features = this.features;
+        var features = this._pointCluster ? this._getClusteredFeatures() : this.features;
         var cache = this.cache;
         var cacheFields = this.cacheFields;
         var cmZoom = this.map.getZoom();
@@ -172,7 +195,8 @@ export class GeoFeature extends Theme {
                 cache[fields].updateAndAddShapes();
             } else {
                 //如果专题要素缓存不存在，创建专题要素
-                thematicFeature = this.createThematicFeature(features[i]);
+                //聚类要素使用聚类符号样式，不按专题字段取样式
+                thematicFeature = this.isCluster(feature) ? GeoFeature.prototype.createThematicFeature.call(this, feature) : this.createThematicFeature(feature);
 
                 //检查 thematicFeature 是否有可视化图形
                 if (thematicFeature.getShapesCount() < 1) {
@@ -207,7 +231,7 @@ export class GeoFeature extends Theme {
      * @param {SuperMap.Feature.Vector} feature - 要素对象。
      */
     createThematicFeature(feature) {
-        var style = Util.copyAttributesWithClip(this.style);
+        var style = this.isCluster(feature) ? feature.style : Util.copyAttributesWithClip(this.style);
         if (feature.style && this.isAllowFeatureStyle === true) {
             style = Util.copyAttributesWithClip(feature.style);
         }
@@ -268,6 +292,67 @@ export class GeoFeature extends Theme {
         }
     }
 
+    /**
+     * @function mapboxgl.supermap.GeoFeatureThemeLayer.prototype.getFeatureById
+     * @description 通过给定一个 id，返回对应的矢量要素，包括当前绘制的聚类要素。
+     * @param {string} featureId - 矢量要素的属性 id。
+     * @returns {SuperMap.Feature.Vector} 对应 id 的 feature，如果不存在则返回 null。
+     */
+    getFeatureById(featureId) {
+        return (this._clusterFeatures && this._clusterFeatures[featureId]) || Theme.prototype.getFeatureById.call(this, featureId);
+    }
+
+    /**
+     * @function mapboxgl.supermap.GeoFeatureThemeLayer.prototype.setCluster
+     * @description 开启、关闭点要素聚类或者修改聚类参数。
+     * @param {(boolean|Object)} cluster - 聚类参数，参考构造参数 opt_options.cluster。为 false 时关闭聚类。
+     */
+    setCluster(cluster) {
+        this.cluster = cluster;
+        this._initCluster(cluster);
+        if (this.renderer) {
+            this.redrawThematicFeatures(this.map.getBounds());
+        }
+    }
+
+    /**
+     * @function mapboxgl.supermap.GeoFeatureThemeLayer.prototype.isCluster
+     * @description 判断要素是否为聚类要素。聚类要素的属性包含成员个数 count 和统计值 value。
+     * @param {SuperMap.Feature.Vector} feature - 要素。
+     * @returns {boolean} 是否为聚类要素。
+     */
+    isCluster(feature) {
+        return !!feature && !!feature._cluster;
+    }
+
+    /**
+     * @function mapboxgl.supermap.GeoFeatureThemeLayer.prototype.getClusterFeatures
+     * @description 获取聚类要素包含的全部点要素。
+     * @param {SuperMap.Feature.Vector} feature - 聚类要素。
+     * @returns {Array.<SuperMap.Feature.Vector>} 点要素数组。
+     */
+    getClusterFeatures(feature) {
+        if (!this.isCluster(feature) || !this._pointCluster) {
+            return [];
+        }
+        return this._pointCluster.getLeaves(feature._cluster);
+    }
+
+    /**
+     * @function mapboxgl.supermap.GeoFeatureThemeLayer.prototype.expandCluster
+     * @description 以聚类要素为中心放大地图，直到聚类展开为多个要素。
+     * @param {SuperMap.Feature.Vector} feature - 聚类要素。
+     */
+    expandCluster(feature) {
+        if (!this.isCluster(feature) || !this._pointCluster || !this.map) {
+            return;
+        }
+        this.map.easeTo({
+            center: feature._cluster.coordinates,
+            zoom: this._pointCluster.getExpansionZoom(feature._cluster)
+        });
+    }
+
     /**
      * @function mapboxgl.supermap.GeoFeatureThemeLayer.prototype.setMaxCacheCount
      * @param {number} [featureID=si.refDataID] - 要素 ID。
@@ -288,6 +373,70 @@ export class GeoFeature extends Theme {
         return list;
     }
 
+    //获取需要绘制的要素：聚类要素、未被聚合的点要素以及其他要素。要素数据变化后重建聚类索引
+    _getClusteredFeatures() {
+        var me = this;
+        if (me._clusterDirty || me._clusterSource !== me.features) {
+            me._pointCluster.load(me.features);
+            me._clusterSource = me.features;
+            me._clusterDirty = false;
+        }
+        var features = me.features.filter(function (feature) {
+            return !(feature.geometry instanceof Point);
+        });
+        me._clusterFeatures = {};
+        me._pointCluster.getClusters([-180, -90, 180, 90], me.map.getZoom()).forEach(function (item) {
+            features.push(PointCluster.isCluster(item) ? me._getClusterFeature(item) : item);
+        });
+        return features;
+    }
+
+    _getClusterFeature(cluster) {
+        var feature = new GeometryVector(new Point(cluster.coordinates[0], cluster.coordinates[1]), {
+            count: cluster.count,
+            value: cluster.value
+        }, this._clusterSymbol.getFeatureStyle(cluster, this._pointCluster.totalValue));
+        feature.id = "cluster_" + cluster.zoom + "_" + cluster.id;
+        feature._cluster = cluster;
+        this._clusterFeatures[feature.id] = feature;
+        return feature;
+    }
+
+    _initCluster(cluster) {
+        this._clusterFeatures = {};
+        if (!cluster) {
+            this._pointCluster = null;
+            this._clusterSymbol = null;
+            return;
+        }
+        var options = cluster === true ? {} : cluster;
+        var field = options.field;
+        this._pointCluster = new PointCluster({
+            radius: options.radius,
+            maxZoom: options.maxZoom,
+            //mapbox gl 的级别按 512 像素的瓦片计算
+            tileSize: 512,
+            getCoordinates: function (feature) {
+                return feature.geometry instanceof Point ? [feature.geometry.x, feature.geometry.y] : null;
+            },
+            getValue: field ? function (feature) {
+                return feature.attributes && feature.attributes[field];
+            } : null
+        });
+        this._clusterSymbol = new ClusterSymbol(options.symbol);
+        this._clusterZoomOnClick = options.zoomOnClick !== false;
+        this._clusterDirty = true;
+    }
+
+    //点击聚类要素时放大地图
+    _handleClusterClick(event) {
+        if (!this._pointCluster || !this._clusterZoomOnClick || !event.target || !event.target.refDataID) {
+            return;
+        }
+        var feature = this._clusterFeatures[event.target.refDataID];
+        feature && this.expandCluster(feature);
+    }
+
 }
 
 mapboxgl.supermap.GeoFeatureThemeLayer = GeoFeature;
\ No newline at end of file
@@ -19,6 +19,8 @@ import {AddressMatchService as CommonAddressMatchService} from '@supermap/iclien
  * @param {Object} options - 交互时所需可选参数。
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @extends {mapboxgl.supermap.ServiceBase}
  */
@@ -32,12 +34,16 @@ export class AddressMatchService extends ServiceBase {
      * @description 获取正向地址匹配结果。
      * @param {Object} params - 正向匹配参数。
      * @param {RequestCallback} callback - 请求结果的回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     code(params, callback) {
         var me = this;
         var addressMatchService = new CommonAddressMatchService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -45,7 +51,7 @@ export class AddressMatchService extends ServiceBase {
                 processFailed: callback
             }
         });
-        addressMatchService.code(me.url + '/geocoding', params);
+        return addressMatchService.code(me.url + '/geocoding', params);
     }
 
     /**
@@ -53,12 +59,16 @@ export class AddressMatchService extends ServiceBase {
      * @description 获取反向地址匹配结果。
      * @param {Object} params -反向匹配参数。
      * @param {RequestCallback} callback - 请求结果的回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     decode(params, callback) {
         var me = this;
         var addressMatchService = new CommonAddressMatchService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -66,7 +76,7 @@ export class AddressMatchService extends ServiceBase {
                 processFailed: callback
             }
         });
-        addressMatchService.decode(me.url + '/geodecoding', params);
+        return addressMatchService.decode(me.url + '/geodecoding', params);
     }
 
 }
@@ -20,13 +20,22 @@ import {DataFlowService as DataFlow} from '@supermap/iclient-common';
  * @param {Object} options - 加载实时数据可选参数。
  * @param {Array.<Object>} [options.geometry] - 设置增添的几何要素对象数组。
  * @param {Object} [options.excludeField] - 排除字段。
+ * @param {(Object|boolean)} [options.reconnect] - 自动重连策略，设为 false 时不自动重连。参数说明参考 {@link SuperMap.DataFlowService}。
+ * @param {number} [options.batchInterval=0] - 订阅数据的合并间隔，单位毫秒。大于 0 时同一要素在一个间隔内只触发一次 messageSucceeded 事件。
+ * @param {string} [options.idField='id'] - 要素属性中表示唯一标识的字段。
+ * @param {number} [options.maxBufferSize=1000] - 待发送的广播数据和待触发的订阅数据的最大缓存个数。
+ * @param {(string|function)} [options.filter] - 订阅数据的属性过滤条件表达式或过滤函数，参考 {@link SuperMap.AttributeFilter}。
+ * @param {Array.<string>} [options.fields] - 订阅数据保留的属性字段。
  * @fires mapboxgl.supermap.DataFlowService#broadcastSocketConnected
  * @fires mapboxgl.supermap.DataFlowService#broadcastSocketError
  * @fires mapboxgl.supermap.DataFlowService#broadcastFailed
  * @fires mapboxgl.supermap.DataFlowService#broadcastSucceeded
  * @fires mapboxgl.supermap.DataFlowService#subscribeSocketError
  * @fires mapboxgl.supermap.DataFlowService#messageSucceeded
+ * @fires mapboxgl.supermap.DataFlowService#messageFiltered
  * @fires mapboxgl.supermap.DataFlowService#setFilterParamSucceeded
+ * @fires mapboxgl.supermap.DataFlowService#broadcastSocketReconnecting
+ * @fires mapboxgl.supermap.DataFlowService#subscribeSocketReconnecting
  */
 export class DataFlowService extends ServiceBase {
 
@@ -66,10 +75,22 @@ export class DataFlowService extends ServiceBase {
          * @event mapboxgl.supermap.DataFlowService#messageSucceeded
          * @description 获取信息成功。
          */
+        /**
+         * @event mapboxgl.supermap.DataFlowService#messageFiltered
+         * @description 收到不满足过滤条件的数据。事件对象的 featureId 属性为要素的唯一标识，图层据此移除该要素。
+         */
         /**
          * @event mapboxgl.supermap.DataFlowService#setFilterParamSucceeded
          * @description 设置过滤参数成功。
          */
+        /**
+         * @event mapboxgl.supermap.DataFlowService#broadcastSocketReconnecting
+         * @description broadcast Socket 意外断开，准备重连。事件对象的 attempt 属性为重连次数，delay 属性为等待时间（毫秒）。
+         */
+        /**
+         * @event mapboxgl.supermap.DataFlowService#subscribeSocketReconnecting
+         * @description 订阅数据连接意外断开，准备重连。事件对象的 attempt 属性为重连次数，delay 属性为等待时间（毫秒）。
+         */
 
         this.dataFlow.events.on({
             "broadcastSocketConnected": this._defaultEvent,
@@ -79,7 +100,10 @@ export class DataFlowService extends ServiceBase {
             "subscribeSocketConnected": this._defaultEvent,
             "subscribeSocketError": this._defaultEvent,
             "messageSucceeded": this._defaultEvent,
+            "messageFiltered": this._defaultEvent,
             "setFilterParamSucceeded": this._defaultEvent,
+            "broadcastSocketReconnecting": this._defaultEvent,
+            "subscribeSocketReconnecting": this._defaultEvent,
             scope: this
         });
         var me = this;
@@ -146,6 +170,28 @@ export class DataFlowService extends ServiceBase {
         return this;
     }
 
+    /**
+     * @function mapboxgl.supermap.DataFlowService.prototype.setFilter
+     * @description 设置订阅数据的属性过滤条件。
+     * @param {(string|function)} filter - 过滤条件表达式或过滤函数，为空时不过滤。
+     */
+    setFilter(filter) {
+        this.dataFlow.setFilter(filter);
+        this.options.filter = filter;
+        return this;
+    }
+
+    /**
+     * @function mapboxgl.supermap.DataFlowService.prototype.setFields
+     * @description 设置订阅数据保留的属性字段。
+     * @param {Array.<string>} fields - 保留的属性字段，为空时保留全部字段。
+     */
+    setFields(fields) {
+        this.dataFlow.setFields(fields);
+        this.options.fields = fields;
+        return this;
+    }
+
     /**
      * @function mapboxgl.supermap.DataFlowService.prototype.unSubscribe
      * @description 结束订阅数据。
@@ -19,6 +19,8 @@ import {GetFieldsService, FieldStatisticService} from '@supermap/iclient-common'
  * @param {Object} options - 参数。
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @extends {mapboxgl.supermap.ServiceBase}
  */
@@ -32,12 +34,16 @@ export class FieldService extends ServiceBase {
      * @description 字段查询服务。
      * @param {SuperMap.FieldParameters} params - 字段信息查询参数类。
      * @param {RequestCallback} callback 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getFields(params, callback) {
         var me = this;
         var getFieldsService = new GetFieldsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -47,7 +53,7 @@ export class FieldService extends ServiceBase {
             datasource: params.datasource,
             dataset: params.dataset
         });
-        getFieldsService.processAsync();
+        return getFieldsService.processAsync();
     }
 
     /**
@@ -25,6 +25,8 @@ import {
  * @param {Object} options - 服务所需可选参数。
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  */
 export class LayerInfoService extends ServiceBase {
@@ -37,20 +39,23 @@ export class LayerInfoService extends ServiceBase {
      * @function mapboxgl.supermap.LayerInfoService.prototype.getLayersInfo
      * @description 获取图层信息服务。
      * @param {RequestCallback} callback - 回调函数。
-     * @returns {mapboxgl.supermap.LayerInfoService} 返回图层信息类。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getLayersInfo(callback) {
         var me = this;
         var getLayersInfoService = new GetLayersInfoService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
                 processFailed: callback
             }
         });
-        getLayersInfoService.processAsync();
+        return getLayersInfoService.processAsync();
     }
 
     /**
@@ -58,6 +63,7 @@ export class LayerInfoService extends ServiceBase {
      * @description 设置图层信息服务。可以实现临时图层中子图层的修改。
      * @param {SuperMap.SetLayerInfoParameters} params - 设置图层信息参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     setLayerInfo(params, callback) {
         if (!params) {
@@ -75,13 +81,16 @@ export class LayerInfoService extends ServiceBase {
         var setLayerInfoService = new SetLayerInfoService(url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
                 processFailed: callback
             }
         });
-        setLayerInfoService.processAsync(layerInfoParams);
+        return setLayerInfoService.processAsync(layerInfoParams);
     }
 
     /**
@@ -89,6 +98,7 @@ export class LayerInfoService extends ServiceBase {
      * @description 设置图层信息服务。可以实现创建新的临时图层和对现有临时图层的修改。
      * @param {SuperMap.SetLayersInfoParameters} params - 设置图层信息参数类,包括临时图层。 
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     setLayersInfo(params, callback) {
         if (!params) {
@@ -104,6 +114,9 @@ export class LayerInfoService extends ServiceBase {
         var setLayersInfoService = new SetLayersInfoService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
@@ -112,7 +125,7 @@ export class LayerInfoService extends ServiceBase {
             resourceID: resourceID,
             isTempLayers: isTempLayers
         });
-        setLayersInfoService.processAsync(layersInfo);
+        return setLayersInfoService.processAsync(layersInfo);
     }
 
     /**
@@ -120,6 +133,7 @@ export class LayerInfoService extends ServiceBase {
      * @description 子图层显示控制服务。负责将子图层显示控制参数传递到服务端，并获取服务端返回的图层显示状态。
      * @param {SuperMap.SetLayerStatusParameters} params - 子图层显示控制参数类。
      * @param {RequestCallback} callback 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     setLayerStatus(params, callback) {
         if (!params) {
@@ -129,13 +143,16 @@ export class LayerInfoService extends ServiceBase {
         var setLayerStatusService = new SetLayerStatusService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
                 processFailed: callback
             }
         });
-        setLayerStatusService.processAsync(params);
+        return setLayerStatusService.processAsync(params);
     }
 }
 
@@ -15,6 +15,8 @@ import {MapService as CommonMapService, TilesetsService} from '@supermap/iclient
  * @param {Object} options - 地图服务信息相关参数。 
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @example
  * new mapboxgl.supermap.MapService(url)
@@ -32,13 +34,16 @@ export class MapService extends ServiceBase {
      * @function mapboxgl.supermap.MapService.prototype.getMapInfo
      * @description 地图信息查询服务。
      * @param {RequestCallback} callback 回调函数。
-     * @returns {mapboxgl.supermap.MapService} 获取服务信息。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getMapInfo(callback) {
         var me = this;
         var getMapStatusService = new CommonMapService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -46,20 +51,23 @@ export class MapService extends ServiceBase {
                 processFailed: callback
             }, projection: me.options.projection
         });
-        getMapStatusService.processAsync();
+        return getMapStatusService.processAsync();
     }
 
     /**
      * @function mapboxgl.supermap.MapService.prototype.getTilesets
      * @description 切片列表信息查询服务。
      * @param {RequestCallback} callback - 回调函数 。
-     * @returns {mapboxgl.supermap.MapService} 获取服务信息。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getTilesets(callback) {
         var me = this;
         var tilesetsService = new TilesetsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -67,7 +75,7 @@ export class MapService extends ServiceBase {
                 processFailed: callback
             }
         });
-        tilesetsService.processAsync();
+        return tilesetsService.processAsync();
     }
 }
 
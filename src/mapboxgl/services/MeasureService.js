@@ -15,6 +15,8 @@ import {Geometry, MeasureService as CommonMeasureService} from '@supermap/iclien
  * @param {Object} options - 交互服务时所需可选参数。 
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {SuperMap.MeasureMode} [options.measureMode=SuperMap.MeasureMode.DISTANCE] - 量算模式，包括距离量算模式和面积量算模式。
  */
@@ -29,9 +31,10 @@ export class MeasureService extends ServiceBase {
      * @description 距离测量。
      * @param {SuperMap.MeasureParameters} params - 测量相关参数类。
      * @param {RequestCallback} callback 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     measureDistance(params, callback) {
-        this.measure(params, 'DISTANCE', callback);
+        return this.measure(params, 'DISTANCE', callback);
     }
 
     /**
@@ -39,9 +42,10 @@ export class MeasureService extends ServiceBase {
      * @description 面积测量。
      * @param {SuperMap.MeasureParameters} params - 测量相关参数类。
      * @param {RequestCallback} callback 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     measureArea(params, callback) {
-        this.measure(params, 'AREA', callback);
+        return this.measure(params, 'AREA', callback);
     }
 
     /**
@@ -50,13 +54,16 @@ export class MeasureService extends ServiceBase {
      * @param {SuperMap.MeasureParameters} params - 测量相关参数类。
      * @param {string} type - 测量类型。
      * @param {RequestCallback} callback - 回调函数。
-     * @returns {mapboxgl.supermap.MeasureService} 测量服务。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     measure(params, type, callback) {
         var me = this;
         var measureService = new CommonMeasureService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             measureMode: type,
             eventListeners: {
@@ -65,7 +72,7 @@ export class MeasureService extends ServiceBase {
                 processFailed: callback
             }
         });
-        measureService.processAsync(me._processParam(params));
+        return measureService.processAsync(me._processParam(params));
     }
 
     _processParam(params) {
@@ -32,6 +32,8 @@ import {
  * @param {Object} options - 交互服务时所需可选参数。
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  */
 export class ProcessingService extends ServiceBase {
@@ -54,6 +56,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取密度分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getKernelDensityJobs(callback, resultFormat) {
         var me = this,
@@ -61,6 +64,9 @@ export class ProcessingService extends ServiceBase {
         var kernelDensityJobsService = new KernelDensityJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -69,7 +75,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        kernelDensityJobsService.getKernelDensityJobs();
+        return kernelDensityJobsService.getKernelDensityJobs();
     }
 
     /**
@@ -78,6 +84,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的id。 
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getKernelDensityJob(id, callback, resultFormat) {
         var me = this,
@@ -85,6 +92,9 @@ export class ProcessingService extends ServiceBase {
         var kernelDensityJobsService = new KernelDensityJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -93,7 +103,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        kernelDensityJobsService.getKernelDensityJob(id);
+        return kernelDensityJobsService.getKernelDensityJob(id);
     }
 
     /**
@@ -103,6 +113,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback 请求结果的回调函数。 
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。 
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addKernelDensityJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -111,6 +122,9 @@ export class ProcessingService extends ServiceBase {
         var kernelDensityJobsService = new KernelDensityJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             eventListeners: {
                 scope: me,
                 processCompleted: callback,
@@ -121,7 +135,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        kernelDensityJobsService.addKernelDensityJob(param, seconds);
+        return kernelDensityJobsService.addKernelDensityJob(param, seconds);
     }
 
     /**
@@ -139,6 +153,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取点聚合分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryMeshJobs(callback, resultFormat) {
         var me = this,
@@ -146,6 +161,9 @@ export class ProcessingService extends ServiceBase {
         var summaryMeshJobsService = new SummaryMeshJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -154,7 +172,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryMeshJobsService.getSummaryMeshJobs();
+        return summaryMeshJobsService.getSummaryMeshJobs();
     }
 
     /**
@@ -163,6 +181,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 id。 
      * @param {function} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryMeshJob(id, callback, resultFormat) {
         var me = this,
@@ -170,6 +189,9 @@ export class ProcessingService extends ServiceBase {
         var summaryMeshJobsService = new SummaryMeshJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -178,7 +200,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryMeshJobsService.getSummaryMeshJob(id);
+        return summaryMeshJobsService.getSummaryMeshJob(id);
     }
 
     /**
@@ -188,6 +210,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback 请求结果的回调函数。 
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addSummaryMeshJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -196,6 +219,9 @@ export class ProcessingService extends ServiceBase {
         var summaryMeshJobsService = new SummaryMeshJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             eventListeners: {
                 scope: me,
                 processCompleted: callback,
@@ -206,7 +232,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryMeshJobsService.addSummaryMeshJob(param, seconds);
+        return summaryMeshJobsService.addSummaryMeshJob(param, seconds);
     }
 
     /**
@@ -224,6 +250,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取单对象查询分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getQueryJobs(callback, resultFormat) {
         var me = this,
@@ -231,6 +258,9 @@ export class ProcessingService extends ServiceBase {
         var singleObjectQueryJobsService = new SingleObjectQueryJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -239,7 +269,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        singleObjectQueryJobsService.getQueryJobs();
+        return singleObjectQueryJobsService.getQueryJobs();
     }
 
     /**
@@ -248,6 +278,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 id。 
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getQueryJob(id, callback, resultFormat) {
         var me = this,
@@ -255,6 +286,9 @@ export class ProcessingService extends ServiceBase {
         var singleObjectQueryJobsService = new SingleObjectQueryJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -263,7 +297,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        singleObjectQueryJobsService.getQueryJob(id);
+        return singleObjectQueryJobsService.getQueryJob(id);
     }
 
     /**
@@ -273,6 +307,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。 
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addQueryJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -281,6 +316,9 @@ export class ProcessingService extends ServiceBase {
         var singleObjectQueryJobsService = new SingleObjectQueryJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             eventListeners: {
                 scope: me,
                 processCompleted: callback,
@@ -291,7 +329,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        singleObjectQueryJobsService.addQueryJob(param, seconds);
+        return singleObjectQueryJobsService.addQueryJob(param, seconds);
     }
 
     /**
@@ -309,6 +347,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取区域汇总分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryRegionJobs(callback, resultFormat) {
         var me = this,
@@ -316,6 +355,9 @@ export class ProcessingService extends ServiceBase {
         var summaryRegionJobsService = new SummaryRegionJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -324,7 +366,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryRegionJobsService.getSummaryRegionJobs();
+        return summaryRegionJobsService.getSummaryRegionJobs();
     }
 
     /**
@@ -333,6 +375,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 区域汇总分析的 id。 
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryRegionJob(id, callback, resultFormat) {
         var me = this,
@@ -340,6 +383,9 @@ export class ProcessingService extends ServiceBase {
         var summaryRegionJobsService = new SummaryRegionJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -348,7 +394,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryRegionJobsService.getSummaryRegionJob(id);
+        return summaryRegionJobsService.getSummaryRegionJob(id);
     }
 
     /**
@@ -358,6 +404,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addSummaryRegionJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -366,6 +413,9 @@ export class ProcessingService extends ServiceBase {
         var summaryRegionJobsService = new SummaryRegionJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             eventListeners: {
                 scope: me,
                 processCompleted: callback,
@@ -376,7 +426,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryRegionJobsService.addSummaryRegionJob(param, seconds);
+        return summaryRegionJobsService.addSummaryRegionJob(param, seconds);
     }
 
     /**
@@ -394,6 +444,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取矢量裁剪分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getVectorClipJobs(callback, resultFormat) {
         var me = this,
@@ -401,6 +452,9 @@ export class ProcessingService extends ServiceBase {
         var vectorClipJobsService = new VectorClipJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -409,7 +463,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        vectorClipJobsService.getVectorClipJobs();
+        return vectorClipJobsService.getVectorClipJobs();
     }
 
     /**
@@ -418,6 +472,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 id。 
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getVectorClipJob(id, callback, resultFormat) {
         var me = this,
@@ -425,6 +480,9 @@ export class ProcessingService extends ServiceBase {
         var vectorClipJobsService = new VectorClipJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -433,7 +491,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        vectorClipJobsService.getVectorClipJob(id);
+        return vectorClipJobsService.getVectorClipJob(id);
     }
 
     /**
@@ -443,6 +501,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。 
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addVectorClipJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -451,6 +510,9 @@ export class ProcessingService extends ServiceBase {
         var vectorClipJobsService = new VectorClipJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -462,7 +524,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        vectorClipJobsService.addVectorClipJob(param, seconds);
+        return vectorClipJobsService.addVectorClipJob(param, seconds);
     }
 
     /**
@@ -480,6 +542,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取叠加分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getOverlayGeoJobs(callback, resultFormat) {
         var me = this,
@@ -487,6 +550,9 @@ export class ProcessingService extends ServiceBase {
         var overlayGeoJobsService = new OverlayGeoJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -495,7 +561,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        overlayGeoJobsService.getOverlayGeoJobs();
+        return overlayGeoJobsService.getOverlayGeoJobs();
     }
 
     /**
@@ -504,6 +570,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getOverlayGeoJob(id, callback, resultFormat) {
         var me = this,
@@ -511,6 +578,9 @@ export class ProcessingService extends ServiceBase {
         var overlayGeoJobsService = new OverlayGeoJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -519,7 +589,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        overlayGeoJobsService.getOverlayGeoJob(id);
+        return overlayGeoJobsService.getOverlayGeoJob(id);
     }
 
     /**
@@ -529,6 +599,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。 
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addOverlayGeoJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -537,6 +608,9 @@ export class ProcessingService extends ServiceBase {
         var overlayGeoJobsService = new OverlayGeoJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -548,7 +622,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        overlayGeoJobsService.addOverlayGeoJob(param, seconds);
+        return overlayGeoJobsService.addOverlayGeoJob(param, seconds);
     }
 
     /**
@@ -566,6 +640,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取缓冲区分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getBuffersJobs(callback, resultFormat) {
         var me = this,
@@ -573,6 +648,9 @@ export class ProcessingService extends ServiceBase {
         var buffersAnalystJobsService = new BuffersAnalystJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -581,7 +659,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        buffersAnalystJobsService.getBuffersJobs();
+        return buffersAnalystJobsService.getBuffersJobs();
     }
 
     /**
@@ -590,6 +668,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 ID。 
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getBuffersJob(id, callback, resultFormat) {
         var me = this,
@@ -597,6 +676,9 @@ export class ProcessingService extends ServiceBase {
         var buffersAnalystJobsService = new BuffersAnalystJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -605,7 +687,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        buffersAnalystJobsService.getBuffersJob(id);
+        return buffersAnalystJobsService.getBuffersJob(id);
     }
 
     /**
@@ -615,6 +697,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {number} seconds - 开始创建后，获取创建成功结果的时间间隔。 
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addBuffersJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -623,6 +706,9 @@ export class ProcessingService extends ServiceBase {
         var buffersAnalystJobsService = new BuffersAnalystJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -634,7 +720,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        buffersAnalystJobsService.addBuffersJob(param, seconds);
+        return buffersAnalystJobsService.addBuffersJob(param, seconds);
     }
 
     /**
@@ -652,6 +738,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取拓扑检查分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getTopologyValidatorJobs(callback, resultFormat) {
         var me = this,
@@ -659,6 +746,9 @@ export class ProcessingService extends ServiceBase {
         var topologyValidatorJobsService = new TopologyValidatorJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -667,7 +757,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        topologyValidatorJobsService.getTopologyValidatorJobs();
+        return topologyValidatorJobsService.getTopologyValidatorJobs();
     }
 
     /**
@@ -676,6 +766,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 ID。 
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getTopologyValidatorJob(id, callback, resultFormat) {
         var me = this,
@@ -683,6 +774,9 @@ export class ProcessingService extends ServiceBase {
         var topologyValidatorJobsService = new TopologyValidatorJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -691,7 +785,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        topologyValidatorJobsService.getTopologyValidatorJob(id);
+        return topologyValidatorJobsService.getTopologyValidatorJob(id);
     }
 
     /**
@@ -701,6 +795,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback - 请求结果的回调函数。 
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。 
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addTopologyValidatorJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -709,6 +804,9 @@ export class ProcessingService extends ServiceBase {
         var topologyValidatorJobsService = new TopologyValidatorJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -720,7 +818,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        topologyValidatorJobsService.addTopologyValidatorJob(param, seconds);
+        return topologyValidatorJobsService.addTopologyValidatorJob(param, seconds);
     }
 
     /**
@@ -738,6 +836,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取属性汇总分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryAttributesJobs(callback, resultFormat) {
         var me = this,
@@ -745,6 +844,9 @@ export class ProcessingService extends ServiceBase {
         var summaryAttributesJobsService = new SummaryAttributesJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -753,7 +855,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryAttributesJobsService.getSummaryAttributesJobs();
+        return summaryAttributesJobsService.getSummaryAttributesJobs();
     }
 
     /**
@@ -762,6 +864,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryAttributesJob(id, callback, resultFormat) {
         var me = this,
@@ -769,6 +872,9 @@ export class ProcessingService extends ServiceBase {
         var summaryAttributesJobsService = new SummaryAttributesJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -777,7 +883,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryAttributesJobsService.getSummaryAttributesJob(id);
+        return summaryAttributesJobsService.getSummaryAttributesJob(id);
     }
 
     /**
@@ -787,6 +893,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat}  [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addSummaryAttributesJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -795,6 +902,9 @@ export class ProcessingService extends ServiceBase {
         var summaryAttributesJobsService = new SummaryAttributesJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -806,7 +916,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryAttributesJobsService.addSummaryAttributesJob(param, seconds);
+        return summaryAttributesJobsService.addSummaryAttributesJob(param, seconds);
     }
 
     /**
@@ -23,6 +23,8 @@ import {
  * @param {Object} options - 服务交互时所需的可选参数。 
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @example
  * new mapboxgl.supermap.QueryService(url)
@@ -42,12 +44,16 @@ export class QueryService extends ServiceBase {
      * @param {SuperMap.QueryByBoundsParameters} params - 通过 Bounds 查询的相关参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     queryByBounds(params, callback, resultFormat) {
         var me = this;
         var queryService = new QueryByBoundsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -58,7 +64,7 @@ export class QueryService extends ServiceBase {
             format: me._processFormat(resultFormat)
         });
 
-        queryService.processAsync(me._processParams(params));
+        return queryService.processAsync(me._processParams(params));
     }
 
     /**
@@ -67,12 +73,16 @@ export class QueryService extends ServiceBase {
      * @param {SuperMap.QueryByDistanceParameters} params - Distance 查询相关参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回结果类型
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     queryByDistance(params, callback, resultFormat) {
         var me = this;
         var queryByDistanceService = new QueryByDistanceService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -82,7 +92,7 @@ export class QueryService extends ServiceBase {
             format: me._processFormat(resultFormat)
         });
 
-        queryByDistanceService.processAsync(me._processParams(params));
+        return queryByDistanceService.processAsync(me._processParams(params));
     }
 
     /**
@@ -91,12 +101,16 @@ export class QueryService extends ServiceBase {
      * @param {SuperMap.QueryBySQLParameters} params - SQL 查询相关参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     queryBySQL(params, callback, resultFormat) {
         var me = this;
         var queryBySQLService = new QueryBySQLService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -106,7 +120,7 @@ export class QueryService extends ServiceBase {
             format: me._processFormat(resultFormat)
         });
 
-        queryBySQLService.processAsync(me._processParams(params));
+        return queryBySQLService.processAsync(me._processParams(params));
     }
 
     /**
@@ -115,12 +129,16 @@ export class QueryService extends ServiceBase {
      * @param {SuperMap.QueryByGeometryParameters} params - Geometry 查询相关参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     queryByGeometry(params, callback, resultFormat) {
         var me = this;
         var queryByGeometryService = new QueryByGeometryService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -130,7 +148,7 @@ export class QueryService extends ServiceBase {
             format: me._processFormat(resultFormat)
         });
 
-        queryByGeometryService.processAsync(me._processParams(params));
+        return queryByGeometryService.processAsync(me._processParams(params));
     }
 
 
@@ -21,6 +21,8 @@ import {StopQueryService, TransferPathService, TransferSolutionService} from '@s
  * @param {Object} option - 参数。
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  */
 export class TrafficTransferAnalystService extends ServiceBase {
@@ -34,12 +36,16 @@ export class TrafficTransferAnalystService extends ServiceBase {
      * @description 站点查询服务。
      * @param {SuperMap.StopQueryParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     queryStop(params, callback) {
         var me = this;
         var stopQueryService = new StopQueryService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -47,7 +53,7 @@ export class TrafficTransferAnalystService extends ServiceBase {
                 processFailed: callback
             }
         });
-        stopQueryService.processAsync(params);
+        return stopQueryService.processAsync(params);
     }
 
     /**
@@ -55,12 +61,16 @@ export class TrafficTransferAnalystService extends ServiceBase {
      * @description 交通换乘线路查询服务。
      * @param {SuperMap.TransferPathParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     analysisTransferPath(params, callback) {
         var me = this;
         var transferPathService = new TransferPathService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -68,7 +78,7 @@ export class TrafficTransferAnalystService extends ServiceBase {
                 processFailed: callback
             }
         });
-        transferPathService.processAsync(me._processParams(params));
+        return transferPathService.processAsync(me._processParams(params));
     }
 
     /**
@@ -76,12 +86,16 @@ export class TrafficTransferAnalystService extends ServiceBase {
      * @description 交通换乘方案查询服务。
      * @param {SuperMap.TransferSolutionParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     analysisTransferSolution(params, callback) {
         var me = this;
         var transferSolutionService = new TransferSolutionService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -89,7 +103,7 @@ export class TrafficTransferAnalystService extends ServiceBase {
                 processFailed: callback
             }
         });
-        transferSolutionService.processAsync(me._processParams(params));
+        return transferSolutionService.processAsync(me._processParams(params));
     }
 
     _processParams(params) {
@@ -0,0 +1,59 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import ol from 'openlayers';
+import {FeatureExport as CommonFeatureExport, CommonUtil, Geometry, GeometryVector} from '@supermap/iclient-common';
+import {Graphic} from '../overlay/graphic/Graphic';
+
+ol.supermap = ol.supermap || {};
+
+/**
+ * @class ol.supermap.FeatureExport
+ * @classdesc 要素导出类。除 {@link SuperMap.FeatureExport} 支持的数据外，还支持 {@link ol.Feature}、{@link ol.Graphic}、{@link ol.source.Vector}（如 {@link ol.source.Turf}）、
+ *            {@link ol.source.Graphic}、专题图层数据源以及这些数据源的图层。这些数据的坐标为地图坐标，导出时转换为经纬度坐标。
+ * @category BaseTypes Util
+ * @extends {SuperMap.FeatureExport}
+ * @param {Object} [options] - 参数，其他参数参考 {@link SuperMap.FeatureExport}。
+ * @param {(string|ol.proj.Projection)} [options.featureProjection='EPSG:3857'] - 地图的投影。
+ * @example
+ * new ol.supermap.FeatureExport({featureProjection: map.getView().getProjection()}).download(vectorSource, SuperMap.ExportFormat.GEOJSON);
+ */
+export class FeatureExport extends CommonFeatureExport {
+
+    constructor(options) {
+        super(options);
+        this.featureProjection = (options && options.featureProjection) || 'EPSG:3857';
+        this._olFormat = new ol.format.GeoJSON();
+    }
+
+    _featureToGeoJSON(feature) {
+        let writeOptions = {dataProjection: 'EPSG:4326', featureProjection: this.featureProjection};
+        if (feature instanceof ol.layer.Layer) {
+            return this.toGeoJSON(feature.getSource());
+        }
+        if (feature instanceof ol.Feature) {
+            return this._olFormat.writeFeatureObject(feature, writeOptions);
+        }
+        if (feature instanceof Graphic) {
+            let geojson = {
+                type: 'Feature',
+                geometry: this._olFormat.writeGeometryObject(feature.getGeometry(), writeOptions),
+                properties: CommonUtil.extend({}, feature.getAttributes())
+            };
+            if (feature.getId() !== null && feature.getId() !== undefined) {
+                geojson.id = feature.getId();
+            }
+            return geojson;
+        }
+        //专题图层的要素为地图坐标
+        if (feature instanceof GeometryVector || feature instanceof Geometry) {
+            let geojson = super._featureToGeoJSON(feature);
+            geojson.geometry = geojson.geometry && this._olFormat.writeGeometryObject(this._olFormat.readGeometry(geojson.geometry), writeOptions);
+            return geojson;
+        }
+        return super._featureToGeoJSON(feature);
+    }
+
+}
+
+ol.supermap.FeatureExport = FeatureExport;
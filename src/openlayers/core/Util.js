@@ -11,6 +11,9 @@ import {Unit, Bounds, GeoJSON as GeoJSONFormat, FilterParameter,
 
 ol.supermap = ol.supermap || {};
 
+//Web 墨卡托投影 0 级的分辨率（米/像素）
+const ZERO_ZOOM_RESOLUTION = 156543.03392804097;
+
 /**
  * @class ol.supermap.Util
  * @category BaseTypes Util
@@ -120,6 +123,30 @@ export class Util {
         return resolution;
     }
 
+    /**
+     * @function ol.supermap.Util.resolutionToWebMercatorZoom
+     * @description 将分辨率换算为 Web 墨卡托投影（256 像素瓦片）下像素大小相同的级别，例如用于按像素距离聚类。
+     * @param {number} resolution - 分辨率。
+     * @param {ol.proj.Projection} projection - 分辨率所在的投影。
+     * @returns {number} 级别，可以为小数。
+     */
+    static resolutionToWebMercatorZoom(resolution, projection) {
+        var zoom = Math.log(ZERO_ZOOM_RESOLUTION / (resolution * (projection.getMetersPerUnit() || 1))) / Math.LN2;
+        //消除浮点误差，避免整数级别被向下取整为上一级
+        return Math.round(zoom * 1e6) / 1e6;
+    }
+
+    /**
+     * @function ol.supermap.Util.webMercatorZoomToResolution
+     * @description 将 Web 墨卡托投影（256 像素瓦片）下的级别换算为指定投影的分辨率。
+     * @param {number} zoom - 级别。
+     * @param {ol.proj.Projection} projection - 投影。
+     * @returns {number} 分辨率。
+     */
+    static webMercatorZoomToResolution(zoom, projection) {
+        return ZERO_ZOOM_RESOLUTION / Math.pow(2, zoom) / (projection.getMetersPerUnit() || 1);
+    }
+
     /**
      * @private
      * @function ol.supermap.Util.getMeterPerMapUnit
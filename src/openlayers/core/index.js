@@ -3,4 +3,5 @@
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
 export {StyleUtils} from './StyleUtils';
 export {Util} from './Util';
-export {MapExtend} from './MapExtend';
\ No newline at end of file
+export {MapExtend} from './MapExtend';
+export {FeatureExport} from './FeatureExport';
\ No newline at end of file
@@ -60,6 +60,7 @@ export {
     AggregationQueryBuilderType,
     AggregationType,
     GetFeatureMode,
+    ExportFormat,
     //control
     TimeFlowControl,
     //iManager
@@ -93,6 +94,8 @@ export {
     FetchRequest,
     ColorsPickerUtil,
     ArrayStatistic,
+    Classification,
+    ColorRamp,
     //iServer
     AreaSolarRadiationParameters,
     AggregationParameter,
@@ -254,7 +257,13 @@ export {
     NavTabsPage,
     PaginationContainer,
     widgetsUtil,
-    FileReaderUtil
+    FileReaderUtil,
+    ZipUtil,
+    ShapefileParser,
+    KMLParser,
+    GPXParser,
+    FlatGeobufParser,
+    GeoPackageParser
 }
 from '@supermap/iclient-common';
 
@@ -6,7 +6,8 @@ import {
     FetchRequest,
     SecurityManager,
     ColorsPickerUtil,
-    ArrayStatistic
+    ArrayStatistic,
+    ColorRamp
 } from '@supermap/iclient-common';
 import {
     Util
@@ -131,7 +132,8 @@ export class WebMap extends ol.Observable {
             mapUrl = `${url}.json`
         }
         FetchRequest.get(mapUrl, null, {
-            withCredentials: this.withCredentials
+            withCredentials: this.withCredentials,
+            cache: true
         }).then(function (response) {
             return response.json();
         }).then(function (mapInfo) {
@@ -1272,7 +1274,7 @@ export class WebMap extends ol.Observable {
             source: source
         };
         let themeSetting = layerInfo.themeSetting;
-        layerOptions.gradient = themeSetting.colors.slice();
+        layerOptions.gradient = ColorRamp.getColors(themeSetting.colors);
         layerOptions.radius = parseInt(themeSetting.radius);
         //自定义颜色
         let customSettings = themeSetting.customSettings;
@@ -1520,77 +1522,32 @@ export class WebMap extends ol.Observable {
         let featureType = parameters.featureType,
             themeSetting = parameters.themeSetting,
             style = parameters.style;
-        let count = themeSetting.segmentCount,
-            method = themeSetting.segmentMethod,
-            colors = themeSetting.colors,
+        let colors = themeSetting.colors,
             customSettings = themeSetting.customSettings,
             fieldName = themeSetting.themeField;
         let values = [],
             attributes;
-        let segmentCount = count;
-        let segmentMethod = method;
         let that = this;
         features.forEach(function (feature) {
             attributes = feature.get("Properties") || feature.attributes;
-            try {
-                if (attributes) {
-                    //过滤掉非数值的数据
-                    let value = attributes[fieldName.trim()];
-                    if (value && Util.isNumber(value)) {
-                        values.push(parseFloat(value));
-                    }
-                } else if (feature.get(fieldName) && Util.isNumber(feature.get(fieldName))) {
-                    if (feature.get(fieldName)) {
-                        values.push(parseFloat(feature.get(fieldName)));
-                    }
-                }
-            } catch (e) {
-                that.errorCallback && that.errorCallback(e);
-            }
-
+            //空值和非数值的数据在分段时过滤掉
+            values.push(attributes ? attributes[fieldName.trim()] : feature.get(fieldName));
         });
 
-        let segements;
+        let rangeSegments;
         try {
-            segements = ArrayStatistic.getArraySegments(values, segmentMethod, segmentCount);
+            rangeSegments = ArrayStatistic.getRangeSegments(values, themeSetting);
         } catch (e) {
             that.errorCallback && that.errorCallback(e);
         }
-        if (segements) {
-            let itemNum = segmentCount;
-            if (attributes && segements[0] === segements[attributes.length - 1]) {
-                itemNum = 1;
-                segements.length = 2;
-            }
-
-            //保留两位有效数
-            for (let key in segements) {
-                let value = segements[key];
-                if (key === 0) {
-                    // 最小的值下舍入
-                    value = Math.floor(value * 100) / 100;
-                } else {
-                    // 其余上舍入
-                    value = Math.ceil(value * 100) / 100 + 0.1; // 加0.1 解决最大值没有样式问题
-                }
-
-                segements[key] = Number(value.toFixed(2));
-            }
+        if (rangeSegments) {
+            let segments = rangeSegments.segments;
+            let itemNum = rangeSegments.itemNum;
 
             //获取一定量的颜色
             let curentColors = colors;
             curentColors = ColorsPickerUtil.getGradientColors(curentColors, itemNum, 'RANGE');
 
-            for (let index = 0; index < itemNum; index++) {
-                if (index in customSettings) {
-                    if (customSettings[index]["segment"]["start"]) {
-                        segements[index] = customSettings[index]["segment"]["start"];
-                    }
-                    if (customSettings[index]["segment"]["end"]) {
-                        segements[index + 1] = customSettings[index]["segment"]["end"];
-                    }
-                }
-            }
             //生成styleGroup
             let styleGroups = [];
             for (let i = 0; i < itemNum; i++) {
@@ -1609,8 +1566,8 @@ export class WebMap extends ol.Observable {
                 // 转化成 ol 样式
                 let olStyle = StyleUtils.toOpenLayersStyle(style, featureType);
 
-                let start = segements[i];
-                let end = segements[i + 1];
+                let start = segments[i];
+                let end = segments[i + 1];
 
                 styleGroups.push({
                     olStyle: olStyle,
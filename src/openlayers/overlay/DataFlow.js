@@ -2,6 +2,10 @@
  * This program are made available under the terms of the Apache License, Version 2.0
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
 import ol from 'openlayers';
+import {
+    CommonUtil,
+    DataFlowHistory
+} from '@supermap/iclient-common';
 import {
     DataFlowService
 } from "../services/DataFlowService";
@@ -15,6 +19,22 @@ import {
  * @param {Array.<Object>} [opt_options.geometry] - 设置增添的几何要素对象数组。
  * @param {Object} [opt_options.prjCoordSys] - 请求的地图的坐标参考系统。当此参数设置的坐标系统不同于地图的原有坐标系统时， 系统会进行动态投影，并返回动态投影后的地图瓦片。例如：{"epsgCode":3857}。
  * @param {Object} [opt_options.excludeField] - 排除字段
+ * @param {(Object|boolean)} [opt_options.reconnect] - 自动重连策略，设为 false 时不自动重连。参数说明参考 {@link SuperMap.DataFlowService}。
+ * @param {number} [opt_options.batchInterval=0] - 数据的合并间隔，单位毫秒。大于 0 时同一要素在一个间隔内只更新一次，避免高频数据流阻塞绘制。
+ * @param {number} [opt_options.maxBufferSize=1000] - 等待更新的数据的最大缓存个数。
+ * @param {(string|function)} [opt_options.filter] - 数据的属性过滤条件表达式或过滤函数，参考 {@link SuperMap.AttributeFilter}。
+ * @param {Array.<string>} [opt_options.fields] - 数据保留的属性字段。
+ * @param {string} [opt_options.timeField] - 要素属性中表示时间的字段，用于历史记录和轨迹。不设置时使用收到数据的时间。
+ * @param {(boolean|Object)} [opt_options.trail=false] - 是否绘制点要素的轨迹。轨迹作为 LineString 要素添加到数据源中，绘制为由旧到新逐渐不透明的折线。
+ * @param {number} [opt_options.trail.maxPoints=20] - 轨迹最多包含的点数。
+ * @param {number} [opt_options.trail.maxAge] - 轨迹的时长，单位毫秒。
+ * @param {string} [opt_options.trail.color='#3388ff'] - 轨迹颜色。
+ * @param {number} [opt_options.trail.width=3] - 轨迹宽度。
+ * @param {number} [opt_options.trail.opacity=1] - 轨迹最新一段的不透明度。
+ * @param {(boolean|Object)} [opt_options.history=false] - 是否保存每个要素的历史记录，参考 {@link SuperMap.DataFlowHistory}。
+ *                                                         不设置时若绘制轨迹，则按轨迹的点数和时长保存历史记录。
+ * @param {number} [opt_options.history.maxPoints=1000] - 每个要素最多保存的记录个数。
+ * @param {number} [opt_options.history.maxAge] - 记录的最长保存时间，单位毫秒。
  * @extends {ol.source.Vector}
  */
 export class DataFlow extends ol.source.Vector {
@@ -26,7 +46,13 @@ export class DataFlow extends ol.source.Vector {
         this.dataService = new DataFlowService(options.ws, {
             geometry: options.geometry,
             prjCoordSys: options.prjCoordSys,
-            excludeField: options.excludeField
+            excludeField: options.excludeField,
+            idField: this.idField,
+            reconnect: options.reconnect,
+            batchInterval: options.batchInterval,
+            maxBufferSize: options.maxBufferSize,
+            filter: options.filter,
+            fields: options.fields
         }).initSubscribe();
         var me = this;
         me.dataService.on('subscribeSocketConnected', function (e) {
@@ -38,6 +64,9 @@ export class DataFlow extends ol.source.Vector {
         me.dataService.on('messageSucceeded', function (msg) {
             me._onMessageSuccessed(msg);
         });
+        me.dataService.on('messageFiltered', function (msg) {
+            me._onMessageFiltered(msg);
+        });
         me.dataService.on('setFilterParamSucceeded', function (msg) {
             me.dispatchEvent({
                 type: "setFilterParamSucceeded",
@@ -45,6 +74,29 @@ export class DataFlow extends ol.source.Vector {
             })
         });
         this.featureCache = {};
+        this.trailCache = {};
+        this.trail = options.trail ? CommonUtil.extend({
+            maxPoints: 20,
+            color: '#3388ff',
+            width: 3,
+            opacity: 1
+        }, options.trail) : null;
+        /**
+         * @member {SuperMap.DataFlowHistory} ol.source.DataFlow.prototype.history
+         * @description 要素的历史记录。opt_options.history 和 opt_options.trail 均未设置时为 null。
+         */
+        this.history = null;
+        if (options.history || this.trail) {
+            var limits = options.history ? CommonUtil.extend({
+                maxPoints: 1000
+            }, options.history) : this.trail;
+            this.history = new DataFlowHistory({
+                idField: this.idField,
+                timeField: options.timeField,
+                maxPoints: limits.maxPoints,
+                maxAge: limits.maxAge
+            });
+        }
     }
 
     // /**
@@ -80,8 +132,134 @@ export class DataFlow extends ol.source.Vector {
         return this;
     }
 
+    /**
+     * @function ol.source.DataFlow.prototype.setFilter
+     * @description 设置属性过滤条件，对之后收到的数据生效。已有的要素和轨迹会被清除，由之后收到的数据重新绘制。
+     * @param {(string|function)} filter - 过滤条件表达式或过滤函数，为空时不过滤。
+     */
+    setFilter(filter) {
+        this.dataService.setFilter(filter);
+        this.filter = filter;
+        Object.keys(this.featureCache).concat(Object.keys(this.trailCache)).forEach((id) => this._removeCachedFeature(id));
+        return this;
+    }
+
+    /**
+     * @function ol.source.DataFlow.prototype.setFields
+     * @description 设置保留的属性字段，对之后收到的数据生效。
+     * @param {Array.<string>} fields - 保留的属性字段，为空时保留全部字段。
+     */
+    setFields(fields) {
+        this.dataService.setFields(fields);
+        this.fields = fields;
+        return this;
+    }
+
+    /**
+     * @function ol.source.DataFlow.prototype.getHistory
+     * @description 获取要素在时间范围内的历史记录。
+     * @param {(string|number)} id - 要素的唯一标识。
+     * @param {number} [startTime] - 起始时间，单位毫秒。
+     * @param {number} [endTime] - 结束时间，单位毫秒。
+     * @returns {Array.<Object>} 历史记录数组，每条记录包含 time（时间）和 feature（GeoJSON 要素）。未保存历史记录时返回空数组。
+     */
+    getHistory(id, startTime, endTime) {
+        return this.history ? this.history.getHistory(id, startTime, endTime) : [];
+    }
+
+    /**
+     * @function ol.source.DataFlow.prototype.createTimeFlowControl
+     * @description 创建回放历史记录的时间控制器。
+     * @param {function} callback - 每次刷新的回调函数，参数为当前时刻全部要素的状态（GeoJSON 要素数组）和当前时间。
+     * @param {Object} [options] - 时间控制器参数，参考 {@link SuperMap.TimeFlowControl}。
+     * @returns {SuperMap.TimeFlowControl} 时间控制器。未保存历史记录时返回 null。
+     * @example
+     * var replaySource = new ol.source.Vector();
+     * source.createTimeFlowControl(function (features) {
+     *     replaySource.clear();
+     *     replaySource.addFeatures(new ol.format.GeoJSON().readFeatures({type: 'FeatureCollection', features: features}));
+     * }).start();
+     */
+    createTimeFlowControl(callback, options) {
+        return this.history ? this.history.createTimeFlowControl(callback, options) : null;
+    }
+
+    /**
+     * @function ol.source.DataFlow.prototype.clearHistory
+     * @description 清除全部历史记录和轨迹。
+     */
+    clearHistory() {
+        this.history && this.history.clear();
+        for (var id in this.trailCache) {
+            this.removeFeature(this.trailCache[id]);
+        }
+        this.trailCache = {};
+        return this;
+    }
+
+    _updateTrail(featureResult) {
+        if (!this.history) {
+            return;
+        }
+        var id = this.history.add(featureResult);
+        if (!this.trail || id === undefined || id === null) {
+            return;
+        }
+        var coordinates = this.history.getTrail(id, {
+            maxPoints: this.trail.maxPoints,
+            maxAge: this.trail.maxAge
+        });
+        var trailFeature = this.trailCache[id];
+        if (!trailFeature) {
+            trailFeature = new ol.Feature(new ol.geom.LineString(coordinates));
+            trailFeature.setStyle(this._createTrailStyle());
+            this.addFeature(trailFeature);
+            this.trailCache[id] = trailFeature;
+        } else {
+            trailFeature.getGeometry().setCoordinates(coordinates);
+        }
+    }
+
+    _createTrailStyle() {
+        var trail = this.trail;
+        var color = ol.color.asArray(trail.color);
+        //按线段由旧到新逐渐增加不透明度，要素样式函数的 this 为要素
+        return function () {
+            var coordinates = this.getGeometry().getCoordinates();
+            var count = coordinates.length - 1;
+            var styles = [];
+            for (var i = 0; i < count; i++) {
+                styles.push(new ol.style.Style({
+                    geometry: new ol.geom.LineString([coordinates[i], coordinates[i + 1]]),
+                    stroke: new ol.style.Stroke({
+                        color: [color[0], color[1], color[2], color[3] * trail.opacity * (i + 1) / count],
+                        width: trail.width
+                    })
+                }));
+            }
+            return styles;
+        };
+    }
+
+    //要素不再满足过滤条件时，删除要素和轨迹
+    _onMessageFiltered(msg) {
+        this._removeCachedFeature(msg.value.featureId);
+    }
+
+    _removeCachedFeature(id) {
+        if (this.featureCache[id]) {
+            this.removeFeature(this.featureCache[id]);
+            delete this.featureCache[id];
+        }
+        if (this.trailCache[id]) {
+            this.removeFeature(this.trailCache[id]);
+            delete this.trailCache[id];
+        }
+    }
+
     _onMessageSuccessed(msg) {
         //this.clear();
+        this._updateTrail(msg.value.featureResult);
 
         var feature = (new ol.format.GeoJSON()).readFeature(msg.value.featureResult);
 
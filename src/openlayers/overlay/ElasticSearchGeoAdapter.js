@@ -0,0 +1,157 @@
+/* Copyright© 2000 - 2019 SuperMap Software Co.Ltd. All rights reserved.
+ * This program are made available under the terms of the Apache License, Version 2.0
+ * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
+import ol from 'openlayers';
+import {ElasticSearchGeoAdapter as GeoAdapter} from '@supermap/iclient-common';
+import {Graphic} from './graphic/Graphic';
+
+ol.supermap = ol.supermap || {};
+
+/**
+ * @class ol.supermap.ElasticSearchGeoAdapter
+ * @classdesc ElasticSearch 地理数据图层适配器。绑定地图和图层数据源后，在地图移动结束时按当前范围和级别重新检索 ElasticSearch，
+ *            并用结果替换数据源的数据。支持热力图、高效率点图层和专题图层的数据源，热力图和高效率点图层使用点数据。
+ *            检索结果会从经纬度转换为地图的投影。
+ * @category ElasticSearch
+ * @extends {ol.Observable}
+ * @param {SuperMap.ElasticSearch} elasticSearch - ElasticSearch 服务类。
+ * @param {Object} options - 参数，参考 {@link SuperMap.ElasticSearchGeoAdapter}。
+ * @param {function} [options.style] - 高效率点图层中点要素的样式函数，参数为 GeoJSON 要素，返回点样式。
+ * @fires ol.supermap.ElasticSearchGeoAdapter#dataloaded
+ * @fires ol.supermap.ElasticSearchGeoAdapter#dataloadfailed
+ * @example
+ * var source = new ol.source.Range('range', {map: map, themeField: 'count', styleGroups: styleGroups});
+ * map.addLayer(new ol.layer.Image({source: source}));
+ * new ol.supermap.ElasticSearchGeoAdapter(new SuperMap.ElasticSearch(url), {
+ *     index: 'flights',
+ *     geoField: 'location',
+ *     aggType: 'geotile_grid'
+ * }).bind(map, source);
+ */
+export class ElasticSearchGeoAdapter extends ol.Observable {
+
+    constructor(elasticSearch, options) {
+        super();
+        options = options || {};
+        /**
+         * @member {SuperMap.ElasticSearchGeoAdapter} ol.supermap.ElasticSearchGeoAdapter.prototype.adapter
+         * @description 构造检索参数和转换检索结果的适配器。
+         */
+        this.adapter = new GeoAdapter(elasticSearch, options);
+        this.style = options.style;
+        this.map = null;
+        this.source = null;
+        this._requestCount = 0;
+        this._moveEndKey = null;
+    }
+
+    /**
+     * @function ol.supermap.ElasticSearchGeoAdapter.prototype.bind
+     * @description 绑定地图和图层数据源，并立即按当前地图范围检索一次。
+     * @param {ol.Map} map - 地图。
+     * @param {(ol.source.HeatMap|ol.source.Graphic|ol.source.Theme)} source - 显示检索结果的图层数据源。
+     * @returns {ol.supermap.ElasticSearchGeoAdapter} this
+     */
+    bind(map, source) {
+        this.unbind();
+        this.map = map;
+        this.source = source;
+        this._moveEndKey = map.on('moveend', this.refresh, this);
+        this.refresh();
+        return this;
+    }
+
+    /**
+     * @function ol.supermap.ElasticSearchGeoAdapter.prototype.unbind
+     * @description 解除绑定，地图移动时不再检索。
+     * @returns {ol.supermap.ElasticSearchGeoAdapter} this
+     */
+    unbind() {
+        if (this._moveEndKey) {
+            ol.Observable.unByKey(this._moveEndKey);
+            this._moveEndKey = null;
+        }
+        this.map = null;
+        this.source = null;
+        this._requestCount++;
+        return this;
+    }
+
+    /**
+     * @function ol.supermap.ElasticSearchGeoAdapter.prototype.refresh
+     * @description 按当前地图范围重新检索并更新数据源。地图移动过程中返回的过期结果会被丢弃。
+     * @returns {Promise} 以 GeoJSON 要素集合（经纬度）完成的 Promise。
+     */
+    refresh() {
+        var me = this;
+        if (!me.map) {
+            return Promise.resolve(null);
+        }
+        var requestCount = ++me._requestCount;
+        var view = me.map.getView();
+        var projection = view.getProjection();
+        var bounds = ol.proj.transformExtent(view.calculateExtent(me.map.getSize()), projection, 'EPSG:4326');
+        var source = me.source;
+        var options = me._isPointSource(source) ? {geometryType: 'Point'} : null;
+        return me.adapter.search(bounds, view.getZoom(), options).then(function (result) {
+            if (requestCount !== me._requestCount) {
+                return result;
+            }
+            me._setData(source, result, projection);
+            /**
+             * @event ol.supermap.ElasticSearchGeoAdapter#dataloaded
+             * @description 检索结果已更新到数据源。
+             * @property {GeoJSONObject} value.result - 检索结果。
+             */
+            me.dispatchEvent({type: 'dataloaded', value: {result: result}});
+            return result;
+        }, function (error) {
+            /**
+             * @event ol.supermap.ElasticSearchGeoAdapter#dataloadfailed
+             * @description 检索失败。
+             * @property {Object} value.error - 失败原因。
+             */
+            me.dispatchEvent({type: 'dataloadfailed', value: {error: error}});
+            return null;
+        });
+    }
+
+    _isPointSource(source) {
+        return !!source && (typeof source.setGraphics === 'function' || typeof source.convertFastToPixelPoints === 'function');
+    }
+
+    _setData(source, result, projection) {
+        if (!source) {
+            return;
+        }
+        var style = this.style;
+        var isPointSource = this._isPointSource(source);
+        var features = result.features.filter(function (feature) {
+            return !isPointSource || feature.geometry.type === 'Point';
+        });
+        var olFeatures = new ol.format.GeoJSON().readFeatures({
+            type: 'FeatureCollection',
+            features: features
+        }, {
+            dataProjection: 'EPSG:4326',
+            featureProjection: projection
+        });
+        if (typeof source.setGraphics === 'function') {
+            source.setGraphics(olFeatures.map(function (olFeature, index) {
+                var graphic = new Graphic(olFeature.getGeometry(), features[index].properties);
+                graphic.setId(features[index].id);
+                if (style) {
+                    graphic.setStyle(style(features[index]));
+                }
+                return graphic;
+            }));
+            return;
+        }
+        source.removeAllFeatures();
+        if (olFeatures.length) {
+            source.addFeatures(olFeatures);
+        }
+    }
+}
+
+ol.supermap.ElasticSearchGeoAdapter = ElasticSearchGeoAdapter;
@@ -13,7 +13,10 @@ import {
     CloverShape
 } from './graphic/CloverShape';
 import {
-    CommonUtil
+    CommonUtil,
+    SpatialIndex,
+    PointCluster,
+    ClusterSymbol
 } from '@supermap/iclient-common';
 import {
     GraphicWebGLRenderer
@@ -34,28 +37,48 @@ const defaultProps = {
 };
 
 const Renderer = ["canvas", "webgl"];
+//线要素、面要素边线的拾取容差（像素）
+const PATH_TOLERANCE = 3;
 
 /**
  * @class ol.source.Graphic
  * @category  Visualization Graphic
- * @classdesc 高效率点图层源。
+ * @classdesc 高效率点图层源。除点要素外，也支持绘制大量的线要素和面要素。
  * @param {Object} options - 图形参数。
  * @param {ol.map} options.map - openlayers 地图对象。
- * @param {ol.Graphic} options.graphics - 高效率点图层点要素。
- * @param {string} [options.render ='canvas']  -  指定使用的渲染器。可选值："webgl"，"canvas"（webgl 渲染目前只支持散点）。
+ * @param {ol.Graphic} options.graphics - 高效率点图层要素。
+ * @param {string} [options.render ='canvas']  -  指定使用的渲染器。可选值："webgl"，"canvas"。
  * @param {boolean} [options.isHighLight=true] - 事件响应是否支持要素高亮。
- * @param {ol.style} [options.highLightStyle=defaultHighLightStyle] - 高亮风格。
- * @param {Array.<number>} [options.color=[0, 0, 0, 255]] - 要素颜色。
+ * @param {ol.style} [options.highLightStyle=defaultHighLightStyle] - 高亮风格。线要素和面要素的高亮风格为 ol.style.Style。
+ * @param {Array.<number>} [options.color=[0, 0, 0, 255]] - 要素颜色，也是线要素和面要素的默认颜色。
  * @param {Array.<number>} [options.highlightColor] - webgl 渲染时要素高亮颜色。
  * @param {number} [options.opacity=0.8] - 要素透明度。
  * @param {number} [options.radius=10] - 要素半径，单位像素。
  * @param {number} [options.radiusScale=1] - webgl 渲染时的要素放大倍数。
  * @param {number} [options.radiusMinPixels=0] - webgl 渲染时的要素半径最小值（像素）。
  * @param {number} [options.radiusMaxPixels=Number.MAX_SAFE_INTEGER] - webgl 渲染时的要素半径最大值（像素）。
- * @param {number} [options.strokeWidth=1] - 边框大小。
+ * @param {number} [options.strokeWidth=1] - 边框大小，也是线要素和面要素边线的默认宽度（像素）。
  * @param {boolean} [options.outline=false] - 是否显示边框。
- * @param {function} [options.onHover] -  图层鼠标悬停响应事件（只有 webgl 渲染时有用）。
+ * @param {function} [options.onHover] -  图层鼠标悬停响应事件（webgl、canvas 渲染时都有用）。canvas 渲染时参数为悬停的要素和事件对象。
  * @param {function} [options.onClick] -  图层鼠标点击响应事件（webgl、canvas 渲染时都有用）。
+ * @param {(boolean|Object)} [options.cluster] - 点要素聚类参数。设置后按地图分辨率聚合点要素，线要素和面要素不参与聚类。
+ * @param {number} [options.cluster.radius=60] - 聚类半径，单位像素。
+ * @param {number} [options.cluster.maxZoom=16] - 生成聚类的最大级别，按 {@link ol.supermap.Util.resolutionToWebMercatorZoom} 换算，大于此级别时显示全部点要素。
+ * @param {string} [options.cluster.field] - 统计字段，聚类的统计值为成员要素该属性值之和，符号大小随统计值变化。不设置时使用成员个数。
+ * @param {boolean} [options.cluster.zoomOnClick=true] - 点击聚类时是否放大到聚类展开的分辨率。
+ * @param {Object} [options.cluster.symbol] - 聚类符号参数，参考 {@link SuperMap.ClusterSymbol}。
+ * @fires ol.source.Graphic#graphicsselected
+ * @example
+ * var source = new ol.source.Graphic({
+ *     graphics: graphics,
+ *     map: map,
+ *     cluster: {radius: 80, field: 'population'},
+ *     onClick: function (graphic) {
+ *         if (source.isCluster(graphic)) {
+ *             console.log(source.getClusterGraphics(graphic));
+ *         }
+ *     }
+ * });
  * @extends {ol.source.ImageCanvas}
  */
 export class Graphic extends ol.source.ImageCanvas {
@@ -81,13 +104,39 @@ export class Graphic extends ol.source.ImageCanvas {
         //是否支持高亮，默认支持
         this.isHighLight = typeof options.isHighLight === "undefined" ? true : options.isHighLight;
         this.hitGraphicLayer = null;
+        this.selectedGraphics = [];
+        this._index = new SpatialIndex({
+            getBounds: function (graphic) {
+                return graphic.getGeometry().getExtent();
+            }
+        });
+        this._index.load(this.graphics);
+        this._hitTolerance = null;
+        this._initCluster(options.cluster);
         this._forEachFeatureAtCoordinate = _forEachFeatureAtCoordinate;
 
         const me = this;
 
-        if (options.onClick) {
+        if (options.onClick || options.cluster) {
             me.map.on('click', function (e) {
-                me.map.forEachFeatureAtPixel(e.pixel, options.onClick,{},e);
+                me.map.forEachFeatureAtPixel(e.pixel, function (graphic, layer) {
+                    let result = options.onClick && options.onClick(graphic, layer);
+                    //点击本图层的聚类要素时放大地图
+                    if (me.isCluster(graphic) && me._clusterZoomOnClick && layer && layer.getSource() === me) {
+                        me.expandCluster(graphic);
+                    }
+                    return result;
+                }, {}, e);
+            });
+        }
+        if (options.onHover && me.render === Renderer[0]) {
+            me.map.on('pointermove', function (e) {
+                if (e.dragging) {
+                    return;
+                }
+                me._forEachFeatureAtCoordinate(e.coordinate, me.map.getView().getResolution(), function (graphic) {
+                    options.onHover(graphic, e);
+                }, e.pixel, e);
             });
         }
 
@@ -96,7 +145,7 @@ export class Graphic extends ol.source.ImageCanvas {
             if (!me.renderer) {
                 me.renderer = createRenderer(size, pixelRatio);
             }
-            let graphics = this.getGraphicsInExtent(extent);
+            let graphics = me._pointCluster ? me._getRenderGraphics(extent, resolution) : this.getGraphicsInExtent(extent);
             me.renderer._clearBuffer();
             me.renderer.selected = this.selected;
             me.renderer.drawGraphics(graphics);
@@ -150,8 +199,27 @@ export class Graphic extends ol.source.ImageCanvas {
          * @param {ol.Pixel} evtPixel - 当前选中的屏幕像素坐标。
          */
         function _forEachFeatureAtCoordinate(coordinate, resolution, callback, evtPixel, e) {
-            let graphics = me.getGraphicsInExtent();
+            //使用空间索引查询符号范围可能覆盖该坐标的要素
+            let tolerance = me._getHitTolerance() * resolution;
+            let searchExtent = [coordinate[0] - tolerance, coordinate[1] - tolerance, coordinate[0] + tolerance, coordinate[1] + tolerance];
+            //开启聚类时只查询已绘制的要素
+            let graphics = me._pointCluster ? (me._renderGraphics || []).filter(function (graphic) {
+                return ol.extent.intersects(searchExtent, graphic.getGeometry().getExtent());
+            }) : me._index.search(searchExtent);
+            let hit = false;
             for (let i = graphics.length - 1; i >= 0; i--) {
+                if (!(graphics[i].getGeometry() instanceof ol.geom.Point)) {
+                    if (me._pathContainsCoordinate(graphics[i], coordinate, resolution)) {
+                        hit = true;
+                        if (me.isHighLight) {
+                            me._highLight(null, null, graphics[i], evtPixel);
+                        }
+                        if (callback) {
+                            callback(graphics[i], e);
+                        }
+                    }
+                    continue;
+                }
                 let style = graphics[i].getStyle();
                 if (!style) {
                     return;
@@ -206,18 +274,18 @@ export class Graphic extends ol.source.ImageCanvas {
                 }
 
                 if (contain === true) {
+                    hit = true;
                     if (me.isHighLight) {
                         me._highLight(center, image, graphics[i], evtPixel);
                     }
                     if (callback) {
                         callback(graphics[i], e);
                     }
-                    continue;
-                }
-                if (me.isHighLight) {
-                    me._highLightClose();
                 }
             }
+            if (!hit && me.isHighLight && (me.selected || me.hitGraphicLayer)) {
+                me._highLightClose();
+            }
             return undefined;
         }
 
@@ -245,7 +313,10 @@ export class Graphic extends ol.source.ImageCanvas {
         this.graphics = this.graphics || [];
         let sGraphics = !Util.isArray(graphics) ? [graphics] : [].concat(graphics);
         this.graphics = this.graphics.concat(sGraphics);
-        this.update();
+        this._index.insert(sGraphics);
+        this._hitTolerance = null;
+        this._clusterDirty = true;
+        this._redraw();
     }
 
     /**
@@ -306,7 +377,11 @@ export class Graphic extends ol.source.ImageCanvas {
         //当 graphics 为 null 、为空数组，或 === this.graphics，则清除所有要素
         if (!graphics || graphics.length === 0 || graphics === this.graphics) {
             this.graphics.length = 0;
-            this.update();
+            this._index.clear();
+            this.selectedGraphics = [];
+            this._hitTolerance = null;
+            this._clusterDirty = true;
+            this._redraw();
             return;
         }
 
@@ -325,10 +400,62 @@ export class Graphic extends ol.source.ImageCanvas {
                 continue;
             }
             this.graphics.splice(findex, 1);
+            this._index.remove(graphic);
         }
+        this.selectedGraphics = this.selectedGraphics.filter((graphic) => CommonUtil.indexOf(graphics, graphic) === -1);
+        this._hitTolerance = null;
+        this._clusterDirty = true;
 
         //删除完成后重新设置 setGraphics，以更新
-        this.update();
+        this._redraw();
+    }
+
+    /**
+     * @function ol.source.Graphic.prototype.getGraphicsInPolygon
+     * @description 获取多边形内的全部要素，可用于套索选择。
+     * @param {(ol.geom.Polygon|Array.<ol.Coordinate>)} polygon - 多边形或多边形外环的坐标数组。
+     * @returns {Array.<ol.Graphic>} 按添加顺序排列的要素数组。
+     */
+    getGraphicsInPolygon(polygon) {
+        let ring = polygon instanceof ol.geom.Polygon ? polygon.getCoordinates()[0] : polygon;
+        return this._index.searchPolygon(ring || []);
+    }
+
+    /**
+     * @function ol.source.Graphic.prototype.selectGraphics
+     * @description 框选或套索选择要素。选中的要素使用高亮风格绘制，并触发 graphicsselected 事件。
+     *              可以配合 ol.interaction.DragBox 或 ol.interaction.Draw（freehand）使用。
+     * @param {(ol.Extent|ol.geom.Polygon|Array.<ol.Coordinate>|Array.<ol.Graphic>)} area - 框选的范围、套索多边形、多边形外环的坐标数组，或者要选中的要素数组。
+     * @returns {Array.<ol.Graphic>} 选中的要素数组。
+     */
+    selectGraphics(area) {
+        let graphics;
+        if (Util.isArray(area) && area.length === 4 && typeof area[0] === 'number') {
+            graphics = this.getGraphicsInExtent(area);
+        } else if (Util.isArray(area) && area.length && area[0] instanceof ol.Graphic) {
+            graphics = [].concat(area);
+        } else {
+            graphics = this.getGraphicsInPolygon(area);
+        }
+        this.selectedGraphics = graphics;
+        this.changed();
+        /**
+         * @event ol.source.Graphic#graphicsselected
+         * @description 选中的要素发生变化后触发。
+         * @property {Array.<ol.Graphic>} value.graphics - 选中的要素数组。
+         */
+        this.dispatchEvent({type: 'graphicsselected', value: {graphics: graphics}});
+        return graphics;
+    }
+
+    /**
+     * @function ol.source.Graphic.prototype.clearSelection
+     * @description 取消选择全部要素。
+     */
+    clearSelection() {
+        if (this.selectedGraphics.length) {
+            this.selectGraphics([]);
+        }
     }
 
     /**
@@ -341,12 +468,186 @@ export class Graphic extends ol.source.ImageCanvas {
 
     /**
      * @function ol.source.Graphic.prototype.update
-     * @description 更新图层。
+     * @description 更新图层，数据或者样式改变后调用。会根据要素的当前位置重建空间索引。
      */
     update() {
+        this._index.load(this.graphics);
+        this._hitTolerance = null;
+        this._clusterDirty = true;
+        this._redraw();
+    }
+
+    /**
+     * @function ol.source.Graphic.prototype.setCluster
+     * @description 开启、关闭点要素聚类或者修改聚类参数。
+     * @param {(boolean|Object)} cluster - 聚类参数，参考构造参数 options.cluster。为 false 时关闭聚类。
+     */
+    setCluster(cluster) {
+        this.cluster = cluster;
+        this._initCluster(cluster);
+        this.selected = null;
+        this.renderer && this._redraw();
+    }
+
+    /**
+     * @function ol.source.Graphic.prototype.isCluster
+     * @description 判断要素是否为聚类要素。聚类要素的属性包含成员个数 count 和统计值 value。
+     * @param {ol.Graphic} graphic - 要素。
+     * @returns {boolean} 是否为聚类要素。
+     */
+    isCluster(graphic) {
+        return !!graphic && !!graphic._cluster;
+    }
+
+    /**
+     * @function ol.source.Graphic.prototype.getClusterGraphics
+     * @description 获取聚类要素包含的全部点要素。
+     * @param {ol.Graphic} graphic - 聚类要素。
+     * @returns {Array.<ol.Graphic>} 点要素数组。
+     */
+    getClusterGraphics(graphic) {
+        if (!this.isCluster(graphic) || !this._pointCluster) {
+            return [];
+        }
+        return this._pointCluster.getLeaves(graphic._cluster);
+    }
+
+    /**
+     * @function ol.source.Graphic.prototype.expandCluster
+     * @description 以聚类要素为中心放大地图，直到聚类展开为多个要素。
+     * @param {ol.Graphic} graphic - 聚类要素。
+     */
+    expandCluster(graphic) {
+        if (!this.isCluster(graphic) || !this._pointCluster) {
+            return;
+        }
+        let view = this.map.getView();
+        view.animate({
+            center: graphic.getGeometry().getCoordinates(),
+            resolution: Util.webMercatorZoomToResolution(this._pointCluster.getExpansionZoom(graphic._cluster), view.getProjection())
+        });
+    }
+
+    _redraw() {
+        if (this._pointCluster) {
+            let map = this.map;
+            let view = map.getView();
+            this.renderer.update(this._getRenderGraphics(view.calculateExtent(map.getSize()), view.getResolution()), this._getDefaultStyle());
+            return;
+        }
         this.renderer.update(this.graphics, this._getDefaultStyle());
     }
 
+    //获取需要绘制的要素，开启聚类时为范围内的聚类要素、未被聚合的点要素以及线要素和面要素
+    _getRenderGraphics(extent, resolution) {
+        let me = this;
+        let projection = me.map.getView().getProjection();
+        if (me._clusterDirty) {
+            me._pointCluster.load(me.graphics);
+            me._clusterGraphics = {};
+            me._clusterDirty = false;
+        }
+        let clusterExtent = ol.proj.transformExtent(extent, projection, 'EPSG:4326');
+        let points = me._pointCluster.getClusters(clusterExtent, Util.resolutionToWebMercatorZoom(resolution, projection)).map(function (item) {
+            return PointCluster.isCluster(item) ? me._getClusterGraphic(item, projection) : item;
+        });
+        let paths = me._index.search(extent).filter(function (graphic) {
+            return !(graphic.getGeometry() instanceof ol.geom.Point);
+        });
+        me._renderGraphics = paths.concat(points);
+        return me._renderGraphics;
+    }
+
+    //同一级别的同一个聚类使用相同的要素对象，便于悬停判断和 webgl 渲染时复用数据
+    _getClusterGraphic(cluster, projection) {
+        if (this._clusterGraphicsZoom !== cluster.zoom) {
+            this._clusterGraphics = {};
+            this._clusterGraphicsZoom = cluster.zoom;
+        }
+        let graphic = this._clusterGraphics[cluster.id];
+        if (!graphic) {
+            let canvas = this._clusterSymbol.getCanvas(cluster, this._pointCluster.totalValue);
+            graphic = new ol.Graphic(new ol.geom.Point(ol.proj.fromLonLat(cluster.coordinates, projection)), {
+                count: cluster.count,
+                value: cluster.value
+            });
+            graphic.setStyle(new ol.style.Icon({
+                img: canvas,
+                imgSize: [canvas.width, canvas.height]
+            }));
+            graphic._cluster = cluster;
+            this._clusterGraphics[cluster.id] = graphic;
+        }
+        return graphic;
+    }
+
+    _initCluster(cluster) {
+        if (!cluster) {
+            this._pointCluster = null;
+            this._clusterSymbol = null;
+            this._renderGraphics = null;
+            return;
+        }
+        let options = cluster === true ? {} : cluster;
+        let field = options.field;
+        let map = this.map;
+        this._pointCluster = new PointCluster({
+            radius: options.radius,
+            maxZoom: options.maxZoom,
+            getCoordinates: function (graphic) {
+                let geometry = graphic.getGeometry();
+                if (!(geometry instanceof ol.geom.Point)) {
+                    return null;
+                }
+                return ol.proj.toLonLat(geometry.getCoordinates(), map.getView().getProjection());
+            },
+            getValue: field ? function (graphic) {
+                return graphic.getAttributes() && graphic.getAttributes()[field];
+            } : null
+        });
+        this._clusterSymbol = new ClusterSymbol(options.symbol);
+        this._clusterZoomOnClick = options.zoomOnClick !== false;
+        this._clusterGraphics = {};
+        this._clusterDirty = true;
+    }
+
+    //要素符号相对于中心点的最大像素距离，要素或样式改变后重新计算
+    _getHitTolerance() {
+        //聚类符号的大小随级别变化，不参与缓存
+        let clusterTolerance = this._clusterSymbol ? this._clusterSymbol.getMaxSize() : 0;
+        if (this._hitTolerance !== null) {
+            return Math.max(this._hitTolerance, clusterTolerance);
+        }
+        let tolerance = 0,
+            lastStyle = null;
+        let styles = this.graphics.map((graphic) => {
+            if (graphic && !(graphic.getGeometry() instanceof ol.geom.Point)) {
+                return this._getPathStyle(graphic);
+            }
+            return graphic && graphic.getStyle();
+        }).concat([this._getDefaultStyle()]);
+        for (let i = 0; i < styles.length; i++) {
+            let style = styles[i];
+            if (!style || style === lastStyle) {
+                continue;
+            }
+            lastStyle = style;
+            if (style instanceof ol.style.Style) {
+                let stroke = style.getStroke();
+                tolerance = Math.max(tolerance, (stroke && stroke.getWidth() || 0) / 2 + PATH_TOLERANCE);
+                continue;
+            }
+            if (!style.getAnchor) {
+                continue;
+            }
+            let anchor = style.getAnchor() || [0, 0];
+            let size = style.getSize() || [anchor[0] * 2, anchor[1] * 2];
+            tolerance = Math.max(tolerance, anchor[0], anchor[1], size[0] - anchor[0], size[1] - anchor[1]);
+        }
+        this._hitTolerance = tolerance;
+        return Math.max(tolerance, clusterTolerance);
+    }
+
     _getDefaultStyle() {
         const target = {};
         if (this.color) {
@@ -367,6 +668,46 @@ export class Graphic extends ol.source.ImageCanvas {
 
     }
 
+    //判断坐标是否在面要素内，或者在线要素、面要素边线的容差范围内
+    _pathContainsCoordinate(graphic, coordinate, resolution) {
+        let geometry = graphic.getGeometry();
+        if (geometry instanceof ol.geom.Polygon && geometry.intersectsCoordinate(coordinate)) {
+            return true;
+        }
+        let stroke = this._getPathStyle(graphic).getStroke();
+        let tolerance = ((stroke && stroke.getWidth() || 0) / 2 + PATH_TOLERANCE) * resolution;
+        let closest = geometry.getClosestPoint(coordinate);
+        let dx = closest[0] - coordinate[0],
+            dy = closest[1] - coordinate[1];
+        return dx * dx + dy * dy <= tolerance * tolerance;
+    }
+
+    _getPathStyle(graphic) {
+        let style = graphic.getStyle();
+        return style instanceof ol.style.Style ? style : this._getDefaultPathStyle();
+    }
+
+    //线要素和面要素的默认样式，颜色的透明度与图层透明度叠加
+    _getDefaultPathStyle() {
+        let color = this.color || defaultProps.color;
+        let opacity = this.opacity === undefined ? defaultProps.opacity : this.opacity;
+        let key = String(color) + ';' + opacity + ';' + this.strokeWidth;
+        if (!this._defaultPathStyle || this._defaultPathStyleKey !== key) {
+            let rgba = this.toRGBA([color[0], color[1], color[2], (color[3] === undefined ? 255 : color[3]) * opacity]);
+            this._defaultPathStyle = new ol.style.Style({
+                stroke: new ol.style.Stroke({
+                    color: rgba,
+                    width: this.strokeWidth === undefined ? defaultProps.strokeWidth : this.strokeWidth
+                }),
+                fill: new ol.style.Fill({
+                    color: rgba
+                })
+            });
+            this._defaultPathStyleKey = key;
+        }
+        return this._defaultPathStyle;
+    }
+
     toRGBA(colorArray) {
         return `rgba(${colorArray[0]},${colorArray[1]},${colorArray[2]},${(colorArray[3] || 255) / 255})`;
     }
@@ -519,7 +860,7 @@ export class Graphic extends ol.source.ImageCanvas {
                 })
             });
             this.map.addLayer(this.hitGraphicLayer);
-        } else {
+        } else if (this.selected !== selectGraphic) {
             this.selected = selectGraphic;
             this.changed();
         }
@@ -532,20 +873,16 @@ export class Graphic extends ol.source.ImageCanvas {
      */
     getGraphicsInExtent(extent) {
         var graphics = [];
-        if (!extent) {
+        var indexExtent = this._index.getExtent();
+        //未指定范围或全部要素都在范围内时不需要查询索引
+        if (!extent || (indexExtent && ol.extent.containsExtent(extent, indexExtent))) {
             this.graphics.map(function (graphic) {
                 graphics.push(graphic);
                 return graphic;
             });
             return graphics;
         }
-        this.graphics.map(function (graphic) {
-            if (ol.extent.containsExtent(extent, graphic.getGeometry().getExtent())) {
-                graphics.push(graphic);
-            }
-            return graphic;
-        });
-        return graphics;
+        return this._index.search(extent);
     }
 
 }
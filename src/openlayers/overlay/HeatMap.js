@@ -10,7 +10,8 @@ import {
     CommonUtil,
     LonLat,
     GeometryPoint,
-    GeoText
+    GeoText,
+    ColorRamp
 } from '@supermap/iclient-common';
 
 /**
@@ -25,7 +26,7 @@ import {
  * @param {number} [options.radius=50] - 热点渲染的最大半径（热点像素半径），单位为 px，当 useGeoUnit 参数 为 true 时，单位使用当前图层地理坐标单位。热点显示的时候以精确点为中心点开始往四周辐射衰减，其衰减半径和权重值成比列。
  * @param {boolean} [options.loadWhileAnimating=true] - 是否实时重绘。（当绘制大数据量要素的情况下会出现卡顿，建议把该参数设为 false）。
  * @param {number} [options.opacity=1] - 图层透明度。
- * @param {Array.<string>} [options.colors=['blue','cyan','lime','yellow','red']] - 颜色线性渐变数组，颜色值必须为 canvas 所支持的。
+ * @param {(Array.<string>|string|Object)} [options.colors=['blue','cyan','lime','yellow','red']] - 颜色线性渐变数组，颜色值必须为 canvas 所支持的。也可以是 {@link SuperMap.ColorRamp} 的色带名称或者色带对象。
  * @param {boolean} [options.useGeoUnit=false] - 使用地理单位，false 表示默认热点半径默认使用像素单位。当设置为 true 时，热点半径和图层地理坐标保持一致。
  * @extends {ol.source.ImageCanvas}
  */
@@ -292,7 +293,7 @@ export class HeatMap extends ol.source.ImageCanvas {
      * @private
      */
     createGradient() {
-        var colors = this.colors;
+        var colors = ColorRamp.getColors(this.colors);
         var canvas = document.createElement('canvas'),
             ctx = canvas.getContext("2d"),
             gradient = ctx.createLinearGradient(0, 0, 0, 256);
@@ -21,7 +21,7 @@ import {GeoFeature} from './theme/GeoFeature';
  * @param {ol.source.State} [opt_options.state] - 资源状态。
  * @param {string} [opt_options.themeField] - 指定创建专题图字段。
  * @param {Object} [opt_options.style] - 专题图样式。
- * @param {Object} [opt_options.styleGroups] - 各专题类型样式组。
+ * @param {Object} [opt_options.styleGroups] - 各专题类型样式组。可以使用 {@link SuperMap.ColorRamp.getUniqueStyleGroups} 根据单值和色带生成。
  * @param {boolean} [opt_options.isHoverAble=false] - 是否开启 hover 事件。
  * @param {Object} [opt_options.highlightStyle] - 开启 hover 事件后，触发的样式风格。
  * @param {(string|Object)} [opt_option.attributions='Map Data <span>© <a href='http://support.supermap.com.cn/product/iServer.aspx' target='_blank'>SuperMap iServer</a></span> with <span>© <a href='http://iclient.supermap.io' target='_blank'>SuperMap iClient</a></span>'] - 版权信息。
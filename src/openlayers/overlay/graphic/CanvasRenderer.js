@@ -138,52 +138,97 @@ export class GraphicCanvasRenderer extends ol.Object {
         let me = this,
             layer = me.layer,
             map = layer.map;
-        graphics.map(function (graphic) {
-            let style = graphic.getStyle() || defaultStyle;
-            if (me.selected === graphic) {
-                let defaultHighLightStyle = style;
-                if (style instanceof ol.style.Circle) {
-                    defaultHighLightStyle = new ol.style.Circle({
-                        radius: style.getRadius(),
-                        fill: new ol.style.Fill({
-                            color: 'rgba(0, 153, 255, 1)'
-                        }),
-                        stroke: style.getStroke(),
-                        snapToPixel: style.getSnapToPixel()
-                    });
-                } else if (style instanceof ol.style.RegularShape) {
-                    defaultHighLightStyle = new ol.style.RegularShape({
-                        radius: style.getRadius(),
-                        radius2: style.getRadius2(),
-                        points: style.getPoints(),
-                        angle: style.getAngle(),
-                        snapToPixel: style.getSnapToPixel(),
-                        rotation: style.getRotation(),
-                        rotateWithView: style.getRotateWithView(),
-                        fill: new ol.style.Fill({
-                            color: 'rgba(0, 153, 255, 1)'
-                        }),
-                        stroke: style.getStroke()
-                    });
+        let rotation = -map.getView().getRotation();
+        let center = map.getPixelFromCoordinate(map.getView().getCenter());
+        let toPixel = function (coordinate) {
+            let pixelP = map.getPixelFromCoordinate(coordinate);
+            let scaledP = scale(pixelP, center, 1);
+            let rotatedP = rotate(scaledP, rotation, center);
+            return [rotatedP[0] + offset[0], rotatedP[1] + offset[1]];
+        };
+        let selectedGraphics = layer.selectedGraphics || [];
+        if (layer._pointCluster) {
+            //被聚合的要素不高亮
+            let rendered = new Set(graphics);
+            selectedGraphics = selectedGraphics.filter((graphic) => rendered.has(graphic));
+        }
+        //选中的要素在其他要素绘制完成后使用高亮风格绘制在最上层
+        graphics.concat(selectedGraphics).map(function (graphic, index) {
+            let highLight = me.selected === graphic || index >= graphics.length;
+            let geometry = graphic.getGeometry();
+            if (!(geometry instanceof ol.geom.Point)) {
+                let pathStyle = layer._getPathStyle(graphic);
+                if (highLight) {
+                    pathStyle = me.highLightStyle instanceof ol.style.Style ? me.highLightStyle : me._getDefaultHighLightPathStyle(pathStyle);
                 }
-                style = me.highLightStyle || defaultHighLightStyle;
+                vectorContext.setStyle(pathStyle);
+                let pixelGeometry = geometry.clone();
+                pixelGeometry.applyTransform(function (input, output, stride) {
+                    output = output || input;
+                    for (let i = 0; i < input.length; i += stride) {
+                        let pixel = toPixel([input[i], input[i + 1]]);
+                        output[i] = pixel[0];
+                        output[i + 1] = pixel[1];
+                    }
+                    return output;
+                });
+                vectorContext.drawGeometry(pixelGeometry);
+                return graphic;
+            }
+            let style = graphic.getStyle() || defaultStyle;
+            if (highLight) {
+                style = me.highLightStyle && !(me.highLightStyle instanceof ol.style.Style) ? me.highLightStyle : me._getDefaultHighLightStyle(style);
             }
             vectorContext.setStyle(new ol.style.Style({
                 image: style
             }));
-            let geometry = graphic.getGeometry();
-            let coordinate = geometry.getCoordinates();
-            let pixelP = map.getPixelFromCoordinate(coordinate);
-            let rotation = -map.getView().getRotation();
-            let center = map.getPixelFromCoordinate(map.getView().getCenter());
-            let scaledP = scale(pixelP, center, 1);
-            let rotatedP = rotate(scaledP, rotation, center);
-            let result = [rotatedP[0] + offset[0], rotatedP[1] + offset[1]];
-            let pixelGeometry = new ol.geom.Point(result);
+            let pixelGeometry = new ol.geom.Point(toPixel(geometry.getCoordinates()));
             vectorContext.drawGeometry(pixelGeometry);
             return graphic;
         });
     }
 
+    _getDefaultHighLightPathStyle(style) {
+        let stroke = style.getStroke();
+        return new ol.style.Style({
+            stroke: new ol.style.Stroke({
+                color: 'rgba(0, 153, 255, 1)',
+                width: stroke && stroke.getWidth() || 1
+            }),
+            fill: style.getFill() && new ol.style.Fill({
+                color: 'rgba(0, 153, 255, 0.6)'
+            })
+        });
+    }
+
+    _getDefaultHighLightStyle(style) {
+        if (style instanceof ol.style.Circle) {
+            return new ol.style.Circle({
+                radius: style.getRadius(),
+                fill: new ol.style.Fill({
+                    color: 'rgba(0, 153, 255, 1)'
+                }),
+                stroke: style.getStroke(),
+                snapToPixel: style.getSnapToPixel()
+            });
+        }
+        if (style instanceof ol.style.RegularShape) {
+            return new ol.style.RegularShape({
+                radius: style.getRadius(),
+                radius2: style.getRadius2(),
+                points: style.getPoints(),
+                angle: style.getAngle(),
+                snapToPixel: style.getSnapToPixel(),
+                rotation: style.getRotation(),
+                rotateWithView: style.getRotateWithView(),
+                fill: new ol.style.Fill({
+                    color: 'rgba(0, 153, 255, 1)'
+                }),
+                stroke: style.getStroke()
+            });
+        }
+        return style;
+    }
+
 
 }
\ No newline at end of file
@@ -6,8 +6,8 @@ import ol from 'openlayers';
 /**
  * @class ol.Graphic
  * @category  Visualization Graphic
- * @classdesc 高效率点图层点要素类。
- * @param {ol.geom.Point} geometry - 几何对象。
+ * @classdesc 高效率点图层要素类。除点要素外，也支持线要素和面要素。
+ * @param {(ol.geom.Point|ol.geom.LineString|ol.geom.Polygon)} geometry - 几何对象。
  * @param {Object} [attributes] - 要素属性。
  * @extends {ol.Object}
  */
@@ -57,7 +57,7 @@ export class Graphic extends ol.Object {
     /**
      * @function ol.Graphic.prototype.getGeometry
      * @description 获取当前要素几何信息。
-     * @returns {ol.geom.Point} 要素几何信息。
+     * @returns {(ol.geom.Point|ol.geom.LineString|ol.geom.Polygon)} 要素几何信息。
      */
     getGeometry() {
         return this.geometry_;
@@ -66,7 +66,7 @@ export class Graphic extends ol.Object {
     /**
      * @function ol.Graphic.prototype.setGeometry
      * @description 设置当前要素几何信息。
-     * @param {ol.geom.Point} geometry - 要素几何信息。
+     * @param {(ol.geom.Point|ol.geom.LineString|ol.geom.Polygon)} geometry - 要素几何信息。
      */
     setGeometry(geometry) {
         this.geometry_ = geometry;
@@ -93,7 +93,7 @@ export class Graphic extends ol.Object {
     /**
      * @function ol.Graphic.prototype.getStyle
      * @description 获取样式。
-     * @returns {ol.style.Image} ol.style.Image 子类样式对象。
+     * @returns {(ol.style.Image|ol.style.Style)} 点要素为 ol.style.Image 子类样式对象，线要素和面要素为 ol.style.Style 样式对象。
      */
     getStyle() {
         return this.style_;
@@ -102,7 +102,8 @@ export class Graphic extends ol.Object {
     /**
      * @function ol.Graphic.prototype.setStyle
      * @description 设置样式。
-     * @param {ol.style.Image} style - 样式，ol.style.Image 子类样式对象。
+     * @param {(ol.style.Image|ol.style.Style)} style - 样式。点要素为 ol.style.Image 子类样式对象；
+     *                                             线要素和面要素为 ol.style.Style 样式对象，使用其中的 stroke 和 fill。
      */
     setStyle(style) {
         if (!this.style && !style) {
@@ -110,7 +111,7 @@ export class Graphic extends ol.Object {
         }
         this.style_ = style;
         this.styleFunction_ = !style ?
-            undefined : ol.Graphic.createStyleFunction(new ol.style.Style({
+            undefined : ol.Graphic.createStyleFunction(style instanceof ol.style.Style ? style : new ol.style.Style({
                 image: style
             }));
         this.changed();
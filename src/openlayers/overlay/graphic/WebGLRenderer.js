@@ -6,6 +6,27 @@ import {CommonUtil,Unit} from "@supermap/iclient-common";
 import {Util} from "../../core/Util";
 
 const emptyFunc = () => false;
+
+function isSameData(oldData, newData) {
+    if (!oldData || oldData.length !== newData.length) {
+        return false;
+    }
+    for (let i = 0; i < newData.length; i++) {
+        if (oldData[i] !== newData[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+//ol 颜色转为 deck.gl 使用的 rgba 数组，透明度范围为 0-255
+function toDeckColor(color) {
+    if (!color) {
+        return [0, 0, 0, 0];
+    }
+    let rgba = ol.color.asArray(color);
+    return [rgba[0], rgba[1], rgba[2], rgba[3] * 255];
+}
 const CSS_TRANSFORM = (function () {
     let div = document.createElement('div');
     let props = [
@@ -28,7 +49,7 @@ const CSS_TRANSFORM = (function () {
 /**
  * @private
  * @class GraphicWebGLRenderer
- * @classdesc 高效率点图层 webgl 渲染器。
+ * @classdesc 高效率点图层 webgl 渲染器。点要素使用 ScatterplotLayer 绘制，线要素和面要素分别使用 PathLayer 和 PolygonLayer 绘制，聚类要素使用 IconLayer 绘制。
  * @category Visualization Graphic
  * @extends {ol.Object}
  * @param {ol.source.Graphic} layer - 高效率点图层。
@@ -138,6 +159,9 @@ export class GraphicWebGLRenderer extends ol.Object {
         if (graphics && graphics.length > -1) {
             this._data = graphics;
         }
+        //要素的几何可能已经改变，需要重新生成线、面图层的数据
+        this._lineData = null;
+        this._polygonData = null;
         if (!this._renderLayer) {
             return;
         }
@@ -153,6 +177,9 @@ export class GraphicWebGLRenderer extends ol.Object {
         state.data = this._data || [];
         this._renderLayer.setNeedsRedraw(true);
         this._renderLayer.setState(state);
+        this.deckGL && this.deckGL.setProps({
+            layers: this._getLayers()
+        });
     }
 
     /**
@@ -210,7 +237,6 @@ export class GraphicWebGLRenderer extends ol.Object {
         let innerLayerOptions = {
             id: 'scatter-plot',
             data: [],
-            pickable: Boolean(this.onClick) || Boolean(this.onHover),
             autoHighlight: true,
             color: color,
             opacity: opacity,
@@ -245,20 +271,123 @@ export class GraphicWebGLRenderer extends ol.Object {
                 getRadius: [radius]
             }
         };
+        me._renderLayer = new window.DeckGL.ScatterplotLayer(CommonUtil.extend(innerLayerOptions, me._getPickingOptions()));
+    }
+
+    _getPickingOptions() {
         let _self = this;
+        let options = {
+            pickable: Boolean(this.onClick) || Boolean(this.onHover)
+        };
         if (this.onClick) {
-            innerLayerOptions.onClick = function () {
+            options.onClick = function () {
                 _self._canvas.style.cursor = "pointer";
                 _self.onClick.apply(_self, arguments)
             };
         }
         if (this.onHover) {
-            innerLayerOptions.onHover = function () {
+            options.onHover = function () {
                 _self._canvas.style.cursor = "pointer";
                 _self.onHover.apply(_self, arguments)
             };
         }
-        me._renderLayer = new window.DeckGL.ScatterplotLayer(innerLayerOptions);
+        return options;
+    }
+
+    //线、面图层在每次绘制时重新创建，数据不变时 deck.gl 会复用已生成的顶点数据
+    _getLayers() {
+        let me = this;
+        let layers = [me._renderLayer];
+        let {highlightColor} = me._getLayerState();
+        let toCoordinates = function (coordinates) {
+            return coordinates.map(function (coordinate) {
+                return me._project(coordinate);
+            });
+        };
+        let getStroke = function (graphic) {
+            return me.layer._getPathStyle(graphic).getStroke();
+        };
+        let getFill = function (graphic) {
+            return me.layer._getPathStyle(graphic).getFill();
+        };
+        let options = CommonUtil.extend({
+            autoHighlight: true,
+            highlightColor: highlightColor,
+            opacity: 1
+        }, me._getPickingOptions());
+        if (me._lineData && me._lineData.length) {
+            layers.push(new window.DeckGL.PathLayer(CommonUtil.extend({
+                id: 'graphic-path',
+                data: me._lineData,
+                rounded: true,
+                widthScale: me._pixelToMeter(1),
+                getPath(graphic) {
+                    return toCoordinates(graphic.getGeometry().getCoordinates());
+                },
+                getColor(graphic) {
+                    let stroke = getStroke(graphic);
+                    return toDeckColor(stroke && stroke.getColor());
+                },
+                getWidth(graphic) {
+                    let stroke = getStroke(graphic);
+                    return stroke && stroke.getWidth() || 0;
+                }
+            }, options)));
+        }
+        if (me._polygonData && me._polygonData.length) {
+            layers.push(new window.DeckGL.PolygonLayer(CommonUtil.extend({
+                id: 'graphic-polygon',
+                data: me._polygonData,
+                lineWidthScale: me._pixelToMeter(1),
+                getPolygon(graphic) {
+                    return graphic.getGeometry().getCoordinates().map(toCoordinates);
+                },
+                getFillColor(graphic) {
+                    let fill = getFill(graphic);
+                    return toDeckColor(fill && fill.getColor());
+                },
+                getLineColor(graphic) {
+                    let stroke = getStroke(graphic);
+                    return toDeckColor(stroke && stroke.getColor());
+                },
+                getLineWidth(graphic) {
+                    let stroke = getStroke(graphic);
+                    return stroke && stroke.getWidth() || 0;
+                }
+            }, options)));
+        }
+        if (me._clusterData && me._clusterData.length) {
+            layers.push(me._getClusterLayer(options));
+        }
+        return layers;
+    }
+
+    //聚类要素使用带有个数标签的图标绘制
+    _getClusterLayer(options) {
+        let me = this;
+        let layer = me.layer;
+        let atlas = layer._clusterSymbol.getIconAtlas(me._clusterData.map(function (graphic) {
+            return graphic._cluster;
+        }), layer._pointCluster.totalValue);
+        me._clusterData.forEach(function (graphic, i) {
+            graphic._clusterIcon = atlas.icons[i];
+        });
+        return new window.DeckGL.IconLayer(CommonUtil.extend({
+            id: 'graphic-cluster',
+            data: me._clusterData,
+            iconAtlas: atlas.iconAtlas,
+            iconMapping: atlas.iconMapping,
+            getPosition(graphic) {
+                let coordinates = me._project(graphic.getGeometry().getCoordinates());
+                return [coordinates[0], coordinates[1], 0];
+            },
+            getIcon(graphic) {
+                return graphic._clusterIcon;
+            },
+            getSize(graphic) {
+                return atlas.iconMapping[graphic._clusterIcon].height;
+            }
+        }, options));
     }
 
     _getLayerDefaultStyle() {
@@ -307,7 +436,7 @@ export class GraphicWebGLRenderer extends ol.Object {
             deckOptions[key] = state[key];
         }
         this._renderLayer.setNeedsRedraw(true);
-        deckOptions.layers = [this._renderLayer];
+        deckOptions.layers = this._getLayers();
         deckOptions.canvas = this._canvas;
         if (this.onBeforeRender) {
             deckOptions.onBeforeRender = this.onBeforeRender.bind(this);
@@ -330,10 +459,26 @@ export class GraphicWebGLRenderer extends ol.Object {
             this._renderLayer.props.data = [];
         }
         this._renderLayer.props.data.length = 0;
+        let lines = [],
+            polygons = [],
+            clusters = [];
         for (let j = 0; j < sGraphics.length; j++) {
-            this._renderLayer.props.data.push(sGraphics[j]);
+            let geometry = sGraphics[j] && sGraphics[j].getGeometry();
+            if (this.layer.isCluster(sGraphics[j])) {
+                clusters.push(sGraphics[j]);
+            } else if (geometry instanceof ol.geom.LineString) {
+                lines.push(sGraphics[j]);
+            } else if (geometry instanceof ol.geom.Polygon) {
+                polygons.push(sGraphics[j]);
+            } else {
+                this._renderLayer.props.data.push(sGraphics[j]);
+            }
         }
-        this._data = this._renderLayer.props.data;
+        this._data = sGraphics;
+        //要素没有变化时保留原数组，避免 deck.gl 重新生成线、面的顶点数据
+        this._lineData = isSameData(this._lineData, lines) ? this._lineData : lines;
+        this._polygonData = isSameData(this._polygonData, polygons) ? this._polygonData : polygons;
+        this._clusterData = isSameData(this._clusterData, clusters) ? this._clusterData : clusters;
     }
 
     _project(coordinates) {
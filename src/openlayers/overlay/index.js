@@ -2,6 +2,7 @@
  * This program are made available under the terms of the Apache License, Version 2.0
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
 export {DataFlow} from './DataFlow';
+export {ElasticSearchGeoAdapter} from './ElasticSearchGeoAdapter';
 export {Graph} from './Graph';
 export {Graphic} from './Graphic';
 export {Label} from './Label';
@@ -2,8 +2,18 @@
  * This program are made available under the terms of the Apache License, Version 2.0
  * which accompanies this distribution and is available at http://www.apache.org/licenses/LICENSE-2.0.html.*/
 import ol from 'openlayers';
-import {Bounds, CommonUtil, ShapeFactory, ThemeVector as Vector} from '@supermap/iclient-common';
+import {
+    Bounds,
+    CommonUtil,
+    ShapeFactory,
+    ThemeVector as Vector,
+    GeometryPoint as Point,
+    GeometryVector,
+    PointCluster,
+    ClusterSymbol
+} from '@supermap/iclient-common';
 import {Theme} from './Theme';
+import {Util} from '../../core/Util';
 
 /**
  * @class ol.source.GeoFeature
@@ -23,6 +33,12 @@ import {Theme} from './Theme';
  * @param {Object} [opt_options.styleGroups] - 各专题类型样式组。
  * @param {boolean} [opt_options.isHoverAble=false] - 是否开启 hover 事件。
  * @param {Object} [opt_options.highlightStyle] - 开启 hover 事件后，触发的样式风格。
+ * @param {(boolean|Object)} [opt_options.cluster] - 点要素聚类参数。设置后按地图级别聚合几何对象为点的要素，聚类要素使用聚类符号绘制，其他要素不参与聚类。
+ * @param {number} [opt_options.cluster.radius=60] - 聚类半径，单位像素。
+ * @param {number} [opt_options.cluster.maxZoom=16] - 生成聚类的最大级别，大于此级别时显示全部点要素。级别按 Web 墨卡托投影下像素大小相同的级别计算，参考 {@link ol.supermap.Util.resolutionToWebMercatorZoom}。
+ * @param {string} [opt_options.cluster.field] - 统计字段，聚类的统计值为成员要素该属性值之和，符号大小随统计值变化。不设置时使用成员个数。
+ * @param {boolean} [opt_options.cluster.zoomOnClick=true] - 点击聚类时是否放大到聚类展开的级别。
+ * @param {Object} [opt_options.cluster.symbol] - 聚类符号参数，参考 {@link SuperMap.ClusterSymbol}。
  * @param {(string|Object)} [opt_option.attributions='Map Data <span>© <a href='http://support.supermap.com.cn/product/iServer.aspx' target='_blank'>SuperMap iServer</a></span> with <span>© <a href='http://iclient.supermap.io' target='_blank'>SuperMap iClient</a></span>'] - 版权信息。
  * @extends {Theme}
  */
@@ -42,6 +58,8 @@ export class GeoFeature extends Theme {
         this.isClickAble = opt_options.isClickAble === undefined ? true : opt_options.isClickAble;
         this.highlightStyle = opt_options.highlightStyle || null;
         this.isAllowFeatureStyle = opt_options.isAllowFeatureStyle === undefined ? false : opt_options.isAllowFeatureStyle;
+        this._initCluster(opt_options.cluster);
+        this.on('click', this._handleClusterClick.bind(this));
     }
 
     /**
@@ -60,6 +78,9 @@ export class GeoFeature extends Theme {
         this.style = null;
         this.highlightStyle = null;
         this.isAllowFeatureStyle = null;
+        this._pointCluster = null;
+        this._clusterSymbol = null;
+        this._clusterFeatures = null;
     }
 
     /**
@@ -114,7 +135,7 @@ export class GeoFeature extends Theme {
         //清除当前所有可视元素
         this.renderer.clearAll();
 
-        var features = this.features;
+        var features = this._pointCluster ? this._getClusteredFeatures() : this.features;
         var cache = this.cache;
         var cacheFields = this.cacheFields;
         var cmZoom = this.map.getView().getZoom();
@@ -146,7 +167,8 @@ export class GeoFeature extends Theme {
                 cache[fields].updateAndAddShapes();
             } else {
                 //如果专题要素缓存不存在，创建专题要素
-                thematicFeature = this.createThematicFeature(features[i]);
+                //聚类要素使用聚类符号样式，不按专题字段取样式
+                thematicFeature = this.isCluster(feature) ? GeoFeature.prototype.createThematicFeature.call(this, feature) : this.createThematicFeature(feature);
 
                 //检查 thematicFeature 是否有可视化图形
                 if (thematicFeature.getShapesCount() < 1) {
@@ -181,7 +203,7 @@ export class GeoFeature extends Theme {
      * @param {Object} feature - 要素对象。
      */
     createThematicFeature(feature) {
-        var style = CommonUtil.copyAttributesWithClip(this.style);
+        var style = this.isCluster(feature) ? feature.style : CommonUtil.copyAttributesWithClip(this.style);
         if (feature.style && this.isAllowFeatureStyle === true) {
             style = CommonUtil.copyAttributesWithClip(feature.style);
         }
@@ -246,6 +268,66 @@ export class GeoFeature extends Theme {
         }
     }
 
+    /**
+     * @function ol.source.GeoFeature.prototype.getFeatureById
+     * @description 通过给定一个 ID，返回对应的矢量要素，包括当前绘制的聚类要素。
+     * @param {string} featureId - 矢量要素的属性 ID。
+     * @returns {SuperMap.Feature.Vector} 对应 ID 的 feature，如果不存在则返回 null。
+     */
+    getFeatureById(featureId) {
+        return (this._clusterFeatures && this._clusterFeatures[featureId]) || Theme.prototype.getFeatureById.call(this, featureId);
+    }
+
+    /**
+     * @function ol.source.GeoFeature.prototype.setCluster
+     * @description 开启、关闭点要素聚类或者修改聚类参数。
+     * @param {(boolean|Object)} cluster - 聚类参数，参考构造参数 opt_options.cluster。为 false 时关闭聚类。
+     */
+    setCluster(cluster) {
+        this._initCluster(cluster);
+        this.changed();
+    }
+
+    /**
+     * @function ol.source.GeoFeature.prototype.isCluster
+     * @description 判断要素是否为聚类要素。聚类要素的属性包含成员个数 count 和统计值 value。
+     * @param {SuperMap.Feature.Vector} feature - 要素。
+     * @returns {boolean} 是否为聚类要素。
+     */
+    isCluster(feature) {
+        return !!feature && !!feature._cluster;
+    }
+
+    /**
+     * @function ol.source.GeoFeature.prototype.getClusterFeatures
+     * @description 获取聚类要素包含的全部点要素。
+     * @param {SuperMap.Feature.Vector} feature - 聚类要素。
+     * @returns {Array.<SuperMap.Feature.Vector>} 点要素数组。
+     */
+    getClusterFeatures(feature) {
+        if (!this.isCluster(feature) || !this._pointCluster) {
+            return [];
+        }
+        return this._pointCluster.getLeaves(feature._cluster);
+    }
+
+    /**
+     * @function ol.source.GeoFeature.prototype.expandCluster
+     * @description 以聚类要素为中心放大地图，直到聚类展开为多个要素。
+     * @param {SuperMap.Feature.Vector} feature - 聚类要素。
+     */
+    expandCluster(feature) {
+        if (!this.isCluster(feature) || !this._pointCluster) {
+            return;
+        }
+        var view = this.map.getView();
+        var projection = view.getProjection();
+        view.animate({
+            center: ol.proj.fromLonLat(feature._cluster.coordinates, projection),
+            resolution: Util.webMercatorZoomToResolution(this._pointCluster.getExpansionZoom(feature._cluster), projection)
+        });
+    }
+
     /**
      * @function ol.source.GeoFeature.prototype.setMaxCacheCount
      * @param {number} featureID - 要素 ID。
@@ -266,6 +348,77 @@ export class GeoFeature extends Theme {
         return list;
     }
 
+    //获取需要绘制的要素：聚类要素、未被聚合的点要素以及其他要素。要素数据变化后重建聚类索引
+    _getClusteredFeatures() {
+        var me = this;
+        if (me._clusterDirty || me._clusterSource !== me.features) {
+            me._pointCluster.load(me.features);
+            me._clusterSource = me.features;
+            me._clusterDirty = false;
+            me.clearCache();
+        }
+        var view = me.map.getView();
+        var zoom = Util.resolutionToWebMercatorZoom(view.getResolution(), view.getProjection());
+        var features = me.features.filter(function (feature) {
+            return !(feature.geometry instanceof Point);
+        });
+        me._clusterFeatures = {};
+        me._pointCluster.getClusters([-180, -90, 180, 90], zoom).forEach(function (item) {
+            features.push(PointCluster.isCluster(item) ? me._getClusterFeature(item, view.getProjection()) : item);
+        });
+        return features;
+    }
+
+    _getClusterFeature(cluster, projection) {
+        var coordinates = ol.proj.fromLonLat(cluster.coordinates, projection);
+        var feature = new GeometryVector(new Point(coordinates[0], coordinates[1]), {
+            count: cluster.count,
+            value: cluster.value
+        }, this._clusterSymbol.getFeatureStyle(cluster, this._pointCluster.totalValue));
+        feature.id = "cluster_" + cluster.zoom + "_" + cluster.id;
+        feature._cluster = cluster;
+        this._clusterFeatures[feature.id] = feature;
+        return feature;
+    }
+
+    _initCluster(cluster) {
+        this.clearCache();
+        this._clusterFeatures = {};
+        if (!cluster) {
+            this._pointCluster = null;
+            this._clusterSymbol = null;
+            return;
+        }
+        var me = this;
+        var options = cluster === true ? {} : cluster;
+        var field = options.field;
+        me._pointCluster = new PointCluster({
+            radius: options.radius,
+            maxZoom: options.maxZoom,
+            getCoordinates: function (feature) {
+                if (!(feature.geometry instanceof Point)) {
+                    return null;
+                }
+                return ol.proj.toLonLat([feature.geometry.x, feature.geometry.y], me.map.getView().getProjection());
+            },
+            getValue: field ? function (feature) {
+                return feature.attributes && feature.attributes[field];
+            } : null
+        });
+        me._clusterSymbol = new ClusterSymbol(options.symbol);
+        me._clusterZoomOnClick = options.zoomOnClick !== false;
+        me._clusterDirty = true;
+    }
+
+    //点击聚类要素时放大地图
+    _handleClusterClick(event) {
+        if (!this._pointCluster || !this._clusterZoomOnClick || !event.target || !event.target.refDataID) {
+            return;
+        }
+        var feature = this._clusterFeatures[event.target.refDataID];
+        feature && this.expandCluster(feature);
+    }
+
 }
 
 ol.source.GeoFeature = GeoFeature;
\ No newline at end of file
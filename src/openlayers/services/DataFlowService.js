@@ -22,6 +22,12 @@ import {DataFlowService as DataFlow} from '@supermap/iclient-common';
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
  * @param {Array.<Object>} [options.geometry] - 设置增添的几何要素对象数组。
  * @param {Object} [options.excludeField] - 排除字段。
+ * @param {(Object|boolean)} [options.reconnect] - 自动重连策略，设为 false 时不自动重连。参数说明参考 {@link SuperMap.DataFlowService}。
+ * @param {number} [options.batchInterval=0] - 订阅数据的合并间隔，单位毫秒。大于 0 时同一要素在一个间隔内只触发一次 messageSucceeded 事件。
+ * @param {string} [options.idField='id'] - 要素属性中表示唯一标识的字段。
+ * @param {number} [options.maxBufferSize=1000] - 待发送的广播数据和待触发的订阅数据的最大缓存个数。
+ * @param {(string|function)} [options.filter] - 订阅数据的属性过滤条件表达式或过滤函数，参考 {@link SuperMap.AttributeFilter}。
+ * @param {Array.<string>} [options.fields] - 订阅数据保留的属性字段。
  */
 export class DataFlowService extends ServiceBase {
 
@@ -40,7 +46,10 @@ export class DataFlowService extends ServiceBase {
             "subscribeSocketConnected": this._defaultEvent,
             "subscribeSocketError": this._defaultEvent,
             "messageSucceeded": this._defaultEvent,
+            "messageFiltered": this._defaultEvent,
             "setFilterParamSucceeded": this._defaultEvent,
+            "broadcastSocketReconnecting": this._defaultEvent,
+            "subscribeSocketReconnecting": this._defaultEvent,
             scope: this
         });
     }
@@ -95,6 +104,28 @@ export class DataFlowService extends ServiceBase {
         return this;
     }
 
+    /**
+     * @function ol.supermap.DataFlowService.prototype.setFilter
+     * @description 设置订阅数据的属性过滤条件。
+     * @param {(string|function)} filter - 过滤条件表达式或过滤函数，为空时不过滤。
+     */
+    setFilter(filter) {
+        this.dataFlow.setFilter(filter);
+        this.options.filter = filter;
+        return this;
+    }
+
+    /**
+     * @function ol.supermap.DataFlowService.prototype.setFields
+     * @description 设置订阅数据保留的属性字段。
+     * @param {Array.<string>} fields - 保留的属性字段，为空时保留全部字段。
+     */
+    setFields(fields) {
+        this.dataFlow.setFields(fields);
+        this.options.fields = fields;
+        return this;
+    }
+
     /**
      * @function ol.supermap.DataFlowService.prototype.unSubscribe
      * @description 结束订阅数据。
@@ -33,6 +33,8 @@ import {
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  * @extends {ol.supermap.ServiceBase}
  */
 export class FeatureService extends ServiceBase {
@@ -47,12 +49,16 @@ export class FeatureService extends ServiceBase {
      * @param {SuperMap.GetFeaturesByIDsParameters} params - 查询所需参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的数据格式。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getFeaturesByIDs(params, callback, resultFormat) {
         var me = this;
         var getFeaturesByIDsService = new GetFeaturesByIDsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
@@ -60,7 +66,7 @@ export class FeatureService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        getFeaturesByIDsService.processAsync(me._processParams(params));
+        return getFeaturesByIDsService.processAsync(me._processParams(params));
 
     }
 
@@ -70,12 +76,16 @@ export class FeatureService extends ServiceBase {
      * @param {SuperMap.GetFeaturesByBoundsParameters} params - 查询所需参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的数据格式。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getFeaturesByBounds(params, callback, resultFormat) {
         var me = this;
         var getFeaturesByBoundsService = new GetFeaturesByBoundsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
@@ -83,7 +93,7 @@ export class FeatureService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        getFeaturesByBoundsService.processAsync(me._processParams(params));
+        return getFeaturesByBoundsService.processAsync(me._processParams(params));
     }
 
     /**
@@ -92,12 +102,16 @@ export class FeatureService extends ServiceBase {
      * @param {SuperMap.GetFeaturesByBufferParameters} params - 查询所需参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的数据格式。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getFeaturesByBuffer(params, callback, resultFormat) {
         var me = this;
         var getFeatureService = new GetFeaturesByBufferService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
@@ -105,7 +119,7 @@ export class FeatureService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        getFeatureService.processAsync(me._processParams(params));
+        return getFeatureService.processAsync(me._processParams(params));
     }
 
     /**
@@ -114,12 +128,16 @@ export class FeatureService extends ServiceBase {
      * @param {SuperMap.GetFeaturesBySQLParameters} params - 查询所需参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的数据格式。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getFeaturesBySQL(params, callback, resultFormat) {
         var me = this;
         var getFeatureBySQLService = new GetFeaturesBySQLService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
@@ -128,7 +146,7 @@ export class FeatureService extends ServiceBase {
             format: me._processFormat(resultFormat)
         });
 
-        getFeatureBySQLService.processAsync(me._processParams(params));
+        return getFeatureBySQLService.processAsync(me._processParams(params));
     }
 
     /**
@@ -137,12 +155,16 @@ export class FeatureService extends ServiceBase {
      * @param {SuperMap.GetFeaturesByGeometryParameters} params - 查询所需参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的数据格式。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getFeaturesByGeometry(params, callback, resultFormat) {
         var me = this;
         var getFeaturesByGeometryService = new GetFeaturesByGeometryService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
@@ -150,7 +172,7 @@ export class FeatureService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        getFeaturesByGeometryService.processAsync(me._processParams(params));
+        return getFeaturesByGeometryService.processAsync(me._processParams(params));
     }
 
     /**
@@ -158,6 +180,7 @@ export class FeatureService extends ServiceBase {
      * @description 地物编辑服务。
      * @param {SuperMap.EditFeaturesParameters} params - 查询所需参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     editFeatures(params, callback) {
         if (!params || !params.dataSourceName || !params.dataSetName) {
@@ -172,13 +195,16 @@ export class FeatureService extends ServiceBase {
         var editFeatureService = new EditFeaturesService(url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 processCompleted: callback,
                 processFailed: callback
             }
         });
-        editFeatureService.processAsync(me._processParams(params));
+        return editFeatureService.processAsync(me._processParams(params));
     }
 
     _processParams(params) {
@@ -22,6 +22,8 @@ import {GetGridCellInfosService} from '@supermap/iclient-common';
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  */
 export class GridCellInfosService extends ServiceBase {
 
@@ -33,6 +35,7 @@ export class GridCellInfosService extends ServiceBase {
      * @function ol.supermap.GridCellInfosService.prototype.getGridCellInfos
      * @param {SuperMap.GetGridCellInfosParameters} params - 查询所需参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getGridCellInfos(params, callback) {
         if (!params) {
@@ -42,6 +45,9 @@ export class GridCellInfosService extends ServiceBase {
         var gridCellQueryService = new GetGridCellInfosService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -49,7 +55,7 @@ export class GridCellInfosService extends ServiceBase {
                 processFailed: callback
             }
         });
-        gridCellQueryService.processAsync(params);
+        return gridCellQueryService.processAsync(params);
     }
 }
 ol.supermap.GridCellInfosService = GridCellInfosService;
\ No newline at end of file
@@ -16,6 +16,8 @@ import {MeasureService as CommonMeasureService} from '@supermap/iclient-common';
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  */
 export class MeasureService extends ServiceBase {
 
@@ -28,9 +30,10 @@ export class MeasureService extends ServiceBase {
      * @description 测距。
      * @param {SuperMap.MeasureParameters} params - 测量相关参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     measureDistance(params, callback) {
-        this.measure(params, 'DISTANCE', callback);
+        return this.measure(params, 'DISTANCE', callback);
     }
 
     /**
@@ -38,9 +41,10 @@ export class MeasureService extends ServiceBase {
      * @description 测面积。
      * @param {SuperMap.MeasureParameters} params - 测量相关参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     measureArea(params, callback) {
-        this.measure(params, 'AREA', callback);
+        return this.measure(params, 'AREA', callback);
     }
 
     /**
@@ -49,13 +53,16 @@ export class MeasureService extends ServiceBase {
      * @param {SuperMap.MeasureParameters} params - 测量相关参数类。
      * @param {string} type - 类型。
      * @param {RequestCallback} callback - 回调函数。
-     * @returns {ol.supermap.MeasureService} 测量服务。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     measure(params, type, callback) {
         var me = this;
         var measureService = new CommonMeasureService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             measureMode: type,
             eventListeners: {
@@ -64,7 +71,7 @@ export class MeasureService extends ServiceBase {
                 processFailed: callback
             }
         });
-        measureService.processAsync(me._processParam(params));
+        return measureService.processAsync(me._processParam(params));
     }
 
     _processParam(params) {
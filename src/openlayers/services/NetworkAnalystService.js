@@ -36,6 +36,8 @@ import {ServiceBase} from './ServiceBase';
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  */
 export class NetworkAnalystService extends ServiceBase {
 
@@ -48,12 +50,16 @@ export class NetworkAnalystService extends ServiceBase {
      * @description 爆管分析服务：即将给定弧段或节点作为爆管点来进行分析，返回关键结点 ID 数组，普通结点 ID 数组及其上下游弧段 ID 数组。
      * @param {SuperMap.BurstPipelineAnalystParameters} params - 爆管分析服务参数类。
      * @param {RequestCallback} callback 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     burstPipelineAnalyst(params, callback) {
         var me = this;
         var burstPipelineAnalystService = new BurstPipelineAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -61,7 +67,7 @@ export class NetworkAnalystService extends ServiceBase {
                 processFailed: callback
             }
         });
-        burstPipelineAnalystService.processAsync(me._processParams(params));
+        return burstPipelineAnalystService.processAsync(me._processParams(params));
     }
 
     /**
@@ -69,12 +75,16 @@ export class NetworkAnalystService extends ServiceBase {
      * @description 耗费矩阵分析服务：根据交通网络分析参数中的耗费字段返回一个耗费矩阵。该矩阵是一个二维数组，用来存储任意两点间的资源消耗。
      * @param {SuperMap.ComputeWeightMatrixParameters} params - 耗费矩阵分析服务参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     computeWeightMatrix(params, callback) {
         var me = this;
         var computeWeightMatrixService = new ComputeWeightMatrixService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -82,7 +92,7 @@ export class NetworkAnalystService extends ServiceBase {
                 processFailed: callback
             }
         });
-        computeWeightMatrixService.processAsync(me._processParams(params));
+        return computeWeightMatrixService.processAsync(me._processParams(params));
     }
 
     /**
@@ -91,12 +101,16 @@ export class NetworkAnalystService extends ServiceBase {
      * @param {SuperMap.FindClosestFacilitiesParameters} params - 最近设施分析服务参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     findClosestFacilities(params, callback, resultFormat) {
         var me = this;
         var findClosestFacilitiesService = new FindClosestFacilitiesService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -105,7 +119,7 @@ export class NetworkAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        findClosestFacilitiesService.processAsync(me._processParams(params));
+        return findClosestFacilitiesService.processAsync(me._processParams(params));
     }
 
     /**
@@ -114,12 +128,16 @@ export class NetworkAnalystService extends ServiceBase {
      * @param {SuperMap.FacilityAnalystStreamParameters} params - 上游/下游 关键设施查找资源服务参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     streamFacilityAnalyst(params, callback, resultFormat) {
         var me = this;
         var facilityAnalystStreamService = new FacilityAnalystStreamService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -128,7 +146,7 @@ export class NetworkAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        facilityAnalystStreamService.processAsync(me._processParams(params));
+        return facilityAnalystStreamService.processAsync(me._processParams(params));
     }
 
     /**
@@ -137,12 +155,16 @@ export class NetworkAnalystService extends ServiceBase {
      * @param {SuperMap.FindLocationParameters} params - 选址分区分析服务参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     findLocation(params, callback, resultFormat) {
         var me = this;
         var findLocationService = new FindLocationService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -151,7 +173,7 @@ export class NetworkAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        findLocationService.processAsync(me._processParams(params));
+        return findLocationService.processAsync(me._processParams(params));
     }
 
     /**
@@ -160,12 +182,16 @@ export class NetworkAnalystService extends ServiceBase {
      * @param {SuperMap.FindPathParameters} params - 最佳路径分析服务参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     findPath(params, callback, resultFormat) {
         var me = this;
         var findPathService = new FindPathService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -174,7 +200,7 @@ export class NetworkAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        findPathService.processAsync(me._processParams(params));
+        return findPathService.processAsync(me._processParams(params));
     }
 
     /**
@@ -183,12 +209,16 @@ export class NetworkAnalystService extends ServiceBase {
      * @param {SuperMap.SuperMap.FindTSPPathsParameters} params - 旅行商分析服务参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     findTSPPaths(params, callback, resultFormat) {
         var me = this;
         var findTSPPathsService = new FindTSPPathsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -197,7 +227,7 @@ export class NetworkAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        findTSPPathsService.processAsync(me._processParams(params));
+        return findTSPPathsService.processAsync(me._processParams(params));
     }
 
     /**
@@ -206,12 +236,16 @@ export class NetworkAnalystService extends ServiceBase {
      * @param {SuperMap.FindMTSPPathsParameters} params - 多旅行商分析服务参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     findMTSPPaths(params, callback, resultFormat) {
         var me = this;
         var findMTSPPathsService = new FindMTSPPathsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -220,7 +254,7 @@ export class NetworkAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        findMTSPPathsService.processAsync(me._processParams(params));
+        return findMTSPPathsService.processAsync(me._processParams(params));
     }
 
     /**
@@ -229,12 +263,16 @@ export class NetworkAnalystService extends ServiceBase {
      * @param {SuperMap.FindServiceAreasParameters} params - 服务区分析服务参数类。
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     findServiceAreas(params, callback, resultFormat) {
         var me = this;
         var findServiceAreasService = new FindServiceAreasService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -243,7 +281,7 @@ export class NetworkAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        findServiceAreasService.processAsync(me._processParams(params));
+        return findServiceAreasService.processAsync(me._processParams(params));
     }
 
     /**
@@ -251,12 +289,16 @@ export class NetworkAnalystService extends ServiceBase {
      * @description 更新边的耗费权重服务。
      * @param {SuperMap.UpdateEdgeWeightParameters} params - 更新边的耗费权重服务参数类。
      * @param {RequestCallback} callback 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     updateEdgeWeight(params, callback) {
         var me = this;
         var updateEdgeWeightService = new UpdateEdgeWeightService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -264,7 +306,7 @@ export class NetworkAnalystService extends ServiceBase {
                 processFailed: callback
             }
         });
-        updateEdgeWeightService.processAsync(params);
+        return updateEdgeWeightService.processAsync(params);
     }
 
     /**
@@ -272,12 +314,16 @@ export class NetworkAnalystService extends ServiceBase {
      * @description 转向耗费权重更新服务。
      * @param {SuperMap.UpdateTurnNodeWeightParameters} params - 转向耗费权重更新服务参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     updateTurnNodeWeight(params, callback) {
         var me = this;
         var updateTurnNodeWeightService = new UpdateTurnNodeWeightService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -285,7 +331,7 @@ export class NetworkAnalystService extends ServiceBase {
                 processFailed: callback
             }
         });
-        updateTurnNodeWeightService.processAsync(params);
+        return updateTurnNodeWeightService.processAsync(params);
     }
 
     _processParams(params) {
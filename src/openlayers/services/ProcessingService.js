@@ -32,6 +32,8 @@ import {ServiceBase} from './ServiceBase';
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  */
 export class ProcessingService extends ServiceBase {
 
@@ -53,6 +55,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取密度分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getKernelDensityJobs(callback, resultFormat) {
         var me = this,
@@ -60,6 +63,9 @@ export class ProcessingService extends ServiceBase {
         var kernelDensityJobsService = new KernelDensityJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -68,7 +74,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        kernelDensityJobsService.getKernelDensityJobs();
+        return kernelDensityJobsService.getKernelDensityJobs();
     }
 
     /**
@@ -77,6 +83,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getKernelDensityJob(id, callback, resultFormat) {
         var me = this,
@@ -84,6 +91,9 @@ export class ProcessingService extends ServiceBase {
         var kernelDensityJobsService = new KernelDensityJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -92,7 +102,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        kernelDensityJobsService.getKernelDensityJob(id);
+        return kernelDensityJobsService.getKernelDensityJob(id);
     }
 
     /**
@@ -102,6 +112,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addKernelDensityJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -119,7 +130,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        kernelDensityJobsService.addKernelDensityJob(param, seconds);
+        return kernelDensityJobsService.addKernelDensityJob(param, seconds);
     }
 
     /**
@@ -137,6 +148,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取点聚合分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryMeshJobs(callback, resultFormat) {
         var me = this,
@@ -144,6 +156,9 @@ export class ProcessingService extends ServiceBase {
         var summaryMeshJobsService = new SummaryMeshJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -152,7 +167,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryMeshJobsService.getSummaryMeshJobs();
+        return summaryMeshJobsService.getSummaryMeshJobs();
     }
 
     /**
@@ -161,6 +176,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryMeshJob(id, callback, resultFormat) {
         var me = this,
@@ -168,6 +184,9 @@ export class ProcessingService extends ServiceBase {
         var summaryMeshJobsService = new SummaryMeshJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -176,7 +195,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryMeshJobsService.getSummaryMeshJob(id);
+        return summaryMeshJobsService.getSummaryMeshJob(id);
     }
 
     /**
@@ -186,6 +205,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addSummaryMeshJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -203,7 +223,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryMeshJobsService.addSummaryMeshJob(param, seconds);
+        return summaryMeshJobsService.addSummaryMeshJob(param, seconds);
     }
 
     /**
@@ -221,6 +241,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取单对象查询分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getQueryJobs(callback, resultFormat) {
         var me = this,
@@ -228,6 +249,9 @@ export class ProcessingService extends ServiceBase {
         var singleObjectQueryJobsService = new SingleObjectQueryJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -236,7 +260,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        singleObjectQueryJobsService.getQueryJobs();
+        return singleObjectQueryJobsService.getQueryJobs();
     }
 
     /**
@@ -245,6 +269,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getQueryJob(id, callback, resultFormat) {
         var me = this,
@@ -252,6 +277,9 @@ export class ProcessingService extends ServiceBase {
         var singleObjectQueryJobsService = new SingleObjectQueryJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -260,7 +288,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        singleObjectQueryJobsService.getQueryJob(id);
+        return singleObjectQueryJobsService.getQueryJob(id);
     }
 
     /**
@@ -270,6 +298,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addQueryJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -287,7 +316,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        singleObjectQueryJobsService.addQueryJob(param, seconds);
+        return singleObjectQueryJobsService.addQueryJob(param, seconds);
     }
 
     /**
@@ -305,6 +334,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取区域汇总分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryRegionJobs(callback, resultFormat) {
         var me = this,
@@ -312,6 +342,9 @@ export class ProcessingService extends ServiceBase {
         var summaryRegionJobsService = new SummaryRegionJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -320,7 +353,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryRegionJobsService.getSummaryRegionJobs();
+        return summaryRegionJobsService.getSummaryRegionJobs();
     }
 
     /**
@@ -329,6 +362,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 区域汇总分析的 ID。
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryRegionJob(id, callback, resultFormat) {
         var me = this,
@@ -336,6 +370,9 @@ export class ProcessingService extends ServiceBase {
         var summaryRegionJobsService = new SummaryRegionJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -344,7 +381,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryRegionJobsService.getSummaryRegionJob(id);
+        return summaryRegionJobsService.getSummaryRegionJob(id);
     }
 
     /**
@@ -354,6 +391,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addSummaryRegionJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -371,7 +409,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryRegionJobsService.addSummaryRegionJob(param, seconds);
+        return summaryRegionJobsService.addSummaryRegionJob(param, seconds);
     }
 
     /**
@@ -389,6 +427,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取矢量裁剪分析的列表。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getVectorClipJobs(callback, resultFormat) {
         var me = this,
@@ -396,6 +435,9 @@ export class ProcessingService extends ServiceBase {
         var vectorClipJobsService = new VectorClipJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -404,7 +446,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        vectorClipJobsService.getVectorClipJobs();
+        return vectorClipJobsService.getVectorClipJobs();
     }
 
     /**
@@ -413,6 +455,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getVectorClipJob(id, callback, resultFormat) {
         var me = this,
@@ -420,6 +463,9 @@ export class ProcessingService extends ServiceBase {
         var vectorClipJobsService = new VectorClipJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -428,7 +474,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        vectorClipJobsService.getVectorClipJob(id);
+        return vectorClipJobsService.getVectorClipJob(id);
     }
 
     /**
@@ -438,6 +484,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addVectorClipJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -446,6 +493,9 @@ export class ProcessingService extends ServiceBase {
         var vectorClipJobsService = new VectorClipJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -457,7 +507,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        vectorClipJobsService.addVectorClipJob(param, seconds);
+        return vectorClipJobsService.addVectorClipJob(param, seconds);
     }
 
     /**
@@ -475,6 +525,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取叠加分析的列表。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getOverlayGeoJobs(callback, resultFormat) {
         var me = this,
@@ -482,6 +533,9 @@ export class ProcessingService extends ServiceBase {
         var overlayGeoJobsService = new OverlayGeoJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -490,7 +544,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        overlayGeoJobsService.getOverlayGeoJobs();
+        return overlayGeoJobsService.getOverlayGeoJobs();
     }
 
     /**
@@ -499,6 +553,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getOverlayGeoJob(id, callback, resultFormat) {
         var me = this,
@@ -506,6 +561,9 @@ export class ProcessingService extends ServiceBase {
         var overlayGeoJobsService = new OverlayGeoJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -514,7 +572,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        overlayGeoJobsService.getOverlayGeoJob(id);
+        return overlayGeoJobsService.getOverlayGeoJob(id);
     }
 
     /**
@@ -524,6 +582,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addOverlayGeoJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -532,6 +591,9 @@ export class ProcessingService extends ServiceBase {
         var overlayGeoJobsService = new OverlayGeoJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -543,7 +605,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        overlayGeoJobsService.addOverlayGeoJob(param, seconds);
+        return overlayGeoJobsService.addOverlayGeoJob(param, seconds);
     }
 
     /**
@@ -561,6 +623,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取缓冲区分析的列表。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getBuffersJobs(callback, resultFormat) {
         var me = this,
@@ -568,6 +631,9 @@ export class ProcessingService extends ServiceBase {
         var buffersAnalystJobsService = new BuffersAnalystJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -576,7 +642,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        buffersAnalystJobsService.getBuffersJobs();
+        return buffersAnalystJobsService.getBuffersJobs();
     }
 
     /**
@@ -585,6 +651,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getBuffersJob(id, callback, resultFormat) {
         var me = this,
@@ -592,6 +659,9 @@ export class ProcessingService extends ServiceBase {
         var buffersAnalystJobsService = new BuffersAnalystJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -600,7 +670,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        buffersAnalystJobsService.getBuffersJob(id);
+        return buffersAnalystJobsService.getBuffersJob(id);
     }
 
     /**
@@ -610,6 +680,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addBuffersJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -618,6 +689,9 @@ export class ProcessingService extends ServiceBase {
         var buffersAnalystJobsService = new BuffersAnalystJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -629,7 +703,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        buffersAnalystJobsService.addBuffersJob(param, seconds);
+        return buffersAnalystJobsService.addBuffersJob(param, seconds);
     }
 
     /**
@@ -647,6 +721,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取拓扑检查分析的列表。
      * @param {RequestCallback} callback 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getTopologyValidatorJobs(callback, resultFormat) {
         var me = this,
@@ -654,6 +729,9 @@ export class ProcessingService extends ServiceBase {
         var topologyValidatorJobsService = new TopologyValidatorJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -662,7 +740,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        topologyValidatorJobsService.getTopologyValidatorJobs();
+        return topologyValidatorJobsService.getTopologyValidatorJobs();
     }
 
     /**
@@ -671,6 +749,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getTopologyValidatorJob(id, callback, resultFormat) {
         var me = this,
@@ -678,6 +757,9 @@ export class ProcessingService extends ServiceBase {
         var topologyValidatorJobsService = new TopologyValidatorJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -686,7 +768,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        topologyValidatorJobsService.getTopologyValidatorJob(id);
+        return topologyValidatorJobsService.getTopologyValidatorJob(id);
     }
 
     /**
@@ -696,6 +778,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addTopologyValidatorJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -704,6 +787,9 @@ export class ProcessingService extends ServiceBase {
         var topologyValidatorJobsService = new TopologyValidatorJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -715,7 +801,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        topologyValidatorJobsService.addTopologyValidatorJob(param, seconds);
+        return topologyValidatorJobsService.addTopologyValidatorJob(param, seconds);
     }
 
     /**
@@ -733,6 +819,7 @@ export class ProcessingService extends ServiceBase {
      * @description 获取拓扑检查属性汇总分析的列表。
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryAttributesJobs(callback, resultFormat) {
         var me = this,
@@ -740,6 +827,9 @@ export class ProcessingService extends ServiceBase {
         var summaryAttributesJobsService = new SummaryAttributesJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -748,7 +838,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryAttributesJobsService.getSummaryAttributesJobs();
+        return summaryAttributesJobsService.getSummaryAttributesJobs();
     }
 
     /**
@@ -757,6 +847,7 @@ export class ProcessingService extends ServiceBase {
      * @param {string} id - 空间分析的 ID。
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getSummaryAttributesJob(id, callback, resultFormat) {
         var me = this,
@@ -764,6 +855,9 @@ export class ProcessingService extends ServiceBase {
         var summaryAttributesJobsService = new SummaryAttributesJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -772,7 +866,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryAttributesJobsService.getSummaryAttributesJob(id);
+        return summaryAttributesJobsService.getSummaryAttributesJob(id);
     }
 
     /**
@@ -782,6 +876,7 @@ export class ProcessingService extends ServiceBase {
      * @param {RequestCallback} callback - 请求结果的回调函数。
      * @param {number} [seconds=1000] - 开始创建后，获取创建成功结果的时间间隔。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     addSummaryAttributesJob(params, callback, seconds, resultFormat) {
         var me = this,
@@ -790,6 +885,9 @@ export class ProcessingService extends ServiceBase {
         var summaryAttributesJobsService = new SummaryAttributesJobsService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -801,7 +899,7 @@ export class ProcessingService extends ServiceBase {
             },
             format: format
         });
-        summaryAttributesJobsService.addSummaryAttributesJob(param, seconds);
+        return summaryAttributesJobsService.addSummaryAttributesJob(param, seconds);
     }
 
     /**
@@ -25,6 +25,9 @@ ol.supermap = ol.supermap || {};
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
+ * @param {(boolean|SuperMap.ResponseCache)} [options.cache] - 请求的响应缓存，参考 {@link SuperMap.ResponseCache}。
  * @extends {ol.Observable}
  */
 export class ServiceBase extends ol.Observable {
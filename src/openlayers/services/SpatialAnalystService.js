@@ -38,6 +38,8 @@ import {ServiceBase} from './ServiceBase';
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  */
 export class SpatialAnalystService extends ServiceBase {
 
@@ -51,12 +53,16 @@ export class SpatialAnalystService extends ServiceBase {
      * @param {SuperMap.AreaSolarRadiationParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     getAreaSolarRadiationResult(params, callback, resultFormat) {
         var me = this;
         var areaSolarRadiationService = new AreaSolarRadiationService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -65,7 +71,7 @@ export class SpatialAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        areaSolarRadiationService.processAsync(params);
+        return areaSolarRadiationService.processAsync(params);
     }
 
     /**
@@ -74,12 +80,16 @@ export class SpatialAnalystService extends ServiceBase {
      * @param {SuperMap.DatasetBufferAnalystParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     bufferAnalysis(params, callback, resultFormat) {
         var me = this;
         var bufferAnalystService = new BufferAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -88,7 +98,7 @@ export class SpatialAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        bufferAnalystService.processAsync(me._processParams(params));
+        return bufferAnalystService.processAsync(me._processParams(params));
     }
 
     /**
@@ -97,12 +107,16 @@ export class SpatialAnalystService extends ServiceBase {
      * @param {SuperMap.DensityKernelAnalystParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     densityAnalysis(params, callback, resultFormat) {
         var me = this;
         var densityAnalystService = new DensityAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -111,7 +125,7 @@ export class SpatialAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        densityAnalystService.processAsync(me._processParams(params));
+        return densityAnalystService.processAsync(me._processParams(params));
     }
 
     /**
@@ -120,12 +134,16 @@ export class SpatialAnalystService extends ServiceBase {
      * @param {SuperMap.GenerateSpatialDataParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     generateSpatialData(params, callback, resultFormat) {
         var me = this;
         var generateSpatialDataService = new GenerateSpatialDataService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -134,7 +152,7 @@ export class SpatialAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        generateSpatialDataService.processAsync(params);
+        return generateSpatialDataService.processAsync(params);
     }
 
     /**
@@ -143,12 +161,16 @@ export class SpatialAnalystService extends ServiceBase {
      * @param {SuperMap.GeoRelationAnalystParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     geoRelationAnalysis(params, callback, resultFormat) {
         var me = this;
         var geoRelationAnalystService = new GeoRelationAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -157,7 +179,7 @@ export class SpatialAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        geoRelationAnalystService.processAsync(params);
+        return geoRelationAnalystService.processAsync(params);
     }
 
     /**
@@ -166,12 +188,16 @@ export class SpatialAnalystService extends ServiceBase {
      * @param {SuperMap.InterpolationRBFAnalystParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     interpolationAnalysis(params, callback, resultFormat) {
         var me = this;
         var interpolationAnalystService = new InterpolationAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -180,7 +206,7 @@ export class SpatialAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        interpolationAnalystService.processAsync(me._processParams(params));
+        return interpolationAnalystService.processAsync(me._processParams(params));
     }
 
     /**
@@ -189,12 +215,16 @@ export class SpatialAnalystService extends ServiceBase {
      * @param {SuperMap.MathExpressionAnalysisParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     mathExpressionAnalysis(params, callback, resultFormat) {
         var me = this;
         var mathExpressionAnalysisService = new MathExpressionAnalysisService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -203,7 +233,7 @@ export class SpatialAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        mathExpressionAnalysisService.processAsync(me._processParams(params));
+        return mathExpressionAnalysisService.processAsync(me._processParams(params));
     }
 
     /**
@@ -212,12 +242,16 @@ export class SpatialAnalystService extends ServiceBase {
      * @param {SuperMap.DatasetOverlayAnalystParameters|SuperMap.GeometryOverlayAnalystParameters} params - 叠加分析参数类，支持批量几何要素叠加分析。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     overlayAnalysis(params, callback, resultFormat) {
         var me = this;
         var overlayAnalystService = new OverlayAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -226,7 +260,7 @@ export class SpatialAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        overlayAnalystService.processAsync(me._processParams(params));
+        return overlayAnalystService.processAsync(me._processParams(params));
     }
 
     /**
@@ -235,12 +269,16 @@ export class SpatialAnalystService extends ServiceBase {
      * @param {SuperMap.RouteCalculateMeasureParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     routeCalculateMeasure(params, callback, resultFormat) {
         var me = this;
         var routeCalculateMeasureService = new RouteCalculateMeasureService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -249,7 +287,7 @@ export class SpatialAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        routeCalculateMeasureService.processAsync(me._processParams(params));
+        return routeCalculateMeasureService.processAsync(me._processParams(params));
     }
 
     /**
@@ -258,12 +296,16 @@ export class SpatialAnalystService extends ServiceBase {
      * @param {SuperMap.RouteLocatorParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     routeLocate(params, callback, resultFormat) {
         var me = this;
         var routeLocatorService = new RouteLocatorService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -272,7 +314,7 @@ export class SpatialAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        routeLocatorService.processAsync(me._processParams(params));
+        return routeLocatorService.processAsync(me._processParams(params));
     }
 
     /**
@@ -281,12 +323,16 @@ export class SpatialAnalystService extends ServiceBase {
      * @param {SuperMap.SurfaceAnalystParameters} params - 表面分析参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     surfaceAnalysis(params, callback, resultFormat) {
         var me = this;
         var surfaceAnalystService = new SurfaceAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -295,7 +341,7 @@ export class SpatialAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        surfaceAnalystService.processAsync(me._processParams(params));
+        return surfaceAnalystService.processAsync(me._processParams(params));
     }
 
     /**
@@ -304,12 +350,16 @@ export class SpatialAnalystService extends ServiceBase {
      * @param {SuperMap.TerrainCurvatureCalculationParameters} params - 地形曲率计算相关参数。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     terrainCurvatureCalculate(params, callback, resultFormat) {
         var me = this;
         var terrainCurvatureCalculationService = new TerrainCurvatureCalculationService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -318,7 +368,7 @@ export class SpatialAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        terrainCurvatureCalculationService.processAsync(params);
+        return terrainCurvatureCalculationService.processAsync(params);
     }
 
     /**
@@ -327,12 +377,16 @@ export class SpatialAnalystService extends ServiceBase {
      * @param {SuperMap.DatasetThiessenAnalystParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     thiessenAnalysis(params, callback, resultFormat) {
         var me = this;
         var thiessenAnalystService = new ThiessenAnalystService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -341,7 +395,7 @@ export class SpatialAnalystService extends ServiceBase {
             },
             format: me._processFormat(resultFormat)
         });
-        thiessenAnalystService.processAsync(me._processParams(params));
+        return thiessenAnalystService.processAsync(me._processParams(params));
     }
 
     /**
@@ -357,6 +411,7 @@ export class SpatialAnalystService extends ServiceBase {
      *                                {SuperMap.SurfaceAnalystParameters} 表面分析参数类。</br>
      * @param {RequestCallback} callback - 回调函数。
      * @param {SuperMap.DataFormat} [resultFormat=SuperMap.DataFormat.GEOJSON] - 返回的结果类型。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     geometrybatchAnalysis(params, callback, resultFormat) {
         var me = this;
@@ -380,7 +435,7 @@ export class SpatialAnalystService extends ServiceBase {
             })
         }
 
-        geometryBatchAnalystService.processAsync(analystParameters);
+        return geometryBatchAnalystService.processAsync(analystParameters);
     }
 
     _processParams(params) {
@@ -21,6 +21,8 @@ import {StopQueryService, TransferPathService, TransferSolutionService} from '@s
  * @param {string} [options.proxy] - 服务代理地址。
  * @param {SuperMap.ServerType} [options.serverType=SuperMap.ServerType.ISERVER] - 服务来源 iServer|iPortal|online。
  * @param {boolean} [options.withCredentials=false] - 请求是否携带 cookie。
+ * @param {AbortSignal} [options.signal] - 取消请求的信号。信号触发 abort 事件后，未完成的请求被中止。
+ * @param {Array.<Object>} [options.interceptors] - 仅对该服务生效的拦截器，参考 {@link SuperMap.FetchRequest.addInterceptor}。
  */
 export class TrafficTransferAnalystService extends ServiceBase {
 
@@ -33,12 +35,16 @@ export class TrafficTransferAnalystService extends ServiceBase {
      * @description 站点查询服务。
      * @param {SuperMap.StopQueryParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     queryStop(params, callback) {
         var me = this;
         var stopQueryService = new StopQueryService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -46,7 +52,7 @@ export class TrafficTransferAnalystService extends ServiceBase {
                 processFailed: callback
             }
         });
-        stopQueryService.processAsync(params);
+        return stopQueryService.processAsync(params);
     }
 
     /**
@@ -54,12 +60,16 @@ export class TrafficTransferAnalystService extends ServiceBase {
      * @description 交通换乘线路查询服务。
      * @param {SuperMap.TransferPathParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     analysisTransferPath(params, callback) {
         var me = this;
         var transferPathService = new TransferPathService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -67,7 +77,7 @@ export class TrafficTransferAnalystService extends ServiceBase {
                 processFailed: callback
             }
         });
-        transferPathService.processAsync(me._processParams(params));
+        return transferPathService.processAsync(me._processParams(params));
     }
 
     /**
@@ -75,12 +85,16 @@ export class TrafficTransferAnalystService extends ServiceBase {
      * @description 交通换乘方案查询服务。
      * @param {SuperMap.TransferSolutionParameters} params - 查询相关参数类。
      * @param {RequestCallback} callback - 回调函数。
+     * @returns {Promise} Promise 对象，成功时返回服务结果，失败时以 {@link SuperMap.ServiceError} 拒绝。
      */
     analysisTransferSolution(params, callback) {
         var me = this;
         var transferSolutionService = new TransferSolutionService(me.url, {
             proxy: me.options.proxy,
             withCredentials: me.options.withCredentials,
+            signal: me.options.signal,
+            interceptors: me.options.interceptors,
+            cache: me.options.cache,
             serverType: me.options.serverType,
             eventListeners: {
                 scope: me,
@@ -88,7 +102,7 @@ export class TrafficTransferAnalystService extends ServiceBase {
                 processFailed: callback
             }
         });
-        transferSolutionService.processAsync(me._processParams(params));
+        return transferSolutionService.processAsync(me._processParams(params));
     }
 
     _processParams(params) {
@@ -0,0 +1,62 @@
+import {ServiceError, NetworkError, TimeoutError, ServerError, AuthError, ParseError} from '../../../src/common/commontypes/Errors';
+
+describe('ServiceError', () => {
+    it('constructor', () => {
+        var origin = {code: 500, errorMsg: "internal error"};
+        var error = new ServiceError("internal error", origin);
+        expect(error instanceof ServiceError).toBeTruthy();
+        expect(error instanceof Error).toBeTruthy();
+        expect(error.name).toBe("ServiceError");
+        expect(error.message).toBe("internal error");
+        expect(error.error).toBe(origin);
+        expect(error.CLASS_NAME).toBe("SuperMap.ServiceError");
+    });
+
+    it('fromEvent', () => {
+        var error = ServiceError.fromEvent({code: 400, errorMsg: "bad request"});
+        expect(error instanceof ServiceError).toBeTruthy();
+        expect(error.message).toBe("bad request");
+        expect(error.error.code).toEqual(400);
+        expect(ServiceError.fromEvent(error)).toBe(error);
+        expect(ServiceError.fromEvent("timeout").message).toBe("timeout");
+        expect(ServiceError.fromEvent(new Error("failed")).message).toBe("failed");
+        expect(ServiceError.fromEvent(null).message).toBe("Service request failed.");
+    });
+
+    it('error types', () => {
+        var timeoutError = new TimeoutError(null, 45000);
+        expect(timeoutError instanceof NetworkError).toBeTruthy();
+        expect(timeoutError instanceof ServiceError).toBeTruthy();
+        expect(timeoutError.name).toBe("TimeoutError");
+        expect(timeoutError.CLASS_NAME).toBe("SuperMap.TimeoutError");
+        expect(timeoutError.message).toBe("timeout");
+        expect(timeoutError.timeout).toEqual(45000);
+        var parseError = new ParseError(null, "<html></html>");
+        expect(parseError instanceof ServiceError).toBeTruthy();
+        expect(parseError.name).toBe("ParseError");
+        expect(parseError.text).toBe("<html></html>");
+        var authError = new AuthError("token expired", 401);
+        expect(authError instanceof ServerError).toBeTruthy();
+        expect(authError instanceof Error).toBeTruthy();
+        expect(authError.name).toBe("AuthError");
+        expect(authError.code).toEqual(401);
+        expect(authError.errorMsg).toBe("token expired");
+    });
+
+    it('ServerError.fromResult', () => {
+        var error = ServerError.fromResult({succeed: false, error: {code: 400, errorMsg: "参数错误"}}, 400);
+        expect(error instanceof ServerError).toBeTruthy();
+        expect(error instanceof AuthError).toBeFalsy();
+        expect(error.code).toEqual(400);
+        expect(error.message).toBe("参数错误");
+        expect(error.error.errorMsg).toBe("参数错误");
+        expect(ServerError.fromResult(null, 401) instanceof AuthError).toBeTruthy();
+        expect(ServerError.fromResult({error: {code: 403, errorMsg: "Token 已过期"}}) instanceof AuthError).toBeTruthy();
+        expect(ServerError.fromResult({error: {code: 403, errorMsg: "没有权限"}}) instanceof AuthError).toBeFalsy();
+        var statusError = ServerError.fromResult(null, 502);
+        expect(statusError.code).toEqual(502);
+        expect(statusError.message).toBe("Service request failed with code 502.");
+        expect(ServerError.isErrorResult({code: 500})).toBeTruthy();
+        expect(ServerError.isErrorResult({succeed: true})).toBeFalsy();
+    });
+});
@@ -126,4 +126,99 @@ describe('WKT', () => {
         var newWkt = wkt.write(feature);
         expect(newWkt).toEqual("GEOMETRYCOLLECTION(POINT(4 6),LINESTRING(4 6,7 10))");
     });
+
+    it('read, write_zm', () => {
+        var wkt = new WKT();
+        var feature = wkt.read("POINT Z (1 2 3)");
+        expect(feature.geometry.x).toEqual(1);
+        expect(feature.geometry.z).toEqual(3);
+        expect(feature.geometry.m).toBeUndefined();
+        expect(wkt.write(feature)).toEqual("POINT Z (1 2 3)");
+        feature = wkt.read("LINESTRINGM(1 2 5,3 4 6)");
+        expect(feature.geometry.components[1].m).toEqual(6);
+        expect(feature.geometry.components[1].z).toBeUndefined();
+        expect(wkt.write(feature)).toEqual("LINESTRING M (1 2 5,3 4 6)");
+        //没有标明维度时，四个坐标为 XYZM
+        feature = wkt.read("MULTIPOINT((1 2 3 4),(5 6 7 8))");
+        expect(feature.geometry.components[1].z).toEqual(7);
+        expect(feature.geometry.components[1].m).toEqual(8);
+        expect(wkt.write(feature)).toEqual("MULTIPOINT ZM ((1 2 3 4),(5 6 7 8))");
+        feature = wkt.read("POLYGON ZM ((0 0 1 0,4 0 1 1,4 4 1 2,0 0 1 0))");
+        expect(feature.geometry.components[0].components[2].z).toEqual(1);
+        expect(feature.geometry.components[0].components[2].m).toEqual(2);
+    });
+
+    it('read, write_ewkt', () => {
+        var wkt = new WKT();
+        var feature = wkt.read("SRID=4326;POINT(116 39 50)");
+        expect(feature.geometry.srid).toEqual(4326);
+        expect(feature.geometry.z).toEqual(50);
+        expect(wkt.write(feature)).toEqual("SRID=4326;POINT(116 39 50)");
+        expect(wkt.write(feature, {srid: 3857})).toEqual("SRID=3857;POINT(116 39 50)");
+        feature = wkt.read("SRID=3857;MULTILINESTRINGM((1 2 3,4 5 6))");
+        expect(wkt.write(feature)).toEqual("SRID=3857;MULTILINESTRINGM((1 2 3,4 5 6))");
+        var features = wkt.read("SRID=4490;GEOMETRYCOLLECTION(POINT(4 6),LINESTRING(4 6,7 10))");
+        expect(features[1].geometry.srid).toEqual(4490);
+        expect(wkt.write(features)).toEqual("SRID=4490;GEOMETRYCOLLECTION(POINT(4 6),LINESTRING(4 6,7 10))");
+    });
+
+    it('read, write_empty', () => {
+        var wkt = new WKT();
+        var feature = wkt.read("POINT EMPTY");
+        expect(isNaN(feature.geometry.x)).toBeTruthy();
+        expect(wkt.write(feature)).toEqual("POINT EMPTY");
+        feature = wkt.read("MULTIPOLYGON Z EMPTY");
+        expect(feature.geometry.CLASS_NAME).toEqual("SuperMap.Geometry.MultiPolygon");
+        expect(feature.geometry.components.length).toEqual(0);
+        expect(wkt.write(feature)).toEqual("MULTIPOLYGON EMPTY");
+        expect(wkt.read("GEOMETRYCOLLECTION EMPTY")).toEqual([]);
+        expect(wkt.write([])).toEqual("GEOMETRYCOLLECTION EMPTY");
+        var features = wkt.read("GEOMETRYCOLLECTION(POINT(1 2),LINESTRING EMPTY)");
+        expect(features[1].geometry.components.length).toEqual(0);
+        expect(wkt.write(features)).toEqual("GEOMETRYCOLLECTION(POINT(1 2),LINESTRING EMPTY)");
+    });
+
+    it('readWKB', () => {
+        var wkt = new WKT();
+        //PostGIS: SELECT 'SRID=4326;POINT(1 2)'::geometry
+        var feature = wkt.readWKB("0101000020E6100000000000000000F03F0000000000000040");
+        expect(feature.geometry.CLASS_NAME).toEqual("SuperMap.Geometry.Point");
+        expect(feature.geometry.x).toEqual(1);
+        expect(feature.geometry.y).toEqual(2);
+        expect(feature.geometry.srid).toEqual(4326);
+        //大端字节序的 POINT Z (1 2 3)，ISO 类型编码 1001
+        feature = wkt.readWKB("\\x00000003E93FF000000000000040000000000000004008000000000000");
+        expect(feature.geometry.z).toEqual(3);
+        expect(feature.geometry.srid).toBeUndefined();
+        //EWKB 的 LINESTRING M
+        feature = wkt.readWKB("010200004002000000000000000000F03F00000000000000400000000000001440000000000000084000000000000010400000000000001840");
+        expect(feature.geometry.components.length).toEqual(2);
+        expect(feature.geometry.components[1].x).toEqual(3);
+        expect(feature.geometry.components[1].m).toEqual(6);
+    });
+
+    it('writeWKB', () => {
+        var wkt = new WKT();
+        var feature = wkt.read("SRID=4326;POINT(1 2)");
+        expect(wkt.writeWKB(feature)).toEqual("0101000020E6100000000000000000F03F0000000000000040");
+        expect(wkt.writeWKB(feature, {ewkb: false})).toEqual("0101000000000000000000F03F0000000000000040");
+        expect(wkt.writeWKB(feature, {littleEndian: false, ewkb: false})).toEqual("00000000013FF00000000000004000000000000000");
+        var data = [
+            "MULTIPOLYGON ZM (((0 0 1 0,4 0 1 1,4 4 1 2,0 0 1 0)),((6 3 2 0,9 2 2 1,9 4 2 2,6 3 2 0)))",
+            "MULTIPOINT Z ((3.5 5.6 1),(4.8 10.5 2))",
+            "POLYGON((1 1,5 1,5 5,1 5,1 1),(2 2,2 3,3 3,3 2,2 2))",
+            "MULTILINESTRING M ((3 4 1,10 50 2,20 25 3),(-5 -8 4,-10 -8 5,-15 -4 6))",
+            "GEOMETRYCOLLECTION(POINT(4 6),LINESTRING(4 6,7 10))",
+            "POINT EMPTY"
+        ];
+        for (var i = 0; i < data.length; i++) {
+            var features = wkt.read(data[i]);
+            var buffer = wkt.writeWKB(features, {hex: false});
+            expect(buffer instanceof ArrayBuffer).toBeTruthy();
+            expect(wkt.write(wkt.readWKB(buffer))).toEqual(data[i]);
+            expect(wkt.write(wkt.readWKB(wkt.writeWKB(features, {ewkb: true, srid: 4326})))).toEqual("SRID=4326;" + data[i].replace(/ (ZM?|M) /, function (match, dimension) {
+                return dimension === 'M' ? 'M' : '';
+            }));
+        }
+    });
 });
@@ -0,0 +1,259 @@
+import { DataFlowService } from '../../../src/common/iServer/DataFlowService';
+
+var url = "ws://localhost:8800/iserver/services/dataflow/dataflow";
+
+var FakeSocket = function (socketUrl) {
+    this.url = socketUrl;
+    this.sent = [];
+};
+FakeSocket.prototype.send = function (data) {
+    this.sent.push(data);
+};
+FakeSocket.prototype.open = function () {
+    this.onopen && this.onopen({});
+};
+FakeSocket.prototype.close = function () {
+    this.onclose && this.onclose({});
+};
+FakeSocket.prototype.receive = function (data) {
+    this.onmessage && this.onmessage({data: JSON.stringify(data)});
+};
+
+var feature = function (id, x) {
+    return {
+        type: "Feature",
+        geometry: {type: "Point", coordinates: [x, 0]},
+        properties: {id: id}
+    };
+};
+
+describe('DataFlowService', () => {
+    var service, sockets;
+    beforeEach(() => {
+        sockets = [];
+        jasmine.clock().install();
+    });
+    afterEach(() => {
+        jasmine.clock().uninstall();
+        if (service) {
+            service.destroy();
+            service = null;
+        }
+    });
+    var createService = (options) => {
+        service = new DataFlowService(url, options);
+        spyOn(service, '_connect').and.callFake((socketUrl) => {
+            var socket = new FakeSocket(socketUrl);
+            sockets.push(socket);
+            return socket;
+        });
+        return service;
+    };
+
+    it('constructor', () => {
+        createService({batchInterval: 100});
+        expect(service.url).toBe(url + '/');
+        expect(service.batchInterval).toBe(100);
+        expect(service.idField).toBe('id');
+        expect(service.reconnect.times).toBe(10);
+        expect(service.EVENT_TYPES.length).toBe(11);
+    });
+
+    it('reconnect_subscribe', () => {
+        var reconnecting = [], connected = 0;
+        createService({geometry: [{type: "Point", coordinates: [0, 0]}]});
+        service.events.on({
+            subscribeSocketReconnecting: (e) => reconnecting.push(e),
+            subscribeSocketConnected: () => connected++
+        });
+        service.initSubscribe();
+        sockets[0].open();
+        expect(sockets[0].sent.length).toBe(1);
+        sockets[0].close();
+        expect(reconnecting.length).toBe(1);
+        expect(reconnecting[0].attempt).toBe(1);
+        expect(reconnecting[0].delay).toBe(1000);
+        jasmine.clock().tick(999);
+        expect(sockets.length).toBe(1);
+        jasmine.clock().tick(1);
+        expect(sockets.length).toBe(2);
+        //第二次连接失败，等待时间加倍
+        sockets[1].close();
+        expect(reconnecting[1].delay).toBe(2000);
+        jasmine.clock().tick(2000);
+        expect(service.subscribeWebSocket).toBe(sockets[2]);
+        sockets[2].open();
+        expect(connected).toBe(2);
+        //重连成功后重新发送过滤参数
+        expect(sockets[2].sent[0]).toBe(sockets[0].sent[0]);
+        expect(sockets[2].sent[0]).toContain('"Point"');
+    });
+
+    it('reconnect_maxDelay_times', () => {
+        var failed = [];
+        createService({reconnect: {times: 2, delay: 1000, maxDelay: 1500}});
+        service.events.on({broadcastFailed: (e) => failed.push(e)});
+        service.initBroadcast();
+        sockets[0].close();
+        jasmine.clock().tick(1000);
+        sockets[1].close();
+        jasmine.clock().tick(1500);
+        expect(sockets.length).toBe(3);
+        sockets[2].close();
+        jasmine.clock().tick(10000);
+        expect(sockets.length).toBe(3);
+        expect(service.broadcastWebSocket).toBeNull();
+        service.broadcast(feature(1, 0));
+        expect(failed.length).toBe(1);
+    });
+
+    it('reconnect_false', () => {
+        createService({reconnect: false});
+        service.initSubscribe();
+        sockets[0].open();
+        sockets[0].close();
+        jasmine.clock().tick(60000);
+        expect(sockets.length).toBe(1);
+        expect(service.subscribeWebSocket).toBeNull();
+    });
+
+    it('unSubscribe_notReconnect', () => {
+        createService();
+        service.initSubscribe();
+        sockets[0].open();
+        service.unSubscribe();
+        jasmine.clock().tick(60000);
+        expect(sockets.length).toBe(1);
+    });
+
+    it('setGeometry_beforeOpen', () => {
+        createService();
+        service.initSubscribe();
+        expect(() => service.setGeometry([{type: "Point", coordinates: [1, 1]}])).not.toThrow();
+        expect(sockets[0].sent.length).toBe(0);
+        sockets[0].open();
+        expect(sockets[0].sent[0]).toBe(service._getFilterParams());
+        expect(sockets[0].sent[0]).toContain("'coordinates':[1,1]");
+        service.setExcludeField("name");
+        expect(sockets[0].sent.length).toBe(2);
+    });
+
+    it('broadcast_queue', () => {
+        var succeeded = [], failed = [];
+        createService({maxBufferSize: 2});
+        service.events.on({
+            broadcastSucceeded: (e) => succeeded.push(e),
+            broadcastFailed: (e) => failed.push(e)
+        });
+        service.initBroadcast();
+        service.broadcast(feature(1, 0));
+        service.broadcast(feature(2, 0));
+        service.broadcast(feature(3, 0));
+        expect(failed.length).toBe(1);
+        expect(failed[0].feature.properties.id).toBe(1);
+        expect(sockets[0].sent.length).toBe(0);
+        sockets[0].open();
+        expect(sockets[0].sent.length).toBe(2);
+        expect(succeeded.length).toBe(2);
+        expect(JSON.parse(sockets[0].sent[0]).properties.id).toBe(2);
+        //断开期间的广播在重连后发送
+        sockets[0].close();
+        service.broadcast(feature(4, 0));
+        jasmine.clock().tick(1000);
+        sockets[1].open();
+        expect(JSON.parse(sockets[1].sent[0]).properties.id).toBe(4);
+    });
+
+    it('batchInterval', () => {
+        var messages = [];
+        createService({batchInterval: 100});
+        service.events.on({messageSucceeded: (e) => messages.push(e.featureResult)});
+        service.initSubscribe();
+        sockets[0].open();
+        sockets[0].receive(feature(1, 0));
+        sockets[0].receive(feature(2, 0));
+        sockets[0].receive(feature(1, 5));
+        expect(messages.length).toBe(0);
+        jasmine.clock().tick(100);
+        expect(messages.length).toBe(2);
+        expect(messages[0].properties.id).toBe(1);
+        expect(messages[0].geometry.coordinates[0]).toBe(5);
+        sockets[0].receive(feature(1, 6));
+        jasmine.clock().tick(100);
+        expect(messages.length).toBe(3);
+    });
+
+    it('batchInterval_maxBufferSize', () => {
+        var messages = [];
+        createService({batchInterval: 100, maxBufferSize: 2});
+        service.events.on({messageSucceeded: (e) => messages.push(e.featureResult)});
+        service.initSubscribe();
+        sockets[0].open();
+        sockets[0].receive(feature(1, 0));
+        sockets[0].receive(feature(2, 0));
+        sockets[0].receive(feature(3, 0));
+        sockets[0].receive(feature(1, 1));
+        jasmine.clock().tick(100);
+        expect(messages.map((item) => item.properties.id)).toEqual([3, 1]);
+    });
+
+    it('filter_fields', () => {
+        var messages = [];
+        createService({filter: "speed > 60", fields: ['speed']});
+        service.events.on({messageSucceeded: (e) => messages.push(e.featureResult)});
+        service.initSubscribe();
+        sockets[0].open();
+        sockets[0].receive({type: "Feature", geometry: null, properties: {id: 1, speed: 80, name: 'a'}});
+        sockets[0].receive({type: "Feature", geometry: null, properties: {id: 2, speed: 40, name: 'b'}});
+        expect(messages.length).toBe(1);
+        expect(messages[0].properties).toEqual({speed: 80, id: 1});
+        service.setFilter((feature) => feature.properties.id === 2).setFields(null);
+        sockets[0].receive({type: "Feature", geometry: null, properties: {id: 1, speed: 80, name: 'a'}});
+        sockets[0].receive({type: "Feature", geometry: null, properties: {id: 2, speed: 40, name: 'b'}});
+        expect(messages.length).toBe(2);
+        expect(messages[1].properties.name).toBe('b');
+        service.setFilter(null);
+        sockets[0].receive({type: "Feature", geometry: null, properties: {id: 1, speed: 80, name: 'a'}});
+        expect(messages.length).toBe(3);
+    });
+
+    it('filter_messageFiltered', () => {
+        var messages = [], filtered = [];
+        createService({filter: "speed > 60", batchInterval: 100});
+        service.events.on({
+            messageSucceeded: (e) => messages.push(e.featureResult),
+            messageFiltered: (e) => filtered.push(e)
+        });
+        service.initSubscribe();
+        sockets[0].open();
+        sockets[0].receive({type: "Feature", geometry: null, properties: {id: 1, speed: 80}});
+        jasmine.clock().tick(100);
+        expect(messages.length).toBe(1);
+        //要素从满足条件变为不满足条件，触发 messageFiltered 事件，并丢弃尚未触发的数据
+        sockets[0].receive({type: "Feature", geometry: null, properties: {id: 1, speed: 70}});
+        sockets[0].receive({type: "Feature", geometry: null, properties: {id: 1, speed: 40}});
+        expect(filtered.length).toBe(1);
+        expect(filtered[0].featureId).toBe(1);
+        expect(filtered[0].featureResult.properties.speed).toBe(40);
+        jasmine.clock().tick(100);
+        expect(messages.length).toBe(1);
+        //没有唯一标识的要素无法移除，不触发事件
+        sockets[0].receive({type: "Feature", geometry: null, properties: {speed: 40}});
+        expect(filtered.length).toBe(1);
+        //设置过滤条件时丢弃尚未触发的数据
+        sockets[0].receive({type: "Feature", geometry: null, properties: {id: 2, speed: 80}});
+        service.setFilter("speed > 90");
+        jasmine.clock().tick(100);
+        expect(messages.length).toBe(1);
+    });
+
+    it('filterParam_notBatched', () => {
+        var filterParams = 0;
+        createService({batchInterval: 100});
+        service.events.on({setFilterParamSucceeded: () => filterParams++});
+        service.initSubscribe();
+        sockets[0].open();
+        sockets[0].receive({filterParam: {}});
+        expect(filterParams).toBe(1);
+    });
+});
@@ -4,6 +4,7 @@ import { TransportationAnalystParameter } from '../../../src/common/iServer/Tran
 import { TransportationAnalystResultSetting } from '../../../src/common/iServer/TransportationAnalystResultSetting';
 import { Point } from '../../../src/common/commontypes/geometry/Point';
 import { FetchRequest } from '../../../src/common/util/FetchRequest';
+import { ParseError } from '../../../src/common/commontypes/Errors';
 
 //服务初始化时注册事件监听函数
 var url = GlobeParameter.networkAnalystURL;
@@ -263,23 +264,15 @@ describe('FindTSPPathsService', () => {
             endNodeAssigned: false,
             parameter: analystParameter
         });
-        var findTSPPathServiceCompleted = (serviceSucceedEventArgs) => {
-            try {
-                expect(serviceSucceedEventArgs.type).toBe("processCompleted");
-                expect(serviceSucceedEventArgs.result.succeed).toBeTruthy;
-                findTSPPathsService.destroy();
-                parameter.destroy();
-                done();
-            } catch (exception) {
-                expect(false).toBeTruthy();
-                console.log("FindTSPPathsService_" + exception.name + ":" + exception.message);
-                findTSPPathsService.destroy();
-                parameter.destroy();
-                done();
-            }
-        };
-        var findTSPPathServiceFailed = (serviceFailedEventArgsSystem) => {
-
+        var findTSPPathServiceCompleted = jasmine.createSpy('findTSPPathServiceCompleted');
+        var findTSPPathServiceFailed = (serviceFailedEventArgs) => {
+            expect(serviceFailedEventArgs.type).toBe("processFailed");
+            expect(serviceFailedEventArgs.error instanceof ParseError).toBeTruthy();
+            expect(serviceFailedEventArgs.error.text).toBe("tsppath");
+            expect(findTSPPathServiceCompleted).not.toHaveBeenCalled();
+            findTSPPathsService.destroy();
+            parameter.destroy();
+            done();
         };
 
         var findTSPPathsService = initFindTSPPathService(findTSPPathServiceCompleted, findTSPPathServiceFailed);
@@ -93,6 +93,30 @@ describe('GetGridCellInfosService', () => {
         }, 2000);
     });
 
+    it('processAsync_promise', (done) => {
+        var queryParam = new GetGridCellInfosParameters({
+            datasetName: "LandCover",
+            dataSourceName: "World",
+            X: "110",
+            Y: "50"
+        });
+        var myService = initGetGridCellInfosService(dataServiceURL);
+        spyOn(FetchRequest, 'commit').and.callFake((method, testUrl) => {
+            if (testUrl.indexOf("/gridValue.json") > 0) {
+                return Promise.resolve(new Response(`{"column":4640,"row":640,"value":1,"centerPoint":{"x":110,"y":50}}`));
+            }
+            return Promise.resolve(new Response(`{"datasetInfo":{"type":"GRID","name":"LandCover"}}`));
+        });
+        //先查询数据集信息再查询栅格值，Promise 返回栅格值查询的结果
+        myService.processAsync(queryParam).then((result) => {
+            expect(FetchRequest.commit.calls.count()).toBe(2);
+            expect(result.value).toEqual(1);
+            myService.destroy();
+            queryParam.destroy();
+            done();
+        });
+    });
+
     it('fail:processAsync', (done) => {
         var url = dataServiceURL + "/datasources/World/datasets";
         var queryCompleted = (event) => {
@@ -112,7 +136,7 @@ describe('GetGridCellInfosService', () => {
         myService.processAsync();
         setTimeout(() => {
             try {
-                expect((myService.processAsync()) === undefined).toBeTruthy();
+                expect(myService.processAsync() instanceof Promise).toBeTruthy();
                 myService.destroy();
                 done();
             } catch (exception) {
@@ -5,6 +5,7 @@ import {Bounds} from '../../../src/common/commontypes/Bounds';
 import {GeometryType} from '../../../src/common/REST';
 import {QueryOption} from '../../../src/common/REST';
 import { FetchRequest } from '../../../src/common/util/FetchRequest';
+import { ServiceError, AuthError, ParseError } from '../../../src/common/commontypes/Errors';
 
 var serviceFailedEventArgsSystem = null, serviceCompletedEventArgsSystem = null;
 var initQueryByBoundsService = (url,QueryByBoundsFailed,QueryByBoundsCompleted) => {
@@ -202,5 +203,251 @@ describe('QueryByBoundsService_processAsync', () => {
         });
         queryByBoundsService.processAsync(queryByBoundsParameters);
     })
+
+    it('processAsync_aborted', (done) => {
+        var worldMapURL = GlobeParameter.mapServiceURL + "World Map";
+        var QueryByBoundsFailed = jasmine.createSpy('QueryByBoundsFailed');
+        var QueryByBoundsCompleted = jasmine.createSpy('QueryByBoundsCompleted');
+        var controller = new AbortController();
+        var queryByBoundsService = new QueryByBoundsService(worldMapURL, {
+            signal: controller.signal,
+            eventListeners: {
+                'processFailed': QueryByBoundsFailed,
+                'processCompleted': QueryByBoundsCompleted
+            }
+        });
+        var queryByBoundsParameters = new QueryByBoundsParameters({
+            queryParams: new Array(new FilterParameter({
+                attributeFilter: "SmID<21",
+                name: "Countries@World",
+            })),
+            bounds: new Bounds(0, 0, 100, 100)
+        });
+        spyOn(FetchRequest, 'commit').and.callFake((method, testUrl, params, options) => {
+            expect(options.signal).toBe(controller.signal);
+            return FetchRequest._abortable(new Promise(() => {}), options.signal);
+        });
+        queryByBoundsService.processAsync(queryByBoundsParameters);
+        controller.abort();
+        setTimeout(() => {
+            expect(FetchRequest.commit.calls.count()).toBe(1);
+            expect(QueryByBoundsFailed).not.toHaveBeenCalled();
+            expect(QueryByBoundsCompleted).not.toHaveBeenCalled();
+            queryByBoundsService.destroy();
+            queryByBoundsParameters.destroy();
+            done();
+        }, 100);
+    });
+
+    it('processAsync_interceptors', (done) => {
+        var worldMapURL = GlobeParameter.mapServiceURL + "World Map";
+        var QueryByBoundsFailed = (serviceFailedEventArgs) => {
+            expect(serviceFailedEventArgs.error.message).toBe("vetoed");
+            expect(QueryByBoundsCompleted).not.toHaveBeenCalled();
+            queryByBoundsService.destroy();
+            queryByBoundsParameters.destroy();
+            done();
+        };
+        var QueryByBoundsCompleted = jasmine.createSpy('QueryByBoundsCompleted');
+        var queryByBoundsService = new QueryByBoundsService(worldMapURL, {
+            interceptors: [{
+                result: (result, options) => {
+                    expect(result.totalCount).toEqual(1);
+                    expect(options.method).toBe("POST");
+                    throw new Error("vetoed");
+                }
+            }],
+            eventListeners: {
+                'processFailed': QueryByBoundsFailed,
+                'processCompleted': QueryByBoundsCompleted
+            }
+        });
+        var queryByBoundsParameters = new QueryByBoundsParameters({
+            queryParams: new Array(new FilterParameter({
+                attributeFilter: "SmID<21",
+                name: "Countries@World",
+            })),
+            bounds: new Bounds(0, 0, 100, 100)
+        });
+        spyOn(FetchRequest, 'commit').and.callFake((method, testUrl, params, options) => {
+            expect(options.interceptors.length).toEqual(1);
+            return Promise.resolve(new Response(JSON.stringify(queryResultJson)));
+        });
+        queryByBoundsService.processAsync(queryByBoundsParameters);
+    });
+
+    it('processAsync_promise', (done) => {
+        var worldMapURL = GlobeParameter.mapServiceURL + "World Map";
+        var QueryByBoundsCompleted = jasmine.createSpy('QueryByBoundsCompleted');
+        var queryByBoundsService = initQueryByBoundsService(worldMapURL, null, QueryByBoundsCompleted);
+        var queryByBoundsParameters = new QueryByBoundsParameters({
+            queryParams: new Array(new FilterParameter({
+                attributeFilter: "SmID<21",
+                name: "Countries@World",
+            })),
+            bounds: new Bounds(0, 0, 100, 100)
+        });
+        spyOn(FetchRequest, 'commit').and.callFake(() => {
+            return Promise.resolve(new Response(JSON.stringify(queryResultJson)));
+        });
+        queryByBoundsService.processAsync(queryByBoundsParameters).then((result) => {
+            expect(QueryByBoundsCompleted).toHaveBeenCalled();
+            expect(result.totalCount).toEqual(1);
+            expect(result.recordsets.length).toEqual(1);
+            queryByBoundsService.destroy();
+            queryByBoundsParameters.destroy();
+            done();
+        });
+    });
+
+    it('processAsync_promise_failed', (done) => {
+        var worldMapURL = GlobeParameter.mapServiceURL + "World Map";
+        var QueryByBoundsFailed = jasmine.createSpy('QueryByBoundsFailed');
+        var queryByBoundsService = initQueryByBoundsService(worldMapURL, QueryByBoundsFailed, null);
+        var queryByBoundsParameters = new QueryByBoundsParameters({
+            queryParams: [],
+            bounds: new Bounds(0, 0, 100, 100)
+        });
+        spyOn(FetchRequest, 'commit').and.callFake(() => {
+            return Promise.resolve(new Response(`{"succeed":false,"error":{"code":400,"errorMsg":"参数 queryParameters 非法，queryParameters.queryParams 不能为空。"}}`));
+        });
+        queryByBoundsService.processAsync(queryByBoundsParameters).catch((error) => {
+            expect(QueryByBoundsFailed).toHaveBeenCalled();
+            expect(error instanceof ServiceError).toBeTruthy();
+            expect(error.message).toBe("参数 queryParameters 非法，queryParameters.queryParams 不能为空。");
+            expect(error.error.code).toEqual(400);
+            queryByBoundsService.destroy();
+            queryByBoundsParameters.destroy();
+            done();
+        });
+    });
+
+    it('processAsync_promise_concurrent', (done) => {
+        var worldMapURL = GlobeParameter.mapServiceURL + "World Map";
+        var queryByBoundsService = initQueryByBoundsService(worldMapURL, null, null);
+        var queryByBoundsParameters = new QueryByBoundsParameters({
+            queryParams: new Array(new FilterParameter({
+                attributeFilter: "SmID<21",
+                name: "Countries@World",
+            })),
+            bounds: new Bounds(0, 0, 100, 100)
+        });
+        var resolves = [];
+        spyOn(FetchRequest, 'commit').and.callFake(() => {
+            return new Promise((resolve) => {
+                resolves.push(resolve);
+            });
+        });
+        var createResponse = (totalCount) => {
+            var result = JSON.parse(JSON.stringify(queryResultJson));
+            result.totalCount = totalCount;
+            return new Response(JSON.stringify(result));
+        };
+        Promise.all([
+            queryByBoundsService.processAsync(queryByBoundsParameters),
+            queryByBoundsService.processAsync(queryByBoundsParameters)
+        ]).then((results) => {
+            expect(results[0].totalCount).toEqual(1);
+            expect(results[1].totalCount).toEqual(2);
+            queryByBoundsService.destroy();
+            queryByBoundsParameters.destroy();
+            done();
+        });
+        //后发送的请求先返回
+        resolves[1](createResponse(2));
+        setTimeout(() => {
+            resolves[0](createResponse(1));
+        }, 10);
+    });
+
+    it('processAsync_promise_aborted', (done) => {
+        var worldMapURL = GlobeParameter.mapServiceURL + "World Map";
+        var QueryByBoundsFailed = jasmine.createSpy('QueryByBoundsFailed');
+        var controller = new AbortController();
+        var queryByBoundsService = new QueryByBoundsService(worldMapURL, {
+            signal: controller.signal,
+            eventListeners: {
+                'processFailed': QueryByBoundsFailed
+            }
+        });
+        var queryByBoundsParameters = new QueryByBoundsParameters({
+            queryParams: new Array(new FilterParameter({
+                attributeFilter: "SmID<21",
+                name: "Countries@World",
+            })),
+            bounds: new Bounds(0, 0, 100, 100)
+        });
+        spyOn(FetchRequest, 'commit').and.callFake((method, testUrl, params, options) => {
+            return FetchRequest._abortable(new Promise(() => {}), options.signal);
+        });
+        queryByBoundsService.processAsync(queryByBoundsParameters).catch((error) => {
+            expect(FetchRequest.isAbortError(error)).toBeTruthy();
+            expect(QueryByBoundsFailed).not.toHaveBeenCalled();
+            queryByBoundsService.destroy();
+            queryByBoundsParameters.destroy();
+            done();
+        });
+        controller.abort();
+    });
+
+    it('processAsync_promise_invalidParams', (done) => {
+        var worldMapURL = GlobeParameter.mapServiceURL + "World Map";
+        var QueryByBoundsFailed = jasmine.createSpy('QueryByBoundsFailed');
+        var queryByBoundsService = initQueryByBoundsService(worldMapURL, QueryByBoundsFailed, null);
+        spyOn(FetchRequest, 'commit');
+        queryByBoundsService.processAsync({}).catch((error) => {
+            expect(error instanceof ServiceError).toBeTruthy();
+            expect(FetchRequest.commit).not.toHaveBeenCalled();
+            expect(QueryByBoundsFailed).not.toHaveBeenCalled();
+            queryByBoundsService.destroy();
+            done();
+        });
+    });
+
+    it('processAsync_authError', (done) => {
+        var worldMapURL = GlobeParameter.mapServiceURL + "World Map";
+        var QueryByBoundsFailed = (serviceFailedEventArgs) => {
+            expect(serviceFailedEventArgs.error instanceof AuthError).toBeTruthy();
+            expect(serviceFailedEventArgs.error.code).toEqual(401);
+            expect(serviceFailedEventArgs.error.errorMsg).toBe("token expired");
+        };
+        var queryByBoundsService = initQueryByBoundsService(worldMapURL, QueryByBoundsFailed, null);
+        var queryByBoundsParameters = new QueryByBoundsParameters({
+            queryParams: new Array(new FilterParameter({
+                name: "Countries@World"
+            })),
+            bounds: new Bounds(0, 0, 100, 100)
+        });
+        spyOn(FetchRequest, 'commit').and.callFake(() => {
+            return Promise.resolve(new Response(`{"succeed":false,"error":{"code":401,"errorMsg":"token expired"}}`, {status: 401}));
+        });
+        queryByBoundsService.processAsync(queryByBoundsParameters).catch((error) => {
+            expect(error instanceof AuthError).toBeTruthy();
+            queryByBoundsService.destroy();
+            queryByBoundsParameters.destroy();
+            done();
+        });
+    });
+
+    it('processAsync_parseError', (done) => {
+        var worldMapURL = GlobeParameter.mapServiceURL + "World Map";
+        var queryByBoundsService = initQueryByBoundsService(worldMapURL, null, null);
+        var queryByBoundsParameters = new QueryByBoundsParameters({
+            queryParams: new Array(new FilterParameter({
+                name: "Countries@World"
+            })),
+            bounds: new Bounds(0, 0, 100, 100)
+        });
+        spyOn(FetchRequest, 'commit').and.callFake(() => {
+            return Promise.resolve(new Response(`<html></html>`, {status: 200}));
+        });
+        queryByBoundsService.processAsync(queryByBoundsParameters).catch((error) => {
+            expect(error instanceof ParseError).toBeTruthy();
+            expect(error.text).toBe("<html></html>");
+            queryByBoundsService.destroy();
+            queryByBoundsParameters.destroy();
+            done();
+        });
+    });
 });
 
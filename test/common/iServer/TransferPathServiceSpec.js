@@ -27,7 +27,7 @@ describe('TransferPathService', () => {
         service.processAsync();
         setTimeout(() => {
             try {
-                expect(typeof(service.processAsync()) === "undefined").toBeTruthy();
+                expect(service.processAsync() instanceof Promise).toBeTruthy();
                 service.destroy();
                 done();
             } catch (exception) {
@@ -31,7 +31,7 @@ describe('TransferSolutionService', () => {
 
         setTimeout(() => {
             try {
-                expect(typeof(service.processAsync()) === "undefined").toBeTruthy();
+                expect(service.processAsync() instanceof Promise).toBeTruthy();
                 done();
             } catch (exception) {
                 expect(false).toBeTruthy();
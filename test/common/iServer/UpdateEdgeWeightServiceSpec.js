@@ -32,7 +32,7 @@ describe('UpdateEdgeWeightService', () => {
         var updateEdgeWeightCompleted = (serviceCompletedEventArgs) => {
             serviceCompletedEventArgsSystem = serviceCompletedEventArgs;
             try {
-                expect(typeof(myUpdateEdgeWeightService.processAsync()) === "undefined").toBeTruthy();
+                expect(myUpdateEdgeWeightService.processAsync() instanceof Promise).toBeTruthy();
                 myUpdateEdgeWeightService.destroy();
                 expect(myUpdateEdgeWeightService.EVENT_TYPES).toBeNull();
                 expect(myUpdateEdgeWeightService.events).toBeNull();
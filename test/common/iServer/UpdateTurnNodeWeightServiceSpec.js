@@ -33,7 +33,7 @@ describe('UpdateTurnNodeWeightService', () => {
         var updateTurnNodeWeightCompleted = (serviceCompletedEventArgs) => {
             serviceCompletedEventArgsSystem = serviceCompletedEventArgs;
             try {
-                expect(typeof(myUpdateTurnNodeWeightService.processAsync()) === "undefined").toBeTruthy();
+                expect(myUpdateTurnNodeWeightService.processAsync() instanceof Promise).toBeTruthy();
                 myUpdateTurnNodeWeightService.destroy();
                 expect(myUpdateTurnNodeWeightService.EVENT_TYPES).toBeNull();
                 expect(myUpdateTurnNodeWeightService.events).toBeNull();
@@ -0,0 +1,86 @@
+import { Lang } from '../../../src/common/lang/Lang';
+import '../../../src/common/lang/locales/en-US';
+import '../../../src/common/lang/locales/zh-CN';
+
+describe('Lang', () => {
+    var originalCode;
+    beforeAll(() => {
+        originalCode = Lang.getCode();
+        Lang.registerLocale('fr-FR', {
+            'title_dataFlowService': 'Service de flux de données',
+            'msg_resultCount': {
+                'zero': 'Aucun résultat',
+                'one': '{count} résultat',
+                'other': '{count} résultats'
+            },
+            'msg_hello': 'Bonjour {name}, {unknown}'
+        });
+        Lang.registerLocale('fr-CA', {
+            'title_distributedAnalysis': 'Analyse distribuée'
+        });
+    });
+    afterAll(() => {
+        Lang.setCode(originalCode);
+        delete Lang['fr-FR'];
+        delete Lang['fr-CA'];
+        delete Lang['ja-JP'];
+        delete Lang.fallbacks['ja-JP'];
+    });
+
+    it('registerLocale, getLocales, resolveCode', () => {
+        expect(Lang.getLocales()).toEqual(jasmine.arrayContaining(['en-US', 'zh-CN', 'fr-FR', 'fr-CA']));
+        expect(Lang.getLocales()).not.toContain('code');
+        expect(Lang.resolveCode('fr-fr')).toBe('fr-FR');
+        expect(Lang.resolveCode('zh_TW')).toBe('zh-CN');
+        expect(Lang.resolveCode('ja')).toBe('ja');
+        expect(Lang.resolveCode('ja', true)).toBeNull();
+        expect(() => Lang.registerLocale('defaultCode', {})).toThrow();
+        var locale = Lang.registerLocale('fr-FR', {'msg_bye': 'Au revoir'});
+        expect(locale['msg_bye']).toBe('Au revoir');
+        expect(locale['title_dataFlowService']).toBe('Service de flux de données');
+    });
+
+    it('setCode, getFallbackChain', () => {
+        Lang.setCode('fr-CA');
+        expect(Lang.getCode()).toBe('fr-CA');
+        expect(Lang.getFallbackChain()).toEqual(['fr-CA', 'fr-FR', 'en-US']);
+        Lang.setCode('zh-TW');
+        expect(Lang.getCode()).toBe('zh-CN');
+        Lang.setCode('ja-JP');
+        expect(Lang.getCode()).toBe('ja-JP');
+        Lang.registerLocale('ja-JP', {}, {fallback: 'zh-CN'});
+        expect(Lang.getFallbackChain()).toEqual(['ja-JP', 'zh-CN', 'en-US']);
+    });
+
+    it('i18n:fallback, interpolation, plurals', () => {
+        Lang.setCode('fr-CA');
+        expect(Lang.i18n('title_distributedAnalysis')).toBe('Analyse distribuée');
+        expect(Lang.i18n('title_dataFlowService')).toBe('Service de flux de données');
+        expect(Lang.i18n('title_clientComputing')).toBe(Lang['en-US']['title_clientComputing']);
+        expect(Lang.i18n('unknown_key')).toBe('unknown_key');
+        expect(Lang.i18n('msg_hello', {name: 'SuperMap'})).toBe('Bonjour SuperMap, {unknown}');
+        expect(Lang.i18n('msg_resultCount', {count: 0})).toBe('Aucun résultat');
+        expect(Lang.i18n('msg_resultCount', {count: 1})).toBe('1 résultat');
+        expect(Lang.i18n('msg_resultCount', {count: 5})).toBe('5 résultats');
+        expect(Lang.i18n('msg_resultCount')).toBe('{count} résultats');
+        expect(Lang.getPluralCategory(1, 'en-US')).toBe('one');
+        expect(Lang.getPluralCategory(2, 'en-US')).toBe('other');
+    });
+
+    it('events:localechanged', () => {
+        Lang.setCode('en-US');
+        var events = [];
+        var listener = (e) => {
+            events.push(e.oldCode + '>' + e.code);
+        };
+        Lang.events.on({'localechanged': listener});
+        Lang.setCode('fr-FR');
+        Lang.setCode('fr-FR');
+        Lang.registerLocale('fr-FR', {'msg_bye': 'Salut'});
+        Lang.registerLocale('fr-CA', {'msg_bye': 'Bye'});
+        Lang.setCode('en-US');
+        Lang.events.un({'localechanged': listener});
+        Lang.setCode('fr-FR');
+        expect(events).toEqual(['en-US>fr-FR', 'fr-FR>fr-FR', 'fr-FR>en-US']);
+    });
+});
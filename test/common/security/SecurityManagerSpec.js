@@ -2,6 +2,7 @@ import {SecurityManager} from '../../../src/common/security/SecurityManager';
 import {ServerInfo} from '../../../src/common/security/ServerInfo';
 import {TokenServiceParameter} from '../../../src/common/security/TokenServiceParameter';
 import {ServerType} from '../../../src/common/REST';
+import {FetchRequest, isCORS, setCORS} from '../../../src/common/util/FetchRequest';
 
 describe('SecurityManager', () => {
     var originalTimeout;
@@ -79,6 +80,142 @@ describe('SecurityManager', () => {
         expect(result).toBe(key);
     });
 
+    it("registerToken_expires", () => {
+        var url = "http://localhost:8190/iserver";
+        var expires = new Date(new Date().getTime() + 3600000);
+        SecurityManager.registerToken(url, "expiresToken", expires);
+        expect(SecurityManager.getToken(url)).toBe("expiresToken");
+        expect(SecurityManager.getTokenExpiration("http://localhost:8190/iserver/services/map-world")).toEqual(expires.getTime());
+        SecurityManager.registerToken(url, "expiresToken");
+        expect(SecurityManager.getTokenExpiration(url)).toBeUndefined();
+        SecurityManager.destroyToken(url);
+    });
+
+    it("enableTokenRenewal_beforeExpiration", (done) => {
+        var url = "http://localhost:8191/iserver";
+        jasmine.clock().install();
+        spyOn(SecurityManager, 'generateToken').and.callFake(() => Promise.resolve("renewedToken"));
+        SecurityManager.enableTokenRenewal(url, new TokenServiceParameter({
+            userName: "admin",
+            password: "admin",
+            expiration: 30
+        }), {renewBefore: 1000});
+        expect(SecurityManager.getServerInfo(url).tokenServiceUrl).toBe("http://localhost:8191/iserver/services/security/tokens.json");
+        SecurityManager.registerToken(url, "oldToken", new Date().getTime() + 5000);
+        jasmine.clock().tick(3000);
+        expect(SecurityManager.generateToken).not.toHaveBeenCalled();
+        jasmine.clock().tick(1100);
+        expect(SecurityManager.generateToken).toHaveBeenCalled();
+        jasmine.clock().uninstall();
+        SecurityManager.renewToken(url).then((token) => {
+            expect(token).toBe("renewedToken");
+            expect(SecurityManager.generateToken.calls.count()).toEqual(1);
+            expect(SecurityManager.getToken(url)).toBe("renewedToken");
+            expect(SecurityManager.getTokenExpiration(url)).toBeGreaterThan(new Date().getTime() + 29 * 60000);
+            SecurityManager.disableTokenRenewal(url);
+            SecurityManager.destroyToken(url);
+            done();
+        });
+    });
+
+    it("enableTokenRenewal_replay", (done) => {
+        var url = "http://localhost:8192/iserver";
+        var cors = isCORS();
+        setCORS(true);
+        spyOn(SecurityManager, 'generateToken').and.callFake(() => Promise.resolve("renewedToken"));
+        spyOn(FetchRequest, '_abortableFetch').and.callFake((requestUrl) => {
+            if (requestUrl.indexOf("token=renewedToken") > -1) {
+                return Promise.resolve(new Response('{"succeed":true}', {status: 200}));
+            }
+            return Promise.resolve(new Response('{"succeed":false,"error":{"code":401,"errorMsg":"token expired"}}', {status: 401}));
+        });
+        SecurityManager.enableTokenRenewal(url, new TokenServiceParameter({
+            userName: "admin",
+            password: "admin"
+        }));
+        SecurityManager.registerToken(url, "oldToken");
+        FetchRequest.get(url + "/services/map-world/rest/maps?token=oldToken").then((response) => {
+            expect(response.status).toEqual(200);
+            expect(SecurityManager.generateToken.calls.count()).toEqual(1);
+            expect(FetchRequest._abortableFetch.calls.count()).toEqual(2);
+            expect(FetchRequest._abortableFetch.calls.argsFor(1)[0]).toBe(url + "/services/map-world/rest/maps.json?token=renewedToken");
+            expect(SecurityManager.getToken(url)).toBe("renewedToken");
+            SecurityManager.disableTokenRenewal(url);
+            SecurityManager.destroyToken(url);
+            setCORS(cors);
+            done();
+        });
+    });
+
+    it("enableTokenRenewal_replayOptions", (done) => {
+        var url = "http://localhost:8194/iserver";
+        var cors = isCORS();
+        setCORS(true);
+        spyOn(SecurityManager, 'generateToken').and.callFake(() => Promise.resolve("renewedToken"));
+        spyOn(FetchRequest, '_abortableFetch').and.callFake((requestUrl) => {
+            if (requestUrl.indexOf("token=renewedToken") > -1) {
+                return Promise.resolve(new Response('{"succeed":true}', {status: 200}));
+            }
+            return Promise.resolve(new Response('{"succeed":false,"error":{"code":401,"errorMsg":"token expired"}}', {status: 401}));
+        });
+        SecurityManager.enableTokenRenewal(url, new TokenServiceParameter({
+            userName: "admin",
+            password: "admin"
+        }));
+        SecurityManager.registerToken(url, "oldToken");
+        var signal = {aborted: false, addEventListener() {}, removeEventListener() {}};
+        var interceptor = {
+            request: jasmine.createSpy('request').and.callFake((config) => config)
+        };
+        FetchRequest.get(url + "/services/map-world/rest/maps?token=oldToken", null, {
+            signal: signal,
+            timeout: 5000,
+            withCredentials: true,
+            headers: {'X-Test': 'test'},
+            interceptors: [interceptor]
+        }).then((response) => {
+            expect(response.status).toEqual(200);
+            expect(FetchRequest._abortableFetch.calls.count()).toEqual(2);
+            var replayInit = FetchRequest._abortableFetch.calls.argsFor(1)[1];
+            var replayOptions = FetchRequest._abortableFetch.calls.argsFor(1)[2];
+            expect(replayOptions.signal).toBe(signal);
+            expect(replayOptions.timeout).toEqual(5000);
+            expect(replayOptions.interceptors).toEqual([interceptor]);
+            expect(replayInit.headers['X-Test']).toBe('test');
+            expect(replayInit.credentials).toBe('include');
+            expect(interceptor.request.calls.count()).toEqual(2);
+            SecurityManager.disableTokenRenewal(url);
+            SecurityManager.destroyToken(url);
+            setCORS(cors);
+            done();
+        });
+    });
+
+    it("enableTokenRenewal_replayOnce", (done) => {
+        var url = "http://localhost:8193/iserver";
+        var cors = isCORS();
+        setCORS(true);
+        spyOn(SecurityManager, 'generateToken').and.callFake(() => Promise.resolve("renewedToken"));
+        spyOn(FetchRequest, '_abortableFetch').and.callFake(() => {
+            return Promise.resolve(new Response('{"succeed":false,"error":{"code":401,"errorMsg":"token expired"}}', {status: 401}));
+        });
+        SecurityManager.enableTokenRenewal(url, new TokenServiceParameter({
+            userName: "admin",
+            password: "admin"
+        }));
+        SecurityManager.registerToken(url, "oldToken");
+        FetchRequest.get(url + "/services/map-world/rest/maps?token=oldToken").then((response) => {
+            expect(response.status).toEqual(401);
+            expect(SecurityManager.generateToken.calls.count()).toEqual(1);
+            expect(FetchRequest._abortableFetch.calls.count()).toEqual(2);
+            SecurityManager.disableTokenRenewal(url);
+            expect(FetchRequest.getInterceptors().length).toEqual(0);
+            SecurityManager.destroyToken(url);
+            setCORS(cors);
+            done();
+        });
+    });
+
     it("loginOnline", () => {
         var callbackLocation = "Online";
         var newTab = false;
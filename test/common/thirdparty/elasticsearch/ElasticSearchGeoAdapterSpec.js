@@ -0,0 +1,144 @@
+import {ElasticSearchGeoAdapter} from '../../../../src/common/thirdparty/elasticsearch/ElasticSearchGeoAdapter';
+import {GeoHashGridAggParameter} from '../../../../src/common/iServer/GeoHashGridAggParameter';
+
+describe('ElasticSearchGeoAdapter', () => {
+    it('constructor, getPrecision', () => {
+        var adapter = new ElasticSearchGeoAdapter(null, {geoField: 'location', aggType: 'geohash_grid'});
+        expect(adapter.aggName).toBe('grid');
+        expect(adapter.size).toBe(1000);
+        expect(adapter.geometryType).toBe('Polygon');
+        expect(adapter.CLASS_NAME).toBe('SuperMap.ElasticSearchGeoAdapter');
+        expect(adapter.getPrecision(0)).toBe(1);
+        expect(adapter.getPrecision(18)).toBe(8);
+        adapter.aggType = 'geotile_grid';
+        expect(adapter.getPrecision(5)).toBe(7);
+        adapter.precision = (zoom) => zoom;
+        expect(adapter.getPrecision(5)).toBe(5);
+    });
+
+    it('buildSearchParams', () => {
+        var adapter = new ElasticSearchGeoAdapter(null, {
+            index: 'flights',
+            geoField: 'location',
+            aggType: 'geohash_grid',
+            precision: 3,
+            centroid: true,
+            subAggs: {avgDelay: {avg: {field: 'delay'}}},
+            query: {term: {carrier: 'A'}}
+        });
+        var params = adapter.buildSearchParams([-200, 10, 20, 30], 4);
+        expect(params.index).toBe('flights');
+        expect(params.body.size).toBe(0);
+        expect(params.body.query.bool.must).toEqual({term: {carrier: 'A'}});
+        expect(params.body.query.bool.filter.geo_bounding_box.location).toEqual({
+            top_left: {lat: 30, lon: -180},
+            bottom_right: {lat: 10, lon: 20}
+        });
+        var grid = params.body.aggs.grid;
+        expect(grid.geohash_grid).toEqual({field: 'location', precision: 3});
+        expect(grid.aggs.avgDelay).toEqual({avg: {field: 'delay'}});
+        expect(grid.aggs.centroid).toEqual({geo_centroid: {field: 'location'}});
+
+        adapter = new ElasticSearchGeoAdapter(null, {geoField: 'location', size: 10});
+        params = adapter.buildSearchParams();
+        expect(params.body).toEqual({query: {match_all: {}}, size: 10});
+    });
+
+    it('aggregation, toAggregations', () => {
+        var aggregation = new GeoHashGridAggParameter({
+            aggName: 'cells',
+            aggFieldName: 'location',
+            precision: 4,
+            subAgg: {aggName: 'maxDelay', aggType: 'max', aggFieldName: 'delay'}
+        });
+        expect(ElasticSearchGeoAdapter.toAggregations(aggregation)).toEqual({
+            cells: {
+                geohash_grid: {field: 'location', precision: 4},
+                aggs: {maxDelay: {max: {field: 'delay'}}}
+            }
+        });
+        var adapter = new ElasticSearchGeoAdapter(null, {aggregation: aggregation});
+        expect(adapter.aggName).toBe('cells');
+        expect(adapter.aggType).toBe('geohash_grid');
+        expect(adapter.geoField).toBe('location');
+        expect(adapter.buildSearchParams(null, 1).body.aggs.cells.aggs).toEqual({maxDelay: {max: {field: 'delay'}}});
+    });
+
+    it('toGeoJSON_aggregations', () => {
+        var response = {
+            aggregations: {
+                grid: {
+                    buckets: [
+                        {key: 's', doc_count: 3, avgDelay: {value: 12}},
+                        {key: '1/1/0', doc_count: 2, centroid: {location: {lat: 10, lon: 20}, count: 2}}
+                    ]
+                },
+                center: {location: {lat: 1, lon: 2}, count: 5}
+            }
+        };
+        var result = ElasticSearchGeoAdapter.toGeoJSON(response);
+        expect(result.type).toBe('FeatureCollection');
+        expect(result.features.length).toBe(3);
+        var geohash = result.features[0];
+        expect(geohash.id).toBe('s');
+        expect(geohash.properties).toEqual({key: 's', count: 3, avgDelay: 12});
+        expect(geohash.geometry.coordinates[0]).toEqual([[0, 0], [45, 0], [45, 45], [0, 45], [0, 0]]);
+        var geotile = result.features[1];
+        expect(geotile.geometry.coordinates[0][0]).toEqual([0, 0]);
+        expect(geotile.geometry.coordinates[0][2][0]).toBe(180);
+        expect(geotile.geometry.coordinates[0][2][1]).toBeCloseTo(85.0511, 3);
+        expect(result.features[2].geometry).toEqual({type: 'Point', coordinates: [2, 1]});
+        expect(result.features[2].properties).toEqual({name: 'center', count: 5});
+
+        var points = ElasticSearchGeoAdapter.toGeoJSON(response, {geometryType: 'Point'});
+        expect(points.features[0].geometry).toEqual({type: 'Point', coordinates: [22.5, 22.5]});
+        expect(points.features[1].geometry).toEqual({type: 'Point', coordinates: [20, 10]});
+    });
+
+    it('toGeoJSON_hits', () => {
+        var hit = (id, location) => {
+            return {_id: id, _source: {name: 'n' + id, geo: {location: location}}};
+        };
+        var response = {
+            hits: {
+                hits: [
+                    hit(1, {lat: 10, lon: 20}),
+                    hit(2, '10,20'),
+                    hit(3, [20, 10]),
+                    hit(4, 's'),
+                    hit(5, {type: 'linestring', coordinates: [[0, 0], [1, 1]]}),
+                    hit(6, {type: 'envelope', coordinates: [[0, 1], [1, 0]]}),
+                    hit(7, null)
+                ]
+            }
+        };
+        expect(ElasticSearchGeoAdapter.toGeoJSON(response).features.length).toBe(0);
+        var features = ElasticSearchGeoAdapter.toGeoJSON(response, {geoField: 'geo.location'}).features;
+        expect(features.length).toBe(6);
+        expect(features[0].id).toBe(1);
+        expect(features[0].properties._id).toBe(1);
+        expect(features[0].properties.name).toBe('n1');
+        for (var i = 0; i < 3; i++) {
+            expect(features[i].geometry).toEqual({type: 'Point', coordinates: [20, 10]});
+        }
+        expect(features[3].geometry.coordinates).toEqual([22.5, 22.5]);
+        expect(features[4].geometry.type).toBe('LineString');
+        expect(features[5].geometry.coordinates[0]).toEqual([[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]);
+    });
+
+    it('search', (done) => {
+        var client = {
+            search: jasmine.createSpy('search').and.returnValue(Promise.resolve({
+                aggregations: {grid: {buckets: [{key: 's', doc_count: 1}]}}
+            }))
+        };
+        var adapter = new ElasticSearchGeoAdapter({client: client}, {geoField: 'location', aggType: 'geohash_grid'});
+        adapter.search([0, 0, 10, 10], 2, {geometryType: 'Point'}).then((result) => {
+            expect(client.search.calls.mostRecent().args[0].body.aggs.grid.geohash_grid.precision).toBe(2);
+            expect(result.features[0].geometry.type).toBe('Point');
+            adapter.destroy();
+            expect(adapter.elasticSearch).toBeNull();
+            done();
+        });
+    });
+});
@@ -21,4 +21,77 @@ describe('ElasticSearch', () => {
         expect(elasticSearch.geoFence.components).not.toBeNull();
         expect(elasticSearch.geoFence.id).not.toBeNull();
     })
-});
\ No newline at end of file
+
+    var response = (docs) => {
+        return {
+            hits: {
+                hits: docs.map((doc) => {
+                    return {_id: doc.id, _source: doc};
+                })
+            }
+        };
+    };
+
+    it('geoFence_degree', () => {
+        var outOfGeoFence = jasmine.createSpy('outOfGeoFence');
+        var elasticSearch = new ElasticSearch(null, {
+            openGeoFence: true,
+            outOfGeoFence: outOfGeoFence,
+            geoFence: {center: [104.40, 60], radius: 1000, unit: 'degree'}
+        });
+        //高纬度地区经度方向 0.015 度约 836 米
+        elasticSearch._update([response([{id: 'a', x: 104.415, y: 60}])]);
+        expect(outOfGeoFence).not.toHaveBeenCalled();
+        elasticSearch._update([response([{id: 'a', x: 104.40, y: 60.01}])]);
+        expect(outOfGeoFence).toHaveBeenCalled();
+    });
+
+    it('geoFences_enter_exit_dwell', () => {
+        var events = [];
+        var elasticSearch = new ElasticSearch(null, {
+            openGeoFence: true,
+            idField: 'vehicle',
+            timeField: 'time',
+            dwellTime: 1000,
+            geoFences: [
+                {name: 'circle', center: [0, 0], radius: 200000, unit: 'degree'},
+                {name: 'polygon', type: 'Polygon', coordinates: [[[1, -1], [3, -1], [3, 1], [1, 1], [1, -1]], [[1.5, -0.5], [2, -0.5], [2, 0.5], [1.5, -0.5]]]},
+                {type: 'Feature', properties: {name: 'multi'}, geometry: {type: 'MultiPolygon', coordinates: [[[[10, 10], [11, 10], [11, 11], [10, 10]]], [[[20, 20], [21, 20], [21, 21], [20, 20]]]]}}
+            ]
+        });
+        ['enterGeoFence', 'exitGeoFence', 'dwellInGeoFence'].forEach((type) => {
+            elasticSearch.events.on({
+                [type]: (e) => events.push([type, e.id, e.geoFence.name])
+            });
+        });
+        elasticSearch._update([response([{vehicle: 'v1', x: 0.5, y: 0, time: 0}, {vehicle: 'v2', x: 30, y: 30, time: 0}])]);
+        expect(events).toEqual([['enterGeoFence', 'v1', 'circle']]);
+        expect(elasticSearch.getGeoFenceStatus('v1')).toEqual(['circle']);
+        events = [];
+        elasticSearch._update([response([{vehicle: 'v1', x: 1.2, y: 0, time: 1500}])]);
+        expect(events).toEqual([['dwellInGeoFence', 'v1', 'circle'], ['enterGeoFence', 'v1', 'polygon']]);
+        events = [];
+        elasticSearch._update([response([{vehicle: 'v1', x: 1.8, y: 0, time: 2000}])]);
+        expect(events).toEqual([['exitGeoFence', 'v1', 'circle'], ['exitGeoFence', 'v1', 'polygon']]);
+        events = [];
+        elasticSearch._update([response([{vehicle: 'v1', x: 20.8, y: 20.2, time: 3000}])]);
+        expect(events).toEqual([['enterGeoFence', 'v1', 'multi']]);
+        elasticSearch.removeGeoFence('multi');
+        expect(elasticSearch.geoFences.length).toBe(2);
+        expect(elasticSearch.getGeoFenceStatus('v1')).toEqual([]);
+    });
+
+    it('addGeoFence_geometry', () => {
+        var elasticSearch = new ElasticSearch(null, {openGeoFence: true, xField: 'lon', yField: 'lat'});
+        var points = [new Point(0, 0), new Point(10, 0), new Point(10, 10), new Point(0, 10)];
+        var fence = elasticSearch.addGeoFence(new Polygon([new LinearRing(points)]));
+        expect(fence.name).toContain('GeoFence_');
+        var enter = jasmine.createSpy('enter');
+        elasticSearch.events.on({enterGeoFence: enter});
+        elasticSearch._update([response([{id: 1, lon: 5, lat: 5}, {id: 2, lon: 15, lat: 5}])]);
+        expect(enter.calls.count()).toBe(1);
+        expect(enter.calls.argsFor(0)[0].id).toBe(1);
+        elasticSearch.clearGeoFences();
+        expect(elasticSearch.geoFences.length).toBe(0);
+    });
+});
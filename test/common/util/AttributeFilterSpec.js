@@ -0,0 +1,71 @@
+import { AttributeFilter } from '../../../src/common/util/AttributeFilter';
+
+describe('AttributeFilter', () => {
+    var properties = {
+        id: 1,
+        speed: 80,
+        type: 'bus',
+        name: "京A12345",
+        'road name': 'Main St',
+        enabled: true,
+        remark: null
+    };
+
+    it('constructor', () => {
+        var filter = new AttributeFilter("speed > 60");
+        expect(filter.expression).toBe("speed > 60");
+        expect(filter.CLASS_NAME).toBe("SuperMap.AttributeFilter");
+        expect(filter.test({type: 'Feature', properties: properties})).toBeTruthy();
+        expect(filter.test(properties)).toBeTruthy();
+    });
+
+    it('comparison', () => {
+        expect(new AttributeFilter("speed = 80").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("speed == '80'").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("speed != 80").test(properties)).toBeFalsy();
+        expect(new AttributeFilter("speed <> 70").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("speed >= 80 AND speed <= 80").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("speed < 80").test(properties)).toBeFalsy();
+        expect(new AttributeFilter("speed > -1").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("type = \"bus\"").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("[road name] = 'Main St'").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("enabled = true").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("enabled").test(properties)).toBeTruthy();
+    });
+
+    it('logical', () => {
+        expect(new AttributeFilter("speed > 100 OR type = 'bus'").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("speed > 100 or type = 'bus' and id = 2").test(properties)).toBeFalsy();
+        expect(new AttributeFilter("(speed > 100 or type = 'bus') and id = 1").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("NOT speed > 100").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("speed > 60 && !(type = 'taxi') || id = 2").test(properties)).toBeTruthy();
+    });
+
+    it('like_in_between_null', () => {
+        expect(new AttributeFilter("name LIKE '京A%'").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("name like '京_12345'").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("name NOT LIKE '京A%'").test(properties)).toBeFalsy();
+        expect(new AttributeFilter("type IN ('bus', 'taxi')").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("id NOT IN (2, 3)").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("speed BETWEEN 60 AND 100 AND id = 1").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("speed NOT BETWEEN 60 AND 100").test(properties)).toBeFalsy();
+        expect(new AttributeFilter("remark IS NULL").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("missing IS NULL").test(properties)).toBeTruthy();
+        expect(new AttributeFilter("name IS NOT NULL").test(properties)).toBeTruthy();
+    });
+
+    it('invalid', () => {
+        expect(() => new AttributeFilter("speed >")).toThrow();
+        expect(() => new AttributeFilter("speed > 60 60")).toThrow();
+        expect(() => new AttributeFilter("(speed > 60")).toThrow();
+        expect(() => new AttributeFilter("speed # 60")).toThrow();
+    });
+
+    it('create', () => {
+        expect(AttributeFilter.create(null)).toBeNull();
+        var fn = (feature) => feature.properties.id === 1;
+        expect(AttributeFilter.create(fn)).toBe(fn);
+        var filter = AttributeFilter.create("type = 'taxi'");
+        expect(filter({type: 'Feature', properties: properties})).toBeFalsy();
+    });
+});
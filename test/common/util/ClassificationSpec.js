@@ -0,0 +1,149 @@
+import { Classification } from '../../../src/common/util/Classification';
+import { ArrayStatistic } from '../../../src/common/util/ArrayStatistic';
+
+describe('Classification', () => {
+    var values = [1, 2, 3, 10, 11, 12, 20, 21, 22];
+
+    it('getValues, getStatistics', () => {
+        var array = [4, null, '2', undefined, '', ' ', 'abc', NaN, true, -9999, 6, 0];
+        expect(Classification.getValues(array, {nullValues: [-9999]})).toEqual([4, 2, 6, 0]);
+        var statistics = Classification.getStatistics(array, {nullValues: [-9999]});
+        expect(statistics.count).toBe(4);
+        expect(statistics.nullCount).toBe(8);
+        expect(statistics.sum).toBe(12);
+        expect(statistics.max).toBe(6);
+        expect(statistics.min).toBe(0);
+        expect(statistics.mean).toBe(3);
+        expect(statistics.median).toBe(3);
+        expect(statistics.stdDev).toBeCloseTo(Math.sqrt(5), 10);
+        expect(Classification.getStatistics([null]).max).toBeNull();
+    });
+
+    it('getBreaks:equalInterval, quantile', () => {
+        expect(Classification.getBreaks([0, 10, 5, null], 'equalInterval', 4)).toEqual([0, 2.5, 5, 7.5, 10]);
+        expect(Classification.getBreaks([1, 2, 3, 4, 5], 'quantile', 2)).toEqual([1, 3, 5]);
+        expect(Classification.getBreaks([1, 2, 3, 4], 'quantile', 2)).toEqual([1, 2.5, 4]);
+        expect(Classification.getBreaks([null], 'quantile', 2)).toBeNull();
+    });
+
+    it('getBreaks:jenks', () => {
+        //分段点为每段的最大值
+        expect(Classification.getBreaks(values.slice().reverse(), 'jenks', 3)).toEqual([1, 3, 12, 22]);
+        expect(Classification.getBreaks([1, 2, 3, 10, 11, 12, 30], 'jenks', 3)).toEqual([1, 3, 12, 30]);
+        //分段个数不超过不同数值的个数
+        expect(Classification.getBreaks([5, 1], 'jenks', 5)).toEqual([1, 1, 5]);
+        expect(Classification.getBreaks([2, 2, 2], 'jenks', 3)).toEqual([2, 2]);
+    });
+
+    it('getBreaks:standardDeviation', () => {
+        //平均值 5，标准差 2
+        var array = [2, 4, 4, 4, 5, 5, 7, 9];
+        expect(Classification.getBreaks(array, 'standardDeviation', 4)).toEqual([2, 3, 5, 7, 9]);
+        expect(Classification.getBreaks(array, 'standardDeviation', 3)).toEqual([2, 4, 6, 9]);
+        expect(Classification.getBreaks(array, 'standardDeviation', 4, {interval: 0.5})).toEqual([2, 4, 5, 6, 9]);
+        expect(Classification.getBreaks(array, 'standardDeviation', 6)).toEqual([2, 2, 3, 5, 7, 9, 9]);
+    });
+
+    it('getBreaks:geometricInterval, sqrtInterval', () => {
+        var breaks = Classification.getBreaks([1, 1000, 50], 'geometricInterval', 3);
+        expect(breaks.length).toBe(4);
+        expect(breaks[1]).toBeCloseTo(10, 10);
+        expect(breaks[2]).toBeCloseTo(100, 10);
+        expect(Classification.getBreaks([0, 1000], 'geometricInterval', 3)).toBeNull();
+        expect(Classification.getBreaks([0, 100], 'sqrtInterval', 2)).toEqual([0, 25, 100]);
+        expect(Classification.getBreaks([-1, 100], 'sqrtInterval', 2)).toBeNull();
+    });
+
+    it('getBreaks:headTailBreaks', () => {
+        var array = [1, 1, 1, 1, 1, 1, 1, 2, 4, 100];
+        //平均值 11.3，头部 [100] 只有一个数值
+        expect(Classification.getBreaks(array, 'headTailBreaks', 5)).toEqual([1, 11.3, 100]);
+        array = [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 10, 10, 10, 100];
+        //平均值 148 / 22，头部 [10, 10, 10, 100] 平均值 32.5
+        expect(Classification.getBreaks(array, 'headTailBreaks', 5)).toEqual([1, 148 / 22, 32.5, 100]);
+        expect(Classification.getBreaks(array, 'headTailBreaks', 2)).toEqual([1, 148 / 22, 100]);
+        expect(Classification.getBreaks([1, 2, 3, 4], 'headTailBreaks', 5)).toEqual([1, 2.5, 4]);
+        expect(Classification.getBreaks([3, 3], 'headTailBreaks', 5)).toEqual([3, 3]);
+    });
+
+    it('getBreaks:manual, registerMethod', () => {
+        expect(Classification.getBreaks(values, 'manual', 3, {breaks: [30, 0, '15']})).toEqual([0, 15, 30]);
+        expect(Classification.getBreaks(values, 'manual', 3)).toBeNull();
+        expect(() => Classification.getBreaks(values, 'unknown', 3)).toThrow();
+        Classification.registerMethod('minMax', (sorted) => [sorted[0], sorted[sorted.length - 1]]);
+        expect(Classification.getMethods()).toContain('minMax');
+        expect(Classification.getBreaks(values, 'minMax', 3)).toEqual([1, 22]);
+    });
+
+    it('getHistogram, getClassIndex, classify', () => {
+        var breaks = [1, 3, 12, 22];
+        expect(Classification.getClassIndex(1, breaks)).toBe(0);
+        //分段点属于前一段
+        expect(Classification.getClassIndex(3, breaks)).toBe(0);
+        expect(Classification.getClassIndex(10, breaks)).toBe(1);
+        expect(Classification.getClassIndex(22, breaks)).toBe(2);
+        expect(Classification.getClassIndex(23, breaks)).toBe(-1);
+        expect(Classification.getClassIndex(null, breaks)).toBe(-1);
+        expect(Classification.getHistogram(values.concat([30]), breaks)).toEqual([
+            {start: 1, end: 3, count: 3},
+            {start: 3, end: 12, count: 3},
+            {start: 12, end: 22, count: 3}
+        ]);
+        var result = Classification.classify(values.concat([null, 'abc']), 'jenks', 3);
+        expect(result.breaks).toEqual(breaks);
+        expect(result.histogram.map((item) => item.count)).toEqual([3, 3, 3]);
+        expect(result.nullCount).toBe(2);
+        result = Classification.classify([null], 'jenks', 3);
+        expect(result.breaks).toBeNull();
+        expect(result.histogram).toEqual([]);
+        expect(result.nullCount).toBe(1);
+    });
+
+    it('ArrayStatistic', () => {
+        expect(ArrayStatistic.getArrayStatistic([1, 2, null, 6], 'Sum')).toBe(9);
+        expect(ArrayStatistic.getArrayStatistic([1, 2, 6], '最大值')).toBe(6);
+        expect(ArrayStatistic.getArrayStatistic([1, 2, 6], 'Average')).toBe(3);
+        expect(ArrayStatistic.getArrayStatistic([1, 2, 6], 'Median')).toBe(2);
+        expect(ArrayStatistic.getArrayStatistic([], 'Sum')).toBe(0);
+        expect(ArrayStatistic.getArraySegments([0, 10], 'offset', 2)).toEqual([0, 5, 10]);
+        expect(ArrayStatistic.getArraySegments(values, 'jenks', 3)).toEqual([1, 3, 12, 22]);
+        expect(ArrayStatistic.getArraySegments([0, 100], 'square', 2)).toEqual([0, 25, 100]);
+        expect(ArrayStatistic.getArraySegments([-1, 100], 'square', 2)).toBe(false);
+        expect(ArrayStatistic.getArraySegments([0, 100], 'logarithm', 2)).toBe(false);
+        expect(ArrayStatistic.getArraySegments([1, 2, 3, 4, 5], 'quantile', 2)).toEqual([1, 3, 5]);
+        expect(ArrayStatistic.getArraySegments(values, 'unknown', 2)).toBe(false);
+    });
+
+    it('ArrayStatistic.getRangeSegments', () => {
+        var themeSetting = {
+            segmentMethod: 'offset',
+            segmentCount: 2,
+            customSettings: {
+                '1': {segment: {end: 100}}
+            }
+        };
+        var result = ArrayStatistic.getRangeSegments([0.123, null, 10], themeSetting);
+        expect(result.itemNum).toBe(2);
+        expect(result.segments).toEqual([0.12, 5.17, 100]);
+        result = ArrayStatistic.getRangeSegments([3, 3], {segmentMethod: 'offset', segmentCount: 4});
+        expect(result.itemNum).toBe(1);
+        expect(result.segments).toEqual([3, 3.1]);
+        expect(ArrayStatistic.getRangeSegments([null], themeSetting)).toBeNull();
+    });
+
+    it('ArrayStatistic.getRangeSegments_breaksLessThanSegmentCount', () => {
+        //每个数值各为一段，第一段只有最小值
+        expect(Classification.getBreaks([1, 2, 3], 'jenks', 5)).toEqual([1, 1, 2, 3]);
+        var result = ArrayStatistic.getRangeSegments([1, 2, 3], {segmentMethod: 'jenks', segmentCount: 5});
+        expect(result.itemNum).toBe(3);
+        expect(result.segments).toEqual([1, 1.1, 2.1, 3.1]);
+        result = ArrayStatistic.getRangeSegments([1, 2, 3, 10, 11, 12, 30], {segmentMethod: 'jenks', segmentCount: 3});
+        expect(result.itemNum).toBe(3);
+        expect(result.segments).toEqual([1, 3.1, 12.1, 30.1]);
+        var skewedValues = [1, 1, 1, 1, 2, 3, 100, 1000];
+        expect(Classification.getBreaks(skewedValues, 'headTailBreaks', 5)).toEqual([1, 138.625, 1000]);
+        result = ArrayStatistic.getRangeSegments(skewedValues, {segmentMethod: 'headTailBreaks', segmentCount: 5});
+        expect(result.itemNum).toBe(2);
+        expect(result.segments).toEqual([1, 138.73, 1000.1]);
+    });
+});
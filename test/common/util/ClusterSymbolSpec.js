@@ -0,0 +1,55 @@
+import {ClusterSymbol} from '../../../src/common/util/ClusterSymbol';
+
+describe('ClusterSymbol', () => {
+    var cluster = (value, label) => {
+        return {cluster: true, id: 0, zoom: 1, coordinates: [0, 0], count: value, value: value, label: label};
+    };
+
+    it('constructor, getStyle, getRadius', () => {
+        var symbol = new ClusterSymbol({fillColor: 'red', style: (item) => item.count > 10 ? {strokeWidth: 4} : null});
+        expect(symbol.CLASS_NAME).toBe('SuperMap.ClusterSymbol');
+        expect(symbol.minRadius).toBe(12);
+        expect(symbol.getRadius(1, 100)).toBe(12);
+        expect(symbol.getRadius(100, 100)).toBe(30);
+        expect(symbol.getRadius(10, 100)).toBe(21);
+        expect(symbol.getRadius(10)).toBe(12);
+        var style = symbol.getStyle(cluster(100, '100'), 100);
+        expect(style.radius).toBe(30);
+        expect(style.label).toBe('100');
+        expect(style.fillColor).toBe('red');
+        expect(style.strokeWidth).toBe(4);
+        expect(symbol.getStyle(cluster(2, '2'), 100).strokeWidth).toBe(2);
+        expect(symbol.getMaxSize()).toBe(32);
+    });
+
+    it('getFeatureStyle', () => {
+        var symbol = new ClusterSymbol({strokeWidth: 0});
+        var style = symbol.getFeatureStyle(cluster(100, '100'), 100);
+        expect(style.pointRadius).toBe(30);
+        expect(style.label).toBe('100');
+        expect(style.fill).toBeTruthy();
+        expect(style.fillColor).toBe('rgba(255,128,0,0.8)');
+        expect(style.stroke).toBeFalsy();
+        expect(style.fontColor).toBe('#fff');
+        expect(style.labelPosition).toBe('inside');
+    });
+
+    it('getCanvas, getIconAtlas', () => {
+        var symbol = new ClusterSymbol();
+        var canvas = symbol.getCanvas(cluster(2, '2'));
+        expect(canvas.width).toBe(26);
+        expect(symbol.getCanvas(cluster(2, '2'))).toBe(canvas);
+        expect(symbol.getCanvas(cluster(3, '3'))).not.toBe(canvas);
+        var atlas = symbol.getIconAtlas([cluster(2, '2'), cluster(3, '3'), cluster(2, '2')]);
+        expect(atlas.icons.length).toBe(3);
+        expect(atlas.icons[0]).toBe(atlas.icons[2]);
+        expect(atlas.iconMapping[atlas.icons[1]]).toEqual({x: 26, y: 0, width: 26, height: 26, mask: false});
+        expect(typeof atlas.iconAtlas).toBe('string');
+        var next = symbol.getIconAtlas([cluster(3, '3')]);
+        expect(next.iconMapping).toBe(atlas.iconMapping);
+        next = symbol.getIconAtlas([cluster(4, '4')]);
+        expect(next.iconMapping[atlas.icons[1]]).toEqual(atlas.iconMapping[atlas.icons[1]]);
+        symbol.destroy();
+        expect(symbol.style).toBeNull();
+    });
+});
@@ -0,0 +1,94 @@
+import { ColorRamp } from '../../../src/common/util/ColorRamp';
+import { ColorsPickerUtil } from '../../../src/common/util/ColorsPickerUtil';
+
+describe('ColorRamp', () => {
+    it('getRamp, getRamps, registerRamp', () => {
+        var ramp = ColorRamp.getRamp('Blues');
+        expect(ramp.type).toBe('sequential');
+        expect(ramp.colors.length).toBe(9);
+        expect(ColorRamp.getRamp('unknown')).toBeNull();
+        expect(ColorRamp.getRamps({type: 'diverging'})).toContain('RdBu');
+        expect(ColorRamp.getRamps({type: 'diverging'})).not.toContain('viridis');
+        expect(ColorRamp.getRamps({type: 'qualitative'})).toContain('OkabeIto');
+        ColorRamp.registerRamp('blackWhite', ['#000000', '#ffffff']);
+        expect(ColorRamp.getRamp('blackWhite').type).toBe('sequential');
+        expect(ColorRamp.getColors('blackWhite', 2)).toEqual(['#000000', '#ffffff']);
+    });
+
+    it('getColors', () => {
+        expect(ColorRamp.getColors('Blues', 3)).toEqual(['#f7fbff', '#6baed6', '#08306b']);
+        expect(ColorRamp.getColors('Blues', 3, {reverse: true})).toEqual(['#08306b', '#6baed6', '#f7fbff']);
+        expect(ColorRamp.getColors({name: 'Blues', reverse: true}, 2)).toEqual(['#08306b', '#f7fbff']);
+        expect(ColorRamp.getColors('viridis').length).toBe(10);
+        expect(ColorRamp.getColors(['blue', 'red'])).toEqual(['blue', 'red']);
+        expect(ColorRamp.getColors(['blue', 'red'], undefined, {format: 'array'})).toEqual([[0, 0, 255, 255], [255, 0, 0, 255]]);
+        expect(ColorRamp.getColors(['#000000', '#ffffff'], 1)).toEqual(['#777777']);
+        expect(ColorRamp.getColors(['rgba(0,0,0,0)', 'rgba(0,0,0,1)'], 3, {format: 'rgba'})).toEqual(['rgba(0,0,0,0)', 'rgba(0,0,0,0.5)', 'rgba(0,0,0,1)']);
+        expect(ColorRamp.getColors('Set1', 10)[9]).toBe('#e41a1c');
+        expect(ColorRamp.getColors('YlOrRd', 6, {format: 'array'})[0]).toEqual([255, 255, 204, 255]);
+        expect(() => ColorRamp.getColors('unknown', 3)).toThrow();
+    });
+
+    it('interpolate:lab, hcl, rgb', () => {
+        //Lab 插值的中间色比 RGB 插值更亮
+        expect(ColorRamp.interpolate(['#000000', '#ffffff'], 0.5)).toBe('#777777');
+        expect(ColorRamp.interpolate(['#000000', '#ffffff'], 0.5, {mode: 'rgb'})).toBe('#808080');
+        //HCL 插值沿色相环过渡，保持饱和度
+        expect(ColorRamp.interpolate(['blue', 'red'], 0.5, {mode: 'hcl'})).toBe('#fa0080');
+        expect(ColorRamp.interpolate(['blue', 'red'], 0.5)).toBe('#ca0088');
+        expect(ColorRamp.interpolate(['#808080', '#ff0000'], 0, {mode: 'hcl'})).toBe('#808080');
+        expect(ColorRamp.interpolate('Blues', 2)).toBe('#08306b');
+    });
+
+    it('simulate, getColorDifference', () => {
+        expect(ColorRamp.simulate('#ffffff', 'deuteranopia')).toBe('#ffffff');
+        expect(ColorRamp.simulate('#ff0000', 'achromatopsia')).toBe(ColorRamp.simulate('#ff0000', 'achromatopsia', 'hex'));
+        var gray = ColorRamp.simulate('#ff0000', 'achromatopsia', 'array');
+        expect(gray[0]).toBe(gray[1]);
+        expect(gray[1]).toBe(gray[2]);
+        expect(() => ColorRamp.simulate('#ff0000', 'unknown')).toThrow();
+        expect(ColorRamp.getColorDifference('#ffffff', '#ffffff')).toBe(0);
+        expect(ColorRamp.getColorDifference('#000000', '#ffffff')).toBeCloseTo(100, 2);
+        //红绿色对绿色盲不易区分
+        var red = ColorRamp.simulate('#ff0000', 'deuteranopia');
+        var green = ColorRamp.simulate('#00ff00', 'deuteranopia');
+        expect(ColorRamp.getColorDifference(red, green)).toBeLessThan(ColorRamp.getColorDifference('#ff0000', '#00ff00') / 2);
+    });
+
+    it('checkColorBlind', () => {
+        var result = ColorRamp.checkColorBlind('viridis', 7);
+        expect(result.safe).toBe(true);
+        expect(result.minDifference).toBeGreaterThan(10);
+        expect(Object.keys(result.types)).toEqual(['protanopia', 'deuteranopia', 'tritanopia']);
+        result = ColorRamp.checkColorBlind('RdYlGn', 4);
+        expect(result.safe).toBe(false);
+        expect(result.types.deuteranopia.safe).toBe(false);
+        expect(result.types.deuteranopia.pairs.length).toBeGreaterThan(0);
+        expect(result.types.tritanopia.safe).toBe(true);
+        expect(ColorRamp.checkColorBlind(['#ff0000', '#00ff00'], undefined, {types: ['achromatopsia']}).safe).toBe(true);
+        expect(ColorRamp.checkColorBlind('OkabeIto').safe).toBe(true);
+        expect(ColorRamp.checkColorBlind('Set1', 7).safe).toBe(false);
+        expect(ColorRamp.checkColorBlind('Set1', 7, {threshold: 3}).safe).toBe(true);
+        var names = ColorRamp.getRamps({colorBlindSafe: true});
+        expect(names).toContain('viridis');
+        expect(names).toContain('OkabeIto');
+        expect(names).not.toContain('Set1');
+    });
+
+    it('getRangeStyleGroups, getUniqueStyleGroups', () => {
+        var groups = ColorRamp.getRangeStyleGroups([0, 10, 20], ['#ffffff', '#000000'], {style: {strokeColor: '#333333'}});
+        expect(groups).toEqual([
+            {start: 0, end: 10, style: {strokeColor: '#333333', fillColor: '#ffffff'}},
+            {start: 10, end: 20, style: {strokeColor: '#333333', fillColor: '#000000'}}
+        ]);
+        groups = ColorRamp.getUniqueStyleGroups(['a', 'b', 'c'], 'Set1', {colorProperty: 'strokeColor'});
+        expect(groups.map((group) => group.value)).toEqual(['a', 'b', 'c']);
+        expect(groups.map((group) => group.style.strokeColor)).toEqual(['#e41a1c', '#377eb8', '#4daf4a']);
+        expect(ColorRamp.getRangeStyleGroups([0], 'Blues')).toEqual([]);
+    });
+
+    it('ColorsPickerUtil.getGradientColors', () => {
+        expect(ColorsPickerUtil.getGradientColors('Blues', 3, 'RANGE')).toEqual(['#f7fbff', '#6baed6', '#08306b']);
+        expect(ColorsPickerUtil.getGradientColors(['#ff0000', '#00ff00'], 2, 'RANGE')).toEqual(['#ff0000', '#00ff00']);
+    });
+});
@@ -0,0 +1,115 @@
+import { DataFlowHistory } from '../../../src/common/util/DataFlowHistory';
+
+describe('DataFlowHistory', () => {
+    var point = (id, x, time) => {
+        return {
+            type: 'Feature',
+            geometry: {type: 'Point', coordinates: [x, x]},
+            properties: {id: id, time: time}
+        };
+    };
+
+    it('constructor', () => {
+        var history = new DataFlowHistory();
+        expect(history.idField).toBe('id');
+        expect(history.maxPoints).toBe(100);
+        expect(history.maxAge).toBe(0);
+        expect(history.CLASS_NAME).toBe('SuperMap.DataFlowHistory');
+        expect(history.getTimeRange()).toBeNull();
+    });
+
+    it('add, getHistory', () => {
+        var history = new DataFlowHistory({timeField: 'time'});
+        history.add(point(1, 0, 1000));
+        history.add(point(1, 2, 3000));
+        history.add(point(1, 1, 2000));
+        history.add(point(2, 5, '1970-01-01T00:00:04.000Z'));
+        expect(history.add({type: 'Feature', geometry: null, properties: {}})).toBeUndefined();
+        expect(history.getIds()).toEqual(['1', '2']);
+        var records = history.getHistory(1);
+        expect(records.map((record) => record.time)).toEqual([1000, 2000, 3000]);
+        expect(history.getHistory(1, 1500, 2500).length).toBe(1);
+        expect(history.getHistory(2)[0].time).toBe(4000);
+        expect(history.getHistory(3)).toEqual([]);
+        expect(history.getTimeRange()).toEqual({startTime: 1000, endTime: 4000});
+    });
+
+    it('maxPoints, maxAge', () => {
+        var history = new DataFlowHistory({timeField: 'time', maxPoints: 3, maxAge: 2500});
+        for (var i = 1; i <= 5; i++) {
+            history.add(point(1, i, i * 1000));
+        }
+        expect(history.getHistory(1).map((record) => record.time)).toEqual([3000, 4000, 5000]);
+        history.add(point(1, 6, 7000));
+        expect(history.getHistory(1).map((record) => record.time)).toEqual([5000, 7000]);
+        history.remove(1);
+        expect(history.getIds().length).toBe(0);
+    });
+
+    it('maxAge_idsStopReporting', () => {
+        var history = new DataFlowHistory({timeField: 'time', maxAge: 2500});
+        history.add(point(1, 0, 1000));
+        history.add(point(2, 0, 2000));
+        history.add(point(3, 0, 3000));
+        expect(history.getIds()).toEqual(['1', '2', '3']);
+        history.add(point(3, 1, 4000));
+        expect(history.getIds()).toEqual(['2', '3']);
+        history.add(point(3, 2, 6000));
+        expect(history.getIds()).toEqual(['3']);
+        expect(history.getHistory(3).map((record) => record.time)).toEqual([4000, 6000]);
+        expect(history.getFeaturesAt(6000).length).toBe(1);
+        expect(history.getTimeRange()).toEqual({startTime: 4000, endTime: 6000});
+        var result = [];
+        var control = history.createTimeFlowControl((features, time) => {
+            result.push([time, features.length]);
+        });
+        expect(control.getStartTime()).toBe(4000);
+        control.callback(5000);
+        expect(result).toEqual([[5000, 1]]);
+        control.destroy();
+    });
+
+    it('getTrail', () => {
+        var history = new DataFlowHistory({timeField: 'time'});
+        for (var i = 1; i <= 5; i++) {
+            history.add(point(1, i, i * 1000));
+        }
+        history.add({type: 'Feature', geometry: {type: 'LineString', coordinates: [[0, 0], [1, 1]]}, properties: {id: 1, time: 5500}});
+        expect(history.getTrail(1).length).toBe(5);
+        expect(history.getTrail(1, {maxPoints: 2})).toEqual([[4, 4], [5, 5]]);
+        expect(history.getTrail(1, {maxAge: 2000})).toEqual([[4, 4], [5, 5]]);
+        expect(history.getTrail(1, {time: 2000})).toEqual([[1, 1], [2, 2]]);
+    });
+
+    it('getFeaturesAt', () => {
+        var history = new DataFlowHistory({timeField: 'time'});
+        history.add(point(1, 0, 1000));
+        history.add(point(1, 1, 3000));
+        history.add(point(2, 5, 2000));
+        expect(history.getFeaturesAt(500).length).toBe(0);
+        var features = history.getFeaturesAt(2500);
+        expect(features.length).toBe(2);
+        expect(features[0].geometry.coordinates).toEqual([0, 0]);
+        expect(history.getFeaturesAt(3000)[0].geometry.coordinates).toEqual([1, 1]);
+        history.clear();
+        expect(history.getFeaturesAt(3000).length).toBe(0);
+    });
+
+    it('createTimeFlowControl', () => {
+        var history = new DataFlowHistory({timeField: 'time'});
+        history.add(point(1, 0, 1000));
+        history.add(point(1, 1, 2000));
+        var result = [];
+        var control = history.createTimeFlowControl((features, time) => {
+            result.push([time, features.length]);
+        });
+        expect(control.getStartTime()).toBe(1000);
+        expect(control.getEndTime()).toBe(2000);
+        expect(control.getSpeed()).toBe(10);
+        expect(control.getRepeat()).toBeFalsy();
+        control.callback(1500);
+        expect(result).toEqual([[1500, 1]]);
+        control.destroy();
+        history.destroy();
+    });
+});
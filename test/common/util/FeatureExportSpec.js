@@ -0,0 +1,161 @@
+import {FeatureExport} from '../../../src/common/util/FeatureExport';
+import {ExportFormat} from '../../../src/common/REST';
+import {Vector} from '../../../src/common/commontypes/Vector';
+import {Point} from '../../../src/common/commontypes/geometry/Point';
+import {LinearRing} from '../../../src/common/commontypes/geometry/LinearRing';
+import {Polygon} from '../../../src/common/commontypes/geometry/Polygon';
+import {ShapefileParser} from '../../../src/common/widgets/util/ShapefileParser';
+import {KMLParser} from '../../../src/common/widgets/util/KMLParser';
+import {FileReaderUtil} from '../../../src/common/widgets/util/FileReaderUtil';
+
+describe('FeatureExport', () => {
+    var geojson = {
+        type: 'FeatureCollection',
+        features: [{
+            type: 'Feature',
+            id: 1,
+            geometry: {type: 'Point', coordinates: [116.4, 39.9]},
+            properties: {name: '北京', POP: 2154.5, capital: true}
+        }, {
+            type: 'Feature',
+            id: 2,
+            geometry: {type: 'Point', coordinates: [117.2, 39.1]},
+            properties: {name: 'Tianjin, "TJ"', POP: 1560}
+        }, {
+            type: 'Feature',
+            geometry: {
+                type: 'Polygon',
+                coordinates: [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]], [[2, 2], [2, 4], [4, 4], [2, 2]]]
+            },
+            properties: {name: 'area'}
+        }]
+    };
+
+    it('constructor', () => {
+        var featureExport = new FeatureExport();
+        expect(featureExport.fileName).toBe('features');
+        expect(featureExport.csvGeometry).toBe('WKT');
+        expect(featureExport.CLASS_NAME).toBe('SuperMap.FeatureExport');
+    });
+
+    it('toGeoJSON_iServerResult', () => {
+        var featureExport = new FeatureExport();
+        var result = {
+            type: 'processCompleted',
+            result: {
+                recordsets: [{
+                    datasetName: 'Capitals@World',
+                    features: {type: 'FeatureCollection', features: geojson.features.slice(0, 2)}
+                }, {
+                    datasetName: 'Countries@World',
+                    features: [{
+                        fieldNames: ['SMID', 'NAME'],
+                        fieldValues: ['3', 'China'],
+                        geometry: {type: 'POINT', parts: [1], points: [{x: 100, y: 30}]}
+                    }]
+                }]
+            }
+        };
+        var features = featureExport.toGeoJSON(result).features;
+        expect(features.length).toBe(3);
+        expect(features[0].properties.name).toBe('北京');
+        expect(features[2].geometry).toEqual({type: 'Point', coordinates: [100, 30]});
+        expect(features[2].properties.NAME).toBe('China');
+    });
+
+    it('toGeoJSON_vector', () => {
+        var featureExport = new FeatureExport();
+        var ring = new LinearRing([new Point(0, 0), new Point(1, 0), new Point(1, 1), new Point(0, 0)]);
+        var themeLayer = {
+            getFeatures: function () {
+                return [new Vector(new Point(1, 2), {value: 10}), new Vector(new Polygon([ring]), {value: 20})];
+            }
+        };
+        var features = featureExport.toGeoJSON(themeLayer).features;
+        expect(features.length).toBe(2);
+        expect(features[0].geometry).toEqual({type: 'Point', coordinates: [1, 2]});
+        expect(features[0].properties).toEqual({value: 10});
+        expect(features[1].geometry.type).toBe('Polygon');
+        expect(features[1].geometry.coordinates[0].length).toBe(4);
+        expect(featureExport.toGeoJSON({graphics: [geojson.features[0]]}).features.length).toBe(1);
+    });
+
+    it('write_geojson', () => {
+        var result = JSON.parse(new FeatureExport().write(geojson.features));
+        expect(result).toEqual(geojson);
+    });
+
+    it('write_csv_wkt', (done) => {
+        var csv = new FeatureExport().write(geojson, ExportFormat.CSV);
+        expect(csv.charAt(0)).toBe('\ufeff');
+        var lines = csv.slice(1).split('\r\n');
+        expect(lines[0]).toBe('name,POP,capital,WKT');
+        expect(lines[1]).toBe('北京,2154.5,true,POINT(116.4 39.9)');
+        expect(lines[2]).toBe('"Tianjin, ""TJ""",1560,,POINT(117.2 39.1)');
+        //导出的 CSV 可以再次导入
+        FileReaderUtil.processDataToGeoJson('CSV', csv.slice(1).replace(/\r\n/g, '\n'), (features) => {
+            expect(features.length).toBe(3);
+            expect(features[1].properties.name).toBe('Tianjin, "TJ"');
+            expect(features[2].geometry.coordinates[1]).toEqual([[2, 2], [2, 4], [4, 4], [2, 2]]);
+            done();
+        });
+    });
+
+    it('write_csv_xy', () => {
+        var csv = new FeatureExport({csvGeometry: 'XY', xField: 'lon', yField: 'lat'}).write(geojson, ExportFormat.CSV);
+        var lines = csv.slice(1).split('\r\n');
+        expect(lines[0]).toBe('name,POP,capital,lon,lat');
+        expect(lines[1]).toBe('北京,2154.5,true,116.4,39.9');
+        expect(lines[3]).toBe('area,,,5,5');
+    });
+
+    it('write_kml', () => {
+        var kml = new FeatureExport({fileName: 'cities'}).write(geojson, ExportFormat.KML);
+        expect(kml).toContain('<name>cities</name>');
+        expect(kml).toContain('<Placemark id="1"><name>北京</name>');
+        var features = KMLParser.parse(kml).features;
+        expect(features.length).toBe(3);
+        expect(features[0].id).toBe('1');
+        expect(features[0].geometry).toEqual({type: 'Point', coordinates: [116.4, 39.9]});
+        expect(features[1].properties.name).toBe('Tianjin, "TJ"');
+        expect(features[1].properties.POP).toBe('1560');
+        expect(features[2].geometry.coordinates.length).toBe(2);
+    });
+
+    it('write_shapefile', () => {
+        var zip = new FeatureExport({fileName: 'cities'}).write(geojson, ExportFormat.SHP);
+        var features = ShapefileParser.parse(zip.buffer).features;
+        expect(features.length).toBe(3);
+        var points = features.filter((feature) => feature.geometry.type === 'Point');
+        expect(points.length).toBe(2);
+        expect(points[0].geometry.coordinates).toEqual([116.4, 39.9]);
+        expect(points[0].properties).toEqual({name: '北京', POP: 2154.5, capital: true});
+        expect(points[1].properties.name).toBe('Tianjin, "TJ"');
+        expect(points[1].properties.POP).toBe(1560);
+        var polygon = features.filter((feature) => feature.geometry.type === 'Polygon')[0];
+        expect(polygon.geometry.coordinates.length).toBe(2);
+        expect(polygon.geometry.coordinates[0].length).toBe(5);
+        expect(() => new FeatureExport().write([], ExportFormat.SHP)).toThrow();
+    });
+
+    it('download', () => {
+        var featureExport = new FeatureExport({fileName: 'cities'});
+        var link;
+        URL.createObjectURL = URL.createObjectURL || function () {
+            return '';
+        };
+        URL.revokeObjectURL = URL.revokeObjectURL || function () {
+        };
+        spyOn(URL, 'createObjectURL').and.returnValue('blob:test');
+        spyOn(document.body, 'appendChild').and.callFake((element) => {
+            link = element;
+            spyOn(link, 'click');
+        });
+        spyOn(document.body, 'removeChild');
+        featureExport.download(geojson, ExportFormat.CSV);
+        expect(URL.createObjectURL.calls.mostRecent().args[0].type).toBe('text/csv;charset=utf-8');
+        expect(link.download).toBe('cities.csv');
+        expect(link.href).toBe('blob:test');
+        expect(link.click).toHaveBeenCalled();
+    });
+});
@@ -1,4 +1,5 @@
 import { FetchRequest, isCORS, setCORS } from '../../../src/common//util/FetchRequest';
+import { NetworkError, TimeoutError, ServerError, AuthError, ParseError } from '../../../src/common/commontypes/Errors';
 
 describe('FetchRequest', () => {
     var defaultval = SuperMap.Util.RequestJSONPPromise.limitLength;
@@ -30,6 +31,219 @@ describe('FetchRequest', () => {
         expect(SuperMap.Util.RequestJSONPPromise.issue.calls.count()).toBe(4);
     });
 
+    it('get_retry', (done) => {
+        setCORS(true);
+        var count = 0;
+        spyOn(FetchRequest, '_abortableFetch').and.callFake(() => {
+            count++;
+            if (count === 1) {
+                return Promise.resolve(new Response('', {status: 503}));
+            }
+            if (count === 2) {
+                return Promise.reject(new TypeError('Failed to fetch'));
+            }
+            return Promise.resolve(new Response('{"succeed":true}', {status: 200}));
+        });
+        FetchRequest.get("http://localhost:8090/iserver/services/map-world/rest/maps", null, {
+            retry: {times: 3, delay: 1}
+        }).then((response) => {
+            expect(response.status).toBe(200);
+            expect(FetchRequest._abortableFetch.calls.count()).toBe(3);
+            done();
+        });
+    });
+
+    it('get_retry_exhausted', (done) => {
+        setCORS(true);
+        spyOn(FetchRequest, '_abortableFetch').and.callFake(() => Promise.resolve(new Response('', {status: 503})));
+        FetchRequest.get("http://localhost:8090/iserver/services/map-world/rest/maps", null, {
+            retry: {times: 2, delay: 1}
+        }).then((response) => {
+            expect(response.status).toBe(503);
+            expect(FetchRequest._abortableFetch.calls.count()).toBe(3);
+            done();
+        });
+    });
+
+    it('post_not_retry', (done) => {
+        setCORS(true);
+        spyOn(FetchRequest, '_abortableFetch').and.callFake(() => Promise.resolve(new Response('', {status: 503})));
+        FetchRequest.post("http://localhost:8090/iserver/services/map-world/rest/maps", '{}', {
+            retry: {times: 2, delay: 1}
+        }).then((response) => {
+            expect(response.status).toBe(503);
+            expect(FetchRequest._abortableFetch.calls.count()).toBe(1);
+            done();
+        });
+    });
+
+    it('get_retry_aborted', (done) => {
+        setCORS(true);
+        var controller = new AbortController();
+        spyOn(FetchRequest, '_abortableFetch').and.callFake(() => Promise.resolve(new Response('', {status: 503})));
+        var start = new Date().getTime();
+        FetchRequest.get("http://localhost:8090/iserver/services/map-world/rest/maps", null, {
+            retry: {times: 2, delay: 10000},
+            signal: controller.signal
+        }).catch((e) => {
+            expect(FetchRequest.isAbortError(e)).toBeTruthy();
+            expect(new Date().getTime() - start).toBeLessThan(5000);
+            expect(FetchRequest._abortableFetch.calls.count()).toBe(1);
+            done();
+        });
+        setTimeout(() => controller.abort(), 10);
+    });
+
+    it('get_aborted_signal', (done) => {
+        setCORS(true);
+        var controller = new AbortController();
+        controller.abort();
+        FetchRequest.get("http://localhost:8090/iserver/services/map-world/rest/maps", null, {
+            signal: controller.signal
+        }).catch((e) => {
+            expect(FetchRequest.isAbortError(e)).toBeTruthy();
+            done();
+        });
+    });
+
+    it('_abortable', (done) => {
+        var controller = new AbortController();
+        FetchRequest._abortable(new Promise(() => {}), controller.signal).catch((e) => {
+            expect(e.name).toBe('AbortError');
+            expect(FetchRequest.isAbortError(e)).toBeTruthy();
+            done();
+        });
+        controller.abort();
+    });
+
+    it('_abortable_rejected', (done) => {
+        var signal = {
+            aborted: false,
+            addEventListener: jasmine.createSpy('addEventListener'),
+            removeEventListener: jasmine.createSpy('removeEventListener')
+        };
+        FetchRequest._abortable(Promise.reject(new Error('failed')), signal).catch((e) => {
+            expect(e.message).toBe('failed');
+            expect(signal.removeEventListener).toHaveBeenCalledWith('abort', signal.addEventListener.calls.argsFor(0)[1]);
+            done();
+        });
+    });
+
+    it('interceptors', (done) => {
+        setCORS(true);
+        var calls = [];
+        var globalInterceptor = {
+            request: (config) => {
+                calls.push('global-request');
+                config.headers['Authorization'] = 'Bearer token';
+                return config;
+            },
+            response: (response, config) => {
+                calls.push('global-response');
+                expect(config.url).toBe("http://localhost:8090/iserver/services/map-world/rest/maps.json?rewritten=true");
+                return response;
+            }
+        };
+        var localInterceptor = {
+            request: (config) => {
+                calls.push('local-request');
+                config.url += '?rewritten=true';
+                return Promise.resolve(config);
+            },
+            response: () => {
+                calls.push('local-response');
+                return new Response('{"intercepted":true}', {status: 200});
+            }
+        };
+        FetchRequest.addInterceptor(globalInterceptor);
+        spyOn(FetchRequest, '_abortableFetch').and.callFake((url, init) => {
+            expect(url).toBe("http://localhost:8090/iserver/services/map-world/rest/maps.json?rewritten=true");
+            expect(init.headers['Authorization']).toBe('Bearer token');
+            return Promise.resolve(new Response('{}', {status: 200}));
+        });
+        FetchRequest.get("http://localhost:8090/iserver/services/map-world/rest/maps", null, {
+            interceptors: [localInterceptor]
+        }).then((response) => response.json()).then((result) => {
+            expect(result.intercepted).toBeTruthy();
+            expect(calls).toEqual(['global-request', 'local-request', 'local-response', 'global-response']);
+            FetchRequest.removeInterceptor(globalInterceptor);
+            expect(FetchRequest.interceptors.length).toBe(0);
+            done();
+        });
+    });
+
+    it('interceptResult', (done) => {
+        var globalInterceptor = {
+            result: (result) => {
+                result.order.push('global');
+                return result;
+            }
+        };
+        FetchRequest.addInterceptor(globalInterceptor);
+        FetchRequest.interceptResult({order: []}, {
+            interceptors: [{
+                result: (result) => {
+                    result.order.push('local');
+                }
+            }]
+        }).then((result) => {
+            expect(result.order).toEqual(['local', 'global']);
+            FetchRequest.removeInterceptor(globalInterceptor);
+            done();
+        });
+    });
+
+    it('_timeout', (done) => {
+        FetchRequest._timeout(1, new Promise(() => {})).catch((e) => {
+            expect(e instanceof TimeoutError).toBeTruthy();
+            expect(e instanceof NetworkError).toBeTruthy();
+            expect(e.message).toBe('timeout');
+            expect(e.timeout).toEqual(1);
+            done();
+        });
+    });
+
+    it('checkStatus', (done) => {
+        var response = new Response('{"succeed":true}', {status: 200});
+        FetchRequest.checkStatus(response).then((result) => {
+            expect(result).toBe(response);
+            return FetchRequest.checkStatus(new Response('<html>Bad Gateway</html>', {status: 502}));
+        }).catch((e) => {
+            expect(e instanceof ServerError).toBeTruthy();
+            expect(e instanceof AuthError).toBeFalsy();
+            expect(e.code).toEqual(502);
+            done();
+        });
+    });
+
+    it('parseJSON', (done) => {
+        FetchRequest.parseJSON(new Response('{"succeed":true,"count":1}', {status: 200})).then((result) => {
+            expect(result.count).toEqual(1);
+            return FetchRequest.parseJSON({succeed: true, count: 2});
+        }).then((result) => {
+            expect(result.count).toEqual(2);
+            done();
+        });
+    });
+
+    it('parseJSON_errors', (done) => {
+        var tokenExpired = FetchRequest.parseJSON(new Response('{"succeed":false,"error":{"code":401,"errorMsg":"token expired"}}', {status: 401}));
+        var serverError = FetchRequest.parseJSON(new Response('{"succeed":false,"error":{"code":400,"errorMsg":"参数错误"}}', {status: 200}));
+        var parseError = FetchRequest.parseJSON(new Response('not json', {status: 200}));
+        Promise.all([tokenExpired, serverError, parseError].map((promise) => promise.catch((e) => e))).then((errors) => {
+            expect(errors[0] instanceof AuthError).toBeTruthy();
+            expect(errors[0].code).toEqual(401);
+            expect(errors[0].errorMsg).toBe("token expired");
+            expect(errors[1] instanceof ServerError).toBeTruthy();
+            expect(errors[1] instanceof AuthError).toBeFalsy();
+            expect(errors[1].code).toEqual(400);
+            expect(errors[1].message).toBe("参数错误");
+            expect(errors[2] instanceof ParseError).toBeTruthy();
+            expect(errors[2].text).toBe("not json");
+            done();
+        });
+    });
+
     afterAll(() => {
         SuperMap.Util.RequestJSONPPromise.limitLength = defaultval;
         setCORS(defaltCors);
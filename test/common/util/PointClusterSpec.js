@@ -0,0 +1,57 @@
+import {PointCluster} from '../../../src/common/util/PointCluster';
+
+describe('PointCluster', () => {
+    var items = [
+        {id: 0, lng: 100, lat: 30, count: 1},
+        {id: 1, lng: 100.001, lat: 30.001, count: 2},
+        {id: 2, lng: 100.002, lat: 30, count: 3},
+        {id: 3, lng: -50, lat: -20, count: 4},
+        {id: 4}
+    ];
+    var getCoordinates = (item) => {
+        return item.lng === undefined ? null : [item.lng, item.lat];
+    };
+
+    it('constructor, load, getClusters', () => {
+        var pointCluster = new PointCluster({getCoordinates: getCoordinates});
+        expect(pointCluster.CLASS_NAME).toBe('SuperMap.PointCluster');
+        expect(pointCluster.radius).toBe(60);
+        expect(pointCluster.maxZoom).toBe(16);
+        expect(pointCluster.getClusters([-180, -90, 180, 90], 2).length).toBe(0);
+        pointCluster.load(items);
+        expect(pointCluster.totalValue).toBe(4);
+        var result = pointCluster.getClusters([-200, -100, 200, 100], 2.6);
+        expect(result.length).toBe(2);
+        var cluster = result.filter((item) => PointCluster.isCluster(item))[0];
+        expect(cluster.zoom).toBe(2);
+        expect(cluster.count).toBe(3);
+        expect(cluster.value).toBe(3);
+        expect(cluster.label).toBe('3');
+        expect(cluster.coordinates[0]).toBeCloseTo(100.001, 3);
+        expect(result).toContain(items[3]);
+        expect(PointCluster.isCluster(items[3])).toBe(false);
+        expect(pointCluster.getClusters([0, 0, 180, 90], 2)).toEqual([cluster]);
+        expect(pointCluster.getClusters([-180, -90, 180, 90], 17).length).toBe(4);
+    });
+
+    it('getChildren, getLeaves, getExpansionZoom', () => {
+        var pointCluster = new PointCluster({
+            radius: 40,
+            getCoordinates: getCoordinates,
+            getValue: (item) => item.count
+        });
+        pointCluster.load(items);
+        expect(pointCluster.totalValue).toBe(10);
+        var cluster = pointCluster.getClusters([0, 0, 180, 90], 0)[0];
+        expect(cluster.value).toBe(6);
+        var leaves = pointCluster.getLeaves(cluster);
+        expect(leaves.map((item) => item.id).sort()).toEqual([0, 1, 2]);
+        expect(pointCluster.getLeaves(cluster, 2).length).toBe(2);
+        var expansionZoom = pointCluster.getExpansionZoom(cluster);
+        expect(expansionZoom).toBeGreaterThan(0);
+        var children = pointCluster.getChildren(cluster);
+        expect(children.length).toBeGreaterThan(0);
+        pointCluster.destroy();
+        expect(pointCluster.getCoordinates).toBeNull();
+    });
+});
@@ -0,0 +1,175 @@
+import { FetchRequest, setCORS, isCORS, setRequestCache, getRequestCache } from '../../../src/common/util/FetchRequest';
+import { ResponseCache } from '../../../src/common/util/ResponseCache';
+
+describe('ResponseCache', () => {
+    var url = "http://localhost:8090/iserver/services/data-world/rest/data/datasources/World/datasets/Countries/fields";
+    var defaultCors;
+    beforeEach(() => {
+        defaultCors = isCORS();
+        setCORS(true);
+    });
+    afterEach(() => {
+        setCORS(defaultCors);
+        setRequestCache(null);
+    });
+
+    it('constructor, createKey', () => {
+        var cache = new ResponseCache({maxSize: 10, ttl: 1000});
+        expect(cache.maxSize).toBe(10);
+        expect(cache.ttl).toBe(1000);
+        expect(cache.persistent).toBeFalsy();
+        expect(cache.CLASS_NAME).toBe("SuperMap.ResponseCache");
+        expect(ResponseCache.createKey('get', url)).toBe('GET ' + url);
+        expect(ResponseCache.createKey('POST', url, {a: 1})).toBe('POST ' + url + ' {"a":1}');
+        cache.destroy();
+    });
+
+    it('put, match', (done) => {
+        var cache = new ResponseCache();
+        cache.put('key', new Response('{"a":1}', {status: 200, headers: {'Content-Type': 'application/json'}})).then(() => {
+            return cache.match('key');
+        }).then((response) => {
+            expect(response.status).toBe(200);
+            expect(response.headers.get('Content-Type')).toBe('application/json');
+            return response.json();
+        }).then((result) => {
+            expect(result.a).toBe(1);
+            return cache.match('other');
+        }).then((response) => {
+            expect(response).toBeUndefined();
+            cache.destroy();
+            done();
+        });
+    });
+
+    it('maxSize', (done) => {
+        var cache = new ResponseCache({maxSize: 2});
+        cache.put('a', new Response('a')).then(() => {
+            return cache.put('b', new Response('b'));
+        }).then(() => {
+            //访问 a 后，最近最少使用的是 b
+            return cache.match('a');
+        }).then(() => {
+            return cache.put('c', new Response('c'));
+        }).then(() => {
+            return Promise.all([cache.match('a'), cache.match('b'), cache.match('c')]);
+        }).then((responses) => {
+            expect(responses[0]).not.toBeUndefined();
+            expect(responses[1]).toBeUndefined();
+            expect(responses[2]).not.toBeUndefined();
+            cache.destroy();
+            done();
+        });
+    });
+
+    it('ttl', (done) => {
+        var cache = new ResponseCache({ttl: 1000});
+        var now = new Date().getTime();
+        spyOn(Date.prototype, 'getTime').and.callFake(() => now);
+        cache.put('key', new Response('a')).then(() => {
+            now += 1001;
+            return cache.match('key');
+        }).then((response) => {
+            expect(response).toBeUndefined();
+            expect(cache._keys.length).toBe(0);
+            cache.destroy();
+            done();
+        });
+    });
+
+    it('invalidate, clear', (done) => {
+        var cache = new ResponseCache();
+        Promise.all([
+            cache.put('GET ' + url + '.json', new Response('a')),
+            cache.put('GET ' + url + '/NAME.json', new Response('b')),
+            cache.put('GET http://localhost:8090/iserver/services/map-world/rest/maps/World.json', new Response('c')),
+            cache.put('POST http://localhost:8090/iserver/services/map-world/rest/maps/World/queryResults.json', new Response('d'))
+        ]).then(() => {
+            return cache.invalidate('/NAME.json');
+        }).then(() => {
+            expect(cache._keys.length).toBe(3);
+            return cache.invalidate(/^POST /);
+        }).then(() => {
+            expect(cache._keys.length).toBe(2);
+            return cache.invalidate((key) => key.indexOf('map-world') > -1);
+        }).then(() => {
+            expect(cache._keys).toEqual(['GET ' + url + '.json']);
+            return cache.clear();
+        }).then(() => {
+            expect(cache._keys.length).toBe(0);
+            cache.destroy();
+            done();
+        });
+    });
+
+    it('setRequestCache', () => {
+        var cache = setRequestCache({ttl: 1000});
+        expect(cache instanceof ResponseCache).toBeTruthy();
+        expect(cache.ttl).toBe(1000);
+        expect(getRequestCache()).toBe(cache);
+        var other = new ResponseCache();
+        expect(setRequestCache(other)).toBe(other);
+        expect(setRequestCache(false)).toBeNull();
+        expect(getRequestCache()).toBeNull();
+    });
+
+    it('FetchRequest_cache', (done) => {
+        setRequestCache({});
+        spyOn(FetchRequest, '_abortableFetch').and.callFake(() => Promise.resolve(new Response('{"fieldNames":["SmID"]}', {status: 200})));
+        FetchRequest.get(url, null, {cache: true}).then((response) => {
+            return response.json();
+        }).then(() => {
+            return FetchRequest.get(url, null, {cache: true});
+        }).then((response) => {
+            return response.json();
+        }).then((result) => {
+            expect(result.fieldNames[0]).toBe('SmID');
+            expect(FetchRequest._abortableFetch.calls.count()).toBe(1);
+            //未开启缓存的请求不读取缓存
+            return FetchRequest.get(url);
+        }).then(() => {
+            expect(FetchRequest._abortableFetch.calls.count()).toBe(2);
+            done();
+        });
+    });
+
+    it('FetchRequest_cache_shared', (done) => {
+        var cache = new ResponseCache();
+        spyOn(FetchRequest, '_abortableFetch').and.callFake(() => Promise.resolve(new Response('{"succeed":true}', {status: 200})));
+        Promise.all([
+            FetchRequest.get(url, null, {cache: cache}),
+            FetchRequest.get(url, null, {cache: cache})
+        ]).then((responses) => {
+            expect(FetchRequest._abortableFetch.calls.count()).toBe(1);
+            return Promise.all(responses.map((response) => response.json()));
+        }).then((results) => {
+            expect(results[0].succeed).toBeTruthy();
+            expect(results[1].succeed).toBeTruthy();
+            cache.destroy();
+            done();
+        });
+    });
+
+    it('FetchRequest_cache_failed', (done) => {
+        var cache = new ResponseCache();
+        spyOn(FetchRequest, '_abortableFetch').and.callFake(() => Promise.resolve(new Response('', {status: 500})));
+        FetchRequest.get(url, null, {cache: cache}).then((response) => {
+            expect(response.status).toBe(500);
+            expect(cache._keys.length).toBe(0);
+            cache.destroy();
+            done();
+        });
+    });
+
+    it('FetchRequest_invalidate', (done) => {
+        var cache = setRequestCache({});
+        spyOn(FetchRequest, '_abortableFetch').and.callFake(() => Promise.resolve(new Response('{"succeed":true}', {status: 200})));
+        FetchRequest.get(url, null, {cache: true}).then(() => {
+            expect(cache._keys.length).toBe(1);
+            return FetchRequest.put(url + '/NAME', '{}');
+        }).then(() => {
+            expect(cache._keys.length).toBe(0);
+            done();
+        });
+    });
+});
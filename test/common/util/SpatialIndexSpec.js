@@ -0,0 +1,50 @@
+import { SpatialIndex } from '../../../src/common/util/SpatialIndex';
+
+describe('SpatialIndex', () => {
+    var getBounds = (item) => {
+        return item.x === undefined ? null : [item.x, item.y, item.x, item.y];
+    };
+
+    it('load, search', () => {
+        var items = [];
+        for (var i = 0; i < 100; i++) {
+            items.push({id: i, x: i % 10, y: Math.floor(i / 10)});
+        }
+        var index = new SpatialIndex({getBounds: getBounds});
+        expect(index.CLASS_NAME).toBe('SuperMap.SpatialIndex');
+        expect(index.getExtent()).toBeNull();
+        index.load([null, {id: 'noBounds'}].concat(items));
+        expect(index.getExtent()).toEqual([0, 0, 9, 9]);
+        var result = index.search([2, 2, 3, 3]);
+        expect(result.map((item) => item.id)).toEqual([22, 23, 32, 33]);
+        index.load(items.slice(0, 10));
+        expect(index.search([0, 0, 9, 9]).length).toBe(10);
+    });
+
+    it('insert, remove, clear', () => {
+        var a = {x: 1, y: 1},
+            b = {x: 2, y: 2},
+            c = {x: 1, y: 1};
+        var index = new SpatialIndex({getBounds: getBounds});
+        index.insert(a);
+        index.insert([b, c]);
+        expect(index.search([0, 0, 5, 5])).toEqual([a, b, c]);
+        index.remove(a);
+        expect(index.search([1, 1, 1, 1])).toEqual([c]);
+        index.clear();
+        expect(index.search([0, 0, 5, 5]).length).toBe(0);
+        index.destroy();
+        expect(index.getBounds).toBeNull();
+    });
+
+    it('searchPolygon', () => {
+        var items = [{x: 1, y: 1}, {x: 3, y: 1}, {x: 1, y: 3}, {x: 3, y: 3}];
+        var index = new SpatialIndex({getBounds: getBounds});
+        index.load(items);
+        var triangle = [[0, 0], [5, 0], [0, 5]];
+        expect(index.searchPolygon(triangle)).toEqual([items[0], items[1], items[2]]);
+        expect(index.searchPolygon([[0, 0], [5, 0]])).toEqual([]);
+        expect(SpatialIndex.isPointInRing([3, 3], triangle)).toBe(false);
+        expect(SpatialIndex.isPointInRing([1, 1], triangle)).toBe(true);
+    });
+});
@@ -0,0 +1,11 @@
+import { TurfParameters } from '../../../src/common/util/TurfParameters';
+
+describe('TurfParameters', () => {
+    it('turfMap, turfOptionMap', () => {
+        expect(TurfParameters.turfMap['Transformation.buffer']).toEqual(['geojson', 'radius', 'units', 'steps']);
+        expect(TurfParameters.turfOptionMap['Transformation.buffer']).toEqual(['geojson', 'radius', { units: '', steps: '' }]);
+        for (var type in TurfParameters.turfOptionMap) {
+            expect(TurfParameters.turfMap[type]).not.toBeUndefined();
+        }
+    });
+});
@@ -0,0 +1,130 @@
+import {TurfWorker} from '../../../src/common/util/TurfWorker';
+import * as turf from '@turf/turf';
+
+describe('TurfWorker', () => {
+    var originalWorker;
+    //在当前线程中模拟 worker，消息经过克隆后异步传递
+    class FakeWorker {
+        constructor(url) {
+            this.url = url;
+            this.terminated = false;
+            this.scope = {
+                postMessage: (data) => {
+                    setTimeout(() => {
+                        !this.terminated && this.onmessage && this.onmessage({data: JSON.parse(JSON.stringify(data))});
+                    }, 0);
+                }
+            };
+            TurfWorker.workerScope(this.scope, turf);
+        }
+
+        postMessage(data) {
+            setTimeout(() => {
+                !this.terminated && this.scope.onmessage({data: JSON.parse(JSON.stringify(data))});
+            }, 0);
+        }
+
+        terminate() {
+            this.terminated = true;
+        }
+    }
+    var points = (count) => {
+        var features = [];
+        for (var i = 0; i < count; i++) {
+            features.push(turf.point([100 + i * 0.1, 30]));
+        }
+        return turf.featureCollection(features);
+    };
+
+    beforeAll(() => {
+        originalWorker = window.Worker;
+        window.Worker = global.Worker = FakeWorker;
+    });
+    afterAll(() => {
+        window.Worker = global.Worker = originalWorker;
+    });
+
+    it('workerScope', () => {
+        var messages = [];
+        var scope = {
+            postMessage: (data) => messages.push(data)
+        };
+        TurfWorker.workerScope(scope, turf);
+        scope.onmessage({data: {id: 1, method: 'buffer', argsList: [[points(40), 1, {units: 'kilometers'}]]}});
+        var progress = messages.filter((message) => message.progress !== undefined).map((message) => message.progress);
+        expect(progress[0]).toBe(0);
+        expect(progress[progress.length - 1]).toBe(1);
+        expect(progress.length).toBe(21);
+        var result = messages[messages.length - 1].result;
+        expect(result.type).toBe('FeatureCollection');
+        expect(result.features.length).toBe(40);
+        expect(result.features[0].geometry.type).toBe('Polygon');
+
+        messages = [];
+        scope.onmessage({data: {id: 2, method: 'distance', argsList: [[null], [[0, 0], [1, 0], {units: 'degrees'}]]}});
+        expect(messages[messages.length - 1].id).toBe(2);
+        expect(messages[messages.length - 1].result).toBeCloseTo(1, 2);
+        scope.onmessage({data: {id: 3, method: 'notExist', argsList: [[]]}});
+        expect(messages[messages.length - 1].error).toContain('notExist');
+        scope.onmessage({data: {id: 4, method: 'distance', argsList: [[null]]}});
+        expect(messages[messages.length - 1].id).toBe(4);
+        expect(messages[messages.length - 1].error).toBeDefined();
+    });
+
+    it('run', (done) => {
+        var turfWorker = new TurfWorker({workerUrl: 'TurfWorker.js'});
+        expect(turfWorker.CLASS_NAME).toBe('SuperMap.TurfWorker');
+        var progress = [];
+        var taskId = turfWorker.run('buffer', [[points(5), 1, {units: 'kilometers'}]], {
+            onProgress: (value, id) => {
+                expect(id).toBe(taskId);
+                progress.push(value);
+            },
+            onComplete: (result, id) => {
+                expect(id).toBe(taskId);
+                expect(result.features.length).toBe(5);
+                expect(progress[0]).toBe(0);
+                expect(progress[progress.length - 1]).toBe(1);
+                expect(turfWorker._worker.url).toBe('TurfWorker.js');
+                expect(turfWorker.isRunning()).toBeFalsy();
+                turfWorker.destroy();
+                expect(turfWorker._worker).toBeNull();
+                done();
+            }
+        });
+        expect(turfWorker.isRunning()).toBeTruthy();
+    });
+
+    it('cancel', (done) => {
+        var turfWorker = new TurfWorker({workerUrl: 'TurfWorker.js'});
+        var cancelled = [];
+        var handlers = {
+            onComplete: () => fail('cancelled task should not complete'),
+            onCancel: (id) => cancelled.push(id)
+        };
+        var first = turfWorker.run('buffer', [[points(5), 1]], handlers);
+        var worker = turfWorker._worker;
+        var second = turfWorker.run('buffer', [[points(5), 1]], handlers);
+        turfWorker.run('distance', [[[0, 0], [1, 0], {units: 'degrees'}]], {
+            onComplete: (result) => {
+                expect(result).toBeCloseTo(1, 2);
+                expect(cancelled).toEqual([second, first]);
+                expect(worker.terminated).toBeTruthy();
+                expect(turfWorker._worker).not.toBe(worker);
+                turfWorker.destroy();
+                done();
+            }
+        });
+        turfWorker.cancel(second);
+        turfWorker.cancel(first);
+    });
+
+    it('getWorkerScript, hasFunction', () => {
+        var script = TurfWorker.getWorkerScript('turf.min.js');
+        expect(script.indexOf("importScripts('turf.min.js');")).toBe(0);
+        expect(script).toContain('(self, turf);');
+        expect(TurfWorker.getWorkerScript()).toContain('Turf.js/5.1.6/turf.js');
+        expect(TurfWorker.hasFunction({geojson: {}, callback: () => {}})).toBeTruthy();
+        expect(TurfWorker.hasFunction({geojson: {}, radius: 1})).toBeFalsy();
+    });
+});
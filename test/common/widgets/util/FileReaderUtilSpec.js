@@ -0,0 +1,73 @@
+import {FileReaderUtil} from '../../../../src/common/widgets/util/FileReaderUtil';
+import {FileTypes} from '../../../../src/common/widgets/CommonTypes';
+
+describe('FileReaderUtil', () => {
+    it('processDataToGeoJson_csv_wkt', (done) => {
+        var csv = 'name,wkt\n' +
+            'a,POINT(116 39)\n' +
+            'b,"LINESTRING(0 0,1 1)"\n' +
+            'c,"POLYGON((0 0,10 0,10 10,0 0),(2 2,4 2,4 4,2 2))"\n' +
+            'd,"MULTIPOINT((0 0),(1 1))"\n' +
+            'e,\n';
+        var data = FileReaderUtil.string2Csv(csv);
+        expect(data.rows[1]).toEqual(['b', 'LINESTRING(0 0,1 1)']);
+        FileReaderUtil.processDataToGeoJson(FileTypes.CSV, csv, (features) => {
+            expect(features.length).toBe(5);
+            expect(features[0].geometry).toEqual({type: 'Point', coordinates: [116, 39]});
+            expect(features[0].properties).toEqual({name: 'a'});
+            expect(features[1].geometry).toEqual({type: 'LineString', coordinates: [[0, 0], [1, 1]]});
+            expect(features[2].geometry.type).toBe('Polygon');
+            expect(features[2].geometry.coordinates[1]).toEqual([[2, 2], [4, 2], [4, 4], [2, 2]]);
+            expect(features[3].geometry).toEqual({type: 'MultiPoint', coordinates: [[0, 0], [1, 1]]});
+            expect(features[4].geometry).toBeNull();
+            done();
+        });
+    });
+
+    it('processDataToGeoJson_csv_wkt_content', (done) => {
+        var csv = 'name,location\na,"POINT(1 2)"\n';
+        FileReaderUtil.processDataToGeoJson(FileTypes.CSV, csv, (features) => {
+            expect(features[0].geometry).toEqual({type: 'Point', coordinates: [1, 2]});
+            done();
+        });
+    });
+
+    it('processDataToGeoJson_csv_ewkt', (done) => {
+        var csv = 'name,location\n' +
+            'a,SRID=4326;POINT(1 2)\n' +
+            'b,POINT Z (1 2 3)\n' +
+            'c,POINTM(1 2 4)\n' +
+            'd,"SRID=4326;LINESTRING ZM (0 0 1 2,1 1 3 4)"\n' +
+            'e,POINT EMPTY\n' +
+            'f,POINTS(1 2)\n';
+        FileReaderUtil.processDataToGeoJson(FileTypes.CSV, csv, (features) => {
+            expect(features[0].geometry).toEqual({type: 'Point', coordinates: [1, 2]});
+            expect(features[1].geometry.coordinates).toEqual([1, 2, 3]);
+            expect(features[2].geometry.type).toBe('Point');
+            expect(features[2].geometry.coordinates.slice(0, 2)).toEqual([1, 2]);
+            expect(features[3].geometry.type).toBe('LineString');
+            expect(features[3].geometry.coordinates[1].slice(0, 3)).toEqual([1, 1, 3]);
+            expect(features[4].geometry.type).toBe('Point');
+            expect(features[5].geometry).toBeNull();
+            done();
+        });
+    });
+
+    it('processDataToGeoJson_gpx', (done) => {
+        var gpx = '<gpx version="1.1"><wpt lat="1" lon="2"><name>a</name></wpt></gpx>';
+        FileReaderUtil.processDataToGeoJson(FileTypes.GPX, gpx, (geojson) => {
+            expect(geojson.features[0].geometry.coordinates).toEqual([2, 1]);
+            done();
+        });
+    });
+
+    it('processDataToGeoJson_wrongFormat', (done) => {
+        FileReaderUtil.processDataToGeoJson(FileTypes.KML, '<gpx version="1.1"></gpx>', () => {
+            fail();
+            done();
+        }, (msg) => {
+            expect(msg).not.toBeUndefined();
+            done();
+        });
+    });
+});
@@ -0,0 +1,36 @@
+import {FlatGeobufParser} from '../../../../src/common/widgets/util/FlatGeobufParser';
+
+//EPSG:3857 坐标系，带空间索引的两个要素（点和带洞的面）
+var fgb = 'ZmdiA2ZnYgDZAAAAHgAAABoAGQAEAAAACAAAAAAAAAAAAAkADQAAABUAGgAAABUAAAAAGQAAAAIAAAAAAAAAkQAAAAQAAAB0ZXN0AAQAAAAYAAAALgAAAEMAAABaAAAACAAJAAQACAAIAAAABQAAAAsEAAAAbmFtZQAIAAkABAAIAAgAAAAFAAAABQMAAABwb3AACAAJAAQACAAIAAAABQAAAAIFAAAAdmFsaWQACAAJAAQACAAIAAAABQAAAAwEAAAAbWV0YQAIAAwABAAIAAgAAAAIAAAAEQ8AAAQAAABFUFNHAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAHIAAAAMAAAACAAMAAQACAAIAAAAGgAAADMAAAASAAkAAAAEAAAAAAAAAAAACAASAAAABQAAAAECAAAAkxB8RfgbY0EAAAAAAAAAACcAAAAAAAYAAADljJfkuqwBAGoIAAACAAEDAAwAAAB7ImxldmVsIjogMX3oAAAADAAAAAgADAAEAAgACAAAABoAAADDAAAAEgANAAQACAAAAAAAAAAAAAwAEgAAAAkAAAARAAAAAwIAAAAFAAAACQAAABIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAACTEHxF+BtjQZMQfEX4G2NBkxB8RfgbY0GTEHxF+BtjQQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAPA/AAAAAAAA8D8AAAAAAADwPwAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAPA/AAAAAAAA8D8NAAAAAAAEAAAAYXJlYQIAAA==';
+
+describe('FlatGeobufParser', () => {
+    var buffer;
+    beforeAll(() => {
+        var str = window.atob(fgb);
+        var bytes = new Uint8Array(str.length);
+        for (var i = 0; i < str.length; i++) {
+            bytes[i] = str.charCodeAt(i);
+        }
+        buffer = bytes.buffer;
+    });
+
+    it('isFlatGeobuf', () => {
+        expect(FlatGeobufParser.isFlatGeobuf(buffer)).toBeTruthy();
+        expect(FlatGeobufParser.isFlatGeobuf(new ArrayBuffer(8))).toBeFalsy();
+        expect(() => FlatGeobufParser.parse(new ArrayBuffer(8))).toThrow();
+    });
+
+    it('parse', () => {
+        var features = FlatGeobufParser.parse(buffer).features;
+        expect(features.length).toBe(2);
+        expect(features[0].geometry.type).toBe('Point');
+        expect(features[0].geometry.coordinates[0]).toBeCloseTo(90, 6);
+        expect(features[0].geometry.coordinates[1]).toBeCloseTo(0, 6);
+        expect(features[0].properties).toEqual({name: '北京', pop: 2154, valid: true, meta: {level: 1}});
+        expect(features[1].geometry.type).toBe('Polygon');
+        expect(features[1].geometry.coordinates.length).toBe(2);
+        expect(features[1].geometry.coordinates[0].length).toBe(5);
+        expect(features[1].geometry.coordinates[1].length).toBe(4);
+        expect(features[1].properties).toEqual({name: 'area', valid: false});
+    });
+});
@@ -0,0 +1,37 @@
+import {GPXParser} from '../../../../src/common/widgets/util/GPXParser';
+
+describe('GPXParser', () => {
+    var gpx = '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">' +
+        '<wpt lat="39.9" lon="116.4"><ele>50</ele><time>2019-01-01T00:00:00Z</time><name>start</name><sym>Flag</sym></wpt>' +
+        '<rte><name>route</name><rtept lat="0" lon="0"></rtept><rtept lat="1" lon="1"></rtept></rte>' +
+        '<trk><name>track</name><type>running</type>' +
+        '<trkseg><trkpt lat="0" lon="0"><time>2019-01-01T00:00:00Z</time></trkpt><trkpt lat="0" lon="1"><time>2019-01-01T00:01:00Z</time></trkpt></trkseg>' +
+        '<trkseg><trkpt lat="1" lon="1"></trkpt></trkseg>' +
+        '</trk>' +
+        '<trk><name>multi</name>' +
+        '<trkseg><trkpt lat="0" lon="0"></trkpt><trkpt lat="0" lon="1"></trkpt></trkseg>' +
+        '<trkseg><trkpt lat="1" lon="1"></trkpt><trkpt lat="1" lon="2"></trkpt></trkseg>' +
+        '</trk>' +
+        '</gpx>';
+
+    it('parse', () => {
+        var features = GPXParser.parse(gpx).features;
+        expect(features.length).toBe(4);
+        expect(features[0].geometry).toEqual({type: 'Point', coordinates: [116.4, 39.9, 50]});
+        expect(features[0].properties).toEqual({name: 'start', sym: 'Flag', time: '2019-01-01T00:00:00Z'});
+        expect(features[1].geometry).toEqual({type: 'LineString', coordinates: [[0, 0], [1, 1]]});
+        expect(features[1].properties.name).toBe('route');
+        //只有一个点的航迹段被忽略
+        expect(features[2].geometry).toEqual({type: 'LineString', coordinates: [[0, 0], [1, 0]]});
+        expect(features[2].properties.type).toBe('running');
+        expect(features[2].properties.coordTimes).toEqual(['2019-01-01T00:00:00Z', '2019-01-01T00:01:00Z']);
+        expect(features[3].geometry.type).toBe('MultiLineString');
+        expect(features[3].geometry.coordinates.length).toBe(2);
+        expect(features[3].properties.coordTimes).toBeUndefined();
+    });
+
+    it('parse invalid', () => {
+        expect(() => GPXParser.parse('<kml></kml>')).toThrow();
+    });
+});
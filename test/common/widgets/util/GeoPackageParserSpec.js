@@ -0,0 +1,41 @@
+import {GeoPackageParser} from '../../../../src/common/widgets/util/GeoPackageParser';
+
+//EPSG:3857 坐标系，页大小 512 字节，要素表有 18 条记录（16 个点、带洞和溢出页的面、空几何对象），根节点为内部页
+var gpkg = 'U1FMaXRlIGZvcm1hdCAzAAIAAQEAQCAgAAAABQAAAA0AAAAAAAAAAAAAAAQAAAAEAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFAC5jAQUAAAACAfYAAAAACAH7AfYAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAYCAAAABQENAAAAAQHPAAHPAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAALp4RBz0AFQIfAFdHUyA4NCAvIFBzZXVkby1NZXJjYXRvckVQU0cPEXVuZGVmaW5lZA0AAAABAeMAAeMAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABsBBxkVHQIICHBvaW50c2dlb21HRU9NRVRSWQ8RCgAAAAEB8QAB8QAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAOBBkVCXBvaW50c2dlb20NAAAAAQD2AAD2AKMAowAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABJAwYXXTcBAGluZGV4c3FsaXRlX2F1dG9pbmRleF9ncGtnX2dlb21ldHJ5X2NvbHVtAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAUwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAACCBwEHFzU1AYMxdGFibGVncGtnX3NwYXRpYWxfcmVmX3N5c2dwa2dfc3BhdGlhbF9yZWZfc3lzAkNSRUFURSBUQUJMRSBncGtnX3NwYXRpYWxfcmVmX3N5cyAoc3JzX25hbWUgVEVYVCBOT1QgTlVMTCwgc3JzX2lkIElOVEVHRVIgTk9UIE5VTEwgUFJJTUFSWSBLRVksIG9yZ2FuaXphdGlvbiBURVhUIE5PVCBOVUxMLCBvcmdhbml6YXRpb25fY29vcmRzeXNfaWQgSU5URUdFUiBOT1QgTlVMTCwgZGVmaW5pdGlvbiBURVhUIE5PVCBOVUxMLCBkZXNjcmlwdGlvbiBURVhUKQ0AAAABAMwAAMwAgQB5AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAIAAAAAAAAAEsAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAIIxAgcXNzcBhAF0YWJsZWdwa2dfZ2VvbWV0cnlfY29sdW1uc2dwa2dfZ2VvbWV0cnlfY29sdW1ucwNDUkVBVEUgVEFCTEUgZ3BrZ19nZW9tZXRyeV9jb2x1bW5zICh0YWJsZV9uYW1lIFRFWFQgTk9UIE5VTEwsIGNvbHVtbl9uYW1lIFRFWFQgTk9UIE5VTEwsIGdlb21ldHJ5X3R5cGVfbmFtZSBURVhUIE5PVCBOVUxMLCBzcnNfaWQgSU5URUdFUiBOT1QgTlVMTCwgeiBUSU5ZSU5UIE5PVCBOVUxMLCBtIFRJTllJTlQgTk9UIE5VTEwsIENPTlNUUkFJTlQgcGtfZ2VvbV9jb2xzIFBSSU1BUlkgS0VZICh0YWJsZV9uYW1lLCBjb2x1bW5fbmFtZSkpBQAAAAIB9gAAAAANAfsB9gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAsQAAAACgkNAAAAAwDAAAG1ARIAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABQBQYXKysBWXRhYmxlc3FsaXRlX3NlcXVlbmNlc3FsaXRlX3NlcXVlbmNlCUNSRUFURSBUQUJMRSBzcWxpdGVfc2VxdWVuY2UobmFtZSxzZXEpgSAEBxcZGQGCG3RhYmxlcG9pbnRzcG9pbnRzB0NSRUFURSBUQUJMRSAicG9pbnRzIiAoImZpZCIgSU5URUdFUiBQUklNQVJZIEtFWSBBVVRPSU5DUkVNRU5UIE5PVCBOVUxMLCAiZ2VvbSIgR0VPTUVUUlksICJuYW1lIiBURVhULCAidmFsdWUiIFJFQUwsICJjb3VudCIgTUVESVVNSU5UKUkDBhddNwEAaW5kZXhzcWxpdGVfYXV0b2luZGV4X2dwa2dfZ2VvbWV0cnlfY29sdW1uc18xZ3BrZ19nZW9tZXRyeV9jb2x1bW5zBA0AAAABAfQAAfQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAACgEDGQFwb2ludHMSDQAAAAkAQAABzwGeAWwBOgEIANYApAByAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADAJBgBGFQcBR1AAAREPAAABAQAAAAAAAAAAaihBAAAAAABqGEHngrk4QCEAAAAAAAAIMAgGAEYVBwFHUAABEQ8AAAEBAAAAAAAAAMBcJUEAAAAAwFwVQeeCuTdAHgAAAAAAAAcwBwYARhUHAUdQAAERDwAAAQEAAAAAAAAAgE8iQQAAAACATxJB54K5NkAaAAAAAAAABjAGBgBGFQcBR1AAAREPAAABAQAAAAAAAACAhB5BAAAAAICEDkHngrk1QBYAAAAAAAAFMAUGAEYVBwFHUAABEQ8AAAEBAAAAAAAAAABqGEEAAAAAAGoIQeeCuTRAEgAAAAAAAAQwBAYARhUHAUdQAAERDwAAAQEAAAAAAAAAgE8SQQAAAACATwJB54K5M0AMAAAAAAAAAzADBgBGFQcBR1AAAREPAAABAQAAAAAAAAAAaghBAAAAAABq+EDngrkyQAQAAAAAAAACLwIGAEYVBwlHUAABEQ8AAAEBAAAAAAAAAABq+EAAAAAAAGroQOeCuTE/+AAAAAAAAC8BBgBGFQcIR1AAAREPAAABAQAAAAAAAAAAAAAAAAAAAAAAAADngrkwP+AAAAAAAAANAAAABwCcAAHOAZsBaAE1AQIAzwCcAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAxEAYARhcHAUdQAAERDwAAAQEAAAAAAAAAYOM2QQAAAABg4yZB54K5MTVALwAAAAAAAA8xDwYARhcHAUdQAAERDwAAAQEAAAAAAAAAwFw1QQAAAADAXCVB54K5MTRALQAAAAAAAA4xDgYARhcHAUdQAAERDwAAAQEAAAAAAAAAINYzQQAAAAAg1iNB54K5MTNAKwAAAAAAAA0xDQYARhcHAUdQAAERDwAAAQEAAAAAAAAAgE8yQQAAAACATyJB54K5MTJAKQAAAAAAAAwxDAYARhcHAUdQAAERDwAAAQEAAAAAAAAA4MgwQQAAAADgyCBB54K5MTFAJwAAAAAAAAsxCwYARhcHAUdQAAERDwAAAQEAAAAAAAAAgIQuQQAAAACAhB5B54K5MTBAJQAAAAAAAAowCgYARhUHAUdQAAERDwAAAQEAAAAAAAAAQHcrQQAAAABAdxtB54K5OUAjAAAAAAAACQAAAAB4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4DQAAAAIATQAAeABNAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAApEgYARhcJAUdQABERDwAAAQEAAAAAAAAAAAD4fwAAAAAAAPh/ZW1wdHn7hn0RCACCfosFAABHUAADEQ8AAAAAAAAAAAAAAAAAAICELkEAAAAAAAAAAAAAAACAhC5BAAAAAAMAAAACAAAABAAAAAAAAAAAAAAAAAAAAABBLoSAAAAAAAAAAAAAAAAAQS6EgAAAAABBLoSAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAEQPhqAAAAAABA+GoAAAAAAEEIagAAAAAAQPhqAAAAAABBCGoAAAAAAEEIagAAAAAAQPhqAAAAAABA+GoAAAAAAHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eHh4eAAAAAw=';
+
+describe('GeoPackageParser', () => {
+    var buffer;
+    beforeAll(() => {
+        var str = window.atob(gpkg);
+        var bytes = new Uint8Array(str.length);
+        for (var i = 0; i < str.length; i++) {
+            bytes[i] = str.charCodeAt(i);
+        }
+        buffer = bytes.buffer;
+    });
+
+    it('isGeoPackage', () => {
+        expect(GeoPackageParser.isGeoPackage(buffer)).toBeTruthy();
+        expect(GeoPackageParser.isGeoPackage(new ArrayBuffer(8))).toBeFalsy();
+        expect(() => GeoPackageParser.parse(new ArrayBuffer(8))).toThrow();
+    });
+
+    it('parse', () => {
+        var features = GeoPackageParser.parse(buffer).features;
+        expect(features.length).toBe(18);
+        expect(features[0].geometry).toEqual({type: 'Point', coordinates: [0, 0]});
+        expect(features[15].geometry.type).toBe('Point');
+        expect(features[15].geometry.coordinates[0]).toBeCloseTo(13.474729, 6);
+        expect(features[15].geometry.coordinates[1]).toBeCloseTo(6.721892, 6);
+        expect(features[15].properties).toEqual({fid: 16, name: '点15', value: 15.5, count: 15});
+        expect(features[16].geometry.type).toBe('Polygon');
+        expect(features[16].geometry.coordinates.length).toBe(2);
+        expect(features[16].geometry.coordinates[0].length).toBe(4);
+        expect(features[16].geometry.coordinates[1].length).toBe(4);
+        expect(features[16].geometry.coordinates[0][1][0]).toBeCloseTo(8.983153, 6);
+        expect(features[16].properties.name.length).toBe(700);
+        expect(features[16].properties.value).toBeNull();
+        expect(features[17].geometry).toBeNull();
+        expect(features[17].properties).toEqual({fid: 18, name: 'empty', value: 1, count: -5});
+    });
+});
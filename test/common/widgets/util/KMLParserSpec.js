@@ -0,0 +1,56 @@
+import {KMLParser} from '../../../../src/common/widgets/util/KMLParser';
+
+//包含 doc.kml 和 files/readme.txt 的 kmz 文件
+var kmz = 'UEsDBBQAAAAIAEQCU12DFtyMAwAAAAEAAAAQAAAAZmlsZXMvcmVhZG1lLnR4dKsAAFBLAwQUAAAACABEAlNdiDfwEZsAAADKAAAABwAAAGRvYy5rbWxNzUEOgjAQheGrkK6xA2iMmKFsjGsWeoCmNthAp4RWce2tPJHXsBgT2U0yX96P9cP2yV2P3jiqWM4zlmhS7mKordj5dFztWC2wiyhC8hW7hjDsAaZp4m7Q1BrPSQeIAgpeMIEHp25WUxDY9FJpK8dOIEmrxfv5Qvhe2DgzC+XcGFMyaC/yfMs36brkZZohLD8IPw6LRfh35rj4AFBLAQIUAxQAAAAIAEQCU12DFtyMAwAAAAEAAAAQAAAAAAAAAAAAAACAAQAAAABmaWxlcy9yZWFkbWUudHh0UEsBAhQDFAAAAAgARAJTXYg38BGbAAAAygAAAAcAAAAAAAAAAAAAAIABMQAAAGRvYy5rbWxQSwUGAAAAAAIAAgBzAAAA8QAAAAAA';
+
+describe('KMLParser', () => {
+    var kml = '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+        '<Placemark id="p1"><name>point</name><description>desc</description>' +
+        '<ExtendedData><Data name="level"><value>1</value></Data>' +
+        '<SchemaData><SimpleData name="type">city</SimpleData></SchemaData></ExtendedData>' +
+        '<Point><coordinates>116.4,39.9,10</coordinates></Point></Placemark>' +
+        '<Placemark><name>line</name><LineString><coordinates>0,0 1,1\n2,2</coordinates></LineString></Placemark>' +
+        '<Placemark><name>polygon</name><Polygon>' +
+        '<outerBoundaryIs><LinearRing><coordinates>0,0 10,0 10,10 0,10 0,0</coordinates></LinearRing></outerBoundaryIs>' +
+        '<innerBoundaryIs><LinearRing><coordinates>2,2 4,2 4,4 2,2</coordinates></LinearRing></innerBoundaryIs>' +
+        '</Polygon></Placemark>' +
+        '<Placemark><name>multi</name><MultiGeometry>' +
+        '<Point><coordinates>1,1</coordinates></Point><Point><coordinates>2,2</coordinates></Point>' +
+        '</MultiGeometry></Placemark>' +
+        '<Placemark><name>collection</name><MultiGeometry>' +
+        '<Point><coordinates>1,1</coordinates></Point><LineString><coordinates>0,0 1,1</coordinates></LineString>' +
+        '</MultiGeometry></Placemark>' +
+        '<Placemark><name>empty</name></Placemark>' +
+        '</Document></kml>';
+
+    it('parse', () => {
+        var features = KMLParser.parse(kml).features;
+        expect(features.length).toBe(5);
+        expect(features[0].id).toBe('p1');
+        expect(features[0].geometry).toEqual({type: 'Point', coordinates: [116.4, 39.9, 10]});
+        expect(features[0].properties).toEqual({name: 'point', description: 'desc', level: '1', type: 'city'});
+        expect(features[1].geometry.coordinates).toEqual([[0, 0], [1, 1], [2, 2]]);
+        expect(features[2].geometry.type).toBe('Polygon');
+        expect(features[2].geometry.coordinates.length).toBe(2);
+        expect(features[3].geometry).toEqual({type: 'MultiPoint', coordinates: [[1, 1], [2, 2]]});
+        expect(features[4].geometry.type).toBe('GeometryCollection');
+        expect(features[4].geometry.geometries.length).toBe(2);
+    });
+
+    it('parse invalid', () => {
+        expect(() => KMLParser.parse('<gpx></gpx>')).toThrow();
+    });
+
+    it('parseKMZ', () => {
+        var str = window.atob(kmz);
+        var bytes = new Uint8Array(str.length);
+        for (var i = 0; i < str.length; i++) {
+            bytes[i] = str.charCodeAt(i);
+        }
+        var features = KMLParser.parseKMZ(bytes.buffer).features;
+        expect(features.length).toBe(1);
+        expect(features[0].properties.name).toBe('点');
+        expect(features[0].geometry.coordinates).toEqual([116.4, 39.9, 0]);
+    });
+});
@@ -0,0 +1,60 @@
+import {ShapefileParser} from '../../../../src/common/widgets/util/ShapefileParser';
+import {ZipUtil} from '../../../../src/common/widgets/util/ZipUtil';
+
+//data/cities（UTM 50N 坐标系、GBK 编码的点）和 data/area（经纬度坐标系、带洞的面）两个 shapefile 压缩后的文件
+var shpZip = 'UEsDBBQAAAAIAEQCU12gDmWRKQAAAJwAAAAPAAAAZGF0YS9jaXRpZXMuc2hwY2BQ52LADvxeMDMwMOKQJBGAjOGCmdXQIueIJMeELsd1fXGB/f9fDgBQSwMEFAAAAAgARAJTXcXGPhc6AAAAiAAAAA8AAABkYXRhL2NpdGllcy5kYmZjLmdkZGJgYEhkEGbABvwcfV2hTGcQwYUmH+AfAFcKIjjQ5HkVNm7ct1IBAQwNDBTOvNn7SQEFSAEAUEsDBBQAAAAIAEQCU12vM8B8AAEAAJIBAAAPAAAAZGF0YS9jaXRpZXMucHJqZY9ba4QwEIX/S56DGO95FM1al2rEC4WKhOCmbkAixLT9+41bSrvbeZiHc745M9O09Jx1I3gpOoZwErChr9jrpgQL3RrAgtDisG1jPwiAedoP1QjyP1LXPJGWlvlvEoCRHyfIjx0XejhxvDD2PD+M/GmCTVtWxCYUWgj1KecrgK7jTnCoy97misXqNwnFQeh72AsRxoH/PUrPJOtLWo+g11ztH0LvglVCz9xsGlgibdOK9KQdwYmv1iN8N1ItAIbuUceif0y9aXO9QY9+JpTRfD02yIvkCkCE4gemm/kq2InPxwU2AWMc3QHP3EjzfhGMvjGq5SLV3ceVMMIOIqtMX1BLAwQUAAAACABEAlNdyPfVqQUAAAADAAAADwAAAGRhdGEvY2l0aWVzLmNwZ3N38gYAUEsDBBQAAAAIAEQCU12dlCtdLwAAAEABAAANAAAAZGF0YS9hcmVhLnNocGNgUOdiwA4WvGBmYGDFIUkiYATiLGLMYgJimIMIq1dxwE/jBA6otAAOPi5xhH4AUEsDBBQAAAAIAEQCU11JRYaHPAAAAJAAAAANAAAAZGF0YS9hcmVhLmRiZmMuZ2RkZGBgaGTgY8AGPF3gTD8QwYImH+boA1PiAyIY0eRdHENcYUwQwYEmz6sABOYhRgaGlgaGBkZSAFBLAwQUAAAACABEAlNdVX9Dr3kAAACRAAAADQAAAGRhdGEvYXJlYS5wcmpzd/V3dw6OVgIS8eHuwfGGlhYmSjoujiGhvtFKLkhCwQEerkH+ni7RSggxM2NzC0Njcz0DHSNLCz0jU3MjI2NTM+PYWJ2AIE9fV6AJ7kWpqXnlmckZSjoGegaxOqF+niFAc1PTgeJgIUNzE1NjI0sjU0NLSxNjoFYAUEsDBBQAAAAIAEQCU105nPsGBgAAAAQAAAAYAAAAX19NQUNPU1gvZGF0YS8uX2FyZWEuc2hwyyrNywYAUEsBAhQDFAAAAAgARAJTXaAOZZEpAAAAnAAAAA8AAAAAAAAAAAAAAIABAAAAAGRhdGEvY2l0aWVzLnNocFBLAQIUAxQAAAAIAEQCU13Fxj4XOgAAAIgAAAAPAAAAAAAAAAAAAACAAVYAAABkYXRhL2NpdGllcy5kYmZQSwECFAMUAAAACABEAlNdrzPAfAABAACSAQAADwAAAAAAAAAAAAAAgAG9AAAAZGF0YS9jaXRpZXMucHJqUEsBAhQDFAAAAAgARAJTXcj31akFAAAAAwAAAA8AAAAAAAAAAAAAAIAB6gEAAGRhdGEvY2l0aWVzLmNwZ1BLAQIUAxQAAAAIAEQCU12dlCtdLwAAAEABAAANAAAAAAAAAAAAAACAARwCAABkYXRhL2FyZWEuc2hwUEsBAhQDFAAAAAgARAJTXUlFhoc8AAAAkAAAAA0AAAAAAAAAAAAAAIABdgIAAGRhdGEvYXJlYS5kYmZQSwECFAMUAAAACABEAlNdVX9Dr3kAAACRAAAADQAAAAAAAAAAAAAAgAHdAgAAZGF0YS9hcmVhLnByalBLAQIUAxQAAAAIAEQCU105nPsGBgAAAAQAAAAYAAAAAAAAAAAAAACAAYEDAABfX01BQ09TWC9kYXRhLy5fYXJlYS5zaHBQSwUGAAAAAAgACADrAQAAvQMAAAAA';
+
+function toArrayBuffer(base64) {
+    var str = window.atob(base64);
+    var bytes = new Uint8Array(str.length);
+    for (var i = 0; i < str.length; i++) {
+        bytes[i] = str.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+describe('ShapefileParser', () => {
+    it('ZipUtil isZip, unzip', () => {
+        var buffer = toArrayBuffer(shpZip);
+        expect(ZipUtil.isZip(buffer)).toBeTruthy();
+        expect(ZipUtil.isZip(new ArrayBuffer(8))).toBeFalsy();
+        var names = ZipUtil.unzip(buffer).map((file) => file.name);
+        expect(names.length).toBe(7);
+        expect(names).toContain('data/cities.shp');
+        expect(names).not.toContain('__MACOSX/data/._area.shp');
+    });
+
+    it('parse zip', () => {
+        var geojson = ShapefileParser.parse(toArrayBuffer(shpZip));
+        expect(geojson.type).toBe('FeatureCollection');
+        expect(geojson.features.length).toBe(3);
+        var cities = geojson.features.filter((feature) => feature.geometry.type === 'Point');
+        expect(cities.length).toBe(2);
+        expect(cities[0].properties.NAME).toBe('北京');
+        expect(cities[0].properties.POP).toBe(100);
+        expect(cities[1].properties.NAME).toBe('天津');
+        expect(cities[1].properties.POP).toBeNull();
+        //按 prj 转换为经纬度坐标
+        expect(cities[0].geometry.coordinates[0]).toBeCloseTo(117, 6);
+        expect(cities[0].geometry.coordinates[1]).toBeCloseTo(0, 6);
+        expect(cities[1].geometry.coordinates[1]).toBeCloseTo(1, 3);
+    });
+
+    it('parse polygon with hole', () => {
+        var geojson = ShapefileParser.parse(toArrayBuffer(shpZip));
+        var area = geojson.features.filter((feature) => feature.geometry.type === 'Polygon')[0];
+        expect(area.properties.ID).toBe(7);
+        expect(area.properties.VALID).toBe(true);
+        expect(area.properties.DATE).toBe('2019-01-02');
+        var rings = area.geometry.coordinates;
+        expect(rings.length).toBe(2);
+        expect(rings[0].length).toBe(5);
+        //外环转为逆时针
+        expect(rings[0][1]).toEqual([10, 0]);
+        expect(rings[1][0]).toEqual([2, 2]);
+    });
+
+    it('parse invalid file', () => {
+        expect(() => ShapefileParser.parse(new ArrayBuffer(100))).toThrow();
+    });
+});
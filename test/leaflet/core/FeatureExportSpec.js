@@ -0,0 +1,37 @@
+import {featureExport} from '../../../src/leaflet/core/FeatureExport';
+import {graphic} from '../../../src/leaflet/overlay/graphic/Graphic';
+import {graphicLayer} from '../../../src/leaflet/overlay/GraphicLayer';
+
+describe('leaflet_FeatureExport', () => {
+    it('toGeoJSON_graphicLayer', () => {
+        var layer = graphicLayer([
+            graphic({id: 1, latLng: L.latLng(39.9, 116.4), attributes: {name: 'point'}}),
+            graphic({latLngs: [[39.9, 116.3], [39.91, 116.4]], attributes: {name: 'line'}}),
+            graphic({latLngs: [[0, 0], [0, 10], [10, 10]], geometryType: 'Polygon'})
+        ]);
+        var features = featureExport().toGeoJSON(layer).features;
+        expect(features.length).toBe(3);
+        expect(features[0]).toEqual({type: 'Feature', id: 1, geometry: {type: 'Point', coordinates: [116.4, 39.9]}, properties: {name: 'point'}});
+        expect(features[1].geometry).toEqual({type: 'LineString', coordinates: [[116.3, 39.9], [116.4, 39.91]]});
+        //面要素的环首尾闭合
+        expect(features[2].geometry).toEqual({type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 0]]]});
+        expect(features[2].properties).toEqual({});
+    });
+
+    it('toGeoJSON_geoJSONLayer', () => {
+        var layer = L.geoJSON({
+            type: 'Feature',
+            geometry: {type: 'Point', coordinates: [116.4, 39.9]},
+            properties: {name: 'turf'}
+        });
+        var features = featureExport().toGeoJSON([layer, L.marker([30, 100])]).features;
+        expect(features.length).toBe(2);
+        expect(features[0].properties.name).toBe('turf');
+        expect(features[1].geometry.coordinates).toEqual([100, 30]);
+    });
+
+    it('write', () => {
+        var csv = featureExport({csvGeometry: 'XY'}).write([graphic({latLng: L.latLng(39.9, 116.4), attributes: {name: 'point'}})], SuperMap.ExportFormat.CSV);
+        expect(csv).toBe('\ufeffname,X,Y\r\npoint,116.4,39.9\r\n');
+    });
+});
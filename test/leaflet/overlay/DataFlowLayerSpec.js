@@ -105,7 +105,7 @@ describe('leaflet_DataFlowLayer', () => {
             service.on('broadcastSocketConnected', (e) => {
                 var dataFlow = service.dataFlow;
                 expect(dataFlow.CLASS_NAME).toBe("SuperMap.DataFlowService");
-                expect(dataFlow.EVENT_TYPES.length).toEqual(8);
+                expect(dataFlow.EVENT_TYPES.length).toEqual(10);
                 expect(dataFlow.broadcastWebSocket.binaryType).toBe("blob");
                 timer = window.setInterval(broadcast_Point(service), 1000);
             });
@@ -344,6 +344,50 @@ describe('leaflet_DataFlowLayer', () => {
         }, 2000)
 
     });
+    it('trail, history', () => {
+        layer = dataFlowLayer(urlDataFlow, {
+            timeField: 'time',
+            trail: {maxPoints: 3, color: '#ff0000'},
+            history: {maxPoints: 10}
+        });
+        spyOn(layer.dataService, 'initSubscribe').and.callFake(() => layer.dataService);
+        layer.addTo(map);
+        for (var i = 0; i < 5; i++) {
+            layer._onMessageSuccessed({
+                featureResult: {
+                    type: "Feature",
+                    geometry: {type: "Point", coordinates: [116.4 + i * 0.01, 39.9]},
+                    properties: {id: 1, time: 1000 * (i + 1)}
+                }
+            });
+        }
+        expect(layer.getHistory(1).length).toBe(5);
+        expect(layer.getHistory(1, 2000, 3000).length).toBe(2);
+        var segments = layer._trailRenderer.getLayers();
+        expect(segments.length).toBe(2);
+        expect(segments[0].options.color).toBe('#ff0000');
+        expect(segments[0].options.opacity).toBeLessThan(segments[1].options.opacity);
+        //新的位置复用已有的折线
+        layer._onMessageSuccessed({
+            featureResult: {
+                type: "Feature",
+                geometry: {type: "Point", coordinates: [116.5, 39.9]},
+                properties: {id: 1, time: 6000}
+            }
+        });
+        var updatedSegments = layer._trailRenderer.getLayers();
+        expect(updatedSegments.length).toBe(2);
+        expect(updatedSegments[0]).toBe(segments[0]);
+        expect(updatedSegments[1]).toBe(segments[1]);
+        expect(updatedSegments[1].getLatLngs()[1].lng).toBeCloseTo(116.5, 6);
+        var control = layer.createTimeFlowControl(() => {});
+        expect(control.getStartTime()).toBe(1000);
+        expect(control.getEndTime()).toBe(5000);
+        control.destroy();
+        layer.clearHistory();
+        expect(layer.getHistory(1).length).toBe(0);
+        expect(layer._trailRenderer.getLayers().length).toBe(0);
+    });
 });
 
 
@@ -0,0 +1,125 @@
+import {elasticSearchGeoAdapter} from '../../../src/leaflet/overlay/ElasticSearchGeoAdapter';
+
+describe('leaflet_ElasticSearchGeoAdapter', () => {
+    var testDiv, map, requests, adapter;
+    var response = (keys) => {
+        return {
+            aggregations: {
+                grid: {
+                    buckets: keys.map((key) => {
+                        return {key: key, doc_count: 1};
+                    })
+                }
+            }
+        };
+    };
+    beforeAll(() => {
+        testDiv = window.document.createElement("div");
+        testDiv.setAttribute("id", "map");
+        testDiv.style.styleFloat = "left";
+        testDiv.style.marginLeft = "8px";
+        testDiv.style.marginTop = "50px";
+        testDiv.style.width = "500px";
+        testDiv.style.height = "500px";
+        window.document.body.appendChild(testDiv);
+        map = L.map('map', {
+            crs: L.CRS.EPSG4326,
+            center: {lon: 0, lat: 0},
+            maxZoom: 18,
+            zoom: 1
+        });
+    });
+    beforeEach(() => {
+        requests = [];
+        var client = {
+            search: jasmine.createSpy('search').and.callFake((params) => {
+                return new Promise((resolve, reject) => {
+                    requests.push({params: params, resolve: resolve, reject: reject});
+                });
+            })
+        };
+        adapter = elasticSearchGeoAdapter({client: client}, {index: 'flights', geoField: 'location', aggType: 'geohash_grid'});
+    });
+    afterEach(() => {
+        adapter.unbind();
+    });
+    afterAll(() => {
+        map.remove();
+        window.document.body.removeChild(testDiv);
+    });
+
+    it('bind, moveend, unbind', () => {
+        var layer = {removeAllFeatures: jasmine.createSpy('removeAllFeatures'), addFeatures: jasmine.createSpy('addFeatures')};
+        adapter.bind(map, layer);
+        expect(requests.length).toBe(1);
+        expect(requests[0].params.index).toBe('flights');
+        expect(requests[0].params.body.query.bool.filter.geo_bounding_box.location).toBeDefined();
+        map.fire('moveend');
+        expect(requests.length).toBe(2);
+        adapter.unbind();
+        map.fire('moveend');
+        expect(requests.length).toBe(2);
+    });
+
+    it('refresh_dropStaleResponse', (done) => {
+        var layer = {removeAllFeatures: jasmine.createSpy('removeAllFeatures'), addFeatures: jasmine.createSpy('addFeatures')};
+        var loaded = jasmine.createSpy('dataloaded');
+        adapter.on('dataloaded', loaded);
+        adapter.bind(map, layer);
+        map.fire('moveend');
+        requests[1].resolve(response(['s', 'u']));
+        requests[0].resolve(response(['s']));
+        setTimeout(() => {
+            expect(loaded.calls.count()).toBe(1);
+            expect(loaded.calls.argsFor(0)[0].result.features.length).toBe(2);
+            expect(layer.removeAllFeatures.calls.count()).toBe(1);
+            expect(layer.addFeatures.calls.count()).toBe(1);
+            var features = layer.addFeatures.calls.argsFor(0)[0].features;
+            expect(features.map((feature) => feature.id)).toEqual(['s', 'u']);
+            expect(features[0].geometry.type).toBe('Polygon');
+            done();
+        }, 0);
+    });
+
+    it('refresh_failed', (done) => {
+        var layer = {removeAllFeatures: jasmine.createSpy('removeAllFeatures'), addFeatures: jasmine.createSpy('addFeatures')};
+        adapter.bind(map, layer);
+        adapter.on('dataloadfailed', (e) => {
+            expect(e.error).toBe('error');
+            expect(layer.removeAllFeatures).not.toHaveBeenCalled();
+            done();
+        });
+        requests[0].reject('error');
+    });
+
+    it('setGraphics', (done) => {
+        var layer = {setGraphics: jasmine.createSpy('setGraphics')};
+        adapter.options.style = (feature) => {
+            return {id: feature.id};
+        };
+        adapter.bind(map, layer);
+        requests[0].resolve(response(['s']));
+        setTimeout(() => {
+            expect(layer.setGraphics.calls.count()).toBe(1);
+            var graphics = layer.setGraphics.calls.argsFor(0)[0];
+            expect(graphics.length).toBe(1);
+            expect(graphics[0].getId()).toBe('s');
+            expect(graphics[0].getLatLng().lat).toBe(22.5);
+            expect(graphics[0].getLatLng().lng).toBe(22.5);
+            expect(graphics[0].getAttributes().count).toBe(1);
+            expect(graphics[0].getStyle()).toEqual({id: 's'});
+            done();
+        }, 0);
+    });
+
+    it('removeAllFeatures_empty', (done) => {
+        var layer = {removeAllFeatures: jasmine.createSpy('removeAllFeatures'), addFeatures: jasmine.createSpy('addFeatures')};
+        adapter.bind(map, layer);
+        requests[0].resolve(response([]));
+        setTimeout(() => {
+            expect(layer.removeAllFeatures.calls.count()).toBe(1);
+            expect(layer.addFeatures).not.toHaveBeenCalled();
+            done();
+        }, 0);
+    });
+});
@@ -202,6 +202,88 @@ describe('leaflet_GraphicLayer', () => {
             }, 4000);
         });
 
+        it("getGraphicsInBounds, getGraphicsInPolygon, selectGraphics", (done) => {
+            layer = graphicLayer(graphics, {render: "canvas"}).addTo(map);
+            setTimeout(() => {
+                let result = layer.getGraphicsInBounds(L.latLngBounds([-36.5, 37], [-35, 40.1]));
+                expect(result).toEqual([graphics[0], graphics[1], graphics[2]]);
+                result = layer.getGraphicsInPolygon([[-36, 39.5], [-40, 39.5], [-40, 41], [-36, 41]]);
+                expect(result).toEqual([graphics[2], graphics[3]]);
+
+                let selectedHandler = jasmine.createSpy('graphicsselected');
+                layer.on('graphicsselected', selectedHandler);
+                result = layer.selectGraphics(L.latLngBounds([-36.5, 37], [-35, 40.1]));
+                expect(result.length).toEqual(3);
+                expect(layer.getSelectedGraphics()).toEqual(result);
+                expect(selectedHandler.calls.mostRecent().args[0].graphics).toEqual(result);
+                layer.removeGraphics(graphics[0]);
+                expect(layer.getSelectedGraphics()).toEqual([graphics[1], graphics[2]]);
+                layer.clearSelection();
+                expect(layer.getSelectedGraphics().length).toEqual(0);
+                layer.addGraphics(graphics[0]);
+                expect(layer.getGraphicsInBounds(L.latLngBounds([-35.5, 37], [-35, 39])).length).toEqual(1);
+                done();
+            }, 1000);
+        });
+
+        it("line and polygon graphics", (done) => {
+            const line = graphic({
+                latLngs: [[-30, 30], [-30, 40]],
+                style: {color: [255, 0, 0, 255], weight: 4}
+            });
+            const polygon = graphic({
+                latLngs: [[[-20, 30], [-20, 40], [-10, 40], [-10, 30]]],
+                geometryType: "Polygon"
+            });
+            expect(line.getGeometryType()).toBe("LineString");
+            expect(polygon.getGeometryType()).toBe("Polygon");
+            expect(polygon.getBounds().getNorth()).toEqual(-10);
+            expect(line.getLatLng().lng).toEqual(35);
+            layer = graphicLayer(graphics.concat([line, polygon]), {render: "canvas"}).addTo(map);
+            setTimeout(() => {
+                expect(layer.getGraphicsInBounds(L.latLngBounds([-31, 34], [-29, 36]))).toEqual([line]);
+                expect(layer.getGraphicsInBounds(L.latLngBounds([-16, 34], [-14, 36]))).toEqual([polygon]);
+                const renderer = layer._layerRenderer;
+                expect(renderer._getGraphicAtLatLng(L.latLng(-30, 35))).toBe(line);
+                expect(renderer._getGraphicAtLatLng(L.latLng(-15, 35))).toBe(polygon);
+                expect(renderer._getGraphicAtLatLng(L.latLng(-25, 35))).toBeNull();
+                expect(layer.defaultPathStyle.weight).toEqual(1);
+                done();
+            }, 1000);
+        });
+
+        it("cluster", (done) => {
+            const points = coors.map((coor, i) => graphic({
+                latLng: L.latLng(coor[0], coor[1]),
+                attributes: {value: i + 1}
+            }));
+            const far = graphic({latLng: L.latLng(30, -60), attributes: {value: 10}});
+            const onClick = jasmine.createSpy('onClick');
+            layer = graphicLayer(points.concat([far]), {
+                render: "canvas",
+                cluster: {radius: 60, field: 'value'},
+                onClick: onClick
+            }).addTo(map);
+            setTimeout(() => {
+                const rendered = layer._getRenderGraphics();
+                expect(rendered.length).toEqual(2);
+                expect(rendered).toContain(far);
+                expect(layer.isCluster(far)).toBe(false);
+                const cluster = rendered.filter((item) => layer.isCluster(item))[0];
+                expect(cluster.getAttributes()).toEqual({count: 5, value: 15});
+                expect(layer.getClusterGraphics(cluster).length).toEqual(5);
+                expect(layer._layerRenderer._getGraphicAtLatLng(cluster.getLatLng())).toBe(cluster);
+                spyOn(map, 'setView');
+                layer._clickGraphic(cluster, {});
+                expect(onClick).toHaveBeenCalled();
+                expect(map.setView.calls.mostRecent().args[0]).toBe(cluster.getLatLng());
+                expect(map.setView.calls.mostRecent().args[1]).toBeGreaterThan(1);
+                layer.setCluster(false);
+                expect(layer._getRenderGraphics().length).toEqual(6);
+                done();
+            }, 1000);
+        });
+
         //特定条件下，期望的函数被调用、
         it("_moveEnd_expect_ICL_1042",()=>{
             spyOn(Detector, 'supportWebGL2').and.callFake(() => {
@@ -117,4 +117,34 @@ describe('leaflet_RangeThemeLayer', () => {
         expect(result.fontSize).toBe(12);
         expect(result.color).toBe("#FDE2CA");
     });
-});
\ No newline at end of file
+
+    it('cluster', () => {
+        var themeLayer = rangeThemeLayer("ThemeLayer", {cluster: {radius: 60, field: 'POP'}});
+        themeLayer.themeField = "POP";
+        themeLayer.styleGroups = [{start: 0, end: 100, style: {color: "#FDE2CA"}}];
+        themeLayer.addTo(map);
+        var coordinates = [[117, 40], [117.01, 40], [117, 40.01], [117.01, 40.01], [117.005, 40.005], [110, 30]];
+        themeLayer.addFeatures({
+            type: 'FeatureCollection',
+            features: coordinates.map((coordinate, i) => {
+                return {type: 'Feature', geometry: {type: 'Point', coordinates: coordinate}, properties: {POP: i + 1}};
+            })
+        });
+        var features = themeLayer._getClusteredFeatures();
+        expect(features.length).toBe(2);
+        var cluster = features.filter((feature) => themeLayer.isCluster(feature))[0];
+        expect(cluster.attributes).toEqual({count: 5, value: 15});
+        expect(cluster.style.labelPosition).toBe('inside');
+        expect(themeLayer.getFeatureById(cluster.id)).toBe(cluster);
+        expect(themeLayer.getClusterFeatures(cluster).length).toBe(5);
+        expect(themeLayer.getShapesByFeatureID(cluster.id).length).toBe(1);
+        spyOn(map, 'setView');
+        themeLayer._handleClusterClick({target: {refDataID: cluster.id}});
+        expect(map.setView).toHaveBeenCalled();
+        expect(map.setView.calls.mostRecent().args[1]).toBeGreaterThan(7);
+        themeLayer.setCluster(false);
+        expect(themeLayer.isCluster(themeLayer.getFeatureById(cluster.id))).toBeFalsy();
+        expect(themeLayer.renderer.getAllShapes().length).toBe(5);
+        map.removeLayer(themeLayer);
+    });
+});
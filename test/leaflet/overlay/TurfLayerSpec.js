@@ -1,8 +1,42 @@
 import { TurfLayer } from '../../../src/leaflet/overlay/TurfLayer';
+import { TurfWorker } from '../../../src/common/util/TurfWorker';
 import * as turf from '@turf/turf';
 describe('leaflet_Turf', () => {
     var opt_options;
     var serviceResult;
+    //在当前线程中模拟 worker，消息经过克隆后异步传递
+    class FakeWorker {
+        constructor(url) {
+            this.url = url;
+            this.terminated = false;
+            this.scope = {
+                postMessage: (data) => {
+                    setTimeout(() => {
+                        !this.terminated && this.onmessage && this.onmessage({data: JSON.parse(JSON.stringify(data))});
+                    }, 0);
+                }
+            };
+            TurfWorker.workerScope(this.scope, turf);
+        }
+
+        postMessage(data) {
+            setTimeout(() => {
+                !this.terminated && this.scope.onmessage({data: JSON.parse(JSON.stringify(data))});
+            }, 0);
+        }
+
+        terminate() {
+            this.terminated = true;
+        }
+    }
+    var originalWorker;
+    beforeAll(() => {
+        originalWorker = window.Worker;
+        window.Worker = global.Worker = FakeWorker;
+    });
+    afterAll(() => {
+        window.Worker = global.Worker = originalWorker;
+    });
 
     it('parse,parseOption,rocess_Measurement.along,', (done) => {
         opt_options = {
@@ -33,4 +67,45 @@ describe('leaflet_Turf', () => {
         expect(serviceResult.geometry).not.toBeNull();
         done();
     });
-});
\ No newline at end of file
+
+    it('process_useWorker, cancel', (done) => {
+        var turfLayer = new TurfLayer({useWorker: true, workerUrl: 'TurfWorker.js'});
+        var points = turf.featureCollection([turf.point([100, 30]), turf.point([101, 30]), turf.point([102, 30])]);
+        var progress = [];
+        var cancelled = [];
+        turfLayer.on('processprogress', (e) => progress.push(e.progress));
+        turfLayer.on('processcancelled', (e) => cancelled.push(e.taskId));
+        var cancelTaskId = turfLayer.process('Transformation.buffer', {geojson: points, radius: 10, units: 'kilometers'}, () => {
+            fail('cancelled task should not complete');
+        });
+        turfLayer.on('processsucceeded', (e) => {
+            expect(e.processType).toBe('Transformation.buffer');
+            expect(e.taskId).toBe(taskId);
+            expect(serviceResult).toBe(e.result);
+            expect(serviceResult.features.length).toBe(3);
+            expect(turfLayer.getLayers().length).toBe(3);
+            expect(progress[progress.length - 1]).toBe(1);
+            expect(cancelled).toEqual([cancelTaskId]);
+            expect(turfLayer.isProcessing()).toBeFalsy();
+            done();
+        });
+        var taskId = turfLayer.process('Transformation.buffer', {geojson: points, radius: 10, units: 'kilometers'}, (result) => {
+            serviceResult = result;
+        });
+        expect(taskId).toBe(cancelTaskId + 1);
+        expect(turfLayer.isProcessing()).toBeTruthy();
+        turfLayer.cancel(cancelTaskId);
+    });
+
+    it('process_useWorker_failed', (done) => {
+        var turfLayer = new TurfLayer({workerUrl: 'TurfWorker.js'});
+        turfLayer.on('processfailed', (e) => {
+            expect(e.processType).toBe('Measurement.along');
+            expect(e.error).toBeDefined();
+            done();
+        });
+        turfLayer.process('Measurement.along', {line: null, distance: 10}, () => {
+            fail('failed task should not complete');
+        }, false);
+    });
+});
@@ -122,6 +122,16 @@ describe('leaflet_dataflow_DataFlowView', () => {
         }, 500)
     });
 
+    it('refresh', () => {
+        var input = dataView.getContainer().querySelector('input');
+        input.value = urlDataFlow;
+        input.oninput();
+        dataView.refresh();
+        var newInput = dataView.getContainer().querySelector('input');
+        expect(newInput).not.toBe(input);
+        expect(newInput.value).toBe(urlDataFlow);
+    });
+
     it('cancelSubscribe', (done) => {
         dataView.viewModel.cancelSubscribe();
         setTimeout(() => {
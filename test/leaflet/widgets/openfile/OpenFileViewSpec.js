@@ -1,4 +1,5 @@
 import { openFile } from '../../../../src/leaflet/widgets/openfile/OpenFileView'
+import { Lang } from '../../../../src/common/lang/Lang';
 var map, url = GlobeParameter.WorldURL, testDiv;
 var dataServiceURL = GlobeParameter.wokerURL;
 describe('leaflet_openfile_OpenFileView', () => {
@@ -178,5 +179,23 @@ describe('leaflet_openfile_OpenFileView', () => {
         };
         openFile.viewModel.readFile(fileEventObject);
     })
+    it('refresh on localechanged', () => {
+        var code = Lang.getCode();
+        var otherCode = code === 'zh-CN' ? 'en-US' : 'zh-CN';
+        var openFile = L.supermap.widgets.openFile().addTo(map);
+        var container = openFile.getContainer();
+        var listenerCount = openFile._viewListeners.length;
+        expect(listenerCount).toBe(5);
+        Lang.setCode(otherCode);
+        expect(openFile.getContainer()).not.toBe(container);
+        expect(openFile.getContainer().parentNode).not.toBeNull();
+        expect(openFile.getContainer().textContent).toContain(Lang[otherCode]['text_chooseFile']);
+        expect(openFile._viewListeners.length).toBe(listenerCount);
+        openFile.remove();
+        expect(openFile._viewListeners.length).toBe(0);
+        container = openFile.getContainer();
+        Lang.setCode(code);
+        expect(openFile.getContainer()).toBe(container);
+    });
 
 })
\ No newline at end of file
@@ -4,6 +4,7 @@ import { QueryBySQLService } from '../../../../src/common/iServer/QueryBySQLServ
 import { QueryBySQLParameters } from '../../../../src/common/iServer/QueryBySQLParameters';
 import { QueryOption } from '../../../../src/common/REST';
 import { FilterParameter } from '../../../../src/common/iServer/FilterParameter';
+import { Lang } from '../../../../src/common/lang/Lang';
 
 var map, url = GlobeParameter.WorldURL, testDiv;
 var poiSearch;
@@ -199,4 +200,18 @@ describe('leaflet_search_SearchView', () => {
         }, 2000);
 
     })
+
+    it('refresh on localechanged', () => {
+        var code = Lang.getCode();
+        poiSearch.addSearchLayer([L.supermap.widgets.geoJSONLayerWithName('refreshLayer', L.geoJSON({type: 'FeatureCollection', features: []}))]);
+        var container = poiSearch.rootContainer;
+        var layerItemCount = document.getElementsByClassName('widget-search__layers__itme').length;
+        expect(layerItemCount).toBeGreaterThan(0);
+        Lang.setCode(code === 'zh-CN' ? 'en-US' : 'zh-CN');
+        expect(poiSearch.rootContainer).not.toBe(container);
+        expect(container.parentNode).toBeNull();
+        expect(poiSearch.getContainer()).toBe(poiSearch.rootContainer);
+        expect(document.getElementsByClassName('widget-search__layers__itme').length).toBe(layerItemCount);
+        Lang.setCode(code);
+    });
 })
\ No newline at end of file
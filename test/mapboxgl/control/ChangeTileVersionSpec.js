@@ -0,0 +1,89 @@
+import {ChangeTileVersion} from '../../../src/mapboxgl/control/ChangeTileVersion';
+import {TileSuperMapRest} from '../../../src/mapboxgl/mapping/TileSuperMapRest';
+import {FetchRequest} from '../../../src/common/util/FetchRequest';
+
+describe('mapboxgl_ChangeTileVersion', () => {
+    var url = GlobeParameter.ChinaURL;
+    var tileVersions = [
+        {
+            desc: "V1",
+            name: "63477488-e91e-41a1-b029-c1c7b476a64d",
+            parent: null,
+            timestamp: 1503472107342
+        }, {
+            desc: "V2",
+            name: "38c8028a-8f13-43a2-9119-15acdc99f34f",
+            parent: "63477488-e91e-41a1-b029-c1c7b476a64d",
+            timestamp: 1503472306420
+        }];
+    var baseLayer;
+    beforeEach(() => {
+        baseLayer = new TileSuperMapRest({url: url});
+        spyOn(FetchRequest, 'get').and.callFake((testUrl) => {
+            expect(testUrl).toContain(url + "/tilesets");
+            return Promise.resolve(new Response(JSON.stringify([{tileVersions: tileVersions}])));
+        });
+    });
+
+    it("initialize", () => {
+        var result = new ChangeTileVersion({
+            layer: baseLayer,
+            orientation: "horizontal"
+        });
+        expect(result).not.toBeNull();
+        expect(result.options.collapsed).toBeTruthy();
+        expect(result.options.switch).toBeTruthy();
+        expect(result.options.orientation).toBe("horizontal");
+        expect(result.options.title).toBe("switch tile version");
+        expect(result.options.tooltip).toBe("top");
+    });
+
+    it("onAdd, setLayer", (done) => {
+        var changeTileVersion = new ChangeTileVersion({orientation: "vertical", collapsed: false});
+        var container = changeTileVersion.onAdd({});
+        expect(container.className).toContain("mapboxgl-ctrl-ctv-vertical");
+        expect(container.className).toContain("mapboxgl-ctrl-ctv-expanded");
+        expect(changeTileVersion.options.tooltip).toBe("right");
+        expect(changeTileVersion.firstLoad).toBeTruthy();
+        changeTileVersion.setLayer(baseLayer);
+        baseLayer.on("tilesetsinfoloaded", () => {
+            expect(FetchRequest.get).toHaveBeenCalled();
+            expect(baseLayer.tileSets.tileVersions).toEqual(tileVersions);
+            expect(changeTileVersion.tileVersions).toEqual(tileVersions);
+            expect(changeTileVersion.max).toBe(1);
+            changeTileVersion.nextTilesVersion();
+            expect(changeTileVersion.firstLoad).toBeFalsy();
+            expect(baseLayer.tileSetsIndex).toBe(0);
+            expect(changeTileVersion.tooltip.innerHTML).toBe("V1");
+            changeTileVersion.nextTilesVersion();
+            expect(changeTileVersion.getValue()).toBe('1');
+            expect(baseLayer.tileSetsIndex).toBe(1);
+            expect(changeTileVersion.tooltip.innerHTML).toBe("V2");
+            changeTileVersion.lastTilesVersion();
+            expect(changeTileVersion.getVersion()).toBe(tileVersions[0].name);
+            expect(baseLayer.tileSetsIndex).toBe(0);
+            changeTileVersion.onRemove();
+            expect(changeTileVersion.options.layer).toBeNull();
+            done();
+        });
+    });
+
+    it("tilesVersion, getVersion", () => {
+        var changeTileVersion = new ChangeTileVersion({layer: baseLayer});
+        changeTileVersion.onAdd({});
+        baseLayer.tileSets = {tileVersions: tileVersions};
+        changeTileVersion.update(tileVersions);
+        expect(changeTileVersion.getValue()).toBe('0');
+        expect(changeTileVersion.getVersion()).toBe(tileVersions[0].name);
+        changeTileVersion.tilesVersion(tileVersions[1].name);
+        expect(baseLayer.tileSetsIndex).toBe(1);
+        expect(baseLayer.getTileUrl()).toContain("tileversion=" + tileVersions[1].name);
+        expect(changeTileVersion.tooltip.innerHTML).toBe("V2");
+    });
+
+    it("removeLayer", () => {
+        var changeTileVersion = new ChangeTileVersion({orientation: "horizontal"});
+        changeTileVersion.removeLayer();
+        expect(changeTileVersion.options.layer).toBeNull();
+    });
+});
@@ -0,0 +1,26 @@
+import mapboxgl from 'mapbox-gl';
+import {FeatureExport} from '../../../src/mapboxgl/core/FeatureExport';
+import {Graphic} from '../../../src/mapboxgl/overlay/graphic/Graphic';
+
+describe('mapboxgl_FeatureExport', () => {
+    it('toGeoJSON_graphics', () => {
+        var point = new Graphic(new mapboxgl.LngLat(116.4, 39.9), null, {name: 'point'});
+        point.setId(1);
+        var line = new Graphic({type: 'LineString', coordinates: [[116.3, 39.9], [116.4, 39.91]]}, null, {name: 'line'});
+        var features = new FeatureExport().toGeoJSON({graphics: [point, line]}).features;
+        expect(features.length).toBe(2);
+        expect(features[0]).toEqual({type: 'Feature', id: 1, geometry: {type: 'Point', coordinates: [116.4, 39.9]}, properties: {name: 'point'}});
+        expect(features[1].geometry.type).toBe('LineString');
+        expect(features[1].properties).toEqual({name: 'line'});
+    });
+
+    it('toGeoJSON_turfLayer', () => {
+        var turfLayer = {
+            getFeatures: function () {
+                return [{type: 'Feature', geometry: {type: 'Point', coordinates: [1, 2]}, properties: {}}];
+            }
+        };
+        var kml = new FeatureExport().write(turfLayer, SuperMap.ExportFormat.KML);
+        expect(kml).toContain('<Point><coordinates>1,2</coordinates></Point>');
+    });
+});
@@ -0,0 +1,86 @@
+import {ImageSuperMapRest} from '../../../src/mapboxgl/mapping/ImageSuperMapRest';
+
+describe('mapboxgl_ImageSuperMapRest', () => {
+    var url = 'http://localhost:8090/iserver/services/map-china400/rest/maps/China';
+    var map, listeners;
+
+    //模拟地图，记录图层、图层源以及事件
+    beforeEach(() => {
+        var sources = {};
+        var layers = [{id: 'background'}];
+        listeners = {};
+        map = {
+            getBounds: () => ({
+                getWest: () => -90,
+                getEast: () => 90,
+                getSouth: () => 0,
+                getNorth: () => 45
+            }),
+            getContainer: () => ({clientWidth: 800, clientHeight: 400}),
+            getStyle: () => ({layers: layers}),
+            getLayer: (id) => layers.filter((layer) => layer.id === id)[0],
+            getSource: (id) => sources[id],
+            getLayoutProperty: (id, name) => map.getLayer(id).layout[name],
+            getPaintProperty: (id, name) => map.getLayer(id).paint[name],
+            addSource: (id, source) => {
+                sources[id] = source;
+            },
+            removeSource: (id) => {
+                delete sources[id];
+            },
+            addLayer: (layer, before) => {
+                var index = layers.indexOf(map.getLayer(before));
+                layers.splice(index > -1 ? index : layers.length, 0, layer);
+            },
+            removeLayer: (id) => {
+                layers.splice(layers.indexOf(map.getLayer(id)), 1);
+            },
+            on: (type, listener) => {
+                listeners[type] = listener;
+            },
+            off: (type) => {
+                delete listeners[type];
+            }
+        };
+    });
+
+    it('constructor, getImageRequest', () => {
+        var imageSource = new ImageSuperMapRest({url: url, layersID: '[0:0]'});
+        expect(imageSource.options.prjCoordSys).toEqual({epsgCode: 3857});
+        imageSource.map = map;
+        var request = imageSource.getImageRequest();
+        expect(request.coordinates).toEqual([[-90, 45], [90, 45], [90, 0], [-90, 0]]);
+        expect(request.url.indexOf(url + '/image.png?redirect=false&transparent=true&cacheEnabled=true')).toBe(0);
+        expect(request.url).toContain('layersID=%5B0:0%5D');
+        expect(request.url).toContain('width=800&height=400');
+        var viewBounds = JSON.parse(decodeURI(request.url.match(/viewBounds=([^&]*)/)[1]));
+        expect(viewBounds.leftBottom.x).toBeCloseTo(-10018754.17, 2);
+        expect(viewBounds.leftBottom.y).toBeCloseTo(0, 6);
+        expect(viewBounds.rightTop.y).toBeCloseTo(5621521.49, 0);
+    });
+
+    it('addTo, update, remove', () => {
+        var imageSource = new ImageSuperMapRest({url: url, opacity: 0.8}).addTo(map, 'china', 'background');
+        expect(map.getStyle().layers.map((layer) => layer.id)).toEqual(['china', 'background']);
+        expect(map.getSource('china-source').type).toBe('image');
+        expect(map.getLayer('china').paint['raster-opacity']).toBe(0.8);
+        expect(listeners.moveend).toBeDefined();
+        //替换图片后图层的顺序、可见性和不透明度不变
+        map.getLayer('china').layout.visibility = 'none';
+        map.getLayer('china').paint['raster-opacity'] = 0.5;
+        var imageUrl;
+        imageSource.on('imageloaded', (e) => {
+            imageUrl = e.url;
+        });
+        imageSource._setImage('http://localhost/image.png', [[0, 1], [1, 1], [1, 0], [0, 0]]);
+        expect(imageUrl).toBe('http://localhost/image.png');
+        expect(map.getStyle().layers.map((layer) => layer.id)).toEqual(['china', 'background']);
+        expect(map.getSource('china-source').url).toBe('http://localhost/image.png');
+        expect(map.getLayer('china').layout.visibility).toBe('none');
+        expect(map.getLayer('china').paint['raster-opacity']).toBe(0.5);
+        imageSource.remove();
+        expect(map.getLayer('china')).toBeUndefined();
+        expect(map.getSource('china-source')).toBeUndefined();
+        expect(listeners.moveend).toBeUndefined();
+    });
+});
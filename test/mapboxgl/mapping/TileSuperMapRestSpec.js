@@ -0,0 +1,118 @@
+import mapboxgl from 'mapbox-gl';
+import {TileSuperMapRest} from '../../../src/mapboxgl/mapping/TileSuperMapRest';
+import {SecurityManager} from '../../../src/common/security/SecurityManager';
+
+describe('mapboxgl_TileSuperMapRest', () => {
+    var url = 'http://localhost:8090/iserver/services/map-china400/rest/maps/China';
+    var tileVersions = [{desc: "V1", name: "63477488-e91e-41a1-b029-c1c7b476a64d"}, {desc: "V2", name: "38c8028a-8f13-43a2-9119-15acdc99f34f"}];
+
+    //模拟地图中的图层源和图层
+    function createMap() {
+        var sources = {};
+        var layers = [];
+        return {
+            addSource: function (id, source) {
+                sources[id] = {tiles: source.tiles};
+            },
+            getSource: function (id) {
+                return sources[id];
+            },
+            removeSource: function (id) {
+                delete sources[id];
+            },
+            getStyle: function () {
+                return {layers: layers.slice()};
+            },
+            addLayer: function (layer, beforeId) {
+                var index = layers.map((item) => item.id).indexOf(beforeId);
+                layers.splice(index > -1 ? index : layers.length, 0, layer);
+            },
+            removeLayer: function (id) {
+                layers = layers.filter((item) => item.id !== id);
+            }
+        };
+    }
+
+    it('constructor, getSource', () => {
+        var tileSource = new TileSuperMapRest({url: url});
+        expect(tileSource instanceof mapboxgl.Evented).toBeTruthy();
+        expect(tileSource.options.transparent).toBeTruthy();
+        expect(tileSource.options.cacheEnabled).toBeTruthy();
+        var source = tileSource.getSource();
+        expect(source.type).toBe('raster');
+        expect(source.tileSize).toBe(256);
+        expect(source.maxzoom).toBe(22);
+        expect(source.attribution).toContain('SuperMap iServer');
+        expect(source.bounds).toBeUndefined();
+        expect(source.tiles).toEqual([url + '/zxyTileImage.png?redirect=false&transparent=true&cacheEnabled=true&_cache=true&overlapDisplayed=false&z={z}&x={x}&y={y}&width=256&height=256']);
+    });
+
+    it('getTileUrl_options', () => {
+        var tileSource = new TileSuperMapRest({
+            url: url,
+            layersID: '[0:0,1]',
+            redirect: true,
+            transparent: false,
+            tileversion: 'v1',
+            prjCoordSys: {epsgCode: 3857},
+            format: 'jpg',
+            tileSize: 512
+        });
+        var tileUrl = tileSource.getTileUrl();
+        expect(tileUrl.indexOf(url + '/zxyTileImage.jpg?redirect=true&transparent=false')).toBe(0);
+        expect(tileUrl).toContain('prjCoordSys=%7B%22epsgCode%22:3857%7D');
+        expect(tileUrl).toContain('layersID=%5B0:0,1%5D');
+        expect(tileUrl).toContain('tileversion=v1');
+        expect(tileUrl).toContain('&width=512&height=512');
+        //不使用缓存时不设置版本
+        tileUrl = new TileSuperMapRest({url: url, cacheEnabled: false, tileversion: 'v1'}).getTileUrl();
+        expect(tileUrl).toContain('cacheEnabled=false');
+        expect(tileUrl).not.toContain('tileversion');
+        expect(tileUrl).toContain('&_t=');
+    });
+
+    it('getTileUrl_credential, tileProxy', () => {
+        SecurityManager.registerToken(url, 'token123');
+        var tileUrl = new TileSuperMapRest({url: url}).getTileUrl();
+        expect(tileUrl).toContain('&token=token123&z={z}');
+        SecurityManager.destroyToken(url);
+        tileUrl = new TileSuperMapRest({url: url, tileProxy: 'http://localhost/proxy?url='}).getTileUrl();
+        expect(tileUrl.indexOf('http://localhost/proxy?url=' + encodeURIComponent(url + '/zxyTileImage.png?'))).toBe(0);
+        expect(tileUrl).toContain('z%3D{z}%26x%3D{x}%26y%3D{y}');
+    });
+
+    it('addTo, changeTilesVersion', () => {
+        var map = createMap();
+        var tileSource = new TileSuperMapRest({url: url}).addTo(map, 'china');
+        map.addLayer({id: 'china', type: 'raster', source: 'china'});
+        map.addLayer({id: 'china-label', type: 'raster', source: 'china'});
+        map.addLayer({id: 'other', type: 'raster', source: 'other'});
+        expect(map.getSource('china').tiles[0]).not.toContain('tileversion');
+        var loadedVersions, changedVersion;
+        tileSource.on('tilesetsinfoloaded', (e) => {
+            loadedVersions = e.value.tileVersions;
+        });
+        tileSource.on('tileversionschanged', (e) => {
+            changedVersion = e.value.tileVersion;
+        });
+        tileSource.setTileSetsInfo([{tileVersions: tileVersions}]);
+        expect(loadedVersions).toEqual(tileVersions);
+        expect(changedVersion).toBeUndefined();
+        tileSource.nextTilesVersion();
+        expect(changedVersion).toEqual(tileVersions[0]);
+        expect(tileSource.tileSetsIndex).toBe(0);
+        expect(map.getSource('china').tiles[0]).toContain('tileversion=' + tileVersions[0].name);
+        //重新添加的图层保持原来的顺序
+        expect(map.getStyle().layers.map((layer) => layer.id)).toEqual(['china', 'china-label', 'other']);
+        tileSource.nextTilesVersion();
+        expect(changedVersion).toEqual(tileVersions[1]);
+        expect(map.getSource('china').tiles[0]).toContain('tileversion=' + tileVersions[1].name);
+        //超出版本范围时不切换
+        tileSource.nextTilesVersion();
+        expect(tileSource.tileSetsIndex).toBe(1);
+        tileSource.lastTilesVersion();
+        expect(tileSource.tileSetsIndex).toBe(0);
+        expect(map.getSource('china').tiles[0]).toContain('tileversion=' + tileVersions[0].name);
+        expect(map.getStyle().layers.map((layer) => layer.id)).toEqual(['china', 'china-label', 'other']);
+    });
+});
@@ -0,0 +1,180 @@
+import {VectorTileSuperMapRest} from '../../../src/mapboxgl/mapping/VectorTileSuperMapRest';
+import {FetchRequest} from '../../../src/common/util/FetchRequest';
+import {SecurityManager} from '../../../src/common/security/SecurityManager';
+
+describe('mapboxgl_VectorTileSuperMapRest', () => {
+    var url = 'http://localhost:8090/iserver/services/map-china400/rest/maps/China';
+    var layersInfo = [{
+        name: "China",
+        subLayers: {
+            layers: [{
+                name: "Capital_pt@China#1",
+                ugcLayerType: "THEME",
+                visible: true,
+                //2 级的比例尺
+                minScale: 1.3521308572821242E-8,
+                maxScale: 0,
+                datasetInfo: {type: "POINT"},
+                theme: {
+                    type: "LABEL",
+                    labelExpression: "China.NAME",
+                    uniformStyle: {
+                        fontName: "微软雅黑",
+                        fontHeight: 4.2333,
+                        align: "MIDDLELEFT",
+                        foreColor: {red: 71, green: 71, blue: 71, alpha: 255},
+                        outline: true,
+                        outlineWidth: 1,
+                        backColor: {red: 255, green: 255, blue: 255, alpha: 255}
+                    }
+                }
+            }, {
+                name: "Boundary_ln@China#1",
+                ugcLayerType: "THEME",
+                visible: true,
+                minScale: 0,
+                maxScale: 0,
+                datasetInfo: {type: "LINE"},
+                theme: {
+                    type: "UNIQUE",
+                    uniqueExpression: "GB",
+                    defaultStyle: {lineColor: {red: 153, green: 108, blue: 52, alpha: 255}, lineWidth: 0.5},
+                    items: [{
+                        unique: "1",
+                        visible: true,
+                        style: {lineColor: {red: 255, green: 0, blue: 0, alpha: 255}, lineWidth: 0.5}
+                    }, {
+                        unique: "2",
+                        visible: true,
+                        style: {lineColor: {red: 153, green: 108, blue: 52, alpha: 255}, lineWidth: 0.5}
+                    }]
+                }
+            }, {
+                name: "Group",
+                subLayers: {
+                    layers: [{
+                        name: "Province_pg@China",
+                        ugcLayerType: "VECTOR",
+                        visible: false,
+                        minScale: 0,
+                        maxScale: 0,
+                        datasetInfo: {type: "REGION"},
+                        style: {
+                            fillForeColor: {red: 208, green: 255, blue: 240, alpha: 255},
+                            fillOpaqueRate: 50,
+                            lineColor: {red: 0, green: 128, blue: 0, alpha: 255},
+                            lineWidth: 0.1,
+                            lineSymbolID: 2
+                        }
+                    }, {
+                        name: "Image@China",
+                        ugcLayerType: "VECTOR",
+                        datasetInfo: {type: "IMAGE"}
+                    }]
+                }
+            }]
+        }
+    }];
+    var cartoCSS = '#Province_pg@China{polygon-fill:rgba(255,0,0,1);line-color:rgba(0,0,255,1);line-width:2;}' +
+        '#Capital_pt@China\\#1{text-size:12;text-fill:rgba(0,0,0,1);}';
+
+    function mockRequests(vectorStyles) {
+        spyOn(FetchRequest, 'get').and.callFake((testUrl) => {
+            if (testUrl.indexOf('/layers.json') > -1) {
+                return Promise.resolve(new Response(JSON.stringify(layersInfo)));
+            }
+            expect(testUrl).toBe(url + '/tileFeature/vectorstyles.json');
+            return Promise.resolve(new Response(JSON.stringify(vectorStyles)));
+        });
+    }
+
+    function getLayer(style, id) {
+        return style.layers.filter((layer) => layer.id === 'supermap-vector-tiles-' + id)[0];
+    }
+
+    it('getSource', () => {
+        var vectorTile = new VectorTileSuperMapRest({url: url + '/'});
+        var source = vectorTile.getSource();
+        expect(source.type).toBe('vector');
+        expect(source.tiles).toEqual([url + '/tileFeature.mvt?returnAttributes=true&width=512&height=512&z={z}&x={x}&y={y}']);
+        expect(vectorTile.options.glyphs).toBe(url + '/tileFeature/sdffonts/{fontstack}/{range}.pbf');
+        SecurityManager.registerToken(url, 'token123');
+        vectorTile = new VectorTileSuperMapRest({url: url});
+        expect(vectorTile.getTileUrl()).toContain('&token=token123&z={z}');
+        expect(vectorTile.options.glyphs).toBe(url + '/tileFeature/sdffonts/{fontstack}/{range}.pbf?token=token123');
+        SecurityManager.destroyToken(url);
+    });
+
+    it('getStyle_layersInfo', (done) => {
+        mockRequests({});
+        var vectorTile = new VectorTileSuperMapRest({url: url, serverCartoCSSStyle: false});
+        var loaded;
+        vectorTile.on('styleloaded', (e) => {
+            loaded = e.style;
+        });
+        vectorTile.getStyle().then((style) => {
+            expect(FetchRequest.get.calls.count()).toBe(1);
+            expect(loaded).toBe(style);
+            expect(style.version).toBe(8);
+            expect(style.name).toBe('China');
+            expect(style.sources['supermap-vector-tiles'].type).toBe('vector');
+            expect(style.layers.map((layer) => layer.id)).toEqual([
+                'supermap-vector-tiles-Province_pg@China-fill',
+                'supermap-vector-tiles-Province_pg@China-line',
+                'supermap-vector-tiles-Boundary_ln@China#1-line',
+                'supermap-vector-tiles-Capital_pt@China#1-symbol'
+            ]);
+            var fill = getLayer(style, 'Province_pg@China-fill');
+            expect(fill['source-layer']).toBe('Province_pg@China');
+            expect(fill.layout.visibility).toBe('none');
+            expect(fill.paint).toEqual({'fill-color': 'rgba(208,255,240,1)', 'fill-opacity': 0.5});
+            var line = getLayer(style, 'Province_pg@China-line');
+            expect(line.paint['line-width']).toBe(1);
+            expect(line.paint['line-dasharray']).toEqual([3.7, 3.7]);
+            var boundary = getLayer(style, 'Boundary_ln@China#1-line');
+            expect(boundary.paint['line-color']).toEqual(['match', ['to-string', ['get', 'GB']], '1', 'rgba(255,0,0,1)', '2', 'rgba(153,108,52,1)', 'rgba(153,108,52,1)']);
+            expect(boundary.paint['line-width']).toBeCloseTo(1.89, 2);
+            var label = getLayer(style, 'Capital_pt@China#1-symbol');
+            expect(label.minzoom).toBe(2);
+            expect(label.maxzoom).toBeUndefined();
+            expect(label.layout['text-field']).toBe('{NAME}');
+            expect(label.layout['text-font']).toEqual(['微软雅黑']);
+            expect(label.layout['text-size']).toBe(16);
+            expect(label.layout['text-anchor']).toBe('left');
+            expect(label.paint['text-halo-color']).toBe('rgba(255,255,255,1)');
+            done();
+        });
+    });
+
+    it('getStyle_cartoCSS', (done) => {
+        mockRequests({type: 'cartoCSS', style: cartoCSS});
+        var vectorTile = new VectorTileSuperMapRest({
+            url: url,
+            cartoCSS: '#Province_pg@China{polygon-fill:rgba(0,0,255,1);}'
+        });
+        vectorTile.getStyle().then((style) => {
+            //客户端样式覆盖服务端样式，没有设置线样式时不生成线图层
+            expect(getLayer(style, 'Province_pg@China-fill').paint['fill-color']).toBe('rgba(0, 0, 255, 1)');
+            expect(getLayer(style, 'Province_pg@China-line')).toBeUndefined();
+            //服务端样式中没有的图层使用图层信息中的风格
+            expect(getLayer(style, 'Boundary_ln@China#1-line').paint['line-color'][0]).toBe('match');
+            var label = getLayer(style, 'Capital_pt@China#1-symbol');
+            expect(label.layout['text-size']).toBe(12);
+            expect(label.layout['text-field']).toBe('{NAME}');
+            expect(label.paint['text-color']).toBe('rgba(0, 0, 0, 1)');
+            return vectorTile.getStyle();
+        }).then((style) => {
+            expect(style).toBe(vectorTile.style);
+            expect(FetchRequest.get.calls.count()).toBe(2);
+            done();
+        });
+    });
+
+    it('getStyle_failed', (done) => {
+        spyOn(FetchRequest, 'get').and.callFake(() => Promise.resolve(new Response('[]')));
+        new VectorTileSuperMapRest({url: url}).getStyle().catch((error) => {
+            expect(error.message).toBe('layers info is empty');
+            done();
+        });
+    });
+});
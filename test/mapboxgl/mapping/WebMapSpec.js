@@ -802,4 +802,113 @@ describe('mapboxgl_WebMap', () => {
             done();
         }, 1000)
     })
+    it('initialize_BAIDU', (done) => {
+        spyOn(FetchRequest, 'get').and.callFake((url) => {
+            if (url.indexOf("map.json") > -1) {
+                return Promise.resolve(new Response(datavizWebMap_BAIDU));
+            }
+            return Promise.resolve();
+        });
+        var datavizWebmap = new WebMap(id, {
+            server: server
+        });
+        datavizWebmap.on('notsupportbaidumap', (e) => {
+            expect(e.layerInfo.layerType).toBe('BAIDU');
+            expect(e.map).not.toBeNull();
+            datavizWebmap.map = null;
+            datavizWebmap = null;
+            done();
+        });
+    });
+
+    it('_addLayers_unsupported', (done) => {
+        var mapJson = JSON.parse(datavizWebMap_TIANDITU_VEC1);
+        mapJson.layers = [{layerType: 'UNKNOWN', name: 'unknown'}, {layerType: 'TILE', name: 'tile', url: 'http://localhost:8090/iserver/services/map-china400/rest/maps/China', visible: false, opacity: 0.5}];
+        spyOn(FetchRequest, 'get').and.callFake((url) => {
+            if (url.indexOf("map.json") > -1) {
+                return Promise.resolve(new Response(JSON.stringify(mapJson)));
+            }
+            return Promise.resolve();
+        });
+        var datavizWebmap = new WebMap(id, {
+            server: server
+        });
+        datavizWebmap.on('addlayerssucceeded', (e) => {
+            expect(e.layers.length).toBe(2);
+            var tileLayer = e.map.getLayer('tile-layers-tile');
+            expect(e.map.getLayoutProperty(tileLayer.id, 'visibility')).toBe('none');
+            expect(e.map.getPaintProperty(tileLayer.id, 'raster-opacity')).toBe(0.5);
+            datavizWebmap.map = null;
+            datavizWebmap = null;
+            done();
+        });
+    });
+
+    it('_parseGeoJsonData2Feature_3857', () => {
+        var webMap = Object.create(WebMap.prototype);
+        var features = webMap._parseGeoJsonData2Feature({
+            allDatas: {
+                features: [{
+                    type: 'Feature',
+                    geometry: {type: 'Point', coordinates: [20037508.3427892, 0]},
+                    properties: {}
+                }, {
+                    type: 'Feature',
+                    geometry: {type: 'LineString', coordinates: [[0, 0], [-20037508.3427892, 0]]},
+                    properties: {}
+                }]
+            },
+            fileCode: 'EPSG:3857'
+        });
+        expect(features[0].geometry.coordinates[0]).toBeCloseTo(180, 6);
+        expect(features[0].properties.lon).toBeCloseTo(180, 6);
+        expect(features[1].geometry.coordinates[1][0]).toBeCloseTo(-180, 6);
+        var lngLatFeatures = webMap._parseGeoJsonData2Feature({
+            allDatas: {
+                features: [{type: 'Feature', geometry: {type: 'Point', coordinates: [116, 39]}, properties: {}}]
+            },
+            fileCode: 'EPSG:4326'
+        });
+        expect(lngLatFeatures[0].geometry.coordinates).toEqual([116, 39]);
+    });
+
+    it('_addLabelLayer_fontFamily', () => {
+        var webMap = Object.create(WebMap.prototype);
+        webMap.map = {addLayer: jasmine.createSpy('addLayer')};
+        webMap._addLabelLayer({
+            layerID: 'VECTOR-label-0',
+            visible: 'visible',
+            style: {radius: 5},
+            labelStyle: {fill: '#333', fontFamily: '仿宋', labelField: 'name '}
+        }, []);
+        var layer = webMap.map.addLayer.calls.argsFor(0)[0];
+        expect(layer.layout['text-font']).toEqual(['仿宋']);
+        expect(layer.layout['text-field']).toBe('{name}');
+    });
+
+    it('_addLayers_addLayerFailed', (done) => {
+        var webMap = Object.create(WebMap.prototype);
+        webMap.server = server;
+        spyOn(FetchRequest, 'get').and.callFake(() => {
+            return Promise.resolve(new Response(JSON.stringify({type: 'JSON', content: '{"type":"FeatureCollection","features":[]}'})));
+        });
+        spyOn(webMap, '_formatGeoJSON').and.returnValue([]);
+        spyOn(webMap, '_addLayer').and.throwError('add layer failed');
+        var addLayerFailed = jasmine.createSpy('addlayerfailed');
+        var getLayersFailed = jasmine.createSpy('getlayersfailed');
+        webMap.on('addlayerfailed', addLayerFailed);
+        webMap.on('getlayersfailed', getLayersFailed);
+        spyOn(webMap, '_sendMapToUser').and.callFake((count, length) => {
+            //添加图层失败时只计数一次
+            expect(count).toBe(1);
+            expect(length).toBe(1);
+            setTimeout(() => {
+                expect(webMap._sendMapToUser.calls.count()).toBe(1);
+                expect(addLayerFailed).toHaveBeenCalled();
+                expect(getLayersFailed).not.toHaveBeenCalled();
+                done();
+            }, 0);
+        });
+        webMap._addLayers([{layerType: 'VECTOR', name: 'vector', dataSource: {serverId: 1}}]);
+    });
 })
\ No newline at end of file
@@ -0,0 +1,132 @@
+import mapboxgl from 'mapbox-gl';
+import { DataFlowLayer } from '../../../src/mapboxgl/overlay/DataFlowLayer';
+
+var url = GlobeParameter.worldMapURL;
+var urlDataFlow = "ws://localhost:8004/";
+describe('mapboxgl_DataFlowLayer', () => {
+    var originalTimeout;
+    var testDiv, map, layer;
+    beforeAll((done) => {
+        testDiv = window.document.createElement("div");
+        testDiv.setAttribute("id", "map");
+        testDiv.style.styleFloat = "left";
+        testDiv.style.marginLeft = "8px";
+        testDiv.style.marginTop = "50px";
+        testDiv.style.width = "500px";
+        testDiv.style.height = "500px";
+        window.document.body.appendChild(testDiv);
+        map = new mapboxgl.Map({
+            container: 'map',
+            style: {
+                "version": 8,
+                "sources": {
+                    "raster-tiles": {
+                        "type": "raster",
+                        "tiles": [url + '/zxyTileImage.png?z={z}&x={x}&y={y}'],
+                        "tileSize": 256
+                    }
+                },
+                "layers": [{
+                    "id": "simple-tiles",
+                    "type": "raster",
+                    "source": "raster-tiles",
+                    "minzoom": 0,
+                    "maxzoom": 22
+                }]
+            },
+            center: [0, 0],
+            zoom: 3
+        });
+        map.on('load', () => {
+            done();
+        });
+    });
+    beforeEach(() => {
+        originalTimeout = jasmine.DEFAULT_TIMEOUT_INTERVAL;
+        jasmine.DEFAULT_TIMEOUT_INTERVAL = 50000;
+        layer = new DataFlowLayer(urlDataFlow, {
+            filter: "speed > 60",
+            fields: ['speed'],
+            pointStyle: {'circle-color': '#ff0000'}
+        });
+        spyOn(layer.dataService, 'initSubscribe').and.callFake(() => layer.dataService);
+    });
+    afterEach(() => {
+        jasmine.DEFAULT_TIMEOUT_INTERVAL = originalTimeout;
+        if (map.getLayer(layer.id)) {
+            map.removeLayer(layer.id);
+        }
+    });
+    afterAll(() => {
+        map.remove();
+        window.document.body.removeChild(testDiv);
+    });
+
+    var receive = (feature) => {
+        layer.dataService.dataFlow._onMessage({data: JSON.stringify(feature)});
+    };
+
+    it('constructor', () => {
+        expect(layer.id).toContain("DataFlowLayer_");
+        expect(layer.idField).toBe("id");
+        expect(layer.pointStyle['circle-color']).toBe('#ff0000');
+        expect(layer.pointStyle['circle-radius']).toBe(6);
+        expect(layer.dataService.dataFlow.filter).toBe("speed > 60");
+    });
+
+    it('onAdd, removeFromMap', () => {
+        map.addLayer(layer);
+        expect(layer.dataService.initSubscribe).toHaveBeenCalled();
+        expect(map.getSource(layer.id)).not.toBeUndefined();
+        expect(map.getLayer(layer.id + '_point')).not.toBeUndefined();
+        expect(map.getLayer(layer.id + '_line')).not.toBeUndefined();
+        expect(map.getLayer(layer.id + '_polygon')).not.toBeUndefined();
+        layer.setVisibility(false);
+        expect(map.getLayoutProperty(layer.id + '_point', 'visibility')).toBe('none');
+        map.removeLayer(layer.id);
+        expect(map.getSource(layer.id)).toBeUndefined();
+        expect(map.getLayer(layer.id + '_point')).toBeUndefined();
+    });
+
+    it('dataupdated', (done) => {
+        var updated = [];
+        map.addLayer(layer);
+        layer.on('dataupdated', (e) => updated.push(e.data));
+        receive({type: "Feature", geometry: {type: "Point", coordinates: [0, 0]}, properties: {id: 1, speed: 80, name: 'a'}});
+        receive({type: "Feature", geometry: {type: "Point", coordinates: [1, 1]}, properties: {id: 2, speed: 40, name: 'b'}});
+        receive({type: "Feature", geometry: {type: "Point", coordinates: [2, 2]}, properties: {id: 1, speed: 90, name: 'a'}});
+        expect(updated.length).toBe(2);
+        expect(updated[0].properties).toEqual({speed: 80, id: 1});
+        var features = layer.getFeatures();
+        expect(features.length).toBe(1);
+        expect(features[0].geometry.coordinates).toEqual([2, 2]);
+        setTimeout(() => {
+            expect(map.getSource(layer.id)._data.features.length).toBe(1);
+            layer.clear();
+            expect(layer.getFeatures().length).toBe(0);
+            done();
+        }, 100);
+    });
+
+    it('messageFiltered', () => {
+        map.addLayer(layer);
+        receive({type: "Feature", geometry: {type: "Point", coordinates: [1, 1]}, properties: {id: 1, speed: 80}});
+        receive({type: "Feature", geometry: {type: "Point", coordinates: [2, 2]}, properties: {id: 2, speed: 90}});
+        expect(layer.getFeatures().length).toBe(2);
+        //要素不再满足过滤条件时从图层中删除
+        receive({type: "Feature", geometry: {type: "Point", coordinates: [1, 2]}, properties: {id: 1, speed: 40}});
+        expect(layer.getFeatures().length).toBe(1);
+        expect(layer.getFeatures()[0].properties.id).toBe(2);
+        //设置过滤条件时清除已有的要素
+        layer.setFilter("speed > 100");
+        expect(layer.getFeatures().length).toBe(0);
+    });
+
+    it('setFilter, setFields', () => {
+        map.addLayer(layer);
+        layer.setFilter(null).setFields(null);
+        receive({type: "Feature", geometry: {type: "Point", coordinates: [1, 1]}, properties: {id: 2, speed: 40, name: 'b'}});
+        expect(layer.getFeatures()[0].properties.name).toBe('b');
+        expect(layer.options.filter).toBeNull();
+    });
+});
@@ -168,4 +168,73 @@ describe('mapboxgl_GraphicLayer', () => {
             done();
         }, 4000);
     });
-});
\ No newline at end of file
+
+    it("getGraphicsInBounds, getGraphicsInPolygon, selectGraphics", () => {
+        let graphics = graphicLayer.graphics.slice();
+        let result = graphicLayer.getGraphicsInBounds(new mapboxgl.LngLatBounds([-36.5, 37], [-35, 40.1]));
+        expect(result).toEqual([graphics[0], graphics[1], graphics[2]]);
+        result = graphicLayer.getGraphicsInPolygon([[-36, 39.5], [-40, 39.5], [-40, 41], [-36, 41]]);
+        expect(result).toEqual([graphics[2], graphics[3]]);
+        result = graphicLayer.selectGraphics(new mapboxgl.LngLatBounds([-36.5, 37], [-35, 40.1]));
+        expect(graphicLayer.selectedGraphics).toEqual(result);
+        expect(graphicLayer.layer.props.getColor(graphics[0])).toEqual([0, 0, 128, 128]);
+        graphicLayer.removeGraphics(graphics[0]);
+        expect(graphicLayer.selectedGraphics).toEqual([graphics[1], graphics[2]]);
+        graphicLayer.clearSelection();
+        expect(graphicLayer.selectedGraphics.length).toEqual(0);
+        expect(graphicLayer.getGraphicsInBounds([-36.5, 37, -35, 40.1]).length).toEqual(2);
+    });
+
+    it("line and polygon graphics", () => {
+        let line = new mapboxgl.supermap.Graphic({type: 'LineString', coordinates: [[-40, 30], [-20, 30]]});
+        let polygon = new mapboxgl.supermap.Graphic({
+            type: 'Polygon',
+            coordinates: [[[-20, 40], [-10, 40], [-10, 50], [-20, 50], [-20, 40]]]
+        }, {width: 4});
+        expect(line.getGeometryType()).toEqual('LineString');
+        expect(line.getBounds()).toEqual([-40, 30, -20, 30]);
+        expect(line.getLngLat()).toEqual({lng: -30, lat: 30});
+        expect(polygon.getGeometryType()).toEqual('Polygon');
+        expect(polygon.getBounds()).toEqual([-20, 40, -10, 50]);
+        graphicLayer.addGraphics([line, polygon]);
+        expect(graphicLayer.getGraphicsInBounds([-45, 25, -25, 35])).toEqual([line]);
+        expect(graphicLayer.getGraphicsInBounds([-15, 45, -12, 48])).toEqual([polygon]);
+        graphicLayer.removeGraphics([line, polygon]);
+        expect(graphicLayer.getGraphicsInBounds([-45, 25, -10, 50]).length).toEqual(0);
+    });
+
+    it("cluster", () => {
+        let points = coors.map((coor, i) => new mapboxgl.supermap.Graphic({lng: coor[0], lat: coor[1]}, null, {value: i + 1}));
+        points.push(new mapboxgl.supermap.Graphic({lng: 60, lat: -30}, null, {value: 1}));
+        let line = new mapboxgl.supermap.Graphic({type: 'LineString', coordinates: [[-40, 30], [-20, 30]]});
+        let onClick = jasmine.createSpy('onClick');
+        let clusterLayer = new GraphicLayer("clusterLayer", {
+            graphics: points.concat([line]),
+            cluster: {radius: 60, field: 'value'},
+            onClick: onClick
+        });
+        spyOn(map, 'getZoom').and.returnValue(2);
+        spyOn(map, 'easeTo');
+        clusterLayer.onAdd(map);
+        expect(clusterLayer.layer.props.data).toEqual([points[5]]);
+        expect(clusterLayer._lineData).toEqual([line]);
+        expect(clusterLayer._clusterData.length).toEqual(1);
+        let cluster = clusterLayer._clusterData[0];
+        expect(clusterLayer.isCluster(cluster)).toBeTruthy();
+        expect(cluster.getAttributes()).toEqual({count: 5, value: 15});
+        expect(clusterLayer.getClusterGraphics(cluster).length).toEqual(5);
+        let layers = clusterLayer._getLayers();
+        let iconLayer = layers[layers.length - 1];
+        expect(iconLayer.props.id).toEqual('graphic-cluster');
+        expect(iconLayer.props.getIcon(cluster)).toEqual(cluster._clusterIcon);
+        iconLayer.props.onClick({object: cluster});
+        expect(onClick).toHaveBeenCalled();
+        expect(map.easeTo).toHaveBeenCalled();
+        expect(map.easeTo.calls.mostRecent().args[0].zoom).toBeGreaterThan(2);
+
+        clusterLayer.setCluster(false);
+        expect(clusterLayer.layer.props.data.length).toEqual(6);
+        expect(clusterLayer._clusterData.length).toEqual(0);
+        clusterLayer.remove();
+    });
+});
@@ -440,6 +440,34 @@ describe('mapboxgl_RangeThemeLayer', () => {
            
         // }, 5000)
     });
-})
-;
 
+    it('cluster', () => {
+        var themeLayer = new Range("ThemeLayer", {
+            map: map,
+            themeField: "POP",
+            styleGroups: [{start: 0, end: 100, style: {color: '#FDE2CA'}}],
+            cluster: {radius: 60, field: 'POP'}
+        });
+        var coordinates = [[116.85, 39.79], [116.86, 39.79], [116.85, 39.8], [116.86, 39.8], [116.855, 39.795], [110, 30]];
+        themeLayer.addFeatures({
+            type: 'FeatureCollection',
+            features: coordinates.map((coordinate, i) => {
+                return {type: 'Feature', geometry: {type: 'Point', coordinates: coordinate}, properties: {POP: i + 1}};
+            })
+        });
+        spyOn(map, 'getZoom').and.returnValue(7);
+        spyOn(map, 'easeTo');
+        var features = themeLayer._getClusteredFeatures();
+        expect(features.length).toBe(2);
+        var cluster = features.filter((feature) => themeLayer.isCluster(feature))[0];
+        expect(cluster.attributes).toEqual({count: 5, value: 15});
+        expect(cluster.style.label).toBe('5');
+        expect(themeLayer.getFeatureById(cluster.id)).toBe(cluster);
+        expect(themeLayer.getClusterFeatures(cluster).length).toBe(5);
+        themeLayer._handleClusterClick({target: {refDataID: cluster.id}});
+        expect(map.easeTo.calls.mostRecent().args[0].zoom).toBeGreaterThan(7);
+        themeLayer.setCluster(false);
+        expect(themeLayer.isCluster(themeLayer.getFeatureById(cluster.id))).toBeFalsy();
+        expect(themeLayer.getClusterFeatures(cluster)).toEqual([]);
+    });
+});
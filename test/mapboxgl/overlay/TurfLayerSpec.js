@@ -0,0 +1,177 @@
+import mapboxgl from 'mapbox-gl';
+import * as turf from '@turf/turf';
+import { TurfLayer } from '../../../src/mapboxgl/overlay/TurfLayer';
+import { TurfParameters } from '../../../src/common/util/TurfParameters';
+import { TurfWorker } from '../../../src/common/util/TurfWorker';
+
+var url = GlobeParameter.worldMapURL;
+describe('mapboxgl_TurfLayer', () => {
+    var originalTimeout;
+    var testDiv, map, layer;
+    var points = turf.featureCollection([turf.point([100, 30]), turf.point([101, 30]), turf.point([102, 30])]);
+    //在当前线程中模拟 worker，消息经过克隆后异步传递
+    class FakeWorker {
+        constructor(url) {
+            this.url = url;
+            this.terminated = false;
+            this.scope = {
+                postMessage: (data) => {
+                    setTimeout(() => {
+                        !this.terminated && this.onmessage && this.onmessage({data: JSON.parse(JSON.stringify(data))});
+                    }, 0);
+                }
+            };
+            TurfWorker.workerScope(this.scope, turf);
+        }
+
+        postMessage(data) {
+            setTimeout(() => {
+                !this.terminated && this.scope.onmessage({data: JSON.parse(JSON.stringify(data))});
+            }, 0);
+        }
+
+        terminate() {
+            this.terminated = true;
+        }
+    }
+    var originalWorker;
+    beforeAll((done) => {
+        originalWorker = window.Worker;
+        window.Worker = global.Worker = FakeWorker;
+        testDiv = window.document.createElement("div");
+        testDiv.setAttribute("id", "map");
+        testDiv.style.styleFloat = "left";
+        testDiv.style.marginLeft = "8px";
+        testDiv.style.marginTop = "50px";
+        testDiv.style.width = "500px";
+        testDiv.style.height = "500px";
+        window.document.body.appendChild(testDiv);
+        map = new mapboxgl.Map({
+            container: 'map',
+            style: {
+                "version": 8,
+                "sources": {
+                    "raster-tiles": {
+                        "type": "raster",
+                        "tiles": [url + '/zxyTileImage.png?z={z}&x={x}&y={y}'],
+                        "tileSize": 256
+                    }
+                },
+                "layers": [{
+                    "id": "simple-tiles",
+                    "type": "raster",
+                    "source": "raster-tiles",
+                    "minzoom": 0,
+                    "maxzoom": 22
+                }]
+            },
+            center: [0, 0],
+            zoom: 3
+        });
+        map.on('load', () => {
+            done();
+        });
+    });
+    beforeEach(() => {
+        originalTimeout = jasmine.DEFAULT_TIMEOUT_INTERVAL;
+        jasmine.DEFAULT_TIMEOUT_INTERVAL = 50000;
+        layer = new TurfLayer({
+            polygonStyle: {'fill-color': '#ff0000'}
+        });
+    });
+    afterEach(() => {
+        jasmine.DEFAULT_TIMEOUT_INTERVAL = originalTimeout;
+        if (map.getLayer(layer.id)) {
+            map.removeLayer(layer.id);
+        }
+    });
+    afterAll(() => {
+        window.Worker = global.Worker = originalWorker;
+        map.remove();
+        window.document.body.removeChild(testDiv);
+    });
+
+    it('constructor', () => {
+        expect(layer.id).toContain("TurfLayer_");
+        expect(layer.polygonStyle['fill-color']).toBe('#ff0000');
+        expect(layer.polygonStyle['fill-opacity']).toBe(0.3);
+        expect(layer.useWorker).toBeFalsy();
+        expect(layer.turfMap).toBe(TurfParameters.turfMap);
+        expect(layer.turfOptionMap).toBe(TurfParameters.turfOptionMap);
+    });
+
+    it('onAdd, setVisibility, removeFromMap', () => {
+        map.addLayer(layer);
+        expect(map.getSource(layer.id)).not.toBeUndefined();
+        expect(map.getLayer(layer.id + '_point')).not.toBeUndefined();
+        expect(map.getLayer(layer.id + '_line')).not.toBeUndefined();
+        expect(map.getLayer(layer.id + '_polygon')).not.toBeUndefined();
+        layer.setVisibility(false);
+        expect(map.getLayoutProperty(layer.id + '_polygon', 'visibility')).toBe('none');
+        map.removeLayer(layer.id);
+        expect(map.getSource(layer.id)).toBeUndefined();
+        expect(map.getLayer(layer.id + '_polygon')).toBeUndefined();
+    });
+
+    it('process', () => {
+        var serviceResult;
+        map.addLayer(layer);
+        layer.process('Transformation.buffer', {geojson: points, radius: 10, units: 'kilometers'}, (result) => {
+            serviceResult = result;
+        });
+        expect(serviceResult.features.length).toBe(3);
+        expect(layer.getFeatures().length).toBe(3);
+        expect(map.getSource(layer.id)._data.features.length).toBe(3);
+
+        layer.process('Measurement.along', {line: turf.lineString([[-83, 30], [-84, 36], [-78, 41]]), distance: 10, units: 'kilometers'}, (result) => {
+            serviceResult = result;
+        }, false);
+        expect(serviceResult.geometry.type).toBe('Point');
+        expect(layer.getFeatures().length).toBe(3);
+
+        layer.process('Measurement.distance', {from: [0, 0], to: [1, 0], units: 'kilometers'}, (result) => {
+            serviceResult = result;
+        });
+        expect(serviceResult).toBeGreaterThan(0);
+        expect(layer.getFeatures().length).toBe(3);
+
+        layer.process('Measurement.envelope', {geojson: points}, (result) => {
+            serviceResult = result;
+        });
+        expect(layer.getFeatures().length).toBe(4);
+        expect(layer.getFeatures()[3]).toBe(serviceResult);
+
+        layer.clear();
+        expect(layer.getFeatures().length).toBe(0);
+        expect(map.getSource(layer.id)._data.features.length).toBe(0);
+    });
+
+    it('process_useWorker, cancel', (done) => {
+        var workerLayer = new TurfLayer({useWorker: true, workerUrl: 'TurfWorker.js'});
+        map.addLayer(workerLayer);
+        var progress = [];
+        var cancelled = [];
+        var serviceResult;
+        workerLayer.on('processprogress', (e) => progress.push(e.progress));
+        workerLayer.on('processcancelled', (e) => cancelled.push(e.taskId));
+        var cancelTaskId = workerLayer.process('Transformation.buffer', {geojson: points, radius: 10, units: 'kilometers'}, () => {
+            fail('cancelled task should not complete');
+        });
+        workerLayer.on('processsucceeded', (e) => {
+            expect(e.processType).toBe('Transformation.buffer');
+            expect(e.taskId).toBe(taskId);
+            expect(serviceResult).toBe(e.result);
+            expect(workerLayer.getFeatures().length).toBe(3);
+            expect(progress[progress.length - 1]).toBe(1);
+            expect(cancelled).toEqual([cancelTaskId]);
+            expect(workerLayer.isProcessing()).toBeFalsy();
+            map.removeLayer(workerLayer.id);
+            done();
+        });
+        var taskId = workerLayer.process('Transformation.buffer', {geojson: points, radius: 10, units: 'kilometers'}, (result) => {
+            serviceResult = result;
+        });
+        expect(workerLayer.isProcessing()).toBeTruthy();
+        workerLayer.cancel(cancelTaskId);
+    });
+});
@@ -72,7 +72,7 @@ describe('mapboxgl_DataFlowService', () => {
             service.on('broadcastSocketConnected', (e) => {
                 var dataFlow = service.dataFlow;
                 expect(dataFlow.CLASS_NAME).toBe("SuperMap.DataFlowService");
-                expect(dataFlow.EVENT_TYPES.length).toEqual(8);
+                expect(dataFlow.EVENT_TYPES.length).toEqual(10);
                 expect(dataFlow.broadcastWebSocket.binaryType).toBe("blob");
                 expect(dataFlow.broadcastWebSocket.url).toBe(urlDataFlow + "broadcast");
                 timer = window.setInterval(broadcast_Point(service), 1000);
@@ -0,0 +1,40 @@
+import ol from 'openlayers';
+import {FeatureExport} from '../../../src/openlayers/core/FeatureExport';
+import {Graphic} from '../../../src/openlayers/overlay/graphic/Graphic';
+import {Vector} from '../../../src/common/commontypes/Vector';
+import {Point} from '../../../src/common/commontypes/geometry/Point';
+
+describe('openlayers_FeatureExport', () => {
+    var coordinate = ol.proj.fromLonLat([116.4, 39.9]);
+
+    it('toGeoJSON_vectorSource', () => {
+        var feature = new ol.Feature({geometry: new ol.geom.Point(coordinate), name: 'point'});
+        feature.setId(1);
+        var layer = new ol.layer.Vector({source: new ol.source.Vector({features: [feature]})});
+        var features = new FeatureExport().toGeoJSON(layer).features;
+        expect(features.length).toBe(1);
+        expect(features[0].id).toBe(1);
+        expect(features[0].properties).toEqual({name: 'point'});
+        expect(features[0].geometry.coordinates[0]).toBeCloseTo(116.4, 6);
+        expect(features[0].geometry.coordinates[1]).toBeCloseTo(39.9, 6);
+    });
+
+    it('toGeoJSON_graphicAndTheme', () => {
+        var featureExport = new FeatureExport();
+        var graphic = new Graphic(new ol.geom.LineString([[0, 0], coordinate]), {name: 'line'});
+        var themeFeature = new Vector(new Point(coordinate[0], coordinate[1]), {value: 1});
+        var features = featureExport.toGeoJSON([{graphics: [graphic]}, {getFeatures: () => [themeFeature]}]).features;
+        expect(features.length).toBe(2);
+        expect(features[0].geometry.type).toBe('LineString');
+        expect(features[0].geometry.coordinates[1][0]).toBeCloseTo(116.4, 6);
+        expect(features[0].properties).toEqual({name: 'line'});
+        expect(features[1].geometry.coordinates[1]).toBeCloseTo(39.9, 6);
+        expect(features[1].properties).toEqual({value: 1});
+    });
+
+    it('featureProjection', () => {
+        var feature = new ol.Feature(new ol.geom.Point([116.4, 39.9]));
+        var geojson = new FeatureExport({featureProjection: 'EPSG:4326'}).toGeoJSON(feature);
+        expect(geojson.features[0].geometry.coordinates).toEqual([116.4, 39.9]);
+    });
+});
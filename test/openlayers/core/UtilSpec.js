@@ -1,3 +1,4 @@
+import ol from 'openlayers';
 import {Util} from '../../../src/openlayers/core/Util.js';
 import {MultiPolygon} from '../../../src/common/commontypes/geometry/MultiPolygon';
 import {Polygon} from '../../../src/common/commontypes/geometry/Polygon';
@@ -133,6 +134,15 @@ describe('openlayers_Util', () => {
     });
 
 
+    it('resolutionToWebMercatorZoom, webMercatorZoomToResolution', () => {
+        var mercator = ol.proj.get('EPSG:3857');
+        var wgs84 = ol.proj.get('EPSG:4326');
+        expect(Util.resolutionToWebMercatorZoom(156543.03392804097 / 8, mercator)).toBe(3);
+        expect(Util.resolutionToWebMercatorZoom(360 / 256 / 4, wgs84)).toBe(2);
+        expect(Util.webMercatorZoomToResolution(2, wgs84)).toBeCloseTo(360 / 256 / 4, 10);
+        expect(Util.webMercatorZoomToResolution(3, mercator)).toBeCloseTo(156543.03392804097 / 8, 6);
+    });
+
     it('getMeterPerMapUnit', () => {
         var mapUnit = "METER";
         var result = Util.getMeterPerMapUnit(mapUnit);
@@ -116,7 +116,7 @@ describe('ol_DataFlow', () => {
             service.on('broadcastSocketConnected', (e) => {
                 var dataFlow = service.dataFlow;
                 expect(dataFlow.CLASS_NAME).toBe("SuperMap.DataFlowService");
-                expect(dataFlow.EVENT_TYPES.length).toEqual(8);
+                expect(dataFlow.EVENT_TYPES.length).toEqual(10);
                 expect(dataFlow.broadcastWebSocket.binaryType).toBe("blob");
                 expect(dataFlow.broadcastWebSocket.url).toBe(urlDataFlow + "broadcast");
                 timer = window.setInterval(broadcast_Point(service), 1000);
@@ -371,4 +371,36 @@ describe('ol_DataFlow', () => {
             done();
         }, 4000)
     });
+    it('trail, history', () => {
+        spyOn(DataFlowService.prototype, 'initSubscribe').and.callFake(function () {
+            return this;
+        });
+        var source = new DataFlow({
+            ws: urlDataFlow,
+            timeField: 'time',
+            trail: {maxPoints: 3, color: '#ff0000'}
+        });
+        for (var i = 0; i < 5; i++) {
+            source._onMessageSuccessed({
+                value: {
+                    featureResult: {
+                        type: "Feature",
+                        geometry: {type: "Point", coordinates: [116.4 + i * 0.01, 39.9]},
+                        properties: {id: 1, time: 1000 * (i + 1)}
+                    }
+                }
+            });
+        }
+        expect(source.history.maxPoints).toBe(3);
+        expect(source.getHistory(1).length).toBe(3);
+        var trailFeature = source.trailCache[1];
+        expect(trailFeature.getGeometry().getCoordinates().length).toBe(3);
+        var styles = trailFeature.getStyleFunction().call(trailFeature, 1);
+        expect(styles.length).toBe(2);
+        expect(styles[0].getStroke().getColor()[3]).toBeLessThan(styles[1].getStroke().getColor()[3]);
+        expect(source.getFeatures().length).toBe(2);
+        source.clearHistory();
+        expect(source.getFeatures().length).toBe(1);
+        expect(source.getHistory(1).length).toBe(0);
+    });
 });
\ No newline at end of file
@@ -0,0 +1,127 @@
+import ol from 'openlayers';
+import {ElasticSearchGeoAdapter} from '../../../src/openlayers/overlay/ElasticSearchGeoAdapter';
+
+describe('openlayers_ElasticSearchGeoAdapter', () => {
+    var testDiv, map, requests, adapter;
+    var response = (keys) => {
+        return {
+            aggregations: {
+                grid: {
+                    buckets: keys.map((key) => {
+                        return {key: key, doc_count: 1};
+                    })
+                }
+            }
+        };
+    };
+    beforeAll(() => {
+        testDiv = window.document.createElement("div");
+        testDiv.setAttribute("id", "map");
+        testDiv.style.styleFloat = "left";
+        testDiv.style.marginLeft = "8px";
+        testDiv.style.marginTop = "50px";
+        testDiv.style.width = "500px";
+        testDiv.style.height = "500px";
+        window.document.body.appendChild(testDiv);
+        map = new ol.Map({
+            target: 'map',
+            view: new ol.View({
+                center: [0, 0],
+                zoom: 3,
+                projection: 'EPSG:4326'
+            })
+        });
+    });
+    beforeEach(() => {
+        requests = [];
+        var client = {
+            search: jasmine.createSpy('search').and.callFake((params) => {
+                return new Promise((resolve, reject) => {
+                    requests.push({params: params, resolve: resolve, reject: reject});
+                });
+            })
+        };
+        adapter = new ElasticSearchGeoAdapter({client: client}, {index: 'flights', geoField: 'location', aggType: 'geohash_grid'});
+    });
+    afterEach(() => {
+        adapter.unbind();
+    });
+    afterAll(() => {
+        map.setTarget(null);
+        window.document.body.removeChild(testDiv);
+    });
+
+    it('bind, moveend, unbind', () => {
+        var layer = {removeAllFeatures: jasmine.createSpy('removeAllFeatures'), addFeatures: jasmine.createSpy('addFeatures')};
+        adapter.bind(map, layer);
+        expect(requests.length).toBe(1);
+        expect(requests[0].params.index).toBe('flights');
+        expect(requests[0].params.body.query.bool.filter.geo_bounding_box.location).toBeDefined();
+        map.dispatchEvent('moveend');
+        expect(requests.length).toBe(2);
+        adapter.unbind();
+        map.dispatchEvent('moveend');
+        expect(requests.length).toBe(2);
+    });
+
+    it('refresh_dropStaleResponse', (done) => {
+        var layer = {removeAllFeatures: jasmine.createSpy('removeAllFeatures'), addFeatures: jasmine.createSpy('addFeatures')};
+        var loaded = jasmine.createSpy('dataloaded');
+        adapter.on('dataloaded', loaded);
+        adapter.bind(map, layer);
+        map.dispatchEvent('moveend');
+        requests[1].resolve(response(['s', 'u']));
+        requests[0].resolve(response(['s']));
+        setTimeout(() => {
+            expect(loaded.calls.count()).toBe(1);
+            expect(loaded.calls.argsFor(0)[0].value.result.features.length).toBe(2);
+            expect(layer.removeAllFeatures.calls.count()).toBe(1);
+            expect(layer.addFeatures.calls.count()).toBe(1);
+            var features = layer.addFeatures.calls.argsFor(0)[0];
+            expect(features.map((feature) => feature.getId())).toEqual(['s', 'u']);
+            expect(features[0].getGeometry().getType()).toBe('Polygon');
+            done();
+        }, 0);
+    });
+
+    it('refresh_failed', (done) => {
+        var layer = {removeAllFeatures: jasmine.createSpy('removeAllFeatures'), addFeatures: jasmine.createSpy('addFeatures')};
+        adapter.bind(map, layer);
+        adapter.on('dataloadfailed', (e) => {
+            expect(e.value.error).toBe('error');
+            expect(layer.removeAllFeatures).not.toHaveBeenCalled();
+            done();
+        });
+        requests[0].reject('error');
+    });
+
+    it('setGraphics', (done) => {
+        var layer = {setGraphics: jasmine.createSpy('setGraphics')};
+        adapter.style = (feature) => {
+            return {id: feature.id};
+        };
+        adapter.bind(map, layer);
+        requests[0].resolve(response(['s']));
+        setTimeout(() => {
+            expect(layer.setGraphics.calls.count()).toBe(1);
+            var graphics = layer.setGraphics.calls.argsFor(0)[0];
+            expect(graphics.length).toBe(1);
+            expect(graphics[0].getId()).toBe('s');
+            expect(graphics[0].getGeometry().getCoordinates()).toEqual([22.5, 22.5]);
+            expect(graphics[0].getAttributes().count).toBe(1);
+            expect(graphics[0].getStyle()).toEqual({id: 's'});
+            done();
+        }, 0);
+    });
+
+    it('removeAllFeatures_empty', (done) => {
+        var layer = {removeAllFeatures: jasmine.createSpy('removeAllFeatures'), addFeatures: jasmine.createSpy('addFeatures')};
+        adapter.bind(map, layer);
+        requests[0].resolve(response([]));
+        setTimeout(() => {
+            expect(layer.removeAllFeatures.calls.count()).toBe(1);
+            expect(layer.addFeatures).not.toHaveBeenCalled();
+            done();
+        }, 0);
+    });
+});
@@ -403,6 +403,139 @@ describe('openlayers_GraphicLayer', () => {
             done();
         }, 4000);
     });
+   it("getGraphicsInExtent, getGraphicsInPolygon, selectGraphics", (done) => {
+        let graphics = [];
+        map = new ol.Map({
+            target: 'map',
+            view: new ol.View({
+                center: [0, 0],
+                zoom: 2,
+                projection: 'EPSG:4326'
+            }),
+            renderer: ['canvas']
+        });
+        for (let j = 0; j < coors.length; ++j) {
+            graphics[j] = new GraphicObj(new ol.geom.Point(coors[j]));
+        }
+        const graphicLayer = new ol.layer.Image({
+            source: new GraphicSource({
+                graphics: graphics,
+                map: map
+            })
+        });
+        map.addLayer(graphicLayer);
+
+        setTimeout(() => {
+            const graphicSource = graphicLayer.getSource();
+            expect(graphicSource.getGraphicsInExtent().length).toEqual(5);
+            expect(graphicSource.getGraphicsInExtent([-180, -90, 180, 90]).length).toEqual(5);
+            let result = graphicSource.getGraphicsInExtent([-36.5, 37, -35, 40.1]);
+            expect(result).toEqual([graphics[0], graphics[1], graphics[2]]);
+            result = graphicSource.getGraphicsInPolygon(new ol.geom.Polygon([[[-36, 39.5], [-40, 39.5], [-40, 41], [-36, 41], [-36, 39.5]]]));
+            expect(result).toEqual([graphics[2], graphics[3]]);
+
+            let selectedHandler = jasmine.createSpy('graphicsselected');
+            graphicSource.on('graphicsselected', selectedHandler);
+            result = graphicSource.selectGraphics([-36.5, 37, -35, 40.1]);
+            expect(graphicSource.selectedGraphics).toEqual(result);
+            expect(selectedHandler.calls.mostRecent().args[0].value.graphics).toEqual(result);
+            graphicSource.removeGraphics(graphics[0]);
+            expect(graphicSource.selectedGraphics).toEqual([graphics[1], graphics[2]]);
+            graphicSource.clearSelection();
+            expect(graphicSource.selectedGraphics.length).toEqual(0);
+            graphicSource.addGraphics([graphics[0]]);
+            expect(graphicSource.getGraphicsInExtent([-35.5, 37, -35, 39]).length).toEqual(1);
+            done();
+        }, 4000);
+    });
+   it("line and polygon graphics", (done) => {
+        map = new ol.Map({
+            target: 'map',
+            view: new ol.View({
+                center: [0, 0],
+                zoom: 2,
+                projection: 'EPSG:4326'
+            }),
+            renderer: ['canvas']
+        });
+        let line = new GraphicObj(new ol.geom.LineString([[-40, 30], [-20, 30]]));
+        let polygon = new GraphicObj(new ol.geom.Polygon([[[-20, 40], [-10, 40], [-10, 50], [-20, 50], [-20, 40]]]));
+        polygon.setStyle(new ol.style.Style({
+            stroke: new ol.style.Stroke({color: 'red', width: 4})
+        }));
+        graphicLayer = new ol.layer.Image({
+            source: new GraphicSource({
+                graphics: [line, polygon],
+                map: map
+            })
+        });
+        map.addLayer(graphicLayer);
+
+        setTimeout(() => {
+            const graphicSource = graphicLayer.getSource();
+            expect(graphicSource.getGraphicsInExtent([-45, 25, -25, 35])).toEqual([line]);
+            expect(graphicSource.getGraphicsInExtent([-15, 45, -12, 48])).toEqual([polygon]);
+            expect(graphicSource._pathContainsCoordinate(line, [-30, 30.5], 0.2)).toBeTruthy();
+            expect(graphicSource._pathContainsCoordinate(line, [-30, 32], 0.2)).toBeFalsy();
+            expect(graphicSource._pathContainsCoordinate(polygon, [-15, 45], 1)).toBeTruthy();
+            //边线宽度 4，容差为 (4 / 2 + 3) * 1 = 5，距离等于容差时仍然选中
+            expect(graphicSource._pathContainsCoordinate(polygon, [-25, 45], 1)).toBeTruthy();
+            expect(graphicSource._pathContainsCoordinate(polygon, [-25.5, 45], 1)).toBeFalsy();
+            expect(graphicSource._getPathStyle(line)).toBe(graphicSource._getDefaultPathStyle());
+            expect(graphicSource._getPathStyle(polygon).getStroke().getWidth()).toEqual(4);
+            done();
+        }, 4000);
+    });
+   it("cluster", (done) => {
+        map = new ol.Map({
+            target: 'map',
+            view: new ol.View({
+                center: [0, 0],
+                zoom: 2,
+                projection: 'EPSG:4326'
+            }),
+            renderer: ['canvas']
+        });
+        let graphics = coors.map((coor, i) => new GraphicObj(new ol.geom.Point(coor), {value: i + 1}));
+        graphics.push(new GraphicObj(new ol.geom.Point([60, -30]), {value: 1}));
+        let onClick = jasmine.createSpy('onClick');
+        graphicLayer = new ol.layer.Image({
+            source: new GraphicSource({
+                graphics: graphics,
+                map: map,
+                cluster: {radius: 60, field: 'value'},
+                onClick: onClick
+            })
+        });
+        map.addLayer(graphicLayer);
+
+        setTimeout(() => {
+            const graphicSource = graphicLayer.getSource();
+            const view = map.getView();
+            let rendered = graphicSource._getRenderGraphics([-180, -90, 180, 90], view.getResolution());
+            expect(rendered.length).toEqual(2);
+            let cluster = rendered.filter((graphic) => graphicSource.isCluster(graphic))[0];
+            expect(cluster.getAttributes()).toEqual({count: 5, value: 15});
+            expect(cluster.getStyle() instanceof ol.style.Icon).toBeTruthy();
+            expect(graphicSource.getClusterGraphics(cluster).length).toEqual(5);
+            expect(graphicSource.isCluster(graphics[5])).toBeFalsy();
+
+            let hit = [];
+            graphicSource._forEachFeatureAtCoordinate(cluster.getGeometry().getCoordinates(), view.getResolution(), (graphic) => hit.push(graphic));
+            expect(hit).toEqual([cluster]);
+
+            spyOn(view, 'animate');
+            graphicSource.expandCluster(cluster);
+            expect(view.animate).toHaveBeenCalled();
+            expect(view.animate.calls.mostRecent().args[0].resolution).toBeLessThan(view.getResolution());
+
+            graphicSource.setCluster(false);
+            expect(graphicSource.isCluster(cluster)).toBeTruthy();
+            expect(graphicSource.getClusterGraphics(cluster)).toEqual([]);
+            expect(graphicSource.getGraphicsInExtent([-180, -90, 180, 90]).length).toEqual(6);
+            done();
+        }, 4000);
+    });
    it("getLayerState", (done) => {
         let graphics = [];
         map = new ol.Map({
@@ -463,6 +463,35 @@ describe('openlayers_Range', () => {
         expect(result.shadowBlur).toBe(16);
         expect(result.shadowColor).toBe("#000000");
     });
-});
-
 
+    it('cluster', () => {
+        var range = new Range("ThemeLayer", {
+            map: map,
+            themeField: "POP",
+            styleGroups: [{start: 0, end: 100, style: {color: '#FDE2CA'}}],
+            cluster: {radius: 60, field: 'POP'}
+        });
+        var coordinates = [[116.85, 39.79], [116.86, 39.79], [116.85, 39.8], [116.86, 39.8], [116.855, 39.795], [110, 30]];
+        range.addFeatures({
+            type: 'FeatureCollection',
+            features: coordinates.map((coordinate, i) => {
+                return {type: 'Feature', geometry: {type: 'Point', coordinates: coordinate}, properties: {POP: i + 1}};
+            })
+        });
+        var features = range._getClusteredFeatures();
+        expect(features.length).toBe(2);
+        var cluster = features.filter((feature) => range.isCluster(feature))[0];
+        expect(cluster.attributes).toEqual({count: 5, value: 15});
+        expect(cluster.geometry.x).toBeCloseTo(116.855, 2);
+        expect(range.getFeatureById(cluster.id)).toBe(cluster);
+        expect(range.getClusterFeatures(cluster).length).toBe(5);
+        spyOn(map.getView(), 'animate');
+        range._handleClusterClick({target: {refDataID: cluster.id}});
+        var args = map.getView().animate.calls.mostRecent().args[0];
+        expect(args.center[0]).toBeCloseTo(116.855, 2);
+        expect(args.resolution).toBeLessThan(map.getView().getResolution());
+        range.setCluster(false);
+        expect(range.isCluster(range.getFeatureById(cluster.id))).toBeFalsy();
+        expect(range.getClusterFeatures(cluster)).toEqual([]);
+    });
+});
@@ -1,9 +1,43 @@
 import ol from 'openlayers';
 import { Turf } from '../../../src/openlayers/overlay/Turf';
+import { TurfWorker } from '../../../src/common/util/TurfWorker';
 import * as turf from '@turf/turf';
 describe('openlayers_Turf', () => {
     var opt_options;
     var serviceResult;
+    //在当前线程中模拟 worker，消息经过克隆后异步传递
+    class FakeWorker {
+        constructor(url) {
+            this.url = url;
+            this.terminated = false;
+            this.scope = {
+                postMessage: (data) => {
+                    setTimeout(() => {
+                        !this.terminated && this.onmessage && this.onmessage({data: JSON.parse(JSON.stringify(data))});
+                    }, 0);
+                }
+            };
+            TurfWorker.workerScope(this.scope, turf);
+        }
+
+        postMessage(data) {
+            setTimeout(() => {
+                !this.terminated && this.scope.onmessage({data: JSON.parse(JSON.stringify(data))});
+            }, 0);
+        }
+
+        terminate() {
+            this.terminated = true;
+        }
+    }
+    var originalWorker;
+    beforeAll(() => {
+        originalWorker = window.Worker;
+        window.Worker = global.Worker = FakeWorker;
+    });
+    afterAll(() => {
+        window.Worker = global.Worker = originalWorker;
+    });
 
     it('parse,parseOption,rocess_Measurement.along,', (done) => {
         opt_options = {
@@ -34,4 +68,45 @@ describe('openlayers_Turf', () => {
         expect(serviceResult.geometry).not.toBeNull();
         done();
     });
-});
\ No newline at end of file
+
+    it('process_useWorker, cancel', (done) => {
+        var openLayerturf = new Turf({useWorker: true, workerUrl: 'TurfWorker.js'});
+        var points = turf.featureCollection([turf.point([100, 30]), turf.point([101, 30]), turf.point([102, 30])]);
+        var progress = [];
+        var cancelled = [];
+        openLayerturf.on('processprogress', (e) => progress.push(e.value.progress));
+        openLayerturf.on('processcancelled', (e) => cancelled.push(e.value.taskId));
+        var cancelTaskId = openLayerturf.process('Transformation.buffer', {geojson: points, radius: 10, units: 'kilometers'}, () => {
+            fail('cancelled task should not complete');
+        });
+        openLayerturf.on('processsucceeded', (e) => {
+            expect(e.value.processType).toBe('Transformation.buffer');
+            expect(e.value.taskId).toBe(taskId);
+            expect(serviceResult).toBe(e.value.result);
+            expect(serviceResult.features.length).toBe(3);
+            expect(openLayerturf.getFeatures().length).toBe(3);
+            expect(progress[progress.length - 1]).toBe(1);
+            expect(cancelled).toEqual([cancelTaskId]);
+            expect(openLayerturf.isProcessing()).toBeFalsy();
+            done();
+        });
+        var taskId = openLayerturf.process('Transformation.buffer', {geojson: points, radius: 10, units: 'kilometers'}, (result) => {
+            serviceResult = result;
+        });
+        expect(taskId).toBe(cancelTaskId + 1);
+        expect(openLayerturf.isProcessing()).toBeTruthy();
+        openLayerturf.cancel(cancelTaskId);
+    });
+
+    it('process_useWorker_failed', (done) => {
+        var openLayerturf = new Turf({workerUrl: 'TurfWorker.js'});
+        openLayerturf.on('processfailed', (e) => {
+            expect(e.value.processType).toBe('Measurement.along');
+            expect(e.value.error).toBeDefined();
+            done();
+        });
+        openLayerturf.process('Measurement.along', {line: null, distance: 10}, () => {
+            fail('failed task should not complete');
+        }, false);
+    });
+});
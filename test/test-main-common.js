@@ -11,6 +11,7 @@ import './common/iServer/ChartQueryFilterParameterSpec.js';
 import './common/iServer/ChartQueryParametersSpec.js';
 import './common/iServer/ClipParameterSpec.js';
 import './common/iServer/ComputeWeightMatrixServiceSpec.js';
+import './common/iServer/DataFlowServiceSpec.js';
 import './common/iServer/DensityAnalystServiceSpec.js';
 import './common/iServer/EditFeaturesServiceSpec.js';
 import './common/iServer/FacilityAnalystStreamParametersSpec.js';
@@ -106,6 +107,7 @@ import './common/security/SecurityManagerSpec.js';
 import './common/commontypes/BaseTypesSpec.js';
 import './common/commontypes/BoundsSpec.js';
 import './common/commontypes/DateSpec.js';
+import './common/commontypes/ErrorsSpec.js';
 import './common/commontypes/LonLatSpec.js';
 import './common/commontypes/PixelSpec.js';
 import './common/commontypes/VectorSpec.js';
@@ -164,6 +166,7 @@ import './common/iPortal/iPortalServicesQueryParamSpec.js';
 
 /**common -- thirdparty**/
 import './common/thirdparty/elasticsearch/ElasticSearchSpec.js';
+import './common/thirdparty/elasticsearch/ElasticSearchGeoAdapterSpec.js';
 
 /**common -- widget**/
 import './common/widgets/templates/IndexTabsPageContainerSpec.js';
@@ -172,8 +175,27 @@ import './common/widgets/templates/CommonContainerSpec.js';
 import './common/widgets/chart/ChartModelSpec.js';
 import './common/widgets/chart/ChartViewModelSpec';
 import './common/widgets/chart/ChartViewSpec';
+import './common/widgets/util/ShapefileParserSpec';
+import './common/widgets/util/KMLParserSpec';
+import './common/widgets/util/GPXParserSpec';
+import './common/widgets/util/FlatGeobufParserSpec';
+import './common/widgets/util/GeoPackageParserSpec';
+import './common/widgets/util/FileReaderUtilSpec';
+
+import './common/lang/LangSpec';
 
 import './common/util/FetchRequestSpec';
+import './common/util/ResponseCacheSpec';
+import './common/util/AttributeFilterSpec';
+import './common/util/DataFlowHistorySpec';
+import './common/util/SpatialIndexSpec';
+import './common/util/PointClusterSpec';
+import './common/util/ClusterSymbolSpec';
+import './common/util/TurfParametersSpec';
+import './common/util/TurfWorkerSpec';
+import './common/util/FeatureExportSpec';
+import './common/util/ClassificationSpec';
+import './common/util/ColorRampSpec';
 
 
 
@@ -5,6 +5,7 @@ import './leaflet/control/ChangeTileVersionSpec.js';
 import './leaflet/core/NonEarthCRSSpec.js';
 import './leaflet/core/TransformUtilSpec.js';
 import './leaflet/core/Proj4LeafletSpec.js';
+import './leaflet/core/FeatureExportSpec.js';
 
 /*leaflet -- mapping*/
 import './leaflet/mapping/ImageMapLayerSpec.js';
@@ -31,6 +32,7 @@ import './leaflet/overlay/vectortile/PointSymbolizerSpec.js';
 import './leaflet/overlay/vectortile/TextSymbolizerSpec.js';
 import './leaflet/overlay/TurfLayerSpec.js';
 import './leaflet/overlay/mapv/MapVRendererSpec.js';
+import './leaflet/overlay/ElasticSearchGeoAdapterSpec.js';
 /**leaflet -- services**/
 import './leaflet/services/AddressMatchServiceSpec.js';
 import './leaflet/services/BufferAnalysisSpec.js';
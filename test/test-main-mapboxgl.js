@@ -1,5 +1,9 @@
 /*mapboxgl -- control*/
 import './mapboxgl/control/LogoSpec.js';
+import './mapboxgl/control/ChangeTileVersionSpec.js';
+
+/*mapboxgl -- core*/
+import './mapboxgl/core/FeatureExportSpec.js';
 
 /*mapboxgl -- overlay*/
 import './mapboxgl/overlay/mapv/MapvDataSetSpec.js';
@@ -13,10 +17,13 @@ import './mapboxgl/overlay/ThreeLayerSpec.js';
 import './mapboxgl/overlay/UniqueThemeLayerSpec.js';
 import './mapboxgl/overlay/UniqueTheme3DLayerSpec.js';
 import './mapboxgl/overlay/DeckglLayerSpec.js';
+import './mapboxgl/overlay/DataFlowLayerSpec.js';
+import './mapboxgl/overlay/TurfLayerSpec.js';
 
 import './mapboxgl/overlay/graphic/GraphicSpec.js';
 import './mapboxgl/overlay/GraphicLayerSpec.js';
 import './mapboxgl/overlay/mapv/MapvRenderSpec.js';
+import './mapboxgl/overlay/ElasticSearchGeoAdapterSpec.js';
 
 /*mapboxgl -- services*/
 import './mapboxgl/services/AddressMatchServiceSpec.js';
@@ -52,4 +59,7 @@ import './mapboxgl/services/ThiessenAnalysisSpec.js';
 import './mapboxgl/services/TrafficTransferAnalystServiceSpec.js';
 
 /*mapboxgl -- mapping*/
-import './mapboxgl/mapping/WebMapSpec.js';
\ No newline at end of file
+import './mapboxgl/mapping/WebMapSpec.js';
+import './mapboxgl/mapping/TileSuperMapRestSpec.js';
+import './mapboxgl/mapping/ImageSuperMapRestSpec.js';
+import './mapboxgl/mapping/VectorTileSuperMapRestSpec.js';
\ No newline at end of file
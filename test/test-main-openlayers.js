@@ -5,6 +5,7 @@ import './openlayers/control/ChangeTileVersionSpec.js';
 import './openlayers/core/StyleUtilsSpec.js';
 import './openlayers/core/UtilSpec.js';
 import './openlayers/core/MapExtendSpec.js';
+import './openlayers/core/FeatureExportSpec.js';
 
 /*openlayers -- mapping*/
 import './openlayers/mapping/ImageSuperMapRestSpec.js';
@@ -31,6 +32,7 @@ import './openlayers/overlay/theme/ThemeSpec.js';
 import './openlayers/overlay/vectortile/VectorTileStylesSpec.js';
 import './openlayers/overlay/vectortile/MapboxStylesSpec.js';
 import './openlayers/overlay/TurfSpec.js';
+import './openlayers/overlay/ElasticSearchGeoAdapterSpec.js';
 
 /**openlayers --services**/
 import './openlayers/services/BufferAnalysisSpec.js';